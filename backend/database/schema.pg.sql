@@ -1,4 +1,6 @@
 -- Table Tennis League App Database Schema (Postgres)
+-- Baseline applied by migration 001_initial_schema. Later schema changes are numbered
+-- migrations in src/migrations/ (see "Schema migrations" in the README), not edits to this file.
 
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
@@ -31,6 +33,14 @@ CREATE TABLE IF NOT EXISTS leagues (
     is_active BOOLEAN DEFAULT TRUE,
     -- ELO update mode: 'immediate' | 'weekly' | 'monthly'
     elo_update_mode VARCHAR(20) DEFAULT 'immediate',
+    -- Rating engine: 'elo' | 'glicko2' | 'trueskill'
+    rating_engine VARCHAR(20) DEFAULT 'elo',
+    -- Per-league rating parameters as JSON (K-factors, format multipliers, starting ELO); NULL = defaults
+    rating_config TEXT,
+    -- Result confirmation: 'admin' (league admins accept results) | 'opponent' (the opponent confirms or disputes)
+    result_confirmation VARCHAR(20) DEFAULT 'admin',
+    -- Opponent confirmation: hours until an unanswered result is accepted automatically
+    confirmation_timeout_hours INTEGER DEFAULT 48,
     season VARCHAR(100),
     created_by INTEGER NOT NULL REFERENCES users(id),
     created_at TIMESTAMP DEFAULT NOW(),
@@ -57,6 +67,11 @@ CREATE TABLE IF NOT EXISTS league_roster (
     user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
     display_name VARCHAR(200) NOT NULL,
     current_elo INTEGER DEFAULT 1200,
+    -- Rating uncertainty (Glicko-2 RD / TrueSkill sigma) and Glicko-2 volatility; NULL for ELO
+    rating_deviation DOUBLE PRECISION,
+    rating_volatility DOUBLE PRECISION,
+    -- Doubles rating (individual doubles mode); NULL until the first rated doubles match
+    doubles_elo INTEGER,
     is_admin BOOLEAN DEFAULT FALSE,
     is_participating BOOLEAN DEFAULT TRUE,
     joined_at TIMESTAMP DEFAULT NOW(),
@@ -74,6 +89,18 @@ CREATE TABLE IF NOT EXISTS matches (
     player1_roster_id INTEGER REFERENCES league_roster(id),
     player2_roster_id INTEGER REFERENCES league_roster(id),
     winner_roster_id INTEGER REFERENCES league_roster(id),
+    -- Doubles: each side adds a partner; player1/2_elo_* then hold the team ratings
+    is_doubles BOOLEAN DEFAULT FALSE,
+    player1_partner_roster_id INTEGER REFERENCES league_roster(id),
+    player2_partner_roster_id INTEGER REFERENCES league_roster(id),
+    -- Season the match was recorded in (seasons.id); NULL for matches before the league's first season
+    season_id INTEGER,
+    -- Deferred leagues: consolidation run that applied the match's ratings (consolidation_runs.id)
+    consolidation_run_id INTEGER,
+    -- Opponent confirmation: NULL (admin acceptance) | 'awaiting' | 'confirmed' | 'auto_accepted' | 'disputed' | 'resolved'
+    confirmation_status VARCHAR(20),
+    confirmation_deadline TIMESTAMP,
+    confirmed_by INTEGER,
     player1_sets_won INTEGER DEFAULT 0,
     player2_sets_won INTEGER DEFAULT 0,
     player1_points_total INTEGER DEFAULT 0,
@@ -170,7 +197,8 @@ CREATE TABLE IF NOT EXISTS user_badges (
     badge_id INTEGER NOT NULL REFERENCES badges(id),
     league_id INTEGER,
     earned_at TIMESTAMP DEFAULT NOW(),
-    season VARCHAR(100)
+    season VARCHAR(100),
+    season_id INTEGER -- set for badges awarded when a season is closed
 );
 
 -- League invites table
@@ -197,6 +225,169 @@ CREATE TABLE IF NOT EXISTS league_join_requests (
     responded_by INTEGER REFERENCES users(id)
 );
 
+-- Tournaments table (knockout brackets run inside a league)
+CREATE TABLE IF NOT EXISTS tournaments (
+    id SERIAL PRIMARY KEY,
+    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+    name VARCHAR(200) NOT NULL,
+    format VARCHAR(30) NOT NULL DEFAULT 'single_elimination',
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    award_badge_id INTEGER REFERENCES badges(id),
+    champion_roster_id INTEGER REFERENCES league_roster(id),
+    created_by INTEGER NOT NULL REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    completed_at TIMESTAMP
+);
+
+-- Tournament participants table
+CREATE TABLE IF NOT EXISTS tournament_participants (
+    id SERIAL PRIMARY KEY,
+    tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+    roster_id INTEGER NOT NULL REFERENCES league_roster(id) ON DELETE CASCADE,
+    seed INTEGER NOT NULL,
+    seed_elo INTEGER NOT NULL,
+    UNIQUE(tournament_id, roster_id)
+);
+
+-- Tournament bracket matches table
+CREATE TABLE IF NOT EXISTS tournament_matches (
+    id SERIAL PRIMARY KEY,
+    tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+    match_key VARCHAR(20) NOT NULL,
+    bracket VARCHAR(20) NOT NULL,
+    round INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    player1_roster_id INTEGER REFERENCES league_roster(id),
+    player2_roster_id INTEGER REFERENCES league_roster(id),
+    entrants INTEGER NOT NULL DEFAULT 2,
+    winner_roster_id INTEGER REFERENCES league_roster(id),
+    loser_roster_id INTEGER REFERENCES league_roster(id),
+    match_id INTEGER REFERENCES matches(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    next_match_key VARCHAR(20),
+    next_match_slot INTEGER,
+    loser_next_match_key VARCHAR(20),
+    loser_next_match_slot INTEGER,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(tournament_id, match_key)
+);
+
+-- Fixtures table
+CREATE TABLE IF NOT EXISTS fixtures (
+    id SERIAL PRIMARY KEY,
+    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+    season VARCHAR(100),
+    round INTEGER NOT NULL,
+    leg INTEGER NOT NULL DEFAULT 1,
+    player1_roster_id INTEGER NOT NULL REFERENCES league_roster(id) ON DELETE CASCADE,
+    player2_roster_id INTEGER NOT NULL REFERENCES league_roster(id) ON DELETE CASCADE,
+    due_date DATE,
+    match_id INTEGER REFERENCES matches(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Fixed doubles pairs (pair doubles mode); roster1_id < roster2_id
+CREATE TABLE IF NOT EXISTS league_doubles_pairs (
+    id SERIAL PRIMARY KEY,
+    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+    roster1_id INTEGER NOT NULL REFERENCES league_roster(id) ON DELETE CASCADE,
+    roster2_id INTEGER NOT NULL REFERENCES league_roster(id) ON DELETE CASCADE,
+    current_elo INTEGER,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(league_id, roster1_id, roster2_id)
+);
+
+-- Doubles rating history (per roster entry or per pair, depending on the doubles mode)
+CREATE TABLE IF NOT EXISTS doubles_elo_history (
+    id SERIAL PRIMARY KEY,
+    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+    match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    roster_id INTEGER REFERENCES league_roster(id) ON DELETE CASCADE,
+    pair_id INTEGER REFERENCES league_doubles_pairs(id) ON DELETE CASCADE,
+    elo_before INTEGER NOT NULL,
+    elo_after INTEGER NOT NULL,
+    elo_change INTEGER NOT NULL,
+    recorded_at TIMESTAMP DEFAULT NOW()
+);
+
+-- League seasons; at most one active season per league (its name is mirrored in leagues.season)
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    start_date DATE NOT NULL,
+    end_date DATE,
+    rating_reset VARCHAR(20) NOT NULL DEFAULT 'carry_over',
+    reset_factor DOUBLE PRECISION,
+    champion_roster_id INTEGER REFERENCES league_roster(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    closed_at TIMESTAMP
+);
+
+-- Final standings of closed seasons (frozen copy of the leaderboard)
+CREATE TABLE IF NOT EXISTS season_standings (
+    id SERIAL PRIMARY KEY,
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    roster_id INTEGER REFERENCES league_roster(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    display_name VARCHAR(100) NOT NULL,
+    final_rank INTEGER NOT NULL,
+    final_elo INTEGER NOT NULL,
+    matches_played INTEGER NOT NULL DEFAULT 0,
+    matches_won INTEGER NOT NULL DEFAULT 0
+);
+
+-- Consolidation runs of weekly/monthly leagues (manual or scheduled)
+CREATE TABLE IF NOT EXISTS consolidation_runs (
+    id SERIAL PRIMARY KEY,
+    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+    triggered_via VARCHAR(20) NOT NULL,
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    period_start TIMESTAMP,
+    period_end TIMESTAMP,
+    matches_applied INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW(),
+    rolled_back_at TIMESTAMP,
+    rolled_back_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Net rating change of each roster entry in a consolidation run
+CREATE TABLE IF NOT EXISTS consolidation_run_entries (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES consolidation_runs(id) ON DELETE CASCADE,
+    roster_id INTEGER REFERENCES league_roster(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    elo_before INTEGER,
+    elo_after INTEGER,
+    elo_change INTEGER NOT NULL DEFAULT 0,
+    rating_deviation_before DOUBLE PRECISION,
+    rating_volatility_before DOUBLE PRECISION,
+    doubles_elo_before INTEGER,
+    doubles_elo_after INTEGER,
+    matches_applied INTEGER NOT NULL DEFAULT 0
+);
+
+-- Results disputed by the opponent in leagues with opponent confirmation, with the opponent's version of the score
+CREATE TABLE IF NOT EXISTS match_disputes (
+    id SERIAL PRIMARY KEY,
+    match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    disputed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    player1_sets_won INTEGER NOT NULL,
+    player2_sets_won INTEGER NOT NULL,
+    player1_points_total INTEGER,
+    player2_points_total INTEGER,
+    sets TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    resolution VARCHAR(20),
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Indexes for performance
 -- Basic indexes
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
@@ -271,7 +462,7 @@ CREATE INDEX IF NOT EXISTS idx_league_snapshots_dirty ON league_snapshots(dirty)
 -- ELO history table
 CREATE INDEX IF NOT EXISTS idx_elo_history_match_id ON elo_history(match_id);
 CREATE INDEX IF NOT EXISTS idx_elo_history_user_league_recorded ON elo_history(user_id, league_id, recorded_at);
--- Note: idx_elo_history_roster_id is created in ensureRosterIndexes() after roster_id column is ensured
+-- Note: idx_elo_history_roster_id is created in migration 003_league_roster after roster_id column is ensured
 
 -- Roster composite index for membership lookups (used by GET /api/leagues EXISTS subqueries)
 CREATE INDEX IF NOT EXISTS idx_league_roster_league_user ON league_roster(league_id, user_id);
@@ -285,6 +476,37 @@ CREATE INDEX IF NOT EXISTS idx_elo_history_roster_league ON elo_history(roster_i
 -- Match sets table
 CREATE INDEX IF NOT EXISTS idx_match_sets_match_id ON match_sets(match_id);
 
+-- Tournaments tables
+CREATE INDEX IF NOT EXISTS idx_tournaments_league_id ON tournaments(league_id);
+CREATE INDEX IF NOT EXISTS idx_tournament_participants_tournament_id ON tournament_participants(tournament_id);
+CREATE INDEX IF NOT EXISTS idx_tournament_matches_tournament_id ON tournament_matches(tournament_id);
+CREATE INDEX IF NOT EXISTS idx_tournament_matches_match_id ON tournament_matches(match_id);
+
+-- Fixtures table
+CREATE INDEX IF NOT EXISTS idx_fixtures_league_id ON fixtures(league_id);
+CREATE INDEX IF NOT EXISTS idx_fixtures_league_due ON fixtures(league_id, due_date);
+CREATE INDEX IF NOT EXISTS idx_fixtures_match_id ON fixtures(match_id);
+
+-- Doubles indexes
+CREATE INDEX IF NOT EXISTS idx_league_doubles_pairs_league_id ON league_doubles_pairs(league_id);
+CREATE INDEX IF NOT EXISTS idx_doubles_elo_history_league_match ON doubles_elo_history(league_id, match_id);
+CREATE INDEX IF NOT EXISTS idx_doubles_elo_history_roster_id ON doubles_elo_history(roster_id);
+CREATE INDEX IF NOT EXISTS idx_doubles_elo_history_pair_id ON doubles_elo_history(pair_id);
+
+-- Seasons
+CREATE INDEX IF NOT EXISTS idx_seasons_league_id ON seasons(league_id);
+CREATE INDEX IF NOT EXISTS idx_season_standings_season_id ON season_standings(season_id);
+-- Note: idx_matches_season_id is created in migration 011_seasons after the season_id column is ensured
+
+-- Consolidation runs
+CREATE INDEX IF NOT EXISTS idx_consolidation_runs_league_id ON consolidation_runs(league_id);
+CREATE INDEX IF NOT EXISTS idx_consolidation_run_entries_run_id ON consolidation_run_entries(run_id);
+-- Note: idx_matches_consolidation_run_id is created in migration 012_consolidation_runs after the column is ensured
+
+-- Match confirmation
+CREATE INDEX IF NOT EXISTS idx_match_disputes_match_id ON match_disputes(match_id);
+-- Note: idx_matches_confirmation_status is created in migration 013_match_confirmations after the column is ensured
+
 -- Default seed data
 -- Note: Password hash is for 'admin123' (bcrypt hash)
 INSERT INTO users (username, password_hash, first_name, last_name, email, is_admin)
@@ -1,4 +1,6 @@
 -- Table Tennis League App Database Schema
+-- Baseline applied by migration 001_initial_schema. Later schema changes are numbered
+-- migrations in src/migrations/ (see "Schema migrations" in the README), not edits to this file.
 
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
@@ -14,8 +16,8 @@ CREATE TABLE IF NOT EXISTS users (
 );
 
 -- Optional public profile fields
--- Note: These ALTER TABLE statements will fail silently if columns already exist
--- Application code should handle the potential error gracefully
+-- Note: On databases that already have these columns the statements fail with
+-- "duplicate column name"; migration 001_initial_schema skips those errors
 ALTER TABLE users ADD COLUMN forehand_rubber TEXT;
 ALTER TABLE users ADD COLUMN backhand_rubber TEXT;
 ALTER TABLE users ADD COLUMN blade_wood TEXT;
@@ -34,6 +36,14 @@ CREATE TABLE IF NOT EXISTS leagues (
     is_active BOOLEAN DEFAULT TRUE,
     -- ELO update mode: 'immediate' | 'weekly' | 'monthly'
     elo_update_mode VARCHAR(20) DEFAULT 'immediate',
+    -- Rating engine: 'elo' | 'glicko2' | 'trueskill'
+    rating_engine VARCHAR(20) DEFAULT 'elo',
+    -- Per-league rating parameters as JSON (K-factors, format multipliers, starting ELO); NULL = defaults
+    rating_config TEXT,
+    -- Result confirmation: 'admin' (league admins accept results) | 'opponent' (the opponent confirms or disputes)
+    result_confirmation VARCHAR(20) DEFAULT 'admin',
+    -- Opponent confirmation: hours until an unanswered result is accepted automatically
+    confirmation_timeout_hours INTEGER DEFAULT 48,
     season VARCHAR(100),
     created_by INTEGER NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -63,6 +73,11 @@ CREATE TABLE IF NOT EXISTS league_roster (
     user_id INTEGER,
     display_name VARCHAR(200) NOT NULL,
     current_elo INTEGER DEFAULT 1200,
+    -- Rating uncertainty (Glicko-2 RD / TrueSkill sigma) and Glicko-2 volatility; NULL for ELO
+    rating_deviation REAL,
+    rating_volatility REAL,
+    -- Doubles rating (individual doubles mode); NULL until the first rated doubles match
+    doubles_elo INTEGER,
     is_admin BOOLEAN DEFAULT FALSE,
     is_participating BOOLEAN DEFAULT TRUE,
     joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -82,6 +97,18 @@ CREATE TABLE IF NOT EXISTS matches (
     player1_roster_id INTEGER,
     player2_roster_id INTEGER,
     winner_roster_id INTEGER,
+    -- Doubles: each side adds a partner; player1/2_elo_* then hold the team ratings
+    is_doubles BOOLEAN DEFAULT FALSE,
+    player1_partner_roster_id INTEGER,
+    player2_partner_roster_id INTEGER,
+    -- Season the match was recorded in (seasons.id); NULL for matches before the league's first season
+    season_id INTEGER,
+    -- Deferred leagues: consolidation run that applied the match's ratings (consolidation_runs.id)
+    consolidation_run_id INTEGER,
+    -- Opponent confirmation: NULL (admin acceptance) | 'awaiting' | 'confirmed' | 'auto_accepted' | 'disputed' | 'resolved'
+    confirmation_status VARCHAR(20),
+    confirmation_deadline DATETIME,
+    confirmed_by INTEGER,
     player1_sets_won INTEGER DEFAULT 0,
     player2_sets_won INTEGER DEFAULT 0,
     player1_points_total INTEGER DEFAULT 0,
@@ -107,7 +134,9 @@ CREATE TABLE IF NOT EXISTS matches (
     FOREIGN KEY (accepted_by) REFERENCES users(id),
     FOREIGN KEY (player1_roster_id) REFERENCES league_roster(id),
     FOREIGN KEY (player2_roster_id) REFERENCES league_roster(id),
-    FOREIGN KEY (winner_roster_id) REFERENCES league_roster(id)
+    FOREIGN KEY (winner_roster_id) REFERENCES league_roster(id),
+    FOREIGN KEY (player1_partner_roster_id) REFERENCES league_roster(id),
+    FOREIGN KEY (player2_partner_roster_id) REFERENCES league_roster(id)
 );
 
 -- Match sets table (for detailed set scores)
@@ -193,6 +222,7 @@ CREATE TABLE IF NOT EXISTS user_badges (
     league_id INTEGER, -- if badge is league-specific
     earned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     season VARCHAR(100),
+    season_id INTEGER, -- set for badges awarded when a season is closed
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (badge_id) REFERENCES badges(id),
     FOREIGN KEY (league_id) REFERENCES leagues(id)
@@ -228,6 +258,208 @@ CREATE TABLE IF NOT EXISTS league_join_requests (
     FOREIGN KEY (responded_by) REFERENCES users(id)
 );
 
+-- Tournaments table (knockout brackets run inside a league)
+CREATE TABLE IF NOT EXISTS tournaments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    league_id INTEGER NOT NULL,
+    name VARCHAR(200) NOT NULL,
+    format VARCHAR(30) NOT NULL DEFAULT 'single_elimination', -- 'single_elimination', 'double_elimination'
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- 'active', 'completed'
+    award_badge_id INTEGER, -- tournament_winner badge awarded to the champion
+    champion_roster_id INTEGER,
+    created_by INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+    FOREIGN KEY (award_badge_id) REFERENCES badges(id),
+    FOREIGN KEY (champion_roster_id) REFERENCES league_roster(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- Tournament participants table (seeded from league_roster.current_elo)
+CREATE TABLE IF NOT EXISTS tournament_participants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tournament_id INTEGER NOT NULL,
+    roster_id INTEGER NOT NULL,
+    seed INTEGER NOT NULL,
+    seed_elo INTEGER NOT NULL,
+    FOREIGN KEY (tournament_id) REFERENCES tournaments(id) ON DELETE CASCADE,
+    FOREIGN KEY (roster_id) REFERENCES league_roster(id) ON DELETE CASCADE,
+    UNIQUE(tournament_id, roster_id)
+);
+
+-- Tournament bracket matches table
+CREATE TABLE IF NOT EXISTS tournament_matches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tournament_id INTEGER NOT NULL,
+    match_key VARCHAR(20) NOT NULL, -- e.g. 'W1-1', 'L2-1', 'GF-1'
+    bracket VARCHAR(20) NOT NULL, -- 'winners', 'losers', 'grand_final'
+    round INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    player1_roster_id INTEGER,
+    player2_roster_id INTEGER,
+    entrants INTEGER NOT NULL DEFAULT 2,
+    winner_roster_id INTEGER,
+    loser_roster_id INTEGER,
+    match_id INTEGER, -- recorded league match that decided this bracket match
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'ready', 'completed', 'bye', 'skipped'
+    next_match_key VARCHAR(20),
+    next_match_slot INTEGER,
+    loser_next_match_key VARCHAR(20),
+    loser_next_match_slot INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tournament_id) REFERENCES tournaments(id) ON DELETE CASCADE,
+    FOREIGN KEY (player1_roster_id) REFERENCES league_roster(id),
+    FOREIGN KEY (player2_roster_id) REFERENCES league_roster(id),
+    FOREIGN KEY (winner_roster_id) REFERENCES league_roster(id),
+    FOREIGN KEY (loser_roster_id) REFERENCES league_roster(id),
+    FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE SET NULL,
+    UNIQUE(tournament_id, match_key)
+);
+
+-- Fixtures table (scheduled round-robin pairings; played once match_id is set)
+CREATE TABLE IF NOT EXISTS fixtures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    league_id INTEGER NOT NULL,
+    season VARCHAR(100),
+    round INTEGER NOT NULL,
+    leg INTEGER NOT NULL DEFAULT 1,
+    player1_roster_id INTEGER NOT NULL,
+    player2_roster_id INTEGER NOT NULL,
+    due_date DATE,
+    match_id INTEGER,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+    FOREIGN KEY (player1_roster_id) REFERENCES league_roster(id) ON DELETE CASCADE,
+    FOREIGN KEY (player2_roster_id) REFERENCES league_roster(id) ON DELETE CASCADE,
+    FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- Fixed doubles pairs (pair doubles mode); roster1_id < roster2_id
+CREATE TABLE IF NOT EXISTS league_doubles_pairs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    league_id INTEGER NOT NULL,
+    roster1_id INTEGER NOT NULL,
+    roster2_id INTEGER NOT NULL,
+    current_elo INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+    FOREIGN KEY (roster1_id) REFERENCES league_roster(id) ON DELETE CASCADE,
+    FOREIGN KEY (roster2_id) REFERENCES league_roster(id) ON DELETE CASCADE,
+    UNIQUE(league_id, roster1_id, roster2_id)
+);
+
+-- Doubles rating history (per roster entry or per pair, depending on the doubles mode)
+CREATE TABLE IF NOT EXISTS doubles_elo_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    league_id INTEGER NOT NULL,
+    match_id INTEGER NOT NULL,
+    roster_id INTEGER,
+    pair_id INTEGER,
+    elo_before INTEGER NOT NULL,
+    elo_after INTEGER NOT NULL,
+    elo_change INTEGER NOT NULL,
+    recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+    FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
+    FOREIGN KEY (roster_id) REFERENCES league_roster(id) ON DELETE CASCADE,
+    FOREIGN KEY (pair_id) REFERENCES league_doubles_pairs(id) ON DELETE CASCADE
+);
+
+-- League seasons; at most one active season per league (its name is mirrored in leagues.season)
+CREATE TABLE IF NOT EXISTS seasons (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    league_id INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- 'active', 'closed'
+    start_date DATE NOT NULL,
+    end_date DATE,
+    rating_reset VARCHAR(20) NOT NULL DEFAULT 'carry_over', -- 'carry_over', 'soft', 'hard' (applied when the season starts)
+    reset_factor REAL, -- soft reset: share of each rating's distance to the starting ELO that is removed
+    champion_roster_id INTEGER,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    closed_at DATETIME,
+    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+    FOREIGN KEY (champion_roster_id) REFERENCES league_roster(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- Final standings of closed seasons (frozen copy of the leaderboard)
+CREATE TABLE IF NOT EXISTS season_standings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    season_id INTEGER NOT NULL,
+    roster_id INTEGER,
+    user_id INTEGER,
+    display_name VARCHAR(100) NOT NULL,
+    final_rank INTEGER NOT NULL,
+    final_elo INTEGER NOT NULL,
+    matches_played INTEGER NOT NULL DEFAULT 0,
+    matches_won INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (season_id) REFERENCES seasons(id) ON DELETE CASCADE,
+    FOREIGN KEY (roster_id) REFERENCES league_roster(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Consolidation runs of weekly/monthly leagues (manual or scheduled)
+CREATE TABLE IF NOT EXISTS consolidation_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    league_id INTEGER NOT NULL,
+    triggered_via VARCHAR(20) NOT NULL, -- 'manual', 'scheduler', 'cron', 'cli'
+    triggered_by INTEGER, -- user who ran a manual consolidation
+    period_start DATETIME, -- acceptance time of the earliest applied match
+    period_end DATETIME, -- period boundary for scheduled runs, run time for manual runs
+    matches_applied INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    rolled_back_at DATETIME, -- set when the run was rolled back
+    rolled_back_by INTEGER,
+    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+    FOREIGN KEY (triggered_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (rolled_back_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Net rating change of each roster entry in a consolidation run
+CREATE TABLE IF NOT EXISTS consolidation_run_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL,
+    roster_id INTEGER,
+    user_id INTEGER,
+    elo_before INTEGER, -- NULL when the entry played no singles in the run
+    elo_after INTEGER,
+    elo_change INTEGER NOT NULL DEFAULT 0,
+    rating_deviation_before REAL, -- Glicko-2/TrueSkill state before the run, restored on rollback
+    rating_volatility_before REAL,
+    doubles_elo_before INTEGER, -- NULL when the entry played no doubles in the run
+    doubles_elo_after INTEGER,
+    matches_applied INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (run_id) REFERENCES consolidation_runs(id) ON DELETE CASCADE,
+    FOREIGN KEY (roster_id) REFERENCES league_roster(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Results disputed by the opponent in leagues with opponent confirmation, with the opponent's version of the score
+CREATE TABLE IF NOT EXISTS match_disputes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    match_id INTEGER NOT NULL,
+    disputed_by INTEGER,
+    reason TEXT,
+    player1_sets_won INTEGER NOT NULL,
+    player2_sets_won INTEGER NOT NULL,
+    player1_points_total INTEGER,
+    player2_points_total INTEGER,
+    sets TEXT, -- JSON array of { player1_score, player2_score }
+    status VARCHAR(20) NOT NULL DEFAULT 'open', -- 'open' | 'resolved'
+    resolution VARCHAR(20), -- 'submitted' (original score kept) | 'disputed' (opponent's score applied)
+    resolved_by INTEGER,
+    resolved_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
+    FOREIGN KEY (disputed_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
 -- Indexes for performance
 -- Basic indexes
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
@@ -305,11 +537,42 @@ CREATE INDEX IF NOT EXISTS idx_league_snapshots_dirty ON league_snapshots(dirty)
 CREATE INDEX IF NOT EXISTS idx_elo_history_match_id ON elo_history(match_id);
 CREATE INDEX IF NOT EXISTS idx_elo_history_user_league_recorded ON elo_history(user_id, league_id, recorded_at);
 CREATE INDEX IF NOT EXISTS idx_elo_history_roster_league ON elo_history(roster_id, league_id);
--- Note: idx_elo_history_roster_id is created in ensureRosterIndexes() after roster_id column is ensured
+-- Note: idx_elo_history_roster_id is created in migration 003_league_roster after roster_id column is ensured
 
 -- Match sets table
 CREATE INDEX IF NOT EXISTS idx_match_sets_match_id ON match_sets(match_id);
 
+-- Tournaments tables
+CREATE INDEX IF NOT EXISTS idx_tournaments_league_id ON tournaments(league_id);
+CREATE INDEX IF NOT EXISTS idx_tournament_participants_tournament_id ON tournament_participants(tournament_id);
+CREATE INDEX IF NOT EXISTS idx_tournament_matches_tournament_id ON tournament_matches(tournament_id);
+CREATE INDEX IF NOT EXISTS idx_tournament_matches_match_id ON tournament_matches(match_id);
+
+-- Fixtures table
+CREATE INDEX IF NOT EXISTS idx_fixtures_league_id ON fixtures(league_id);
+CREATE INDEX IF NOT EXISTS idx_fixtures_league_due ON fixtures(league_id, due_date);
+CREATE INDEX IF NOT EXISTS idx_fixtures_match_id ON fixtures(match_id);
+
+-- Doubles indexes
+CREATE INDEX IF NOT EXISTS idx_league_doubles_pairs_league_id ON league_doubles_pairs(league_id);
+CREATE INDEX IF NOT EXISTS idx_doubles_elo_history_league_match ON doubles_elo_history(league_id, match_id);
+CREATE INDEX IF NOT EXISTS idx_doubles_elo_history_roster_id ON doubles_elo_history(roster_id);
+CREATE INDEX IF NOT EXISTS idx_doubles_elo_history_pair_id ON doubles_elo_history(pair_id);
+
+-- Seasons
+CREATE INDEX IF NOT EXISTS idx_seasons_league_id ON seasons(league_id);
+CREATE INDEX IF NOT EXISTS idx_season_standings_season_id ON season_standings(season_id);
+-- Note: idx_matches_season_id is created in migration 011_seasons after the season_id column is ensured
+
+-- Consolidation runs
+CREATE INDEX IF NOT EXISTS idx_consolidation_runs_league_id ON consolidation_runs(league_id);
+CREATE INDEX IF NOT EXISTS idx_consolidation_run_entries_run_id ON consolidation_run_entries(run_id);
+-- Note: idx_matches_consolidation_run_id is created in migration 012_consolidation_runs after the column is ensured
+
+-- Match confirmation
+CREATE INDEX IF NOT EXISTS idx_match_disputes_match_id ON match_disputes(match_id);
+-- Note: idx_matches_confirmation_status is created in migration 013_match_confirmations after the column is ensured
+
 -- Insert default admin user (password: admin123)
 INSERT OR IGNORE INTO users (username, password_hash, first_name, last_name, email, is_admin) 
 VALUES ('admin', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'Admin', 'User', 'admin@tabletennis.local', TRUE);
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/*
+ Whole-instance backup and restore (SQLite or Postgres, chosen by DATABASE_URL)
+
+ Usage:
+   node scripts/db-backup.js dump <file>               Write every table to <file> (.ndjson = one row per line, otherwise JSON)
+   node scripts/db-backup.js restore <file> [--force]  Load <file> into the database; --force replaces existing data
+   node scripts/db-backup.js verify <file>             Compare row counts and checksums of the database with <file>
+
+ A backup taken from one backend restores into the other, keeping ids and foreign keys.
+*/
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = 'Usage: node scripts/db-backup.js dump|restore|verify <file> [--force]';
+
+(async () => {
+  const [command, file, ...flags] = process.argv.slice(2);
+  if (!['dump', 'restore', 'verify'].includes(command) || !file) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const database = require('../src/models/database');
+  const {
+    dumpDatabase,
+    serializeBackup,
+    parseBackup,
+    restoreBackup,
+    verifyBackup,
+    describeSchema
+  } = require('../src/utils/instanceBackup');
+
+  const mode = database.isPg ? 'Postgres' : 'SQLite';
+  const label = `DB Backup (${command})`;
+
+  try {
+    if (command === 'dump') {
+      await database.connect();
+      const backup = await dumpDatabase();
+      const format = path.extname(file).toLowerCase() === '.ndjson' ? 'ndjson' : 'json';
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(file, serializeBackup(backup, format));
+      const rows = backup.tables.reduce((sum, table) => sum + table.row_count, 0);
+      console.log(`Dumped ${backup.tables.length} tables (${rows} rows) from ${mode} to ${file}`);
+    } else {
+      const backup = parseBackup(fs.readFileSync(file, 'utf8'));
+      console.log(`Backup from ${backup.source} taken ${backup.created_at}: ${backup.tables.length} tables, checksums OK`);
+
+      if (command === 'restore') {
+        await database.connect();
+        let clear = flags.includes('--force');
+        if ((await describeSchema()).length === 0) {
+          // Fresh database: create the schema first. Its seed rows (default admin, badges)
+          // are replaced by the backup's own.
+          console.log(`Creating ${mode} schema...`);
+          await database.close();
+          if (database.pool) await database.pool.end();
+          await database.initialize();
+          clear = true;
+        }
+        const restored = await restoreBackup(backup, { clear });
+        const rows = restored.reduce((sum, table) => sum + table.rows, 0);
+        console.log(`Restored ${restored.length} tables (${rows} rows) into ${mode}`);
+      } else {
+        await database.connect();
+      }
+
+      const result = await verifyBackup(backup);
+      for (const table of result.tables.filter((entry) => !entry.ok)) {
+        console.error(`  ${table.name}: ${table.problem} (backup ${table.expected_rows ?? '-'} rows, database ${table.actual_rows ?? '-'})`);
+      }
+      if (result.extra_tables.length) {
+        console.log(`Tables not in the backup: ${result.extra_tables.join(', ')}`);
+      }
+      if (!result.ok) {
+        throw new Error(`${result.tables.filter((entry) => !entry.ok).length} table(s) differ from the backup`);
+      }
+      console.log(`Verified ${result.tables.length} tables against ${file}`);
+    }
+
+    try { await database.close(); } catch (_) {}
+
+    console.log(`${label}: PASS`);
+    process.exit(0);
+  } catch (err) {
+    console.error(`${label}: FAIL`);
+    console.error(err?.stack || err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/*
+ Create a VAPID key pair for web push notifications
+ Usage: node scripts/generate-vapid-keys.js
+ Put both lines in the backend .env. Changing the keys later invalidates every
+ browser's push subscription (users turn push on again in their profile).
+*/
+
+const { generateVapidKeys } = require('../src/utils/webPush');
+
+const { publicKey, privateKey } = generateVapidKeys();
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
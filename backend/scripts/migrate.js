@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/*
+ Schema migrations (SQLite or Postgres, chosen by DATABASE_URL)
+
+ Usage:
+   node scripts/migrate.js status                       List migrations and whether they are applied
+   node scripts/migrate.js up [--to <version>]          Apply pending migrations (all, or up to <version>)
+   node scripts/migrate.js down [--steps <n> | --to <version>]
+                                                        Roll back the last <n> migrations (default 1), or all above <version>
+*/
+
+require('dotenv').config();
+
+const USAGE = 'Usage: node scripts/migrate.js status | up [--to <version>] | down [--steps <n> | --to <version>]';
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  if (index === -1) return null;
+  const value = parseInt(args[index + 1], 10);
+  if (!Number.isInteger(value) || value < 0) {
+    console.error(`${name} needs a non-negative number`);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  return value;
+};
+
+(async () => {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  if (!['status', 'up', 'down'].includes(command)) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  const to = readOption(args, '--to');
+  const steps = readOption(args, '--steps');
+
+  const database = require('../src/models/database');
+  const { getMigrationStatus, applyMigrations, rollbackMigrations } = require('../src/models/migrator');
+
+  const mode = database.isPg ? 'Postgres' : 'SQLite';
+  const label = `Migrations (${command})`;
+
+  try {
+    await database.connect();
+
+    if (command === 'up') {
+      const applied = await applyMigrations({ to, log: console.log });
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Nothing to apply');
+    } else if (command === 'down') {
+      const rolledBack = await rollbackMigrations({ steps: steps ?? 1, to, log: console.log });
+      console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    }
+
+    const status = await getMigrationStatus();
+    console.log(`${mode} schema version ${status.current_version} (latest ${status.latest_version}, ${status.pending} pending)`);
+    for (const entry of status.migrations) {
+      const flags = [
+        entry.status === 'applied' ? `applied ${entry.applied_at}` : 'pending',
+        entry.reversible ? null : 'no down',
+        entry.modified ? 'file changed since applied' : null,
+      ].filter(Boolean).join(', ');
+      console.log(`  ${entry.id.padEnd(36)} ${flags}`);
+    }
+    for (const entry of status.unknown) {
+      console.log(`  ${String(entry.version).padStart(3, '0')}_${entry.name.padEnd(32)} applied ${entry.applied_at}, file missing`);
+    }
+
+    try { await database.close(); } catch (_) {}
+
+    console.log(`${label}: PASS`);
+    process.exit(0);
+  } catch (err) {
+    console.error(`${label}: FAIL`);
+    console.error(err?.stack || err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+/*
+ Run a background job once (for system cron or manual use)
+ Usage: node scripts/run-job.js <job>
+ Jobs: see JOBS in src/utils/scheduler.js (e.g. consolidation)
+*/
+
+require('dotenv').config();
+
+(async () => {
+  const database = require('../src/models/database');
+  const { JOBS, runJob } = require('../src/utils/scheduler');
+
+  const name = process.argv[2];
+  if (!name || !JOBS[name]) {
+    console.error(`Usage: node scripts/run-job.js <${Object.keys(JOBS).join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    // Schema setup is left to the API server; the job only needs a connection
+    await database.connect();
+    const { result } = await runJob(name, 'cli');
+    console.log(JSON.stringify(result, null, 2));
+
+    try { await database.close(); } catch (_) {}
+    process.exit(0);
+  } catch (err) {
+    console.error(`Job ${name}: FAIL`);
+    console.error(err?.stack || err);
+    process.exit(1);
+  }
+})();
@@ -12,13 +12,24 @@ const database = require('./models/database');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const leagueRoutes = require('./routes/leagues');
+const tournamentRoutes = require('./routes/tournaments');
+const fixtureRoutes = require('./routes/fixtures');
+const doublesRoutes = require('./routes/doubles');
+const seasonsRoutes = require('./routes/seasons');
+const consolidationRoutes = require('./routes/consolidations');
+const importRoutes = require('./routes/imports');
+const exportRoutes = require('./routes/exports');
+const achievementRoutes = require('./routes/achievements');
 const matchRoutes = require('./routes/matches');
 const notificationRoutes = require('./routes/notifications');
 const badgeRoutes = require('./routes/badges');
 const ticketRoutes = require('./routes/tickets');
 const adminRoutes = require('./routes/admin');
 const statsRoutes = require('./routes/stats');
+const cronRoutes = require('./routes/cron');
+const eventRoutes = require('./routes/events');
 const { moderationErrorHandler } = require('./middleware/contentModeration');
+const { startScheduler } = require('./utils/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -138,6 +149,14 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authLimiter, authRoutes); // Stricter rate limiting for auth
 app.use('/api/users', userRoutes);
+app.use('/api/leagues/:id/tournaments', tournamentRoutes);
+app.use('/api/leagues/:id/fixtures', fixtureRoutes);
+app.use('/api/leagues/:id/doubles', doublesRoutes);
+app.use('/api/leagues/:id/seasons', seasonsRoutes);
+app.use('/api/leagues/:id/consolidations', consolidationRoutes);
+app.use('/api/leagues/:id/imports', importRoutes);
+app.use('/api/leagues/:id/export', exportRoutes);
+app.use('/api/leagues/:id/achievements', achievementRoutes);
 app.use('/api/leagues', leagueRoutes);
 app.use('/api/matches', matchRoutes);
 app.use('/api/notifications', notificationRoutes);
@@ -145,6 +164,8 @@ app.use('/api/badges', badgeRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/cron', cronRoutes);
+app.use('/api/events', eventRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -199,6 +220,9 @@ async function startServer() {
             console.log(`📊 Health check: http://localhost:${PORT}/health`);
             console.log(`🏓 API base URL: http://localhost:${PORT}/api`);
         });
+
+        // Weekly/monthly consolidation and other background jobs (Vercel uses /api/cron instead)
+        startScheduler();
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
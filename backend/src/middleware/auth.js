@@ -1,5 +1,21 @@
 const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
 const database = require('../models/database');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+
+/**
+ * User behind a decoded access token, or undefined when its session was
+ * revoked or has ended (see utils/sessions.js)
+ */
+async function loadSessionUser(decoded) {
+    if (!decoded?.sid) return undefined;
+    return database.get(
+        `SELECT u.id, u.username, u.first_name, u.last_name, u.email, u.is_admin, u.avatar_url, u.totp_enabled_at
+         FROM users u
+         JOIN user_sessions s ON s.id = ? AND s.user_id = u.id AND s.revoked_at IS NULL
+         WHERE u.id = ?`,
+        [decoded.sid, decoded.id]
+    );
+}
 
 /**
  * Middleware to authenticate JWT tokens
@@ -16,19 +32,20 @@ async function authenticateToken(req, res, next) {
         const decoded = verifyToken(token);
         
         // Get fresh user data from database
-        const user = await database.get(
-            'SELECT id, username, first_name, last_name, email, is_admin, avatar_url FROM users WHERE id = ?',
-            [decoded.id]
-        );
+        const user = await loadSessionUser(decoded);
         
         if (!user) {
-            return res.status(401).json({ error: 'User not found' });
+            return res.status(401).json({ error: 'Session has ended' });
         }
         
         req.user = user;
+        req.sessionId = decoded.sid;
         next();
     } catch (error) {
-        console.error('Authentication error:', error);
+        // Expired access tokens are routine (clients refresh them), so only log other failures
+        if (error.message !== 'Invalid or expired token') {
+            console.error('Authentication error:', error);
+        }
         return res.status(401).json({ error: 'Invalid or expired token' });
     }
 }
@@ -40,6 +57,13 @@ function requireAdmin(req, res, next) {
     if (!req.user || !req.user.is_admin) {
         return res.status(403).json({ error: 'Admin access required' });
     }
+    // Sessions opened before REQUIRE_ADMIN_2FA was switched on lose admin access until 2FA is set up
+    if (isTwoFactorRequired(req.user) && !req.user.totp_enabled_at) {
+        return res.status(403).json({
+            error: 'Set up two-factor authentication to use admin features',
+            code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+    }
     next();
 }
 
@@ -86,13 +110,11 @@ async function optionalAuth(req, res, next) {
         
         if (token) {
             const decoded = verifyToken(token);
-            const user = await database.get(
-                'SELECT id, username, first_name, last_name, email, is_admin, avatar_url FROM users WHERE id = ?',
-                [decoded.id]
-            );
+            const user = await loadSessionUser(decoded);
             
             if (user) {
                 req.user = user;
+                req.sessionId = decoded.sid;
             }
         }
         
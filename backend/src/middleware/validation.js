@@ -1,4 +1,8 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { RATING_ENGINE_KEYS } = require('../utils/ratingEngines');
+
+// Body fields kept out of the validation log
+const SECRET_FIELDS = ['password', 'token', 'challenge_token', 'code', 'recovery_code'];
 
 /**
  * Handle validation errors
@@ -6,13 +10,19 @@ const { body, param, query, validationResult } = require('express-validator');
 function handleValidationErrors(req, res, next) {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+        const body = { ...req.body };
+        for (const field of SECRET_FIELDS) {
+            if (body[field] !== undefined) body[field] = '[redacted]';
+        }
         console.error('Validation failed:', {
             path: req.path,
             method: req.method,
             query: req.query,
-            body: req.body,
+            body,
             params: req.params,
-            errors: errors.array()
+            errors: errors.array().map((error) => (
+                SECRET_FIELDS.includes(error.path) ? { ...error, value: '[redacted]' } : error
+            ))
         });
         return res.status(400).json({
             error: 'Validation failed',
@@ -63,6 +73,66 @@ const validateLogin = [
     handleValidationErrors
 ];
 
+/**
+ * Forgot password validation (username or email)
+ */
+const validateForgotPassword = [
+    body('identifier')
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Username or email is required'),
+    handleValidationErrors
+];
+
+/**
+ * Password reset validation
+ */
+const validatePasswordReset = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Reset token is required'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long'),
+    handleValidationErrors
+];
+
+/**
+ * Email verification validation
+ */
+const validateEmailVerification = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Verification token is required'),
+    handleValidationErrors
+];
+
+/**
+ * Two-factor code validation: a 6-digit authenticator code, or a recovery code
+ * where `allowRecoveryCode` is set
+ */
+function validateTwoFactorCode({ allowRecoveryCode = false } = {}) {
+    return [
+        body('code')
+            .optional({ nullable: true, checkFalsy: true })
+            .customSanitizer((value) => String(value).replace(/\s/g, ''))
+            .matches(/^\d{6}$/)
+            .withMessage('Code must be 6 digits'),
+        body('recovery_code')
+            .optional({ nullable: true, checkFalsy: true })
+            .isString()
+            .isLength({ max: 32 })
+            .withMessage('Invalid recovery code'),
+        body('code').custom((code, { req }) => {
+            if (code || (allowRecoveryCode && req.body.recovery_code)) return true;
+            throw new Error(allowRecoveryCode ? 'Enter an authentication code or a recovery code' : 'Authentication code is required');
+        }),
+        handleValidationErrors
+    ];
+}
+
 /**
  * League creation validation
  */
@@ -85,6 +155,10 @@ const validateLeagueCreation = [
         .isLength({ max: 100 })
         .withMessage('Season must be less than 100 characters')
         .trim(),
+    body('rating_engine')
+        .optional()
+        .isIn(RATING_ENGINE_KEYS)
+        .withMessage(`rating_engine must be one of: ${RATING_ENGINE_KEYS.join(', ')}`),
     handleValidationErrors
 ];
 
@@ -102,6 +176,18 @@ const validateMatchCreation = [
         .optional()
         .isInt({ min: 1 })
         .withMessage('Valid player 1 roster ID is required'),
+    body('is_doubles')
+        .optional()
+        .isBoolean()
+        .withMessage('is_doubles must be a boolean'),
+    body('player1_partner_roster_id')
+        .if(body('is_doubles').equals('true'))
+        .isInt({ min: 1 })
+        .withMessage('Valid partner roster ID is required for doubles'),
+    body('player2_partner_roster_id')
+        .if(body('is_doubles').equals('true'))
+        .isInt({ min: 1 })
+        .withMessage('Valid opponent partner roster ID is required for doubles'),
     body('player1_sets_won')
         .isInt({ min: 0, max: 4 })
         .withMessage('Player 1 sets won must be between 0 and 4'),
@@ -132,6 +218,103 @@ const validateMatchCreation = [
     handleValidationErrors
 ];
 
+/**
+ * Disputed match result validation (the opponent's version of the score)
+ */
+const validateMatchDispute = [
+    body('player1_sets_won')
+        .isInt({ min: 0, max: 4 })
+        .withMessage('Player 1 sets won must be between 0 and 4'),
+    body('player2_sets_won')
+        .isInt({ min: 0, max: 4 })
+        .withMessage('Player 2 sets won must be between 0 and 4'),
+    body('player1_points_total')
+        .isInt({ min: 0 })
+        .withMessage('Player 1 total points must be a positive integer'),
+    body('player2_points_total')
+        .isInt({ min: 0 })
+        .withMessage('Player 2 total points must be a positive integer'),
+    body('sets')
+        .optional()
+        .isArray()
+        .withMessage('Sets must be an array'),
+    body('sets.*.player1_score')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Set scores must be positive integers'),
+    body('sets.*.player2_score')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Set scores must be positive integers'),
+    body('reason')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 500 })
+        .withMessage('Reason must be at most 500 characters'),
+    handleValidationErrors
+];
+
+/**
+ * Notification preference changes: [{ type, channel, enabled }]
+ * (types and channels are checked by utils/notifications.js)
+ */
+const validateNotificationPreferences = [
+    body('preferences')
+        .isArray({ min: 1, max: 100 })
+        .withMessage('preferences must be a non-empty list'),
+    body('preferences.*.type')
+        .isString()
+        .withMessage('Notification type is required'),
+    body('preferences.*.channel')
+        .isString()
+        .withMessage('Notification channel is required'),
+    body('preferences.*.enabled')
+        .isBoolean({ strict: true })
+        .withMessage('enabled must be true or false'),
+    handleValidationErrors
+];
+
+/**
+ * Achievement rule settings of a league (the badge is checked by utils/achievements.js)
+ */
+const validateAchievementRule = [
+    body('enabled')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('enabled must be true or false'),
+    body('badge_id')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('badge_id must be a badge ID or null'),
+    handleValidationErrors
+];
+
+/**
+ * Web push subscription as serialized by the browser (PushSubscription.toJSON());
+ * only the endpoint when removing one
+ */
+function validatePushSubscription({ withKeys = true } = {}) {
+    const rules = [
+        body('endpoint')
+            .isURL({ protocols: ['https'], require_tld: false })
+            .isLength({ max: 1000 })
+            .withMessage('A valid https push endpoint is required')
+    ];
+    if (withKeys) {
+        rules.push(
+            body('keys.p256dh')
+                .isBase64({ urlSafe: true })
+                .isLength({ min: 80, max: 200 })
+                .withMessage('Invalid p256dh key'),
+            body('keys.auth')
+                .isBase64({ urlSafe: true })
+                .isLength({ min: 16, max: 100 })
+                .withMessage('Invalid auth secret')
+        );
+    }
+    return [...rules, handleValidationErrors];
+}
+
 /**
  * ID parameter validation
  */
@@ -160,8 +343,16 @@ const validatePagination = [
 module.exports = {
     validateRegistration,
     validateLogin,
+    validateForgotPassword,
+    validatePasswordReset,
+    validateEmailVerification,
+    validateTwoFactorCode,
     validateLeagueCreation,
     validateMatchCreation,
+    validateMatchDispute,
+    validateNotificationPreferences,
+    validateAchievementRule,
+    validatePushSubscription,
     validateId,
     validatePagination,
     handleValidationErrors
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const database = require('../models/database');
+
+/**
+ * Baseline schema from database/schema.sql (SQLite) or database/schema.pg.sql (Postgres)
+ */
+module.exports = {
+    async up(db) {
+        const schema = fs.readFileSync(database.schemaPath, 'utf8');
+        // Split schema into statements safely.
+        // We strip SQL comments first so semicolons inside comments don't break splitting.
+        // (node-postgres doesn't support executing multiple statements in one query call.)
+        const schemaWithoutComments = schema
+            .replace(/\/\*[\s\S]*?\*\//g, '')   // block comments
+            .replace(/--.*$/gm, '');            // line comments
+        const statements = schemaWithoutComments.split(';').map(stmt => stmt.trim()).filter(Boolean);
+
+        for (let i = 0; i < statements.length; i += 1) {
+            const sql = statements[i];
+            try {
+                await db.run(sql);
+            } catch (err) {
+                // SQLite has no ADD COLUMN IF NOT EXISTS; databases created before the
+                // migration table already have the profile columns
+                if (!db.isPg && /^ALTER TABLE .+ ADD COLUMN/i.test(sql) && /duplicate column name/i.test(err.message)) {
+                    continue;
+                }
+                const maxLen = 800;
+                const snippet = sql.length > maxLen ? `${sql.slice(0, maxLen)}\n... (truncated)` : sql;
+                const wrapped = new Error(
+                    `Schema statement failed (index=${i + 1}/${statements.length}):\n${snippet}`
+                );
+                wrapped.cause = err;
+                throw wrapped;
+            }
+        }
+    }
+};
@@ -0,0 +1,99 @@
+/**
+ * Optional profile columns (SQLite) and badge image/visibility columns
+ */
+
+async function addOptionalColumns(db) {
+    const optionalColumns = [
+        'forehand_rubber TEXT',
+        'backhand_rubber TEXT',
+        'blade_wood TEXT',
+        'playstyle VARCHAR(100)',
+        'strengths TEXT',
+        'weaknesses TEXT',
+        'goals TEXT',
+        'avatar_url TEXT'
+    ];
+
+    for (const columnDef of optionalColumns) {
+        const columnName = columnDef.split(' ')[0];
+        try {
+            // Check if column exists by trying to select from it
+            await db.run(`SELECT ${columnName} FROM users LIMIT 1`);
+        } catch (err) {
+            // Column doesn't exist, add it
+            try {
+                await db.run(`ALTER TABLE users ADD COLUMN ${columnDef}`);
+                console.log(`Added column: ${columnName}`);
+            } catch (addErr) {
+                console.warn(`Failed to add column ${columnName}:`, addErr.message);
+            }
+        }
+    }
+}
+
+async function addBadgeImageUrlColumn(db) {
+    try {
+        // Check if badges table exists first
+        if (db.isPg) {
+            // PostgreSQL: check if column exists
+            const columnExists = await db.get(`
+                SELECT EXISTS (
+                    SELECT 1 FROM information_schema.columns 
+                    WHERE table_name = 'badges' AND column_name = 'image_url'
+                ) as exists
+            `);
+            if (!columnExists.exists) {
+                await db.run('ALTER TABLE badges ADD COLUMN image_url TEXT');
+                console.log('Added image_url column to badges table');
+            }
+        } else {
+            // SQLite: try to select from column, if it fails, add it
+            try {
+                await db.run('SELECT image_url FROM badges LIMIT 1');
+            } catch (err) {
+                // Column doesn't exist, add it
+                await db.run('ALTER TABLE badges ADD COLUMN image_url TEXT');
+                console.log('Added image_url column to badges table');
+            }
+        }
+    } catch (err) {
+        // Table might not exist yet, that's okay
+        console.warn('Could not add image_url column to badges table (table might not exist):', err.message);
+    }
+}
+
+async function addBadgeVisibilityColumns(db) {
+    try {
+        // Ensure visibility exists and defaults to 'public'
+        const visibilityType = db.isPg
+            ? "VARCHAR(20) NOT NULL DEFAULT 'public'"
+            : "TEXT NOT NULL DEFAULT 'public'";
+        await db.ensureColumnExists('badges', 'visibility', visibilityType);
+
+        // Ensure created_by exists (owner of private badges)
+        const createdByType = db.isPg
+            ? 'INTEGER REFERENCES users(id)'
+            : 'INTEGER';
+        await db.ensureColumnExists('badges', 'created_by', createdByType);
+
+        // Normalize existing rows
+        await db.run("UPDATE badges SET visibility = 'public' WHERE visibility IS NULL OR TRIM(visibility) = ''");
+
+        // Helpful indexes (safe to create repeatedly)
+        await db.run('CREATE INDEX IF NOT EXISTS idx_badges_visibility ON badges(visibility)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_badges_created_by ON badges(created_by)');
+    } catch (err) {
+        // Table might not exist yet, that's okay
+        console.warn('Could not add visibility/created_by columns to badges table (table might not exist):', err.message);
+    }
+}
+
+module.exports = {
+    async up(db) {
+        if (!db.isPg) {
+            await addOptionalColumns(db);
+        }
+        await addBadgeImageUrlColumn(db);
+        await addBadgeVisibilityColumns(db);
+    }
+};
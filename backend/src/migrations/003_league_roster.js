@@ -0,0 +1,309 @@
+/**
+ * League roster (placeholder players) and roster-based matches and rating history,
+ * migrated from the legacy league_members table
+ */
+
+async function ensureLeagueRosterTable(db) {
+    if (db.isPg) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS league_roster (
+                id SERIAL PRIMARY KEY,
+                league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                display_name VARCHAR(200) NOT NULL,
+                current_elo INTEGER DEFAULT 1200,
+                is_admin BOOLEAN DEFAULT FALSE,
+                is_participating BOOLEAN DEFAULT TRUE,
+                joined_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE(league_id, user_id)
+            )
+        `);
+        return;
+    }
+
+    // SQLite
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS league_roster (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            league_id INTEGER NOT NULL,
+            user_id INTEGER,
+            display_name VARCHAR(200) NOT NULL,
+            current_elo INTEGER DEFAULT 1200,
+            is_admin BOOLEAN DEFAULT FALSE,
+            is_participating BOOLEAN DEFAULT TRUE,
+            joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+            UNIQUE(league_id, user_id)
+        )
+    `);
+}
+
+async function ensureRosterParticipationColumn(db) {
+    const columnType = db.isPg ? 'BOOLEAN DEFAULT TRUE' : 'BOOLEAN DEFAULT 1';
+    await db.ensureColumnExists('league_roster', 'is_participating', columnType);
+    await db.run(
+        db.isPg
+            ? 'UPDATE league_roster SET is_participating = TRUE WHERE is_participating IS NULL'
+            : 'UPDATE league_roster SET is_participating = 1 WHERE is_participating IS NULL'
+    );
+}
+
+async function ensureMatchesRosterColumns(db) {
+    // We keep legacy user_id-based columns for compatibility/migration, but
+    // roster-based columns are the canonical fields for new code.
+    await db.ensureColumnExists('matches', 'player1_roster_id', db.isPg ? 'INTEGER' : 'INTEGER');
+    await db.ensureColumnExists('matches', 'player2_roster_id', db.isPg ? 'INTEGER' : 'INTEGER');
+    await db.ensureColumnExists('matches', 'winner_roster_id', db.isPg ? 'INTEGER' : 'INTEGER');
+}
+
+async function ensureEloHistoryRosterColumn(db) {
+    await db.ensureColumnExists('elo_history', 'roster_id', db.isPg ? 'INTEGER' : 'INTEGER');
+}
+
+async function ensureRosterLegacyNullability(db) {
+    // Roster-based matches allow opponents without user accounts, so the legacy user_id columns
+    // on matches/elo_history must be nullable.
+    if (db.isPg) {
+        try { await db.run('ALTER TABLE matches ALTER COLUMN player1_id DROP NOT NULL'); } catch (_) {}
+        try { await db.run('ALTER TABLE matches ALTER COLUMN player2_id DROP NOT NULL'); } catch (_) {}
+        try { await db.run('ALTER TABLE elo_history ALTER COLUMN user_id DROP NOT NULL'); } catch (_) {}
+        return;
+    }
+
+    // SQLite: if existing tables were created with NOT NULL constraints, recreate them.
+    const matchesNeedsRebuild = await db.sqliteColumnIsNotNull('matches', 'player1_id')
+        || await db.sqliteColumnIsNotNull('matches', 'player2_id');
+    if (matchesNeedsRebuild) {
+        await rebuildSQLiteMatchesTable(db);
+    }
+
+    const eloNeedsRebuild = await db.sqliteColumnIsNotNull('elo_history', 'user_id');
+    if (eloNeedsRebuild) {
+        await rebuildSQLiteEloHistoryTable(db);
+    }
+}
+
+async function rebuildSQLiteMatchesTable(db) {
+    // Create a new matches table with nullable player1_id/player2_id and roster columns.
+    // Preserve existing data and swap tables.
+    await db.withTransaction(async (tx) => {
+        // Temporarily disable foreign keys during rebuild to handle orphaned data
+        await tx.run('PRAGMA foreign_keys = OFF');
+        
+        await tx.run(`
+            CREATE TABLE IF NOT EXISTS matches_new (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                league_id INTEGER NOT NULL,
+                player1_id INTEGER,
+                player2_id INTEGER,
+                player1_roster_id INTEGER,
+                player2_roster_id INTEGER,
+                winner_roster_id INTEGER,
+                player1_sets_won INTEGER DEFAULT 0,
+                player2_sets_won INTEGER DEFAULT 0,
+                player1_points_total INTEGER DEFAULT 0,
+                player2_points_total INTEGER DEFAULT 0,
+                game_type VARCHAR(20) NOT NULL,
+                winner_id INTEGER,
+                player1_elo_before INTEGER,
+                player2_elo_before INTEGER,
+                player1_elo_after INTEGER,
+                player2_elo_after INTEGER,
+                is_accepted BOOLEAN DEFAULT FALSE,
+                accepted_by INTEGER,
+                accepted_at DATETIME,
+                elo_applied BOOLEAN DEFAULT FALSE,
+                elo_applied_at DATETIME,
+                played_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+                FOREIGN KEY (player1_id) REFERENCES users(id),
+                FOREIGN KEY (player2_id) REFERENCES users(id),
+                FOREIGN KEY (winner_id) REFERENCES users(id),
+                FOREIGN KEY (accepted_by) REFERENCES users(id)
+            )
+        `);
+
+        // Copy known columns from old table; roster columns may not exist yet (NULLs are fine).
+        // Only filter out rows with invalid league_id (required foreign key)
+        // Allow NULL user_ids since roster-based matches support placeholders
+        await tx.run(`
+            INSERT INTO matches_new (
+                id, league_id, player1_id, player2_id,
+                player1_roster_id, player2_roster_id, winner_roster_id,
+                player1_sets_won, player2_sets_won, player1_points_total, player2_points_total,
+                game_type, winner_id,
+                player1_elo_before, player2_elo_before, player1_elo_after, player2_elo_after,
+                is_accepted, accepted_by, accepted_at, elo_applied, elo_applied_at, played_at, created_at
+            )
+            SELECT
+                m.id, m.league_id, m.player1_id, m.player2_id,
+                m.player1_roster_id, m.player2_roster_id, m.winner_roster_id,
+                m.player1_sets_won, m.player2_sets_won, m.player1_points_total, m.player2_points_total,
+                m.game_type, m.winner_id,
+                m.player1_elo_before, m.player2_elo_before, m.player1_elo_after, m.player2_elo_after,
+                m.is_accepted, m.accepted_by, m.accepted_at, m.elo_applied, m.elo_applied_at, m.played_at, m.created_at
+            FROM matches m
+            WHERE m.league_id IN (SELECT id FROM leagues)
+        `);
+
+        await tx.run('DROP TABLE matches');
+        await tx.run('ALTER TABLE matches_new RENAME TO matches');
+        
+        // Re-enable foreign keys
+        await tx.run('PRAGMA foreign_keys = ON');
+    });
+}
+
+async function rebuildSQLiteEloHistoryTable(db) {
+    await db.withTransaction(async (tx) => {
+        // Temporarily disable foreign keys during rebuild to handle orphaned data
+        await tx.run('PRAGMA foreign_keys = OFF');
+        
+        await tx.run(`
+            CREATE TABLE IF NOT EXISTS elo_history_new (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER,
+                league_id INTEGER NOT NULL,
+                roster_id INTEGER,
+                match_id INTEGER,
+                elo_before INTEGER NOT NULL,
+                elo_after INTEGER NOT NULL,
+                elo_change INTEGER NOT NULL,
+                recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (league_id) REFERENCES leagues(id),
+                FOREIGN KEY (match_id) REFERENCES matches(id)
+            )
+        `);
+
+        // Only filter out rows with invalid league_id (required foreign key)
+        // Allow NULL user_id and match_id since roster-based ELO supports placeholders
+        await tx.run(`
+            INSERT INTO elo_history_new (
+                id, user_id, league_id, roster_id, match_id, elo_before, elo_after, elo_change, recorded_at
+            )
+            SELECT
+                e.id, e.user_id, e.league_id, e.roster_id, e.match_id, e.elo_before, e.elo_after, e.elo_change, e.recorded_at
+            FROM elo_history e
+            WHERE e.league_id IN (SELECT id FROM leagues)
+        `);
+
+        await tx.run('DROP TABLE elo_history');
+        await tx.run('ALTER TABLE elo_history_new RENAME TO elo_history');
+        
+        // Re-enable foreign keys
+        await tx.run('PRAGMA foreign_keys = ON');
+    });
+}
+
+async function ensureRosterIndexes(db) {
+    // Indexes are safe to create repeatedly.
+    await db.run('CREATE INDEX IF NOT EXISTS idx_league_roster_league_id ON league_roster(league_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_league_roster_user_id ON league_roster(user_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_league_roster_league_elo ON league_roster(league_id, current_elo)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_matches_roster_ids ON matches(league_id, player1_roster_id, player2_roster_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_elo_history_roster_id ON elo_history(roster_id)');
+}
+
+async function migrateLegacyLeagueMembersToRoster(db) {
+    // If legacy league_members table exists and roster is empty, migrate.
+    const legacyExists = await db.tableExists('league_members');
+    if (!legacyExists) return;
+
+    const rosterCount = await db.get('SELECT COUNT(*) as count FROM league_roster');
+    if (rosterCount && Number(rosterCount.count) > 0) return;
+
+    const rows = await db.all(`
+        SELECT lm.league_id, lm.user_id, lm.current_elo, lm.is_admin, lm.joined_at,
+               u.first_name, u.last_name
+        FROM league_members lm
+        JOIN users u ON lm.user_id = u.id
+    `);
+
+    for (const r of rows) {
+        const displayName = `${r.first_name} ${r.last_name}`.trim();
+        const existing = await db.get(
+            'SELECT id FROM league_roster WHERE league_id = ? AND user_id = ?',
+            [r.league_id, r.user_id]
+        );
+        if (existing) continue;
+        await db.run(
+            'INSERT INTO league_roster (league_id, user_id, display_name, current_elo, is_admin, joined_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [r.league_id, r.user_id, displayName, r.current_elo ?? 1200, r.is_admin ?? false, r.joined_at]
+        );
+    }
+}
+
+async function migrateLegacyMatchesToRoster(db) {
+    // Fill roster_id columns from legacy user_id columns if needed.
+    const candidates = await db.all(
+        'SELECT id, league_id, player1_id, player2_id, winner_id, player1_roster_id, player2_roster_id, winner_roster_id FROM matches'
+    );
+    for (const m of candidates) {
+        if (m.player1_roster_id && m.player2_roster_id) continue;
+        if (!m.player1_id || !m.player2_id) continue;
+
+        const p1 = await db.get(
+            'SELECT id FROM league_roster WHERE league_id = ? AND user_id = ?',
+            [m.league_id, m.player1_id]
+        );
+        const p2 = await db.get(
+            'SELECT id FROM league_roster WHERE league_id = ? AND user_id = ?',
+            [m.league_id, m.player2_id]
+        );
+        if (!p1 || !p2) continue;
+
+        let winnerRosterId = null;
+        if (m.winner_id) {
+            const w = await db.get(
+                'SELECT id FROM league_roster WHERE league_id = ? AND user_id = ?',
+                [m.league_id, m.winner_id]
+            );
+            winnerRosterId = w?.id ?? null;
+        }
+
+        await db.run(
+            'UPDATE matches SET player1_roster_id = ?, player2_roster_id = ?, winner_roster_id = ? WHERE id = ?',
+            [p1.id, p2.id, winnerRosterId, m.id]
+        );
+    }
+}
+
+async function migrateLegacyEloHistoryToRoster(db) {
+    const rows = await db.all('SELECT id, league_id, user_id, roster_id FROM elo_history');
+    for (const r of rows) {
+        if (r.roster_id) continue;
+        if (!r.user_id) continue;
+
+        const roster = await db.get(
+            'SELECT id FROM league_roster WHERE league_id = ? AND user_id = ?',
+            [r.league_id, r.user_id]
+        );
+        if (!roster) continue;
+        await db.run('UPDATE elo_history SET roster_id = ? WHERE id = ?', [roster.id, r.id]);
+    }
+}
+
+module.exports = {
+    // The SQLite table rebuilds open their own transactions, and the Postgres steps
+    // tolerate failing statements, which would abort a surrounding transaction
+    transaction: false,
+
+    async up(db) {
+        // Supports:
+        // - Placeholder roster entries (no user_id)
+        // - Matches + ELO history referencing roster entries
+        // - Migration from legacy league_members + user-based matches
+        await ensureLeagueRosterTable(db);
+        await ensureRosterParticipationColumn(db);
+        await ensureMatchesRosterColumns(db);
+        await ensureEloHistoryRosterColumn(db);
+        await ensureRosterLegacyNullability(db);
+        await ensureRosterIndexes(db);
+        await migrateLegacyLeagueMembersToRoster(db);
+        await migrateLegacyMatchesToRoster(db);
+        await migrateLegacyEloHistoryToRoster(db);
+    }
+};
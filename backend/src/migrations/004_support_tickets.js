@@ -0,0 +1,40 @@
+/**
+ * Support ticket table
+ */
+module.exports = {
+    async up(db) {
+        // Idempotently ensure the tickets table exists on both SQLite and Postgres.
+        if (db.isPg) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS tickets (
+                    id SERIAL PRIMARY KEY,
+                    category VARCHAR(50) NOT NULL,
+                    subject VARCHAR(200),
+                    email VARCHAR(255),
+                    message TEXT NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'open',
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    updated_at TIMESTAMP DEFAULT NOW(),
+                    closed_at TIMESTAMP
+                )
+            `);
+        } else {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS tickets (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    category VARCHAR(50) NOT NULL,
+                    subject VARCHAR(200),
+                    email VARCHAR(255),
+                    message TEXT NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'open',
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    closed_at DATETIME
+                )
+            `);
+        }
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_tickets_created_at ON tickets(created_at)');
+    }
+};
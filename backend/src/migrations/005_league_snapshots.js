@@ -0,0 +1,32 @@
+/**
+ * League snapshot cache table
+ */
+module.exports = {
+    async up(db) {
+        if (db.isPg) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS league_snapshots (
+                    league_id INTEGER PRIMARY KEY REFERENCES leagues(id) ON DELETE CASCADE,
+                    payload JSONB NOT NULL,
+                    updated_at TIMESTAMP DEFAULT NOW(),
+                    dirty BOOLEAN DEFAULT TRUE,
+                    version INTEGER DEFAULT 1
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_league_snapshots_dirty ON league_snapshots(dirty)');
+            return;
+        }
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS league_snapshots (
+                league_id INTEGER PRIMARY KEY,
+                payload TEXT NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                dirty BOOLEAN DEFAULT TRUE,
+                version INTEGER DEFAULT 1,
+                FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_league_snapshots_dirty ON league_snapshots(dirty)');
+    }
+};
@@ -0,0 +1,41 @@
+/**
+ * League join request table
+ */
+module.exports = {
+    async up(db) {
+        if (db.isPg) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS league_join_requests (
+                    id SERIAL PRIMARY KEY,
+                    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    responded_at TIMESTAMP,
+                    responded_by INTEGER REFERENCES users(id)
+                )
+            `);
+        } else {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS league_join_requests (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    league_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    responded_at DATETIME,
+                    responded_by INTEGER,
+                    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (responded_by) REFERENCES users(id)
+                )
+            `);
+        }
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_league_join_requests_league_id ON league_join_requests(league_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_league_join_requests_user_id ON league_join_requests(user_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_league_join_requests_status ON league_join_requests(status)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_league_join_requests_league_status ON league_join_requests(league_id, status)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_league_join_requests_league_user_status ON league_join_requests(league_id, user_id, status)');
+    }
+};
@@ -0,0 +1,121 @@
+/**
+ * Tournament bracket tables
+ */
+module.exports = {
+    async up(db) {
+        if (db.isPg) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS tournaments (
+                    id SERIAL PRIMARY KEY,
+                    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+                    name VARCHAR(200) NOT NULL,
+                    format VARCHAR(30) NOT NULL DEFAULT 'single_elimination',
+                    status VARCHAR(20) NOT NULL DEFAULT 'active',
+                    award_badge_id INTEGER REFERENCES badges(id),
+                    champion_roster_id INTEGER REFERENCES league_roster(id),
+                    created_by INTEGER NOT NULL REFERENCES users(id),
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    completed_at TIMESTAMP
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS tournament_participants (
+                    id SERIAL PRIMARY KEY,
+                    tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+                    roster_id INTEGER NOT NULL REFERENCES league_roster(id) ON DELETE CASCADE,
+                    seed INTEGER NOT NULL,
+                    seed_elo INTEGER NOT NULL,
+                    UNIQUE(tournament_id, roster_id)
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS tournament_matches (
+                    id SERIAL PRIMARY KEY,
+                    tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+                    match_key VARCHAR(20) NOT NULL,
+                    bracket VARCHAR(20) NOT NULL,
+                    round INTEGER NOT NULL,
+                    position INTEGER NOT NULL,
+                    player1_roster_id INTEGER REFERENCES league_roster(id),
+                    player2_roster_id INTEGER REFERENCES league_roster(id),
+                    entrants INTEGER NOT NULL DEFAULT 2,
+                    winner_roster_id INTEGER REFERENCES league_roster(id),
+                    loser_roster_id INTEGER REFERENCES league_roster(id),
+                    match_id INTEGER REFERENCES matches(id) ON DELETE SET NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    next_match_key VARCHAR(20),
+                    next_match_slot INTEGER,
+                    loser_next_match_key VARCHAR(20),
+                    loser_next_match_slot INTEGER,
+                    updated_at TIMESTAMP DEFAULT NOW(),
+                    UNIQUE(tournament_id, match_key)
+                )
+            `);
+        } else {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS tournaments (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    league_id INTEGER NOT NULL,
+                    name VARCHAR(200) NOT NULL,
+                    format VARCHAR(30) NOT NULL DEFAULT 'single_elimination',
+                    status VARCHAR(20) NOT NULL DEFAULT 'active',
+                    award_badge_id INTEGER,
+                    champion_roster_id INTEGER,
+                    created_by INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    completed_at DATETIME,
+                    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+                    FOREIGN KEY (award_badge_id) REFERENCES badges(id),
+                    FOREIGN KEY (champion_roster_id) REFERENCES league_roster(id),
+                    FOREIGN KEY (created_by) REFERENCES users(id)
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS tournament_participants (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tournament_id INTEGER NOT NULL,
+                    roster_id INTEGER NOT NULL,
+                    seed INTEGER NOT NULL,
+                    seed_elo INTEGER NOT NULL,
+                    FOREIGN KEY (tournament_id) REFERENCES tournaments(id) ON DELETE CASCADE,
+                    FOREIGN KEY (roster_id) REFERENCES league_roster(id) ON DELETE CASCADE,
+                    UNIQUE(tournament_id, roster_id)
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS tournament_matches (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tournament_id INTEGER NOT NULL,
+                    match_key VARCHAR(20) NOT NULL,
+                    bracket VARCHAR(20) NOT NULL,
+                    round INTEGER NOT NULL,
+                    position INTEGER NOT NULL,
+                    player1_roster_id INTEGER,
+                    player2_roster_id INTEGER,
+                    entrants INTEGER NOT NULL DEFAULT 2,
+                    winner_roster_id INTEGER,
+                    loser_roster_id INTEGER,
+                    match_id INTEGER,
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    next_match_key VARCHAR(20),
+                    next_match_slot INTEGER,
+                    loser_next_match_key VARCHAR(20),
+                    loser_next_match_slot INTEGER,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (tournament_id) REFERENCES tournaments(id) ON DELETE CASCADE,
+                    FOREIGN KEY (player1_roster_id) REFERENCES league_roster(id),
+                    FOREIGN KEY (player2_roster_id) REFERENCES league_roster(id),
+                    FOREIGN KEY (winner_roster_id) REFERENCES league_roster(id),
+                    FOREIGN KEY (loser_roster_id) REFERENCES league_roster(id),
+                    FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE SET NULL,
+                    UNIQUE(tournament_id, match_key)
+                )
+            `);
+        }
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_tournaments_league_id ON tournaments(league_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_tournament_participants_tournament_id ON tournament_participants(tournament_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_tournament_matches_tournament_id ON tournament_matches(tournament_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_tournament_matches_match_id ON tournament_matches(match_id)');
+    }
+};
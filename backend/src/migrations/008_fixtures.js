@@ -0,0 +1,49 @@
+/**
+ * Round-robin fixture table
+ */
+module.exports = {
+    async up(db) {
+        if (db.isPg) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS fixtures (
+                    id SERIAL PRIMARY KEY,
+                    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+                    season VARCHAR(100),
+                    round INTEGER NOT NULL,
+                    leg INTEGER NOT NULL DEFAULT 1,
+                    player1_roster_id INTEGER NOT NULL REFERENCES league_roster(id) ON DELETE CASCADE,
+                    player2_roster_id INTEGER NOT NULL REFERENCES league_roster(id) ON DELETE CASCADE,
+                    due_date DATE,
+                    match_id INTEGER REFERENCES matches(id) ON DELETE SET NULL,
+                    created_by INTEGER REFERENCES users(id),
+                    created_at TIMESTAMP DEFAULT NOW()
+                )
+            `);
+        } else {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS fixtures (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    league_id INTEGER NOT NULL,
+                    season VARCHAR(100),
+                    round INTEGER NOT NULL,
+                    leg INTEGER NOT NULL DEFAULT 1,
+                    player1_roster_id INTEGER NOT NULL,
+                    player2_roster_id INTEGER NOT NULL,
+                    due_date DATE,
+                    match_id INTEGER,
+                    created_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+                    FOREIGN KEY (player1_roster_id) REFERENCES league_roster(id) ON DELETE CASCADE,
+                    FOREIGN KEY (player2_roster_id) REFERENCES league_roster(id) ON DELETE CASCADE,
+                    FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE SET NULL,
+                    FOREIGN KEY (created_by) REFERENCES users(id)
+                )
+            `);
+        }
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_fixtures_league_id ON fixtures(league_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_fixtures_league_due ON fixtures(league_id, due_date)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_fixtures_match_id ON fixtures(match_id)');
+    }
+};
@@ -0,0 +1,12 @@
+/**
+ * Per-league rating engine columns
+ */
+module.exports = {
+    async up(db) {
+        const realType = db.isPg ? 'DOUBLE PRECISION' : 'REAL';
+        await db.ensureColumnExists('leagues', 'rating_engine', "VARCHAR(20) DEFAULT 'elo'");
+        await db.ensureColumnExists('leagues', 'rating_config', 'TEXT');
+        await db.ensureColumnExists('league_roster', 'rating_deviation', realType);
+        await db.ensureColumnExists('league_roster', 'rating_volatility', realType);
+    }
+};
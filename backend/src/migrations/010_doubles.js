@@ -0,0 +1,75 @@
+/**
+ * Doubles matches: partner columns and team ratings
+ */
+module.exports = {
+    async up(db) {
+        await db.ensureColumnExists('league_roster', 'doubles_elo', 'INTEGER');
+        await db.ensureColumnExists('matches', 'is_doubles', 'BOOLEAN DEFAULT FALSE');
+        await db.ensureColumnExists('matches', 'player1_partner_roster_id', 'INTEGER');
+        await db.ensureColumnExists('matches', 'player2_partner_roster_id', 'INTEGER');
+
+        if (db.isPg) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS league_doubles_pairs (
+                    id SERIAL PRIMARY KEY,
+                    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+                    roster1_id INTEGER NOT NULL REFERENCES league_roster(id) ON DELETE CASCADE,
+                    roster2_id INTEGER NOT NULL REFERENCES league_roster(id) ON DELETE CASCADE,
+                    current_elo INTEGER,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    UNIQUE(league_id, roster1_id, roster2_id)
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS doubles_elo_history (
+                    id SERIAL PRIMARY KEY,
+                    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+                    match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+                    roster_id INTEGER REFERENCES league_roster(id) ON DELETE CASCADE,
+                    pair_id INTEGER REFERENCES league_doubles_pairs(id) ON DELETE CASCADE,
+                    elo_before INTEGER NOT NULL,
+                    elo_after INTEGER NOT NULL,
+                    elo_change INTEGER NOT NULL,
+                    recorded_at TIMESTAMP DEFAULT NOW()
+                )
+            `);
+        } else {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS league_doubles_pairs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    league_id INTEGER NOT NULL,
+                    roster1_id INTEGER NOT NULL,
+                    roster2_id INTEGER NOT NULL,
+                    current_elo INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+                    FOREIGN KEY (roster1_id) REFERENCES league_roster(id) ON DELETE CASCADE,
+                    FOREIGN KEY (roster2_id) REFERENCES league_roster(id) ON DELETE CASCADE,
+                    UNIQUE(league_id, roster1_id, roster2_id)
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS doubles_elo_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    league_id INTEGER NOT NULL,
+                    match_id INTEGER NOT NULL,
+                    roster_id INTEGER,
+                    pair_id INTEGER,
+                    elo_before INTEGER NOT NULL,
+                    elo_after INTEGER NOT NULL,
+                    elo_change INTEGER NOT NULL,
+                    recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+                    FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
+                    FOREIGN KEY (roster_id) REFERENCES league_roster(id) ON DELETE CASCADE,
+                    FOREIGN KEY (pair_id) REFERENCES league_doubles_pairs(id) ON DELETE CASCADE
+                )
+            `);
+        }
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_league_doubles_pairs_league_id ON league_doubles_pairs(league_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_doubles_elo_history_league_match ON doubles_elo_history(league_id, match_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_doubles_elo_history_roster_id ON doubles_elo_history(roster_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_doubles_elo_history_pair_id ON doubles_elo_history(pair_id)');
+    }
+};
@@ -0,0 +1,81 @@
+/**
+ * League seasons and archived standings
+ */
+module.exports = {
+    async up(db) {
+        await db.ensureColumnExists('matches', 'season_id', 'INTEGER');
+        await db.ensureColumnExists('user_badges', 'season_id', 'INTEGER');
+
+        if (db.isPg) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS seasons (
+                    id SERIAL PRIMARY KEY,
+                    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+                    name VARCHAR(100) NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'active',
+                    start_date DATE NOT NULL,
+                    end_date DATE,
+                    rating_reset VARCHAR(20) NOT NULL DEFAULT 'carry_over',
+                    reset_factor DOUBLE PRECISION,
+                    champion_roster_id INTEGER REFERENCES league_roster(id) ON DELETE SET NULL,
+                    created_by INTEGER REFERENCES users(id),
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    closed_at TIMESTAMP
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS season_standings (
+                    id SERIAL PRIMARY KEY,
+                    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+                    roster_id INTEGER REFERENCES league_roster(id) ON DELETE SET NULL,
+                    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    display_name VARCHAR(100) NOT NULL,
+                    final_rank INTEGER NOT NULL,
+                    final_elo INTEGER NOT NULL,
+                    matches_played INTEGER NOT NULL DEFAULT 0,
+                    matches_won INTEGER NOT NULL DEFAULT 0
+                )
+            `);
+        } else {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS seasons (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    league_id INTEGER NOT NULL,
+                    name VARCHAR(100) NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'active',
+                    start_date DATE NOT NULL,
+                    end_date DATE,
+                    rating_reset VARCHAR(20) NOT NULL DEFAULT 'carry_over',
+                    reset_factor REAL,
+                    champion_roster_id INTEGER,
+                    created_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    closed_at DATETIME,
+                    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+                    FOREIGN KEY (champion_roster_id) REFERENCES league_roster(id) ON DELETE SET NULL,
+                    FOREIGN KEY (created_by) REFERENCES users(id)
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS season_standings (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    season_id INTEGER NOT NULL,
+                    roster_id INTEGER,
+                    user_id INTEGER,
+                    display_name VARCHAR(100) NOT NULL,
+                    final_rank INTEGER NOT NULL,
+                    final_elo INTEGER NOT NULL,
+                    matches_played INTEGER NOT NULL DEFAULT 0,
+                    matches_won INTEGER NOT NULL DEFAULT 0,
+                    FOREIGN KEY (season_id) REFERENCES seasons(id) ON DELETE CASCADE,
+                    FOREIGN KEY (roster_id) REFERENCES league_roster(id) ON DELETE SET NULL,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+        }
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_seasons_league_id ON seasons(league_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_season_standings_season_id ON season_standings(season_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_matches_season_id ON matches(season_id)');
+    }
+};
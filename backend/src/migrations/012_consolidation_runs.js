@@ -0,0 +1,90 @@
+/**
+ * Consolidation run log
+ */
+module.exports = {
+    async up(db) {
+        await db.ensureColumnExists('matches', 'consolidation_run_id', 'INTEGER');
+
+        if (db.isPg) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS consolidation_runs (
+                    id SERIAL PRIMARY KEY,
+                    league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+                    triggered_via VARCHAR(20) NOT NULL,
+                    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    period_start TIMESTAMP,
+                    period_end TIMESTAMP,
+                    matches_applied INTEGER NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    rolled_back_at TIMESTAMP,
+                    rolled_back_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS consolidation_run_entries (
+                    id SERIAL PRIMARY KEY,
+                    run_id INTEGER NOT NULL REFERENCES consolidation_runs(id) ON DELETE CASCADE,
+                    roster_id INTEGER REFERENCES league_roster(id) ON DELETE SET NULL,
+                    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    elo_before INTEGER,
+                    elo_after INTEGER,
+                    elo_change INTEGER NOT NULL DEFAULT 0,
+                    rating_deviation_before DOUBLE PRECISION,
+                    rating_volatility_before DOUBLE PRECISION,
+                    doubles_elo_before INTEGER,
+                    doubles_elo_after INTEGER,
+                    matches_applied INTEGER NOT NULL DEFAULT 0
+                )
+            `);
+        } else {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS consolidation_runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    league_id INTEGER NOT NULL,
+                    triggered_via VARCHAR(20) NOT NULL,
+                    triggered_by INTEGER,
+                    period_start DATETIME,
+                    period_end DATETIME,
+                    matches_applied INTEGER NOT NULL DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    rolled_back_at DATETIME,
+                    rolled_back_by INTEGER,
+                    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+                    FOREIGN KEY (triggered_by) REFERENCES users(id) ON DELETE SET NULL,
+                    FOREIGN KEY (rolled_back_by) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS consolidation_run_entries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    run_id INTEGER NOT NULL,
+                    roster_id INTEGER,
+                    user_id INTEGER,
+                    elo_before INTEGER,
+                    elo_after INTEGER,
+                    elo_change INTEGER NOT NULL DEFAULT 0,
+                    rating_deviation_before REAL,
+                    rating_volatility_before REAL,
+                    doubles_elo_before INTEGER,
+                    doubles_elo_after INTEGER,
+                    matches_applied INTEGER NOT NULL DEFAULT 0,
+                    FOREIGN KEY (run_id) REFERENCES consolidation_runs(id) ON DELETE CASCADE,
+                    FOREIGN KEY (roster_id) REFERENCES league_roster(id) ON DELETE SET NULL,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+        }
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_consolidation_runs_league_id ON consolidation_runs(league_id)');
+
+        // Columns added after the tables were introduced
+        const realType = db.isPg ? 'DOUBLE PRECISION' : 'REAL';
+        await db.ensureColumnExists('consolidation_runs', 'rolled_back_at', db.isPg ? 'TIMESTAMP' : 'DATETIME');
+        await db.ensureColumnExists('consolidation_runs', 'rolled_back_by', 'INTEGER');
+        await db.ensureColumnExists('consolidation_run_entries', 'rating_deviation_before', realType);
+        await db.ensureColumnExists('consolidation_run_entries', 'rating_volatility_before', realType);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_consolidation_run_entries_run_id ON consolidation_run_entries(run_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_matches_consolidation_run_id ON matches(consolidation_run_id)');
+    }
+};
@@ -0,0 +1,59 @@
+/**
+ * Opponent confirmation columns and match disputes
+ */
+module.exports = {
+    async up(db) {
+        const timestampType = db.isPg ? 'TIMESTAMP' : 'DATETIME';
+        await db.ensureColumnExists('leagues', 'result_confirmation', "VARCHAR(20) DEFAULT 'admin'");
+        await db.ensureColumnExists('leagues', 'confirmation_timeout_hours', 'INTEGER DEFAULT 48');
+        await db.ensureColumnExists('matches', 'confirmation_status', 'VARCHAR(20)');
+        await db.ensureColumnExists('matches', 'confirmation_deadline', timestampType);
+        await db.ensureColumnExists('matches', 'confirmed_by', 'INTEGER');
+
+        if (db.isPg) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS match_disputes (
+                    id SERIAL PRIMARY KEY,
+                    match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+                    disputed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    reason TEXT,
+                    player1_sets_won INTEGER NOT NULL,
+                    player2_sets_won INTEGER NOT NULL,
+                    player1_points_total INTEGER,
+                    player2_points_total INTEGER,
+                    sets TEXT,
+                    status VARCHAR(20) NOT NULL DEFAULT 'open',
+                    resolution VARCHAR(20),
+                    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    resolved_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT NOW()
+                )
+            `);
+        } else {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS match_disputes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    match_id INTEGER NOT NULL,
+                    disputed_by INTEGER,
+                    reason TEXT,
+                    player1_sets_won INTEGER NOT NULL,
+                    player2_sets_won INTEGER NOT NULL,
+                    player1_points_total INTEGER,
+                    player2_points_total INTEGER,
+                    sets TEXT,
+                    status VARCHAR(20) NOT NULL DEFAULT 'open',
+                    resolution VARCHAR(20),
+                    resolved_by INTEGER,
+                    resolved_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
+                    FOREIGN KEY (disputed_by) REFERENCES users(id) ON DELETE SET NULL,
+                    FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+                )
+            `);
+        }
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_match_disputes_match_id ON match_disputes(match_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_matches_confirmation_status ON matches(confirmation_status)');
+    }
+};
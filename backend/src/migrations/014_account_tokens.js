@@ -0,0 +1,27 @@
+/**
+ * Single-use tokens for password reset and email verification, and the
+ * verification timestamp on users
+ */
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE account_tokens (
+                id ${db.types.id},
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                purpose VARCHAR(30) NOT NULL,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                email VARCHAR(255),
+                expires_at ${db.types.timestamp} NOT NULL,
+                used_at ${db.types.timestamp},
+                created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.run('CREATE INDEX idx_account_tokens_user_purpose ON account_tokens(user_id, purpose)');
+        await db.ensureColumnExists('users', 'email_verified_at', db.types.timestamp);
+    },
+
+    async down(db) {
+        await db.dropColumn('users', 'email_verified_at');
+        await db.run('DROP TABLE account_tokens');
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * Login sessions: one row per signed-in device, holding the hash of its current
+ * refresh token and of the one it replaced (to spot a stolen token being replayed)
+ */
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE user_sessions (
+                id ${db.types.id},
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+                previous_token_hash VARCHAR(64),
+                rotated_at ${db.types.timestamp},
+                user_agent VARCHAR(500),
+                ip_address VARCHAR(64),
+                created_at ${db.types.timestamp} NOT NULL,
+                last_used_at ${db.types.timestamp} NOT NULL,
+                expires_at ${db.types.timestamp} NOT NULL,
+                revoked_at ${db.types.timestamp},
+                revoked_reason VARCHAR(30)
+            )
+        `);
+        await db.run('CREATE INDEX idx_user_sessions_user ON user_sessions(user_id, revoked_at)');
+        await db.run('CREATE INDEX idx_user_sessions_previous ON user_sessions(previous_token_hash)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE user_sessions');
+    }
+};
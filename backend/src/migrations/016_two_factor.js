@@ -0,0 +1,31 @@
+/**
+ * Two-factor authentication: the TOTP secret on users (plus one awaiting
+ * confirmation during enrollment), the last accepted time step against
+ * replays, and hashed single-use recovery codes
+ */
+module.exports = {
+    async up(db) {
+        await db.ensureColumnExists('users', 'totp_secret', 'VARCHAR(64)');
+        await db.ensureColumnExists('users', 'totp_pending_secret', 'VARCHAR(64)');
+        await db.ensureColumnExists('users', 'totp_enabled_at', db.types.timestamp);
+        await db.ensureColumnExists('users', 'totp_last_used_step', 'INTEGER');
+        await db.run(`
+            CREATE TABLE user_recovery_codes (
+                id ${db.types.id},
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                code_hash VARCHAR(64) NOT NULL,
+                used_at ${db.types.timestamp},
+                created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.run('CREATE INDEX idx_user_recovery_codes_user ON user_recovery_codes(user_id, code_hash)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE user_recovery_codes');
+        await db.dropColumn('users', 'totp_last_used_step');
+        await db.dropColumn('users', 'totp_enabled_at');
+        await db.dropColumn('users', 'totp_pending_secret');
+        await db.dropColumn('users', 'totp_secret');
+    }
+};
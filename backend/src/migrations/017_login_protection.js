@@ -0,0 +1,39 @@
+/**
+ * Failed sign-in tracking per username (for progressive delays and lockouts)
+ * and the devices each user has signed in from (for new-device alerts)
+ */
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE failed_login_attempts (
+                id ${db.types.id},
+                username VARCHAR(100) NOT NULL UNIQUE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                attempt_count INTEGER NOT NULL DEFAULT 0,
+                lock_count INTEGER NOT NULL DEFAULT 0,
+                last_failed_at ${db.types.timestamp},
+                last_ip_address VARCHAR(64),
+                locked_until ${db.types.timestamp},
+                created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                updated_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.run('CREATE INDEX idx_failed_login_attempts_locked ON failed_login_attempts(locked_until)');
+        await db.run(`
+            CREATE TABLE user_devices (
+                id ${db.types.id},
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                device_hash VARCHAR(64) NOT NULL,
+                description VARCHAR(200),
+                first_seen_at ${db.types.timestamp} NOT NULL,
+                last_seen_at ${db.types.timestamp} NOT NULL,
+                UNIQUE (user_id, device_hash)
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE user_devices');
+        await db.run('DROP TABLE failed_login_attempts');
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * Idempotency keys of match submissions, so a retried or replayed
+ * POST /api/matches returns the match it created the first time
+ */
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE idempotency_keys (
+                id ${db.types.id},
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                idempotency_key VARCHAR(100) NOT NULL,
+                request_hash VARCHAR(64) NOT NULL,
+                match_id INTEGER REFERENCES matches(id) ON DELETE SET NULL,
+                created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, idempotency_key)
+            )
+        `);
+        await db.run('CREATE INDEX idx_idempotency_keys_created ON idempotency_keys(created_at)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE idempotency_keys');
+    }
+};
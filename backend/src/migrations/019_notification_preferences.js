@@ -0,0 +1,37 @@
+/**
+ * Per-user notification settings (only choices that differ from the defaults
+ * in utils/notifications.js are stored) and browsers subscribed to web push
+ */
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE notification_preferences (
+                id ${db.types.id},
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                type VARCHAR(50) NOT NULL,
+                channel VARCHAR(20) NOT NULL,
+                enabled BOOLEAN NOT NULL,
+                updated_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, type, channel)
+            )
+        `);
+        await db.run(`
+            CREATE TABLE push_subscriptions (
+                id ${db.types.id},
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                endpoint TEXT NOT NULL UNIQUE,
+                p256dh VARCHAR(200) NOT NULL,
+                auth VARCHAR(100) NOT NULL,
+                user_agent VARCHAR(500),
+                created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                last_used_at ${db.types.timestamp}
+            )
+        `);
+        await db.run('CREATE INDEX idx_push_subscriptions_user ON push_subscriptions(user_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE push_subscriptions');
+        await db.run('DROP TABLE notification_preferences');
+    }
+};
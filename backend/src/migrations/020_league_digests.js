@@ -0,0 +1,24 @@
+/**
+ * Weekly league digests that were sent, one per league and week
+ */
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE league_digests (
+                id ${db.types.id},
+                league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+                week_start ${db.types.timestamp} NOT NULL,
+                triggered_via VARCHAR(20) NOT NULL,
+                matches_played INTEGER NOT NULL DEFAULT 0,
+                recipients INTEGER NOT NULL DEFAULT 0,
+                summary ${db.types.json},
+                created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (league_id, week_start)
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE league_digests');
+    }
+};
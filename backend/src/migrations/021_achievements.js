@@ -0,0 +1,65 @@
+/**
+ * Automatic achievements: the standard badge of each rule (badges.achievement_key),
+ * per-league rule settings and the log of awards, one per player, rule and season
+ */
+
+// Standard badge of each rule in utils/achievements.js
+const STANDARD_BADGES = [
+    ['first_win', 'First Win', 'Won a first match in the league.', 'star'],
+    ['win_streak_10', 'Unstoppable', 'Won 10 matches in a row.', 'fire'],
+    ['matches_50', 'Regular', 'Played 50 matches.', 'calendar'],
+    ['giant_slayer', 'Giant Slayer', 'Beat a player rated at least 200 points higher.', 'comeback'],
+    ['rating_1500', 'Rising Star', 'Reached a rating of 1500.', 'trending'],
+    ['perfect_sweep', 'Clean Sweep', 'Won a match 3-0 in sets.', 'target']
+];
+
+module.exports = {
+    async up(db) {
+        await db.ensureColumnExists('badges', 'achievement_key', 'VARCHAR(50)');
+        for (const [key, name, description, icon] of STANDARD_BADGES) {
+            const existing = await db.get('SELECT id FROM badges WHERE achievement_key = ?', [key]);
+            if (!existing) {
+                await db.run(
+                    `INSERT INTO badges (name, description, icon, badge_type, visibility, achievement_key)
+                     VALUES (?, ?, ?, 'achievement', 'public', ?)`,
+                    [name, description, icon, key]
+                );
+            }
+        }
+
+        await db.run(`
+            CREATE TABLE league_achievement_rules (
+                id ${db.types.id},
+                league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+                rule_key VARCHAR(50) NOT NULL,
+                enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                badge_id INTEGER REFERENCES badges(id) ON DELETE SET NULL,
+                updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                updated_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (league_id, rule_key)
+            )
+        `);
+        // season_key is the season id, or 0 for matches outside any season
+        await db.run(`
+            CREATE TABLE achievement_awards (
+                id ${db.types.id},
+                league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+                season_key INTEGER NOT NULL DEFAULT 0,
+                rule_key VARCHAR(50) NOT NULL,
+                roster_id INTEGER NOT NULL REFERENCES league_roster(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                user_badge_id INTEGER REFERENCES user_badges(id) ON DELETE SET NULL,
+                match_id INTEGER REFERENCES matches(id) ON DELETE SET NULL,
+                awarded_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (league_id, season_key, rule_key, roster_id)
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE achievement_awards');
+        await db.run('DROP TABLE league_achievement_rules');
+        await db.run('DELETE FROM badges WHERE achievement_key IS NOT NULL AND id NOT IN (SELECT badge_id FROM user_badges)');
+        await db.dropColumn('badges', 'achievement_key');
+    }
+};
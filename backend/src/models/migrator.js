@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const database = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+// Arbitrary key for pg_advisory_lock, so concurrent serverless instances migrate one at a time
+const PG_LOCK_KEY = 728164;
+
+class MigrationError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'MigrationError';
+    }
+}
+
+/**
+ * "004_support_tickets.js" -> { version: 4, name: 'support_tickets' }; null for other files
+ */
+function parseMigrationFileName(fileName) {
+    const match = MIGRATION_FILE_PATTERN.exec(fileName);
+    if (!match) return null;
+    return { version: parseInt(match[1], 10), name: match[2] };
+}
+
+/**
+ * Load the migration modules in version order. Each module exports up(db),
+ * optionally down(db), and transaction: false to run outside a transaction.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = [];
+    for (const fileName of fs.readdirSync(dir).sort()) {
+        const parsed = parseMigrationFileName(fileName);
+        if (!parsed) continue;
+        const filePath = path.join(dir, fileName);
+        const module = require(filePath);
+        if (typeof module.up !== 'function') {
+            throw new MigrationError(`Migration ${fileName} does not export up()`);
+        }
+        migrations.push({
+            ...parsed,
+            id: fileName.replace(/\.js$/, ''),
+            // Line endings normalized so a Windows checkout does not count as modified
+            checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n')).digest('hex'),
+            transaction: module.transaction !== false,
+            reversible: typeof module.down === 'function',
+            up: module.up,
+            down: module.down,
+        });
+    }
+    migrations.sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i += 1) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new MigrationError(`Migrations ${migrations[i - 1].id} and ${migrations[i].id} share version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+/**
+ * Compare the migration files with the rows of schema_migrations
+ */
+function planMigrations(migrations, appliedRows) {
+    const appliedByVersion = new Map(appliedRows.map((row) => [Number(row.version), row]));
+    const known = new Set(migrations.map((migration) => migration.version));
+    const entries = migrations.map((migration) => {
+        const applied = appliedByVersion.get(migration.version);
+        return {
+            version: migration.version,
+            name: migration.name,
+            id: migration.id,
+            status: applied ? 'applied' : 'pending',
+            applied_at: applied?.applied_at ?? null,
+            reversible: migration.reversible,
+            modified: !!(applied?.checksum && applied.checksum !== migration.checksum),
+        };
+    });
+    const unknown = appliedRows
+        .filter((row) => !known.has(Number(row.version)))
+        .map((row) => ({ version: Number(row.version), name: row.name, applied_at: row.applied_at }));
+    const appliedVersions = [...appliedByVersion.keys()];
+    return {
+        current_version: appliedVersions.length ? Math.max(...appliedVersions) : 0,
+        latest_version: migrations.length ? migrations[migrations.length - 1].version : 0,
+        pending: entries.filter((entry) => entry.status === 'pending').length,
+        migrations: entries,
+        unknown,
+    };
+}
+
+/**
+ * Applied migrations to roll back, newest first: the last `steps` ones, or all above `to`
+ */
+function selectRollback(migrations, appliedRows, { steps = 1, to = null } = {}) {
+    const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+    const applied = appliedRows.map((row) => Number(row.version)).sort((a, b) => b - a);
+    const versions = to === null || to === undefined
+        ? applied.slice(0, Math.max(0, steps))
+        : applied.filter((version) => version > to);
+    return versions.map((version) => {
+        const migration = byVersion.get(version);
+        if (!migration) {
+            throw new MigrationError(`Migration ${version} is applied but its file is missing`);
+        }
+        if (!migration.reversible) {
+            throw new MigrationError(`Migration ${migration.id} has no down() and cannot be rolled back`);
+        }
+        return migration;
+    });
+}
+
+/**
+ * Helpers handed to migrations as `db`, on top of run/get/all, so that one
+ * migration file serves both SQLite and Postgres
+ */
+function createMigrationContext(executor, { withTransaction = null } = {}) {
+    const { isPg } = database;
+    const context = {
+        isPg,
+        run: (sql, params) => executor.run(sql, params),
+        get: (sql, params) => executor.get(sql, params),
+        all: (sql, params) => executor.all(sql, params),
+        // Column types that differ between the dialects
+        types: {
+            id: isPg ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            timestamp: isPg ? 'TIMESTAMP' : 'DATETIME',
+            real: isPg ? 'DOUBLE PRECISION' : 'REAL',
+            json: isPg ? 'JSONB' : 'TEXT',
+        },
+
+        async tableExists(tableName) {
+            if (isPg) {
+                const row = await executor.get(
+                    `SELECT EXISTS (
+                        SELECT 1 FROM information_schema.tables
+                        WHERE table_schema = 'public' AND table_name = ?
+                    ) as exists`,
+                    [tableName]
+                );
+                return !!row?.exists;
+            }
+            const row = await executor.get(
+                `SELECT name FROM sqlite_master WHERE type='table' AND name = ?`,
+                [tableName]
+            );
+            return !!row;
+        },
+
+        async columnExists(tableName, columnName) {
+            if (isPg) {
+                const row = await executor.get(
+                    `SELECT EXISTS (
+                        SELECT 1 FROM information_schema.columns
+                        WHERE table_name = ? AND column_name = ?
+                    ) as exists`,
+                    [tableName, columnName]
+                );
+                return !!row?.exists;
+            }
+            const columns = await executor.all(`PRAGMA table_info(${tableName})`);
+            return columns.some((column) => column.name === columnName);
+        },
+
+        async ensureColumnExists(tableName, columnName, columnType) {
+            if (await context.columnExists(tableName, columnName)) return;
+            await executor.run(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnType}`);
+        },
+
+        async dropColumn(tableName, columnName) {
+            if (!(await context.columnExists(tableName, columnName))) return;
+            await executor.run(`ALTER TABLE ${tableName} DROP COLUMN ${columnName}`);
+        },
+
+        async sqliteColumnIsNotNull(tableName, columnName) {
+            if (isPg) return false;
+            const columns = await executor.all(`PRAGMA table_info(${tableName})`);
+            return !!columns.find((column) => column.name === columnName)?.notnull;
+        },
+    };
+    if (withTransaction) {
+        context.withTransaction = withTransaction;
+    }
+    return context;
+}
+
+async function ensureMigrationsTable() {
+    await database.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(200) NOT NULL,
+            checksum VARCHAR(64),
+            applied_at ${database.isPg ? 'TIMESTAMP DEFAULT NOW()' : 'DATETIME DEFAULT CURRENT_TIMESTAMP'},
+            duration_ms INTEGER
+        )
+    `);
+}
+
+async function getAppliedRows() {
+    await ensureMigrationsTable();
+    return database.all(
+        'SELECT version, name, checksum, CAST(applied_at AS TEXT) AS applied_at FROM schema_migrations ORDER BY version'
+    );
+}
+
+// Run fn while holding the migration lock (Postgres); SQLite serializes writers itself
+async function withMigrationLock(fn) {
+    if (!database.isPg) return fn();
+    const client = await database.pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [PG_LOCK_KEY]);
+        return await fn();
+    } finally {
+        try { await client.query('SELECT pg_advisory_unlock($1)', [PG_LOCK_KEY]); } catch (_) {}
+        client.release();
+    }
+}
+
+// Run one migration step and record (or remove) its schema_migrations row with it
+async function runStep(migration, direction) {
+    const record = async (executor, durationMs) => {
+        // all() rather than run(): on Postgres run() appends RETURNING id, and this table has no id
+        if (direction === 'up') {
+            await executor.all(
+                'INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES (?, ?, ?, ?)',
+                [migration.version, migration.name, migration.checksum, durationMs]
+            );
+        } else {
+            await executor.all('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+    };
+    const started = Date.now();
+    if (!migration.transaction) {
+        await migration[direction](createMigrationContext(database, {
+            withTransaction: database.withTransaction.bind(database),
+        }));
+        await record(database, Date.now() - started);
+        return;
+    }
+    await database.withTransaction(async (tx) => {
+        await migration[direction](createMigrationContext(tx));
+        await record(tx, Date.now() - started);
+    });
+}
+
+/**
+ * Current state of every migration
+ */
+async function getMigrationStatus(migrations = loadMigrations()) {
+    return planMigrations(migrations, await getAppliedRows());
+}
+
+/**
+ * Apply pending migrations in version order, up to and including `to` when given.
+ * Returns the ids of the migrations applied.
+ */
+async function applyMigrations({ to = null, log = () => {} } = {}, migrations = loadMigrations()) {
+    return withMigrationLock(async () => {
+        const applied = new Set((await getAppliedRows()).map((row) => Number(row.version)));
+        const pending = migrations.filter((migration) => (
+            !applied.has(migration.version) && (to === null || to === undefined || migration.version <= to)
+        ));
+        const done = [];
+        for (const migration of pending) {
+            log(`Applying migration ${migration.id}`);
+            try {
+                await runStep(migration, 'up');
+            } catch (error) {
+                throw new MigrationError(`Migration ${migration.id} failed: ${error.message}`, { cause: error });
+            }
+            done.push(migration.id);
+        }
+        return done;
+    });
+}
+
+/**
+ * Roll back the last `steps` applied migrations, or every migration above `to`.
+ * Returns the ids of the migrations rolled back.
+ */
+async function rollbackMigrations({ steps = 1, to = null, log = () => {} } = {}, migrations = loadMigrations()) {
+    return withMigrationLock(async () => {
+        const targets = selectRollback(migrations, await getAppliedRows(), { steps, to });
+        const done = [];
+        for (const migration of targets) {
+            log(`Rolling back migration ${migration.id}`);
+            try {
+                await runStep(migration, 'down');
+            } catch (error) {
+                throw new MigrationError(`Rollback of ${migration.id} failed: ${error.message}`, { cause: error });
+            }
+            done.push(migration.id);
+        }
+        return done;
+    });
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    MigrationError,
+    parseMigrationFileName,
+    loadMigrations,
+    planMigrations,
+    selectRollback,
+    createMigrationContext,
+    getMigrationStatus,
+    applyMigrations,
+    rollbackMigrations
+};
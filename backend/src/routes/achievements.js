@@ -0,0 +1,58 @@
+const express = require('express');
+const { authenticateToken, requireLeagueAdmin, optionalAuth } = require('../middleware/auth');
+const { validateId, validateAchievementRule } = require('../middleware/validation');
+const { getVisibleLeague } = require('../utils/leagueAccess');
+const {
+    AchievementError,
+    getLeagueAchievementRules,
+    updateAchievementRule
+} = require('../utils/achievements');
+
+// Mounted at /api/leagues/:id/achievements
+const router = express.Router({ mergeParams: true });
+
+/**
+ * List the achievement rules of a league with their settings and badges
+ * GET /api/leagues/:id/achievements
+ */
+router.get('/', optionalAuth, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const access = await getVisibleLeague(req.user, leagueId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const rules = await getLeagueAchievementRules(leagueId);
+        res.json({ rules });
+    } catch (error) {
+        console.error('List achievement rules error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Enable or disable a rule, or attach one of your private badges to it (league admin)
+ * PUT /api/leagues/:id/achievements/:ruleKey
+ *
+ * Body: { enabled?, badge_id? } - badge_id null restores the standard badge.
+ * Changes apply to matches accepted from now on; earned badges are kept.
+ */
+router.put('/:ruleKey', authenticateToken, validateId, requireLeagueAdmin, validateAchievementRule, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const rule = await updateAchievementRule(leagueId, req.params.ruleKey, {
+            enabled: req.body.enabled,
+            badge_id: req.body.badge_id
+        }, req.user);
+        res.json({ message: 'Achievement rule updated', rule });
+    } catch (error) {
+        if (error instanceof AchievementError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Update achievement rule error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -1,48 +1,104 @@
 const express = require('express');
 const { requireAdmin, authenticateToken } = require('../middleware/auth');
 const database = require('../models/database');
+const { validateId } = require('../middleware/validation');
+const { recalculateLeagueRatings } = require('../utils/ratingRecalculation');
+const { MigrationError, getMigrationStatus, applyMigrations } = require('../models/migrator');
+const { listLockedAccounts, unlockAccount } = require('../utils/loginProtection');
 
 const router = express.Router();
 
 /**
- * Run schema maintenance tasks (site admin only)
- * POST /api/admin/migrations/roster-participation
+ * Schema migration status (site admin only)
+ * GET /api/admin/migrations
  */
-router.post('/migrations/roster-participation', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/migrations', authenticateToken, requireAdmin, async (req, res) => {
     try {
-        await database.ensureRosterParticipationColumn();
-        res.json({ message: 'Roster participation migration applied' });
+        res.json(await getMigrationStatus());
     } catch (error) {
-        console.error('Roster participation migration error:', error);
-        res.status(500).json({ error: 'Failed to apply roster participation migration' });
+        console.error('Get migration status error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
- * Run league snapshot migration (site admin only)
- * POST /api/admin/migrations/league-snapshots
+ * Apply pending schema migrations (site admin only)
+ * POST /api/admin/migrations/apply
+ *
+ * For deployments that start with DB_INIT_SKIP=1 and so do not migrate on startup.
+ * Rolling back is only offered by the CLI (scripts/migrate.js).
  */
-router.post('/migrations/league-snapshots', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/migrations/apply', authenticateToken, requireAdmin, async (req, res) => {
     try {
-        await database.ensureLeagueSnapshotsTable();
-        res.json({ message: 'League snapshots migration applied' });
+        const applied = await applyMigrations();
+        res.json({
+            message: applied.length ? `Applied ${applied.length} migration(s)` : 'No pending migrations',
+            applied,
+            status: await getMigrationStatus()
+        });
     } catch (error) {
-        console.error('League snapshots migration error:', error);
-        res.status(500).json({ error: 'Failed to apply league snapshots migration' });
+        console.error('Apply migrations error:', error);
+        res.status(500).json({ error: error instanceof MigrationError ? error.message : 'Failed to apply migrations' });
     }
 });
 
 /**
- * Run join request migration (site admin only)
- * POST /api/admin/migrations/join-requests
+ * Usernames whose sign-in is currently locked after failed attempts (site admin only)
+ * GET /api/admin/lockouts
  */
-router.post('/migrations/join-requests', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/lockouts', authenticateToken, requireAdmin, async (req, res) => {
     try {
-        await database.ensureJoinRequestsTable();
-        res.json({ message: 'Join requests migration applied' });
+        res.json({ lockouts: await listLockedAccounts() });
     } catch (error) {
-        console.error('Join requests migration error:', error);
-        res.status(500).json({ error: 'Failed to apply join requests migration' });
+        console.error('Get lockouts error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Lift a sign-in lockout early (site admin only)
+ * DELETE /api/admin/lockouts/:id
+ */
+router.delete('/lockouts/:id', authenticateToken, requireAdmin, validateId, async (req, res) => {
+    try {
+        const username = await unlockAccount(parseInt(req.params.id));
+        if (!username) {
+            return res.status(404).json({ error: 'Lockout not found' });
+        }
+        res.json({ message: `Sign-in unlocked for ${username}` });
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Recalculate a league's ratings from its full match history (site admin only)
+ * POST /api/admin/leagues/:id/recalculate-ratings
+ * Body: { dry_run?: boolean } - dry run returns the per-roster diff without writing anything
+ */
+router.post('/leagues/:id/recalculate-ratings', authenticateToken, requireAdmin, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const dryRun = req.body?.dry_run === true;
+
+        const league = await database.get('SELECT id, name FROM leagues WHERE id = ? AND is_active = ?', [leagueId, true]);
+        if (!league) {
+            return res.status(404).json({ error: 'League not found' });
+        }
+
+        const result = await recalculateLeagueRatings(leagueId, { dryRun });
+        res.json({
+            message: dryRun
+                ? `Dry run: ${result.changed_matches} of ${result.matches} matches would change`
+                : `${result.matches} matches recalculated for ${league.name}`,
+            dry_run: dryRun,
+            league_id: leagueId,
+            ...result
+        });
+    } catch (error) {
+        console.error('Recalculate league ratings error:', error);
+        res.status(500).json({ error: 'Failed to recalculate league ratings' });
     }
 });
 
@@ -1,14 +1,120 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { generateToken } = require('../utils/jwt');
-const { authenticateToken } = require('../middleware/auth');
-const { validateRegistration, validateLogin } = require('../middleware/validation');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const {
+    validateRegistration,
+    validateLogin,
+    validateForgotPassword,
+    validatePasswordReset,
+    validateEmailVerification,
+    validateTwoFactorCode,
+    validateId
+} = require('../middleware/validation');
 const { moderateText, ModerationError } = require('../middleware/contentModeration');
 const { validateHoneypot } = require('../middleware/captcha');
+const {
+    TOKEN_PURPOSES,
+    TOKEN_TTL_MINUTES,
+    wasTokenIssuedRecently,
+    issueAccountToken,
+    consumeAccountToken,
+    revokeAccountTokens
+} = require('../utils/accountTokens');
+const { pickLanguage, buildPasswordResetEmail, buildVerificationEmail } = require('../utils/accountEmails');
+const { sendMail } = require('../utils/mailer');
+const {
+    SessionError,
+    sessionMetadata,
+    createSession,
+    rotateSession,
+    listSessions,
+    revokeSession,
+    revokeSessionByRefreshToken,
+    revokeUserSessions
+} = require('../utils/sessions');
+const {
+    CHALLENGE_TYPES,
+    TwoFactorError,
+    isTwoFactorRequired,
+    issueChallengeToken,
+    verifyChallengeToken,
+    getTwoFactorStatus,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor
+} = require('../utils/twoFactor');
+const {
+    LoginBlockedError,
+    assertLoginAllowed,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    rememberDevice
+} = require('../utils/loginProtection');
 const database = require('../models/database');
 
 const router = express.Router();
 
+// Language for emails: the UI language sent by the client, else Accept-Language
+const requestLanguage = (req) => pickLanguage(req.body?.language, req.get('accept-language'));
+
+// Email a fresh verification link for the user's current address
+async function sendVerificationEmail(user, language) {
+    const purpose = TOKEN_PURPOSES.EMAIL_VERIFICATION;
+    const { token } = await issueAccountToken(user.id, purpose, { email: user.email });
+    await sendMail({
+        to: user.email,
+        ...buildVerificationEmail({ user, token, minutes: TOKEN_TTL_MINUTES[purpose], language }),
+    });
+}
+
+const LOGIN_USER_COLUMNS = 'id, username, password_hash, first_name, last_name, email, email_verified_at, is_admin, avatar_url, totp_enabled_at';
+
+// Who is signing in from where, for failed-attempt tracking and new-device alerts
+const loginContext = (req) => ({
+    ...sessionMetadata(req),
+    device_id: req.body?.device_id || null,
+    language: requestLanguage(req)
+});
+
+function sendLoginBlocked(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({ error: error.message, code: error.code, retry_after: error.retryAfter });
+}
+
+// Open a session for this device; the response body shared by every way of signing in
+async function signIn(req, user) {
+    await recordSuccessfulLogin(user, loginContext(req));
+    const { token, refresh_token: refreshToken } = await createSession(user, sessionMetadata(req));
+    return {
+        message: 'Login successful',
+        user: {
+            id: user.id,
+            username: user.username,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            email: user.email,
+            email_verified: !!user.email_verified_at,
+            is_admin: user.is_admin,
+            avatar_url: user.avatar_url || null
+        },
+        token,
+        refresh_token: refreshToken
+    };
+}
+
+// Registration and email changes still succeed when the verification email cannot be sent
+async function trySendVerificationEmail(user, language) {
+    try {
+        await sendVerificationEmail(user, language);
+        return true;
+    } catch (error) {
+        console.error('Verification email error:', error);
+        return false;
+    }
+}
+
 /**
  * Register new user
  * POST /api/auth/register
@@ -60,8 +166,15 @@ router.post('/register', validateHoneypot, validateRegistration, async (req, res
             [result.id]
         );
         
-        // Generate token
-        const token = generateToken(user);
+        const emailVerificationSent = user.email
+            ? await trySendVerificationEmail(user, requestLanguage(req))
+            : false;
+
+        // Sign-ins from other devices later on are reported to the user
+        await rememberDevice(user, loginContext(req));
+
+        // Open a session for this device
+        const { token, refresh_token: refreshToken } = await createSession(user, sessionMetadata(req));
         
         res.status(201).json({
             message: 'User registered successfully',
@@ -71,11 +184,14 @@ router.post('/register', validateHoneypot, validateRegistration, async (req, res
                 first_name: user.first_name,
                 last_name: user.last_name,
                 email: user.email,
+                email_verified: false,
                 is_admin: user.is_admin,
                 created_at: user.created_at,
                 avatar_url: user.avatar_url || null
             },
-            token
+            email_verification_sent: emailVerificationSent,
+            token,
+            refresh_token: refreshToken
         });
     } catch (error) {
         if (error instanceof ModerationError) {
@@ -89,50 +205,98 @@ router.post('/register', validateHoneypot, validateRegistration, async (req, res
 /**
  * Login user
  * POST /api/auth/login
+ *
+ * Repeated failures for a username are delayed and then locked out for a while
+ * (see utils/loginProtection.js): 429 with code LOGIN_THROTTLED or ACCOUNT_LOCKED,
+ * retry_after in seconds and a Retry-After header.
  */
 router.post('/login', validateHoneypot, validateLogin, async (req, res) => {
     try {
         const { username, password } = req.body;
+
+        await assertLoginAllowed(username);
         
         // Get user by username
-        const user = await database.get(
-            'SELECT id, username, password_hash, first_name, last_name, email, is_admin, avatar_url FROM users WHERE username = ?',
-            [username]
-        );
-        
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid username or password' });
-        }
+        const user = await database.get(`SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE username = ?`, [username]);
         
-        // Verify password
-        const isValidPassword = await bcrypt.compare(password, user.password_hash);
+        // Verify password; unknown usernames count as failures too, so lockouts do not reveal accounts
+        const isValidPassword = user ? await bcrypt.compare(password, user.password_hash) : false;
         
         if (!isValidPassword) {
+            await recordFailedLogin(username, { ...loginContext(req), user });
             return res.status(401).json({ error: 'Invalid username or password' });
         }
         
-        // Generate token
-        const token = generateToken(user);
+        // The session is only opened once the second factor checks out (POST /login/2fa)
+        if (user.totp_enabled_at) {
+            return res.json({
+                message: 'Enter the code from your authenticator app',
+                two_factor_required: true,
+                challenge_token: issueChallengeToken(user, CHALLENGE_TYPES.LOGIN)
+            });
+        }
+        if (isTwoFactorRequired(user)) {
+            return res.json({
+                message: 'Set up two-factor authentication to continue',
+                two_factor_setup_required: true,
+                challenge_token: issueChallengeToken(user, CHALLENGE_TYPES.SETUP)
+            });
+        }
         
-        res.json({
-            message: 'Login successful',
-            user: {
-                id: user.id,
-                username: user.username,
-                first_name: user.first_name,
-                last_name: user.last_name,
-                email: user.email,
-                is_admin: user.is_admin,
-                avatar_url: user.avatar_url || null
-            },
-            token
-        });
+        res.json(await signIn(req, user));
     } catch (error) {
+        if (error instanceof LoginBlockedError) {
+            return sendLoginBlocked(res, error);
+        }
         console.error('Login error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+/**
+ * Second login step for accounts with two-factor authentication
+ * POST /api/auth/login/2fa
+ *
+ * Body: { challenge_token, code } or { challenge_token, recovery_code }; the challenge
+ * token comes from POST /login and is valid for five minutes. Responds like /login;
+ * wrong codes count towards the same lockout as wrong passwords.
+ */
+router.post('/login/2fa', validateTwoFactorCode({ allowRecoveryCode: true }), async (req, res) => {
+    try {
+        const userId = verifyChallengeToken(req.body.challenge_token, CHALLENGE_TYPES.LOGIN);
+        const user = await database.get(`SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE id = ?`, [userId]);
+        // The account may have been deleted since the password step
+        if (!user) {
+            throw new TwoFactorError('Sign-in has expired, please enter your password again', 'CHALLENGE_EXPIRED', 401);
+        }
+        await assertLoginAllowed(user.username);
+        let method;
+        try {
+            method = await verifySecondFactor(userId, req.body);
+        } catch (error) {
+            if (error instanceof TwoFactorError && error.code === 'INVALID_CODE') {
+                await recordFailedLogin(user.username, { ...loginContext(req), user });
+            }
+            throw error;
+        }
+        const payload = await signIn(req, user);
+        if (method === 'recovery_code') {
+            const { recovery_codes_remaining: remaining } = await getTwoFactorStatus(userId);
+            payload.recovery_codes_remaining = remaining;
+        }
+        res.json(payload);
+    } catch (error) {
+        if (error instanceof LoginBlockedError) {
+            return sendLoginBlocked(res, error);
+        }
+        if (error instanceof TwoFactorError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * Get current user info
  * GET /api/auth/me
@@ -142,6 +306,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         // Get user stats
         const stats = await database.get(`
             SELECT 
+                u.email_verified_at,
                 COALESCE((SELECT COUNT(DISTINCT lr2.league_id) FROM league_roster lr2 WHERE lr2.user_id = u.id), 0) as leagues_count,
                 COALESCE((
                     SELECT COUNT(DISTINCT m2.id)
@@ -167,6 +332,7 @@ router.get('/me', authenticateToken, async (req, res) => {
                 first_name: req.user.first_name,
                 last_name: req.user.last_name,
                 email: req.user.email,
+                email_verified: !!stats.email_verified_at,
                 is_admin: req.user.is_admin,
                 avatar_url: req.user.avatar_url || null
             },
@@ -199,6 +365,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
 
         const updates = [];
         const values = [];
+        let emailChanged = false;
         
         if (first_name !== undefined) {
             updates.push('first_name = ?');
@@ -225,6 +392,12 @@ router.put('/profile', authenticateToken, async (req, res) => {
             
             updates.push('email = ?');
             values.push(email || null);
+
+            // A new address has to be verified again
+            emailChanged = (email || null) !== (req.user.email || null);
+            if (emailChanged) {
+                updates.push('email_verified_at = NULL');
+            }
         }
         
         if (avatar_url !== undefined) {
@@ -245,14 +418,19 @@ router.put('/profile', authenticateToken, async (req, res) => {
         );
         
         // Get updated user
-        const updatedUser = await database.get(
-            'SELECT id, username, first_name, last_name, email, is_admin, avatar_url FROM users WHERE id = ?',
+        const { email_verified_at: emailVerifiedAt, ...updatedUser } = await database.get(
+            'SELECT id, username, first_name, last_name, email, email_verified_at, is_admin, avatar_url FROM users WHERE id = ?',
             [req.user.id]
         );
+
+        const emailVerificationSent = emailChanged && updatedUser.email
+            ? await trySendVerificationEmail(updatedUser, requestLanguage(req))
+            : false;
         
         res.json({
             message: 'Profile updated successfully',
-            user: updatedUser
+            user: { ...updatedUser, email_verified: !!emailVerifiedAt },
+            email_verification_sent: emailVerificationSent
         });
     } catch (error) {
         if (error instanceof ModerationError) {
@@ -264,11 +442,356 @@ router.put('/profile', authenticateToken, async (req, res) => {
 });
 
 /**
- * Logout user (client-side token removal)
+ * Request a password reset link
+ * POST /api/auth/forgot-password
+ *
+ * Body: { identifier: username or email, language? }. The response is the same whether
+ * or not an account matched, so it cannot be used to probe for accounts.
+ */
+router.post('/forgot-password', validateHoneypot, validateForgotPassword, async (req, res) => {
+    try {
+        const { identifier } = req.body;
+        const purpose = TOKEN_PURPOSES.PASSWORD_RESET;
+
+        const user = await database.get(
+            `SELECT id, username, first_name, email FROM users
+             WHERE (username = ? OR LOWER(email) = LOWER(?)) AND email IS NOT NULL`,
+            [identifier, identifier]
+        );
+
+        if (user && !(await wasTokenIssuedRecently(user.id, purpose))) {
+            const { token } = await issueAccountToken(user.id, purpose, { email: user.email });
+            await sendMail({
+                to: user.email,
+                ...buildPasswordResetEmail({
+                    user,
+                    token,
+                    minutes: TOKEN_TTL_MINUTES[purpose],
+                    language: requestLanguage(req)
+                }),
+            });
+        }
+
+        res.json({
+            message: 'If an account with that username or email exists, a reset link has been sent to its email address'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Set a new password with a reset token
+ * POST /api/auth/reset-password
+ *
+ * Body: { token, password }. The token is single-use; the user's other reset links stop working.
+ */
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        const purpose = TOKEN_PURPOSES.PASSWORD_RESET;
+
+        const claim = await consumeAccountToken(token, purpose);
+        if (!claim) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired', code: 'INVALID_TOKEN' });
+        }
+
+        const passwordHash = await bcrypt.hash(password, 10);
+        await database.run(
+            'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [passwordHash, claim.user_id]
+        );
+        await revokeAccountTokens(claim.user_id, purpose);
+        // Whoever knew the old password is signed out everywhere
+        await revokeUserSessions(claim.user_id, { reason: 'password_reset' });
+
+        // Opening the link proves access to the mailbox it was sent to
+        if (claim.email) {
+            await database.run(
+                `UPDATE users SET email_verified_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND LOWER(email) = LOWER(?) AND email_verified_at IS NULL`,
+                [claim.user_id, claim.email]
+            );
+        }
+
+        res.json({ message: 'Password has been reset. You can now sign in.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Confirm an email address with a verification token
+ * POST /api/auth/verify-email
+ *
+ * Works without a session, so the link can be opened on any device.
+ */
+router.post('/verify-email', validateEmailVerification, async (req, res) => {
+    try {
+        const claim = await consumeAccountToken(req.body.token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+        if (!claim) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired', code: 'INVALID_TOKEN' });
+        }
+
+        const user = await database.get('SELECT id, email FROM users WHERE id = ?', [claim.user_id]);
+        if (!user?.email || user.email.toLowerCase() !== String(claim.email || '').toLowerCase()) {
+            return res.status(400).json({
+                error: 'This link was sent to an email address that is no longer on the account',
+                code: 'EMAIL_CHANGED'
+            });
+        }
+
+        await database.run(
+            'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ? AND email_verified_at IS NULL',
+            [user.id]
+        );
+
+        res.json({ message: 'Email address verified', email_verified: true });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Send a new verification link to the current user's email address
+ * POST /api/auth/verify-email/resend
+ */
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+    try {
+        const user = await database.get(
+            'SELECT id, username, first_name, email, email_verified_at FROM users WHERE id = ?',
+            [req.user.id]
+        );
+
+        if (!user.email) {
+            return res.status(400).json({ error: 'Add an email address to your profile first' });
+        }
+        if (user.email_verified_at) {
+            return res.status(409).json({ error: 'Email address is already verified' });
+        }
+        if (await wasTokenIssuedRecently(user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION)) {
+            return res.status(429).json({ error: 'A verification email was just sent. Please wait a minute before asking again.' });
+        }
+
+        await sendVerificationEmail(user, requestLanguage(req));
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * POST /api/auth/refresh
+ *
+ * Body: { refresh_token }. The old refresh token stops working; see utils/sessions.js
+ * for reuse detection.
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const tokens = await rotateSession(req.body?.refresh_token, sessionMetadata(req));
+        res.json({ token: tokens.token, refresh_token: tokens.refresh_token });
+    } catch (error) {
+        if (error instanceof SessionError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * List the current user's open sessions (signed-in devices)
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.id);
+        res.json({
+            sessions: sessions.map((session) => ({
+                ...session,
+                current: session.id === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Sign out every other device of the current user
+ * DELETE /api/auth/sessions
+ */
+router.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.user.id, { exceptSessionId: req.sessionId });
+        res.json({ message: `Signed out of ${revoked} other session(s)`, revoked });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Sign out one of the current user's sessions
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', authenticateToken, validateId, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.id, 10);
+        const revoked = await revokeSession(req.user.id, sessionId);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ message: 'Session signed out', current: sessionId === req.sessionId });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Enrollment needs either a signed-in user or the setup challenge an admin gets from /login
+async function resolveEnrollingUser(req) {
+    if (req.user) return { user: req.user, viaChallenge: false };
+    if (!req.body?.challenge_token) return { user: null, viaChallenge: false };
+    const userId = verifyChallengeToken(req.body.challenge_token, CHALLENGE_TYPES.SETUP);
+    const user = await database.get(`SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE id = ?`, [userId]);
+    return { user, viaChallenge: true };
+}
+
+/**
+ * Two-factor status of the current user
+ * GET /api/auth/2fa
+ */
+router.get('/2fa', authenticateToken, async (req, res) => {
+    try {
+        res.json(await getTwoFactorStatus(req.user.id));
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Start two-factor enrollment
+ * POST /api/auth/2fa/setup
+ *
+ * Authenticated, or with body { challenge_token } from a login that requires setup.
+ * Returns { secret, otpauth_uri, qr_svg }; nothing changes until POST /2fa/enable.
+ */
+router.post('/2fa/setup', optionalAuth, async (req, res) => {
+    try {
+        const { user } = await resolveEnrollingUser(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Access token required' });
+        }
+        res.json(await startEnrollment(user));
+    } catch (error) {
+        if (error instanceof TwoFactorError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * POST /api/auth/2fa/enable
+ *
+ * Body: { code } (plus challenge_token during a login). Returns the recovery codes,
+ * which are only shown this once; during a login also the session, as /login does.
+ */
+router.post('/2fa/enable', optionalAuth, validateTwoFactorCode(), async (req, res) => {
+    try {
+        const { user, viaChallenge } = await resolveEnrollingUser(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Access token required' });
+        }
+        const recoveryCodes = await confirmEnrollment(user.id, req.body.code);
+        if (viaChallenge) {
+            return res.json({ ...(await signIn(req, user)), recovery_codes: recoveryCodes });
+        }
+        res.json({ message: 'Two-factor authentication enabled', recovery_codes: recoveryCodes });
+    } catch (error) {
+        if (error instanceof TwoFactorError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Turn off two-factor authentication
+ * POST /api/auth/2fa/disable
+ *
+ * Body: { password, code } or { password, recovery_code }. Not allowed for
+ * admins while REQUIRE_ADMIN_2FA is on.
+ */
+router.post('/2fa/disable', authenticateToken, validateTwoFactorCode({ allowRecoveryCode: true }), async (req, res) => {
+    try {
+        if (isTwoFactorRequired(req.user)) {
+            return res.status(403).json({ error: 'Admins must keep two-factor authentication on', code: 'TWO_FACTOR_REQUIRED' });
+        }
+        const { password } = req.body;
+        const account = await database.get('SELECT password_hash FROM users WHERE id = ?', [req.user.id]);
+        if (!password || !(await bcrypt.compare(String(password), account.password_hash))) {
+            return res.status(400).json({ error: 'Password is incorrect', code: 'INVALID_PASSWORD' });
+        }
+        await verifySecondFactor(req.user.id, req.body);
+        await disableTwoFactor(req.user.id);
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        if (error instanceof TwoFactorError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Replace the recovery codes; the old ones stop working
+ * POST /api/auth/2fa/recovery-codes
+ *
+ * Body: { code } from the authenticator app
+ */
+router.post('/2fa/recovery-codes', authenticateToken, validateTwoFactorCode(), async (req, res) => {
+    try {
+        await verifySecondFactor(req.user.id, { code: req.body.code });
+        const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+        res.json({ message: 'New recovery codes created', recovery_codes: recoveryCodes });
+    } catch (error) {
+        if (error instanceof TwoFactorError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Logout user: ends the session of the given refresh token, or of the access token
  * POST /api/auth/logout
  */
-router.post('/logout', (req, res) => {
-    res.json({ message: 'Logout successful. Please remove token from client.' });
+router.post('/logout', optionalAuth, async (req, res) => {
+    try {
+        const revoked = await revokeSessionByRefreshToken(req.body?.refresh_token);
+        if (!revoked && req.user && req.sessionId) {
+            await revokeSession(req.user.id, req.sessionId, 'logout');
+        }
+        res.json({ message: 'Logout successful' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
 module.exports = router;
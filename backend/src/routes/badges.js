@@ -4,6 +4,7 @@ const { validateId, validatePagination } = require('../middleware/validation');
 const { moderateText, ModerationError } = require('../middleware/contentModeration');
 const database = require('../models/database');
 const { markLeagueSnapshotDirty } = require('../utils/leagueSnapshots');
+const { createNotification } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -599,15 +600,13 @@ router.post('/users/:id/badges', authenticateToken, validateId, async (req, res)
         
         // Create notification for the user (non-blocking)
         try {
-            await database.run(`
-                INSERT INTO notifications (user_id, type, title, message, related_id)
-                VALUES (?, 'badge_earned', ?, ?, ?)
-            `, [
-                userId,
-                'Badge Earned!',
-                `Congratulations! You've earned the "${badge.name}" badge.`,
-                awardedBadge.id
-            ]);
+            await createNotification(database, {
+                user_id: userId,
+                type: 'badge_earned',
+                title: 'Badge Earned!',
+                message: `Congratulations! You've earned the "${badge.name}" badge.`,
+                related_id: awardedBadge.id
+            });
         } catch (notifError) {
             // Notification failure shouldn't block badge award
             console.warn('Failed to create notification for badge award (non-blocking):', {
@@ -0,0 +1,151 @@
+const express = require('express');
+const { authenticateToken, requireLeagueAdmin } = require('../middleware/auth');
+const { validateId } = require('../middleware/validation');
+const database = require('../models/database');
+const { ConsolidationError, getRollbackBlocker, rollbackConsolidation } = require('../utils/consolidation');
+
+// Mounted at /api/leagues/:id/consolidations
+const router = express.Router({ mergeParams: true });
+
+const RUN_LIMIT = 50;
+
+const RUN_COLUMNS = `r.id, r.league_id, r.triggered_via, r.triggered_by, r.matches_applied,
+    CAST(r.period_start AS TEXT) as period_start, CAST(r.period_end AS TEXT) as period_end,
+    CAST(r.created_at AS TEXT) as created_at, CAST(r.rolled_back_at AS TEXT) as rolled_back_at,
+    tu.username as triggered_by_username, ru.username as rolled_back_by_username,
+    (SELECT COUNT(*) FROM consolidation_run_entries e WHERE e.run_id = r.id) as players`;
+
+const RUN_JOINS = `LEFT JOIN users tu ON r.triggered_by = tu.id
+    LEFT JOIN users ru ON r.rolled_back_by = ru.id`;
+
+/**
+ * Consolidation history of a league (newest first) with the matches still pending
+ * GET /api/leagues/:id/consolidations
+ *
+ * The most recent run that can still be rolled back has can_rollback: true; otherwise
+ * rollback_blocker explains why the latest run cannot be rolled back.
+ */
+router.get('/', authenticateToken, validateId, requireLeagueAdmin, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const league = await database.get('SELECT id, elo_update_mode FROM leagues WHERE id = ?', [leagueId]);
+        if (!league) {
+            return res.status(404).json({ error: 'League not found' });
+        }
+
+        const pending = await database.get(
+            `SELECT COUNT(*) as count,
+                    COUNT(CASE WHEN is_doubles = ? THEN 1 END) as doubles,
+                    CAST(MIN(accepted_at) AS TEXT) as oldest_accepted_at
+             FROM matches
+             WHERE league_id = ? AND is_accepted = ? AND (elo_applied = ? OR elo_applied IS NULL)`,
+            [true, leagueId, true, false]
+        );
+
+        const rows = await database.all(
+            `SELECT ${RUN_COLUMNS}
+             FROM consolidation_runs r
+             ${RUN_JOINS}
+             WHERE r.league_id = ?
+             ORDER BY r.id DESC
+             LIMIT ${RUN_LIMIT}`,
+            [leagueId]
+        );
+
+        const latest = rows.find((run) => !run.rolled_back_at);
+        const rollbackBlocker = latest ? await getRollbackBlocker(database, latest) : null;
+        const runs = rows.map((run) => ({
+            ...run,
+            players: Number(run.players || 0),
+            can_rollback: run === latest && !rollbackBlocker
+        }));
+
+        res.json({
+            elo_update_mode: league.elo_update_mode || 'immediate',
+            pending: {
+                count: Number(pending?.count || 0),
+                doubles: Number(pending?.doubles || 0),
+                oldest_accepted_at: pending?.oldest_accepted_at || null
+            },
+            runs,
+            rollback_blocker: rollbackBlocker
+        });
+    } catch (error) {
+        console.error('List consolidations error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Get a consolidation run with each roster entry's ratings before and after
+ * GET /api/leagues/:id/consolidations/:runId
+ */
+router.get('/:runId', authenticateToken, validateId, requireLeagueAdmin, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const runId = parseInt(req.params.runId);
+        if (!Number.isInteger(runId) || runId < 1) {
+            return res.status(400).json({ error: 'Invalid consolidation ID' });
+        }
+
+        const run = await database.get(
+            `SELECT ${RUN_COLUMNS}
+             FROM consolidation_runs r
+             ${RUN_JOINS}
+             WHERE r.id = ? AND r.league_id = ?`,
+            [runId, leagueId]
+        );
+        if (!run) {
+            return res.status(404).json({ error: 'Consolidation not found' });
+        }
+
+        const entries = await database.all(
+            `SELECT e.roster_id, e.user_id, u.username,
+                    COALESCE(lr.display_name, u.username) as display_name,
+                    e.elo_before, e.elo_after, e.elo_change,
+                    e.doubles_elo_before, e.doubles_elo_after, e.matches_applied
+             FROM consolidation_run_entries e
+             LEFT JOIN league_roster lr ON e.roster_id = lr.id
+             LEFT JOIN users u ON e.user_id = u.id
+             WHERE e.run_id = ?
+             ORDER BY e.elo_change DESC, e.id ASC`,
+            [runId]
+        );
+
+        res.json({ run: { ...run, players: Number(run.players || 0) }, entries });
+    } catch (error) {
+        console.error('Get consolidation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Roll back the most recent consolidation run
+ * POST /api/leagues/:id/consolidations/:runId/rollback
+ *
+ * Restores the ratings from before the run and marks its matches as pending again.
+ * Refused (409) once ratings have changed since the run.
+ */
+router.post('/:runId/rollback', authenticateToken, validateId, requireLeagueAdmin, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const runId = parseInt(req.params.runId);
+        if (!Number.isInteger(runId) || runId < 1) {
+            return res.status(400).json({ error: 'Invalid consolidation ID' });
+        }
+
+        const result = await rollbackConsolidation(leagueId, runId, req.user.id);
+        res.json({
+            message: `Consolidation rolled back. ${result.matches_reverted} matches are pending again.`,
+            ...result
+        });
+    } catch (error) {
+        if (error instanceof ConsolidationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Rollback consolidation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
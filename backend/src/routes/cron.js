@@ -0,0 +1,34 @@
+const express = require('express');
+const { JOBS, runJob } = require('../utils/scheduler');
+
+const router = express.Router();
+
+/**
+ * Run a background job (Vercel cron)
+ * GET /api/cron/:job
+ * Header: Authorization: Bearer <CRON_SECRET>
+ *
+ * Vercel cron sends CRON_SECRET as a bearer token; without CRON_SECRET set the endpoint is disabled.
+ */
+router.get('/:job', async (req, res) => {
+    try {
+        const secret = process.env.CRON_SECRET;
+        if (!secret) {
+            return res.status(503).json({ error: 'Cron jobs are not configured' });
+        }
+        if (req.headers.authorization !== `Bearer ${secret}`) {
+            return res.status(401).json({ error: 'Invalid cron secret' });
+        }
+        if (!JOBS[req.params.job]) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const outcome = await runJob(req.params.job, 'cron');
+        res.json(outcome);
+    } catch (error) {
+        console.error('Cron job error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
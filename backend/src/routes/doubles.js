@@ -0,0 +1,105 @@
+const express = require('express');
+const { optionalAuth } = require('../middleware/auth');
+const { validateId } = require('../middleware/validation');
+const database = require('../models/database');
+const { getVisibleLeague } = require('../utils/leagueAccess');
+const { getLeagueRatingSettings } = require('../utils/ratingEngines');
+
+// Mounted at /api/leagues/:id/doubles
+const router = express.Router({ mergeParams: true });
+
+// Both players of pair p are on the given side of match m
+const pairOnSide = (side) => `(
+    p.roster1_id IN (m.player${side}_roster_id, m.player${side}_partner_roster_id)
+    AND p.roster2_id IN (m.player${side}_roster_id, m.player${side}_partner_roster_id)
+)`;
+
+const withRankAndWinRate = (rows) => rows.map((row, index) => ({
+    ...row,
+    rank: index + 1,
+    win_rate: row.matches_played > 0 ? Math.round((row.matches_won / row.matches_played) * 100) : 0
+}));
+
+/**
+ * Doubles leaderboard: players (individual mode) or fixed pairs (pair mode)
+ * with at least one accepted doubles match
+ * GET /api/leagues/:id/doubles/leaderboard
+ */
+router.get('/leaderboard', optionalAuth, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const access = await getVisibleLeague(req.user, leagueId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const { config } = await getLeagueRatingSettings(leagueId);
+        const mode = config.doubles_rating_mode;
+
+        if (mode === 'pair') {
+            const pairs = await database.all(`
+                SELECT
+                    p.id as pair_id,
+                    COALESCE(p.current_elo, ?) as doubles_elo,
+                    p.roster1_id as player1_roster_id,
+                    p.roster2_id as player2_roster_id,
+                    COALESCE(r1.display_name, u1.username) as player1_display_name,
+                    COALESCE(r2.display_name, u2.username) as player2_display_name,
+                    r1.user_id as player1_user_id,
+                    r2.user_id as player2_user_id,
+                    u1.username as player1_username,
+                    u2.username as player2_username,
+                    COUNT(m.id) as matches_played,
+                    COUNT(CASE
+                        WHEN ${pairOnSide(1)} AND m.winner_roster_id = m.player1_roster_id THEN m.id
+                        WHEN ${pairOnSide(2)} AND m.winner_roster_id = m.player2_roster_id THEN m.id
+                    END) as matches_won
+                FROM league_doubles_pairs p
+                JOIN league_roster r1 ON p.roster1_id = r1.id
+                JOIN league_roster r2 ON p.roster2_id = r2.id
+                LEFT JOIN users u1 ON r1.user_id = u1.id
+                LEFT JOIN users u2 ON r2.user_id = u2.id
+                JOIN matches m ON m.league_id = p.league_id
+                    AND m.is_doubles = ?
+                    AND m.is_accepted = ?
+                    AND (${pairOnSide(1)} OR ${pairOnSide(2)})
+                WHERE p.league_id = ?
+                GROUP BY p.id, p.current_elo, p.roster1_id, p.roster2_id, r1.display_name, u1.username, r2.display_name, u2.username, r1.user_id, r2.user_id
+                ORDER BY doubles_elo DESC, matches_won DESC
+            `, [config.starting_elo, true, true, leagueId]);
+
+            return res.json({ mode, leaderboard: withRankAndWinRate(pairs) });
+        }
+
+        const players = await database.all(`
+            SELECT
+                lr.id as roster_id,
+                lr.user_id,
+                u.username,
+                u.avatar_url,
+                lr.display_name,
+                COALESCE(lr.doubles_elo, ?) as doubles_elo,
+                COUNT(m.id) as matches_played,
+                COUNT(CASE
+                    WHEN lr.id IN (m.player1_roster_id, m.player1_partner_roster_id) AND m.winner_roster_id = m.player1_roster_id THEN m.id
+                    WHEN lr.id IN (m.player2_roster_id, m.player2_partner_roster_id) AND m.winner_roster_id = m.player2_roster_id THEN m.id
+                END) as matches_won
+            FROM league_roster lr
+            LEFT JOIN users u ON lr.user_id = u.id
+            JOIN matches m ON m.league_id = lr.league_id
+                AND m.is_doubles = ?
+                AND m.is_accepted = ?
+                AND lr.id IN (m.player1_roster_id, m.player1_partner_roster_id, m.player2_roster_id, m.player2_partner_roster_id)
+            WHERE lr.league_id = ? AND lr.is_participating = ?
+            GROUP BY lr.id, lr.user_id, u.username, u.avatar_url, lr.display_name, lr.doubles_elo
+            ORDER BY doubles_elo DESC, matches_won DESC
+        `, [config.starting_elo, true, true, leagueId, true]);
+
+        res.json({ mode, leaderboard: withRankAndWinRate(players) });
+    } catch (error) {
+        console.error('Get doubles leaderboard error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
+const { getRealtimeConfig, openStream } = require('../utils/realtime');
+
+const router = express.Router();
+
+/**
+ * How clients get live updates: { mode: 'sse' | 'poll', poll_interval_seconds }
+ * GET /api/events/config
+ */
+router.get('/config', (req, res) => {
+    res.json(getRealtimeConfig());
+});
+
+/**
+ * Stream of live updates for the current user (text/event-stream)
+ * GET /api/events
+ *
+ * Events: notification, match_updated, league_updated; see utils/realtime.js.
+ * Authenticated with the access token in the Authorization header; the stream
+ * closes when that token expires. 404 REALTIME_DISABLED in poll mode.
+ */
+router.get('/', authenticateToken, (req, res) => {
+    try {
+        if (getRealtimeConfig().mode !== 'sse') {
+            return res.status(404).json({ error: 'Live updates are not available here; poll instead', code: 'REALTIME_DISABLED' });
+        }
+        const { exp } = verifyToken(extractTokenFromHeader(req.headers.authorization));
+        openStream(req, res, { user: req.user, expiresAt: exp ? exp * 1000 : null });
+    } catch (error) {
+        console.error('Event stream error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const { authenticateToken, requireLeagueAdmin } = require('../middleware/auth');
+const { validateId } = require('../middleware/validation');
+const {
+    EXPORT_DATASETS,
+    EXPORT_FORMATS,
+    CSV_COLUMNS,
+    toCsv,
+    buildExportDatasets,
+    toCsvRows,
+    buildExportDocument,
+    buildArchive,
+    loadLeagueExportData
+} = require('../utils/leagueExport');
+
+// Mounted at /api/leagues/:id/export
+const router = express.Router({ mergeParams: true });
+
+// "Spring League 2025" -> "spring-league-2025"
+const slugify = (name) => (
+    String(name || 'league').toLowerCase().normalize('NFKD').replace(/[^\w\s-]/g, '').trim().replace(/[\s_-]+/g, '-') || 'league'
+);
+
+/**
+ * Export a league's data (league admin only)
+ * GET /api/leagues/:id/export?format=json|csv|archive&dataset=matches|leaderboard|elo_history|badges
+ *
+ * json (default): one document with all datasets; csv: one dataset per file (dataset
+ * required); archive: settings, roster, seasons and matches in the format accepted by
+ * POST /api/leagues/:id/imports. Sent as a file download.
+ */
+router.get('/', authenticateToken, validateId, requireLeagueAdmin, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const format = req.query.format || 'json';
+        const { dataset } = req.query;
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+        if (format === 'csv' && !EXPORT_DATASETS.includes(dataset)) {
+            return res.status(400).json({ error: `dataset must be one of: ${EXPORT_DATASETS.join(', ')}` });
+        }
+
+        const data = await loadLeagueExportData(leagueId);
+        if (!data) {
+            return res.status(404).json({ error: 'League not found' });
+        }
+
+        const baseName = `${slugify(data.league.name)}-${new Date().toISOString().slice(0, 10)}`;
+        res.set('Cache-Control', 'no-store');
+
+        if (format === 'csv') {
+            const rows = toCsvRows(dataset, buildExportDatasets(data)[dataset]);
+            res.attachment(`${baseName}-${dataset}.csv`);
+            res.type('text/csv; charset=utf-8');
+            return res.send(toCsv(CSV_COLUMNS[dataset], rows));
+        }
+
+        const document = format === 'archive' ? buildArchive(data) : buildExportDocument(data);
+        res.attachment(`${baseName}${format === 'archive' ? '-archive' : ''}.json`);
+        res.type('application/json');
+        res.send(JSON.stringify(document, null, 2));
+    } catch (error) {
+        console.error('Export league error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,307 @@
+const express = require('express');
+const { authenticateToken, requireLeagueAdmin, optionalAuth } = require('../middleware/auth');
+const { validateId } = require('../middleware/validation');
+const database = require('../models/database');
+const { generateRoundRobin, scheduleFixtures } = require('../utils/roundRobin');
+const { getVisibleLeague } = require('../utils/leagueAccess');
+
+// Mounted at /api/leagues/:id/fixtures
+const router = express.Router({ mergeParams: true });
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fixtures belong to the season that was current when they were generated.
+const resolveSeason = (req, league) => {
+    if (req.query.season !== undefined) {
+        return String(req.query.season).trim() || null;
+    }
+    return league.season || null;
+};
+
+// Condition selecting one season's fixtures; fixtures without a season match null.
+// Postgres cannot type a bare `? IS NULL` parameter, so null gets its own condition.
+const seasonCondition = (season, column = 'season') => (season == null
+    ? { sql: `${column} IS NULL`, params: [] }
+    : { sql: `${column} = ?`, params: [season] });
+
+/**
+ * List fixtures of a league
+ * GET /api/leagues/:id/fixtures?status=upcoming|played|all&season=...&limit=...
+ */
+router.get('/', optionalAuth, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const access = await getVisibleLeague(req.user, leagueId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const status = String(req.query.status || 'all');
+        if (!['upcoming', 'played', 'all'].includes(status)) {
+            return res.status(400).json({ error: 'status must be one of: upcoming, played, all' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 500, 1), 500);
+        const season = resolveSeason(req, access.league);
+
+        const inSeason = seasonCondition(season, 'f.season');
+        let where = `f.league_id = ? AND ${inSeason.sql}`;
+        if (status === 'upcoming') where += ' AND f.match_id IS NULL';
+        if (status === 'played') where += ' AND f.match_id IS NOT NULL';
+
+        const fixtures = await database.all(
+            `SELECT f.id, f.season, f.round, f.leg, CAST(f.due_date AS TEXT) as due_date, f.match_id,
+                    f.player1_roster_id, f.player2_roster_id,
+                    COALESCE(r1.display_name, u1.username) as player1_display_name,
+                    COALESCE(r2.display_name, u2.username) as player2_display_name,
+                    r1.user_id as player1_user_id, r2.user_id as player2_user_id,
+                    m.player1_roster_id as match_player1_roster_id,
+                    m.player1_sets_won, m.player2_sets_won, m.winner_roster_id, m.is_accepted
+             FROM fixtures f
+             JOIN league_roster r1 ON f.player1_roster_id = r1.id
+             JOIN league_roster r2 ON f.player2_roster_id = r2.id
+             LEFT JOIN users u1 ON r1.user_id = u1.id
+             LEFT JOIN users u2 ON r2.user_id = u2.id
+             LEFT JOIN matches m ON f.match_id = m.id
+             WHERE ${where}
+             ORDER BY f.due_date ASC, f.round ASC, f.id ASC
+             LIMIT ?`,
+            [leagueId, ...inSeason.params, limit]
+        );
+
+        const totals = await database.get(
+            `SELECT COUNT(*) as total, COUNT(f.match_id) as played
+             FROM fixtures f
+             WHERE f.league_id = ? AND ${inSeason.sql}`,
+            [leagueId, ...inSeason.params]
+        );
+
+        res.json({
+            season,
+            fixtures,
+            total: Number(totals?.total || 0),
+            played: Number(totals?.played || 0)
+        });
+    } catch (error) {
+        console.error('List fixtures error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Generate a round-robin schedule for participating roster entries (league admin only)
+ * POST /api/leagues/:id/fixtures/generate
+ * Body: { double_round_robin?: boolean, start_date?: 'YYYY-MM-DD', interval_days?: number, replace?: boolean }
+ *
+ * Open fixtures of the current season must be cleared first (or pass replace: true).
+ */
+router.post('/generate', authenticateToken, requireLeagueAdmin, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const doubleRoundRobin = req.body?.double_round_robin === true;
+        const replace = req.body?.replace === true;
+        const startDate = req.body?.start_date || new Date().toISOString().slice(0, 10);
+        const intervalDays = req.body?.interval_days == null ? 7 : parseInt(req.body.interval_days);
+
+        if (!DATE_PATTERN.test(startDate) || Number.isNaN(Date.parse(startDate))) {
+            return res.status(400).json({ error: 'start_date must be a date (YYYY-MM-DD)' });
+        }
+        if (!Number.isInteger(intervalDays) || intervalDays < 1 || intervalDays > 60) {
+            return res.status(400).json({ error: 'interval_days must be between 1 and 60' });
+        }
+
+        const league = await database.get(
+            'SELECT id, season FROM leagues WHERE id = ? AND is_active = ?',
+            [leagueId, true]
+        );
+        if (!league) {
+            return res.status(404).json({ error: 'League not found' });
+        }
+        const season = league.season || null;
+        const inSeason = seasonCondition(season);
+
+        const roster = await database.all(
+            'SELECT id, is_participating FROM league_roster WHERE league_id = ? ORDER BY current_elo DESC, id ASC',
+            [leagueId]
+        );
+        const participants = roster
+            .filter((entry) => entry.is_participating !== false && entry.is_participating !== 0)
+            .map((entry) => entry.id);
+        if (participants.length < 2) {
+            return res.status(400).json({ error: 'At least 2 participating members are required' });
+        }
+
+        const open = await database.get(
+            `SELECT COUNT(*) as count FROM fixtures
+             WHERE league_id = ? AND match_id IS NULL AND ${inSeason.sql}`,
+            [leagueId, ...inSeason.params]
+        );
+        if (Number(open?.count || 0) > 0 && !replace) {
+            return res.status(409).json({ error: 'This season already has open fixtures' });
+        }
+
+        const fixtures = scheduleFixtures(
+            generateRoundRobin(participants, { doubleRoundRobin }),
+            startDate,
+            intervalDays
+        );
+
+        await database.withTransaction(async (tx) => {
+            await tx.run(
+                `DELETE FROM fixtures
+                 WHERE league_id = ? AND match_id IS NULL AND ${inSeason.sql}`,
+                [leagueId, ...inSeason.params]
+            );
+            for (const fixture of fixtures) {
+                await tx.run(
+                    `INSERT INTO fixtures (league_id, season, round, leg, player1_roster_id, player2_roster_id, due_date, created_by)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        leagueId,
+                        season,
+                        fixture.round,
+                        fixture.leg,
+                        fixture.player1_roster_id,
+                        fixture.player2_roster_id,
+                        fixture.due_date,
+                        req.user.id
+                    ]
+                );
+            }
+        });
+
+        const rounds = fixtures.reduce((max, fixture) => Math.max(max, fixture.round), 0);
+        res.status(201).json({
+            message: `Generated ${fixtures.length} fixtures over ${rounds} rounds`,
+            fixtures_created: fixtures.length,
+            rounds,
+            season
+        });
+    } catch (error) {
+        console.error('Generate fixtures error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Remove open fixtures of the current season (league admin only)
+ * DELETE /api/leagues/:id/fixtures
+ */
+router.delete('/', authenticateToken, requireLeagueAdmin, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const league = await database.get('SELECT season FROM leagues WHERE id = ?', [leagueId]);
+        if (!league) {
+            return res.status(404).json({ error: 'League not found' });
+        }
+        const inSeason = seasonCondition(league.season || null);
+        const result = await database.run(
+            `DELETE FROM fixtures
+             WHERE league_id = ? AND match_id IS NULL AND ${inSeason.sql}`,
+            [leagueId, ...inSeason.params]
+        );
+        res.json({ message: 'Open fixtures removed', removed: result.changes });
+    } catch (error) {
+        console.error('Clear fixtures error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Crosstable of accepted fixture results per pairing
+ * GET /api/leagues/:id/fixtures/crosstable?season=...
+ */
+router.get('/crosstable', optionalAuth, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const access = await getVisibleLeague(req.user, leagueId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+        const season = resolveSeason(req, access.league);
+        const inSeason = seasonCondition(season, 'f.season');
+
+        const fixtures = await database.all(
+            `SELECT f.id, f.player1_roster_id, f.player2_roster_id, f.match_id,
+                    COALESCE(r1.display_name, u1.username) as player1_display_name,
+                    COALESCE(r2.display_name, u2.username) as player2_display_name,
+                    m.player1_roster_id as match_player1_roster_id,
+                    m.player1_sets_won, m.player2_sets_won, m.winner_roster_id, m.is_accepted
+             FROM fixtures f
+             JOIN league_roster r1 ON f.player1_roster_id = r1.id
+             JOIN league_roster r2 ON f.player2_roster_id = r2.id
+             LEFT JOIN users u1 ON r1.user_id = u1.id
+             LEFT JOIN users u2 ON r2.user_id = u2.id
+             LEFT JOIN matches m ON f.match_id = m.id
+             WHERE f.league_id = ? AND ${inSeason.sql}
+             ORDER BY f.round ASC, f.id ASC`,
+            [leagueId, ...inSeason.params]
+        );
+
+        const players = new Map();
+        const cells = new Map();
+        const ensurePlayer = (rosterId, displayName) => {
+            if (!players.has(rosterId)) {
+                players.set(rosterId, {
+                    roster_id: rosterId,
+                    display_name: displayName,
+                    played: 0,
+                    wins: 0,
+                    losses: 0,
+                    sets_won: 0,
+                    sets_lost: 0
+                });
+            }
+            return players.get(rosterId);
+        };
+        const addResult = (rosterId, opponentId, result) => {
+            const key = `${rosterId}:${opponentId}`;
+            if (!cells.has(key)) {
+                cells.set(key, { roster_id: rosterId, opponent_roster_id: opponentId, results: [] });
+            }
+            cells.get(key).results.push(result);
+            const player = players.get(rosterId);
+            player.played += 1;
+            player.wins += result.won ? 1 : 0;
+            player.losses += result.won ? 0 : 1;
+            player.sets_won += result.sets_won;
+            player.sets_lost += result.sets_lost;
+        };
+
+        fixtures.forEach((fixture) => {
+            ensurePlayer(fixture.player1_roster_id, fixture.player1_display_name);
+            ensurePlayer(fixture.player2_roster_id, fixture.player2_display_name);
+            if (!fixture.match_id || !fixture.is_accepted) return;
+
+            // Sets are stored relative to the match's player 1, which may differ from the fixture's.
+            const p1 = fixture.match_player1_roster_id;
+            const p2 = p1 === fixture.player1_roster_id ? fixture.player2_roster_id : fixture.player1_roster_id;
+            addResult(p1, p2, {
+                fixture_id: fixture.id,
+                match_id: fixture.match_id,
+                sets_won: fixture.player1_sets_won,
+                sets_lost: fixture.player2_sets_won,
+                won: fixture.winner_roster_id === p1
+            });
+            addResult(p2, p1, {
+                fixture_id: fixture.id,
+                match_id: fixture.match_id,
+                sets_won: fixture.player2_sets_won,
+                sets_lost: fixture.player1_sets_won,
+                won: fixture.winner_roster_id === p2
+            });
+        });
+
+        const standings = Array.from(players.values()).sort((a, b) => (
+            (b.wins - a.wins)
+            || ((b.sets_won - b.sets_lost) - (a.sets_won - a.sets_lost))
+            || a.display_name.localeCompare(b.display_name)
+        ));
+
+        res.json({ season, players: standings, cells: Array.from(cells.values()) });
+    } catch (error) {
+        console.error('Fixtures crosstable error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const { authenticateToken, requireLeagueAdmin } = require('../middleware/auth');
+const { validateId } = require('../middleware/validation');
+const { moderateText, ModerationError } = require('../middleware/contentModeration');
+const database = require('../models/database');
+const {
+    MatchImportError,
+    parseImportContent,
+    buildImportPlan,
+    getPlaceholderNames,
+    importMatches
+} = require('../utils/matchImport');
+
+// Mounted at /api/leagues/:id/imports
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Parse and validate an upload against the league roster
+ * @returns {Promise<{plan: Object, roster: Array<Object>, archive: Object|null}>} Import plan (see buildImportPlan),
+ * the roster and the parsed league archive, if the upload is one
+ */
+async function planImport(leagueId, body) {
+    const { format, content, mapping } = body || {};
+    const { rows: rawRows, archive } = parseImportContent(format, content);
+    const roster = await database.all(
+        `SELECT lr.id, lr.user_id, lr.display_name, u.username
+         FROM league_roster lr
+         LEFT JOIN users u ON lr.user_id = u.id
+         WHERE lr.league_id = ?`,
+        [leagueId]
+    );
+    return { plan: buildImportPlan(rawRows, roster, { mapping: mapping || {} }), roster, archive };
+}
+
+const sendImportError = (res, error, label) => {
+    if (error instanceof MatchImportError || error instanceof ModerationError) {
+        return res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+    console.error(`${label} error:`, error);
+    return res.status(500).json({ error: 'Internal server error' });
+};
+
+/**
+ * Preview an import of historical matches (league admin only)
+ * POST /api/leagues/:id/imports/preview
+ * Body: { format: 'csv' | 'json', content: string, mapping?: { [name]: rosterId | 'new' } }
+ *
+ * Nothing is written. Returns every row with its validation errors, how each player
+ * name resolves against the roster (matched, create, ambiguous, invalid_mapping),
+ * a summary and the roster entries names can be mapped to. For league archives,
+ * `archive` describes the archived league and its seasons.
+ */
+router.post('/preview', authenticateToken, validateId, requireLeagueAdmin, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const { plan, roster, archive } = await planImport(leagueId, req.body);
+        res.json({
+            ...plan,
+            archive: archive
+                ? {
+                    version: archive.version,
+                    league: archive.league?.name || null,
+                    rating_engine: archive.league?.rating_engine || null,
+                    seasons: Array.isArray(archive.seasons) ? archive.seasons.length : 0
+                }
+                : null,
+            roster: roster.map((entry) => ({
+                roster_id: entry.id,
+                user_id: entry.user_id,
+                display_name: entry.display_name || entry.username,
+                username: entry.username
+            }))
+        });
+    } catch (error) {
+        sendImportError(res, error, 'Preview match import');
+    }
+});
+
+/**
+ * Import historical matches (league admin only)
+ * POST /api/leagues/:id/imports
+ * Body: { format, content, mapping?, skip_invalid?: boolean }
+ *
+ * Valid rows are inserted as accepted matches in played order, unknown names become
+ * roster placeholders and the league's ratings are recalculated. Any invalid row
+ * rejects the whole import (400 with the plan) unless skip_invalid is set.
+ * League archives also restore their rating settings (league without matches) and
+ * seasons (league without seasons); see `restored` in the response.
+ */
+router.post('/', authenticateToken, validateId, requireLeagueAdmin, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const { plan, archive } = await planImport(leagueId, req.body);
+
+        if (plan.summary.invalid > 0 && !req.body.skip_invalid) {
+            return res.status(400).json({ error: 'Some rows are invalid', ...plan });
+        }
+
+        for (const name of getPlaceholderNames(plan)) {
+            moderateText({ display_name: name }, { context: 'roster display name' });
+        }
+
+        const result = await importMatches(leagueId, plan, req.user.id, { archive });
+        res.status(201).json({
+            message: 'Matches imported successfully',
+            ...result,
+            skipped: plan.summary.invalid
+        });
+    } catch (error) {
+        sendImportError(res, error, 'Import matches');
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,13 @@ const { moderateText, ModerationError } = require('../middleware/contentModerati
 const database = require('../models/database');
 const crypto = require('crypto');
 const { SNAPSHOT_VERSION, getCachedLeagueSnapshot, saveLeagueSnapshot, markLeagueSnapshotDirty } = require('../utils/leagueSnapshots');
+const { RATING_ENGINE_KEYS, getRatingState, getLeagueRatingSettings } = require('../utils/ratingEngines');
+const { DEFAULT_RATING_CONFIG, validateRatingConfig } = require('../utils/ratingConfig');
+const { applyLeagueRecalculation } = require('../utils/ratingRecalculation');
+const { getVisibleLeague } = require('../utils/leagueAccess');
+const { RESULT_CONFIRMATION_MODES, MAX_CONFIRMATION_TIMEOUT_HOURS } = require('../utils/matchAcceptance');
+const { createNotification } = require('../utils/notifications');
+const { getCurrentWeek, loadLeagueDigest } = require('../utils/leagueDigest');
 
 const router = express.Router();
 
@@ -18,10 +25,19 @@ const setPublicCacheHeaders = (req, res) => {
     res.set('Vary', 'Origin');
 };
 
+// Rating uncertainty for leaderboard rows (null deviation for engines without one)
+const withRatingUncertainty = ({ engine, config }, player) => {
+    const state = getRatingState(engine, { ...player, rated_matches: player.matches_played });
+    return {
+        rating_deviation: engine.hasUncertainty && state.deviation != null ? Math.round(state.deviation) : null,
+        provisional: engine.isProvisional(state, config),
+    };
+};
+
 const buildLeagueSnapshot = async (leagueId, leagueRow) => {
     const league = leagueRow || await database.get(`
         SELECT
-            l.id, l.name, l.description, l.is_public, l.season, l.elo_update_mode, l.created_at,
+            l.id, l.name, l.description, l.is_public, l.season, l.elo_update_mode, l.rating_engine, l.result_confirmation, l.confirmation_timeout_hours, l.created_at,
             u.username as created_by_username,
             (SELECT COUNT(*) FROM league_roster lr2 WHERE lr2.league_id = l.id) as member_count,
             (SELECT COUNT(*) FROM matches m2 WHERE m2.league_id = l.id AND m2.is_accepted = ?) as match_count
@@ -33,6 +49,7 @@ const buildLeagueSnapshot = async (leagueId, leagueRow) => {
     if (!league) {
         return null;
     }
+    const ratingSettings = await getLeagueRatingSettings(leagueId);
 
     const leaderboard = await database.all(`
         SELECT 
@@ -44,6 +61,7 @@ const buildLeagueSnapshot = async (leagueId, leagueRow) => {
             u.avatar_url,
             lr.display_name,
             lr.current_elo,
+            lr.rating_deviation,
             lr.joined_at,
             COUNT(CASE 
                 WHEN lr.user_id IS NOT NULL AND (m.player1_id = lr.user_id OR m.player2_id = lr.user_id) THEN m.id
@@ -58,15 +76,16 @@ const buildLeagueSnapshot = async (leagueId, leagueRow) => {
         LEFT JOIN users u ON lr.user_id = u.id
         LEFT JOIN matches m ON m.league_id = lr.league_id 
             AND m.is_accepted = ?
+            AND m.is_doubles = ?
             AND (
                 (lr.user_id IS NOT NULL AND (m.player1_id = lr.user_id OR m.player2_id = lr.user_id))
                 OR (lr.user_id IS NULL AND (m.player1_roster_id = lr.id OR m.player2_roster_id = lr.id))
             )
         WHERE lr.league_id = ? AND lr.is_participating = ?
-        GROUP BY lr.id, lr.user_id, u.username, u.first_name, u.last_name, u.avatar_url, lr.display_name, lr.current_elo, lr.joined_at
+        GROUP BY lr.id, lr.user_id, u.username, u.first_name, u.last_name, u.avatar_url, lr.display_name, lr.current_elo, lr.rating_deviation, lr.joined_at
         ORDER BY lr.current_elo DESC
         LIMIT ? OFFSET ?
-    `, [true, leagueId, true, SNAPSHOT_LEADERBOARD_LIMIT, 0]);
+    `, [true, false, leagueId, true, SNAPSHOT_LEADERBOARD_LIMIT, 0]);
 
     const totalRow = await database.get(
         'SELECT COUNT(*) as count FROM league_roster WHERE league_id = ? AND is_participating = ?',
@@ -121,6 +140,7 @@ const buildLeagueSnapshot = async (leagueId, leagueRow) => {
             : [];
         return {
             ...player,
+            ...withRatingUncertainty(ratingSettings, player),
             win_rate: winRate,
             badges: badgeList,
         };
@@ -156,7 +176,7 @@ router.get('/', optionalAuth, validatePagination, async (req, res) => {
         // The old approach JOINed every roster entry × every match, creating huge intermediate sets
         let query = `
             SELECT
-                l.id, l.name, l.description, l.is_public, l.season, l.elo_update_mode, l.created_at, l.updated_at,
+                l.id, l.name, l.description, l.is_public, l.season, l.elo_update_mode, l.rating_engine, l.result_confirmation, l.confirmation_timeout_hours, l.created_at, l.updated_at,
                 u.username as created_by_username,
                 (SELECT COUNT(*) FROM league_roster lr2 WHERE lr2.league_id = l.id) as member_count,
                 (SELECT COUNT(*) FROM matches m2 WHERE m2.league_id = l.id AND m2.is_accepted = ?) as match_count,
@@ -238,7 +258,7 @@ router.get('/', optionalAuth, validatePagination, async (req, res) => {
  */
 router.post('/', authenticateToken, validateLeagueCreation, async (req, res) => {
     try {
-        const { name, description, is_public, season } = req.body;
+        const { name, description, is_public, season, rating_engine } = req.body;
 
         moderateText(
             { name, description, season },
@@ -257,8 +277,8 @@ router.post('/', authenticateToken, validateLeagueCreation, async (req, res) =>
         
         // Create league
         const result = await database.run(
-            'INSERT INTO leagues (name, description, is_public, season, created_by) VALUES (?, ?, ?, ?, ?)',
-            [name, description || null, is_public || false, season || null, req.user.id]
+            'INSERT INTO leagues (name, description, is_public, season, rating_engine, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [name, description || null, is_public || false, season || null, rating_engine || 'elo', req.user.id]
         );
         
         // Add creator as league admin
@@ -270,7 +290,7 @@ router.post('/', authenticateToken, validateLeagueCreation, async (req, res) =>
         // Get created league
         const league = await database.get(`
             SELECT 
-                l.id, l.name, l.description, l.is_public, l.season, l.created_at,
+                l.id, l.name, l.description, l.is_public, l.season, l.rating_engine, l.created_at,
                 u.username as created_by_username
             FROM leagues l
             JOIN users u ON l.created_by = u.id
@@ -300,7 +320,7 @@ router.get('/:id/snapshot', optionalAuth, validateId, async (req, res) => {
 
         const leagueRow = await database.get(`
             SELECT
-                l.id, l.name, l.description, l.is_public, l.season, l.elo_update_mode, l.created_at,
+                l.id, l.name, l.description, l.is_public, l.season, l.elo_update_mode, l.rating_engine, l.result_confirmation, l.confirmation_timeout_hours, l.created_at,
                 u.username as created_by_username,
                 (SELECT COUNT(*) FROM league_roster lr2 WHERE lr2.league_id = l.id) as member_count,
                 (SELECT COUNT(*) FROM matches m2 WHERE m2.league_id = l.id AND m2.is_accepted = ?) as match_count
@@ -390,7 +410,7 @@ router.get('/:id', optionalAuth, validateId, async (req, res) => {
         
         const league = await database.get(`
             SELECT
-                l.id, l.name, l.description, l.is_public, l.season, l.elo_update_mode, l.created_at,
+                l.id, l.name, l.description, l.is_public, l.season, l.elo_update_mode, l.rating_engine, l.result_confirmation, l.confirmation_timeout_hours, l.created_at,
                 u.username as created_by_username,
                 (SELECT COUNT(*) FROM league_roster lr2 WHERE lr2.league_id = l.id) as member_count,
                 (SELECT COUNT(*) FROM matches m2 WHERE m2.league_id = l.id AND m2.is_accepted = ?) as match_count
@@ -446,7 +466,16 @@ router.get('/:id', optionalAuth, validateId, async (req, res) => {
 router.put('/:id', authenticateToken, requireLeagueAdmin, validateId, async (req, res) => {
     try {
         const leagueId = parseInt(req.params.id);
-        const { name, description, is_public, season, elo_update_mode } = req.body;
+        const {
+            name,
+            description,
+            is_public,
+            season,
+            elo_update_mode,
+            rating_engine,
+            result_confirmation,
+            confirmation_timeout_hours
+        } = req.body;
 
         moderateText(
             { name, description, season, elo_update_mode },
@@ -496,6 +525,44 @@ router.put('/:id', authenticateToken, requireLeagueAdmin, validateId, async (req
             updates.push('elo_update_mode = ?');
             values.push(elo_update_mode);
         }
+
+        if (result_confirmation !== undefined) {
+            if (!RESULT_CONFIRMATION_MODES.includes(result_confirmation)) {
+                return res.status(400).json({ error: `result_confirmation must be one of: ${RESULT_CONFIRMATION_MODES.join(', ')}` });
+            }
+            updates.push('result_confirmation = ?');
+            values.push(result_confirmation);
+        }
+
+        if (confirmation_timeout_hours !== undefined) {
+            const hours = Number(confirmation_timeout_hours);
+            if (!Number.isInteger(hours) || hours < 1 || hours > MAX_CONFIRMATION_TIMEOUT_HOURS) {
+                return res.status(400).json({ error: `confirmation_timeout_hours must be a whole number between 1 and ${MAX_CONFIRMATION_TIMEOUT_HOURS}` });
+            }
+            updates.push('confirmation_timeout_hours = ?');
+            values.push(hours);
+        }
+
+        let resetRatingState = false;
+        if (rating_engine !== undefined) {
+            if (!RATING_ENGINE_KEYS.includes(rating_engine)) {
+                return res.status(400).json({ error: `rating_engine must be one of: ${RATING_ENGINE_KEYS.join(', ')}` });
+            }
+            const current = await database.get('SELECT rating_engine FROM leagues WHERE id = ?', [leagueId]);
+            if ((current?.rating_engine || 'elo') !== rating_engine) {
+                // Ratings of different engines are not comparable, so only switch before any are applied
+                const applied = await database.get(
+                    'SELECT COUNT(*) as count FROM matches WHERE league_id = ? AND elo_applied = ?',
+                    [leagueId, true]
+                );
+                if (Number(applied?.count || 0) > 0) {
+                    return res.status(409).json({ error: 'Rating engine can only be changed before any match ratings have been applied' });
+                }
+                updates.push('rating_engine = ?');
+                values.push(rating_engine);
+                resetRatingState = true;
+            }
+        }
         
         if (updates.length === 0) {
             return res.status(400).json({ error: 'No valid fields to update' });
@@ -509,11 +576,33 @@ router.put('/:id', authenticateToken, requireLeagueAdmin, validateId, async (req
             `UPDATE leagues SET ${updates.join(', ')} WHERE id = ?`,
             values
         );
+        if (result_confirmation === 'admin') {
+            // Results still waiting for an opponent move to the admin approval queue
+            await database.run(
+                `UPDATE notifications SET is_read = ?
+                 WHERE type = ? AND related_id IN (
+                     SELECT id FROM matches WHERE league_id = ? AND is_accepted = ? AND confirmation_status = ?
+                 )`,
+                [true, 'match_confirmation', leagueId, false, 'awaiting']
+            );
+            await database.run(
+                `UPDATE matches SET confirmation_status = NULL, confirmation_deadline = NULL
+                 WHERE league_id = ? AND is_accepted = ? AND confirmation_status = ?`,
+                [leagueId, false, 'awaiting']
+            );
+        }
+        if (resetRatingState) {
+            // Uncertainty restarts from the new engine's defaults
+            await database.run(
+                'UPDATE league_roster SET rating_deviation = NULL, rating_volatility = NULL WHERE league_id = ?',
+                [leagueId]
+            );
+        }
         
         // Get updated league
         const updatedLeague = await database.get(`
             SELECT 
-                l.id, l.name, l.description, l.is_public, l.season, l.elo_update_mode, l.created_at, l.updated_at,
+                l.id, l.name, l.description, l.is_public, l.season, l.elo_update_mode, l.rating_engine, l.result_confirmation, l.confirmation_timeout_hours, l.created_at, l.updated_at,
                 u.username as created_by_username
             FROM leagues l
             JOIN users u ON l.created_by = u.id
@@ -533,6 +622,99 @@ router.put('/:id', authenticateToken, requireLeagueAdmin, validateId, async (req
     }
 });
 
+/**
+ * Get league rating config
+ * GET /api/leagues/:id/rating-config
+ */
+router.get('/:id/rating-config', optionalAuth, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const access = await getVisibleLeague(req.user, leagueId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const { engine, config } = await getLeagueRatingSettings(leagueId);
+        res.json({ rating_engine: engine.key, config, defaults: DEFAULT_RATING_CONFIG });
+    } catch (error) {
+        console.error('Get rating config error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Summary of the running week (matches, rating movers, upsets, new members, leaderboard changes)
+ * GET /api/leagues/:id/digest
+ *
+ * Same data as the weekly digest members receive on Monday, for the week so far.
+ */
+router.get('/:id/digest', optionalAuth, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const access = await getVisibleLeague(req.user, leagueId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const digest = await loadLeagueDigest(leagueId, getCurrentWeek());
+        res.json({ digest });
+    } catch (error) {
+        console.error('Get league digest error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Update league rating config (league admin only)
+ * PUT /api/leagues/:id/rating-config
+ * Body: { k_factor?, provisional_k_factor?, provisional_matches?, format_multipliers?, points_factor_cap?, starting_elo?, recompute?: boolean }
+ * New values apply to future ratings; recompute replays the league's rated matches with them.
+ */
+router.put('/:id/rating-config', authenticateToken, requireLeagueAdmin, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const { recompute, ...input } = req.body || {};
+
+        const { engine, config: current } = await getLeagueRatingSettings(leagueId);
+        const { config, error } = validateRatingConfig(input, current);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // The new config and the history rated with it are committed together
+        const { historyMatches, recalculated } = await database.withTransaction(async (tx) => {
+            await tx.run(
+                'UPDATE leagues SET rating_config = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [JSON.stringify(config), leagueId]
+            );
+
+            const applied = await tx.get(
+                'SELECT COUNT(*) as count FROM matches WHERE league_id = ? AND elo_applied = ?',
+                [leagueId, true]
+            );
+            const count = Number(applied?.count || 0);
+            return {
+                historyMatches: count,
+                recalculated: recompute === true && count > 0 ? await applyLeagueRecalculation(tx, leagueId) : null
+            };
+        });
+        await markLeagueSnapshotDirty(leagueId);
+
+        res.json({
+            message: recalculated
+                ? `Rating config updated. ${recalculated.matches} matches recalculated.`
+                : 'Rating config updated',
+            rating_engine: engine.key,
+            config,
+            history_matches: historyMatches,
+            recalculated
+        });
+    } catch (error) {
+        console.error('Update rating config error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * Delete league (league admin only)
  * DELETE /api/leagues/:id
@@ -611,6 +793,7 @@ router.get('/:id/members', authenticateToken, validateId, async (req, res) => {
             LEFT JOIN users u ON lr.user_id = u.id
             LEFT JOIN matches m ON m.league_id = lr.league_id 
                 AND m.is_accepted = ?
+                AND m.is_doubles = ?
                 AND (
                     (lr.user_id IS NOT NULL AND (m.player1_id = lr.user_id OR m.player2_id = lr.user_id))
                     OR (lr.user_id IS NULL AND (m.player1_roster_id = lr.id OR m.player2_roster_id = lr.id))
@@ -618,7 +801,7 @@ router.get('/:id/members', authenticateToken, validateId, async (req, res) => {
             WHERE lr.league_id = ?
             GROUP BY lr.id, lr.user_id, u.username, u.first_name, u.last_name, lr.display_name, lr.current_elo, lr.is_admin, lr.is_participating, lr.joined_at
             ORDER BY lr.current_elo DESC
-        `, [true, leagueId]);
+        `, [true, false, leagueId]);
         
         res.json({
             members: members.map(member => ({
@@ -686,9 +869,10 @@ router.post('/:id/roster', authenticateToken, requireLeagueAdmin, validateId, as
             { context: 'roster display name' }
         );
 
+        const { config } = await getLeagueRatingSettings(leagueId);
         const result = await database.run(
-            'INSERT INTO league_roster (league_id, user_id, display_name) VALUES (?, ?, ?)',
-            [leagueId, null, displayName]
+            'INSERT INTO league_roster (league_id, user_id, display_name, current_elo) VALUES (?, ?, ?, ?)',
+            [leagueId, null, displayName, config.starting_elo]
         );
 
         const rosterEntry = await database.get(
@@ -856,16 +1040,13 @@ router.post('/:id/invite', authenticateToken, requireLeagueAdmin, validateId, as
         
         // Create notification (non-blocking)
         try {
-            await database.run(
-                'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                [
-                    targetUserId,
-                    'league_invite',
-                    'League Invitation',
-                    `You have been invited to join the league "${league?.name || 'Unknown'}"`,
-                    leagueId
-                ]
-            );
+            await createNotification(database, {
+                user_id: targetUserId,
+                type: 'league_invite',
+                title: 'League Invitation',
+                message: `You have been invited to join the league "${league?.name || 'Unknown'}"`,
+                related_id: leagueId
+            });
         } catch (notifError) {
             // Notification failure shouldn't block invite creation
             console.warn('Failed to create notification for league invite (non-blocking):', {
@@ -957,10 +1138,13 @@ router.post('/:id/join-requests', authenticateToken, validateId, async (req, res
                 const title = 'Join request';
                 const message = `${req.user.username} requested to join "${league.name}"`;
                 for (const adminId of adminIds) {
-                    await database.run(
-                        'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                        [adminId, 'league_join_request', title, message, leagueId]
-                    );
+                    await createNotification(database, {
+                        user_id: adminId,
+                        type: 'league_join_request',
+                        title,
+                        message,
+                        related_id: leagueId
+                    });
                 }
             } catch (notifError) {
                 console.warn('Failed to notify admins about join request (non-blocking):', {
@@ -1069,11 +1253,13 @@ router.post('/:id/join-requests/:requestId/approve', authenticateToken, requireL
             WHERE m.league_id = ? 
             AND (m.player1_id = ? OR m.player2_id = ?)
             AND m.is_accepted = ?
+            AND m.is_doubles = ?
             ORDER BY m.played_at DESC
             LIMIT 1
-        `, [joinRequest.user_id, joinRequest.user_id, leagueId, joinRequest.user_id, joinRequest.user_id, true]);
+        `, [joinRequest.user_id, joinRequest.user_id, leagueId, joinRequest.user_id, joinRequest.user_id, true, false]);
 
-        let initialElo = 1200;
+        const { config } = await getLeagueRatingSettings(leagueId);
+        let initialElo = config.starting_elo;
         if (lastMatch && lastMatch.last_elo) {
             initialElo = lastMatch.last_elo;
         }
@@ -1101,10 +1287,13 @@ router.post('/:id/join-requests/:requestId/approve', authenticateToken, requireL
         try {
             const title = 'Join request approved';
             const message = `Your request to join "${leagueName}" was approved`;
-            await database.run(
-                'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                [joinRequest.user_id, 'league_join_approved', title, message, leagueId]
-            );
+            await createNotification(database, {
+                user_id: joinRequest.user_id,
+                type: 'league_join_approved',
+                title,
+                message,
+                related_id: leagueId
+            });
         } catch (notifError) {
             console.warn('Failed to notify user about join approval (non-blocking):', {
                 leagueId,
@@ -1160,10 +1349,13 @@ router.post('/:id/join-requests/:requestId/decline', authenticateToken, requireL
         try {
             const title = 'Join request declined';
             const message = `Your request to join "${leagueName}" was declined`;
-            await database.run(
-                'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                [joinRequest.user_id, 'league_join_declined', title, message, leagueId]
-            );
+            await createNotification(database, {
+                user_id: joinRequest.user_id,
+                type: 'league_join_declined',
+                title,
+                message,
+                related_id: leagueId
+            });
         } catch (notifError) {
             console.warn('Failed to notify user about join decline (non-blocking):', {
                 leagueId,
@@ -1235,14 +1427,16 @@ router.post('/:id/join', authenticateToken, validateId, async (req, res) => {
             WHERE m.league_id = ? 
             AND (m.player1_id = ? OR m.player2_id = ?)
             AND m.is_accepted = ?
+            AND m.is_doubles = ?
             ORDER BY m.played_at DESC
             LIMIT 1
-        `, [req.user.id, req.user.id, leagueId, req.user.id, req.user.id, true]);
+        `, [req.user.id, req.user.id, leagueId, req.user.id, req.user.id, true, false]);
         
-        const initialElo = lastMatch && lastMatch.last_elo ? lastMatch.last_elo : 1200;
+        const { config } = await getLeagueRatingSettings(leagueId);
+        const initialElo = lastMatch && lastMatch.last_elo ? lastMatch.last_elo : config.starting_elo;
         
         // Add user to league roster (use username as display_name)
-        // If they have match history, restore their last ELO; otherwise start at 1200
+        // If they have match history, restore their last ELO; otherwise start at the league's starting ELO
         await database.run(
             'INSERT INTO league_roster (league_id, user_id, display_name, current_elo) VALUES (?, ?, ?, ?)',
             [leagueId, req.user.id, req.user.username, initialElo]
@@ -1325,6 +1519,7 @@ router.get('/:id/leaderboard', optionalAuth, validateId, validatePagination, asy
         if (!league) {
             return res.status(404).json({ error: 'League not found' });
         }
+        const ratingSettings = await getLeagueRatingSettings(leagueId);
         
         if (!league.is_public && req.user) {
             const membership = await database.get(
@@ -1349,6 +1544,7 @@ router.get('/:id/leaderboard', optionalAuth, validateId, validatePagination, asy
                 u.avatar_url,
                 lr.display_name,
                 lr.current_elo,
+                lr.rating_deviation,
                 lr.joined_at,
                 COUNT(CASE 
                     WHEN lr.user_id IS NOT NULL AND (m.player1_id = lr.user_id OR m.player2_id = lr.user_id) THEN m.id
@@ -1363,15 +1559,16 @@ router.get('/:id/leaderboard', optionalAuth, validateId, validatePagination, asy
             LEFT JOIN users u ON lr.user_id = u.id
             LEFT JOIN matches m ON m.league_id = lr.league_id 
                 AND m.is_accepted = ?
+                AND m.is_doubles = ?
                 AND (
                     (lr.user_id IS NOT NULL AND (m.player1_id = lr.user_id OR m.player2_id = lr.user_id))
                     OR (lr.user_id IS NULL AND (m.player1_roster_id = lr.id OR m.player2_roster_id = lr.id))
                 )
             WHERE lr.league_id = ? AND lr.is_participating = ?
-            GROUP BY lr.id, lr.user_id, u.username, u.first_name, u.last_name, u.avatar_url, lr.display_name, lr.current_elo, lr.joined_at
+            GROUP BY lr.id, lr.user_id, u.username, u.first_name, u.last_name, u.avatar_url, lr.display_name, lr.current_elo, lr.rating_deviation, lr.joined_at
             ORDER BY lr.current_elo DESC
             LIMIT ? OFFSET ?
-        `, [true, leagueId, true, limit, offset]);
+        `, [true, false, leagueId, true, limit, offset]);
 
         // Total members for pagination
         const totalRow = await database.get(
@@ -1430,6 +1627,7 @@ router.get('/:id/leaderboard', optionalAuth, validateId, validatePagination, asy
             if (!includeBadges) {
                 return {
                     ...player,
+                    ...withRatingUncertainty(ratingSettings, player),
                     win_rate: winRate,
                 };
             }
@@ -1438,6 +1636,7 @@ router.get('/:id/leaderboard', optionalAuth, validateId, validatePagination, asy
                 : [];
             return {
                 ...player,
+                ...withRatingUncertainty(ratingSettings, player),
                 win_rate: winRate,
                 badges: badgeList,
             };
@@ -1818,8 +2017,11 @@ router.get('/:id/matches', optionalAuth, validateId, validatePagination, async (
         const params = [leagueId, true];
 
         if (!isSiteAdmin && !isLeagueAdmin) {
-            whereClause += ' AND (m.player1_id = ? OR m.player2_id = ?)';
-            params.push(req.user.id, req.user.id);
+            whereClause += ` AND (m.player1_id = ? OR m.player2_id = ? OR EXISTS (
+                SELECT 1 FROM league_roster lp
+                WHERE lp.id IN (m.player1_partner_roster_id, m.player2_partner_roster_id) AND lp.user_id = ?
+            ))`;
+            params.push(req.user.id, req.user.id, req.user.id);
         }
 
         const matches = await database.all(`
@@ -1833,10 +2035,15 @@ router.get('/:id/matches', optionalAuth, validateId, validatePagination, async (
                 COALESCE(u1.username, u1_fallback.username) as player1_username,
                 COALESCE(u2.id, m.player2_id) as player2_user_id, 
                 COALESCE(u2.username, u2_fallback.username) as player2_username,
-                m.player1_elo_before, m.player2_elo_before, m.player1_elo_after, m.player2_elo_after
+                m.player1_elo_before, m.player2_elo_before, m.player1_elo_after, m.player2_elo_after,
+                m.is_doubles, m.player1_partner_roster_id, m.player2_partner_roster_id,
+                rp1.display_name as player1_partner_display_name,
+                rp2.display_name as player2_partner_display_name
             FROM matches m
             LEFT JOIN league_roster r1 ON m.player1_roster_id = r1.id
             LEFT JOIN league_roster r2 ON m.player2_roster_id = r2.id
+            LEFT JOIN league_roster rp1 ON m.player1_partner_roster_id = rp1.id
+            LEFT JOIN league_roster rp2 ON m.player2_partner_roster_id = rp2.id
             LEFT JOIN users u1 ON r1.user_id = u1.id
             LEFT JOIN users u2 ON r2.user_id = u2.id
             LEFT JOIN users u1_fallback ON m.player1_id = u1_fallback.id
@@ -1,24 +1,110 @@
 const express = require('express');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validateMatchCreation, validateId, validatePagination } = require('../middleware/validation');
-const { calculateNewElos, validateMatchResult } = require('../utils/eloCalculator');
+const { validateMatchCreation, validateMatchDispute, validateId, validatePagination } = require('../middleware/validation');
+const { validateMatchResult } = require('../utils/eloCalculator');
+const { getRatingState, getMatchOutcome, getLeagueRatingSettings } = require('../utils/ratingEngines');
 const database = require('../models/database');
 const { markLeagueSnapshotDirty } = require('../utils/leagueSnapshots');
+const { getPlayableTournamentMatch, linkTournamentMatch } = require('../utils/tournaments');
+const { resolveFixtureForMatch, linkFixtureToMatch } = require('../utils/fixtures');
+const { previewDoublesRating, replayDoublesRatings } = require('../utils/doubles');
+const { getActiveSeason } = require('../utils/seasons');
+const { consolidateLeague, ConsolidationError } = require('../utils/consolidation');
+const { applyLeagueRecalculation } = require('../utils/ratingRecalculation');
+const { moderateText, ModerationError } = require('../middleware/contentModeration');
+const { createNotification } = require('../utils/notifications');
+const { publishToLeague } = require('../utils/realtime');
+const {
+    IDEMPOTENCY_HEADER,
+    IdempotencyError,
+    parseIdempotencyKey,
+    requestHash,
+    isUniqueViolation,
+    findSubmission,
+    claimKey
+} = require('../utils/idempotency');
+const {
+    MatchConfirmationError,
+    getRosterByUser,
+    getRosterById,
+    getMatchRosterIds,
+    getConfirmationDeadline,
+    acceptMatch,
+    confirmMatch,
+    disputeMatch,
+    resolveDispute
+} = require('../utils/matchAcceptance');
 
 const router = express.Router();
 
-async function getRosterByUser(leagueId, userId, tx = database) {
-    return tx.get(
-        'SELECT id, user_id, display_name, current_elo, is_admin FROM league_roster WHERE league_id = ? AND user_id = ?',
-        [leagueId, userId]
-    );
+/**
+ * Load the partners of a doubles match and check all four players are distinct
+ * @returns {Promise<{partner1?: Object, partner2?: Object, error?: string}>}
+ */
+async function resolveDoublesPartners(leagueId, player1Roster, player2Roster, partner1RosterId, partner2RosterId) {
+    const partner1 = partner1RosterId ? await getRosterById(leagueId, partner1RosterId) : null;
+    const partner2 = partner2RosterId ? await getRosterById(leagueId, partner2RosterId) : null;
+    if (!partner1 || !partner2) {
+        return { error: 'Both partners must be roster members of this league' };
+    }
+    const ids = new Set([player1Roster.id, partner1.id, player2Roster.id, partner2.id]);
+    if (ids.size !== 4) {
+        return { error: 'Doubles matches need four different roster members' };
+    }
+    return { partner1, partner2 };
+}
+
+/**
+ * A match as returned by POST /api/matches
+ */
+async function getCreatedMatch(matchId) {
+    return database.get(`
+        SELECT 
+            m.id, m.league_id,
+            m.player1_roster_id, m.player2_roster_id, m.winner_roster_id,
+            m.player1_id, m.player2_id, m.winner_id,
+            m.player1_sets_won, m.player2_sets_won, 
+            m.player1_points_total, m.player2_points_total, m.game_type, 
+            m.is_accepted, m.played_at, m.created_at,
+            m.confirmation_status, m.confirmation_deadline,
+            m.player1_elo_before, m.player2_elo_before, m.player1_elo_after, m.player2_elo_after,
+            l.name as league_name,
+            COALESCE(r1.display_name, u1_fallback.username) as player1_display_name,
+            COALESCE(r2.display_name, u2_fallback.username) as player2_display_name,
+            m.is_doubles, m.player1_partner_roster_id, m.player2_partner_roster_id,
+            rp1.display_name as player1_partner_display_name,
+            rp2.display_name as player2_partner_display_name,
+            rp1.user_id as player1_partner_user_id,
+            rp2.user_id as player2_partner_user_id,
+            COALESCE(u1.username, u1_fallback.username) as player1_username,
+            COALESCE(u2.username, u2_fallback.username) as player2_username
+        FROM matches m
+        JOIN leagues l ON m.league_id = l.id
+        LEFT JOIN league_roster r1 ON m.player1_roster_id = r1.id
+        LEFT JOIN league_roster r2 ON m.player2_roster_id = r2.id
+        LEFT JOIN league_roster rp1 ON m.player1_partner_roster_id = rp1.id
+        LEFT JOIN league_roster rp2 ON m.player2_partner_roster_id = rp2.id
+        LEFT JOIN users u1 ON r1.user_id = u1.id
+        LEFT JOIN users u2 ON r2.user_id = u2.id
+        LEFT JOIN users u1_fallback ON m.player1_id = u1_fallback.id
+        LEFT JOIN users u2_fallback ON m.player2_id = u2_fallback.id
+        WHERE m.id = ?
+    `, [matchId]);
 }
 
-async function getRosterById(leagueId, rosterId, tx = database) {
-    return tx.get(
-        'SELECT id, user_id, display_name, current_elo, is_admin FROM league_roster WHERE league_id = ? AND id = ?',
-        [leagueId, rosterId]
-    );
+/**
+ * Answer a repeated submission with the match its first attempt created
+ */
+async function replaySubmission(res, submission) {
+    const match = submission.match_id ? await getCreatedMatch(submission.match_id) : null;
+    if (!match) {
+        return res.status(409).json({
+            error: 'This match was already submitted and has since been removed',
+            code: 'MATCH_REMOVED'
+        });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(200).json({ message: 'Match already recorded.', match, replayed: true });
 }
 
 /**
@@ -39,8 +125,11 @@ router.get('/', authenticateToken, validatePagination, async (req, res) => {
         // - Site admins may see all matches.
         //
         // We use match-level player IDs which are always populated for user-owned visibility.
-        let whereClause = '(m.player1_id = ? OR m.player2_id = ?)';
-        const params = [req.user.id, req.user.id];
+        let whereClause = `(m.player1_id = ? OR m.player2_id = ? OR EXISTS (
+            SELECT 1 FROM league_roster lp
+            WHERE lp.id IN (m.player1_partner_roster_id, m.player2_partner_roster_id) AND lp.user_id = ?
+        ))`;
+        const params = [req.user.id, req.user.id, req.user.id];
 
         if (req.user.is_admin) {
             whereClause = '1 = 1';
@@ -85,10 +174,16 @@ router.get('/', authenticateToken, validatePagination, async (req, res) => {
                 m.player1_sets_won, m.player2_sets_won,
                 m.player1_points_total, m.player2_points_total,
                 m.game_type, m.is_accepted, m.elo_applied, m.elo_applied_at, m.played_at, m.created_at,
+                m.confirmation_status, m.confirmation_deadline,
                 m.player1_elo_before, m.player2_elo_before, m.player1_elo_after, m.player2_elo_after,
                 l.name as league_name,
                 COALESCE(r1.display_name, u1_fallback.username) as player1_display_name,
                 COALESCE(r2.display_name, u2_fallback.username) as player2_display_name,
+                m.is_doubles, m.player1_partner_roster_id, m.player2_partner_roster_id,
+                rp1.display_name as player1_partner_display_name,
+                rp2.display_name as player2_partner_display_name,
+                rp1.user_id as player1_partner_user_id,
+                rp2.user_id as player2_partner_user_id,
                 COALESCE(u1.id, m.player1_id) as player1_user_id, 
                 COALESCE(u1.username, u1_fallback.username) as player1_username,
                 COALESCE(u2.id, m.player2_id) as player2_user_id, 
@@ -98,6 +193,8 @@ router.get('/', authenticateToken, validatePagination, async (req, res) => {
             JOIN leagues l ON m.league_id = l.id
             LEFT JOIN league_roster r1 ON m.player1_roster_id = r1.id
             LEFT JOIN league_roster r2 ON m.player2_roster_id = r2.id
+            LEFT JOIN league_roster rp1 ON m.player1_partner_roster_id = rp1.id
+            LEFT JOIN league_roster rp2 ON m.player2_partner_roster_id = rp2.id
             LEFT JOIN users u1 ON r1.user_id = u1.id
             LEFT JOIN users u2 ON r2.user_id = u2.id
             LEFT JOIN users u1_fallback ON m.player1_id = u1_fallback.id
@@ -133,9 +230,24 @@ router.get('/', authenticateToken, validatePagination, async (req, res) => {
 /**
  * Create new match
  * POST /api/matches
+ *
+ * Optional tournament_match_id links the result to a bracket match; the winner advances once the match is accepted.
+ * Optional fixture_id links it to a scheduled fixture; without it the pairing's next open fixture is used.
+ * With is_doubles, player1/2_partner_roster_id complete each side; doubles are not linked to brackets or fixtures.
  */
 router.post('/', authenticateToken, validateMatchCreation, async (req, res) => {
+    let idempotencyKey = null;
+    let bodyHash = null;
     try {
+        idempotencyKey = parseIdempotencyKey(req.get(IDEMPOTENCY_HEADER));
+        if (idempotencyKey) {
+            bodyHash = requestHash(req.body);
+            const previous = await findSubmission(req.user.id, idempotencyKey, bodyHash);
+            if (previous) {
+                return replaySubmission(res, previous);
+            }
+        }
+
         const {
             league_id,
             player1_roster_id,
@@ -146,8 +258,14 @@ router.post('/', authenticateToken, validateMatchCreation, async (req, res) => {
             player2_points_total,
             game_type,
             sets,
-            played_at
+            played_at,
+            tournament_match_id,
+            fixture_id,
+            is_doubles,
+            player1_partner_roster_id,
+            player2_partner_roster_id
         } = req.body;
+        const isDoubles = is_doubles === true || is_doubles === 'true';
 
         let player1Roster = null;
         if (player1_roster_id) {
@@ -181,12 +299,57 @@ router.post('/', authenticateToken, validateMatchCreation, async (req, res) => {
             return res.status(400).json({ error: 'Players must be different roster members' });
         }
 
+        let partners = null;
+        if (isDoubles) {
+            if (tournament_match_id || fixture_id) {
+                return res.status(400).json({ error: 'Doubles matches cannot be linked to tournaments or fixtures' });
+            }
+            partners = await resolveDoublesPartners(
+                league_id,
+                player1Roster,
+                player2Roster,
+                player1_partner_roster_id,
+                player2_partner_roster_id
+            );
+            if (partners.error) {
+                return res.status(400).json({ error: partners.error });
+            }
+        }
+
         // Validate match result
         const validation = validateMatchResult(player1_sets_won, player2_sets_won, game_type);
         if (!validation.isValid) {
             return res.status(400).json({ error: validation.error });
         }
 
+        // Bracket matches must be played by the paired roster entries
+        let tournamentMatch = null;
+        if (tournament_match_id) {
+            const playable = await getPlayableTournamentMatch(
+                league_id,
+                tournament_match_id,
+                [player1Roster.id, player2Roster.id]
+            );
+            if (playable.error) {
+                return res.status(400).json({ error: playable.error });
+            }
+            tournamentMatch = playable.tournamentMatch;
+        }
+
+        // Link to a scheduled fixture (explicit, or the pairing's next open one)
+        let fixture = null;
+        if (!isDoubles && (fixture_id || !tournamentMatch)) {
+            const resolved = await resolveFixtureForMatch(
+                league_id,
+                fixture_id,
+                [player1Roster.id, player2Roster.id]
+            );
+            if (resolved.error) {
+                return res.status(400).json({ error: resolved.error });
+            }
+            fixture = resolved.fixture;
+        }
+
         // Determine winner (roster)
         const didP1Win = player1_sets_won > player2_sets_won;
         const winnerRosterId = didP1Win ? player1Roster.id : player2Roster.id;
@@ -194,19 +357,45 @@ router.post('/', authenticateToken, validateMatchCreation, async (req, res) => {
             ? (player1Roster.user_id || null)
             : (player2Roster.user_id || null);
 
-        // Current ELO ratings
-        const player1Elo = player1Roster.current_elo;
-        const player2Elo = player2Roster.current_elo;
+        // Current ratings (team ratings for doubles); the stored "after" values are re-rated on acceptance
+        const { engine, config } = await getLeagueRatingSettings(league_id);
+        let player1Elo = player1Roster.current_elo;
+        let player2Elo = player2Roster.current_elo;
+        let eloResult;
+        if (isDoubles) {
+            const doublesResult = await previewDoublesRating(database, config, {
+                league_id,
+                player1_roster_id: player1Roster.id,
+                player2_roster_id: player2Roster.id,
+                player1_partner_roster_id: partners.partner1.id,
+                player2_partner_roster_id: partners.partner2.id,
+                player1_sets_won,
+                player2_sets_won,
+                player1_points_total,
+                player2_points_total
+            });
+            player1Elo = doublesResult.team1.before;
+            player2Elo = doublesResult.team2.before;
+            eloResult = { newRating1: doublesResult.team1.after, newRating2: doublesResult.team2.after };
+        } else {
+            eloResult = engine.rateMatch(
+                getRatingState(engine, player1Roster),
+                getRatingState(engine, player2Roster),
+                getMatchOutcome({ player1_sets_won, player2_sets_won, player1_points_total, player2_points_total }),
+                config
+            );
+        }
 
-        const eloResult = calculateNewElos(
-            player1Elo,
-            player2Elo,
-            player1_points_total,
-            player2_points_total,
-            didP1Win,
-            player1_sets_won,
-            player2_sets_won
+        const activeSeason = await getActiveSeason(league_id);
+
+        // Opponent confirmation: the opponent side answers results submitted by a player of side 1
+        const league = await database.get(
+            'SELECT name, result_confirmation, confirmation_timeout_hours FROM leagues WHERE id = ?',
+            [league_id]
         );
+        const opponentUserIds = [player2Roster.user_id, partners?.partner2.user_id].filter(Boolean);
+        const submittedBySide1 = [player1Roster.user_id, partners?.partner1.user_id].includes(req.user.id);
+        const awaitsOpponent = league.result_confirmation === 'opponent' && submittedBySide1 && opponentUserIds.length > 0;
 
         const txResult = await database.withTransaction(async (tx) => {
             const columns = [
@@ -251,12 +440,31 @@ router.post('/', authenticateToken, validateMatchCreation, async (req, res) => {
                 values.push(played_at);
             }
 
+            if (isDoubles) {
+                columns.push('is_doubles', 'player1_partner_roster_id', 'player2_partner_roster_id');
+                values.push(true, partners.partner1.id, partners.partner2.id);
+            }
+
+            if (activeSeason) {
+                columns.push('season_id');
+                values.push(activeSeason.id);
+            }
+
+            if (awaitsOpponent) {
+                columns.push('confirmation_status', 'confirmation_deadline');
+                values.push('awaiting', getConfirmationDeadline(league.confirmation_timeout_hours));
+            }
+
             const placeholders = columns.map(() => '?').join(', ');
             const matchResult = await tx.run(
                 `INSERT INTO matches (${columns.join(', ')}) VALUES (${placeholders})`,
                 values
             );
 
+            if (idempotencyKey) {
+                await claimKey(tx, req.user.id, idempotencyKey, bodyHash, matchResult.id);
+            }
+
             if (sets && sets.length > 0) {
                 for (let i = 0; i < sets.length; i++) {
                     await tx.run(
@@ -267,57 +475,70 @@ router.post('/', authenticateToken, validateMatchCreation, async (req, res) => {
             }
 
             // Notification only for assigned opponent users
-            if (player2Roster.user_id) {
-                const league = await tx.get('SELECT name FROM leagues WHERE id = ?', [league_id]);
-                await tx.run(
-                    'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                    [
-                        player2Roster.user_id,
-                        'match_request',
-                        'New Match Result',
-                        `${req.user.username} has submitted a match result in "${league.name}"`,
-                        matchResult.id
-                    ]
-                );
+            for (const opponentUserId of opponentUserIds) {
+                await createNotification(tx, awaitsOpponent
+                    ? {
+                        user_id: opponentUserId,
+                        type: 'match_confirmation',
+                        title: 'Confirm Match Result',
+                        message: `${req.user.username} has submitted a match result in "${league.name}". Please confirm or dispute it.`,
+                        related_id: matchResult.id
+                    }
+                    : {
+                        user_id: opponentUserId,
+                        type: 'match_request',
+                        title: 'New Match Result',
+                        message: `${req.user.username} has submitted a match result in "${league.name}"`,
+                        related_id: matchResult.id
+                    });
+            }
+
+            if (tournamentMatch) {
+                await linkTournamentMatch(tx, tournamentMatch.id, matchResult.id);
+            }
+
+            if (fixture) {
+                await linkFixtureToMatch(tx, fixture.id, matchResult.id);
             }
 
             return { matchId: matchResult.id };
         });
 
-        const match = await database.get(`
-            SELECT 
-                m.id, m.league_id,
-                m.player1_roster_id, m.player2_roster_id, m.winner_roster_id,
-                m.player1_id, m.player2_id, m.winner_id,
-                m.player1_sets_won, m.player2_sets_won, 
-                m.player1_points_total, m.player2_points_total, m.game_type, 
-                m.is_accepted, m.played_at, m.created_at,
-                m.player1_elo_before, m.player2_elo_before, m.player1_elo_after, m.player2_elo_after,
-                l.name as league_name,
-                COALESCE(r1.display_name, u1_fallback.username) as player1_display_name,
-                COALESCE(r2.display_name, u2_fallback.username) as player2_display_name,
-                COALESCE(u1.username, u1_fallback.username) as player1_username,
-                COALESCE(u2.username, u2_fallback.username) as player2_username
-            FROM matches m
-            JOIN leagues l ON m.league_id = l.id
-            LEFT JOIN league_roster r1 ON m.player1_roster_id = r1.id
-            LEFT JOIN league_roster r2 ON m.player2_roster_id = r2.id
-            LEFT JOIN users u1 ON r1.user_id = u1.id
-            LEFT JOIN users u2 ON r2.user_id = u2.id
-            LEFT JOIN users u1_fallback ON m.player1_id = u1_fallback.id
-            LEFT JOIN users u2_fallback ON m.player2_id = u2_fallback.id
-            WHERE m.id = ?
-        `, [txResult.matchId]);
+        publishToLeague(league_id, 'match_updated', { match_id: txResult.matchId, status: 'submitted' });
+
+        const match = await getCreatedMatch(txResult.matchId);
 
         res.status(201).json({
-            message: 'Match created successfully. Waiting for admin approval.',
+            message: awaitsOpponent
+                ? 'Match created successfully. Waiting for your opponent to confirm.'
+                : 'Match created successfully. Waiting for admin approval.',
             match,
             elo_preview: {
                 player1_change: eloResult.newRating1 - player1Elo,
                 player2_change: eloResult.newRating2 - player2Elo
-            }
+            },
+            tournament: tournamentMatch
+                ? { id: tournamentMatch.tournament_id, match_key: tournamentMatch.match_key }
+                : null,
+            fixture_id: fixture ? fixture.id : null
         });
     } catch (error) {
+        if (error instanceof IdempotencyError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        // The same key was submitted twice at once: the other request created the match
+        if (idempotencyKey && isUniqueViolation(error)) {
+            try {
+                const previous = await findSubmission(req.user.id, idempotencyKey, bodyHash);
+                if (previous) {
+                    return replaySubmission(res, previous);
+                }
+            } catch (replayError) {
+                if (replayError instanceof IdempotencyError) {
+                    return res.status(replayError.status).json({ error: replayError.message, code: replayError.code });
+                }
+            }
+        }
         console.error('Create match error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -326,6 +547,8 @@ router.post('/', authenticateToken, validateMatchCreation, async (req, res) => {
 /**
  * Get pending matches (admin only)
  * GET /api/matches/pending
+ *
+ * Excludes results awaiting opponent confirmation and disputed results (see /disputes).
  */
 router.get('/pending', authenticateToken, validatePagination, async (req, res) => {
     try {
@@ -333,8 +556,9 @@ router.get('/pending', authenticateToken, validatePagination, async (req, res) =
         const limit = parseInt(req.query.limit) || 20;
         const offset = (page - 1) * limit;
         
-        let whereClause = 'm.is_accepted = ?';
-        const params = [false];
+        // Results awaiting the opponent or in dispute are not ready for approval
+        let whereClause = 'm.is_accepted = ? AND (m.confirmation_status IS NULL OR m.confirmation_status NOT IN (?, ?))';
+        const params = [false, 'awaiting', 'disputed'];
         
         // If not global admin, filter by leagues where user is league admin
         if (!req.user.is_admin) {
@@ -351,12 +575,19 @@ router.get('/pending', authenticateToken, validatePagination, async (req, res) =
                 l.name as league_name,
                 COALESCE(r1.display_name, u1_fallback.username) as player1_display_name,
                 COALESCE(r2.display_name, u2_fallback.username) as player2_display_name,
+                m.is_doubles, m.player1_partner_roster_id, m.player2_partner_roster_id,
+                rp1.display_name as player1_partner_display_name,
+                rp2.display_name as player2_partner_display_name,
+                rp1.user_id as player1_partner_user_id,
+                rp2.user_id as player2_partner_user_id,
                 COALESCE(u1.username, u1_fallback.username) as player1_username,
                 COALESCE(u2.username, u2_fallback.username) as player2_username
             FROM matches m
             JOIN leagues l ON m.league_id = l.id
             LEFT JOIN league_roster r1 ON m.player1_roster_id = r1.id
             LEFT JOIN league_roster r2 ON m.player2_roster_id = r2.id
+            LEFT JOIN league_roster rp1 ON m.player1_partner_roster_id = rp1.id
+            LEFT JOIN league_roster rp2 ON m.player2_partner_roster_id = rp2.id
             LEFT JOIN users u1 ON r1.user_id = u1.id
             LEFT JOIN users u2 ON r2.user_id = u2.id
             LEFT JOIN users u1_fallback ON m.player1_id = u1_fallback.id
@@ -386,9 +617,109 @@ router.get('/pending', authenticateToken, validatePagination, async (req, res) =
     }
 });
 
+/**
+ * Open disputes with both versions of the score (admin or league admin)
+ * GET /api/matches/disputes
+ *
+ * submitted is the result entered by side 1; disputed is the opponent's version.
+ */
+router.get('/disputes', authenticateToken, async (req, res) => {
+    try {
+        let whereClause = 'd.status = ? AND m.is_accepted = ?';
+        const params = ['open', false];
+
+        // If not global admin, filter by leagues where user is league admin
+        if (!req.user.is_admin) {
+            whereClause += ' AND EXISTS (SELECT 1 FROM league_roster lr WHERE lr.league_id = m.league_id AND lr.user_id = ? AND lr.is_admin = ?)';
+            params.push(req.user.id, true);
+        }
+
+        const rows = await database.all(`
+            SELECT
+                d.id, d.match_id, d.reason, d.created_at,
+                d.player1_sets_won as disputed_player1_sets_won, d.player2_sets_won as disputed_player2_sets_won,
+                d.player1_points_total as disputed_player1_points_total, d.player2_points_total as disputed_player2_points_total,
+                d.sets as disputed_sets,
+                du.username as disputed_by_username,
+                m.league_id, m.game_type, m.played_at, m.created_at as submitted_at,
+                m.player1_sets_won, m.player2_sets_won, m.player1_points_total, m.player2_points_total,
+                l.name as league_name,
+                COALESCE(r1.display_name, u1_fallback.username) as player1_display_name,
+                COALESCE(r2.display_name, u2_fallback.username) as player2_display_name,
+                m.is_doubles,
+                rp1.display_name as player1_partner_display_name,
+                rp2.display_name as player2_partner_display_name
+            FROM match_disputes d
+            JOIN matches m ON d.match_id = m.id
+            JOIN leagues l ON m.league_id = l.id
+            LEFT JOIN users du ON d.disputed_by = du.id
+            LEFT JOIN league_roster r1 ON m.player1_roster_id = r1.id
+            LEFT JOIN league_roster r2 ON m.player2_roster_id = r2.id
+            LEFT JOIN league_roster rp1 ON m.player1_partner_roster_id = rp1.id
+            LEFT JOIN league_roster rp2 ON m.player2_partner_roster_id = rp2.id
+            LEFT JOIN users u1_fallback ON m.player1_id = u1_fallback.id
+            LEFT JOIN users u2_fallback ON m.player2_id = u2_fallback.id
+            WHERE ${whereClause}
+            ORDER BY d.created_at ASC
+        `, params);
+
+        const matchIds = rows.map((row) => row.match_id);
+        const submittedSets = matchIds.length > 0
+            ? await database.all(
+                `SELECT match_id, player1_score, player2_score FROM match_sets
+                 WHERE match_id IN (${matchIds.map(() => '?').join(', ')})
+                 ORDER BY match_id, set_number`,
+                matchIds
+            )
+            : [];
+
+        const disputes = rows.map((row) => ({
+            id: row.id,
+            match_id: row.match_id,
+            league_id: row.league_id,
+            league_name: row.league_name,
+            game_type: row.game_type,
+            is_doubles: row.is_doubles,
+            player1_display_name: row.player1_display_name,
+            player2_display_name: row.player2_display_name,
+            player1_partner_display_name: row.player1_partner_display_name,
+            player2_partner_display_name: row.player2_partner_display_name,
+            played_at: row.played_at,
+            reason: row.reason,
+            disputed_by_username: row.disputed_by_username,
+            created_at: row.created_at,
+            submitted: {
+                player1_sets_won: row.player1_sets_won,
+                player2_sets_won: row.player2_sets_won,
+                player1_points_total: row.player1_points_total,
+                player2_points_total: row.player2_points_total,
+                sets: submittedSets
+                    .filter((set) => set.match_id === row.match_id)
+                    .map(({ player1_score, player2_score }) => ({ player1_score, player2_score })),
+                submitted_at: row.submitted_at
+            },
+            disputed: {
+                player1_sets_won: row.disputed_player1_sets_won,
+                player2_sets_won: row.disputed_player2_sets_won,
+                player1_points_total: row.disputed_player1_points_total,
+                player2_points_total: row.disputed_player2_points_total,
+                sets: row.disputed_sets ? JSON.parse(row.disputed_sets) : []
+            }
+        }));
+
+        res.json({ disputes });
+    } catch (error) {
+        console.error('Get disputes error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * Preview ELO changes for a potential match
  * POST /api/matches/preview-elo
+ *
+ * For doubles (is_doubles with partner roster IDs) current/new ELOs are team ratings
+ * and players lists each player's doubles rating change.
  */
 router.post('/preview-elo', authenticateToken, async (req, res) => {
     try {
@@ -399,7 +730,10 @@ router.post('/preview-elo', authenticateToken, async (req, res) => {
             player1_sets_won,
             player2_sets_won,
             player1_points_total,
-            player2_points_total
+            player2_points_total,
+            is_doubles,
+            player1_partner_roster_id,
+            player2_partner_roster_id
         } = req.body;
         
         // Get current ELO ratings
@@ -429,17 +763,63 @@ router.post('/preview-elo', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Players must be different roster members' });
         }
         
-        const eloResult = calculateNewElos(
-            player1Roster.current_elo,
-            player2Roster.current_elo,
-            player1_points_total || 0,
-            player2_points_total || 0,
-            player1_sets_won > player2_sets_won,
-            player1_sets_won,
-            player2_sets_won
+        const { engine, config } = await getLeagueRatingSettings(league_id);
+
+        if (is_doubles === true || is_doubles === 'true') {
+            const partners = await resolveDoublesPartners(
+                league_id,
+                player1Roster,
+                player2Roster,
+                player1_partner_roster_id,
+                player2_partner_roster_id
+            );
+            if (partners.error) {
+                return res.status(400).json({ error: partners.error });
+            }
+            const rosterIds = [player1Roster.id, partners.partner1.id, player2Roster.id, partners.partner2.id];
+            const doublesResult = await previewDoublesRating(database, config, {
+                league_id,
+                player1_roster_id: rosterIds[0],
+                player1_partner_roster_id: rosterIds[1],
+                player2_roster_id: rosterIds[2],
+                player2_partner_roster_id: rosterIds[3],
+                player1_sets_won,
+                player2_sets_won,
+                player1_points_total,
+                player2_points_total
+            });
+            // In pair mode each side has a single rated unit shared by both players
+            const playerResult = (results, index) => results[Math.min(index, results.length - 1)];
+            return res.json({
+                rating_engine: 'elo',
+                is_doubles: true,
+                doubles_rating_mode: config.doubles_rating_mode,
+                current_elos: { player1: doublesResult.team1.before, player2: doublesResult.team2.before },
+                new_elos: { player1: doublesResult.team1.after, player2: doublesResult.team2.after },
+                changes: {
+                    player1: doublesResult.team1.after - doublesResult.team1.before,
+                    player2: doublesResult.team2.after - doublesResult.team2.before
+                },
+                players: rosterIds.map((rosterId, index) => {
+                    const result = playerResult(index < 2 ? doublesResult.side1 : doublesResult.side2, index % 2);
+                    return { roster_id: rosterId, side: index < 2 ? 1 : 2, ...result };
+                }),
+                uncertainty: null,
+                calculation_details: { expected_score_1: doublesResult.expectedScore1 }
+            });
+        }
+
+        const player1State = getRatingState(engine, player1Roster);
+        const player2State = getRatingState(engine, player2Roster);
+        const eloResult = engine.rateMatch(
+            player1State,
+            player2State,
+            getMatchOutcome({ player1_sets_won, player2_sets_won, player1_points_total, player2_points_total }),
+            config
         );
         
         res.json({
+            rating_engine: engine.key,
             current_elos: {
                 player1: player1Roster.current_elo,
                 player2: player2Roster.current_elo
@@ -452,11 +832,13 @@ router.post('/preview-elo', authenticateToken, async (req, res) => {
                 player1: eloResult.newRating1 - player1Roster.current_elo,
                 player2: eloResult.newRating2 - player2Roster.current_elo
             },
-            calculation_details: {
-                expected_score_player1: eloResult.expectedScore1,
-                points_factor: eloResult.pointsFactor,
-                format_multiplier: eloResult.formatMultiplier
-            }
+            uncertainty: engine.hasUncertainty
+                ? {
+                    player1: { before: player1State.deviation, after: eloResult.state1.deviation },
+                    player2: { before: player2State.deviation, after: eloResult.state2.deviation }
+                }
+                : null,
+            calculation_details: eloResult.details
         });
     } catch (error) {
         console.error('Preview ELO error:', error);
@@ -477,11 +859,17 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
                 m.id, m.league_id, m.player1_sets_won, m.player2_sets_won, 
                 m.player1_points_total, m.player2_points_total, m.game_type, 
                 m.winner_id, m.winner_roster_id, m.is_accepted, m.elo_applied, m.elo_applied_at, m.played_at, m.created_at,
+                m.confirmation_status, m.confirmation_deadline,
                 m.player1_elo_before, m.player2_elo_before, m.player1_elo_after, m.player2_elo_after,
                 l.name as league_name,
                 m.player1_roster_id, m.player2_roster_id,
                 COALESCE(r1.display_name, u1_fallback.username) as player1_display_name,
                 COALESCE(r2.display_name, u2_fallback.username) as player2_display_name,
+                m.is_doubles, m.player1_partner_roster_id, m.player2_partner_roster_id,
+                rp1.display_name as player1_partner_display_name,
+                rp2.display_name as player2_partner_display_name,
+                rp1.user_id as player1_partner_user_id,
+                rp2.user_id as player2_partner_user_id,
                 COALESCE(u1.id, m.player1_id) as player1_user_id, 
                 COALESCE(u1.username, u1_fallback.username) as player1_username,
                 COALESCE(u2.id, m.player2_id) as player2_user_id, 
@@ -491,6 +879,8 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
             JOIN leagues l ON m.league_id = l.id
             LEFT JOIN league_roster r1 ON m.player1_roster_id = r1.id
             LEFT JOIN league_roster r2 ON m.player2_roster_id = r2.id
+            LEFT JOIN league_roster rp1 ON m.player1_partner_roster_id = rp1.id
+            LEFT JOIN league_roster rp2 ON m.player2_partner_roster_id = rp2.id
             LEFT JOIN users u1 ON r1.user_id = u1.id
             LEFT JOIN users u2 ON r2.user_id = u2.id
             LEFT JOIN users u1_fallback ON m.player1_id = u1_fallback.id
@@ -504,7 +894,12 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
         }
         
         // Check if user has access to this match
-        const isParticipant = match.player1_user_id === req.user.id || match.player2_user_id === req.user.id;
+        const isParticipant = [
+            match.player1_user_id,
+            match.player2_user_id,
+            match.player1_partner_user_id,
+            match.player2_partner_user_id
+        ].includes(req.user.id);
         if (!isParticipant && !req.user.is_admin) {
             // Check if user is league admin
             const leagueAdmin = await database.get(
@@ -523,9 +918,34 @@ router.get('/:id', authenticateToken, validateId, async (req, res) => {
             [matchId]
         );
         
+        // Per-player (or per-pair) doubles rating changes
+        const doublesRatings = match.is_doubles
+            ? await database.all(
+                `SELECT roster_id, pair_id, elo_before, elo_after, elo_change
+                 FROM doubles_elo_history WHERE match_id = ? ORDER BY id`,
+                [matchId]
+            )
+            : undefined;
+        
+        // Opponent's version of a disputed result
+        const dispute = match.confirmation_status
+            ? await database.get(
+                `SELECT d.id, d.reason, d.player1_sets_won, d.player2_sets_won,
+                        d.player1_points_total, d.player2_points_total, d.sets, d.status, d.resolution,
+                        d.created_at, u.username as disputed_by_username
+                 FROM match_disputes d
+                 LEFT JOIN users u ON d.disputed_by = u.id
+                 WHERE d.match_id = ?
+                 ORDER BY d.id DESC LIMIT 1`,
+                [matchId]
+            )
+            : null;
+        
         res.json({
             match,
-            sets
+            sets,
+            doubles_ratings: doublesRatings,
+            dispute: dispute ? { ...dispute, sets: dispute.sets ? JSON.parse(dispute.sets) : [] } : null
         });
     } catch (error) {
         console.error('Get match error:', error);
@@ -550,7 +970,10 @@ router.put('/:id', authenticateToken, validateId, async (req, res) => {
         } = req.body;
         
         const match = await database.get(
-            'SELECT player1_id, player2_id, player1_roster_id, player2_roster_id, is_accepted, league_id FROM matches WHERE id = ?',
+            `SELECT player1_id, player2_id, player1_roster_id, player2_roster_id,
+                    is_doubles, player1_partner_roster_id, player2_partner_roster_id, is_accepted, league_id,
+                    confirmation_status
+             FROM matches WHERE id = ?`,
             [matchId]
         );
         
@@ -567,6 +990,18 @@ router.put('/:id', authenticateToken, validateId, async (req, res) => {
             return res.status(403).json({ error: 'Only match participants can update the match' });
         }
         
+        // Under opponent confirmation the opponent disputes instead of editing, and the
+        // submitter cannot change the result the opponent is answering
+        if (match.confirmation_status === 'disputed') {
+            return res.status(400).json({ error: 'Disputed matches are settled by a league admin' });
+        }
+        if (match.confirmation_status === 'awaiting' && match.player1_id !== req.user.id) {
+            return res.status(403).json({ error: 'Dispute the result instead of editing it' });
+        }
+        if (match.confirmation_status === 'awaiting') {
+            return res.status(409).json({ error: 'The result is awaiting your opponent\'s confirmation and can no longer be edited' });
+        }
+        
         // Validate match result if provided
         if (player1_sets_won !== undefined && player2_sets_won !== undefined && game_type) {
             const validation = validateMatchResult(player1_sets_won, player2_sets_won, game_type);
@@ -610,28 +1045,32 @@ router.put('/:id', authenticateToken, validateId, async (req, res) => {
             updates.push('winner_roster_id = ?');
             values.push(winnerRosterId);
             
-            // Get current ELO ratings and recalculate
-            const player1Membership = await database.get(
-                'SELECT current_elo FROM league_roster WHERE league_id = ? AND id = ?',
-                [match.league_id, match.player1_roster_id]
-            );
-            const player2Membership = await database.get(
-                'SELECT current_elo FROM league_roster WHERE league_id = ? AND id = ?',
-                [match.league_id, match.player2_roster_id]
-            );
-            
-            const eloResult = calculateNewElos(
-                player1Membership.current_elo,
-                player2Membership.current_elo,
-                player1_points_total || 0,
-                player2_points_total || 0,
-                didP1Win,
-                player1_sets_won,
-                player2_sets_won
-            );
-            
-            updates.push('player1_elo_after = ?', 'player2_elo_after = ?');
-            values.push(eloResult.newRating1, eloResult.newRating2);
+            // Get current ratings and recalculate
+            const { engine, config } = await getLeagueRatingSettings(match.league_id);
+            if (match.is_doubles) {
+                const doublesResult = await previewDoublesRating(database, config, {
+                    ...match,
+                    player1_sets_won,
+                    player2_sets_won,
+                    player1_points_total,
+                    player2_points_total
+                });
+                updates.push('player1_elo_after = ?', 'player2_elo_after = ?');
+                values.push(doublesResult.team1.after, doublesResult.team2.after);
+            } else {
+                const player1Membership = await getRosterById(match.league_id, match.player1_roster_id);
+                const player2Membership = await getRosterById(match.league_id, match.player2_roster_id);
+                
+                const eloResult = engine.rateMatch(
+                    getRatingState(engine, player1Membership),
+                    getRatingState(engine, player2Membership),
+                    getMatchOutcome({ player1_sets_won, player2_sets_won, player1_points_total, player2_points_total }),
+                    config
+                );
+                
+                updates.push('player1_elo_after = ?', 'player2_elo_after = ?');
+                values.push(eloResult.newRating1, eloResult.newRating2);
+            }
         }
         
         if (updates.length === 0) {
@@ -699,19 +1138,17 @@ router.delete('/:id', authenticateToken, requireAdmin, validateId, async (req, r
 /**
  * Accept match (admin only)
  * POST /api/matches/:id/accept
+ *
+ * Also settles results awaiting opponent confirmation or in dispute, keeping the submitted score.
  */
 router.post('/:id/accept', authenticateToken, validateId, async (req, res) => {
     try {
         const matchId = parseInt(req.params.id);
         
-        const match = await database.get(`
-            SELECT 
-                m.id, m.league_id, m.player1_id, m.player2_id, m.is_accepted,
-                m.player1_roster_id, m.player2_roster_id, m.winner_roster_id,
-                m.player1_elo_after, m.player2_elo_after
-            FROM matches m
-            WHERE m.id = ?
-        `, [matchId]);
+        const match = await database.get(
+            'SELECT id, league_id, is_accepted FROM matches WHERE id = ?',
+            [matchId]
+        );
         
         if (!match) {
             return res.status(404).json({ error: 'Match not found' });
@@ -733,128 +1170,21 @@ router.post('/:id/accept', authenticateToken, validateId, async (req, res) => {
             }
         }
         
-        // Check league elo update mode
-        const league = await database.get('SELECT name, elo_update_mode FROM leagues WHERE id = ?', [match.league_id]);
-        const mode = league && league.elo_update_mode ? league.elo_update_mode : 'immediate';
-
-        if (mode === 'immediate') {
-            const result = await database.withTransaction(async (tx) => {
-                // Accept match and mark elo_applied
-                await tx.run(
-                    'UPDATE matches SET is_accepted = ?, accepted_by = ?, accepted_at = CURRENT_TIMESTAMP, elo_applied = ?, elo_applied_at = CURRENT_TIMESTAMP WHERE id = ?',
-                    [true, req.user.id, true, matchId]
-                );
-
-                // Update player ELO ratings
-                await tx.run(
-                    'UPDATE league_roster SET current_elo = ? WHERE league_id = ? AND id = ?',
-                    [match.player1_elo_after, match.league_id, match.player1_roster_id]
-                );
-
-                await tx.run(
-                    'UPDATE league_roster SET current_elo = ? WHERE league_id = ? AND id = ?',
-                    [match.player2_elo_after, match.league_id, match.player2_roster_id]
-                );
-
-                // Record ELO history
-                const before = await tx.get(
-                    'SELECT player1_elo_before, player2_elo_before FROM matches WHERE id = ?',
-                    [matchId]
-                );
-
-                const player1EloChange = match.player1_elo_after - before.player1_elo_before;
-                const player2EloChange = match.player2_elo_after - before.player2_elo_before;
-
-                const p1User = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [match.player1_roster_id]);
-                const p2User = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [match.player2_roster_id]);
-
-                await tx.run(
-                    'INSERT INTO elo_history (user_id, league_id, roster_id, match_id, elo_before, elo_after, elo_change, recorded_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
-                    [p1User?.user_id || null, match.league_id, match.player1_roster_id, matchId, before.player1_elo_before, match.player1_elo_after, player1EloChange]
-                );
-
-                await tx.run(
-                    'INSERT INTO elo_history (user_id, league_id, roster_id, match_id, elo_before, elo_after, elo_change, recorded_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
-                    [p2User?.user_id || null, match.league_id, match.player2_roster_id, matchId, before.player2_elo_before, match.player2_elo_after, player2EloChange]
-                );
-
-                // Notifications
-                if (p1User?.user_id) {
-                    await tx.run(
-                        'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                        [
-                            p1User.user_id,
-                            'match_accepted',
-                            'Match Accepted',
-                            `Your match result in "${league.name}" has been accepted. ELO change: ${player1EloChange > 0 ? '+' : ''}${player1EloChange}`,
-                            matchId
-                        ]
-                    );
-                }
-
-                if (p2User?.user_id) {
-                    await tx.run(
-                        'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                        [
-                            p2User.user_id,
-                            'match_accepted',
-                            'Match Accepted',
-                            `Your match result in "${league.name}" has been accepted. ELO change: ${player2EloChange > 0 ? '+' : ''}${player2EloChange}`,
-                            matchId
-                        ]
-                    );
-                }
-
-                return { player1EloChange, player2EloChange };
-            });
-
-            await markLeagueSnapshotDirty(match.league_id);
-            res.json({
-                message: 'Match accepted successfully',
-                elo_changes: {
-                    player1_change: result.player1EloChange,
-                    player2_change: result.player2EloChange
-                }
-            });
-        } else {
-            // Deferred: mark accepted but do not apply ELO yet
-            await database.run(
-                'UPDATE matches SET is_accepted = ?, accepted_by = ?, accepted_at = CURRENT_TIMESTAMP, elo_applied = ? WHERE id = ?',
-                [true, req.user.id, false, matchId]
-            );
-
-            // Notify players of acceptance with deferred application
-            const p1User = await database.get('SELECT user_id FROM league_roster WHERE id = ?', [match.player1_roster_id]);
-            const p2User = await database.get('SELECT user_id FROM league_roster WHERE id = ?', [match.player2_roster_id]);
-            if (p1User?.user_id) {
-                await database.run(
-                    'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                    [
-                        p1User.user_id,
-                        'match_accepted_deferred',
-                        'Match Accepted (Deferred ELO)',
-                        `Your match in "${league.name}" was accepted. ELO will be applied during ${mode} consolidation.`,
-                        matchId
-                    ]
-                );
-            }
-            if (p2User?.user_id) {
-                await database.run(
-                    'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                    [
-                        p2User.user_id,
-                        'match_accepted_deferred',
-                        'Match Accepted (Deferred ELO)',
-                        `Your match in "${league.name}" was accepted. ELO will be applied during ${mode} consolidation.`,
-                        matchId
-                    ]
-                );
-            }
-
-            await markLeagueSnapshotDirty(match.league_id);
-            res.json({ message: 'Match accepted. ELO update deferred to consolidation.' });
+        const result = await acceptMatch(matchId, { acceptedBy: req.user.id });
+        if (result.deferred) {
+            return res.json({ message: 'Match accepted. ELO update deferred to consolidation.' });
         }
+        res.json({
+            message: 'Match accepted successfully',
+            elo_changes: {
+                player1_change: result.player1EloChange,
+                player2_change: result.player2EloChange
+            }
+        });
     } catch (error) {
+        if (error instanceof MatchConfirmationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Accept match error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -879,98 +1209,26 @@ router.post('/leagues/:leagueId/accept-all', authenticateToken, async (req, res)
             }
         }
 
-        // Get all pending matches for this league
+        // Get all pending matches for this league that are not left to the opponent
         const pendingMatches = await database.all(
-            `SELECT id, league_id, player1_id, player2_id, is_accepted,
-                    player1_roster_id, player2_roster_id, winner_roster_id,
-                    player1_elo_before, player2_elo_before,
-                    player1_elo_after, player2_elo_after
-             FROM matches
+            `SELECT id FROM matches
              WHERE league_id = ? AND is_accepted = ?
+               AND (confirmation_status IS NULL OR confirmation_status NOT IN (?, ?))
              ORDER BY created_at ASC`,
-            [leagueId, false]
+            [leagueId, false, 'awaiting', 'disputed']
         );
 
         if (pendingMatches.length === 0) {
             return res.json({ message: 'No pending matches to accept', accepted: 0 });
         }
 
-        const league = await database.get('SELECT name, elo_update_mode FROM leagues WHERE id = ?', [leagueId]);
-        const mode = league && league.elo_update_mode ? league.elo_update_mode : 'immediate';
-
         let accepted = 0;
         const errors = [];
 
+        // Matches are rated in submission order, each from the ratings left by the previous one
         for (const match of pendingMatches) {
             try {
-                if (mode === 'immediate') {
-                    await database.withTransaction(async (tx) => {
-                        await tx.run(
-                            'UPDATE matches SET is_accepted = ?, accepted_by = ?, accepted_at = CURRENT_TIMESTAMP, elo_applied = ?, elo_applied_at = CURRENT_TIMESTAMP WHERE id = ?',
-                            [true, req.user.id, true, match.id]
-                        );
-
-                        await tx.run(
-                            'UPDATE league_roster SET current_elo = ? WHERE league_id = ? AND id = ?',
-                            [match.player1_elo_after, match.league_id, match.player1_roster_id]
-                        );
-
-                        await tx.run(
-                            'UPDATE league_roster SET current_elo = ? WHERE league_id = ? AND id = ?',
-                            [match.player2_elo_after, match.league_id, match.player2_roster_id]
-                        );
-
-                        const player1EloChange = match.player1_elo_after - match.player1_elo_before;
-                        const player2EloChange = match.player2_elo_after - match.player2_elo_before;
-
-                        const p1User = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [match.player1_roster_id]);
-                        const p2User = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [match.player2_roster_id]);
-
-                        await tx.run(
-                            'INSERT INTO elo_history (user_id, league_id, roster_id, match_id, elo_before, elo_after, elo_change, recorded_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
-                            [p1User?.user_id || null, match.league_id, match.player1_roster_id, match.id, match.player1_elo_before, match.player1_elo_after, player1EloChange]
-                        );
-
-                        await tx.run(
-                            'INSERT INTO elo_history (user_id, league_id, roster_id, match_id, elo_before, elo_after, elo_change, recorded_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
-                            [p2User?.user_id || null, match.league_id, match.player2_roster_id, match.id, match.player2_elo_before, match.player2_elo_after, player2EloChange]
-                        );
-
-                        if (p1User?.user_id) {
-                            await tx.run(
-                                'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                                [p1User.user_id, 'match_accepted', 'Match Accepted', `Your match result in "${league.name}" has been accepted. ELO change: ${player1EloChange > 0 ? '+' : ''}${player1EloChange}`, match.id]
-                            );
-                        }
-
-                        if (p2User?.user_id) {
-                            await tx.run(
-                                'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                                [p2User.user_id, 'match_accepted', 'Match Accepted', `Your match result in "${league.name}" has been accepted. ELO change: ${player2EloChange > 0 ? '+' : ''}${player2EloChange}`, match.id]
-                            );
-                        }
-                    });
-                } else {
-                    await database.run(
-                        'UPDATE matches SET is_accepted = ?, accepted_by = ?, accepted_at = CURRENT_TIMESTAMP, elo_applied = ? WHERE id = ?',
-                        [true, req.user.id, false, match.id]
-                    );
-
-                    const p1User = await database.get('SELECT user_id FROM league_roster WHERE id = ?', [match.player1_roster_id]);
-                    const p2User = await database.get('SELECT user_id FROM league_roster WHERE id = ?', [match.player2_roster_id]);
-                    if (p1User?.user_id) {
-                        await database.run(
-                            'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                            [p1User.user_id, 'match_accepted_deferred', 'Match Accepted (Deferred ELO)', `Your match in "${league.name}" was accepted. ELO will be applied during ${mode} consolidation.`, match.id]
-                        );
-                    }
-                    if (p2User?.user_id) {
-                        await database.run(
-                            'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
-                            [p2User.user_id, 'match_accepted_deferred', 'Match Accepted (Deferred ELO)', `Your match in "${league.name}" was accepted. ELO will be applied during ${mode} consolidation.`, match.id]
-                        );
-                    }
-                }
+                await acceptMatch(match.id, { acceptedBy: req.user.id });
                 accepted++;
             } catch (err) {
                 console.error(`Failed to accept match ${match.id}:`, err);
@@ -978,7 +1236,6 @@ router.post('/leagues/:leagueId/accept-all', authenticateToken, async (req, res)
             }
         }
 
-        await markLeagueSnapshotDirty(leagueId);
         res.json({
             message: `Accepted ${accepted} of ${pendingMatches.length} matches`,
             accepted,
@@ -993,7 +1250,10 @@ router.post('/leagues/:leagueId/accept-all', authenticateToken, async (req, res)
 
 /**
  * Consolidate deferred ELO updates for a league (league admin or system admin)
- * POST /api/leagues/:leagueId/consolidate?force=true
+ * POST /api/matches/leagues/:leagueId/consolidate
+ *
+ * Applies every accepted match not yet rated, regardless of period boundaries;
+ * weekly/monthly leagues are also consolidated by the job scheduler (see utils/scheduler.js).
  */
 router.post('/leagues/:leagueId/consolidate', authenticateToken, async (req, res) => {
     try {
@@ -1011,165 +1271,13 @@ router.post('/leagues/:leagueId/consolidate', authenticateToken, async (req, res
             }
         }
 
-        const league = await database.get('SELECT elo_update_mode FROM leagues WHERE id = ?', [leagueId]);
-        if (!league) {
-            console.log(`League ${leagueId} not found`);
-            return res.status(404).json({ error: 'League not found' });
-        }
-        const mode = league.elo_update_mode || 'immediate';
-        console.log(`League ${leagueId} ELO mode: ${mode}`);
-        
-        // For immediate mode, there's nothing to consolidate
-        if (mode === 'immediate') {
-            console.log(`League ${leagueId} is in immediate mode - no consolidation needed`);
-            return res.status(400).json({ error: 'League is set to immediate ELO updates - no consolidation needed' });
-        }
-        
-        console.log(`League ${leagueId} is in ${mode} mode - proceeding with consolidation`);
-
-        // For weekly/monthly modes, process all accepted matches that haven't had ELO applied yet
-        // (No time restrictions - admins can consolidate whenever they want)
-
-        // Fetch all accepted matches that haven't had ELO applied yet
-        console.log(`Fetching matches for league ${leagueId}...`);
-        const matches = await database.all(
-            `SELECT 
-                id, player1_roster_id, player2_roster_id,
-                player1_points_total, player2_points_total,
-                player1_sets_won, player2_sets_won
-            FROM matches
-            WHERE league_id = ? AND is_accepted = ? AND (elo_applied = ? OR elo_applied IS NULL)
-            ORDER BY accepted_at ASC`,
-            [leagueId, true, false]
-        );
-
-        console.log(`Found ${matches.length} matches to consolidate for league ${leagueId}`);
-        if (matches.length > 0) {
-            console.log('Match IDs:', matches.map(m => m.id));
-        }
-
-        if (matches.length === 0) {
-            console.log(`No matches to consolidate for league ${leagueId}`);
-            return res.status(400).json({ error: 'No matches to consolidate' });
-        }
-
-        const rosterIds = Array.from(new Set(
-            matches.flatMap((m) => [m.player1_roster_id, m.player2_roster_id])
-        ));
-        const rosterPlaceholders = rosterIds.map(() => '?').join(', ');
-        const rosterRows = await database.all(
-            `SELECT id, user_id, current_elo FROM league_roster WHERE league_id = ? AND id IN (${rosterPlaceholders})`,
-            [leagueId, ...rosterIds]
-        );
-
-        const baseEloByRosterId = new Map();
-        const userIdByRosterId = new Map();
-        rosterRows.forEach((row) => {
-            baseEloByRosterId.set(row.id, row.current_elo);
-            userIdByRosterId.set(row.id, row.user_id);
-        });
-
-        if (baseEloByRosterId.size !== rosterIds.length) {
-            throw new Error('Missing roster entries for consolidation');
-        }
-
-        const deltaByRosterId = new Map();
-        rosterIds.forEach((id) => deltaByRosterId.set(id, 0));
-
-        const matchUpdates = matches.map((m) => {
-            const p1Base = baseEloByRosterId.get(m.player1_roster_id);
-            const p2Base = baseEloByRosterId.get(m.player2_roster_id);
-
-            if (p1Base == null || p2Base == null) {
-                throw new Error(`Missing base ELOs for match ${m.id}`);
-            }
-
-            const didP1Win = m.player1_sets_won > m.player2_sets_won;
-            const eloResult = calculateNewElos(
-                p1Base,
-                p2Base,
-                m.player1_points_total || 0,
-                m.player2_points_total || 0,
-                didP1Win,
-                m.player1_sets_won,
-                m.player2_sets_won
-            );
-
-            const p1Delta = eloResult.newRating1 - p1Base;
-            const p2Delta = eloResult.newRating2 - p2Base;
-
-            deltaByRosterId.set(m.player1_roster_id, deltaByRosterId.get(m.player1_roster_id) + p1Delta);
-            deltaByRosterId.set(m.player2_roster_id, deltaByRosterId.get(m.player2_roster_id) + p2Delta);
-
-            return {
-                matchId: m.id,
-                player1RosterId: m.player1_roster_id,
-                player2RosterId: m.player2_roster_id,
-                player1EloBefore: p1Base,
-                player2EloBefore: p2Base,
-                player1EloAfter: p1Base + p1Delta,
-                player2EloAfter: p2Base + p2Delta,
-                winnerRosterId: didP1Win ? m.player1_roster_id : m.player2_roster_id,
-                player1Delta: p1Delta,
-                player2Delta: p2Delta,
-            };
-        });
-
-        await database.withTransaction(async (tx) => {
-            for (const update of matchUpdates) {
-                await tx.run(
-                    'UPDATE matches SET player1_elo_before = ?, player2_elo_before = ?, player1_elo_after = ?, player2_elo_after = ?, winner_roster_id = ?, elo_applied = ?, elo_applied_at = CURRENT_TIMESTAMP WHERE id = ?',
-                    [
-                        update.player1EloBefore,
-                        update.player2EloBefore,
-                        update.player1EloAfter,
-                        update.player2EloAfter,
-                        update.winnerRosterId,
-                        true,
-                        update.matchId
-                    ]
-                );
-
-                await tx.run(
-                    'INSERT INTO elo_history (user_id, league_id, roster_id, match_id, elo_before, elo_after, elo_change, recorded_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
-                    [
-                        userIdByRosterId.get(update.player1RosterId) || null,
-                        leagueId,
-                        update.player1RosterId,
-                        update.matchId,
-                        update.player1EloBefore,
-                        update.player1EloAfter,
-                        update.player1Delta
-                    ]
-                );
-                await tx.run(
-                    'INSERT INTO elo_history (user_id, league_id, roster_id, match_id, elo_before, elo_after, elo_change, recorded_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
-                    [
-                        userIdByRosterId.get(update.player2RosterId) || null,
-                        leagueId,
-                        update.player2RosterId,
-                        update.matchId,
-                        update.player2EloBefore,
-                        update.player2EloAfter,
-                        update.player2Delta
-                    ]
-                );
-            }
-
-            for (const [rosterId, delta] of deltaByRosterId.entries()) {
-                const base = baseEloByRosterId.get(rosterId);
-                if (base == null) continue;
-                await tx.run(
-                    'UPDATE league_roster SET current_elo = ? WHERE league_id = ? AND id = ?',
-                    [base + delta, leagueId, rosterId]
-                );
-            }
-        });
-
-        await markLeagueSnapshotDirty(leagueId);
-        console.log(`Consolidation completed successfully. Applied to ${matches.length} matches.`);
-        res.json({ message: 'Consolidation complete', applied: matches.length });
+        const run = await consolidateLeague(leagueId, { triggeredVia: 'manual', triggeredBy: req.user.id });
+        console.log(`Consolidation completed successfully. Applied to ${run.matches_applied} matches.`);
+        res.json({ message: 'Consolidation complete', applied: run.matches_applied, run });
     } catch (error) {
+        if (error instanceof ConsolidationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Consolidate ELO error:', error);
         console.error('Error stack:', error.stack);
         res.status(500).json({ 
@@ -1179,60 +1287,6 @@ router.post('/leagues/:leagueId/consolidate', authenticateToken, async (req, res
     }
 });
 
-/**
- * Debug endpoint to check consolidation status
- * GET /api/matches/debug/consolidation/:leagueId
- */
-router.get('/debug/consolidation/:leagueId', authenticateToken, async (req, res) => {
-    try {
-        const leagueId = parseInt(req.params.leagueId);
-        
-        // Check if user is admin or league admin
-        if (!req.user.is_admin) {
-            const adminRow = await database.get(
-                'SELECT is_admin FROM league_roster WHERE league_id = ? AND user_id = ?',
-                [leagueId, req.user.id]
-            );
-            if (!adminRow || !adminRow.is_admin) {
-                return res.status(403).json({ error: 'League admin access required' });
-            }
-        }
-
-        // Get league info
-        const league = await database.get('SELECT id, name, elo_update_mode FROM leagues WHERE id = ?', [leagueId]);
-        if (!league) {
-            return res.status(404).json({ error: 'League not found' });
-        }
-
-        // Get matches that need consolidation
-        const matches = await database.all(
-            'SELECT id, player1_roster_id, player2_roster_id, is_accepted, elo_applied, accepted_at FROM matches WHERE league_id = ? AND is_accepted = ? AND (elo_applied = ? OR elo_applied IS NULL) ORDER BY accepted_at ASC',
-            [leagueId, true, false]
-        );
-
-        // Get league members with ELO
-        const members = await database.all(
-            'SELECT id as roster_id, user_id, display_name, current_elo FROM league_roster WHERE league_id = ?',
-            [leagueId]
-        );
-
-        res.json({
-            league,
-            matchesToConsolidate: matches.length,
-            matches: matches,
-            members: members.length,
-            debug: {
-                leagueId,
-                userId: req.user.id,
-                isAdmin: req.user.is_admin
-            }
-        });
-    } catch (error) {
-        console.error('Debug consolidation error:', error);
-        res.status(500).json({ error: 'Internal server error', details: error.message });
-    }
-});
-
 /**
  * Reject match (admin only)
  * POST /api/matches/:id/reject
@@ -1243,7 +1297,7 @@ router.post('/:id/reject', authenticateToken, validateId, async (req, res) => {
         const { reason } = req.body;
         
         const match = await database.get(
-            'SELECT league_id, player1_roster_id, player2_roster_id, is_accepted FROM matches WHERE id = ?',
+            'SELECT league_id, player1_roster_id, player2_roster_id, player1_partner_roster_id, player2_partner_roster_id, is_accepted FROM matches WHERE id = ?',
             [matchId]
         );
         
@@ -1275,23 +1329,19 @@ router.post('/:id/reject', authenticateToken, validateId, async (req, res) => {
             const league = await tx.get('SELECT name FROM leagues WHERE id = ?', [match.league_id]);
             const rejectionMessage = `Your match result in "${league.name}" has been rejected${reason ? ': ' + reason : ''}`;
 
-            const p1 = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [match.player1_roster_id]);
-            const p2 = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [match.player2_roster_id]);
-
-            if (p1?.user_id) {
-                await tx.run(
-                    'INSERT INTO notifications (user_id, type, title, message) VALUES (?, ?, ?, ?)',
-                    [p1.user_id, 'match_rejected', 'Match Rejected', rejectionMessage]
-                );
-            }
-
-            if (p2?.user_id) {
-                await tx.run(
-                    'INSERT INTO notifications (user_id, type, title, message) VALUES (?, ?, ?, ?)',
-                    [p2.user_id, 'match_rejected', 'Match Rejected', rejectionMessage]
-                );
+            for (const rosterId of getMatchRosterIds(match)) {
+                const player = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [rosterId]);
+                if (player?.user_id) {
+                    await createNotification(tx, {
+                        user_id: player.user_id,
+                        type: 'match_rejected',
+                        title: 'Match Rejected',
+                        message: rejectionMessage
+                    });
+                }
             }
         });
+        publishToLeague(match.league_id, 'match_updated', { match_id: matchId, status: 'rejected' });
 
         res.json({ message: 'Match rejected successfully' });
     } catch (error) {
@@ -1301,9 +1351,105 @@ router.post('/:id/reject', authenticateToken, validateId, async (req, res) => {
 });
 
 /**
- * Revert a match: undo ELO changes, delete elo_history entries,
- * delete match_sets, delete the match, then recalculate any remaining
- * consolidated matches in the same league.
+ * Confirm a submitted result (opponent side, leagues with opponent confirmation)
+ * POST /api/matches/:id/confirm
+ */
+router.post('/:id/confirm', authenticateToken, validateId, async (req, res) => {
+    try {
+        const result = await confirmMatch(parseInt(req.params.id), req.user.id);
+        res.json({
+            message: result.deferred
+                ? 'Match confirmed. ELO update deferred to consolidation.'
+                : 'Match confirmed',
+            elo_changes: result.deferred ? undefined : {
+                player1_change: result.player1EloChange,
+                player2_change: result.player2EloChange
+            }
+        });
+    } catch (error) {
+        if (error instanceof MatchConfirmationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Confirm match error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Dispute a submitted result with the opponent's version of the score
+ * POST /api/matches/:id/dispute
+ *
+ * Body: player1_sets_won, player2_sets_won, player1_points_total, player2_points_total, sets?, reason?
+ * The match waits for a league admin to settle the dispute.
+ */
+router.post('/:id/dispute', authenticateToken, validateId, validateMatchDispute, async (req, res) => {
+    try {
+        moderateText({ reason: req.body.reason }, { context: 'dispute reason' });
+
+        const dispute = await disputeMatch(parseInt(req.params.id), req.user, req.body);
+        res.status(201).json({
+            message: 'Result disputed. A league admin will decide which score stands.',
+            dispute: { ...dispute, sets: dispute.sets ? JSON.parse(dispute.sets) : [] }
+        });
+    } catch (error) {
+        if (error instanceof MatchConfirmationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof ModerationError) {
+            return res.status(error.status || 400).json({ error: error.message, code: error.code });
+        }
+        console.error('Dispute match error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Settle a dispute (admin or league admin)
+ * POST /api/matches/:id/resolve-dispute
+ *
+ * Body: resolution - 'submitted' keeps the submitted score, 'disputed' applies the opponent's;
+ * either way the match is accepted. Use POST /api/matches/:id/reject to discard both.
+ */
+router.post('/:id/resolve-dispute', authenticateToken, validateId, async (req, res) => {
+    try {
+        const matchId = parseInt(req.params.id);
+
+        const match = await database.get('SELECT league_id FROM matches WHERE id = ?', [matchId]);
+        if (!match) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+
+        // Check if user is admin or league admin
+        if (!req.user.is_admin) {
+            const leagueAdmin = await database.get(
+                'SELECT is_admin FROM league_roster WHERE league_id = ? AND user_id = ?',
+                [match.league_id, req.user.id]
+            );
+
+            if (!leagueAdmin || !leagueAdmin.is_admin) {
+                return res.status(403).json({ error: 'League admin access required' });
+            }
+        }
+
+        const result = await resolveDispute(matchId, req.user.id, req.body.resolution);
+        res.json({
+            message: req.body.resolution === 'disputed'
+                ? 'Dispute resolved with the opponent\'s score'
+                : 'Dispute resolved with the submitted score',
+            deferred: result.deferred
+        });
+    } catch (error) {
+        if (error instanceof MatchConfirmationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Resolve dispute error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Revert a match: delete its elo_history entries, match_sets and the match,
+ * then replay the league's remaining rated matches.
  * DELETE /api/matches/:id/revert
  */
 router.delete('/:id/revert', authenticateToken, requireAdmin, validateId, async (req, res) => {
@@ -1314,7 +1460,7 @@ router.delete('/:id/revert', authenticateToken, requireAdmin, validateId, async
             `SELECT id, league_id, player1_roster_id, player2_roster_id,
                     player1_elo_before, player2_elo_before,
                     player1_elo_after, player2_elo_after,
-                    is_accepted, elo_applied
+                    is_accepted, elo_applied, is_doubles, season_id
              FROM matches WHERE id = ?`,
             [matchId]
         );
@@ -1324,116 +1470,59 @@ router.delete('/:id/revert', authenticateToken, requireAdmin, validateId, async
         }
 
         const leagueId = match.league_id;
+        const seasonId = match.season_id ?? null;
 
-        // Find all other matches in this league that had ELO applied,
-        // so we can recalculate after removing the target match
-        const otherAppliedMatches = await database.all(
-            `SELECT id, player1_roster_id, player2_roster_id,
-                    player1_points_total, player2_points_total,
-                    player1_sets_won, player2_sets_won
-             FROM matches
-             WHERE league_id = ? AND id != ? AND elo_applied = ?
-             ORDER BY accepted_at ASC`,
-            [leagueId, matchId, true]
+        // Later seasons start from ratings built on this match and closed seasons are archived,
+        // so only matches of the league's current season can be reverted
+        const latestSeason = await database.get(
+            'SELECT id, status FROM seasons WHERE league_id = ? ORDER BY id DESC LIMIT 1',
+            [leagueId]
         );
+        if (latestSeason && (seasonId !== latestSeason.id || latestSeason.status !== 'active')) {
+            return res.status(400).json({ error: 'Only matches of the current season can be reverted' });
+        }
 
-        // Gather all roster IDs involved (target match + other applied matches)
-        const allRosterIds = Array.from(new Set([
-            match.player1_roster_id,
-            match.player2_roster_id,
-            ...otherAppliedMatches.flatMap(m => [m.player1_roster_id, m.player2_roster_id])
-        ]));
+        // Later bracket matches (and the champion) build on a decided tournament match
+        const decidedBracketMatch = await database.get(
+            'SELECT id FROM tournament_matches WHERE match_id = ? AND status = ?',
+            [matchId, 'completed']
+        );
+        if (decidedBracketMatch) {
+            return res.status(400).json({ error: 'Matches that decided a tournament bracket match cannot be reverted' });
+        }
 
-        await database.withTransaction(async (tx) => {
-            // Step 1: Reset ALL involved roster members to base ELO (1200)
-            // We will recalculate from scratch for remaining matches
-            // First, get the earliest elo_before for each roster member from elo_history
-            for (const rosterId of allRosterIds) {
-                const earliest = await tx.get(
-                    `SELECT elo_before FROM elo_history
-                     WHERE league_id = ? AND roster_id = ?
-                     ORDER BY recorded_at ASC LIMIT 1`,
-                    [leagueId, rosterId]
-                );
-                const baseElo = earliest ? earliest.elo_before : 1200;
-                await tx.run(
-                    'UPDATE league_roster SET current_elo = ? WHERE league_id = ? AND id = ?',
-                    [baseElo, leagueId, rosterId]
-                );
-            }
+        // Doubles ratings are independent of singles: drop the match and replay the league's doubles
+        if (match.is_doubles) {
+            const recalculated = await database.withTransaction(async (tx) => {
+                await tx.run('DELETE FROM doubles_elo_history WHERE match_id = ?', [matchId]);
+                await tx.run('DELETE FROM match_sets WHERE match_id = ?', [matchId]);
+                await tx.run('DELETE FROM matches WHERE id = ?', [matchId]);
+                return replayDoublesRatings(tx, leagueId);
+            });
 
-            // Step 2: Delete all elo_history for this league (we'll rebuild for remaining matches)
-            const allMatchIds = [matchId, ...otherAppliedMatches.map(m => m.id)];
-            const placeholders = allMatchIds.map(() => '?').join(', ');
-            await tx.run(
-                `DELETE FROM elo_history WHERE league_id = ? AND match_id IN (${placeholders})`,
-                [leagueId, ...allMatchIds]
-            );
+            await markLeagueSnapshotDirty(leagueId);
+            return res.json({
+                message: `Match ${matchId} reverted and deleted. ${recalculated} remaining doubles matches recalculated.`,
+                deleted_match_id: matchId,
+                recalculated_matches: recalculated
+            });
+        }
 
-            // Step 3: Delete the target match's sets and the match itself
+        // Rebuild the league from the remaining matches so every player keeps the full
+        // rating state (deviation and volatility included) they would have had without it
+        const recalculated = await database.withTransaction(async (tx) => {
+            await tx.run('DELETE FROM elo_history WHERE match_id = ?', [matchId]);
             await tx.run('DELETE FROM match_sets WHERE match_id = ?', [matchId]);
             await tx.run('DELETE FROM matches WHERE id = ?', [matchId]);
-
-            // Step 4: Recalculate ELO for remaining applied matches in order
-            if (otherAppliedMatches.length > 0) {
-                for (const m of otherAppliedMatches) {
-                    // Get current ELO from roster (accumulates as we process)
-                    const p1 = await tx.get(
-                        'SELECT current_elo, user_id FROM league_roster WHERE league_id = ? AND id = ?',
-                        [leagueId, m.player1_roster_id]
-                    );
-                    const p2 = await tx.get(
-                        'SELECT current_elo, user_id FROM league_roster WHERE league_id = ? AND id = ?',
-                        [leagueId, m.player2_roster_id]
-                    );
-
-                    const didP1Win = m.player1_sets_won > m.player2_sets_won;
-                    const eloResult = calculateNewElos(
-                        p1.current_elo, p2.current_elo,
-                        m.player1_points_total || 0, m.player2_points_total || 0,
-                        didP1Win, m.player1_sets_won, m.player2_sets_won
-                    );
-
-                    // Update match with recalculated ELO values
-                    await tx.run(
-                        `UPDATE matches SET
-                            player1_elo_before = ?, player2_elo_before = ?,
-                            player1_elo_after = ?, player2_elo_after = ?
-                         WHERE id = ?`,
-                        [p1.current_elo, p2.current_elo, eloResult.newRating1, eloResult.newRating2, m.id]
-                    );
-
-                    // Update roster ELOs
-                    await tx.run(
-                        'UPDATE league_roster SET current_elo = ? WHERE league_id = ? AND id = ?',
-                        [eloResult.newRating1, leagueId, m.player1_roster_id]
-                    );
-                    await tx.run(
-                        'UPDATE league_roster SET current_elo = ? WHERE league_id = ? AND id = ?',
-                        [eloResult.newRating2, leagueId, m.player2_roster_id]
-                    );
-
-                    // Re-insert elo_history entries
-                    const p1Delta = eloResult.newRating1 - p1.current_elo;
-                    const p2Delta = eloResult.newRating2 - p2.current_elo;
-                    await tx.run(
-                        'INSERT INTO elo_history (user_id, league_id, roster_id, match_id, elo_before, elo_after, elo_change, recorded_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
-                        [p1.user_id || null, leagueId, m.player1_roster_id, m.id, p1.current_elo, eloResult.newRating1, p1Delta]
-                    );
-                    await tx.run(
-                        'INSERT INTO elo_history (user_id, league_id, roster_id, match_id, elo_before, elo_after, elo_change, recorded_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
-                        [p2.user_id || null, leagueId, m.player2_roster_id, m.id, p2.current_elo, eloResult.newRating2, p2Delta]
-                    );
-                }
-            }
+            return applyLeagueRecalculation(tx, leagueId);
         });
 
         await markLeagueSnapshotDirty(leagueId);
 
         res.json({
-            message: `Match ${matchId} reverted and deleted. ${otherAppliedMatches.length} remaining matches recalculated.`,
+            message: `Match ${matchId} reverted and deleted. ${recalculated.matches} remaining matches recalculated.`,
             deleted_match_id: matchId,
-            recalculated_matches: otherAppliedMatches.length
+            recalculated_matches: recalculated.matches
         });
     } catch (error) {
         console.error('Revert match error:', error);
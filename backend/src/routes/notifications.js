@@ -1,7 +1,21 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
-const { validateId, validatePagination } = require('../middleware/validation');
+const {
+    validateId,
+    validatePagination,
+    validateNotificationPreferences,
+    validatePushSubscription
+} = require('../middleware/validation');
 const database = require('../models/database');
+const {
+    NOTIFICATION_CHANNELS,
+    NotificationPreferenceError,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    savePushSubscription,
+    removePushSubscription
+} = require('../utils/notifications');
+const { getVapidConfig } = require('../utils/webPush');
 
 const router = express.Router();
 
@@ -59,6 +73,101 @@ router.get('/', authenticateToken, validatePagination, async (req, res) => {
     }
 });
 
+async function preferencesResponse(userId) {
+    const vapid = getVapidConfig();
+    const pushSubscriptions = await database.get(
+        'SELECT COUNT(*) as count FROM push_subscriptions WHERE user_id = ?',
+        [userId]
+    );
+    return {
+        channels: NOTIFICATION_CHANNELS,
+        types: await getNotificationPreferences(userId),
+        push: {
+            public_key: vapid ? vapid.publicKey : null,
+            subscriptions: Number(pushSubscriptions.count)
+        }
+    };
+}
+
+/**
+ * Get the user's notification settings
+ * GET /api/notifications/preferences
+ *
+ * Per type: group, channels that cannot be turned off, and in_app/email/push
+ * settings. push.public_key is null when the server has no VAPID keys.
+ */
+router.get('/preferences', authenticateToken, async (req, res) => {
+    try {
+        res.json(await preferencesResponse(req.user.id));
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Change notification settings
+ * PUT /api/notifications/preferences
+ *
+ * Body: { preferences: [{ type, channel, enabled }] }; returns all settings.
+ */
+router.put('/preferences', authenticateToken, validateNotificationPreferences, async (req, res) => {
+    try {
+        const changes = req.body.preferences.map(({ type, channel, enabled }) => ({ type, channel, enabled }));
+        await updateNotificationPreferences(req.user.id, changes);
+        res.json(await preferencesResponse(req.user.id));
+    } catch (error) {
+        if (error instanceof NotificationPreferenceError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Subscribe this browser to web push
+ * POST /api/notifications/push-subscriptions
+ *
+ * Body: the browser's PushSubscription ({ endpoint, keys: { p256dh, auth } }).
+ */
+router.post('/push-subscriptions', authenticateToken, validatePushSubscription(), async (req, res) => {
+    try {
+        if (!getVapidConfig()) {
+            return res.status(404).json({ error: 'Web push is not enabled on this server', code: 'PUSH_DISABLED' });
+        }
+        const { endpoint, keys } = req.body;
+        await savePushSubscription(
+            req.user.id,
+            { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } },
+            (req.get('user-agent') || '').slice(0, 500) || null
+        );
+        res.status(201).json({ message: 'Push notifications enabled for this browser' });
+    } catch (error) {
+        console.error('Save push subscription error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Unsubscribe a browser from web push
+ * DELETE /api/notifications/push-subscriptions
+ *
+ * Body: { endpoint }
+ */
+router.delete('/push-subscriptions', authenticateToken, validatePushSubscription({ withKeys: false }), async (req, res) => {
+    try {
+        const removed = await removePushSubscription(req.user.id, req.body.endpoint);
+        if (!removed) {
+            return res.status(404).json({ error: 'Push subscription not found' });
+        }
+        res.json({ message: 'Push notifications disabled for this browser' });
+    } catch (error) {
+        console.error('Delete push subscription error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * Mark notification as read
  * PUT /api/notifications/:id/read
@@ -0,0 +1,317 @@
+const express = require('express');
+const { authenticateToken, requireLeagueAdmin, optionalAuth } = require('../middleware/auth');
+const { validateId } = require('../middleware/validation');
+const { moderateText, ModerationError } = require('../middleware/contentModeration');
+const database = require('../models/database');
+const { getVisibleLeague } = require('../utils/leagueAccess');
+const { markLeagueSnapshotDirty } = require('../utils/leagueSnapshots');
+const {
+    SEASON_RATING_RESETS,
+    DEFAULT_SOFT_RESET_FACTOR,
+    getActiveSeason,
+    applySeasonReset,
+    computeSeasonStandings,
+    awardSeasonChampionBadge
+} = require('../utils/seasons');
+
+// Mounted at /api/leagues/:id/seasons
+const router = express.Router({ mergeParams: true });
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MATCH_LIMIT = 200;
+
+const isValidDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+async function getSeason(leagueId, seasonId, tx = database) {
+    return tx.get(
+        `SELECT s.id, s.league_id, s.name, s.status,
+                CAST(s.start_date AS TEXT) as start_date, CAST(s.end_date AS TEXT) as end_date,
+                s.rating_reset, s.reset_factor, s.champion_roster_id, s.created_at, s.closed_at,
+                COALESCE(cr.display_name, cu.username) as champion_display_name,
+                cu.username as champion_username
+         FROM seasons s
+         LEFT JOIN league_roster cr ON s.champion_roster_id = cr.id
+         LEFT JOIN users cu ON cr.user_id = cu.id
+         WHERE s.id = ? AND s.league_id = ?`,
+        [seasonId, leagueId]
+    );
+}
+
+/**
+ * List seasons of a league (newest first)
+ * GET /api/leagues/:id/seasons
+ */
+router.get('/', optionalAuth, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const access = await getVisibleLeague(req.user, leagueId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const seasons = await database.all(
+            `SELECT s.id, s.name, s.status,
+                    CAST(s.start_date AS TEXT) as start_date, CAST(s.end_date AS TEXT) as end_date,
+                    s.rating_reset, s.reset_factor, s.champion_roster_id, s.created_at, s.closed_at,
+                    COALESCE(cr.display_name, cu.username) as champion_display_name,
+                    cu.username as champion_username,
+                    (SELECT COUNT(*) FROM matches m WHERE m.season_id = s.id AND m.is_accepted = ?) as match_count
+             FROM seasons s
+             LEFT JOIN league_roster cr ON s.champion_roster_id = cr.id
+             LEFT JOIN users cu ON cr.user_id = cu.id
+             WHERE s.league_id = ?
+             ORDER BY s.id DESC`,
+            [true, leagueId]
+        );
+
+        res.json({ seasons });
+    } catch (error) {
+        console.error('List seasons error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Get a season with its standings and accepted matches
+ * GET /api/leagues/:id/seasons/:seasonId
+ *
+ * Closed seasons return the archived final standings; the active season returns the live table.
+ */
+router.get('/:seasonId', optionalAuth, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const seasonId = parseInt(req.params.seasonId);
+        if (Number.isNaN(seasonId)) {
+            return res.status(400).json({ error: 'Valid season ID is required' });
+        }
+
+        const access = await getVisibleLeague(req.user, leagueId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const season = await getSeason(leagueId, seasonId);
+        if (!season) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+
+        const standings = season.status === 'closed'
+            ? await database.all(
+                `SELECT ss.final_rank, ss.roster_id, ss.user_id, u.username, ss.display_name,
+                        ss.final_elo, ss.matches_played, ss.matches_won
+                 FROM season_standings ss
+                 LEFT JOIN users u ON ss.user_id = u.id
+                 WHERE ss.season_id = ?
+                 ORDER BY ss.final_rank ASC`,
+                [seasonId]
+            )
+            : await computeSeasonStandings(database, leagueId, seasonId);
+
+        const matches = await database.all(
+            `SELECT m.id, m.played_at, m.is_doubles,
+                    m.player1_roster_id, m.player2_roster_id, m.winner_roster_id,
+                    m.player1_sets_won, m.player2_sets_won,
+                    m.player1_elo_before, m.player2_elo_before, m.player1_elo_after, m.player2_elo_after,
+                    COALESCE(r1.display_name, u1.username) as player1_display_name,
+                    COALESCE(r2.display_name, u2.username) as player2_display_name,
+                    rp1.display_name as player1_partner_display_name,
+                    rp2.display_name as player2_partner_display_name
+             FROM matches m
+             LEFT JOIN league_roster r1 ON m.player1_roster_id = r1.id
+             LEFT JOIN league_roster r2 ON m.player2_roster_id = r2.id
+             LEFT JOIN users u1 ON r1.user_id = u1.id
+             LEFT JOIN users u2 ON r2.user_id = u2.id
+             LEFT JOIN league_roster rp1 ON m.player1_partner_roster_id = rp1.id
+             LEFT JOIN league_roster rp2 ON m.player2_partner_roster_id = rp2.id
+             WHERE m.season_id = ? AND m.is_accepted = ?
+             ORDER BY m.played_at DESC, m.id DESC
+             LIMIT ?`,
+            [seasonId, true, MATCH_LIMIT]
+        );
+
+        res.json({ season, standings, matches });
+    } catch (error) {
+        console.error('Get season error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Start a new season (league admin only)
+ * POST /api/leagues/:id/seasons
+ * Body: { name, start_date?: 'YYYY-MM-DD', end_date?: 'YYYY-MM-DD', rating_reset?: 'carry_over'|'soft'|'hard', reset_factor?: number }
+ *
+ * The previous season must be closed and all accepted matches consolidated. The rating reset is
+ * applied to every roster entry; matches still awaiting acceptance move into the new season.
+ */
+router.post('/', authenticateToken, requireLeagueAdmin, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const name = String(req.body?.name || '').trim();
+        const startDate = req.body?.start_date || todayIso();
+        const endDate = req.body?.end_date || null;
+        const ratingReset = req.body?.rating_reset || 'carry_over';
+        const resetFactor = ratingReset === 'soft'
+            ? Number(req.body?.reset_factor ?? DEFAULT_SOFT_RESET_FACTOR)
+            : null;
+
+        if (!name) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+        if (name.length > 100) {
+            return res.status(400).json({ error: 'name must be at most 100 characters' });
+        }
+        if (!isValidDate(startDate)) {
+            return res.status(400).json({ error: 'start_date must be a date (YYYY-MM-DD)' });
+        }
+        if (endDate && (!isValidDate(endDate) || endDate < startDate)) {
+            return res.status(400).json({ error: 'end_date must be a date (YYYY-MM-DD) on or after start_date' });
+        }
+        if (!SEASON_RATING_RESETS.includes(ratingReset)) {
+            return res.status(400).json({ error: `rating_reset must be one of: ${SEASON_RATING_RESETS.join(', ')}` });
+        }
+        if (resetFactor !== null && (!Number.isFinite(resetFactor) || resetFactor <= 0 || resetFactor > 1)) {
+            return res.status(400).json({ error: 'reset_factor must be greater than 0 and at most 1' });
+        }
+
+        moderateText({ name }, { context: 'season name' });
+
+        const league = await database.get('SELECT id FROM leagues WHERE id = ? AND is_active = ?', [leagueId, true]);
+        if (!league) {
+            return res.status(404).json({ error: 'League not found' });
+        }
+        if (await getActiveSeason(leagueId)) {
+            return res.status(409).json({ error: 'Close the current season before starting a new one' });
+        }
+        const unconsolidated = await database.get(
+            'SELECT COUNT(*) as count FROM matches WHERE league_id = ? AND is_accepted = ? AND elo_applied = ?',
+            [leagueId, true, false]
+        );
+        if (Number(unconsolidated?.count || 0) > 0) {
+            return res.status(409).json({ error: 'Consolidate pending ratings before starting a new season' });
+        }
+
+        const { seasonId, resetPlayers } = await database.withTransaction(async (tx) => {
+            const result = await tx.run(
+                `INSERT INTO seasons (league_id, name, status, start_date, end_date, rating_reset, reset_factor, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [leagueId, name, 'active', startDate, endDate, ratingReset, resetFactor, req.user.id]
+            );
+            const changed = await applySeasonReset(tx, leagueId, { rating_reset: ratingReset, reset_factor: resetFactor });
+            await tx.run(
+                'UPDATE matches SET season_id = ? WHERE league_id = ? AND is_accepted = ? AND season_id IS NULL',
+                [result.id, leagueId, false]
+            );
+            await tx.run(
+                'UPDATE leagues SET season = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [name, leagueId]
+            );
+            return { seasonId: result.id, resetPlayers: changed };
+        });
+
+        await markLeagueSnapshotDirty(leagueId);
+
+        res.status(201).json({
+            message: 'Season started successfully',
+            season: await getSeason(leagueId, seasonId),
+            reset_players: resetPlayers
+        });
+    } catch (error) {
+        if (error instanceof ModerationError) {
+            return res.status(error.status || 400).json({ error: error.message, code: error.code });
+        }
+        console.error('Start season error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Close the active season and archive its final standings (league admin only)
+ * POST /api/leagues/:id/seasons/:seasonId/close
+ * Body: { end_date?: 'YYYY-MM-DD', award_champion?: boolean }
+ *
+ * All matches of the season must be accepted and consolidated. With award_champion the
+ * top-ranked roster entry that played in the season receives the League Champion badge.
+ */
+router.post('/:seasonId/close', authenticateToken, requireLeagueAdmin, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const seasonId = parseInt(req.params.seasonId);
+        const awardChampion = req.body?.award_champion === true;
+        if (Number.isNaN(seasonId)) {
+            return res.status(400).json({ error: 'Valid season ID is required' });
+        }
+
+        const season = await getSeason(leagueId, seasonId);
+        if (!season) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+        if (season.status !== 'active') {
+            return res.status(400).json({ error: 'Season is already closed' });
+        }
+
+        const endDate = req.body?.end_date || todayIso();
+        if (!isValidDate(endDate) || endDate < season.start_date) {
+            return res.status(400).json({ error: 'end_date must be a date (YYYY-MM-DD) on or after the season start' });
+        }
+
+        const open = await database.get(
+            'SELECT COUNT(*) as count FROM matches WHERE season_id = ? AND (is_accepted = ? OR elo_applied = ?)',
+            [seasonId, false, false]
+        );
+        if (Number(open?.count || 0) > 0) {
+            return res.status(409).json({
+                error: 'All matches of the season must be accepted and consolidated before it can be closed'
+            });
+        }
+
+        const league = await database.get('SELECT id, name FROM leagues WHERE id = ?', [leagueId]);
+
+        const { championRosterId, badgeAwarded } = await database.withTransaction(async (tx) => {
+            const standings = await computeSeasonStandings(tx, leagueId, seasonId);
+            for (const row of standings) {
+                await tx.run(
+                    `INSERT INTO season_standings
+                        (season_id, roster_id, user_id, display_name, final_rank, final_elo, matches_played, matches_won)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        seasonId,
+                        row.roster_id,
+                        row.user_id || null,
+                        row.display_name || 'Unknown',
+                        row.final_rank,
+                        row.final_elo,
+                        row.matches_played,
+                        row.matches_won
+                    ]
+                );
+            }
+
+            const champion = standings.find((row) => row.matches_played > 0) || null;
+            await tx.run(
+                `UPDATE seasons SET status = ?, end_date = ?, champion_roster_id = ?, closed_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                ['closed', endDate, champion ? champion.roster_id : null, seasonId]
+            );
+
+            let awardId = null;
+            if (awardChampion && champion) {
+                awardId = await awardSeasonChampionBadge(tx, league, season, champion.roster_id);
+            }
+            return { championRosterId: champion ? champion.roster_id : null, badgeAwarded: awardId !== null };
+        });
+
+        res.json({
+            message: 'Season closed successfully',
+            season: await getSeason(leagueId, seasonId),
+            champion_roster_id: championRosterId,
+            badge_awarded: badgeAwarded
+        });
+    } catch (error) {
+        console.error('Close season error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+const express = require('express');
+const { authenticateToken, requireLeagueAdmin, optionalAuth } = require('../middleware/auth');
+const { validateId } = require('../middleware/validation');
+const { moderateText, ModerationError } = require('../middleware/contentModeration');
+const database = require('../models/database');
+const {
+    TOURNAMENT_FORMATS,
+    MIN_PARTICIPANTS,
+    MAX_PARTICIPANTS,
+    seedParticipants,
+    generateBracket
+} = require('../utils/tournamentBracket');
+const { insertBracketNodes, getBracketNodes } = require('../utils/tournaments');
+const { getVisibleLeague } = require('../utils/leagueAccess');
+
+// Mounted at /api/leagues/:id/tournaments
+const router = express.Router({ mergeParams: true });
+
+async function getTournament(leagueId, tournamentId) {
+    return database.get(
+        `SELECT t.id, t.league_id, t.name, t.format, t.status, t.award_badge_id,
+                t.champion_roster_id, t.created_by, t.created_at, t.completed_at,
+                b.name as award_badge_name,
+                COALESCE(cr.display_name, cu.username) as champion_display_name
+         FROM tournaments t
+         LEFT JOIN badges b ON t.award_badge_id = b.id
+         LEFT JOIN league_roster cr ON t.champion_roster_id = cr.id
+         LEFT JOIN users cu ON cr.user_id = cu.id
+         WHERE t.id = ? AND t.league_id = ?`,
+        [tournamentId, leagueId]
+    );
+}
+
+/**
+ * List tournaments of a league
+ * GET /api/leagues/:id/tournaments
+ */
+router.get('/', optionalAuth, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const access = await getVisibleLeague(req.user, leagueId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const tournaments = await database.all(
+            `SELECT t.id, t.name, t.format, t.status, t.champion_roster_id, t.created_at, t.completed_at,
+                    COALESCE(cr.display_name, cu.username) as champion_display_name,
+                    (SELECT COUNT(*) FROM tournament_participants tp WHERE tp.tournament_id = t.id) as participant_count
+             FROM tournaments t
+             LEFT JOIN league_roster cr ON t.champion_roster_id = cr.id
+             LEFT JOIN users cu ON cr.user_id = cu.id
+             WHERE t.league_id = ?
+             ORDER BY t.created_at DESC, t.id DESC`,
+            [leagueId]
+        );
+
+        res.json({ tournaments });
+    } catch (error) {
+        console.error('List tournaments error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Create a tournament and generate its bracket (league admin only)
+ * POST /api/leagues/:id/tournaments
+ * Body: { name, format?: 'single_elimination'|'double_elimination', roster_ids?: number[], award_badge_id?: number }
+ *
+ * Participants default to every participating roster entry and are seeded by current ELO.
+ */
+router.post('/', authenticateToken, requireLeagueAdmin, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const name = String(req.body?.name || '').trim();
+        const format = req.body?.format || 'single_elimination';
+        const { roster_ids, award_badge_id } = req.body || {};
+
+        if (!name) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+        if (name.length > 100) {
+            return res.status(400).json({ error: 'name must be at most 100 characters' });
+        }
+        if (!TOURNAMENT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${TOURNAMENT_FORMATS.join(', ')}` });
+        }
+        if (roster_ids != null && !Array.isArray(roster_ids)) {
+            return res.status(400).json({ error: 'roster_ids must be an array' });
+        }
+
+        moderateText({ name }, { context: 'tournament name' });
+
+        const league = await database.get('SELECT id FROM leagues WHERE id = ? AND is_active = ?', [leagueId, true]);
+        if (!league) {
+            return res.status(404).json({ error: 'League not found' });
+        }
+
+        let roster = await database.all(
+            'SELECT id, current_elo, is_participating FROM league_roster WHERE league_id = ?',
+            [leagueId]
+        );
+        if (Array.isArray(roster_ids)) {
+            const wanted = new Set(roster_ids.map((rid) => parseInt(rid)));
+            roster = roster.filter((entry) => wanted.has(entry.id));
+            if (roster.length !== wanted.size) {
+                return res.status(400).json({ error: 'All participants must be roster members of this league' });
+            }
+        } else {
+            roster = roster.filter((entry) => entry.is_participating !== false && entry.is_participating !== 0);
+        }
+        if (roster.length < MIN_PARTICIPANTS || roster.length > MAX_PARTICIPANTS) {
+            return res.status(400).json({
+                error: `A tournament needs between ${MIN_PARTICIPANTS} and ${MAX_PARTICIPANTS} participants`
+            });
+        }
+
+        let awardBadgeId = null;
+        if (award_badge_id) {
+            const badge = await database.get(
+                'SELECT id, badge_type, visibility, created_by FROM badges WHERE id = ?',
+                [award_badge_id]
+            );
+            if (!badge) {
+                return res.status(404).json({ error: 'Badge not found' });
+            }
+            if (badge.badge_type !== 'tournament_winner') {
+                return res.status(400).json({ error: 'Award badge must be of type tournament_winner' });
+            }
+            if (badge.visibility === 'private' && badge.created_by !== req.user.id) {
+                return res.status(403).json({ error: 'Only the badge owner may award this private badge' });
+            }
+            awardBadgeId = badge.id;
+        }
+
+        const seeds = seedParticipants(roster);
+        const nodes = generateBracket(format, seeds);
+
+        const tournamentId = await database.withTransaction(async (tx) => {
+            const result = await tx.run(
+                'INSERT INTO tournaments (league_id, name, format, award_badge_id, created_by) VALUES (?, ?, ?, ?, ?)',
+                [leagueId, name, format, awardBadgeId, req.user.id]
+            );
+            for (const seed of seeds) {
+                await tx.run(
+                    'INSERT INTO tournament_participants (tournament_id, roster_id, seed, seed_elo) VALUES (?, ?, ?, ?)',
+                    [result.id, seed.roster_id, seed.seed, seed.elo]
+                );
+            }
+            await insertBracketNodes(tx, result.id, nodes);
+            return result.id;
+        });
+
+        const tournament = await getTournament(leagueId, tournamentId);
+        res.status(201).json({ message: 'Tournament created successfully', tournament });
+    } catch (error) {
+        if (error instanceof ModerationError) {
+            return res.status(error.status || 400).json({ error: error.message, code: error.code });
+        }
+        console.error('Create tournament error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Get a tournament with participants and bracket
+ * GET /api/leagues/:id/tournaments/:tournamentId
+ */
+router.get('/:tournamentId', optionalAuth, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const tournamentId = parseInt(req.params.tournamentId);
+        if (Number.isNaN(tournamentId)) {
+            return res.status(400).json({ error: 'Valid tournament ID is required' });
+        }
+
+        const access = await getVisibleLeague(req.user, leagueId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const tournament = await getTournament(leagueId, tournamentId);
+        if (!tournament) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+
+        const participants = await database.all(
+            `SELECT tp.roster_id, tp.seed, tp.seed_elo, lr.user_id,
+                    COALESCE(lr.display_name, u.username) as display_name, u.username, u.avatar_url
+             FROM tournament_participants tp
+             JOIN league_roster lr ON tp.roster_id = lr.id
+             LEFT JOIN users u ON lr.user_id = u.id
+             WHERE tp.tournament_id = ?
+             ORDER BY tp.seed ASC`,
+            [tournamentId]
+        );
+        const matches = await getBracketNodes(tournamentId);
+
+        res.json({ tournament, participants, matches });
+    } catch (error) {
+        console.error('Get tournament error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Delete a tournament (league admin only)
+ * DELETE /api/leagues/:id/tournaments/:tournamentId
+ *
+ * Recorded league matches are kept; only the bracket is removed.
+ */
+router.delete('/:tournamentId', authenticateToken, requireLeagueAdmin, validateId, async (req, res) => {
+    try {
+        const leagueId = parseInt(req.params.id);
+        const tournamentId = parseInt(req.params.tournamentId);
+        const tournament = await getTournament(leagueId, tournamentId);
+        if (!tournament) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+
+        await database.withTransaction(async (tx) => {
+            await tx.run('DELETE FROM tournament_matches WHERE tournament_id = ?', [tournamentId]);
+            await tx.run('DELETE FROM tournament_participants WHERE tournament_id = ?', [tournamentId]);
+            await tx.run('DELETE FROM tournaments WHERE id = ?', [tournamentId]);
+        });
+
+        res.json({ message: 'Tournament deleted successfully' });
+    } catch (error) {
+        console.error('Delete tournament error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
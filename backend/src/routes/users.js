@@ -3,6 +3,11 @@ const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware
 const { validateId, validatePagination } = require('../middleware/validation');
 const { moderateText, ModerationError } = require('../middleware/contentModeration');
 const database = require('../models/database');
+const { getVisibleLeague } = require('../utils/leagueAccess');
+const { orientMatch, summarizeHeadToHead, getWinProbability } = require('../utils/headToHead');
+const { orientRosterMatch, analyzeMatches } = require('../utils/setAnalytics');
+const { disableTwoFactor } = require('../utils/twoFactor');
+const { revokeUserSessions } = require('../utils/sessions');
 
 const router = express.Router();
 
@@ -235,6 +240,12 @@ router.put('/:id', authenticateToken, validateId, async (req, res) => {
             
             updates.push('email = ?');
             values.push(email || null);
+
+            // A new address has to be verified again
+            const current = await database.get('SELECT email FROM users WHERE id = ?', [userId]);
+            if ((current?.email || null) !== (email || null)) {
+                updates.push('email_verified_at = NULL');
+            }
         }
         
         if (is_admin !== undefined && req.user.is_admin) {
@@ -312,6 +323,34 @@ router.delete('/:id', authenticateToken, requireAdmin, validateId, async (req, r
     }
 });
 
+/**
+ * Turn off a user's two-factor authentication, e.g. after they lost their phone
+ * and recovery codes (admin only)
+ * DELETE /api/users/:id/2fa
+ */
+router.delete('/:id/2fa', authenticateToken, requireAdmin, validateId, async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const user = await database.get('SELECT username, totp_enabled_at FROM users WHERE id = ?', [userId]);
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.totp_enabled_at) {
+            return res.status(409).json({ error: 'Two-factor authentication is not enabled for this user' });
+        }
+        
+        await disableTwoFactor(userId);
+        // Sessions opened with the old second factor end too
+        await revokeUserSessions(userId, { reason: 'two_factor_reset' });
+        
+        res.json({ message: `Two-factor authentication turned off for ${user.username}` });
+    } catch (error) {
+        console.error('Reset two-factor error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * Get user statistics
  * GET /api/users/:id/stats
@@ -725,6 +764,255 @@ router.get('/:id/elo-history', optionalAuth, validateId, validatePagination, asy
     }
 });
 
+/**
+ * Get head-to-head statistics of two users
+ * GET /api/users/:id/head-to-head/:opponentId?league_id=
+ *
+ * Covers accepted singles matches in one league or, without league_id, in every league
+ * the requester can view (same visibility rules as the leaderboard). Statistics are from
+ * the perspective of :id; win probabilities use both players' current league ratings.
+ */
+router.get('/:id/head-to-head/:opponentId', optionalAuth, validateId, async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const opponentId = parseInt(req.params.opponentId);
+        const leagueId = req.query.league_id ? parseInt(req.query.league_id) : null;
+
+        if (!Number.isInteger(opponentId) || opponentId < 1) {
+            return res.status(400).json({ error: 'Valid opponent ID is required' });
+        }
+        if (opponentId === userId) {
+            return res.status(400).json({ error: 'Choose two different players' });
+        }
+        if (req.query.league_id && (!Number.isInteger(leagueId) || leagueId < 1)) {
+            return res.status(400).json({ error: 'Invalid league_id' });
+        }
+
+        const users = await database.all(
+            'SELECT id, username, first_name, last_name, avatar_url FROM users WHERE id IN (?, ?)',
+            [userId, opponentId]
+        );
+        const player = users.find(u => u.id === userId);
+        const opponent = users.find(u => u.id === opponentId);
+        if (!player || !opponent) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        let league = null;
+        if (leagueId) {
+            const access = await getVisibleLeague(req.user, leagueId);
+            if (access.error) {
+                return res.status(access.status).json({ error: access.error });
+            }
+            league = { id: access.league.id, name: access.league.name };
+        }
+
+        // Private leagues only count for members and site admins
+        let memberLeagueIds = new Set();
+        if (req.user && !req.user.is_admin) {
+            const memberships = await database.all('SELECT league_id FROM league_roster WHERE user_id = ?', [req.user.id]);
+            memberLeagueIds = new Set(memberships.map(m => m.league_id));
+        }
+        const canView = row => leagueId != null || row.is_public || req.user?.is_admin || memberLeagueIds.has(row.league_id);
+
+        // Roster user IDs are canonical; the legacy player IDs cover players who left the league
+        const leagueFilter = leagueId ? 'AND m.league_id = ?' : '';
+        const matchRows = await database.all(`
+            SELECT
+                m.id, m.league_id, l.name as league_name, l.is_public, m.played_at, m.game_type,
+                m.player1_roster_id, m.player2_roster_id, m.winner_roster_id,
+                m.player1_sets_won, m.player2_sets_won, m.player1_points_total, m.player2_points_total,
+                m.player1_elo_before, m.player1_elo_after, m.player2_elo_before, m.player2_elo_after,
+                COALESCE(r1.user_id, m.player1_id) as player1_user_id
+            FROM matches m
+            JOIN leagues l ON m.league_id = l.id
+            LEFT JOIN league_roster r1 ON m.player1_roster_id = r1.id
+            LEFT JOIN league_roster r2 ON m.player2_roster_id = r2.id
+            WHERE m.is_accepted = ? AND m.is_doubles = ? AND l.is_active = ?
+              AND (
+                (COALESCE(r1.user_id, m.player1_id) = ? AND COALESCE(r2.user_id, m.player2_id) = ?)
+                OR (COALESCE(r1.user_id, m.player1_id) = ? AND COALESCE(r2.user_id, m.player2_id) = ?)
+              )
+              ${leagueFilter}
+            ORDER BY m.played_at ASC, m.id ASC
+        `, [true, false, true, userId, opponentId, opponentId, userId, ...(leagueId ? [leagueId] : [])]);
+        const visibleRows = matchRows.filter(canView);
+
+        const setsByMatch = new Map();
+        if (visibleRows.length > 0) {
+            const sets = await database.all(`
+                SELECT match_id, set_number, player1_score, player2_score
+                FROM match_sets
+                WHERE match_id IN (${visibleRows.map(() => '?').join(', ')})
+                ORDER BY match_id, set_number
+            `, visibleRows.map(row => row.id));
+            for (const set of sets) {
+                if (!setsByMatch.has(set.match_id)) setsByMatch.set(set.match_id, []);
+                setsByMatch.get(set.match_id).push(set);
+            }
+        }
+
+        const matches = visibleRows.map(row => orientMatch(
+            row,
+            setsByMatch.get(row.id),
+            row.player1_user_id === userId ? 1 : 2
+        ));
+
+        // Current ratings in every league both players belong to
+        const sharedLeagues = await database.all(`
+            SELECT l.id as league_id, l.name as league_name, l.is_public,
+                   a.current_elo as player_elo, b.current_elo as opponent_elo
+            FROM league_roster a
+            JOIN league_roster b ON b.league_id = a.league_id AND b.user_id = ?
+            JOIN leagues l ON l.id = a.league_id
+            WHERE a.user_id = ? AND l.is_active = ?
+              ${leagueId ? 'AND l.id = ?' : ''}
+            ORDER BY l.name ASC
+        `, [opponentId, userId, true, ...(leagueId ? [leagueId] : [])]);
+
+        const byLeague = new Map();
+        for (const row of sharedLeagues.filter(canView)) {
+            byLeague.set(row.league_id, {
+                league_id: row.league_id,
+                league_name: row.league_name,
+                player_elo: row.player_elo,
+                opponent_elo: row.opponent_elo,
+                win_probability: getWinProbability(row.player_elo, row.opponent_elo)
+            });
+        }
+        for (const match of matches) {
+            if (!byLeague.has(match.league_id)) {
+                byLeague.set(match.league_id, {
+                    league_id: match.league_id,
+                    league_name: match.league_name,
+                    player_elo: null,
+                    opponent_elo: null,
+                    win_probability: null
+                });
+            }
+        }
+        const leagues = [...byLeague.values()].map(entry => {
+            const leagueMatches = matches.filter(m => m.league_id === entry.league_id);
+            const wins = leagueMatches.filter(m => m.result === 'W').length;
+            return { ...entry, matches: leagueMatches.length, wins, losses: leagueMatches.length - wins };
+        });
+
+        res.json({
+            player,
+            opponent,
+            league,
+            summary: summarizeHeadToHead(matches),
+            win_probability: league ? (leagues[0]?.win_probability ?? null) : null,
+            leagues,
+            // Most recent first
+            matches: matches.slice().reverse()
+        });
+    } catch (error) {
+        console.error('Get head-to-head error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Get per-set analytics ("playing profile") of a user
+ * GET /api/users/:id/set-analytics?league_id=
+ *
+ * One entry per roster entry of the user (singles and doubles), plus the totals across them.
+ * Only leagues the requester can view are included.
+ */
+router.get('/:id/set-analytics', optionalAuth, validateId, async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const leagueId = req.query.league_id ? parseInt(req.query.league_id) : null;
+
+        if (req.query.league_id && (!Number.isInteger(leagueId) || leagueId < 1)) {
+            return res.status(400).json({ error: 'Invalid league_id' });
+        }
+
+        const user = await database.get('SELECT id FROM users WHERE id = ?', [userId]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (leagueId) {
+            const access = await getVisibleLeague(req.user, leagueId);
+            if (access.error) {
+                return res.status(access.status).json({ error: access.error });
+            }
+        }
+
+        let memberLeagueIds = new Set();
+        if (req.user && !req.user.is_admin) {
+            const memberships = await database.all('SELECT league_id FROM league_roster WHERE user_id = ?', [req.user.id]);
+            memberLeagueIds = new Set(memberships.map(m => m.league_id));
+        }
+        const canView = row => leagueId != null || row.is_public || req.user?.is_admin || memberLeagueIds.has(row.league_id);
+
+        const leagueFilter = leagueId ? 'AND l.id = ?' : '';
+        const leagueParams = leagueId ? [leagueId] : [];
+        const rosters = (await database.all(`
+            SELECT lr.id as roster_id, lr.display_name, l.id as league_id, l.name as league_name, l.is_public
+            FROM league_roster lr
+            JOIN leagues l ON lr.league_id = l.id
+            WHERE lr.user_id = ? AND l.is_active = ? ${leagueFilter}
+            ORDER BY l.name ASC
+        `, [userId, true, ...leagueParams])).filter(canView);
+
+        // The user's accepted matches (any side, incl. as doubles partner) and their sets
+        const matchScope = `
+            JOIN leagues l ON m.league_id = l.id
+            JOIN league_roster lr ON lr.league_id = m.league_id
+                AND lr.id IN (m.player1_roster_id, m.player2_roster_id, m.player1_partner_roster_id, m.player2_partner_roster_id)
+            WHERE lr.user_id = ? AND l.is_active = ? AND m.is_accepted = ? ${leagueFilter}
+        `;
+        const scopeParams = [userId, true, true, ...leagueParams];
+        const [matchRows, setRows] = await Promise.all([
+            database.all(`
+                SELECT lr.id as roster_id, m.id, m.game_type, m.winner_roster_id,
+                       m.player1_roster_id, m.player2_roster_id, m.player1_partner_roster_id, m.player2_partner_roster_id,
+                       m.player1_sets_won, m.player2_sets_won
+                FROM matches m
+                ${matchScope}
+                ORDER BY m.played_at ASC, m.id ASC
+            `, scopeParams),
+            database.all(`
+                SELECT ms.match_id, ms.set_number, ms.player1_score, ms.player2_score
+                FROM match_sets ms
+                JOIN matches m ON ms.match_id = m.id
+                ${matchScope}
+                ORDER BY ms.match_id, ms.set_number
+            `, scopeParams)
+        ]);
+
+        const setsByMatch = new Map();
+        for (const set of setRows) {
+            if (!setsByMatch.has(set.match_id)) setsByMatch.set(set.match_id, []);
+            setsByMatch.get(set.match_id).push(set);
+        }
+
+        const visibleRosterIds = new Set(rosters.map(r => r.roster_id));
+        const orientedByRoster = new Map(rosters.map(r => [r.roster_id, []]));
+        for (const row of matchRows) {
+            if (!visibleRosterIds.has(row.roster_id)) continue;
+            orientedByRoster.get(row.roster_id).push(orientRosterMatch(row, setsByMatch.get(row.id), row.roster_id));
+        }
+
+        res.json({
+            overall: analyzeMatches([...orientedByRoster.values()].flat()),
+            by_league: rosters.map(roster => ({
+                league_id: roster.league_id,
+                league_name: roster.league_name,
+                roster_id: roster.roster_id,
+                display_name: roster.display_name,
+                ...analyzeMatches(orientedByRoster.get(roster.roster_id))
+            }))
+        });
+    } catch (error) {
+        console.error('Get set analytics error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * Get public profile by username (no auth required)
  * GET /api/users/profile/:username
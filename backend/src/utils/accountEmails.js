@@ -0,0 +1,234 @@
+/**
+ * Account emails (password reset, email verification, security alerts),
+ * emailed notifications and weekly league digests, in English or German
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'de'];
+
+const TEMPLATES = {
+    en: {
+        passwordReset: {
+            subject: 'Reset your TT Leagues password',
+            intro: (name) => `Hi ${name},`,
+            body: 'Someone asked to reset the password of your TT Leagues account. Use the link below to choose a new one.',
+            action: 'Reset password',
+            expiry: (minutes) => `The link works once and expires in ${minutes} minutes.`,
+            ignore: 'If you did not ask for this, you can ignore this email; your password stays the same.',
+        },
+        verification: {
+            subject: 'Confirm your email address for TT Leagues',
+            intro: (name) => `Hi ${name},`,
+            body: 'Please confirm that this email address belongs to your TT Leagues account.',
+            action: 'Confirm email address',
+            expiry: (minutes) => `The link expires in ${Math.round(minutes / 60)} hours.`,
+            ignore: 'If you did not add this address to a TT Leagues account, you can ignore this email.',
+        },
+        accountLocked: {
+            subject: 'Sign-in to your TT Leagues account was blocked',
+            intro: (name) => `Hi ${name},`,
+            body: ({ minutes, ip }) => `After several failed sign-in attempts${ip ? ` (the last from IP address ${ip})` : ''}, signing in to your account is blocked for ${minutes} minutes.`,
+            action: 'Review your account',
+            footer: 'If this was not you, someone may be guessing your password. Once the block ends, consider choosing a stronger one.',
+        },
+        newSignIn: {
+            subject: 'New sign-in to your TT Leagues account',
+            intro: (name) => `Hi ${name},`,
+            body: ({ device, ip }) => `Your account was just signed in to from a new device${device ? `: ${device}` : ''}${ip ? ` (IP address ${ip})` : ''}.`,
+            action: 'Review signed-in devices',
+            footer: 'If this was you, there is nothing to do. If not, sign that device out and change your password.',
+        },
+        notification: {
+            intro: (name) => `Hi ${name},`,
+            action: 'Open notifications',
+            footer: 'You can choose which notifications reach you by email in your profile.',
+        },
+        digest: {
+            subject: (league) => `Your week in ${league}`,
+            intro: (name, league) => `Hi ${name}, here is what happened in ${league} last week:`,
+            action: 'Open the league',
+            footer: 'You get this summary every Monday. You can turn it off under Notification settings in your profile.',
+        },
+    },
+    de: {
+        passwordReset: {
+            subject: 'Setze dein TT-Leagues-Passwort zurück',
+            intro: (name) => `Hallo ${name},`,
+            body: 'Für dein TT-Leagues-Konto wurde das Zurücksetzen des Passworts angefordert. Über den folgenden Link kannst du ein neues wählen.',
+            action: 'Passwort zurücksetzen',
+            expiry: (minutes) => `Der Link funktioniert einmal und läuft in ${minutes} Minuten ab.`,
+            ignore: 'Falls du das nicht angefordert hast, kannst du diese E-Mail ignorieren; dein Passwort bleibt unverändert.',
+        },
+        verification: {
+            subject: 'Bestätige deine E-Mail-Adresse für TT Leagues',
+            intro: (name) => `Hallo ${name},`,
+            body: 'Bitte bestätige, dass diese E-Mail-Adresse zu deinem TT-Leagues-Konto gehört.',
+            action: 'E-Mail-Adresse bestätigen',
+            expiry: (minutes) => `Der Link läuft in ${Math.round(minutes / 60)} Stunden ab.`,
+            ignore: 'Falls du diese Adresse keinem TT-Leagues-Konto hinzugefügt hast, kannst du diese E-Mail ignorieren.',
+        },
+        accountLocked: {
+            subject: 'Die Anmeldung bei deinem TT-Leagues-Konto wurde gesperrt',
+            intro: (name) => `Hallo ${name},`,
+            body: ({ minutes, ip }) => `Nach mehreren fehlgeschlagenen Anmeldeversuchen${ip ? ` (zuletzt von der IP-Adresse ${ip})` : ''} ist die Anmeldung bei deinem Konto für ${minutes} Minuten gesperrt.`,
+            action: 'Konto prüfen',
+            footer: 'Falls du das nicht warst, versucht vielleicht jemand, dein Passwort zu erraten. Wähle nach Ablauf der Sperre am besten ein stärkeres.',
+        },
+        newSignIn: {
+            subject: 'Neue Anmeldung bei deinem TT-Leagues-Konto',
+            intro: (name) => `Hallo ${name},`,
+            body: ({ device, ip }) => `Dein Konto wurde gerade auf einem neuen Gerät angemeldet${device ? `: ${device}` : ''}${ip ? ` (IP-Adresse ${ip})` : ''}.`,
+            action: 'Angemeldete Geräte prüfen',
+            footer: 'Falls du das warst, ist nichts zu tun. Falls nicht, melde das Gerät ab und ändere dein Passwort.',
+        },
+        notification: {
+            intro: (name) => `Hallo ${name},`,
+            action: 'Benachrichtigungen öffnen',
+            footer: 'In deinem Profil kannst du wählen, welche Benachrichtigungen du per E-Mail bekommst.',
+        },
+        digest: {
+            subject: (league) => `Deine Woche in ${league}`,
+            intro: (name, league) => `Hallo ${name}, das ist letzte Woche in ${league} passiert:`,
+            action: 'Liga öffnen',
+            footer: 'Diese Zusammenfassung kommt jeden Montag. Du kannst sie in deinem Profil unter Benachrichtigungen abschalten.',
+        },
+    },
+};
+
+/**
+ * 'de-DE,de;q=0.9' or 'de' -> 'de'; anything unsupported -> 'en'
+ */
+function pickLanguage(...candidates) {
+    for (const candidate of candidates) {
+        const code = String(candidate || '').trim().slice(0, 2).toLowerCase();
+        if (SUPPORTED_LANGUAGES.includes(code)) return code;
+    }
+    return 'en';
+}
+
+/**
+ * Base URL of the frontend for links in emails: APP_URL, else the first
+ * FRONTEND_URL entry without a wildcard
+ */
+function getAppUrl(env = process.env) {
+    const candidates = [
+        env.APP_URL,
+        ...String(env.FRONTEND_URL || '').split(','),
+    ].map((value) => (value || '').trim()).filter((value) => value && !value.includes('*'));
+    return (candidates[0] || 'http://localhost:5173').replace(/\/+$/, '');
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function render(template, { user, link, minutes }) {
+    const name = user.first_name || user.username;
+    const expiry = template.expiry(minutes);
+    const text = [template.intro(name), '', template.body, '', link, '', expiry, template.ignore].join('\n');
+    const html = [
+        `<p>${escapeHtml(template.intro(name))}</p>`,
+        `<p>${escapeHtml(template.body)}</p>`,
+        `<p><a href="${escapeHtml(link)}">${escapeHtml(template.action)}</a></p>`,
+        `<p>${escapeHtml(expiry)}<br>${escapeHtml(template.ignore)}</p>`,
+    ].join('\n');
+    return { subject: template.subject, text, html };
+}
+
+// Security notices: what happened, a link to the profile and advice
+function renderNotice(template, { user, link, details }) {
+    const name = user.first_name || user.username;
+    const body = template.body(details);
+    const text = [template.intro(name), '', body, '', link, '', template.footer].join('\n');
+    const html = [
+        `<p>${escapeHtml(template.intro(name))}</p>`,
+        `<p>${escapeHtml(body)}</p>`,
+        `<p><a href="${escapeHtml(link)}">${escapeHtml(template.action)}</a></p>`,
+        `<p>${escapeHtml(template.footer)}</p>`,
+    ].join('\n');
+    return { subject: template.subject, text, html };
+}
+
+/**
+ * { subject, text, html } for a password reset link
+ */
+function buildPasswordResetEmail({ user, token, minutes, language = 'en', appUrl = getAppUrl() }) {
+    const link = `${appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+    return render(TEMPLATES[pickLanguage(language)].passwordReset, { user, link, minutes });
+}
+
+/**
+ * { subject, text, html } for an email verification link
+ */
+function buildVerificationEmail({ user, token, minutes, language = 'en', appUrl = getAppUrl() }) {
+    const link = `${appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    return render(TEMPLATES[pickLanguage(language)].verification, { user, link, minutes });
+}
+
+/**
+ * { subject, text, html } telling a user that sign-in was blocked after failed attempts
+ */
+function buildAccountLockedEmail({ user, minutes, ip = null, language = 'en', appUrl = getAppUrl() }) {
+    return renderNotice(TEMPLATES[pickLanguage(language)].accountLocked, {
+        user,
+        link: `${appUrl}/app/profile`,
+        details: { minutes, ip },
+    });
+}
+
+/**
+ * { subject, text, html } about a sign-in from a device the user has not used before
+ */
+function buildNewSignInEmail({ user, device, ip = null, language = 'en', appUrl = getAppUrl() }) {
+    return renderNotice(TEMPLATES[pickLanguage(language)].newSignIn, {
+        user,
+        link: `${appUrl}/app/profile`,
+        details: { device, ip },
+    });
+}
+
+/**
+ * { subject, text, html } for an in-app notification sent by email. Title and
+ * message are used as they are (notifications are stored in one language).
+ */
+function buildNotificationEmail({ user, title, message, language = 'en', appUrl = getAppUrl() }) {
+    const template = TEMPLATES[pickLanguage(language)].notification;
+    return renderNotice({ ...template, subject: title, body: () => message }, {
+        user,
+        link: `${appUrl}/app/notifications`,
+        details: null,
+    });
+}
+
+/**
+ * { subject, text, html } for a weekly league digest; `lines` come from
+ * utils/leagueDigest.js buildDigestLines
+ */
+function buildDigestEmail({ user, leagueId, leagueName, lines, language = 'en', appUrl = getAppUrl() }) {
+    const template = TEMPLATES[pickLanguage(language)].digest;
+    const name = user.first_name || user.username;
+    const link = `${appUrl}/app/leagues/${leagueId}`;
+    const text = [template.intro(name, leagueName), '', ...lines.map((line) => `- ${line}`), '', link, '', template.footer].join('\n');
+    const html = [
+        `<p>${escapeHtml(template.intro(name, leagueName))}</p>`,
+        `<ul>${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`,
+        `<p><a href="${escapeHtml(link)}">${escapeHtml(template.action)}</a></p>`,
+        `<p>${escapeHtml(template.footer)}</p>`,
+    ].join('\n');
+    return { subject: template.subject(leagueName), text, html };
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    pickLanguage,
+    getAppUrl,
+    buildPasswordResetEmail,
+    buildVerificationEmail,
+    buildAccountLockedEmail,
+    buildNewSignInEmail,
+    buildNotificationEmail,
+    buildDigestEmail
+};
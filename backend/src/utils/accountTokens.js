@@ -0,0 +1,111 @@
+/**
+ * Single-use account tokens (password reset, email verification)
+ *
+ * The raw token only ever goes out in the email link; account_tokens stores
+ * its SHA-256 hash. Issuing a token retires the user's earlier unused tokens
+ * of the same purpose, and consuming one marks it used.
+ */
+
+const crypto = require('crypto');
+const database = require('../models/database');
+const { toTimestamp } = require('./timestamps');
+
+const TOKEN_PURPOSES = {
+    PASSWORD_RESET: 'password_reset',
+    EMAIL_VERIFICATION: 'email_verification',
+};
+
+const TOKEN_TTL_MINUTES = {
+    [TOKEN_PURPOSES.PASSWORD_RESET]: 60,
+    [TOKEN_PURPOSES.EMAIL_VERIFICATION]: 48 * 60,
+};
+
+// Minimum gap between two emails of the same purpose to one user
+const TOKEN_RESEND_INTERVAL_SECONDS = 60;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function tokenExpiry(purpose, now = new Date()) {
+    const minutes = TOKEN_TTL_MINUTES[purpose];
+    if (!minutes) {
+        throw new Error(`Unknown account token purpose "${purpose}"`);
+    }
+    return new Date(now.getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * Whether a token of this purpose went out to the user within the resend interval
+ */
+async function wasTokenIssuedRecently(userId, purpose, now = new Date()) {
+    const since = new Date(now.getTime() - TOKEN_RESEND_INTERVAL_SECONDS * 1000);
+    const row = await database.get(
+        'SELECT id FROM account_tokens WHERE user_id = ? AND purpose = ? AND created_at > ?',
+        [userId, purpose, toTimestamp(since)]
+    );
+    return !!row;
+}
+
+/**
+ * Issue a token for the user. `email` pins a verification token to the address it was sent to.
+ * Returns { token, expires_at }; the raw token is not stored.
+ */
+async function issueAccountToken(userId, purpose, { email = null, now = new Date() } = {}) {
+    const expiresAt = tokenExpiry(purpose, now);
+    const token = crypto.randomBytes(32).toString('base64url');
+    await database.withTransaction(async (tx) => {
+        await tx.run(
+            'UPDATE account_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+            [toTimestamp(now), userId, purpose]
+        );
+        await tx.run(
+            'INSERT INTO account_tokens (user_id, purpose, token_hash, email, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [userId, purpose, hashToken(token), email, toTimestamp(expiresAt), toTimestamp(now)]
+        );
+    });
+    return { token, expires_at: toTimestamp(expiresAt) };
+}
+
+/**
+ * Mark a valid token used and return { user_id, email }; null when the token
+ * is unknown, expired or already used
+ */
+async function consumeAccountToken(token, purpose, now = new Date()) {
+    if (typeof token !== 'string' || !token) return null;
+    const row = await database.get(
+        `SELECT id, user_id, email FROM account_tokens
+         WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?`,
+        [hashToken(token), purpose, toTimestamp(now)]
+    );
+    if (!row) return null;
+    // The used_at guard keeps two concurrent requests from both redeeming the token
+    const result = await database.run(
+        'UPDATE account_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+        [toTimestamp(now), row.id]
+    );
+    if (result.changes !== 1) return null;
+    return { user_id: row.user_id, email: row.email };
+}
+
+/**
+ * Retire every unused token of a purpose, e.g. other reset links once the password changed
+ */
+async function revokeAccountTokens(userId, purpose, now = new Date()) {
+    await database.run(
+        'UPDATE account_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+        [toTimestamp(now), userId, purpose]
+    );
+}
+
+module.exports = {
+    TOKEN_PURPOSES,
+    TOKEN_TTL_MINUTES,
+    TOKEN_RESEND_INTERVAL_SECONDS,
+    hashToken,
+    tokenExpiry,
+    wasTokenIssuedRecently,
+    issueAccountToken,
+    consumeAccountToken,
+    revokeAccountTokens
+};
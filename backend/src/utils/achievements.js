@@ -0,0 +1,286 @@
+/**
+ * Automatic achievements
+ *
+ * Each rule awards a badge once a player's singles record in a league reaches its
+ * threshold. Records are counted per season (matches outside any season form their
+ * own record), so a player can earn the same achievement again in a new season, but
+ * only once per league, season and rule (achievement_awards).
+ * Rules are evaluated for the players of a match when it is accepted and again when
+ * consolidation rates it (rating milestones use the player's current rating, upsets
+ * the ratings recorded on the match).
+ * Every rule has a standard public badge (badges.achievement_key); league admins can
+ * switch rules off or award one of their own private badges instead
+ * (league_achievement_rules).
+ */
+
+const database = require('../models/database');
+const { createNotification } = require('./notifications');
+
+// Rules in the order they are listed; metrics come from computePlayerMetrics
+const ACHIEVEMENT_RULES = {
+    first_win: { metric: 'wins', threshold: 1 },
+    win_streak_10: { metric: 'longest_win_streak', threshold: 10 },
+    matches_50: { metric: 'matches_played', threshold: 50 },
+    giant_slayer: { metric: 'biggest_upset', threshold: 200 },
+    rating_1500: { metric: 'rating', threshold: 1500 },
+    perfect_sweep: { metric: 'sweeps', threshold: 1 }
+};
+const ACHIEVEMENT_RULE_KEYS = Object.keys(ACHIEVEMENT_RULES);
+
+// Sets the winner of a perfect sweep needs without dropping one
+const SWEEP_SETS = 3;
+
+class AchievementError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AchievementError';
+        this.status = status;
+    }
+}
+
+/**
+ * A player's record over their singles matches
+ * @param {number} rosterId
+ * @param {Array<Object>} matches - Accepted singles matches in the order they were played,
+ *   with roster ids, sets won and player1/2_elo_before
+ * @param {number|null} rating - Current rating
+ * @returns {Object} { matches_played, wins, longest_win_streak, biggest_upset, sweeps, rating }
+ */
+function computePlayerMetrics(rosterId, matches, rating) {
+    const metrics = {
+        matches_played: 0,
+        wins: 0,
+        longest_win_streak: 0,
+        biggest_upset: 0,
+        sweeps: 0,
+        rating: rating ?? 0
+    };
+    let streak = 0;
+    for (const match of matches) {
+        const isPlayer1 = match.player1_roster_id === rosterId;
+        if (!isPlayer1 && match.player2_roster_id !== rosterId) continue;
+
+        const setsWon = isPlayer1 ? match.player1_sets_won : match.player2_sets_won;
+        const setsLost = isPlayer1 ? match.player2_sets_won : match.player1_sets_won;
+        metrics.matches_played += 1;
+        if (setsWon <= setsLost) {
+            streak = 0;
+            continue;
+        }
+
+        metrics.wins += 1;
+        streak += 1;
+        metrics.longest_win_streak = Math.max(metrics.longest_win_streak, streak);
+        if (setsWon >= SWEEP_SETS && setsLost === 0) {
+            metrics.sweeps += 1;
+        }
+        const ownBefore = isPlayer1 ? match.player1_elo_before : match.player2_elo_before;
+        const opponentBefore = isPlayer1 ? match.player2_elo_before : match.player1_elo_before;
+        if (ownBefore != null && opponentBefore != null) {
+            metrics.biggest_upset = Math.max(metrics.biggest_upset, opponentBefore - ownBefore);
+        }
+    }
+    return metrics;
+}
+
+/**
+ * Keys of the rules a record meets
+ * @param {Object} metrics - From computePlayerMetrics
+ * @param {Array<string>} ruleKeys - Rules to check
+ * @returns {Array<string>}
+ */
+function getEarnedRules(metrics, ruleKeys = ACHIEVEMENT_RULE_KEYS) {
+    return ruleKeys.filter((key) => {
+        const rule = ACHIEVEMENT_RULES[key];
+        return rule && metrics[rule.metric] >= rule.threshold;
+    });
+}
+
+/**
+ * Every rule with the league's settings and the badge it awards
+ * (the league's custom badge, or else the standard one)
+ * @returns {Promise<Array<Object>>} { key, metric, threshold, enabled, custom_badge, badge }
+ */
+async function getLeagueAchievementRules(leagueId, tx = database) {
+    const standardBadges = await tx.all(
+        `SELECT id, name, description, icon, image_url, achievement_key
+         FROM badges WHERE achievement_key IS NOT NULL`
+    );
+    const settings = await tx.all(
+        `SELECT r.rule_key, r.enabled, r.badge_id, b.name, b.description, b.icon, b.image_url
+         FROM league_achievement_rules r
+         LEFT JOIN badges b ON r.badge_id = b.id
+         WHERE r.league_id = ?`,
+        [leagueId]
+    );
+    const standardByKey = new Map(standardBadges.map((badge) => [badge.achievement_key, badge]));
+    const settingsByKey = new Map(settings.map((row) => [row.rule_key, row]));
+
+    return ACHIEVEMENT_RULE_KEYS.map((key) => {
+        const setting = settingsByKey.get(key);
+        const standard = standardByKey.get(key);
+        const customBadge = setting?.badge_id
+            ? { id: setting.badge_id, name: setting.name, description: setting.description, icon: setting.icon, image_url: setting.image_url }
+            : null;
+        const standardBadge = standard
+            ? { id: standard.id, name: standard.name, description: standard.description, icon: standard.icon, image_url: standard.image_url }
+            : null;
+        return {
+            key,
+            metric: ACHIEVEMENT_RULES[key].metric,
+            threshold: ACHIEVEMENT_RULES[key].threshold,
+            enabled: setting ? Boolean(setting.enabled) : true,
+            custom_badge: Boolean(customBadge),
+            badge: customBadge || standardBadge
+        };
+    });
+}
+
+/**
+ * Change a rule's settings in a league
+ * @param {Object} changes - enabled (boolean) and/or badge_id (a private badge of the
+ *   user, or null for the standard badge)
+ * @param {Object} user - The league admin making the change
+ * @returns {Promise<Object>} The rule as listed by getLeagueAchievementRules
+ * @throws {AchievementError} For unknown rules or badges the user may not use
+ */
+async function updateAchievementRule(leagueId, ruleKey, changes, user) {
+    if (!ACHIEVEMENT_RULES[ruleKey]) {
+        throw new AchievementError('Achievement rule not found', 404);
+    }
+
+    if (changes.badge_id != null) {
+        const badge = await database.get('SELECT id, visibility, created_by FROM badges WHERE id = ?', [changes.badge_id]);
+        if (!badge) {
+            throw new AchievementError('Badge not found', 404);
+        }
+        if (badge.visibility !== 'private' || badge.created_by !== user.id) {
+            throw new AchievementError('Only your own private badges can be attached to a rule', 403);
+        }
+    }
+
+    const current = await database.get(
+        'SELECT enabled, badge_id FROM league_achievement_rules WHERE league_id = ? AND rule_key = ?',
+        [leagueId, ruleKey]
+    );
+    const enabled = changes.enabled ?? (current ? Boolean(current.enabled) : true);
+    const badgeId = changes.badge_id !== undefined ? changes.badge_id : (current?.badge_id ?? null);
+
+    await database.run(
+        `INSERT INTO league_achievement_rules (league_id, rule_key, enabled, badge_id, updated_by, updated_at)
+         VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(league_id, rule_key) DO UPDATE SET
+            enabled = excluded.enabled, badge_id = excluded.badge_id,
+            updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+        [leagueId, ruleKey, enabled, badgeId, user.id]
+    );
+
+    const rules = await getLeagueAchievementRules(leagueId);
+    return rules.find((rule) => rule.key === ruleKey);
+}
+
+/**
+ * Give a user the badge of an achievement, reusing an award of the same badge
+ * in the league and season (a custom badge may be attached to several rules)
+ * @returns {Promise<Object>} { id, created }
+ */
+async function grantBadge(tx, userId, badgeId, leagueId, season) {
+    const existing = await tx.get(
+        `SELECT id FROM user_badges
+         WHERE user_id = ? AND badge_id = ? AND league_id = ?
+         AND ${season ? 'season_id = ?' : 'season_id IS NULL'}`,
+        [userId, badgeId, leagueId, ...(season ? [season.id] : [])]
+    );
+    if (existing) return { id: existing.id, created: false };
+
+    const inserted = await tx.run(
+        'INSERT INTO user_badges (user_id, badge_id, league_id, season, season_id) VALUES (?, ?, ?, ?, ?)',
+        [userId, badgeId, leagueId, season?.name ?? null, season?.id ?? null]
+    );
+    return { id: inserted.id, created: true };
+}
+
+/**
+ * Evaluate the league's enabled rules for players who just had a match accepted or rated,
+ * awarding every newly earned achievement and notifying its player
+ * @param {Object} tx - Transaction of the acceptance or consolidation
+ * @param {number} leagueId
+ * @param {Array<Object>} players - { rosterId, seasonId, matchId } with the season of the
+ *   match (null outside seasons) and the match that triggered the evaluation
+ * @returns {Promise<Array<Object>>} New awards: { rule_key, roster_id, user_id, badge_id, user_badge_id }
+ */
+async function evaluateAchievements(tx, leagueId, players) {
+    const rules = (await getLeagueAchievementRules(leagueId, tx)).filter((rule) => rule.enabled && rule.badge);
+    if (rules.length === 0 || players.length === 0) return [];
+    const ruleByKey = new Map(rules.map((rule) => [rule.key, rule]));
+
+    const league = await tx.get('SELECT name FROM leagues WHERE id = ?', [leagueId]);
+    const awards = [];
+    for (const { rosterId, seasonId = null, matchId = null } of players) {
+        const roster = await tx.get(
+            'SELECT id, user_id, current_elo FROM league_roster WHERE league_id = ? AND id = ?',
+            [leagueId, rosterId]
+        );
+        // Placeholder players have no account to hold badges
+        if (!roster?.user_id) continue;
+
+        const matches = await tx.all(
+            `SELECT id, player1_roster_id, player2_roster_id, player1_sets_won, player2_sets_won,
+                    player1_elo_before, player2_elo_before
+             FROM matches
+             WHERE league_id = ? AND is_accepted = ? AND is_doubles = ?
+               AND (player1_roster_id = ? OR player2_roster_id = ?)
+               AND ${seasonId == null ? 'season_id IS NULL' : 'season_id = ?'}
+             ORDER BY played_at ASC, id ASC`,
+            [leagueId, true, false, rosterId, rosterId, ...(seasonId == null ? [] : [seasonId])]
+        );
+        const metrics = computePlayerMetrics(rosterId, matches, roster.current_elo);
+        const earned = getEarnedRules(metrics, Array.from(ruleByKey.keys()));
+        if (earned.length === 0) continue;
+
+        const season = seasonId == null
+            ? null
+            : await tx.get('SELECT id, name FROM seasons WHERE id = ?', [seasonId]);
+        for (const ruleKey of earned) {
+            const rule = ruleByKey.get(ruleKey);
+            const claimed = await tx.run(
+                `INSERT INTO achievement_awards (league_id, season_key, rule_key, roster_id, user_id, match_id)
+                 VALUES (?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(league_id, season_key, rule_key, roster_id) DO NOTHING`,
+                [leagueId, seasonId ?? 0, ruleKey, rosterId, roster.user_id, matchId]
+            );
+            if (!claimed.changes) continue;
+
+            const granted = await grantBadge(tx, roster.user_id, rule.badge.id, leagueId, season);
+            await tx.run('UPDATE achievement_awards SET user_badge_id = ? WHERE id = ?', [granted.id, claimed.id]);
+            if (granted.created) {
+                await createNotification(tx, {
+                    user_id: roster.user_id,
+                    type: 'badge_earned',
+                    title: 'Badge Earned!',
+                    message: `Congratulations! You earned the "${rule.badge.name}" badge in ${league.name}${season ? ` (${season.name})` : ''}.`,
+                    related_id: granted.id
+                });
+            }
+            awards.push({
+                rule_key: ruleKey,
+                roster_id: rosterId,
+                user_id: roster.user_id,
+                badge_id: rule.badge.id,
+                user_badge_id: granted.id
+            });
+        }
+    }
+    return awards;
+}
+
+module.exports = {
+    ACHIEVEMENT_RULES,
+    ACHIEVEMENT_RULE_KEYS,
+    AchievementError,
+    computePlayerMetrics,
+    getEarnedRules,
+    getLeagueAchievementRules,
+    updateAchievementRule,
+    evaluateAchievements
+};
@@ -0,0 +1,503 @@
+/**
+ * Deferred ELO consolidation
+ *
+ * Leagues in weekly or monthly mode accept matches without rating them; consolidation
+ * rates every accepted, unapplied match of the league as one rating period. It runs
+ * either manually (league admin) or from the job scheduler once a period has ended:
+ * - weekly: periods start Monday 00:00 UTC
+ * - monthly: periods start on the 1st 00:00 UTC
+ * A scheduled run only applies matches accepted before the current period started.
+ * Every run is logged in consolidation_runs with one consolidation_run_entries row per
+ * affected roster entry, and each affected player is notified of their net change.
+ * The applied matches point at their run (matches.consolidation_run_id) so the most
+ * recent run can be rolled back. Achievements earned with the new ratings are awarded
+ * in the same transaction and stay awarded when the run is rolled back.
+ */
+
+const database = require('../models/database');
+const { getRatingState, getMatchOutcome, getLeagueRatingSettings } = require('./ratingEngines');
+const { markLeagueSnapshotDirty } = require('./leagueSnapshots');
+const { applyDoublesRating } = require('./doubles');
+const { createNotification } = require('./notifications');
+const { evaluateAchievements } = require('./achievements');
+const { toTimestamp } = require('./timestamps');
+
+const DEFERRED_ELO_MODES = ['weekly', 'monthly'];
+const CONSOLIDATION_TRIGGERS = ['manual', 'scheduler', 'cron', 'cli'];
+
+class ConsolidationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ConsolidationError';
+        this.status = status;
+    }
+}
+
+/**
+ * Start of the rating period containing `now` (UTC)
+ * @param {string} mode - 'weekly' or 'monthly'
+ * @param {Date} now
+ * @returns {Date|null} null for immediate mode
+ */
+function getPeriodStart(mode, now = new Date()) {
+    if (mode === 'weekly') {
+        const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+        const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+        start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+        return start;
+    }
+    if (mode === 'monthly') {
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    }
+    return null;
+}
+
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change}`;
+
+/**
+ * Notification text with a player's net change for the consolidated period
+ */
+function buildConsolidationMessage(leagueName, entry) {
+    const parts = [];
+    if (entry.elo_after != null) {
+        parts.push(`ELO ${formatChange(entry.elo_change)} (${entry.elo_before} → ${entry.elo_after})`);
+    }
+    if (entry.doubles_elo_after != null) {
+        parts.push(`doubles ELO ${formatChange(entry.doubles_elo_after - entry.doubles_elo_before)} (${entry.doubles_elo_before} → ${entry.doubles_elo_after})`);
+    }
+    const matches = `${entry.matches_applied} match${entry.matches_applied === 1 ? '' : 'es'}`;
+    return `Ratings in "${leagueName}" have been consolidated. Your net change for the period over ${matches}: ${parts.join(', ')}`;
+}
+
+/**
+ * Consolidate the pending (accepted, unapplied) matches of a deferred league
+ * @param {number} leagueId - League ID
+ * @param {Object} options
+ * @param {string} options.triggeredVia - One of CONSOLIDATION_TRIGGERS
+ * @param {number|null} [options.triggeredBy] - User who started a manual run
+ * @param {Date|null} [options.until] - Only apply matches accepted before this time
+ * @returns {Promise<Object>} The logged run with its entries
+ * @throws {ConsolidationError} When the league is missing, immediate or has nothing to apply
+ */
+async function consolidateLeague(leagueId, { triggeredVia, triggeredBy = null, until = null }) {
+    const result = await database.withTransaction(async (tx) => {
+        // Runs can start from the API, the cron endpoint and the CLI at once: on Postgres the
+        // league row lock makes them queue up, and the pending matches are read after it
+        const league = await tx.get(
+            `SELECT id, name, elo_update_mode FROM leagues WHERE id = ?${database.isPg ? ' FOR UPDATE' : ''}`,
+            [leagueId]
+        );
+        if (!league) {
+            throw new ConsolidationError('League not found', 404);
+        }
+        if (!DEFERRED_ELO_MODES.includes(league.elo_update_mode)) {
+            throw new ConsolidationError('League is set to immediate ELO updates - no consolidation needed');
+        }
+
+        const untilFilter = until ? 'AND (accepted_at IS NULL OR accepted_at < ?)' : '';
+        const matches = await tx.all(
+            `SELECT
+                id, league_id, player1_roster_id, player2_roster_id,
+                is_doubles, player1_partner_roster_id, player2_partner_roster_id,
+                player1_points_total, player2_points_total,
+                player1_sets_won, player2_sets_won, season_id, CAST(accepted_at AS TEXT) as accepted_at
+            FROM matches
+            WHERE league_id = ? AND is_accepted = ? AND (elo_applied = ? OR elo_applied IS NULL) ${untilFilter}
+            ORDER BY accepted_at ASC, id ASC`,
+            [leagueId, true, false, ...(until ? [toTimestamp(until)] : [])]
+        );
+        if (matches.length === 0) {
+            throw new ConsolidationError('No matches to consolidate');
+        }
+
+        // Doubles are rated one by one on their own ratings; singles form the rating period
+        const doublesMatches = matches.filter((m) => m.is_doubles);
+        const singlesMatches = matches.filter((m) => !m.is_doubles);
+
+        const rosterIds = Array.from(new Set(matches.flatMap((m) => [
+            m.player1_roster_id, m.player2_roster_id, m.player1_partner_roster_id, m.player2_partner_roster_id
+        ].filter(Boolean))));
+        const rosterRows = await tx.all(
+            `SELECT id, user_id, display_name, current_elo, rating_deviation, rating_volatility, doubles_elo,
+                (SELECT COUNT(*) FROM elo_history eh
+                 WHERE eh.roster_id = league_roster.id AND eh.league_id = league_roster.league_id AND eh.match_id IS NOT NULL) as rated_matches
+             FROM league_roster WHERE league_id = ? AND id IN (${rosterIds.map(() => '?').join(', ')})`,
+            [leagueId, ...rosterIds]
+        );
+        if (rosterRows.length !== rosterIds.length) {
+            throw new Error('Missing roster entries for consolidation');
+        }
+        const rosterById = new Map(rosterRows.map((row) => [row.id, row]));
+
+        // All singles of the batch are rated together against the ratings before consolidation
+        const { engine, config } = await getLeagueRatingSettings(leagueId, tx);
+        const baseStateByRosterId = new Map();
+        singlesMatches.forEach((m) => {
+            [m.player1_roster_id, m.player2_roster_id].forEach((rosterId) => {
+                baseStateByRosterId.set(rosterId, getRatingState(engine, rosterById.get(rosterId)));
+            });
+        });
+
+        const period = engine.ratePeriod(
+            baseStateByRosterId,
+            singlesMatches.map((m) => ({
+                id: m.id,
+                player1: m.player1_roster_id,
+                player2: m.player2_roster_id,
+                outcome: getMatchOutcome(m)
+            })),
+            config
+        );
+
+        // Net change per roster entry over the whole batch
+        const entries = new Map();
+        const entryFor = (rosterId) => {
+            if (!entries.has(rosterId)) {
+                const row = rosterById.get(rosterId);
+                entries.set(rosterId, {
+                    roster_id: rosterId,
+                    user_id: row.user_id,
+                    display_name: row.display_name,
+                    elo_before: null,
+                    elo_after: null,
+                    elo_change: 0,
+                    doubles_elo_before: null,
+                    doubles_elo_after: null,
+                    matches_applied: 0
+                });
+            }
+            return entries.get(rosterId);
+        };
+        for (const [rosterId, state] of period.states.entries()) {
+            const entry = entryFor(rosterId);
+            entry.elo_before = baseStateByRosterId.get(rosterId).rating;
+            entry.elo_after = state.rating;
+            entry.elo_change = state.rating - entry.elo_before;
+        }
+        singlesMatches.forEach((m) => {
+            entryFor(m.player1_roster_id).matches_applied += 1;
+            entryFor(m.player2_roster_id).matches_applied += 1;
+        });
+
+        const periodStart = matches[0].accepted_at;
+        const periodEnd = until ? toTimestamp(until) : null;
+
+        const inserted = await tx.run(
+            `INSERT INTO consolidation_runs (league_id, triggered_via, triggered_by, period_start, period_end, matches_applied)
+             VALUES (?, ?, ?, ?, ${periodEnd ? '?' : 'CURRENT_TIMESTAMP'}, ?)`,
+            [leagueId, triggeredVia, triggeredBy, periodStart, ...(periodEnd ? [periodEnd] : []), matches.length]
+        );
+
+        // Only still unapplied matches are marked; anything else means another run got there first
+        const markApplied = async (sql, params) => {
+            const updated = await tx.run(`${sql} AND (elo_applied = ? OR elo_applied IS NULL)`, [...params, false]);
+            if (updated.changes !== 1) {
+                throw new ConsolidationError('These matches have been consolidated in the meantime', 409);
+            }
+        };
+
+        for (const [index, m] of singlesMatches.entries()) {
+            const rated = period.games[index];
+            await markApplied(
+                'UPDATE matches SET player1_elo_before = ?, player2_elo_before = ?, player1_elo_after = ?, player2_elo_after = ?, winner_roster_id = ?, elo_applied = ?, elo_applied_at = CURRENT_TIMESTAMP, consolidation_run_id = ? WHERE id = ?',
+                [
+                    rated.before1,
+                    rated.before2,
+                    rated.after1,
+                    rated.after2,
+                    m.player1_sets_won > m.player2_sets_won ? m.player1_roster_id : m.player2_roster_id,
+                    true,
+                    inserted.id,
+                    m.id
+                ]
+            );
+            for (const [rosterId, before, after] of [
+                [m.player1_roster_id, rated.before1, rated.after1],
+                [m.player2_roster_id, rated.before2, rated.after2]
+            ]) {
+                await tx.run(
+                    'INSERT INTO elo_history (user_id, league_id, roster_id, match_id, elo_before, elo_after, elo_change, recorded_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+                    [rosterById.get(rosterId).user_id || null, leagueId, rosterId, m.id, before, after, after - before]
+                );
+            }
+        }
+
+        for (const [rosterId, state] of period.states.entries()) {
+            await tx.run(
+                'UPDATE league_roster SET current_elo = ?, rating_deviation = ?, rating_volatility = ? WHERE league_id = ? AND id = ?',
+                [state.rating, state.deviation, state.volatility, leagueId, rosterId]
+            );
+        }
+
+        for (const m of doublesMatches) {
+            await markApplied(
+                'UPDATE matches SET winner_roster_id = ?, elo_applied = ?, elo_applied_at = CURRENT_TIMESTAMP, consolidation_run_id = ? WHERE id = ?',
+                [m.player1_sets_won > m.player2_sets_won ? m.player1_roster_id : m.player2_roster_id, true, inserted.id, m.id]
+            );
+            const rated = await applyDoublesRating(tx, config, m);
+            for (const player of rated.players) {
+                const entry = entryFor(player.rosterId);
+                if (entry.doubles_elo_before == null) entry.doubles_elo_before = player.before;
+                entry.doubles_elo_after = player.after;
+                entry.matches_applied += 1;
+            }
+        }
+
+        for (const entry of entries.values()) {
+            const row = rosterById.get(entry.roster_id);
+            const ratedSingles = entry.elo_after != null;
+            await tx.run(
+                `INSERT INTO consolidation_run_entries
+                    (run_id, roster_id, user_id, elo_before, elo_after, elo_change,
+                     rating_deviation_before, rating_volatility_before,
+                     doubles_elo_before, doubles_elo_after, matches_applied)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    inserted.id, entry.roster_id, entry.user_id || null,
+                    entry.elo_before, entry.elo_after, entry.elo_change,
+                    ratedSingles ? row.rating_deviation : null, ratedSingles ? row.rating_volatility : null,
+                    entry.doubles_elo_before, entry.doubles_elo_after, entry.matches_applied
+                ]
+            );
+            if (entry.user_id) {
+                await createNotification(tx, {
+                    user_id: entry.user_id,
+                    type: 'elo_consolidated',
+                    title: 'Ratings Updated',
+                    message: buildConsolidationMessage(league.name, entry),
+                    related_id: leagueId
+                });
+            }
+        }
+
+        // One evaluation per player and season, credited to their last match of the batch
+        const achievementPlayers = new Map();
+        singlesMatches.forEach((m) => {
+            [m.player1_roster_id, m.player2_roster_id].forEach((rosterId) => {
+                const seasonId = m.season_id ?? null;
+                achievementPlayers.set(`${rosterId}:${seasonId}`, { rosterId, seasonId, matchId: m.id });
+            });
+        });
+        await evaluateAchievements(tx, leagueId, Array.from(achievementPlayers.values()));
+
+        const run = await tx.get(
+            `SELECT id, league_id, triggered_via, triggered_by, CAST(period_start AS TEXT) as period_start,
+                    CAST(period_end AS TEXT) as period_end, matches_applied, CAST(created_at AS TEXT) as created_at
+             FROM consolidation_runs WHERE id = ?`,
+            [inserted.id]
+        );
+        return { ...run, entries: Array.from(entries.values()) };
+    });
+
+    await markLeagueSnapshotDirty(leagueId);
+    return result;
+}
+
+/**
+ * Why the given run cannot be rolled back, or null when it can
+ *
+ * Only the league's most recent run that has not been rolled back qualifies, and only
+ * while its ratings are still the latest: no rating may have been applied since
+ * (later match, revert, recalculation) and no season may have started or closed since.
+ * @returns {Promise<string|null>}
+ */
+async function getRollbackBlocker(tx, run) {
+    if (run.rolled_back_at) {
+        return 'This consolidation has already been rolled back';
+    }
+    const latest = await tx.get(
+        'SELECT MAX(id) as id FROM consolidation_runs WHERE league_id = ? AND rolled_back_at IS NULL',
+        [run.league_id]
+    );
+    if (!latest || latest.id !== run.id) {
+        return 'Only the most recent consolidation can be rolled back';
+    }
+
+    const batchMatches = await tx.all('SELECT id FROM matches WHERE consolidation_run_id = ?', [run.id]);
+    if (batchMatches.length !== run.matches_applied) {
+        return 'Matches of this consolidation have been changed or deleted since';
+    }
+
+    // History rows are append-only while nothing is replayed, so any later row means later ratings
+    for (const table of ['elo_history', 'doubles_elo_history']) {
+        const batchRows = await tx.get(
+            `SELECT MAX(h.id) as id FROM ${table} h JOIN matches m ON h.match_id = m.id WHERE m.consolidation_run_id = ?`,
+            [run.id]
+        );
+        if (!batchRows || batchRows.id == null) continue;
+        const later = await tx.get(
+            `SELECT COUNT(*) as count FROM ${table} WHERE league_id = ? AND id > ?`,
+            [run.league_id, batchRows.id]
+        );
+        if (Number(later.count) > 0) {
+            return 'Ratings have changed since this consolidation';
+        }
+    }
+
+    const changed = await tx.get(
+        `SELECT COUNT(*) as count FROM consolidation_run_entries e
+         JOIN league_roster lr ON e.roster_id = lr.id
+         WHERE e.run_id = ? AND e.elo_after IS NOT NULL AND lr.current_elo != e.elo_after`,
+        [run.id]
+    );
+    if (Number(changed.count) > 0) {
+        return 'Ratings have changed since this consolidation';
+    }
+
+    const season = await tx.get(
+        'SELECT id FROM seasons WHERE league_id = ? AND (created_at >= ? OR closed_at >= ?)',
+        [run.league_id, run.created_at, run.created_at]
+    );
+    if (season) {
+        return 'A season was started or closed after this consolidation';
+    }
+    return null;
+}
+
+/**
+ * Roll back a consolidation run: restore every roster entry's ratings from before the run,
+ * drop the run's rating history and mark its matches as pending again. The run stays in
+ * the log, flagged as rolled back, and affected players are notified.
+ * @param {number} leagueId - League ID
+ * @param {number} runId - consolidation_runs ID
+ * @param {number} userId - User rolling back
+ * @returns {Promise<Object>} { run_id, matches_reverted }
+ * @throws {ConsolidationError} When the run is missing or cannot be rolled back
+ */
+async function rollbackConsolidation(leagueId, runId, userId) {
+    const result = await database.withTransaction(async (tx) => {
+        const run = await tx.get(
+            `SELECT r.id, r.league_id, r.matches_applied, CAST(r.created_at AS TEXT) as created_at,
+                    CAST(r.rolled_back_at AS TEXT) as rolled_back_at, l.name as league_name
+             FROM consolidation_runs r JOIN leagues l ON r.league_id = l.id
+             WHERE r.id = ? AND r.league_id = ?`,
+            [runId, leagueId]
+        );
+        if (!run) {
+            throw new ConsolidationError('Consolidation not found', 404);
+        }
+        const blocker = await getRollbackBlocker(tx, run);
+        if (blocker) {
+            throw new ConsolidationError(blocker, 409);
+        }
+
+        const entries = await tx.all(
+            `SELECT roster_id, user_id, elo_before, rating_deviation_before, rating_volatility_before
+             FROM consolidation_run_entries WHERE run_id = ?`,
+            [run.id]
+        );
+        for (const entry of entries) {
+            if (entry.roster_id == null || entry.elo_before == null) continue;
+            await tx.run(
+                'UPDATE league_roster SET current_elo = ?, rating_deviation = ?, rating_volatility = ? WHERE league_id = ? AND id = ?',
+                [entry.elo_before, entry.rating_deviation_before, entry.rating_volatility_before, leagueId, entry.roster_id]
+            );
+        }
+
+        // Doubles ratings (players or fixed pairs) go back to their value before the run's first doubles match
+        const doublesRows = await tx.all(
+            `SELECT h.roster_id, h.pair_id, h.elo_before
+             FROM doubles_elo_history h JOIN matches m ON h.match_id = m.id
+             WHERE m.consolidation_run_id = ?
+             ORDER BY h.id ASC`,
+            [run.id]
+        );
+        const restored = new Set();
+        for (const row of doublesRows) {
+            const key = row.pair_id ? `pair:${row.pair_id}` : `roster:${row.roster_id}`;
+            if (restored.has(key)) continue;
+            restored.add(key);
+            if (row.pair_id) {
+                await tx.run('UPDATE league_doubles_pairs SET current_elo = ? WHERE id = ?', [row.elo_before, row.pair_id]);
+            } else {
+                await tx.run('UPDATE league_roster SET doubles_elo = ? WHERE league_id = ? AND id = ?', [row.elo_before, leagueId, row.roster_id]);
+            }
+        }
+
+        await tx.run(
+            'DELETE FROM elo_history WHERE match_id IN (SELECT id FROM matches WHERE consolidation_run_id = ?)',
+            [run.id]
+        );
+        await tx.run(
+            'DELETE FROM doubles_elo_history WHERE match_id IN (SELECT id FROM matches WHERE consolidation_run_id = ?)',
+            [run.id]
+        );
+        await tx.run(
+            'UPDATE matches SET elo_applied = ?, elo_applied_at = NULL, consolidation_run_id = NULL WHERE consolidation_run_id = ?',
+            [false, run.id]
+        );
+        await tx.run(
+            'UPDATE consolidation_runs SET rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = ? WHERE id = ?',
+            [userId, run.id]
+        );
+
+        for (const entry of entries) {
+            if (!entry.user_id) continue;
+            await createNotification(tx, {
+                user_id: entry.user_id,
+                type: 'elo_consolidated',
+                title: 'Ratings Restored',
+                message: `A rating consolidation in "${run.league_name}" has been rolled back. Your ratings are back to their previous values; the matches will be rated again at the next consolidation.`,
+                related_id: leagueId
+            });
+        }
+
+        return { run_id: run.id, matches_reverted: run.matches_applied };
+    });
+
+    await markLeagueSnapshotDirty(leagueId);
+    return result;
+}
+
+/**
+ * Consolidate every active weekly/monthly league whose last period has pending matches
+ *
+ * Safe to call as often as wanted: a league is only consolidated when matches accepted
+ * before its current period started are still unapplied. A failing league is logged and
+ * does not stop the others.
+ * @param {Object} options
+ * @param {string} options.triggeredVia - 'scheduler', 'cron' or 'cli'
+ * @param {Date} [options.now]
+ * @returns {Promise<Array<Object>>} One { league_id, status, run_id?, matches_applied?, error? } per league with pending matches
+ */
+async function runScheduledConsolidation({ triggeredVia, now = new Date() }) {
+    const leagues = await database.all(
+        `SELECT id, elo_update_mode FROM leagues
+         WHERE is_active = ? AND elo_update_mode IN (${DEFERRED_ELO_MODES.map(() => '?').join(', ')})
+         ORDER BY id ASC`,
+        [true, ...DEFERRED_ELO_MODES]
+    );
+
+    const results = [];
+    for (const league of leagues) {
+        const until = getPeriodStart(league.elo_update_mode, now);
+        const pending = await database.get(
+            `SELECT COUNT(*) as count FROM matches
+             WHERE league_id = ? AND is_accepted = ? AND (elo_applied = ? OR elo_applied IS NULL)
+               AND (accepted_at IS NULL OR accepted_at < ?)`,
+            [league.id, true, false, toTimestamp(until)]
+        );
+        if (!pending || Number(pending.count) === 0) continue;
+
+        try {
+            const run = await consolidateLeague(league.id, { triggeredVia, until });
+            results.push({ league_id: league.id, status: 'completed', run_id: run.id, matches_applied: run.matches_applied });
+        } catch (error) {
+            console.error(`Scheduled consolidation of league ${league.id} failed:`, error);
+            results.push({ league_id: league.id, status: 'failed', error: error.message });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    DEFERRED_ELO_MODES,
+    CONSOLIDATION_TRIGGERS,
+    ConsolidationError,
+    getPeriodStart,
+    buildConsolidationMessage,
+    consolidateLeague,
+    getRollbackBlocker,
+    rollbackConsolidation,
+    runScheduledConsolidation
+};
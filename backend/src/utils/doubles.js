@@ -0,0 +1,236 @@
+/**
+ * Doubles ratings
+ *
+ * Doubles matches store the first player of each side in player1/2_roster_id and the
+ * partners in player1/2_partner_roster_id. They are rated with the ELO calculator
+ * (whatever the league's singles engine) using team-average expected scores, and do
+ * not touch singles ratings. Depending on the league's doubles_rating_mode the rating
+ * belongs to each player (league_roster.doubles_elo) or to the fixed pair
+ * (league_doubles_pairs.current_elo); doubles_elo_history records every change.
+ */
+
+const { calculateExpectedScore, calculateNewElos } = require('./eloCalculator');
+const { getKFactor } = require('./ratingConfig');
+const { getLeagueRatingSettings, getMatchOutcome } = require('./ratingEngines');
+const { createSeasonResetReplay, resetDoublesRatings } = require('./seasons');
+
+/**
+ * Rate a doubles match
+ *
+ * Each side is a list of rated units (two players, or one fixed pair). The team rating is
+ * the average of its units; every unit then moves by the team-vs-team ELO change scaled by
+ * its own K-factor, so a provisional partner moves faster than an established one.
+ * @param {Array<{rating: number, matchesPlayed: number}>} side1 - Units of side 1
+ * @param {Array<{rating: number, matchesPlayed: number}>} side2 - Units of side 2
+ * @param {Object} outcome - { setsWon1, setsWon2, pointsWon1, pointsWon2 } from side 1's perspective
+ * @param {Object} config - League rating config
+ * @returns {Object} { team1: {before, after}, team2: {before, after}, expectedScore1, side1: [{before, after, change}], side2: [...] }
+ */
+function rateDoublesSides(side1, side2, outcome, config) {
+    const average = (units) => units.reduce((sum, unit) => sum + unit.rating, 0) / units.length;
+    const team1 = average(side1);
+    const team2 = average(side2);
+    const didSide1Win = outcome.setsWon1 > outcome.setsWon2;
+
+    const rateUnit = (unit, sign) => {
+        const result = calculateNewElos(
+            team1,
+            team2,
+            outcome.pointsWon1,
+            outcome.pointsWon2,
+            didSide1Win,
+            outcome.setsWon1,
+            outcome.setsWon2,
+            { config, kFactor1: getKFactor(config, unit.matchesPlayed) }
+        );
+        const change = sign * result.ratingChange;
+        return { before: unit.rating, after: unit.rating + change, change };
+    };
+
+    const results1 = side1.map((unit) => rateUnit(unit, 1));
+    const results2 = side2.map((unit) => rateUnit(unit, -1));
+    const teamAfter = (results) => Math.round(average(results.map((result) => ({ rating: result.after }))));
+
+    return {
+        team1: { before: Math.round(team1), after: teamAfter(results1) },
+        team2: { before: Math.round(team2), after: teamAfter(results2) },
+        expectedScore1: calculateExpectedScore(team1, team2),
+        side1: results1,
+        side2: results2
+    };
+}
+
+/**
+ * Roster IDs of both sides of a doubles match
+ * @param {Object} match - Row with player1/2_roster_id and player1/2_partner_roster_id
+ * @returns {Array<Array<number>>} [[side 1 roster IDs], [side 2 roster IDs]]
+ */
+function getDoublesSides(match) {
+    return [
+        [match.player1_roster_id, match.player1_partner_roster_id],
+        [match.player2_roster_id, match.player2_partner_roster_id]
+    ];
+}
+
+/**
+ * Find (and optionally create) the fixed pair for two roster entries
+ * @returns {Promise<Object|null>} league_doubles_pairs row
+ */
+async function getPair(tx, leagueId, rosterIdA, rosterIdB, create) {
+    const [roster1Id, roster2Id] = [rosterIdA, rosterIdB].sort((a, b) => a - b);
+    const existing = await tx.get(
+        'SELECT id, current_elo FROM league_doubles_pairs WHERE league_id = ? AND roster1_id = ? AND roster2_id = ?',
+        [leagueId, roster1Id, roster2Id]
+    );
+    if (existing || !create) {
+        return existing || null;
+    }
+    const created = await tx.run(
+        'INSERT INTO league_doubles_pairs (league_id, roster1_id, roster2_id) VALUES (?, ?, ?)',
+        [leagueId, roster1Id, roster2Id]
+    );
+    return { id: created.id, current_elo: null };
+}
+
+/**
+ * Load the rated units of one side
+ * @returns {Promise<Array<Object>>} Units with rating, matchesPlayed and rosterId or pairId
+ */
+async function loadSideUnits(tx, leagueId, rosterIds, config, createPairs) {
+    if (config.doubles_rating_mode === 'pair') {
+        const pair = await getPair(tx, leagueId, rosterIds[0], rosterIds[1], createPairs);
+        const played = pair
+            ? await tx.get(
+                'SELECT COUNT(*) as count FROM doubles_elo_history WHERE league_id = ? AND pair_id = ?',
+                [leagueId, pair.id]
+            )
+            : null;
+        return [{
+            pairId: pair ? pair.id : null,
+            rating: pair?.current_elo ?? config.starting_elo,
+            matchesPlayed: Number(played?.count || 0)
+        }];
+    }
+
+    const units = [];
+    for (const rosterId of rosterIds) {
+        const row = await tx.get(
+            `SELECT lr.doubles_elo,
+                    (SELECT COUNT(*) FROM doubles_elo_history deh
+                     WHERE deh.league_id = lr.league_id AND deh.roster_id = lr.id) as doubles_matches
+             FROM league_roster lr WHERE lr.league_id = ? AND lr.id = ?`,
+            [leagueId, rosterId]
+        );
+        if (!row) {
+            throw new Error(`Roster entry ${rosterId} not found in league ${leagueId}`);
+        }
+        units.push({
+            rosterId,
+            rating: row.doubles_elo ?? config.starting_elo,
+            matchesPlayed: Number(row.doubles_matches || 0)
+        });
+    }
+    return units;
+}
+
+/**
+ * Rate a doubles match from the current doubles ratings
+ * Nothing is stored unless createPairs is set, which registers pairs that have not played yet.
+ * @returns {Promise<Object>} rateDoublesSides result plus the rated units of each side
+ */
+async function previewDoublesRating(tx, config, match, { createPairs = false } = {}) {
+    const [rosterIds1, rosterIds2] = getDoublesSides(match);
+    const units1 = await loadSideUnits(tx, match.league_id, rosterIds1, config, createPairs);
+    const units2 = await loadSideUnits(tx, match.league_id, rosterIds2, config, createPairs);
+    const result = rateDoublesSides(units1, units2, getMatchOutcome(match), config);
+    return { ...result, units1, units2 };
+}
+
+/**
+ * Rate an accepted doubles match, store the team ratings on the match and update
+ * the players' (or pairs') doubles ratings
+ * @param {Object} tx - Transaction
+ * @param {Object} config - League rating config
+ * @param {Object} match - Match row with league_id, roster IDs, sets and points
+ * @param {string} [recordedAt] - History timestamp (defaults to now)
+ * @returns {Promise<Object>} { team1, team2, players: [{ rosterId, side, before, after, change }] }
+ */
+async function applyDoublesRating(tx, config, match, recordedAt = null) {
+    const rated = await previewDoublesRating(tx, config, match, { createPairs: true });
+
+    await tx.run(
+        'UPDATE matches SET player1_elo_before = ?, player2_elo_before = ?, player1_elo_after = ?, player2_elo_after = ? WHERE id = ?',
+        [rated.team1.before, rated.team2.before, rated.team1.after, rated.team2.after, match.id]
+    );
+
+    const players = [];
+    const sides = [
+        [1, rated.units1, rated.side1, getDoublesSides(match)[0]],
+        [2, rated.units2, rated.side2, getDoublesSides(match)[1]]
+    ];
+    for (const [side, units, results, rosterIds] of sides) {
+        for (let i = 0; i < units.length; i++) {
+            const unit = units[i];
+            const { before, after, change } = results[i];
+            if (unit.pairId) {
+                await tx.run('UPDATE league_doubles_pairs SET current_elo = ? WHERE id = ?', [after, unit.pairId]);
+            } else {
+                await tx.run('UPDATE league_roster SET doubles_elo = ? WHERE league_id = ? AND id = ?', [after, match.league_id, unit.rosterId]);
+            }
+            await tx.run(
+                `INSERT INTO doubles_elo_history (league_id, match_id, roster_id, pair_id, elo_before, elo_after, elo_change, recorded_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ${recordedAt ? '?' : 'CURRENT_TIMESTAMP'})`,
+                [match.league_id, match.id, unit.rosterId || null, unit.pairId || null, before, after, change, ...(recordedAt ? [recordedAt] : [])]
+            );
+        }
+        // In pair mode both players share the pair's change
+        for (const rosterId of rosterIds) {
+            const index = units.findIndex((unit) => unit.rosterId === rosterId);
+            const { before, after, change } = results[index === -1 ? 0 : index];
+            players.push({ rosterId, side, before, after, change });
+        }
+    }
+
+    return { team1: rated.team1, team2: rated.team2, players };
+}
+
+/**
+ * Rebuild all doubles ratings of a league by replaying its rated doubles matches in played order
+ * (season rating resets included)
+ * @param {Object} tx - Transaction
+ * @param {number} leagueId - League ID
+ * @returns {Promise<number>} Number of matches replayed
+ */
+async function replayDoublesRatings(tx, leagueId) {
+    const { config } = await getLeagueRatingSettings(leagueId, tx);
+
+    await tx.run('DELETE FROM doubles_elo_history WHERE league_id = ?', [leagueId]);
+    await tx.run('UPDATE league_roster SET doubles_elo = NULL WHERE league_id = ?', [leagueId]);
+    await tx.run('UPDATE league_doubles_pairs SET current_elo = NULL WHERE league_id = ?', [leagueId]);
+
+    const matches = await tx.all(
+        `SELECT id, league_id, player1_roster_id, player2_roster_id,
+                player1_partner_roster_id, player2_partner_roster_id,
+                player1_sets_won, player2_sets_won,
+                player1_points_total, player2_points_total, played_at, season_id
+         FROM matches
+         WHERE league_id = ? AND is_doubles = ? AND is_accepted = ? AND elo_applied = ?
+         ORDER BY played_at ASC, id ASC`,
+        [leagueId, true, true, true]
+    );
+    const seasons = await createSeasonResetReplay(tx, leagueId, (season) => resetDoublesRatings(tx, leagueId, season, config));
+    for (const match of matches) {
+        await seasons.beforeMatch(match);
+        await applyDoublesRating(tx, config, match, match.played_at);
+    }
+    await seasons.finish();
+    return matches.length;
+}
+
+module.exports = {
+    rateDoublesSides,
+    getDoublesSides,
+    previewDoublesRating,
+    applyDoublesRating,
+    replayDoublesRatings
+};
@@ -13,6 +13,20 @@ function calculateExpectedScore(rating1, rating2) {
     return 1 / (1 + Math.pow(10, (rating2 - rating1) / 400));
 }
 
+/**
+ * Default calculator settings; leagues may override them (see utils/ratingConfig.js)
+ */
+const DEFAULT_ELO_CONFIG = {
+    k_factor: 46,
+    format_multipliers: {
+        best_of_7: 1.0,
+        best_of_5: 0.8,
+        best_of_3: 0.64,
+        best_of_1: 0.512
+    },
+    points_factor_cap: 0.35 // Max ±35% impact
+};
+
 /**
  * Calculate new ELO ratings after a match
  * @param {number} rating1 - Player 1's current ELO rating
@@ -22,37 +36,34 @@ function calculateExpectedScore(rating1, rating2) {
  * @param {boolean} didPlayer1Win - Whether player 1 won the match
  * @param {number} setsWonP1 - Sets won by player 1
  * @param {number} setsWonP2 - Sets won by player 2
+ * @param {Object} [options] - { config, kFactor1, kFactor2 }; K-factors default to config.k_factor
  * @returns {Object} Object with newRating1 and newRating2
  */
-function calculateNewElos(rating1, rating2, pointsWon1, pointsWon2, didPlayer1Win, setsWonP1, setsWonP2) {
-    const K = 46; // Fixed K-factor
+function calculateNewElos(rating1, rating2, pointsWon1, pointsWon2, didPlayer1Win, setsWonP1, setsWonP2, options = {}) {
+    const config = options.config || DEFAULT_ELO_CONFIG;
+    const kFactor1 = options.kFactor1 ?? config.k_factor;
+    const kFactor2 = options.kFactor2 ?? config.k_factor;
     
     // Format multiplier based on sets needed to win
-    const setsNeededToWin = Math.max(setsWonP1, setsWonP2);
-    const formatMultiplier = {
-        4: 1.0,    // Best of 7
-        3: 0.8,    // Best of 5
-        2: 0.64,   // Best of 3
-        1: 0.512   // Best of 1
-    }[setsNeededToWin] || 0.512;
-    
-    const matchFormat = {4: 7, 3: 5, 2: 3, 1: 1}[setsNeededToWin] || 1;
+    const gameType = determineGameType(setsWonP1, setsWonP2);
+    const formatMultiplier = config.format_multipliers[gameType] ?? DEFAULT_ELO_CONFIG.format_multipliers[gameType];
     
     // Calculate expected score
-    const expectedScore1 = 1 / (1 + Math.pow(10, (rating2 - rating1) / 400));
+    const expectedScore1 = calculateExpectedScore(rating1, rating2);
     
     // Points modifier (limited impact)
     const totalPoints = pointsWon1 + pointsWon2;
     const pointsRatio1 = totalPoints > 0 ? pointsWon1 / totalPoints : 0.5;
-    const pointsFactor = 1 + (pointsRatio1 - 0.5) * 0.7; // Max ±35% impact
+    const pointsFactor = 1 + (pointsRatio1 - 0.5) * 2 * config.points_factor_cap;
     
-    // Symmetric rating change calculation
+    // Symmetric rating change unless the players' K-factors differ (provisional period)
     const actualScore = didPlayer1Win ? 1 : 0;
-    const ratingChange = K * formatMultiplier * pointsFactor * (actualScore - expectedScore1);
+    const swing = formatMultiplier * pointsFactor * (actualScore - expectedScore1);
+    const ratingChange = kFactor1 * swing;
     
     return {
         newRating1: Math.round(rating1 + ratingChange),
-        newRating2: Math.round(rating2 - ratingChange),
+        newRating2: Math.round(rating2 - kFactor2 * swing),
         ratingChange: Math.round(ratingChange),
         expectedScore1: expectedScore1,
         pointsFactor: pointsFactor,
@@ -149,6 +160,7 @@ function previewEloChange(matchData) {
 }
 
 module.exports = {
+    DEFAULT_ELO_CONFIG,
     calculateExpectedScore,
     calculateNewElos,
     determineGameType,
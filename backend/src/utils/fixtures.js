@@ -0,0 +1,53 @@
+const database = require('../models/database');
+
+const samePairing = (fixture, rosterIds) => {
+    const expected = [fixture.player1_roster_id, fixture.player2_roster_id].sort((a, b) => a - b);
+    const actual = [...rosterIds].sort((a, b) => a - b);
+    return expected[0] === actual[0] && expected[1] === actual[1];
+};
+
+/**
+ * Resolve the fixture a recorded league match should be linked to.
+ * With an explicit fixture ID the pairing must match; otherwise the earliest
+ * open fixture for the pairing (if any) is used.
+ * @returns {Promise<{fixture?: Object|null, error?: string}>}
+ */
+async function resolveFixtureForMatch(leagueId, fixtureId, rosterIds, tx = database) {
+    if (fixtureId) {
+        const fixture = await tx.get(
+            'SELECT id, league_id, player1_roster_id, player2_roster_id, match_id FROM fixtures WHERE id = ?',
+            [fixtureId]
+        );
+        if (!fixture || Number(fixture.league_id) !== Number(leagueId)) {
+            return { error: 'Fixture not found in this league' };
+        }
+        if (fixture.match_id) {
+            return { error: 'Fixture has already been played' };
+        }
+        if (!samePairing(fixture, rosterIds)) {
+            return { error: 'Players do not match the fixture pairing' };
+        }
+        return { fixture };
+    }
+
+    const [a, b] = rosterIds;
+    const fixture = await tx.get(
+        `SELECT id, league_id, player1_roster_id, player2_roster_id, match_id
+         FROM fixtures
+         WHERE league_id = ? AND match_id IS NULL
+           AND ((player1_roster_id = ? AND player2_roster_id = ?) OR (player1_roster_id = ? AND player2_roster_id = ?))
+         ORDER BY round ASC, id ASC
+         LIMIT 1`,
+        [leagueId, a, b, b, a]
+    );
+    return { fixture: fixture || null };
+}
+
+async function linkFixtureToMatch(tx, fixtureId, matchId) {
+    await tx.run('UPDATE fixtures SET match_id = ? WHERE id = ? AND match_id IS NULL', [matchId, fixtureId]);
+}
+
+module.exports = {
+    resolveFixtureForMatch,
+    linkFixtureToMatch
+};
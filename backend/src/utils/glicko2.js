@@ -0,0 +1,118 @@
+/**
+ * Glicko-2 rating system (Mark Glickman, http://www.glicko.net/glicko/glicko2.pdf)
+ * Ratings are kept on the familiar ELO-like scale; the algorithm works internally
+ * on the Glicko-2 scale (mu/phi) and converts back.
+ */
+
+const SCALE = 173.7178;
+const CENTER = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const TAU = 0.5; // Constrains volatility change over time
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+const toMu = (rating) => (rating - CENTER) / SCALE;
+const toPhi = (deviation) => deviation / SCALE;
+
+function g(phi) {
+    return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expected(mu, muOpponent, phiOpponent) {
+    return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+/**
+ * Expected score for player 1 against player 2
+ * @param {Object} player - { rating, deviation }
+ * @param {Object} opponent - { rating, deviation }
+ * @returns {number} Expected score (0-1)
+ */
+function calculateExpectedScore(player, opponent) {
+    return expected(toMu(player.rating), toMu(opponent.rating), toPhi(opponent.deviation));
+}
+
+// Step 5 of the paper: iterative solution for the new volatility (Illinois algorithm)
+function computeVolatility(phi, volatility, delta, variance) {
+    const a = Math.log(volatility * volatility);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const denom = phi * phi + variance + ex;
+        return (ex * (delta * delta - phi * phi - variance - ex)) / (2 * denom * denom) - (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + variance) {
+        B = Math.log(delta * delta - phi * phi - variance);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) k += 1;
+        B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+        const C = A + ((A - B) * fA) / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA /= 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    return Math.exp(A / 2);
+}
+
+/**
+ * Rate one player over a rating period
+ * @param {Object} player - { rating, deviation, volatility }
+ * @param {Array<{opponent: Object, score: number}>} games - Opponent state before the period and score (1 win, 0 loss)
+ * @returns {Object} { deviation, volatility, contributions } where contributions[i] is
+ *   the rating change attributable to games[i]; their sum is the period's rating change
+ */
+function ratePlayer(player, games) {
+    const phi = toPhi(player.deviation);
+    if (games.length === 0) {
+        // No games: only the deviation grows
+        const grown = Math.sqrt(phi * phi + player.volatility * player.volatility);
+        return {
+            deviation: Math.min(grown * SCALE, DEFAULT_DEVIATION),
+            volatility: player.volatility,
+            contributions: []
+        };
+    }
+
+    const mu = toMu(player.rating);
+    const terms = games.map(({ opponent, score }) => {
+        const phiJ = toPhi(opponent.deviation);
+        const gPhi = g(phiJ);
+        const E = expected(mu, toMu(opponent.rating), phiJ);
+        return { gPhi, E, score };
+    });
+
+    const variance = 1 / terms.reduce((sum, t) => sum + t.gPhi * t.gPhi * t.E * (1 - t.E), 0);
+    const improvement = terms.reduce((sum, t) => sum + t.gPhi * (t.score - t.E), 0);
+    const delta = variance * improvement;
+
+    const newVolatility = computeVolatility(phi, player.volatility, delta, variance);
+    const phiStar = Math.sqrt(phi * phi + newVolatility * newVolatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / variance);
+
+    return {
+        deviation: Math.min(newPhi * SCALE, DEFAULT_DEVIATION),
+        volatility: newVolatility,
+        contributions: terms.map((t) => SCALE * newPhi * newPhi * t.gPhi * (t.score - t.E))
+    };
+}
+
+module.exports = {
+    DEFAULT_DEVIATION,
+    DEFAULT_VOLATILITY,
+    calculateExpectedScore,
+    ratePlayer
+};
@@ -0,0 +1,141 @@
+/**
+ * Head-to-head statistics between two players.
+ * Matches are oriented from the perspective of the first user ("player") against
+ * the second ("opponent"); the route in routes/users.js loads and filters the rows.
+ */
+
+const { calculateExpectedScore } = require('./eloCalculator');
+
+const eloChange = (before, after) => (
+    before == null || after == null ? null : after - before
+);
+
+const roundTo = (value, digits) => {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * Orient a singles match row (plus its match_sets rows) towards one side.
+ * Set and point totals come from the individual sets when they were recorded,
+ * otherwise from the match totals.
+ * @param {Object} match - matches row incl. league_name
+ * @param {Array} sets - match_sets rows of the match, ordered by set_number
+ * @param {number} playerSide - 1 or 2: the side the player was on
+ */
+function orientMatch(match, sets, playerSide) {
+    const mine = playerSide === 1 ? 'player1' : 'player2';
+    const theirs = playerSide === 1 ? 'player2' : 'player1';
+
+    const orientedSets = (sets || []).map(set => ({
+        set_number: set.set_number,
+        player_score: set[`${mine}_score`],
+        opponent_score: set[`${theirs}_score`]
+    }));
+
+    let playerSets = match[`${mine}_sets_won`] || 0;
+    let opponentSets = match[`${theirs}_sets_won`] || 0;
+    let playerPoints = match[`${mine}_points_total`] || 0;
+    let opponentPoints = match[`${theirs}_points_total`] || 0;
+    if (orientedSets.length > 0) {
+        playerSets = orientedSets.filter(set => set.player_score > set.opponent_score).length;
+        opponentSets = orientedSets.filter(set => set.opponent_score > set.player_score).length;
+        playerPoints = orientedSets.reduce((sum, set) => sum + set.player_score, 0);
+        opponentPoints = orientedSets.reduce((sum, set) => sum + set.opponent_score, 0);
+    }
+
+    const won = match.winner_roster_id != null
+        ? match.winner_roster_id === match[`${mine}_roster_id`]
+        : playerSets > opponentSets;
+
+    return {
+        id: match.id,
+        league_id: match.league_id,
+        league_name: match.league_name,
+        played_at: match.played_at,
+        game_type: match.game_type,
+        result: won ? 'W' : 'L',
+        player_sets_won: playerSets,
+        opponent_sets_won: opponentSets,
+        player_points: playerPoints,
+        opponent_points: opponentPoints,
+        sets: orientedSets,
+        // NULL until a deferred league has applied the match's ratings
+        player_elo_change: eloChange(match[`${mine}_elo_before`], match[`${mine}_elo_after`]),
+        opponent_elo_change: eloChange(match[`${theirs}_elo_before`], match[`${theirs}_elo_after`])
+    };
+}
+
+/**
+ * Aggregate oriented matches (oldest first) into a head-to-head record
+ * @param {Array} matches - results of orientMatch(), ordered by played_at ascending
+ */
+function summarizeHeadToHead(matches) {
+    const summary = {
+        matches: matches.length,
+        wins: 0,
+        losses: 0,
+        win_rate: 0,
+        sets_won: 0,
+        sets_lost: 0,
+        set_differential: 0,
+        points_won: 0,
+        points_lost: 0,
+        point_differential: 0,
+        average_elo_change: null,
+        average_elo_swing: null,
+        longest_win_streak: 0,
+        opponent_longest_win_streak: 0,
+        current_streak: { holder: null, length: 0 }
+    };
+
+    const changes = [];
+    let streakHolder = null;
+    let streakLength = 0;
+
+    for (const match of matches) {
+        const holder = match.result === 'W' ? 'player' : 'opponent';
+        if (holder === 'player') summary.wins += 1;
+        else summary.losses += 1;
+
+        summary.sets_won += match.player_sets_won;
+        summary.sets_lost += match.opponent_sets_won;
+        summary.points_won += match.player_points;
+        summary.points_lost += match.opponent_points;
+        if (match.player_elo_change != null) changes.push(match.player_elo_change);
+
+        streakLength = holder === streakHolder ? streakLength + 1 : 1;
+        streakHolder = holder;
+        if (holder === 'player') {
+            summary.longest_win_streak = Math.max(summary.longest_win_streak, streakLength);
+        } else {
+            summary.opponent_longest_win_streak = Math.max(summary.opponent_longest_win_streak, streakLength);
+        }
+    }
+
+    summary.win_rate = matches.length > 0 ? Math.round((summary.wins / matches.length) * 100) : 0;
+    summary.set_differential = summary.sets_won - summary.sets_lost;
+    summary.point_differential = summary.points_won - summary.points_lost;
+    summary.current_streak = { holder: streakHolder, length: streakLength };
+    if (changes.length > 0) {
+        summary.average_elo_change = roundTo(changes.reduce((sum, c) => sum + c, 0) / changes.length, 1);
+        summary.average_elo_swing = roundTo(changes.reduce((sum, c) => sum + Math.abs(c), 0) / changes.length, 1);
+    }
+
+    return summary;
+}
+
+/**
+ * Chance of the player beating the opponent given both current ratings
+ * @returns {number|null} Probability (0-1, three decimals); null without both ratings
+ */
+function getWinProbability(playerRating, opponentRating) {
+    if (playerRating == null || opponentRating == null) return null;
+    return roundTo(calculateExpectedScore(Number(playerRating), Number(opponentRating)), 3);
+}
+
+module.exports = {
+    orientMatch,
+    summarizeHeadToHead,
+    getWinProbability
+};
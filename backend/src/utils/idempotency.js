@@ -0,0 +1,109 @@
+/**
+ * Idempotency keys for match submissions
+ *
+ * Clients send an `Idempotency-Key` header with POST /api/matches (the offline
+ * queue keeps the key of each queued match, so a replay after a lost response
+ * carries the same one). The key is claimed in the transaction that creates
+ * the match; repeating the request then returns that match instead of a
+ * second one. Reusing a key for a different result is rejected.
+ */
+
+const crypto = require('crypto');
+const database = require('../models/database');
+const { toTimestamp } = require('./timestamps');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{8,100}$/;
+// Keys are forgotten after this long; queued submissions are replayed well within it
+const KEY_RETENTION_DAYS = 30;
+
+class IdempotencyError extends Error {
+    constructor(message, code, status) {
+        super(message);
+        this.name = 'IdempotencyError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * The Idempotency-Key header value, or null when absent. Throws for malformed keys.
+ */
+function parseIdempotencyKey(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const key = String(value).trim();
+    if (!KEY_PATTERN.test(key)) {
+        throw new IdempotencyError(
+            'Idempotency-Key must be 8-100 letters, digits or - _ . :',
+            'INVALID_IDEMPOTENCY_KEY',
+            400
+        );
+    }
+    return key;
+}
+
+function canonicalize(value) {
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            sorted[key] = canonicalize(value[key]);
+            return sorted;
+        }, {});
+    }
+    return value;
+}
+
+/**
+ * Hash of a request body that ignores key order
+ */
+function requestHash(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(canonicalize(body || {}))).digest('hex');
+}
+
+function isUniqueViolation(error) {
+    return error?.code === '23505' || /UNIQUE constraint failed/.test(error?.message || '');
+}
+
+/**
+ * The earlier submission with this key, as { match_id } (null once the match
+ * was deleted), or null when the key is new. Throws when the key was used for
+ * a different request.
+ */
+async function findSubmission(userId, key, hash) {
+    const row = await database.get(
+        'SELECT request_hash, match_id FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+        [userId, key]
+    );
+    if (!row) return null;
+    if (row.request_hash !== hash) {
+        throw new IdempotencyError(
+            'This Idempotency-Key was already used for a different match',
+            'IDEMPOTENCY_KEY_REUSED',
+            422
+        );
+    }
+    return { match_id: row.match_id || null };
+}
+
+/**
+ * Claim a key for the match created in `tx`. A concurrent request holding the
+ * same key makes this fail with a unique violation (see isUniqueViolation).
+ */
+async function claimKey(tx, userId, key, hash, matchId, now = new Date()) {
+    const cutoff = toTimestamp(new Date(now.getTime() - KEY_RETENTION_DAYS * 86400 * 1000));
+    await tx.run('DELETE FROM idempotency_keys WHERE user_id = ? AND created_at < ?', [userId, cutoff]);
+    await tx.run(
+        'INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash, match_id, created_at) VALUES (?, ?, ?, ?, ?)',
+        [userId, key, hash, matchId, toTimestamp(now)]
+    );
+}
+
+module.exports = {
+    IDEMPOTENCY_HEADER,
+    IdempotencyError,
+    parseIdempotencyKey,
+    requestHash,
+    isUniqueViolation,
+    findSubmission,
+    claimKey
+};
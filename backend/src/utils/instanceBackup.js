@@ -0,0 +1,486 @@
+const crypto = require('crypto');
+const database = require('../models/database');
+
+const BACKUP_FORMAT = 'tt-leagues-backup';
+const BACKUP_VERSION = 1;
+// SQLite builds before 3.32 cap a statement at 999 bound parameters
+const MAX_PARAMS_PER_INSERT = 900;
+
+class BackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupError';
+    }
+}
+
+/**
+ * Map a declared column type from either backend to the kind used for
+ * canonical values: boolean, integer, real, timestamp, date, json or text
+ */
+function classifyColumnType(declaredType) {
+    const type = String(declaredType || '').toLowerCase();
+    if (type.includes('bool')) return 'boolean';
+    if (type.includes('json')) return 'json';
+    if (type.includes('timestamp') || type.includes('datetime')) return 'timestamp';
+    if (type === 'date') return 'date';
+    if (type.includes('int') || type.includes('serial')) return 'integer';
+    if (/real|double|float|numeric|decimal/.test(type)) return 'real';
+    return 'text';
+}
+
+const pad = (value, size = 2) => String(value).padStart(size, '0');
+
+const formatUtc = (date) => (
+    `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} `
+    + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`
+);
+
+// '2025-03-02T18:00:00.120Z' -> '2025-03-02 18:00:00.12'; values with an offset are moved to UTC
+function normalizeTimestamp(value) {
+    if (value instanceof Date) {
+        const millis = value.getUTCMilliseconds();
+        return formatUtc(value) + (millis ? `.${pad(millis, 3)}`.replace(/0+$/, '') : '');
+    }
+    const text = String(value).trim();
+    const match = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(?::(\d{2}))?(?:\.(\d+))?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i.exec(text);
+    if (!match) return text;
+    const [, date, time = '00:00', seconds = '00', fraction = '', zone] = match;
+    const trimmedFraction = fraction.replace(/0+$/, '');
+    let base = `${date} ${time}:${seconds}`;
+    if (zone && !/^(Z|[+-]00(:?00)?)$/i.test(zone)) {
+        const parsed = new Date(`${date}T${time}:${seconds}${zone.length === 3 ? `${zone}:00` : zone}`);
+        if (!Number.isNaN(parsed.getTime())) base = formatUtc(parsed);
+    }
+    return trimmedFraction ? `${base}.${trimmedFraction}` : base;
+}
+
+/**
+ * Convert a value read from either backend to its portable form, so that the
+ * same data yields the same archive rows (and checksums) on SQLite and Postgres
+ */
+function canonicalizeValue(kind, value) {
+    if (value === null || value === undefined) return null;
+    switch (kind) {
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (typeof value === 'number') return value !== 0;
+            return ['1', 't', 'true'].includes(String(value).toLowerCase());
+        case 'integer':
+        case 'real': {
+            if (typeof value === 'number') return value;
+            if (typeof value === 'boolean') return value ? 1 : 0;
+            const number = Number(value);
+            return String(value).trim() !== '' && Number.isFinite(number) ? number : value;
+        }
+        case 'timestamp':
+            return normalizeTimestamp(value);
+        case 'date':
+            if (value instanceof Date) return normalizeTimestamp(value).slice(0, 10);
+            return /^\d{4}-\d{2}-\d{2}/.test(String(value)) ? String(value).slice(0, 10) : String(value);
+        case 'json':
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        default:
+            if (value instanceof Date) return normalizeTimestamp(value);
+            return typeof value === 'string' ? value : String(value);
+    }
+}
+
+// JSON with sorted keys, so Postgres JSONB (which reorders keys) and SQLite text compare equal
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+const checksumValue = (kind, value) => {
+    if (kind !== 'json' || typeof value !== 'string') return value;
+    try {
+        return stableStringify(JSON.parse(value));
+    } catch {
+        return value;
+    }
+};
+
+const compareValues = (a, b) => {
+    if (a === b) return 0;
+    if (a === null) return -1;
+    if (b === null) return 1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    const left = String(a);
+    const right = String(b);
+    return left < right ? -1 : (left > right ? 1 : 0);
+};
+
+/**
+ * Order rows by primary key (or by every column when there is none) so that
+ * checksums do not depend on the order a backend returns rows in
+ */
+function sortRows(columns, primaryKey, rows) {
+    const keyIndexes = (primaryKey.length ? primaryKey : columns.map((column) => column.name))
+        .map((name) => columns.findIndex((column) => column.name === name));
+    return [...rows].sort((a, b) => {
+        for (const index of keyIndexes) {
+            const order = compareValues(a[index], b[index]);
+            if (order !== 0) return order;
+        }
+        return 0;
+    });
+}
+
+/**
+ * SHA-256 over the sorted rows, one JSON array per line
+ */
+function checksumRows(columns, primaryKey, rows) {
+    const hash = crypto.createHash('sha256');
+    for (const row of sortRows(columns, primaryKey, rows)) {
+        hash.update(`${JSON.stringify(row.map((value, index) => checksumValue(columns[index].kind, value)))}\n`);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Order tables so that every table comes after the tables its foreign keys
+ * point to. Self-references are ignored; rows are inserted in key order.
+ */
+function sortTablesByDependencies(tables) {
+    const names = new Set(tables.map((table) => table.name));
+    const byName = new Map(tables.map((table) => [table.name, table]));
+    const ordered = [];
+    const state = new Map();
+
+    const visit = (name, trail) => {
+        if (state.get(name) === 'done') return;
+        if (state.get(name) === 'visiting') {
+            throw new BackupError(`Foreign key cycle between tables: ${[...trail, name].join(' -> ')}`);
+        }
+        state.set(name, 'visiting');
+        for (const parent of byName.get(name).references || []) {
+            if (parent !== name && names.has(parent)) visit(parent, [...trail, name]);
+        }
+        state.set(name, 'done');
+        ordered.push(byName.get(name));
+    };
+
+    for (const table of [...tables].sort((a, b) => a.name.localeCompare(b.name))) {
+        visit(table.name, []);
+    }
+    return ordered;
+}
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+/**
+ * Tables, columns, primary keys and foreign key targets of the connected database
+ */
+async function describeSchema() {
+    const tables = [];
+    if (database.isPg) {
+        const tableRows = await database.all(
+            `SELECT table_name FROM information_schema.tables
+             WHERE table_schema = current_schema() AND table_type = 'BASE TABLE'`
+        );
+        const columnRows = await database.all(
+            `SELECT table_name, column_name, data_type FROM information_schema.columns
+             WHERE table_schema = current_schema() ORDER BY table_name, ordinal_position`
+        );
+        const keyRows = await database.all(
+            `SELECT tc.table_name, kcu.column_name FROM information_schema.table_constraints tc
+             JOIN information_schema.key_column_usage kcu
+               ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = tc.table_schema
+             WHERE tc.constraint_type = 'PRIMARY KEY' AND tc.table_schema = current_schema()
+             ORDER BY tc.table_name, kcu.ordinal_position`
+        );
+        const foreignRows = await database.all(
+            `SELECT DISTINCT tc.table_name, ccu.table_name AS foreign_table FROM information_schema.table_constraints tc
+             JOIN information_schema.constraint_column_usage ccu
+               ON ccu.constraint_name = tc.constraint_name AND ccu.table_schema = tc.table_schema
+             WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = current_schema()`
+        );
+        for (const { table_name: name } of tableRows) {
+            tables.push({
+                name,
+                columns: columnRows
+                    .filter((row) => row.table_name === name)
+                    .map((row) => ({ name: row.column_name, kind: classifyColumnType(row.data_type) })),
+                primary_key: keyRows.filter((row) => row.table_name === name).map((row) => row.column_name),
+                references: foreignRows.filter((row) => row.table_name === name).map((row) => row.foreign_table),
+            });
+        }
+        return tables;
+    }
+
+    const tableRows = await database.all(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+    );
+    for (const { name } of tableRows) {
+        const info = await database.all(`PRAGMA table_info(${quoteIdent(name)})`);
+        const foreign = await database.all(`PRAGMA foreign_key_list(${quoteIdent(name)})`);
+        tables.push({
+            name,
+            columns: info.map((column) => ({ name: column.name, kind: classifyColumnType(column.type) })),
+            primary_key: info.filter((column) => column.pk > 0).sort((a, b) => a.pk - b.pk).map((column) => column.name),
+            references: [...new Set(foreign.map((row) => row.table))],
+        });
+    }
+    return tables;
+}
+
+// Postgres returns timestamps as Date objects in the server's local time; read them as text instead
+const selectExpression = (column) => (
+    database.isPg && ['timestamp', 'date', 'json'].includes(column.kind)
+        ? `CAST(${quoteIdent(column.name)} AS TEXT) AS ${quoteIdent(column.name)}`
+        : quoteIdent(column.name)
+);
+
+/**
+ * All rows of a table as arrays of canonical values, in primary key order
+ */
+async function readTableRows(table, kinds = null) {
+    const rows = await database.all(
+        `SELECT ${table.columns.map(selectExpression).join(', ')} FROM ${quoteIdent(table.name)}`
+    );
+    const canonical = rows.map((row) => table.columns.map((column, index) => (
+        canonicalizeValue(kinds ? kinds[index] : column.kind, row[column.name])
+    )));
+    return sortRows(table.columns, table.primary_key, canonical);
+}
+
+/**
+ * Read every table of the connected database, in dependency order
+ */
+async function dumpDatabase(now = new Date()) {
+    const tables = sortTablesByDependencies(await describeSchema());
+    const summaries = [];
+    for (const table of tables) {
+        const rows = await readTableRows(table);
+        summaries.push({
+            name: table.name,
+            columns: table.columns,
+            primary_key: table.primary_key,
+            row_count: rows.length,
+            checksum: checksumRows(table.columns, table.primary_key, rows),
+            rows,
+        });
+    }
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        created_at: now.toISOString(),
+        source: database.isPg ? 'postgres' : 'sqlite',
+        tables: summaries,
+    };
+}
+
+/**
+ * Serialize a backup as one JSON document, or as NDJSON: a header line
+ * followed by one line per row ({ "t": table, "r": [values] })
+ */
+function serializeBackup(backup, format = 'json') {
+    const header = { ...backup, tables: backup.tables.map(({ rows, ...table }) => table) };
+    if (format === 'ndjson') {
+        const lines = [JSON.stringify(header)];
+        for (const table of backup.tables) {
+            for (const row of table.rows) lines.push(JSON.stringify({ t: table.name, r: row }));
+        }
+        return `${lines.join('\n')}\n`;
+    }
+    return JSON.stringify(backup);
+}
+
+/**
+ * Parse a JSON or NDJSON backup and check its format, version and per-table checksums
+ */
+function parseBackup(content) {
+    const text = String(content).replace(/^\uFEFF/, '').trim();
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch {
+        // Not a single document: NDJSON header line followed by row lines
+        try {
+            const [headerLine, ...rowLines] = text.split('\n');
+            const header = JSON.parse(headerLine);
+            const rowsByTable = new Map((header.tables || []).map((table) => [table.name, []]));
+            rowLines.forEach((line, index) => {
+                if (!line.trim()) return;
+                const entry = JSON.parse(line);
+                if (!rowsByTable.has(entry.t)) {
+                    throw new BackupError(`Line ${index + 2} references unknown table "${entry.t}"`);
+                }
+                rowsByTable.get(entry.t).push(entry.r);
+            });
+            backup = { ...header, tables: (header.tables || []).map((table) => ({ ...table, rows: rowsByTable.get(table.name) })) };
+        } catch (error) {
+            if (error instanceof BackupError) throw error;
+            throw new BackupError(`Backup file is not valid JSON or NDJSON: ${error.message}`);
+        }
+    }
+
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new BackupError(`Not a ${BACKUP_FORMAT} file`);
+    }
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+        throw new BackupError(`Backup version ${backup.version} is not supported (latest: ${BACKUP_VERSION})`);
+    }
+    for (const table of backup.tables || []) {
+        // An NDJSON backup without any rows is a single header line
+        table.rows = table.rows || [];
+        if (!Array.isArray(table.rows) || table.rows.length !== table.row_count) {
+            throw new BackupError(`Table ${table.name}: expected ${table.row_count} rows, found ${table.rows?.length ?? 0}`);
+        }
+        if (checksumRows(table.columns, table.primary_key, table.rows) !== table.checksum) {
+            throw new BackupError(`Table ${table.name}: checksum mismatch, the backup file is damaged`);
+        }
+    }
+    return backup;
+}
+
+/**
+ * Reset Postgres serial sequences after inserting explicit ids
+ */
+async function resetSequences(tx, tables) {
+    for (const table of tables) {
+        const idColumn = table.columns.find((column) => column.name === 'id' && column.kind === 'integer');
+        if (!idColumn) continue;
+        const row = await tx.get('SELECT pg_get_serial_sequence(?, ?) AS seq', [quoteIdent(table.name), 'id']);
+        if (!row?.seq) continue;
+        await tx.get(
+            `SELECT setval(?, COALESCE(MAX(id), 1), MAX(id) IS NOT NULL) FROM ${quoteIdent(table.name)}`,
+            [row.seq]
+        );
+    }
+}
+
+/**
+ * Load a parsed backup into the connected database, keeping ids so that
+ * foreign keys stay valid. The backup's tables must be empty in the target
+ * unless clear is set, in which case their rows are deleted first. Runs in
+ * one transaction.
+ */
+async function restoreBackup(backup, { clear = false } = {}) {
+    const liveTables = await describeSchema();
+    const liveByName = new Map(liveTables.map((table) => [table.name, table]));
+
+    for (const table of backup.tables) {
+        const live = liveByName.get(table.name);
+        if (!live) {
+            throw new BackupError(`Table ${table.name} does not exist in the target database`);
+        }
+        const liveColumns = new Set(live.columns.map((column) => column.name));
+        const missing = table.columns.filter((column) => !liveColumns.has(column.name)).map((column) => column.name);
+        if (missing.length) {
+            throw new BackupError(`Table ${table.name} is missing columns in the target database: ${missing.join(', ')}`);
+        }
+    }
+
+    // Only the backup's tables are checked and cleared: tables it does not know, such as
+    // schema_migrations rows written by the target's own setup, are left alone
+    const backupByName = new Map(backup.tables.map((table) => [table.name, table]));
+    const liveOrder = sortTablesByDependencies(liveTables).filter((table) => backupByName.has(table.name));
+    if (!clear) {
+        const occupied = [];
+        for (const table of liveOrder) {
+            const row = await database.get(`SELECT COUNT(*) AS count FROM ${quoteIdent(table.name)}`);
+            if (Number(row.count) > 0) occupied.push(table.name);
+        }
+        if (occupied.length) {
+            throw new BackupError(`Target database is not empty (${occupied.join(', ')}); restore with --force to replace its data`);
+        }
+    }
+
+    const insertOrder = liveOrder.map((table) => backupByName.get(table.name));
+    const restored = [];
+
+    await database.withTransaction(async (tx) => {
+        // tx.all rather than tx.run: on Postgres tx.run appends RETURNING id to
+        // INSERTs, which tables without an id column reject
+        if (clear) {
+            for (const table of [...liveOrder].reverse()) {
+                await tx.all(`DELETE FROM ${quoteIdent(table.name)}`);
+            }
+        }
+        for (const table of insertOrder) {
+            const columnList = table.columns.map((column) => quoteIdent(column.name)).join(', ');
+            const placeholders = `(${table.columns.map(() => '?').join(', ')})`;
+            const batchSize = Math.max(1, Math.floor(MAX_PARAMS_PER_INSERT / table.columns.length));
+            for (let start = 0; start < table.rows.length; start += batchSize) {
+                const batch = table.rows.slice(start, start + batchSize);
+                await tx.all(
+                    `INSERT INTO ${quoteIdent(table.name)} (${columnList}) VALUES ${batch.map(() => placeholders).join(', ')}`,
+                    batch.flat()
+                );
+            }
+            restored.push({ name: table.name, rows: table.rows.length });
+        }
+        if (database.isPg) {
+            await resetSequences(tx, insertOrder);
+        }
+    });
+
+    return restored;
+}
+
+/**
+ * Compare the connected database with a backup: the same tables, row counts
+ * and checksums. Returns one result per table plus tables only in the database.
+ */
+async function verifyBackup(backup) {
+    const liveTables = await describeSchema();
+    const liveByName = new Map(liveTables.map((table) => [table.name, table]));
+    const results = [];
+
+    for (const table of backup.tables) {
+        const live = liveByName.get(table.name);
+        if (!live) {
+            results.push({ name: table.name, ok: false, problem: 'missing in database' });
+            continue;
+        }
+        const liveColumns = new Map(live.columns.map((column) => [column.name, column]));
+        const missing = table.columns.filter((column) => !liveColumns.has(column.name));
+        if (missing.length) {
+            results.push({ name: table.name, ok: false, problem: `missing columns: ${missing.map((column) => column.name).join(', ')}` });
+            continue;
+        }
+        // Read the backup's columns with the live types (for casting) but canonicalize with the
+        // backup's kinds, treating a column as JSON when either side stores it as JSON
+        const columns = table.columns.map((column) => liveColumns.get(column.name));
+        const kinds = table.columns.map((column, index) => (
+            columns[index].kind === 'json' || column.kind === 'json' ? 'json' : column.kind
+        ));
+        const rows = await readTableRows({ name: table.name, columns, primary_key: table.primary_key }, kinds);
+        const checksum = checksumRows(table.columns.map((column, index) => ({ ...column, kind: kinds[index] })), table.primary_key, rows);
+        const expected = checksumRows(table.columns.map((column, index) => ({ ...column, kind: kinds[index] })), table.primary_key, table.rows);
+        const result = { name: table.name, expected_rows: table.row_count, actual_rows: rows.length, ok: true };
+        if (rows.length !== table.row_count) {
+            result.ok = false;
+            result.problem = 'row count differs';
+        } else if (checksum !== expected) {
+            result.ok = false;
+            result.problem = 'checksum differs';
+        }
+        results.push(result);
+    }
+
+    const backupNames = new Set(backup.tables.map((table) => table.name));
+    const extra = liveTables.filter((table) => !backupNames.has(table.name)).map((table) => table.name);
+    return { ok: results.every((result) => result.ok), tables: results, extra_tables: extra };
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    BackupError,
+    classifyColumnType,
+    normalizeTimestamp,
+    canonicalizeValue,
+    checksumRows,
+    sortTablesByDependencies,
+    describeSchema,
+    dumpDatabase,
+    serializeBackup,
+    parseBackup,
+    restoreBackup,
+    verifyBackup
+};
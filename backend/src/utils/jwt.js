@@ -1,19 +1,23 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 // Use environment variable or default secret (change in production)
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; clients renew them with their refresh token (see utils/sessions.js)
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 /**
- * Generate JWT token for user
+ * Generate JWT access token for user
  * @param {Object} user - User object
+ * @param {number} sessionId - user_sessions row the token belongs to
  * @returns {string} JWT token
  */
-function generateToken(user) {
+function generateToken(user, sessionId) {
     const payload = {
         id: user.id,
         username: user.username,
-        isAdmin: user.is_admin || false
+        isAdmin: user.is_admin || false,
+        sid: sessionId
     };
     
     return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
@@ -49,17 +53,11 @@ function extractTokenFromHeader(authHeader) {
 }
 
 /**
- * Generate refresh token (for future use)
- * @param {Object} user - User object
+ * Generate an opaque refresh token; only its hash is stored, in user_sessions
  * @returns {string} Refresh token
  */
-function generateRefreshToken(user) {
-    const payload = {
-        id: user.id,
-        type: 'refresh'
-    };
-    
-    return jwt.sign(payload, JWT_SECRET, { expiresIn: '30d' });
+function generateRefreshToken() {
+    return crypto.randomBytes(32).toString('base64url');
 }
 
 module.exports = {
@@ -67,6 +65,7 @@ module.exports = {
     verifyToken,
     extractTokenFromHeader,
     generateRefreshToken,
-    JWT_SECRET
+    JWT_SECRET,
+    JWT_EXPIRES_IN
 };
 
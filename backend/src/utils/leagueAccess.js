@@ -0,0 +1,33 @@
+const database = require('../models/database');
+
+/**
+ * Load an active league and check that the (optional) user may view it.
+ * Public leagues are visible to everyone; private leagues to members and site admins.
+ * @returns {Promise<{league?: Object, status?: number, error?: string}>}
+ */
+async function getVisibleLeague(user, leagueId) {
+    const league = await database.get(
+        'SELECT id, name, is_public, season, elo_update_mode FROM leagues WHERE id = ? AND is_active = ?',
+        [leagueId, true]
+    );
+    if (!league) {
+        return { status: 404, error: 'League not found' };
+    }
+    if (!league.is_public) {
+        if (!user) {
+            return { status: 403, error: 'Access denied to private league' };
+        }
+        const membership = await database.get(
+            'SELECT id FROM league_roster WHERE league_id = ? AND user_id = ?',
+            [leagueId, user.id]
+        );
+        if (!membership && !user.is_admin) {
+            return { status: 403, error: 'Access denied to private league' };
+        }
+    }
+    return { league };
+}
+
+module.exports = {
+    getVisibleLeague
+};
@@ -0,0 +1,312 @@
+/**
+ * Weekly league digest
+ *
+ * Summarizes one week of a league (Monday 00:00 UTC to the next Monday, like
+ * weekly consolidation): matches played, the biggest rating movers, upsets,
+ * new members and leaderboard changes. The `weekly_digest` job sends the
+ * finished week to every member as a notification (and email, see
+ * utils/notifications.js) once; league pages show the running week from the
+ * same summary.
+ *
+ * Ratings at a point in time are derived from the current rating minus the
+ * elo_history changes recorded since, so matches, consolidations and season
+ * resets all count.
+ */
+
+const database = require('../models/database');
+const { getPeriodStart } = require('./consolidation');
+const { calculateExpectedScore } = require('./eloCalculator');
+const { createNotification } = require('./notifications');
+const { buildDigestEmail } = require('./accountEmails');
+const { isUniqueViolation } = require('./idempotency');
+const { toTimestamp } = require('./timestamps');
+
+// A win counts as an upset when the winner's expected score was below this
+const UPSET_EXPECTED_SCORE = 0.35;
+const TOP_MOVERS = 3;
+const MAX_UPSETS = 3;
+// Leaderboard changes are reported for this many places
+const LEADERBOARD_PLACES = 10;
+
+const WEEK_MS = 7 * 24 * 3600 * 1000;
+
+/**
+ * The last finished week before `now`: { start, end } (end exclusive)
+ */
+function getDigestWeek(now = new Date()) {
+    const end = getPeriodStart('weekly', now);
+    return { start: new Date(end.getTime() - WEEK_MS), end };
+}
+
+/**
+ * The running week up to `now`
+ */
+function getCurrentWeek(now = new Date()) {
+    return { start: getPeriodStart('weekly', now), end: now };
+}
+
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change}`;
+
+// Places on the leaderboard at a point in time, by roster id
+function rankAt(roster, ratings, time) {
+    const ranked = roster
+        .filter((entry) => entry.is_participating && String(entry.joined_at) < time)
+        .sort((a, b) => ratings.get(b.id) - ratings.get(a.id) || a.id - b.id);
+    return new Map(ranked.map((entry, index) => [entry.id, index + 1]));
+}
+
+/**
+ * Digest of one week from loaded rows (see loadLeagueDigest for the columns)
+ * @param {Object} rows
+ * @param {Array} rows.roster - League roster with current ratings
+ * @param {Array} rows.matches - Accepted matches played in the week
+ * @param {Array} rows.history - elo_history rows recorded since the week started
+ * @param {{start: Date, end: Date}} week
+ */
+function buildDigest({ roster, matches, history }, { start, end }) {
+    const startTs = toTimestamp(start);
+    const endTs = toTimestamp(end);
+    const rosterById = new Map(roster.map((entry) => [entry.id, entry]));
+    const nameOf = (rosterId) => rosterById.get(rosterId)?.display_name || null;
+
+    const changeSince = new Map();
+    const weekChange = new Map();
+    for (const row of history) {
+        changeSince.set(row.roster_id, (changeSince.get(row.roster_id) || 0) + Number(row.elo_change));
+        if (String(row.recorded_at) < endTs) {
+            weekChange.set(row.roster_id, (weekChange.get(row.roster_id) || 0) + Number(row.elo_change));
+        }
+    }
+    const ratingsAtStart = new Map();
+    const ratingsAtEnd = new Map();
+    for (const entry of roster) {
+        const sinceStart = changeSince.get(entry.id) || 0;
+        const sinceEnd = sinceStart - (weekChange.get(entry.id) || 0);
+        ratingsAtStart.set(entry.id, entry.current_elo - sinceStart);
+        ratingsAtEnd.set(entry.id, entry.current_elo - sinceEnd);
+    }
+
+    const topMovers = Array.from(weekChange.entries())
+        .filter(([rosterId, change]) => change !== 0 && rosterById.has(rosterId))
+        .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]) || b[1] - a[1])
+        .slice(0, TOP_MOVERS)
+        .map(([rosterId, change]) => ({
+            roster_id: rosterId,
+            display_name: nameOf(rosterId),
+            elo_change: change,
+            elo_after: ratingsAtEnd.get(rosterId)
+        }));
+
+    const upsets = [];
+    for (const match of matches) {
+        if (match.is_doubles || !match.winner_roster_id
+            || match.player1_elo_before == null || match.player2_elo_before == null) continue;
+        const player1Won = match.winner_roster_id === match.player1_roster_id;
+        const winner = player1Won
+            ? { roster_id: match.player1_roster_id, elo: match.player1_elo_before }
+            : { roster_id: match.player2_roster_id, elo: match.player2_elo_before };
+        const loser = player1Won
+            ? { roster_id: match.player2_roster_id, elo: match.player2_elo_before }
+            : { roster_id: match.player1_roster_id, elo: match.player1_elo_before };
+        const expectedScore = calculateExpectedScore(winner.elo, loser.elo);
+        if (expectedScore < UPSET_EXPECTED_SCORE) {
+            upsets.push({
+                match_id: match.id,
+                winner_roster_id: winner.roster_id,
+                winner_name: nameOf(winner.roster_id),
+                winner_elo: winner.elo,
+                loser_roster_id: loser.roster_id,
+                loser_name: nameOf(loser.roster_id),
+                loser_elo: loser.elo,
+                expected_score: Math.round(expectedScore * 100) / 100
+            });
+        }
+    }
+    upsets.sort((a, b) => a.expected_score - b.expected_score);
+
+    const newMembers = roster
+        .filter((entry) => String(entry.joined_at) >= startTs && String(entry.joined_at) < endTs)
+        .map((entry) => ({ roster_id: entry.id, display_name: entry.display_name }));
+
+    const ranksBefore = rankAt(roster, ratingsAtStart, startTs);
+    const ranksAfter = rankAt(roster, ratingsAtEnd, endTs);
+    const leaderboardChanges = Array.from(ranksAfter.entries())
+        .filter(([rosterId, rank]) => rank <= LEADERBOARD_PLACES && ranksBefore.get(rosterId) !== rank)
+        .map(([rosterId, rank]) => ({
+            roster_id: rosterId,
+            display_name: nameOf(rosterId),
+            rank_before: ranksBefore.get(rosterId) ?? null,
+            rank_after: rank
+        }));
+    const leaderId = Array.from(ranksAfter.entries()).find(([, rank]) => rank === 1)?.[0];
+
+    return {
+        week_start: startTs,
+        week_end: endTs,
+        matches_played: matches.length,
+        active_players: new Set(matches.flatMap((match) => [
+            match.player1_roster_id, match.player2_roster_id,
+            match.player1_partner_roster_id, match.player2_partner_roster_id
+        ].filter(Boolean))).size,
+        top_movers: topMovers,
+        upsets: upsets.slice(0, MAX_UPSETS),
+        new_members: newMembers,
+        leaderboard_changes: leaderboardChanges,
+        leader: leaderId
+            ? { roster_id: leaderId, display_name: nameOf(leaderId), elo: ratingsAtEnd.get(leaderId) }
+            : null
+    };
+}
+
+/**
+ * Whether nothing happened in the digest's week
+ */
+function isDigestEmpty(digest) {
+    return digest.matches_played === 0 && digest.new_members.length === 0 && digest.top_movers.length === 0;
+}
+
+/**
+ * One line per section of a digest, for notifications and emails
+ */
+function buildDigestLines(digest) {
+    const lines = [];
+    const matches = `${digest.matches_played} match${digest.matches_played === 1 ? '' : 'es'}`;
+    lines.push(digest.matches_played > 0
+        ? `${matches} played by ${digest.active_players} player${digest.active_players === 1 ? '' : 's'}.`
+        : 'No matches played.');
+    if (digest.top_movers.length > 0) {
+        lines.push(`Biggest movers: ${digest.top_movers.map((mover) => `${mover.display_name} ${formatChange(mover.elo_change)}`).join(', ')}.`);
+    }
+    if (digest.upsets.length > 0) {
+        lines.push(`Upsets: ${digest.upsets.map((upset) => `${upset.winner_name} beat ${upset.loser_name} (${Math.round(upset.expected_score * 100)}% chance)`).join(', ')}.`);
+    }
+    if (digest.new_members.length > 0) {
+        lines.push(`New members: ${digest.new_members.map((member) => member.display_name).join(', ')}.`);
+    }
+    if (digest.leaderboard_changes.length > 0) {
+        lines.push(`Leaderboard: ${digest.leaderboard_changes.map((change) => (change.rank_before
+            ? `${change.display_name} #${change.rank_before} → #${change.rank_after}`
+            : `${change.display_name} new at #${change.rank_after}`)).join(', ')}.`);
+    }
+    return lines;
+}
+
+/**
+ * Digest of one week of a league
+ * @param {number} leagueId
+ * @param {{start: Date, end: Date}} week
+ * @param {Object} [db] - database or a withTransaction tx
+ */
+async function loadLeagueDigest(leagueId, week, db = database) {
+    const startTs = toTimestamp(week.start);
+    const endTs = toTimestamp(week.end);
+    const roster = await db.all(
+        `SELECT id, user_id, display_name, current_elo, is_participating, CAST(joined_at AS TEXT) as joined_at
+         FROM league_roster WHERE league_id = ?`,
+        [leagueId]
+    );
+    const matches = await db.all(
+        `SELECT id, is_doubles, player1_roster_id, player2_roster_id, player1_partner_roster_id, player2_partner_roster_id,
+                winner_roster_id, player1_elo_before, player2_elo_before
+         FROM matches
+         WHERE league_id = ? AND is_accepted = ? AND played_at >= ? AND played_at < ?
+         ORDER BY played_at ASC, id ASC`,
+        [leagueId, true, startTs, endTs]
+    );
+    const history = await db.all(
+        `SELECT roster_id, elo_change, CAST(recorded_at AS TEXT) as recorded_at
+         FROM elo_history WHERE league_id = ? AND roster_id IS NOT NULL AND recorded_at >= ?`,
+        [leagueId, startTs]
+    );
+    return buildDigest({ roster, matches, history }, week);
+}
+
+/**
+ * Send one league's digest for a finished week to its members, once
+ * @returns {Promise<Object|null>} { status, recipients }, or null when it was already sent
+ */
+async function sendLeagueDigest(league, week, triggeredVia) {
+    const weekStart = toTimestamp(week.start);
+    return database.withTransaction(async (tx) => {
+        const sent = await tx.get(
+            'SELECT id FROM league_digests WHERE league_id = ? AND week_start = ?',
+            [league.id, weekStart]
+        );
+        if (sent) return null;
+
+        const digest = await loadLeagueDigest(league.id, week, tx);
+        const empty = isDigestEmpty(digest);
+        const members = empty ? [] : await tx.all(
+            `SELECT u.id, u.username, u.first_name
+             FROM league_roster lr JOIN users u ON lr.user_id = u.id
+             WHERE lr.league_id = ?`,
+            [league.id]
+        );
+        // Claimed first, so a second run of the same week fails here and sends nothing
+        await tx.run(
+            `INSERT INTO league_digests (league_id, week_start, triggered_via, matches_played, recipients, summary)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [league.id, weekStart, triggeredVia, digest.matches_played, members.length, JSON.stringify(digest)]
+        );
+
+        const lines = buildDigestLines(digest);
+        const title = `Your week in ${league.name}`;
+        for (const member of members) {
+            await createNotification(tx, {
+                user_id: member.id,
+                type: 'weekly_digest',
+                title,
+                message: lines.join(' '),
+                related_id: league.id,
+                email: buildDigestEmail({ user: member, leagueId: league.id, leagueName: league.name, lines })
+            });
+        }
+        return { status: empty ? 'empty' : 'sent', recipients: members.length };
+    });
+}
+
+/**
+ * Send the digest of the last finished week for every active league
+ *
+ * Safe to call as often as wanted: each league and week is sent once
+ * (league_digests), quiet weeks are recorded without notifying anyone, and a
+ * failing league is logged without stopping the others.
+ * @param {Object} options
+ * @param {string} options.triggeredVia - 'scheduler', 'cron' or 'cli'
+ * @param {Date} [options.now]
+ * @returns {Promise<Array<Object>>} One { league_id, status, recipients?, error? } per league handled in this run
+ */
+async function runWeeklyDigests({ triggeredVia, now = new Date() }) {
+    const week = getDigestWeek(now);
+    const leagues = await database.all(
+        `SELECT id, name FROM leagues
+         WHERE is_active = ? AND created_at < ?
+           AND id NOT IN (SELECT league_id FROM league_digests WHERE week_start = ?)
+         ORDER BY id ASC`,
+        [true, toTimestamp(week.end), toTimestamp(week.start)]
+    );
+
+    const results = [];
+    for (const league of leagues) {
+        try {
+            const outcome = await sendLeagueDigest(league, week, triggeredVia);
+            if (outcome) results.push({ league_id: league.id, ...outcome });
+        } catch (error) {
+            if (isUniqueViolation(error)) continue;
+            console.error(`Weekly digest of league ${league.id} failed:`, error);
+            results.push({ league_id: league.id, status: 'failed', error: error.message });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    UPSET_EXPECTED_SCORE,
+    getDigestWeek,
+    getCurrentWeek,
+    buildDigest,
+    isDigestEmpty,
+    buildDigestLines,
+    loadLeagueDigest,
+    runWeeklyDigests
+};
@@ -0,0 +1,368 @@
+/**
+ * League data export
+ *
+ * loadLeagueExportData() reads everything a league export needs in one pass; the
+ * pure builders below turn it into:
+ * - datasets (matches, leaderboard, elo_history, badges) for CSV files or one JSON document
+ * - the archive: league settings, roster, seasons (with final standings) and accepted
+ *   matches in the import row format, which the match import restores into another league
+ *
+ * Players are referred to by name throughout. Every roster entry gets a unique name
+ * (see assignRosterNames) so exported matches resolve to the same players on import.
+ */
+
+const database = require('../models/database');
+const { parseRatingConfig } = require('./ratingConfig');
+
+const EXPORT_DATASETS = ['matches', 'leaderboard', 'elo_history', 'badges'];
+const EXPORT_FORMATS = ['json', 'csv', 'archive'];
+const ARCHIVE_FORMAT = 'tt-leagues-archive';
+const ARCHIVE_VERSION = 1;
+
+// Column order of each CSV dataset; the matches columns up to `sets` are the import columns
+const CSV_COLUMNS = {
+    matches: [
+        'played_at', 'player1', 'player1_partner', 'player2', 'player2_partner', 'game_type', 'sets',
+        'player1_sets_won', 'player2_sets_won', 'winner', 'season',
+        'player1_elo_before', 'player1_elo_after', 'player2_elo_before', 'player2_elo_after'
+    ],
+    leaderboard: [
+        'rank', 'player', 'username', 'current_elo', 'rating_deviation', 'doubles_elo',
+        'matches_played', 'matches_won', 'matches_lost', 'win_rate'
+    ],
+    elo_history: ['player', 'recorded_at', 'elo_before', 'elo_after', 'elo_change', 'opponent', 'match_played_at'],
+    badges: ['player', 'username', 'badge', 'badge_type', 'season', 'earned_at']
+};
+
+/**
+ * Serialize rows as CSV (RFC 4180 quoting)
+ * Text that a spreadsheet would run as a formula is prefixed with an apostrophe.
+ * @param {Array<string>} columns - Keys, written as the header row
+ * @param {Array<Object>} rows
+ */
+function toCsv(columns, rows) {
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((values) => values.map(cell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Unique name per roster entry: display name (or username), with "#<id>" appended
+ * when several entries would share it
+ * @returns {Map<number, string>} roster ID -> name
+ */
+function assignRosterNames(roster) {
+    const baseName = (entry) => (entry.display_name || entry.username || 'Player').trim();
+    const counts = new Map();
+    for (const entry of roster) {
+        const key = baseName(entry).toLowerCase();
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return new Map(roster.map((entry) => {
+        const name = baseName(entry);
+        return [entry.id, counts.get(name.toLowerCase()) > 1 ? `${name} #${entry.id}` : name];
+    }));
+}
+
+const groupBy = (rows, key) => {
+    const groups = new Map();
+    for (const row of rows) {
+        if (!groups.has(row[key])) groups.set(row[key], []);
+        groups.get(row[key]).push(row);
+    }
+    return groups;
+};
+
+/**
+ * Match records in played order, with sets as [player1, player2] score pairs
+ */
+function buildMatchRecords(data, names) {
+    const setsByMatch = groupBy(data.sets, 'match_id');
+    const seasonNames = new Map(data.seasons.map((season) => [season.id, season.name]));
+    const nameOf = (rosterId) => (rosterId ? names.get(rosterId) || null : null);
+
+    return data.matches.map((match) => ({
+        id: match.id,
+        played_at: match.played_at,
+        player1: nameOf(match.player1_roster_id),
+        player1_partner: match.is_doubles ? nameOf(match.player1_partner_roster_id) : null,
+        player2: nameOf(match.player2_roster_id),
+        player2_partner: match.is_doubles ? nameOf(match.player2_partner_roster_id) : null,
+        game_type: match.game_type,
+        sets: (setsByMatch.get(match.id) || []).map((set) => [set.player1_score, set.player2_score]),
+        player1_sets_won: match.player1_sets_won,
+        player2_sets_won: match.player2_sets_won,
+        winner: nameOf(match.winner_roster_id),
+        season: seasonNames.get(match.season_id) || null,
+        player1_elo_before: match.player1_elo_before,
+        player1_elo_after: match.player1_elo_after,
+        player2_elo_before: match.player2_elo_before,
+        player2_elo_after: match.player2_elo_after
+    }));
+}
+
+/**
+ * Leaderboard of participating roster entries with their accepted singles record
+ */
+function buildLeaderboard(data, names) {
+    const records = new Map();
+    for (const match of data.matches) {
+        if (match.is_doubles) continue;
+        for (const rosterId of [match.player1_roster_id, match.player2_roster_id]) {
+            const record = records.get(rosterId) || { played: 0, won: 0 };
+            record.played += 1;
+            if (match.winner_roster_id === rosterId) record.won += 1;
+            records.set(rosterId, record);
+        }
+    }
+
+    return data.roster
+        .filter((entry) => entry.is_participating !== false && entry.is_participating !== 0)
+        .sort((a, b) => b.current_elo - a.current_elo || a.id - b.id)
+        .map((entry, index) => {
+            const record = records.get(entry.id) || { played: 0, won: 0 };
+            return {
+                rank: index + 1,
+                player: names.get(entry.id),
+                username: entry.username || null,
+                current_elo: entry.current_elo,
+                rating_deviation: entry.rating_deviation ?? null,
+                doubles_elo: entry.doubles_elo ?? null,
+                matches_played: record.played,
+                matches_won: record.won,
+                matches_lost: record.played - record.won,
+                win_rate: record.played > 0 ? Math.round((record.won / record.played) * 100) : 0
+            };
+        });
+}
+
+/**
+ * Per-roster rating history, with the opponent of each match
+ */
+function buildEloHistory(data, names) {
+    const matches = new Map(data.matches.map((match) => [match.id, match]));
+    return data.eloHistory.map((row) => {
+        const match = matches.get(row.match_id);
+        const opponentId = match
+            ? (match.player1_roster_id === row.roster_id ? match.player2_roster_id : match.player1_roster_id)
+            : null;
+        return {
+            player: names.get(row.roster_id) || null,
+            recorded_at: row.recorded_at,
+            elo_before: row.elo_before,
+            elo_after: row.elo_after,
+            elo_change: row.elo_change,
+            opponent: opponentId ? names.get(opponentId) || null : null,
+            match_played_at: match ? match.played_at : null
+        };
+    });
+}
+
+function buildBadges(data, names) {
+    const rosterByUser = new Map(data.roster.filter((entry) => entry.user_id).map((entry) => [entry.user_id, entry.id]));
+    return data.badges.map((row) => ({
+        player: names.get(rosterByUser.get(row.user_id)) || row.username,
+        username: row.username,
+        badge: row.badge_name,
+        badge_type: row.badge_type,
+        season: row.season || null,
+        earned_at: row.earned_at
+    }));
+}
+
+/**
+ * All export datasets of a league
+ * @param {Object} data - Result of loadLeagueExportData()
+ * @returns {Object} { matches, leaderboard, elo_history, badges }
+ */
+function buildExportDatasets(data) {
+    const names = assignRosterNames(data.roster);
+    return {
+        matches: buildMatchRecords(data, names),
+        leaderboard: buildLeaderboard(data, names),
+        elo_history: buildEloHistory(data, names),
+        badges: buildBadges(data, names)
+    };
+}
+
+/**
+ * Rows of one dataset shaped for CSV (sets as "11-7 9-11")
+ */
+function toCsvRows(dataset, rows) {
+    if (dataset !== 'matches') return rows;
+    return rows.map((row) => ({
+        ...row,
+        sets: row.sets.map(([player1, player2]) => `${player1}-${player2}`).join(' ')
+    }));
+}
+
+const leagueSummary = (league) => ({
+    id: league.id,
+    name: league.name,
+    description: league.description || null,
+    season: league.season || null
+});
+
+/**
+ * The league as one JSON document
+ */
+function buildExportDocument(data, now = new Date()) {
+    return {
+        exported_at: now.toISOString(),
+        league: leagueSummary(data.league),
+        ...buildExportDatasets(data)
+    };
+}
+
+/**
+ * Full archive of a league, importable into another league (see matchImport)
+ */
+function buildArchive(data, now = new Date()) {
+    const names = assignRosterNames(data.roster);
+    const standings = groupBy(data.standings, 'season_id');
+    const { league } = data;
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exported_at: now.toISOString(),
+        league: {
+            ...leagueSummary(league),
+            is_public: Boolean(league.is_public),
+            elo_update_mode: league.elo_update_mode || 'immediate',
+            rating_engine: league.rating_engine || 'elo',
+            rating_config: parseRatingConfig(league.rating_config),
+            result_confirmation: league.result_confirmation || 'admin',
+            confirmation_timeout_hours: league.confirmation_timeout_hours
+        },
+        roster: data.roster.map((entry) => ({
+            name: names.get(entry.id),
+            display_name: entry.display_name || null,
+            username: entry.username || null,
+            is_admin: Boolean(entry.is_admin),
+            is_participating: entry.is_participating !== false && entry.is_participating !== 0,
+            current_elo: entry.current_elo,
+            doubles_elo: entry.doubles_elo ?? null
+        })),
+        seasons: data.seasons.map((season) => ({
+            name: season.name,
+            status: season.status,
+            start_date: season.start_date,
+            end_date: season.end_date || null,
+            rating_reset: season.rating_reset,
+            reset_factor: season.reset_factor ?? null,
+            closed_at: season.closed_at || null,
+            champion: season.champion_roster_id ? names.get(season.champion_roster_id) || null : null,
+            standings: (standings.get(season.id) || []).map((row) => ({
+                player: row.roster_id ? names.get(row.roster_id) || row.display_name : row.display_name,
+                final_rank: row.final_rank,
+                final_elo: row.final_elo,
+                matches_played: row.matches_played,
+                matches_won: row.matches_won
+            }))
+        })),
+        matches: buildMatchRecords(data, names).map(({ id, ...match }) => match)
+    };
+}
+
+/**
+ * Read a league's export data (accepted matches only)
+ * @param {number} leagueId - League ID
+ * @returns {Promise<Object|null>} null when the league does not exist
+ */
+async function loadLeagueExportData(leagueId) {
+    const league = await database.get(
+        `SELECT id, name, description, is_public, season, elo_update_mode, rating_engine, rating_config,
+                result_confirmation, confirmation_timeout_hours
+         FROM leagues WHERE id = ?`,
+        [leagueId]
+    );
+    if (!league) return null;
+
+    const [roster, seasons, standings, matches, sets, eloHistory, badges] = await Promise.all([
+        database.all(
+            `SELECT lr.id, lr.user_id, lr.display_name, u.username, lr.current_elo, lr.rating_deviation,
+                    lr.doubles_elo, lr.is_admin, lr.is_participating
+             FROM league_roster lr
+             LEFT JOIN users u ON lr.user_id = u.id
+             WHERE lr.league_id = ?
+             ORDER BY lr.id ASC`,
+            [leagueId]
+        ),
+        database.all(
+            `SELECT id, name, status, CAST(start_date AS TEXT) as start_date, CAST(end_date AS TEXT) as end_date,
+                    rating_reset, reset_factor, champion_roster_id, CAST(closed_at AS TEXT) as closed_at
+             FROM seasons WHERE league_id = ? ORDER BY id ASC`,
+            [leagueId]
+        ),
+        database.all(
+            `SELECT ss.season_id, ss.roster_id, ss.display_name, ss.final_rank, ss.final_elo,
+                    ss.matches_played, ss.matches_won
+             FROM season_standings ss
+             JOIN seasons s ON ss.season_id = s.id
+             WHERE s.league_id = ?
+             ORDER BY ss.season_id ASC, ss.final_rank ASC`,
+            [leagueId]
+        ),
+        database.all(
+            `SELECT id, CAST(played_at AS TEXT) as played_at, player1_roster_id, player2_roster_id,
+                    player1_partner_roster_id, player2_partner_roster_id, is_doubles, winner_roster_id,
+                    game_type, player1_sets_won, player2_sets_won,
+                    player1_elo_before, player1_elo_after, player2_elo_before, player2_elo_after, season_id
+             FROM matches
+             WHERE league_id = ? AND is_accepted = ?
+             ORDER BY played_at ASC, id ASC`,
+            [leagueId, true]
+        ),
+        database.all(
+            `SELECT ms.match_id, ms.set_number, ms.player1_score, ms.player2_score
+             FROM match_sets ms
+             JOIN matches m ON ms.match_id = m.id
+             WHERE m.league_id = ? AND m.is_accepted = ?
+             ORDER BY ms.match_id ASC, ms.set_number ASC`,
+            [leagueId, true]
+        ),
+        database.all(
+            `SELECT roster_id, match_id, elo_before, elo_after, elo_change, CAST(recorded_at AS TEXT) as recorded_at
+             FROM elo_history
+             WHERE league_id = ? AND roster_id IS NOT NULL
+             ORDER BY roster_id ASC, recorded_at ASC, id ASC`,
+            [leagueId]
+        ),
+        database.all(
+            `SELECT ub.user_id, u.username, b.name as badge_name, b.badge_type, ub.season,
+                    CAST(ub.earned_at AS TEXT) as earned_at
+             FROM user_badges ub
+             JOIN badges b ON ub.badge_id = b.id
+             JOIN users u ON ub.user_id = u.id
+             WHERE ub.league_id = ?
+             ORDER BY ub.earned_at ASC, ub.id ASC`,
+            [leagueId]
+        )
+    ]);
+
+    return { league, roster, seasons, standings, matches, sets, eloHistory, badges };
+}
+
+module.exports = {
+    EXPORT_DATASETS,
+    EXPORT_FORMATS,
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    CSV_COLUMNS,
+    toCsv,
+    assignRosterNames,
+    buildExportDatasets,
+    toCsvRows,
+    buildExportDocument,
+    buildArchive,
+    loadLeagueExportData
+};
@@ -1,6 +1,7 @@
 const database = require('../models/database');
+const { publishToLeague } = require('./realtime');
 
-const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_VERSION = 2;
 
 const parseSnapshotPayload = (payload) => {
     if (payload == null) return null;
@@ -50,11 +51,13 @@ async function saveLeagueSnapshot(leagueId, payload) {
     await database.run(sql, params);
 }
 
+// Standings changed: the snapshot is rebuilt on the next read, and clients watching the league refetch
 async function markLeagueSnapshotDirty(leagueId) {
     await database.run(
         'UPDATE league_snapshots SET dirty = ?, updated_at = CURRENT_TIMESTAMP WHERE league_id = ?',
         [true, leagueId]
     );
+    publishToLeague(leagueId, 'league_updated');
 }
 
 module.exports = {
@@ -0,0 +1,270 @@
+/**
+ * Sign-in protection kept in the database, so it holds on serverless too
+ *
+ * Failed password and two-factor attempts are counted per username in
+ * failed_login_attempts. After a couple of free tries each further attempt
+ * has to wait longer (1 s, 2 s, 4 s, ...), and reaching the threshold blocks
+ * sign-in for LOGIN_LOCKOUT_MINUTES, doubling with every further lockout on
+ * the same day. Unknown usernames are tracked the same way, so the responses
+ * do not reveal which accounts exist. A successful sign-in clears the record.
+ *
+ * Successful sign-ins are matched against the devices the user signed in
+ * from before (user_devices). The user is notified about lockouts and
+ * sign-ins from new devices on their notification channels (utils/notifications.js).
+ */
+
+const crypto = require('crypto');
+const database = require('../models/database');
+const { describeUserAgent } = require('./sessions');
+const { buildAccountLockedEmail, buildNewSignInEmail } = require('./accountEmails');
+const { createNotification } = require('./notifications');
+const { toTimestamp } = require('./timestamps');
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+// Failures allowed before attempts start to be delayed
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_SECONDS = 60;
+// Failures and lockouts are forgotten after this long without a new failure
+const FAILURE_MEMORY_HOURS = 24;
+
+class LoginBlockedError extends Error {
+    constructor(message, code, retryAfter) {
+        super(message);
+        this.name = 'LoginBlockedError';
+        this.code = code;
+        this.status = 429;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Stored timestamps are UTC; Postgres hands them back as Date objects
+function parseTimestamp(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    return new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
+const addSeconds = (date, seconds) => new Date(date.getTime() + seconds * 1000);
+
+// Usernames are tracked as typed; longer input than any username could be is cut to the column size
+const usernameKey = (username) => String(username).slice(0, 100);
+
+/**
+ * Seconds an attempt has to wait after the given number of consecutive failures
+ */
+function loginDelaySeconds(failures) {
+    if (failures <= FREE_ATTEMPTS) return 0;
+    return Math.min(2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Length of the nth lockout within FAILURE_MEMORY_HOURS
+ */
+function lockoutMinutes(lockCount) {
+    return Math.min(LOCKOUT_MINUTES * 2 ** Math.max(lockCount - 1, 0), MAX_LOCKOUT_MINUTES);
+}
+
+/**
+ * Whether an attempt may go ahead given a failed_login_attempts row (or none).
+ * Returns null, or { code, retry_after } when it has to wait.
+ */
+function evaluateLoginRecord(record, now = new Date()) {
+    if (!record) return null;
+    const lockedUntil = parseTimestamp(record.locked_until);
+    if (lockedUntil && lockedUntil > now) {
+        return { code: 'ACCOUNT_LOCKED', retry_after: Math.ceil((lockedUntil - now) / 1000) };
+    }
+    const lastFailed = parseTimestamp(record.last_failed_at);
+    if (!lastFailed || lastFailed < addSeconds(now, -FAILURE_MEMORY_HOURS * 3600)) return null;
+    const wait = addSeconds(lastFailed, loginDelaySeconds(Number(record.attempt_count))) - now;
+    if (wait > 0) {
+        return { code: 'LOGIN_THROTTLED', retry_after: Math.ceil(wait / 1000) };
+    }
+    return null;
+}
+
+function blockedError({ code, retry_after: retryAfter }) {
+    const message = code === 'ACCOUNT_LOCKED'
+        ? `Too many failed sign-in attempts. Signing in is blocked for ${Math.ceil(retryAfter / 60)} more minute(s).`
+        : `Too many failed sign-in attempts. Please wait ${retryAfter} second(s) before trying again.`;
+    return new LoginBlockedError(message, code, retryAfter);
+}
+
+/**
+ * Throw LoginBlockedError when the username is locked or has to wait
+ */
+async function assertLoginAllowed(username, now = new Date()) {
+    const record = await database.get(
+        'SELECT attempt_count, last_failed_at, locked_until FROM failed_login_attempts WHERE username = ?',
+        [usernameKey(username)]
+    );
+    const blocked = evaluateLoginRecord(record, now);
+    if (blocked) throw blockedError(blocked);
+}
+
+/**
+ * Count a failed attempt (wrong password or second factor). `user` is the
+ * account the username belongs to, if any. When this failure locks the
+ * username, the user is notified and LoginBlockedError is thrown.
+ */
+async function recordFailedLogin(username, { user = null, ip_address = null, language = 'en' } = {}, now = new Date()) {
+    const key = usernameKey(username);
+    const nowTs = toTimestamp(now);
+    const memoryCutoff = toTimestamp(addSeconds(now, -FAILURE_MEMORY_HOURS * 3600));
+
+    await database.run(
+        'DELETE FROM failed_login_attempts WHERE last_failed_at < ? AND (locked_until IS NULL OR locked_until < ?)',
+        [memoryCutoff, nowTs]
+    );
+    await database.run(
+        `INSERT INTO failed_login_attempts (username, user_id, attempt_count, lock_count, last_failed_at, last_ip_address, created_at, updated_at)
+         VALUES (?, ?, 1, 0, ?, ?, ?, ?)
+         ON CONFLICT(username) DO UPDATE SET
+            attempt_count = CASE WHEN failed_login_attempts.last_failed_at > ? THEN failed_login_attempts.attempt_count + 1 ELSE 1 END,
+            lock_count = CASE WHEN failed_login_attempts.last_failed_at > ? THEN failed_login_attempts.lock_count ELSE 0 END,
+            user_id = excluded.user_id,
+            last_failed_at = excluded.last_failed_at,
+            last_ip_address = excluded.last_ip_address,
+            updated_at = excluded.updated_at`,
+        [key, user?.id || null, nowTs, ip_address, nowTs, nowTs, memoryCutoff, memoryCutoff]
+    );
+
+    const record = await database.get(
+        'SELECT attempt_count, lock_count FROM failed_login_attempts WHERE username = ?',
+        [key]
+    );
+    if (!record || Number(record.attempt_count) < LOCKOUT_THRESHOLD) return;
+
+    const lockCount = Number(record.lock_count) + 1;
+    const minutes = lockoutMinutes(lockCount);
+    const lockedUntil = addSeconds(now, minutes * 60);
+    // Only the request that crosses the threshold locks (and notifies)
+    const result = await database.run(
+        `UPDATE failed_login_attempts SET attempt_count = 0, lock_count = ?, locked_until = ?, updated_at = ?
+         WHERE username = ? AND attempt_count >= ?`,
+        [lockCount, toTimestamp(lockedUntil), nowTs, key, LOCKOUT_THRESHOLD]
+    );
+    if (result.changes === 1 && user) {
+        await createNotification(database, {
+            user_id: user.id,
+            type: 'account_locked',
+            title: 'Sign-in temporarily blocked',
+            message: `After ${LOCKOUT_THRESHOLD} failed sign-in attempts${ip_address ? ` (the last from ${ip_address})` : ''}, signing in to your account is blocked for ${minutes} minutes. If this was not you, consider changing your password.`,
+            email: buildAccountLockedEmail({ user, minutes, ip: ip_address, language })
+        });
+    }
+    throw blockedError({ code: 'ACCOUNT_LOCKED', retry_after: minutes * 60 });
+}
+
+/**
+ * Forget the failed attempts of a username after a successful sign-in
+ */
+async function clearFailedLogins(username) {
+    await database.run('DELETE FROM failed_login_attempts WHERE username = ?', [usernameKey(username)]);
+}
+
+/**
+ * Hash identifying a device: the id the client keeps in local storage, or
+ * else browser and operating system from the User-Agent
+ */
+function deviceFingerprint({ device_id: deviceId = null, user_agent: userAgent = null } = {}) {
+    let key;
+    if (typeof deviceId === 'string' && /^[A-Za-z0-9-]{8,64}$/.test(deviceId)) {
+        key = `id:${deviceId}`;
+    } else {
+        const { browser, os } = describeUserAgent(userAgent);
+        key = `ua:${browser || '?'}|${os || '?'}`;
+    }
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// e.g. 'Firefox, Windows'; null when the User-Agent says neither
+function describeDevice(userAgent) {
+    const { browser, os } = describeUserAgent(userAgent);
+    return [browser, os].filter(Boolean).join(', ') || null;
+}
+
+/**
+ * Note a device the user signed in from; returns true when it is new. The
+ * first device of an account (its registration) is remembered silently.
+ */
+async function rememberDevice(user, { device_id = null, user_agent = null } = {}, now = new Date()) {
+    const hash = deviceFingerprint({ device_id, user_agent });
+    const nowTs = toTimestamp(now);
+    const updated = await database.run(
+        'UPDATE user_devices SET last_seen_at = ? WHERE user_id = ? AND device_hash = ?',
+        [nowTs, user.id, hash]
+    );
+    if (updated.changes > 0) return false;
+
+    const known = await database.get('SELECT COUNT(*) AS count FROM user_devices WHERE user_id = ?', [user.id]);
+    await database.run(
+        `INSERT INTO user_devices (user_id, device_hash, description, first_seen_at, last_seen_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(user_id, device_hash) DO UPDATE SET last_seen_at = excluded.last_seen_at`,
+        [user.id, hash, describeDevice(user_agent), nowTs, nowTs]
+    );
+    return Number(known?.count || 0) > 0;
+}
+
+/**
+ * After a successful sign-in: clear failed attempts and alert the user when
+ * the device is new to their account
+ */
+async function recordSuccessfulLogin(user, { device_id = null, user_agent = null, ip_address = null, language = 'en' } = {}, now = new Date()) {
+    await clearFailedLogins(user.username);
+    const isNewDevice = await rememberDevice(user, { device_id, user_agent }, now);
+    if (!isNewDevice) return;
+
+    const device = describeDevice(user_agent);
+    await createNotification(database, {
+        user_id: user.id,
+        type: 'new_device_login',
+        title: 'New sign-in to your account',
+        message: `Your account was signed in from a new device${device ? ` (${device})` : ''}${ip_address ? ` at IP address ${ip_address}` : ''}. If this was not you, sign that device out in your profile and change your password.`,
+        email: buildNewSignInEmail({ user, device, ip: ip_address, language })
+    });
+}
+
+/**
+ * Usernames whose sign-in is blocked right now, most recent first
+ */
+async function listLockedAccounts(now = new Date()) {
+    return database.all(
+        `SELECT f.id, f.username, f.user_id, f.lock_count, f.last_failed_at, f.last_ip_address, f.locked_until,
+                u.first_name, u.last_name
+         FROM failed_login_attempts f
+         LEFT JOIN users u ON u.id = f.user_id
+         WHERE f.locked_until > ?
+         ORDER BY f.locked_until DESC`,
+        [toTimestamp(now)]
+    );
+}
+
+/**
+ * Lift a lockout (and forget its failed attempts); returns the username, or null when unknown
+ */
+async function unlockAccount(lockoutId) {
+    const record = await database.get('SELECT username FROM failed_login_attempts WHERE id = ?', [lockoutId]);
+    if (!record) return null;
+    await database.run('DELETE FROM failed_login_attempts WHERE id = ?', [lockoutId]);
+    return record.username;
+}
+
+module.exports = {
+    LOCKOUT_THRESHOLD,
+    LoginBlockedError,
+    loginDelaySeconds,
+    lockoutMinutes,
+    evaluateLoginRecord,
+    assertLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+    deviceFingerprint,
+    recordSuccessfulLogin,
+    rememberDevice,
+    listLockedAccounts,
+    unlockAccount
+};
@@ -0,0 +1,185 @@
+/**
+ * Outgoing email with a pluggable transport, chosen by MAIL_TRANSPORT:
+ * - smtp: deliver through SMTP_HOST (see utils/smtpClient.js)
+ * - file: write each message as an .eml file to MAIL_FILE_DIR, for local development and tests
+ * - console: print the message to the server log
+ * - none: drop messages with a warning
+ * Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set, console outside
+ * production, and none in production (so links with tokens never end up in logs).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { sendSmtp, envelopeAddress } = require('./smtpClient');
+
+const MAIL_TRANSPORTS = ['smtp', 'file', 'console', 'none'];
+const DEFAULT_MAIL_FROM = 'TT Leagues <no-reply@localhost>';
+const DEFAULT_MAIL_FILE_DIR = path.join(__dirname, '../../mail-outbox');
+
+class MailError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MailError';
+    }
+}
+
+/**
+ * Transport settings from the environment
+ */
+function resolveMailConfig(env = process.env) {
+    const requested = (env.MAIL_TRANSPORT || '').trim().toLowerCase();
+    if (requested && !MAIL_TRANSPORTS.includes(requested)) {
+        throw new MailError(`Unknown MAIL_TRANSPORT "${requested}" (expected one of ${MAIL_TRANSPORTS.join(', ')})`);
+    }
+    let transport = requested;
+    if (!transport) {
+        if (env.SMTP_HOST) transport = 'smtp';
+        else transport = env.NODE_ENV === 'production' ? 'none' : 'console';
+    }
+    if (transport === 'smtp' && !env.SMTP_HOST) {
+        throw new MailError('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+    }
+    const secure = ['1', 'true'].includes(String(env.SMTP_SECURE || '').toLowerCase());
+    return {
+        transport,
+        from: env.MAIL_FROM || DEFAULT_MAIL_FROM,
+        fileDir: env.MAIL_FILE_DIR || DEFAULT_MAIL_FILE_DIR,
+        smtp: {
+            host: env.SMTP_HOST || null,
+            port: env.SMTP_PORT ? parseInt(env.SMTP_PORT, 10) : (secure ? 465 : 587),
+            secure,
+            user: env.SMTP_USER || null,
+            pass: env.SMTP_PASS || null,
+        },
+    };
+}
+
+// RFC 2047 encoded-word for header values that are not plain ASCII
+function encodeHeader(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    if (/^[ -~]*$/.test(text)) return text;
+    return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+// "Name <address>" with the display name encoded when needed
+function encodeAddress(value) {
+    const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(String(value));
+    if (!match || !match[1]) return envelopeAddress(value);
+    return `${encodeHeader(match[1].replace(/^"|"$/g, ''))} <${match[2].trim()}>`;
+}
+
+function base64Body(text) {
+    return Buffer.from(String(text), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n').trimEnd();
+}
+
+function textPart(contentType, body) {
+    return [
+        `Content-Type: ${contentType}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Body(body),
+    ].join('\r\n');
+}
+
+/**
+ * Build an RFC 5322 message: text/plain, or multipart/alternative when html is given
+ */
+function buildMimeMessage({ from, to, subject, text, html = null }, { date = new Date(), messageId = null, boundary = null } = {}) {
+    const domain = envelopeAddress(from).split('@')[1] || 'localhost';
+    const headers = [
+        `From: ${encodeAddress(from)}`,
+        `To: ${encodeAddress(to)}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${messageId || crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+    ];
+    if (!html) {
+        return [...headers, textPart('text/plain', text)].join('\r\n');
+    }
+    const separator = boundary || `----=_tt_${crypto.randomBytes(12).toString('hex')}`;
+    return [
+        ...headers,
+        `Content-Type: multipart/alternative; boundary="${separator}"`,
+        '',
+        `--${separator}`,
+        textPart('text/plain', text),
+        `--${separator}`,
+        textPart('text/html', html),
+        `--${separator}--`,
+        '',
+    ].join('\r\n');
+}
+
+function createTransport(config) {
+    switch (config.transport) {
+        case 'smtp':
+            return {
+                name: 'smtp',
+                async send(message) {
+                    await sendSmtp(config.smtp, { from: message.from, to: [message.to] }, buildMimeMessage(message));
+                    return {};
+                },
+            };
+        case 'file':
+            return {
+                name: 'file',
+                async send(message) {
+                    await fs.promises.mkdir(config.fileDir, { recursive: true });
+                    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+                    const file = path.join(config.fileDir, `${stamp}-${crypto.randomBytes(4).toString('hex')}.eml`);
+                    await fs.promises.writeFile(file, buildMimeMessage(message));
+                    return { file };
+                },
+            };
+        case 'console':
+            return {
+                name: 'console',
+                async send(message) {
+                    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+                    return {};
+                },
+            };
+        default:
+            return {
+                name: 'none',
+                async send(message) {
+                    console.warn(`Mail transport not configured; dropped "${message.subject}" to ${message.to}. Set SMTP_HOST or MAIL_TRANSPORT.`);
+                    return { dropped: true };
+                },
+            };
+    }
+}
+
+let transport = null;
+let mailFrom = null;
+
+function getTransport() {
+    if (!transport) {
+        const config = resolveMailConfig();
+        transport = createTransport(config);
+        mailFrom = config.from;
+    }
+    return transport;
+}
+
+/**
+ * Send one message ({ to, subject, text, html? }) from MAIL_FROM
+ */
+async function sendMail(message) {
+    if (!message?.to) {
+        throw new MailError('sendMail needs a recipient');
+    }
+    const active = getTransport();
+    return active.send({ from: mailFrom, ...message });
+}
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    MailError,
+    resolveMailConfig,
+    buildMimeMessage,
+    createTransport,
+    sendMail
+};
@@ -0,0 +1,503 @@
+/**
+ * Match acceptance and opponent confirmation
+ *
+ * A submitted result is accepted by a league admin, or, in leagues with
+ * result_confirmation = 'opponent', by the opponent side:
+ * - the result waits for the opponent (confirmation_status 'awaiting') until its deadline,
+ *   confirmation_timeout_hours after submission
+ * - confirming accepts it ('confirmed'); results left unanswered past the deadline are
+ *   accepted by the match_confirmations job ('auto_accepted', see utils/scheduler.js)
+ * - disputing stores the opponent's version of the score in match_disputes ('disputed');
+ *   a league admin then keeps either version ('resolved') or rejects the match
+ * Accepting rates the match right away in immediate leagues; weekly/monthly leagues
+ * leave the rating to consolidation (see utils/consolidation.js). Accepted singles
+ * matches are checked for achievements (see utils/achievements.js). A result linked to a
+ * tournament bracket advances its winner only once accepted (see utils/tournaments.js).
+ */
+
+const database = require('../models/database');
+const { getRatingState, getMatchOutcome, getLeagueRatingSettings } = require('./ratingEngines');
+const { markLeagueSnapshotDirty } = require('./leagueSnapshots');
+const { applyDoublesRating } = require('./doubles');
+const { validateMatchResult } = require('./eloCalculator');
+const { createNotification } = require('./notifications');
+const { onCommit, publishToLeague } = require('./realtime');
+const { evaluateAchievements } = require('./achievements');
+const { advanceTournamentForMatch } = require('./tournaments');
+const { toTimestamp } = require('./timestamps');
+
+const RESULT_CONFIRMATION_MODES = ['admin', 'opponent'];
+const DEFAULT_CONFIRMATION_TIMEOUT_HOURS = 48;
+const MAX_CONFIRMATION_TIMEOUT_HOURS = 24 * 14;
+const DISPUTE_RESOLUTIONS = ['submitted', 'disputed'];
+
+class MatchConfirmationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MatchConfirmationError';
+        this.status = status;
+    }
+}
+
+// rated_matches feeds the provisional K-factor (see utils/ratingConfig.js)
+const ROSTER_COLUMNS = `id, user_id, display_name, current_elo, rating_deviation, rating_volatility, is_admin,
+    (SELECT COUNT(*) FROM elo_history eh
+     WHERE eh.roster_id = league_roster.id AND eh.league_id = league_roster.league_id AND eh.match_id IS NOT NULL) as rated_matches`;
+
+const MATCH_COLUMNS = `id, league_id, player1_id, player2_id, is_accepted, game_type,
+    player1_roster_id, player2_roster_id, winner_roster_id,
+    is_doubles, player1_partner_roster_id, player2_partner_roster_id,
+    player1_sets_won, player2_sets_won,
+    player1_points_total, player2_points_total,
+    confirmation_status, season_id`;
+
+async function getRosterByUser(leagueId, userId, tx = database) {
+    return tx.get(
+        `SELECT ${ROSTER_COLUMNS} FROM league_roster WHERE league_id = ? AND user_id = ?`,
+        [leagueId, userId]
+    );
+}
+
+async function getRosterById(leagueId, rosterId, tx = database) {
+    return tx.get(
+        `SELECT ${ROSTER_COLUMNS} FROM league_roster WHERE league_id = ? AND id = ?`,
+        [leagueId, rosterId]
+    );
+}
+
+async function saveRatingState(tx, leagueId, rosterId, state) {
+    await tx.run(
+        'UPDATE league_roster SET current_elo = ?, rating_deviation = ?, rating_volatility = ? WHERE league_id = ? AND id = ?',
+        [state.rating, state.deviation, state.volatility, leagueId, rosterId]
+    );
+}
+
+/**
+ * Rate an accepted match from both players' current ratings, store the
+ * before/after values on the match and update both roster entries.
+ * @returns {Promise<Object>} { player1, player2 } with userId, before, after and change
+ */
+async function applyMatchRating(tx, { engine, config }, match) {
+    const p1 = await getRosterById(match.league_id, match.player1_roster_id, tx);
+    const p2 = await getRosterById(match.league_id, match.player2_roster_id, tx);
+    const result = engine.rateMatch(
+        getRatingState(engine, p1),
+        getRatingState(engine, p2),
+        getMatchOutcome(match),
+        config
+    );
+
+    await tx.run(
+        'UPDATE matches SET player1_elo_before = ?, player2_elo_before = ?, player1_elo_after = ?, player2_elo_after = ? WHERE id = ?',
+        [p1.current_elo, p2.current_elo, result.newRating1, result.newRating2, match.id]
+    );
+    await saveRatingState(tx, match.league_id, p1.id, result.state1);
+    await saveRatingState(tx, match.league_id, p2.id, result.state2);
+
+    return {
+        player1: { userId: p1.user_id, before: p1.current_elo, after: result.newRating1, change: result.newRating1 - p1.current_elo },
+        player2: { userId: p2.user_id, before: p2.current_elo, after: result.newRating2, change: result.newRating2 - p2.current_elo }
+    };
+}
+
+/**
+ * All roster entries taking part in a match (two for singles, four for doubles)
+ */
+function getMatchRosterIds(match) {
+    return [
+        match.player1_roster_id,
+        match.player1_partner_roster_id,
+        match.player2_roster_id,
+        match.player2_partner_roster_id
+    ].filter(Boolean);
+}
+
+/**
+ * Check the achievements of both players of an accepted singles match
+ */
+async function evaluateMatchAchievements(tx, match) {
+    return evaluateAchievements(tx, match.league_id, [match.player1_roster_id, match.player2_roster_id].map((rosterId) => ({
+        rosterId,
+        seasonId: match.season_id ?? null,
+        matchId: match.id
+    })));
+}
+
+/**
+ * Users of one side of a match (side 2 is the opponent of the submitting player)
+ * @returns {Promise<Array<number>>}
+ */
+async function getSideUserIds(tx, match, side) {
+    const rosterIds = side === 1
+        ? [match.player1_roster_id, match.player1_partner_roster_id]
+        : [match.player2_roster_id, match.player2_partner_roster_id];
+    const userIds = [];
+    for (const rosterId of rosterIds.filter(Boolean)) {
+        const roster = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [rosterId]);
+        if (roster?.user_id) userIds.push(roster.user_id);
+    }
+    return userIds;
+}
+
+/**
+ * Deadline for the opponent to answer a result submitted at `now`
+ * @param {number} hours - League's confirmation_timeout_hours
+ * @param {Date} now
+ * @returns {string} UTC timestamp
+ */
+function getConfirmationDeadline(hours, now = new Date()) {
+    const timeout = Number.isInteger(hours) && hours > 0 ? hours : DEFAULT_CONFIRMATION_TIMEOUT_HOURS;
+    return toTimestamp(new Date(now.getTime() + timeout * 60 * 60 * 1000));
+}
+
+/**
+ * Rate an accepted doubles match and notify every player of their doubles rating change
+ * @returns {Promise<Object>} { player1EloChange, player2EloChange } as team rating changes
+ */
+async function applyAcceptedDoublesMatch(tx, config, match, leagueName) {
+    const rated = await applyDoublesRating(tx, config, match);
+    for (const player of rated.players) {
+        const roster = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [player.rosterId]);
+        if (roster?.user_id) {
+            await createNotification(tx, {
+                user_id: roster.user_id,
+                type: 'match_accepted',
+                title: 'Match Accepted',
+                message: `Your doubles match result in "${leagueName}" has been accepted. Doubles ELO change: ${player.change > 0 ? '+' : ''}${player.change}`,
+                related_id: match.id
+            });
+        }
+    }
+    return {
+        player1EloChange: rated.team1.after - rated.team1.before,
+        player2EloChange: rated.team2.after - rated.team2.before
+    };
+}
+
+/**
+ * Accept a pending match within a transaction: rate it (immediate leagues) or leave it
+ * for consolidation (weekly/monthly), notify the players, close any open dispute and
+ * advance the winner in a linked tournament bracket.
+ * @param {Object} tx
+ * @param {number} matchId
+ * @param {Object} options
+ * @param {number|null} options.acceptedBy - Accepting user; null for automatic acceptance
+ * @param {string} [options.confirmationStatus] - Status recorded for matches under opponent confirmation
+ * @param {string} [options.resolution] - Resolution recorded on an open dispute
+ * @returns {Promise<Object>} { league_id, deferred, player1EloChange?, player2EloChange? }
+ */
+async function acceptMatchInTransaction(tx, matchId, { acceptedBy = null, confirmationStatus = 'resolved', resolution = 'submitted' } = {}) {
+    const match = await tx.get(`SELECT ${MATCH_COLUMNS} FROM matches WHERE id = ?`, [matchId]);
+    if (!match) {
+        throw new MatchConfirmationError('Match not found', 404);
+    }
+    if (match.is_accepted) {
+        throw new MatchConfirmationError('Match is already accepted');
+    }
+
+    const league = await tx.get('SELECT name, elo_update_mode FROM leagues WHERE id = ?', [match.league_id]);
+    const mode = league && league.elo_update_mode ? league.elo_update_mode : 'immediate';
+    const deferred = mode !== 'immediate';
+
+    await tx.run(
+        `UPDATE matches SET is_accepted = ?, accepted_by = ?, accepted_at = CURRENT_TIMESTAMP, elo_applied = ?,
+                elo_applied_at = ${deferred ? 'NULL' : 'CURRENT_TIMESTAMP'}, confirmation_status = ?
+         WHERE id = ?`,
+        [true, acceptedBy, !deferred, match.confirmation_status ? confirmationStatus : null, matchId]
+    );
+    onCommit(tx, () => publishToLeague(match.league_id, 'match_updated', { match_id: matchId, status: 'accepted' }));
+
+    if (match.confirmation_status) {
+        await tx.run(
+            `UPDATE match_disputes SET status = ?, resolution = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+             WHERE match_id = ? AND status = ?`,
+            ['resolved', resolution, acceptedBy, matchId, 'open']
+        );
+        // The opponent's confirmation request has been answered
+        await tx.run(
+            'UPDATE notifications SET is_read = ? WHERE type = ? AND related_id = ?',
+            [true, 'match_confirmation', matchId]
+        );
+    }
+
+    await advanceTournamentForMatch(tx, match);
+
+    if (deferred) {
+        // Notify players of acceptance with deferred application
+        for (const rosterId of getMatchRosterIds(match)) {
+            const player = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [rosterId]);
+            if (player?.user_id) {
+                await createNotification(tx, {
+                    user_id: player.user_id,
+                    type: 'match_accepted_deferred',
+                    title: 'Match Accepted (Deferred ELO)',
+                    message: `Your match in "${league.name}" was accepted. ELO will be applied during ${mode} consolidation.`,
+                    related_id: matchId
+                });
+            }
+        }
+        if (!match.is_doubles) {
+            await evaluateMatchAchievements(tx, match);
+        }
+        return { league_id: match.league_id, deferred: true };
+    }
+
+    const ratingSettings = await getLeagueRatingSettings(match.league_id, tx);
+
+    // Doubles have their own ratings and history
+    if (match.is_doubles) {
+        const changes = await applyAcceptedDoublesMatch(tx, ratingSettings.config, match, league.name);
+        return { league_id: match.league_id, deferred: false, ...changes };
+    }
+
+    // Rate the match from current ratings and update both roster entries
+    const rated = await applyMatchRating(tx, ratingSettings, match);
+    for (const [rosterId, player] of [[match.player1_roster_id, rated.player1], [match.player2_roster_id, rated.player2]]) {
+        await tx.run(
+            'INSERT INTO elo_history (user_id, league_id, roster_id, match_id, elo_before, elo_after, elo_change, recorded_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+            [player.userId || null, match.league_id, rosterId, matchId, player.before, player.after, player.change]
+        );
+        if (player.userId) {
+            await createNotification(tx, {
+                user_id: player.userId,
+                type: 'match_accepted',
+                title: 'Match Accepted',
+                message: `Your match result in "${league.name}" has been accepted. ELO change: ${player.change > 0 ? '+' : ''}${player.change}`,
+                related_id: matchId
+            });
+        }
+    }
+    await evaluateMatchAchievements(tx, match);
+
+    return {
+        league_id: match.league_id,
+        deferred: false,
+        player1EloChange: rated.player1.change,
+        player2EloChange: rated.player2.change
+    };
+}
+
+/**
+ * Accept a pending match (see acceptMatchInTransaction for the options)
+ */
+async function acceptMatch(matchId, options = {}) {
+    const result = await database.withTransaction((tx) => acceptMatchInTransaction(tx, matchId, options));
+    await markLeagueSnapshotDirty(result.league_id);
+    return result;
+}
+
+/**
+ * Load a match awaiting the opponent and check `userId` plays on the opponent side
+ */
+async function getAwaitingMatchForOpponent(tx, matchId, userId) {
+    const match = await tx.get(`SELECT ${MATCH_COLUMNS} FROM matches WHERE id = ?`, [matchId]);
+    if (!match) {
+        throw new MatchConfirmationError('Match not found', 404);
+    }
+    const opponentUserIds = await getSideUserIds(tx, match, 2);
+    if (!opponentUserIds.includes(userId)) {
+        throw new MatchConfirmationError('Only the opponent can confirm or dispute this result', 403);
+    }
+    if (match.is_accepted || match.confirmation_status !== 'awaiting') {
+        throw new MatchConfirmationError(match.confirmation_status === 'disputed'
+            ? 'This result has already been disputed'
+            : 'This result is not awaiting confirmation', 409);
+    }
+    return match;
+}
+
+/**
+ * Confirm a submitted result as the opponent, accepting the match
+ */
+async function confirmMatch(matchId, userId) {
+    const result = await database.withTransaction(async (tx) => {
+        await getAwaitingMatchForOpponent(tx, matchId, userId);
+        const accepted = await acceptMatchInTransaction(tx, matchId, { acceptedBy: userId, confirmationStatus: 'confirmed' });
+        await tx.run('UPDATE matches SET confirmed_by = ? WHERE id = ?', [userId, matchId]);
+        return accepted;
+    });
+    await markLeagueSnapshotDirty(result.league_id);
+    return result;
+}
+
+/**
+ * Dispute a submitted result as the opponent with their own version of the score;
+ * league admins and the submitting side are notified
+ * @param {Object} score - player1/2_sets_won, player1/2_points_total, optional sets and reason
+ * @returns {Promise<Object>} The dispute row
+ */
+async function disputeMatch(matchId, user, score) {
+    return database.withTransaction(async (tx) => {
+        const match = await getAwaitingMatchForOpponent(tx, matchId, user.id);
+
+        const p1Sets = Number(score.player1_sets_won);
+        const p2Sets = Number(score.player2_sets_won);
+        const validation = validateMatchResult(p1Sets, p2Sets, match.game_type);
+        if (!validation.isValid) {
+            throw new MatchConfirmationError(validation.error);
+        }
+        const p1Points = score.player1_points_total ?? null;
+        const p2Points = score.player2_points_total ?? null;
+        const sets = Array.isArray(score.sets) && score.sets.length > 0
+            ? score.sets.map((set) => ({ player1_score: Number(set.player1_score), player2_score: Number(set.player2_score) }))
+            : null;
+
+        const submittedSets = await tx.all(
+            'SELECT player1_score, player2_score FROM match_sets WHERE match_id = ? ORDER BY set_number',
+            [matchId]
+        );
+        const sameScore = p1Sets === match.player1_sets_won && p2Sets === match.player2_sets_won
+            && (p1Points == null || Number(p1Points) === match.player1_points_total)
+            && (p2Points == null || Number(p2Points) === match.player2_points_total)
+            && (!sets || JSON.stringify(sets) === JSON.stringify(submittedSets.map((set) => ({
+                player1_score: set.player1_score,
+                player2_score: set.player2_score
+            }))));
+        if (sameScore) {
+            throw new MatchConfirmationError('The score is the same as the submitted result; confirm it instead');
+        }
+
+        const reason = typeof score.reason === 'string' && score.reason.trim() ? score.reason.trim() : null;
+        const inserted = await tx.run(
+            `INSERT INTO match_disputes (match_id, disputed_by, reason, player1_sets_won, player2_sets_won,
+                                         player1_points_total, player2_points_total, sets)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [matchId, user.id, reason, p1Sets, p2Sets, p1Points, p2Points, sets ? JSON.stringify(sets) : null]
+        );
+        await tx.run(
+            'UPDATE matches SET confirmation_status = ?, confirmation_deadline = NULL WHERE id = ?',
+            ['disputed', matchId]
+        );
+        onCommit(tx, () => publishToLeague(match.league_id, 'match_updated', { match_id: matchId, status: 'disputed' }));
+        await tx.run(
+            'UPDATE notifications SET is_read = ? WHERE type = ? AND related_id = ?',
+            [true, 'match_confirmation', matchId]
+        );
+
+        const league = await tx.get('SELECT name FROM leagues WHERE id = ?', [match.league_id]);
+        const admins = await tx.all(
+            'SELECT user_id FROM league_roster WHERE league_id = ? AND is_admin = ? AND user_id IS NOT NULL',
+            [match.league_id, true]
+        );
+        const recipients = new Set([...admins.map((admin) => admin.user_id), ...(await getSideUserIds(tx, match, 1))]);
+        recipients.delete(user.id);
+        for (const recipientId of recipients) {
+            await createNotification(tx, {
+                user_id: recipientId,
+                type: 'match_disputed',
+                title: 'Match Result Disputed',
+                message: `${user.username} disputed a match result in "${league.name}". A league admin will decide which score stands.`,
+                related_id: matchId
+            });
+        }
+
+        return tx.get('SELECT * FROM match_disputes WHERE id = ?', [inserted.id]);
+    });
+}
+
+/**
+ * Settle a disputed match as a league admin by keeping the submitted score or
+ * applying the opponent's version, then accepting the match
+ * @param {string} resolution - 'submitted' or 'disputed'
+ */
+async function resolveDispute(matchId, userId, resolution) {
+    if (!DISPUTE_RESOLUTIONS.includes(resolution)) {
+        throw new MatchConfirmationError(`resolution must be one of: ${DISPUTE_RESOLUTIONS.join(', ')}`);
+    }
+
+    const result = await database.withTransaction(async (tx) => {
+        const match = await tx.get(`SELECT ${MATCH_COLUMNS} FROM matches WHERE id = ?`, [matchId]);
+        if (!match) {
+            throw new MatchConfirmationError('Match not found', 404);
+        }
+        const dispute = await tx.get(
+            'SELECT * FROM match_disputes WHERE match_id = ? AND status = ? ORDER BY id DESC LIMIT 1',
+            [matchId, 'open']
+        );
+        if (match.is_accepted || !dispute) {
+            throw new MatchConfirmationError('This match has no open dispute', 409);
+        }
+
+        if (resolution === 'disputed') {
+            const didP1Win = dispute.player1_sets_won > dispute.player2_sets_won;
+            const winnerRosterId = didP1Win ? match.player1_roster_id : match.player2_roster_id;
+            const winner = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [winnerRosterId]);
+            await tx.run(
+                `UPDATE matches SET player1_sets_won = ?, player2_sets_won = ?,
+                        player1_points_total = ?, player2_points_total = ?, winner_roster_id = ?, winner_id = ?
+                 WHERE id = ?`,
+                [
+                    dispute.player1_sets_won,
+                    dispute.player2_sets_won,
+                    dispute.player1_points_total ?? match.player1_points_total,
+                    dispute.player2_points_total ?? match.player2_points_total,
+                    winnerRosterId,
+                    winner?.user_id || null,
+                    matchId
+                ]
+            );
+            // Set scores of the submitted version no longer match; keep the opponent's, if given
+            await tx.run('DELETE FROM match_sets WHERE match_id = ?', [matchId]);
+            if (dispute.sets) {
+                const sets = JSON.parse(dispute.sets);
+                for (let i = 0; i < sets.length; i++) {
+                    await tx.run(
+                        'INSERT INTO match_sets (match_id, set_number, player1_score, player2_score) VALUES (?, ?, ?, ?)',
+                        [matchId, i + 1, sets[i].player1_score, sets[i].player2_score]
+                    );
+                }
+            }
+        }
+
+        return acceptMatchInTransaction(tx, matchId, { acceptedBy: userId, confirmationStatus: 'resolved', resolution });
+    });
+    await markLeagueSnapshotDirty(result.league_id);
+    return result;
+}
+
+/**
+ * Accept every result whose opponent did not answer before the deadline
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Array<Object>>} One { match_id, league_id, status, error? } per expired match
+ */
+async function runConfirmationTimeouts({ now = new Date() } = {}) {
+    const expired = await database.all(
+        `SELECT id, league_id FROM matches
+         WHERE confirmation_status = ? AND is_accepted = ? AND confirmation_deadline <= ?
+         ORDER BY confirmation_deadline ASC, id ASC`,
+        ['awaiting', false, toTimestamp(now)]
+    );
+
+    const results = [];
+    for (const match of expired) {
+        try {
+            await acceptMatch(match.id, { acceptedBy: null, confirmationStatus: 'auto_accepted' });
+            results.push({ match_id: match.id, league_id: match.league_id, status: 'accepted' });
+        } catch (error) {
+            console.error(`Automatic acceptance of match ${match.id} failed:`, error);
+            results.push({ match_id: match.id, league_id: match.league_id, status: 'failed', error: error.message });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    RESULT_CONFIRMATION_MODES,
+    DEFAULT_CONFIRMATION_TIMEOUT_HOURS,
+    MAX_CONFIRMATION_TIMEOUT_HOURS,
+    DISPUTE_RESOLUTIONS,
+    MatchConfirmationError,
+    getRosterByUser,
+    getRosterById,
+    saveRatingState,
+    applyMatchRating,
+    getMatchRosterIds,
+    getSideUserIds,
+    getConfirmationDeadline,
+    acceptMatch,
+    confirmMatch,
+    disputeMatch,
+    resolveDispute,
+    runConfirmationTimeouts
+};
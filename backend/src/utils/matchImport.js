@@ -0,0 +1,780 @@
+/**
+ * Import of historical matches from CSV or JSON
+ *
+ * An import is built in two steps. buildImportPlan() parses and validates every row
+ * and resolves player names against the league roster without touching the database,
+ * so the same plan backs the preview and the import itself. importMatches() then
+ * inserts the valid rows as accepted, rated matches, creating roster placeholders for
+ * unknown names, and replays the league's ratings so the imported matches are rated
+ * in played order as if they had been recorded live. In weekly/monthly leagues the
+ * existing consolidation batches are replayed as batches (see utils/ratingRecalculation.js)
+ * and imported matches count as rated on their played date.
+ *
+ * Rows need a date, both players and either set scores or the sets won per side;
+ * doubles rows add a partner on each side. CSV files need a header row (see
+ * FIELD_ALIASES). JSON is an array of row objects, or { matches: [...] } as written
+ * by the league export. A league archive (see leagueExport) additionally restores the
+ * archived rating settings into a league without matches and the archived seasons,
+ * with their final standings, into a league without seasons.
+ */
+
+const database = require('../models/database');
+const { validateMatchResult } = require('./eloCalculator');
+const { RATING_ENGINE_KEYS, getLeagueRatingSettings } = require('./ratingEngines');
+const { validateRatingConfig } = require('./ratingConfig');
+const { ARCHIVE_FORMAT, ARCHIVE_VERSION } = require('./leagueExport');
+const { markLeagueSnapshotDirty } = require('./leagueSnapshots');
+const { applyLeagueRecalculation } = require('./ratingRecalculation');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 5000;
+const MAX_SETS = 7;
+const GAME_TYPES = ['best_of_1', 'best_of_3', 'best_of_5', 'best_of_7'];
+
+// Accepted column names (after lower-casing and replacing spaces/dashes with underscores)
+const FIELD_ALIASES = {
+    played_at: ['played_at', 'date', 'played', 'datum'],
+    player1: ['player1', 'player_1', 'home'],
+    player2: ['player2', 'player_2', 'away'],
+    player1_partner: ['player1_partner', 'player_1_partner', 'partner1', 'home_partner'],
+    player2_partner: ['player2_partner', 'player_2_partner', 'partner2', 'away_partner'],
+    game_type: ['game_type', 'format'],
+    sets: ['sets', 'score', 'scores'],
+    player1_sets_won: ['player1_sets_won', 'player1_sets'],
+    player2_sets_won: ['player2_sets_won', 'player2_sets'],
+    season: ['season']
+};
+
+class MatchImportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MatchImportError';
+        this.status = status;
+    }
+}
+
+const normalizeKey = (key) => String(key).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Player names match case-insensitively and ignoring repeated whitespace
+const normalizeName = (name) => String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const ALIAS_LOOKUP = new Map(
+    Object.entries(FIELD_ALIASES).flatMap(([field, aliases]) => aliases.map((alias) => [alias, field]))
+);
+
+const canonicalField = (key) => {
+    const normalized = normalizeKey(key);
+    if (/^set_?[1-7]$/.test(normalized)) {
+        return `set${normalized.slice(-1)}`;
+    }
+    return ALIAS_LOOKUP.get(normalized) || null;
+};
+
+/**
+ * Split CSV text into records (quoted fields may contain delimiters, quotes and newlines)
+ * @returns {Array<{line: number, values: Array<string>}>} Non-empty records with their starting line
+ */
+function parseCsvRecords(text, delimiter) {
+    const records = [];
+    let values = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        values.push(field);
+        if (values.some((value) => value.trim() !== '')) {
+            records.push({ line: recordLine, values });
+        }
+        values = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            field = '';
+            inQuotes = true;
+        } else if (char === delimiter) {
+            values.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new MatchImportError(`Unterminated quoted field starting on line ${recordLine}`);
+    }
+    endRecord();
+    return records;
+}
+
+/**
+ * Parse CSV with a header row into row objects keyed by canonical field names
+ * The delimiter (comma, semicolon or tab) is detected from the header row.
+ */
+function parseCsv(text) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const headerLine = content.split(/\r?\n/).find((line) => line.trim() !== '') || '';
+    const delimiter = [',', ';', '\t']
+        .map((candidate) => [candidate, headerLine.split(candidate).length])
+        .sort((a, b) => b[1] - a[1])[0][0];
+
+    const [header, ...records] = parseCsvRecords(content, delimiter);
+    if (!header) {
+        throw new MatchImportError('The file is empty');
+    }
+
+    const fields = header.values.map(canonicalField);
+    const missing = ['played_at', 'player1', 'player2'].filter((field) => !fields.includes(field));
+    if (missing.length > 0) {
+        throw new MatchImportError(`Missing column(s): ${missing.join(', ')}`);
+    }
+    if (!fields.some((field) => field === 'sets' || /^set\d$/.test(field) || field === 'player1_sets_won')) {
+        throw new MatchImportError('A sets column (or set1..set7, or player1_sets_won/player2_sets_won) is required');
+    }
+
+    return records.map(({ line, values }) => {
+        const row = { line };
+        fields.forEach((field, index) => {
+            if (field && values[index] !== undefined && values[index].trim() !== '') {
+                row[field] = values[index].trim();
+            }
+        });
+        return row;
+    });
+}
+
+/**
+ * Parse JSON (an array of row objects or { matches: [...] }) into row objects
+ * Rows are numbered by their position in the array.
+ */
+function parseJson(text) {
+    let parsed;
+    try {
+        parsed = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+        throw new MatchImportError(`Invalid JSON: ${error.message}`);
+    }
+    const items = Array.isArray(parsed) ? parsed : parsed?.matches;
+    if (!Array.isArray(items)) {
+        throw new MatchImportError('JSON must be an array of matches or an object with a "matches" array');
+    }
+
+    return items.map((item, index) => {
+        const row = { line: index + 1 };
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            row.invalid = true;
+            return row;
+        }
+        for (const [key, value] of Object.entries(item)) {
+            const field = canonicalField(key);
+            if (field && value !== null && value !== undefined && value !== '') {
+                row[field] = typeof value === 'string' ? value.trim() : value;
+            }
+        }
+        return row;
+    });
+}
+
+/**
+ * Parse import content into raw row objects
+ * @param {string} format - 'csv' or 'json'
+ * @param {string} content - File content
+ * @returns {{rows: Array<Object>, archive: Object|null}} archive is set for league archives
+ */
+function parseImportContent(format, content) {
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw new MatchImportError(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    if (content === undefined || content === null || content === '') {
+        throw new MatchImportError('content is required');
+    }
+
+    let archive = null;
+    let rows;
+    if (format === 'csv') {
+        rows = parseCsv(content);
+    } else {
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (error) {
+            throw new MatchImportError(`Invalid JSON: ${error.message}`);
+        }
+        if (parsed && parsed.format === ARCHIVE_FORMAT) {
+            if (!Number.isInteger(parsed.version) || parsed.version > ARCHIVE_VERSION) {
+                throw new MatchImportError(`Archive version ${parsed.version} is not supported`);
+            }
+            archive = parsed;
+        }
+        rows = parseJson(parsed);
+    }
+    if (rows.length === 0) {
+        throw new MatchImportError('No matches found');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new MatchImportError(`At most ${MAX_IMPORT_ROWS} matches can be imported at once`);
+    }
+    return { rows, archive };
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Parse a played date into 'YYYY-MM-DD HH:MM:SS' (UTC)
+ * Accepts ISO dates (optionally with time and offset) and DD.MM.YYYY [HH:MM].
+ * Times without an offset are taken as UTC; dates without a time as midnight.
+ * @returns {string|null} null when the value is not a valid date
+ */
+function parsePlayedAt(value) {
+    const text = String(value ?? '').trim();
+    let parts = null;
+    let offsetMinutes = 0;
+
+    const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i.exec(text);
+    const dotted = /^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+    if (iso) {
+        parts = [iso[1], iso[2], iso[3], iso[4], iso[5], iso[6]];
+        const offset = iso[7];
+        if (offset && offset.toUpperCase() !== 'Z') {
+            const sign = offset[0] === '-' ? -1 : 1;
+            const digits = offset.slice(1).replace(':', '');
+            offsetMinutes = sign * (parseInt(digits.slice(0, 2), 10) * 60 + parseInt(digits.slice(2), 10));
+        }
+    } else if (dotted) {
+        parts = [dotted[3], dotted[2], dotted[1], dotted[4], dotted[5], dotted[6]];
+    }
+    if (!parts) return null;
+
+    const [year, month, day, hours, minutes, seconds] = parts.map((part) => parseInt(part || '0', 10));
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    const local = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    // Reject dates that roll over (31.02.2024)
+    if (local.getUTCFullYear() !== year || local.getUTCMonth() !== month - 1 || local.getUTCDate() !== day) {
+        return null;
+    }
+    const date = new Date(local.getTime() - offsetMinutes * 60000);
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} `
+        + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+}
+
+const toScore = (value) => {
+    if (typeof value === 'number') return Number.isInteger(value) ? value : NaN;
+    return /^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : NaN;
+};
+
+/**
+ * Parse one set: "11-7", "11:7", [11, 7] or { player1_score, player2_score }
+ * @returns {Object|null} { player1_score, player2_score } or null if unreadable
+ */
+function parseSet(value) {
+    let scores = null;
+    if (Array.isArray(value) && value.length === 2) {
+        scores = value;
+    } else if (value && typeof value === 'object') {
+        scores = [value.player1_score, value.player2_score];
+    } else {
+        const match = /^(\d+)\s*[-:]\s*(\d+)$/.exec(String(value).trim());
+        scores = match ? [match[1], match[2]] : null;
+    }
+    if (!scores) return null;
+    const [player1Score, player2Score] = scores.map(toScore);
+    if (Number.isNaN(player1Score) || Number.isNaN(player2Score) || player1Score < 0 || player2Score < 0) {
+        return null;
+    }
+    return { player1_score: player1Score, player2_score: player2Score };
+}
+
+/**
+ * Collect the set scores of a row from `sets` ("11-7 9-11 11-5" or an array) or set1..set7
+ * @returns {{sets: Array<Object>, errors: Array<string>}}
+ */
+function parseRowSets(row) {
+    let raw = [];
+    if (Array.isArray(row.sets)) {
+        raw = row.sets;
+    } else if (row.sets !== undefined) {
+        raw = String(row.sets).split(/[\s,;/|]+/).filter(Boolean);
+    } else {
+        for (let i = 1; i <= MAX_SETS; i++) {
+            if (row[`set${i}`] !== undefined) raw.push(row[`set${i}`]);
+        }
+    }
+
+    const sets = [];
+    const errors = [];
+    raw.forEach((value, index) => {
+        const set = parseSet(value);
+        if (!set) {
+            errors.push(`Set ${index + 1}: unreadable score "${typeof value === 'object' ? JSON.stringify(value) : value}"`);
+        } else if (set.player1_score === set.player2_score) {
+            errors.push(`Set ${index + 1}: a set cannot end in a tie`);
+        } else {
+            sets.push(set);
+        }
+    });
+    if (raw.length > MAX_SETS) {
+        errors.push(`At most ${MAX_SETS} sets are allowed`);
+    }
+    return { sets, errors };
+}
+
+const parseGameType = (value) => {
+    const match = /^(?:best_of_|bo)?([1357])$/i.exec(normalizeKey(value));
+    return match ? `best_of_${match[1]}` : null;
+};
+
+/**
+ * Validate the result of a raw row (names are resolved separately)
+ * @param {Object} row - Raw row from parseImportContent()
+ * @param {Date} now - Rows played after `now` are rejected
+ * @returns {Object} Parsed row with an `errors` array
+ */
+function parseImportRow(row, now = new Date()) {
+    const errors = [];
+    const parsed = {
+        line: row.line,
+        played_at: null,
+        player1: row.player1 !== undefined ? String(row.player1).trim() : '',
+        player2: row.player2 !== undefined ? String(row.player2).trim() : '',
+        player1_partner: row.player1_partner !== undefined ? String(row.player1_partner).trim() : '',
+        player2_partner: row.player2_partner !== undefined ? String(row.player2_partner).trim() : '',
+        is_doubles: false,
+        game_type: null,
+        sets: [],
+        player1_sets_won: null,
+        player2_sets_won: null,
+        player1_points_total: 0,
+        player2_points_total: 0,
+        season: row.season !== undefined ? String(row.season).trim() : null,
+        errors
+    };
+    if (row.invalid) {
+        errors.push('Row must be an object');
+        return parsed;
+    }
+
+    if (row.played_at === undefined) {
+        errors.push('Date is required');
+    } else {
+        parsed.played_at = parsePlayedAt(row.played_at);
+        if (!parsed.played_at) {
+            errors.push(`Unreadable date "${row.played_at}"`);
+        } else if (parsed.played_at > parsePlayedAt(now.toISOString())) {
+            errors.push('Date is in the future');
+        }
+    }
+
+    if (!parsed.player1) errors.push('Player 1 is required');
+    if (!parsed.player2) errors.push('Player 2 is required');
+    parsed.is_doubles = Boolean(parsed.player1_partner || parsed.player2_partner);
+    if (parsed.is_doubles && (!parsed.player1_partner || !parsed.player2_partner)) {
+        errors.push('Doubles matches need a partner on both sides');
+    }
+
+    const { sets, errors: setErrors } = parseRowSets(row);
+    errors.push(...setErrors);
+    parsed.sets = sets;
+
+    const givenSetsWon = [row.player1_sets_won, row.player2_sets_won];
+    const hasGivenSetsWon = givenSetsWon.some((value) => value !== undefined);
+    let setsWon = null;
+    if (hasGivenSetsWon) {
+        setsWon = givenSetsWon.map((value) => (value === undefined ? NaN : toScore(value)));
+        if (setsWon.some(Number.isNaN)) {
+            errors.push('Sets won must be non-negative integers');
+            setsWon = null;
+        }
+    }
+    if (setErrors.length > 0) {
+        setsWon = null;
+    } else if (sets.length > 0) {
+        const derived = [
+            sets.filter((set) => set.player1_score > set.player2_score).length,
+            sets.filter((set) => set.player2_score > set.player1_score).length
+        ];
+        if (setsWon && (setsWon[0] !== derived[0] || setsWon[1] !== derived[1])) {
+            errors.push(`Sets won ${setsWon[0]}-${setsWon[1]} do not match the set scores (${derived[0]}-${derived[1]})`);
+        }
+        setsWon = derived;
+        parsed.player1_points_total = sets.reduce((sum, set) => sum + set.player1_score, 0);
+        parsed.player2_points_total = sets.reduce((sum, set) => sum + set.player2_score, 0);
+    } else if (!setsWon) {
+        errors.push('Set scores or sets won are required');
+    }
+
+    if (setsWon) {
+        [parsed.player1_sets_won, parsed.player2_sets_won] = setsWon;
+    }
+
+    if (row.game_type !== undefined) {
+        parsed.game_type = parseGameType(row.game_type);
+        if (!parsed.game_type) {
+            errors.push(`Game type must be one of: ${GAME_TYPES.join(', ')}`);
+        }
+    } else if (setsWon) {
+        // Without a game type the winner's set count decides it (3 sets won -> best of 5)
+        parsed.game_type = `best_of_${Math.max(...setsWon) * 2 - 1}`;
+    }
+
+    if (setsWon && parsed.game_type) {
+        const validation = validateMatchResult(setsWon[0], setsWon[1], parsed.game_type);
+        if (!validation.isValid) {
+            errors.push(validation.error);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Resolve one player name against the roster
+ * @returns {Object} { name, status: 'matched' | 'create' | 'ambiguous' | 'invalid_mapping', roster_id, candidates }
+ */
+function resolveName(name, roster, mapping) {
+    const key = normalizeName(name);
+    const candidates = roster.filter((entry) => (
+        normalizeName(entry.display_name) === key || normalizeName(entry.username) === key
+    ));
+    const summary = candidates.map((entry) => ({
+        roster_id: entry.id,
+        display_name: entry.display_name || entry.username,
+        user_id: entry.user_id || null
+    }));
+    const base = { name, key, roster_id: null, user_id: null, candidates: summary, rows: 0 };
+
+    if (mapping.has(key)) {
+        const target = mapping.get(key);
+        if (target === 'new') {
+            return { ...base, status: 'create' };
+        }
+        const entry = roster.find((candidate) => candidate.id === Number(target));
+        return entry
+            ? { ...base, status: 'matched', roster_id: entry.id, user_id: entry.user_id || null }
+            : { ...base, status: 'invalid_mapping' };
+    }
+
+    if (candidates.length === 1) {
+        return { ...base, status: 'matched', roster_id: candidates[0].id, user_id: candidates[0].user_id || null };
+    }
+    return { ...base, status: candidates.length > 1 ? 'ambiguous' : 'create' };
+}
+
+const NAME_ERRORS = {
+    ambiguous: (name) => `"${name}" matches more than one roster entry`,
+    invalid_mapping: (name) => `"${name}" is mapped to a roster entry outside this league`
+};
+
+/**
+ * Validate rows and resolve their player names against the league roster
+ * @param {Array<Object>} rawRows - Rows from parseImportContent()
+ * @param {Array<Object>} roster - League roster rows { id, user_id, display_name, username }
+ * @param {Object} [options] - { mapping: { [name]: rosterId | 'new' }, now }
+ * @returns {Object} { rows, names, summary } - rows in file order, valid ones with sort_order
+ */
+function buildImportPlan(rawRows, roster, { mapping = {}, now = new Date() } = {}) {
+    const normalizedMapping = new Map(
+        Object.entries(mapping || {}).map(([name, target]) => [normalizeName(name), target])
+    );
+    const names = new Map();
+    const resolve = (name) => {
+        const key = normalizeName(name);
+        if (!names.has(key)) {
+            names.set(key, resolveName(name, roster, normalizedMapping));
+        }
+        return names.get(key);
+    };
+
+    const rows = rawRows.map((raw) => {
+        const row = parseImportRow(raw, now);
+        const sides = ['player1', 'player1_partner', 'player2', 'player2_partner']
+            .filter((field) => row[field])
+            .map((field) => [field, resolve(row[field])]);
+
+        const identities = new Set();
+        for (const [field, resolved] of sides) {
+            resolved.rows += 1;
+            if (NAME_ERRORS[resolved.status]) {
+                row.errors.push(NAME_ERRORS[resolved.status](row[field]));
+            }
+            identities.add(resolved.status === 'matched' ? `roster:${resolved.roster_id}` : `name:${resolved.key}`);
+        }
+        if (identities.size < sides.length) {
+            row.errors.push('The same player appears more than once in this match');
+        }
+        return row;
+    });
+
+    const valid = rows
+        .filter((row) => row.errors.length === 0)
+        .sort((a, b) => a.played_at.localeCompare(b.played_at) || a.line - b.line);
+    valid.forEach((row, index) => {
+        row.sort_order = index + 1;
+    });
+
+    const nameList = Array.from(names.values());
+
+    return {
+        rows,
+        names: nameList,
+        summary: {
+            total: rows.length,
+            valid: valid.length,
+            invalid: rows.length - valid.length,
+            doubles: valid.filter((row) => row.is_doubles).length,
+            placeholders: getPlaceholderNames({ rows, names: nameList }).length,
+            first_played_at: valid.length > 0 ? valid[0].played_at : null,
+            last_played_at: valid.length > 0 ? valid[valid.length - 1].played_at : null
+        }
+    };
+}
+
+/**
+ * Names of the placeholders an import would create
+ */
+function getPlaceholderNames(plan) {
+    const used = new Set(plan.rows
+        .filter((row) => row.errors.length === 0)
+        .flatMap((row) => [row.player1, row.player1_partner, row.player2, row.player2_partner])
+        .filter(Boolean)
+        .map(normalizeName));
+    return plan.names.filter((entry) => entry.status === 'create' && used.has(entry.key)).map((entry) => entry.name);
+}
+
+/**
+ * Season whose date range contains a played date (latest start wins)
+ */
+function findSeasonForDate(seasons, playedAt) {
+    const day = playedAt.slice(0, 10);
+    const matching = seasons.filter((season) => (
+        String(season.start_date).slice(0, 10) <= day
+        && (!season.end_date || String(season.end_date).slice(0, 10) >= day)
+    ));
+    return matching.length > 0 ? matching[matching.length - 1] : null;
+}
+
+/**
+ * Restore an archive's rating engine and config into a league that has no matches yet
+ * @returns {Promise<boolean>} Whether the settings were applied
+ */
+async function restoreArchiveSettings(tx, leagueId, archive) {
+    const existing = await tx.get('SELECT COUNT(*) as count FROM matches WHERE league_id = ?', [leagueId]);
+    const settings = archive.league || {};
+    if (Number(existing?.count || 0) > 0 || !RATING_ENGINE_KEYS.includes(settings.rating_engine)) {
+        return false;
+    }
+    const { config, error } = validateRatingConfig(settings.rating_config || {});
+    if (error) {
+        throw new MatchImportError(`Archive rating config: ${error}`);
+    }
+    await tx.run(
+        'UPDATE leagues SET rating_engine = ?, rating_config = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [settings.rating_engine, JSON.stringify(config), leagueId]
+    );
+    return true;
+}
+
+/**
+ * Create an archive's seasons in a league that has none yet
+ * @returns {Promise<Array<Object>>} Created seasons { id, archived } (standings are written later)
+ */
+async function restoreArchiveSeasons(tx, leagueId, archive, userId) {
+    const existing = await tx.get('SELECT COUNT(*) as count FROM seasons WHERE league_id = ?', [leagueId]);
+    const seasons = Array.isArray(archive.seasons) ? archive.seasons : [];
+    if (Number(existing?.count || 0) > 0) {
+        return [];
+    }
+
+    const created = [];
+    for (const season of seasons) {
+        const startDate = parsePlayedAt(season.start_date);
+        const endDate = season.end_date ? parsePlayedAt(season.end_date) : null;
+        if (!season.name || !startDate || (season.end_date && !endDate)) {
+            throw new MatchImportError(`Archive season "${season.name || '?'}" is incomplete`);
+        }
+        const status = season.status === 'closed' ? 'closed' : 'active';
+        const result = await tx.run(
+            `INSERT INTO seasons (league_id, name, status, start_date, end_date, rating_reset, reset_factor, created_by, closed_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                leagueId,
+                String(season.name).slice(0, 100),
+                status,
+                startDate.slice(0, 10),
+                endDate ? endDate.slice(0, 10) : null,
+                ['carry_over', 'soft', 'hard'].includes(season.rating_reset) ? season.rating_reset : 'carry_over',
+                season.reset_factor ?? null,
+                userId,
+                status === 'closed' ? parsePlayedAt(season.closed_at) || endDate : null
+            ]
+        );
+        created.push({ id: result.id, archived: season });
+    }
+    return created;
+}
+
+/**
+ * Insert the valid rows of a plan as accepted matches and re-rate the league
+ * @param {number} leagueId - League ID
+ * @param {Object} plan - Result of buildImportPlan() for this league's roster
+ * @param {number} userId - Importing admin (recorded as accepted_by)
+ * @param {Object} [options] - { archive } from parseImportContent() to restore settings and seasons
+ * @returns {Promise<Object>} { imported, placeholders_created, doubles, rated_matches, restored }
+ */
+async function importMatches(leagueId, plan, userId, { archive = null } = {}) {
+    const rows = plan.rows
+        .filter((row) => row.errors.length === 0)
+        .sort((a, b) => a.sort_order - b.sort_order);
+    if (rows.length === 0) {
+        throw new MatchImportError('There are no valid matches to import');
+    }
+
+    const result = await database.withTransaction(async (tx) => {
+        const restored = { settings: false, seasons: 0 };
+        let restoredSeasons = [];
+        if (archive) {
+            restored.settings = await restoreArchiveSettings(tx, leagueId, archive);
+            restoredSeasons = await restoreArchiveSeasons(tx, leagueId, archive, userId);
+            restored.seasons = restoredSeasons.length;
+        }
+
+        const { config } = await getLeagueRatingSettings(leagueId, tx);
+        const seasons = await tx.all(
+            `SELECT id, name, CAST(start_date AS TEXT) as start_date, CAST(end_date AS TEXT) as end_date
+             FROM seasons WHERE league_id = ? ORDER BY start_date ASC, id ASC`,
+            [leagueId]
+        );
+        const seasonsByName = new Map(seasons.map((season) => [normalizeName(season.name), season]));
+
+        // Roster entry per normalized name; placeholders are created on first use
+        const entries = new Map(plan.names.map((entry) => [entry.key, entry]));
+        const placeholderNames = new Set(getPlaceholderNames(plan).map(normalizeName));
+        let placeholdersCreated = 0;
+        for (const key of placeholderNames) {
+            const entry = entries.get(key);
+            const created = await tx.run(
+                'INSERT INTO league_roster (league_id, user_id, display_name, current_elo) VALUES (?, ?, ?, ?)',
+                [leagueId, null, entry.name, config.starting_elo]
+            );
+            entries.set(key, { ...entry, roster_id: created.id, user_id: null });
+            placeholdersCreated++;
+        }
+        const lookup = (name) => entries.get(normalizeName(name));
+
+        for (const row of rows) {
+            const player1 = lookup(row.player1);
+            const player2 = lookup(row.player2);
+            const didP1Win = row.player1_sets_won > row.player2_sets_won;
+            const winner = didP1Win ? player1 : player2;
+            const season = (row.season && seasonsByName.get(normalizeName(row.season)))
+                || findSeasonForDate(seasons, row.played_at);
+
+            const columns = [
+                'league_id', 'player1_id', 'player2_id', 'player1_roster_id', 'player2_roster_id',
+                'winner_id', 'winner_roster_id', 'player1_sets_won', 'player2_sets_won',
+                'player1_points_total', 'player2_points_total', 'game_type', 'played_at',
+                'is_accepted', 'accepted_by', 'accepted_at', 'elo_applied', 'elo_applied_at'
+            ];
+            const values = [
+                leagueId, player1.user_id, player2.user_id, player1.roster_id, player2.roster_id,
+                winner.user_id, winner.roster_id, row.player1_sets_won, row.player2_sets_won,
+                row.player1_points_total, row.player2_points_total, row.game_type, row.played_at,
+                true, userId, row.played_at, true, row.played_at
+            ];
+            if (row.is_doubles) {
+                columns.push('is_doubles', 'player1_partner_roster_id', 'player2_partner_roster_id');
+                values.push(true, lookup(row.player1_partner).roster_id, lookup(row.player2_partner).roster_id);
+            }
+            if (season) {
+                columns.push('season_id');
+                values.push(season.id);
+            }
+
+            const match = await tx.run(
+                `INSERT INTO matches (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                values
+            );
+            for (let i = 0; i < row.sets.length; i++) {
+                await tx.run(
+                    'INSERT INTO match_sets (match_id, set_number, player1_score, player2_score) VALUES (?, ?, ?, ?)',
+                    [match.id, i + 1, row.sets[i].player1_score, row.sets[i].player2_score]
+                );
+            }
+        }
+
+        // Archived standings of closed seasons, linked to the roster entries they name
+        for (const { id, archived } of restoredSeasons) {
+            const standings = Array.isArray(archived.standings) ? archived.standings : [];
+            for (const row of standings) {
+                const entry = lookup(row.player);
+                await tx.run(
+                    `INSERT INTO season_standings
+                        (season_id, roster_id, user_id, display_name, final_rank, final_elo, matches_played, matches_won)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        id,
+                        entry?.roster_id || null,
+                        entry?.user_id || null,
+                        String(row.player || 'Unknown').slice(0, 100),
+                        row.final_rank,
+                        row.final_elo,
+                        row.matches_played || 0,
+                        row.matches_won || 0
+                    ]
+                );
+            }
+            const champion = archived.champion ? lookup(archived.champion) : null;
+            if (champion?.roster_id) {
+                await tx.run('UPDATE seasons SET champion_roster_id = ? WHERE id = ?', [champion.roster_id, id]);
+            }
+        }
+
+        // Rate the league's whole history again so imported matches slot in by played date;
+        // elo_applied_at = played_at places them among consolidation batches in deferred leagues
+        const recalculation = await applyLeagueRecalculation(tx, leagueId);
+
+        return {
+            imported: rows.length,
+            placeholders_created: placeholdersCreated,
+            doubles: rows.filter((row) => row.is_doubles).length,
+            rated_matches: recalculation.matches,
+            restored
+        };
+    });
+
+    await markLeagueSnapshotDirty(leagueId);
+    return result;
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    MAX_IMPORT_ROWS,
+    FIELD_ALIASES,
+    MatchImportError,
+    parseCsv,
+    parseJson,
+    parseImportContent,
+    parsePlayedAt,
+    parseImportRow,
+    buildImportPlan,
+    getPlaceholderNames,
+    findSeasonForDate,
+    importMatches
+};
@@ -0,0 +1,239 @@
+/**
+ * Notification service: every notification goes through createNotification,
+ * which delivers it on the channels its recipient chose for that type:
+ * - in_app: a row in `notifications`, also pushed to open event streams (utils/realtime.js)
+ * - email: to the user's verified address (utils/mailer.js)
+ * - push: to each browser the user subscribed for web push (utils/webPush.js)
+ *
+ * Users only store the choices that differ from the defaults below. Email and
+ * push go out after the surrounding transaction commits and never fail the
+ * request that caused them.
+ */
+
+const database = require('../models/database');
+const { onCommit, publishToUser } = require('./realtime');
+const { sendMail } = require('./mailer');
+const { buildNotificationEmail } = require('./accountEmails');
+const { getVapidConfig, sendPush, isSubscriptionGone } = require('./webPush');
+const { toTimestamp } = require('./timestamps');
+
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'push'];
+
+// Default channels per type, grouped for the settings page. Channels listed
+// in `required` cannot be turned off.
+const NOTIFICATION_TYPES = {
+    match_request: { group: 'matches', defaults: { in_app: true, email: false, push: true } },
+    match_confirmation: { group: 'matches', defaults: { in_app: true, email: true, push: true } },
+    match_accepted: { group: 'matches', defaults: { in_app: true, email: false, push: true } },
+    match_accepted_deferred: { group: 'matches', defaults: { in_app: true, email: false, push: false } },
+    match_rejected: { group: 'matches', defaults: { in_app: true, email: false, push: true } },
+    match_disputed: { group: 'matches', defaults: { in_app: true, email: true, push: true } },
+    elo_consolidated: { group: 'matches', defaults: { in_app: true, email: false, push: false } },
+    league_invite: { group: 'leagues', defaults: { in_app: true, email: true, push: true } },
+    league_join_request: { group: 'leagues', defaults: { in_app: true, email: false, push: true } },
+    league_join_approved: { group: 'leagues', defaults: { in_app: true, email: false, push: true } },
+    league_join_declined: { group: 'leagues', defaults: { in_app: true, email: false, push: false } },
+    weekly_digest: { group: 'leagues', defaults: { in_app: true, email: true, push: false } },
+    badge_earned: { group: 'achievements', defaults: { in_app: true, email: false, push: true } },
+    account_locked: { group: 'account', defaults: { in_app: true, email: true, push: true }, required: ['in_app'] },
+    new_device_login: { group: 'account', defaults: { in_app: true, email: true, push: false }, required: ['in_app'] }
+};
+
+// Types created outside the list above only appear in the app
+const FALLBACK_CHANNELS = { in_app: true, email: false, push: false };
+
+class NotificationPreferenceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotificationPreferenceError';
+        this.code = 'INVALID_NOTIFICATION_PREFERENCE';
+        this.status = 400;
+    }
+}
+
+/**
+ * Channel settings of one type, from the stored rows of one user
+ * @param {Array<{type, channel, enabled}>} rows
+ * @returns {{in_app: boolean, email: boolean, push: boolean}}
+ */
+function resolveChannels(type, rows = []) {
+    const definition = NOTIFICATION_TYPES[type];
+    if (!definition) return { ...FALLBACK_CHANNELS };
+    const channels = { ...definition.defaults };
+    for (const row of rows) {
+        if (row.type === type && NOTIFICATION_CHANNELS.includes(row.channel)) {
+            channels[row.channel] = !!row.enabled;
+        }
+    }
+    for (const channel of definition.required || []) {
+        channels[channel] = true;
+    }
+    return channels;
+}
+
+/**
+ * Every type with its group, required channels and the user's settings
+ */
+async function getNotificationPreferences(userId) {
+    const rows = await database.all(
+        'SELECT type, channel, enabled FROM notification_preferences WHERE user_id = ?',
+        [userId]
+    );
+    return Object.entries(NOTIFICATION_TYPES).map(([type, definition]) => ({
+        type,
+        group: definition.group,
+        required: definition.required || [],
+        channels: resolveChannels(type, rows)
+    }));
+}
+
+/**
+ * Store changes ([{ type, channel, enabled }]); throws NotificationPreferenceError
+ * for unknown types or channels and for turning off a required channel
+ */
+async function updateNotificationPreferences(userId, changes, now = new Date()) {
+    for (const { type, channel, enabled } of changes) {
+        const definition = NOTIFICATION_TYPES[type];
+        if (!definition) {
+            throw new NotificationPreferenceError(`Unknown notification type: ${type}`);
+        }
+        if (!NOTIFICATION_CHANNELS.includes(channel)) {
+            throw new NotificationPreferenceError(`Unknown notification channel: ${channel}`);
+        }
+        if (typeof enabled !== 'boolean') {
+            throw new NotificationPreferenceError('enabled must be true or false');
+        }
+        if (!enabled && (definition.required || []).includes(channel)) {
+            throw new NotificationPreferenceError(`${type} notifications cannot be turned off for ${channel}`);
+        }
+    }
+    await database.withTransaction(async (tx) => {
+        for (const { type, channel, enabled } of changes) {
+            await tx.run(
+                `INSERT INTO notification_preferences (user_id, type, channel, enabled, updated_at)
+                 VALUES (?, ?, ?, ?, ?)
+                 ON CONFLICT(user_id, type, channel) DO UPDATE SET
+                    enabled = excluded.enabled,
+                    updated_at = excluded.updated_at`,
+                [userId, type, channel, enabled, toTimestamp(now)]
+            );
+        }
+    });
+}
+
+/**
+ * Remember a browser's push subscription ({ endpoint, keys: { p256dh, auth } })
+ * for a user. A subscription moves to whoever signs in on that browser last.
+ */
+async function savePushSubscription(userId, { endpoint, keys }, userAgent = null) {
+    await database.run(
+        `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(endpoint) DO UPDATE SET
+            user_id = excluded.user_id,
+            p256dh = excluded.p256dh,
+            auth = excluded.auth,
+            user_agent = excluded.user_agent`,
+        [userId, endpoint, keys.p256dh, keys.auth, userAgent, toTimestamp(new Date())]
+    );
+}
+
+async function removePushSubscription(userId, endpoint) {
+    const result = await database.run(
+        'DELETE FROM push_subscriptions WHERE user_id = ? AND endpoint = ?',
+        [userId, endpoint]
+    );
+    return result.changes > 0;
+}
+
+async function emailNotification(userId, notification, message) {
+    const user = await database.get(
+        'SELECT username, first_name, email, email_verified_at FROM users WHERE id = ?',
+        [userId]
+    );
+    if (!user?.email || !user.email_verified_at) return;
+    await sendMail({ to: user.email, ...(message || buildNotificationEmail({ user, ...notification })) });
+}
+
+async function pushNotification(userId, notification) {
+    const vapid = getVapidConfig();
+    if (!vapid) return;
+    const subscriptions = await database.all(
+        'SELECT id, endpoint, p256dh, auth FROM push_subscriptions WHERE user_id = ?',
+        [userId]
+    );
+    const data = {
+        title: notification.title,
+        body: notification.message,
+        url: '/app/notifications'
+    };
+    for (const subscription of subscriptions) {
+        try {
+            await sendPush({ endpoint: subscription.endpoint, keys: subscription }, data, { vapid });
+            await database.run(
+                'UPDATE push_subscriptions SET last_used_at = ? WHERE id = ?',
+                [toTimestamp(new Date()), subscription.id]
+            );
+        } catch (error) {
+            if (isSubscriptionGone(error)) {
+                await database.run('DELETE FROM push_subscriptions WHERE id = ?', [subscription.id]);
+            } else {
+                console.error('Push notification error:', error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Notify a user on the channels they chose for `type`. Returns the id of the
+ * in-app notification, or null when they turned the app channel off.
+ * @param {Object} db - database or a withTransaction tx
+ * @param {Object} [notification.email] - { subject, text, html } to send instead
+ *   of the generic email built from title and message
+ */
+async function createNotification(db, { user_id: userId, type, title, message, related_id: relatedId = null, email = null }) {
+    const rows = await db.all(
+        'SELECT type, channel, enabled FROM notification_preferences WHERE user_id = ? AND type = ?',
+        [userId, type]
+    );
+    const channels = resolveChannels(type, rows);
+
+    let id = null;
+    if (channels.in_app) {
+        const result = await db.run(
+            'INSERT INTO notifications (user_id, type, title, message, related_id) VALUES (?, ?, ?, ?, ?)',
+            [userId, type, title, message, relatedId]
+        );
+        id = result.id;
+        onCommit(db, () => publishToUser(userId, 'notification', {
+            id,
+            type,
+            title,
+            message,
+            related_id: relatedId
+        }));
+    }
+
+    const notification = { type, title, message };
+    if (channels.email) {
+        onCommit(db, () => emailNotification(userId, notification, email)
+            .catch((error) => console.error('Notification email error:', error)));
+    }
+    if (channels.push) {
+        onCommit(db, () => pushNotification(userId, notification)
+            .catch((error) => console.error('Push notification error:', error)));
+    }
+    return id;
+}
+
+module.exports = {
+    NOTIFICATION_CHANNELS,
+    NOTIFICATION_TYPES,
+    NotificationPreferenceError,
+    resolveChannels,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    savePushSubscription,
+    removePushSubscription,
+    createNotification
+};
@@ -0,0 +1,349 @@
+/**
+ * Minimal QR code encoder for the two-factor enrollment screen
+ *
+ * Byte mode, error correction level M, versions 1-10 (up to 213 bytes),
+ * which comfortably fits an otpauth:// URI. Rendered as SVG so the client
+ * can show it without a QR library. Structure follows ISO/IEC 18004.
+ */
+
+const MAX_VERSION = 10;
+const QUIET_ZONE = 4;
+
+// Level M, indexed by version - 1
+const TOTAL_CODEWORDS = [26, 44, 70, 100, 134, 172, 196, 242, 292, 346];
+const EC_CODEWORDS_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const ALIGNMENT_POSITIONS = [
+    [],
+    [6, 18],
+    [6, 22],
+    [6, 26],
+    [6, 30],
+    [6, 34],
+    [6, 22, 38],
+    [6, 24, 42],
+    [6, 26, 46],
+    [6, 28, 50],
+];
+// Format information bits for level M
+const EC_LEVEL_BITS = 0;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+function dataCodewords(version) {
+    return TOTAL_CODEWORDS[version - 1] - EC_CODEWORDS_PER_BLOCK[version - 1] * NUM_BLOCKS[version - 1];
+}
+
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i -= 1) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i += 1) {
+        for (let j = 0; j < degree; j += 1) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Error correction codewords for a block of data codewords
+ */
+function reedSolomonRemainder(data, degree) {
+    const divisor = reedSolomonDivisor(degree);
+    const result = new Array(degree).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+/**
+ * 15-bit format information (level M) for a mask pattern
+ */
+function formatBits(mask) {
+    const data = (EC_LEVEL_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i += 1) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    return ((data << 10) | rem) ^ 0x5412;
+}
+
+function versionBits(version) {
+    let rem = version;
+    for (let i = 0; i < 12; i += 1) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    return (version << 12) | rem;
+}
+
+/**
+ * Data codewords for the payload: mode, length, bytes, terminator and padding
+ */
+function encodeData(bytes, version) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i -= 1) bits.push(getBit(value, i) ? 1 : 0);
+    };
+    append(0b0100, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    for (const byte of bytes) append(byte, 8);
+
+    const capacity = dataCodewords(version) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+/**
+ * Split into blocks, add error correction and interleave
+ */
+function addErrorCorrection(data, version) {
+    const numBlocks = NUM_BLOCKS[version - 1];
+    const ecLength = EC_CODEWORDS_PER_BLOCK[version - 1];
+    const total = TOTAL_CODEWORDS[version - 1];
+    const shortBlockLength = Math.floor(total / numBlocks);
+    const numShortBlocks = numBlocks - (total % numBlocks);
+
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < numBlocks; i += 1) {
+        const length = shortBlockLength - ecLength + (i < numShortBlocks ? 0 : 1);
+        const block = data.slice(offset, offset + length);
+        offset += length;
+        blocks.push({ data: block, ec: reedSolomonRemainder(block, ecLength) });
+    }
+
+    const result = [];
+    for (let i = 0; i <= shortBlockLength - ecLength; i += 1) {
+        for (const block of blocks) {
+            if (i < block.data.length) result.push(block.data[i]);
+        }
+    }
+    for (let i = 0; i < ecLength; i += 1) {
+        for (const block of blocks) result.push(block.ec[i]);
+    }
+    return result;
+}
+
+function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i += 1) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy += 1) {
+            for (let dx = -4; dx <= 4; dx += 1) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                setFunction(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    const positions = ALIGNMENT_POSITIONS[version - 1];
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            // Skip the three that would overlap finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy += 1) {
+                for (let dx = -2; dx <= 2; dx += 1) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    if (version >= 7) {
+        const bits = versionBits(version);
+        for (let i = 0; i < 18; i += 1) {
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            setFunction(a, b, getBit(bits, i));
+            setFunction(b, a, getBit(bits, i));
+        }
+    }
+
+    const matrix = { size, modules, isFunction, setFunction };
+    // Reserve the format areas; the real bits are written once the mask is chosen
+    drawFormatBits(matrix, 0);
+    return matrix;
+}
+
+function drawFormatBits({ size, setFunction }, mask) {
+    const bits = formatBits(mask);
+    for (let i = 0; i <= 5; i += 1) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i += 1) setFunction(14 - i, 8, getBit(bits, i));
+    for (let i = 0; i < 8; i += 1) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i += 1) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true);
+}
+
+function placeCodewords({ size, modules, isFunction }, codewords) {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical += 1) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j += 1) {
+                const x = right - j;
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                    i += 1;
+                }
+            }
+        }
+    }
+}
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function applyMask({ size, modules, isFunction }, mask) {
+    for (let y = 0; y < size; y += 1) {
+        for (let x = 0; x < size; x += 1) {
+            if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+const FINDER_LIKE = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true],
+];
+
+function penaltyScore({ size, modules }) {
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i += 1) {
+        lines.push(modules[i]);
+        lines.push(modules.map((row) => row[i]));
+    }
+
+    for (const line of lines) {
+        let run = 1;
+        for (let i = 1; i <= size; i += 1) {
+            if (i < size && line[i] === line[i - 1]) {
+                run += 1;
+            } else {
+                if (run >= 5) score += run - 2;
+                run = 1;
+            }
+        }
+        for (let i = 0; i + 11 <= size; i += 1) {
+            for (const pattern of FINDER_LIKE) {
+                if (pattern.every((dark, k) => line[i + k] === dark)) score += 40;
+            }
+        }
+    }
+
+    for (let y = 0; y + 1 < size; y += 1) {
+        for (let x = 0; x + 1 < size; x += 1) {
+            const color = modules[y][x];
+            if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+                score += 3;
+            }
+        }
+    }
+
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+    return score;
+}
+
+/**
+ * Encode text as a QR code. Returns { version, size, modules } where
+ * modules[y][x] is true for dark modules.
+ */
+function encodeQr(text) {
+    const bytes = [...Buffer.from(String(text), 'utf8')];
+    let version = 1;
+    while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) {
+        version += 1;
+    }
+    if (version > MAX_VERSION) {
+        throw new Error('Text is too long for a QR code');
+    }
+
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask += 1) {
+        const matrix = createMatrix(version);
+        placeCodewords(matrix, codewords);
+        applyMask(matrix, mask);
+        drawFormatBits(matrix, mask);
+        const score = penaltyScore(matrix);
+        if (!best || score < best.score) best = { score, matrix };
+    }
+    return { version, size: best.matrix.size, modules: best.matrix.modules };
+}
+
+/**
+ * QR code for text as a standalone SVG document
+ */
+function renderQrSvg(text, { margin = QUIET_ZONE } = {}) {
+    const { size, modules } = encodeQr(text);
+    const extent = size + margin * 2;
+    // One rectangle per horizontal run of dark modules
+    let path = '';
+    modules.forEach((row, y) => {
+        for (let x = 0; x < size; x += 1) {
+            if (!row[x]) continue;
+            let run = 1;
+            while (x + run < size && row[x + run]) run += 1;
+            path += `M${x + margin} ${y + margin}h${run}v1h-${run}z`;
+            x += run - 1;
+        }
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges">`
+        + `<rect width="${extent}" height="${extent}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+module.exports = {
+    reedSolomonRemainder,
+    formatBits,
+    encodeQr,
+    renderQrSvg
+};
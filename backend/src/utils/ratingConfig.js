@@ -0,0 +1,131 @@
+/**
+ * Per-league rating configuration (leagues.rating_config, stored as JSON text)
+ *
+ * k_factor, format_multipliers and points_factor_cap tune the ELO calculator;
+ * provisional_k_factor applies to a player's first provisional_matches rated matches;
+ * starting_elo is the rating new roster entries start from (all engines);
+ * doubles_rating_mode chooses whether doubles ratings belong to each player or to fixed pairs.
+ */
+
+const { DEFAULT_ELO_CONFIG } = require('./eloCalculator');
+
+const GAME_TYPES = ['best_of_1', 'best_of_3', 'best_of_5', 'best_of_7'];
+
+const DEFAULT_RATING_CONFIG = {
+    ...DEFAULT_ELO_CONFIG,
+    format_multipliers: { ...DEFAULT_ELO_CONFIG.format_multipliers },
+    provisional_k_factor: 64,
+    provisional_matches: 0,
+    starting_elo: 1200,
+    doubles_rating_mode: 'individual'
+};
+
+const DOUBLES_RATING_MODES = ['individual', 'pair'];
+
+const NUMERIC_LIMITS = {
+    k_factor: { min: 1, max: 200 },
+    provisional_k_factor: { min: 1, max: 400 },
+    provisional_matches: { min: 0, max: 100, integer: true },
+    points_factor_cap: { min: 0, max: 0.9 },
+    starting_elo: { min: 100, max: 3000, integer: true }
+};
+const FORMAT_MULTIPLIER_LIMITS = { min: 0.1, max: 3 };
+
+/**
+ * Parse a stored config, filling anything missing from the defaults
+ * @param {string|Object|null} raw - leagues.rating_config
+ * @returns {Object} Complete rating config
+ */
+function parseRatingConfig(raw) {
+    let stored = raw;
+    if (typeof raw === 'string') {
+        try {
+            stored = JSON.parse(raw);
+        } catch (_) {
+            stored = null;
+        }
+    }
+    if (!stored || typeof stored !== 'object') {
+        stored = {};
+    }
+    return {
+        ...DEFAULT_RATING_CONFIG,
+        ...stored,
+        format_multipliers: {
+            ...DEFAULT_RATING_CONFIG.format_multipliers,
+            ...(stored.format_multipliers || {})
+        }
+    };
+}
+
+/**
+ * Validate a (partial) config update and merge it into the current config
+ * @param {Object} input - Fields to change
+ * @param {Object} current - Current complete config
+ * @returns {{config?: Object, error?: string}}
+ */
+function validateRatingConfig(input, current = DEFAULT_RATING_CONFIG) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Rating config must be an object' };
+    }
+
+    const config = {
+        ...current,
+        format_multipliers: { ...current.format_multipliers }
+    };
+
+    for (const [field, limits] of Object.entries(NUMERIC_LIMITS)) {
+        if (input[field] === undefined) continue;
+        const value = Number(input[field]);
+        if (!Number.isFinite(value) || value < limits.min || value > limits.max || (limits.integer && !Number.isInteger(value))) {
+            const kind = limits.integer ? 'an integer' : 'a number';
+            return { error: `${field} must be ${kind} between ${limits.min} and ${limits.max}` };
+        }
+        config[field] = value;
+    }
+
+    if (input.doubles_rating_mode !== undefined) {
+        if (!DOUBLES_RATING_MODES.includes(input.doubles_rating_mode)) {
+            return { error: `doubles_rating_mode must be one of: ${DOUBLES_RATING_MODES.join(', ')}` };
+        }
+        config.doubles_rating_mode = input.doubles_rating_mode;
+    }
+
+    if (input.format_multipliers !== undefined) {
+        if (!input.format_multipliers || typeof input.format_multipliers !== 'object') {
+            return { error: 'format_multipliers must be an object' };
+        }
+        for (const [gameType, raw] of Object.entries(input.format_multipliers)) {
+            if (!GAME_TYPES.includes(gameType)) {
+                return { error: `format_multipliers keys must be one of: ${GAME_TYPES.join(', ')}` };
+            }
+            const value = Number(raw);
+            if (!Number.isFinite(value) || value < FORMAT_MULTIPLIER_LIMITS.min || value > FORMAT_MULTIPLIER_LIMITS.max) {
+                return {
+                    error: `format_multipliers.${gameType} must be between ${FORMAT_MULTIPLIER_LIMITS.min} and ${FORMAT_MULTIPLIER_LIMITS.max}`
+                };
+            }
+            config.format_multipliers[gameType] = value;
+        }
+    }
+
+    return { config };
+}
+
+/**
+ * K-factor for a player with the given number of rated matches
+ * @param {Object} config - Rating config
+ * @param {number} ratedMatches - Matches already rated for the player in this league
+ * @returns {number} K-factor
+ */
+function getKFactor(config, ratedMatches) {
+    return ratedMatches < config.provisional_matches ? config.provisional_k_factor : config.k_factor;
+}
+
+module.exports = {
+    DEFAULT_RATING_CONFIG,
+    DOUBLES_RATING_MODES,
+    parseRatingConfig,
+    validateRatingConfig,
+    getKFactor
+};
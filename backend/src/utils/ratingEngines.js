@@ -0,0 +1,375 @@
+/**
+ * Rating engines selectable per league (leagues.rating_engine)
+ *
+ * Every engine exposes the same interface:
+ * - initialState(rating) -> state
+ * - rateMatch(state1, state2, outcome, config) -> { newRating1, newRating2, state1, state2, expectedScore1, details }
+ * - ratePeriod(states, games, config) -> { games: [{ id, before1, before2, after1, after2 }], states }
+ * - isProvisional(state, config) -> boolean
+ *
+ * A state is { rating, deviation, volatility, matchesPlayed }. `rating` is what
+ * league_roster.current_elo stores; `deviation` (rating_deviation) and `volatility`
+ * (rating_volatility) are null for engines without an uncertainty model; `matchesPlayed`
+ * counts the player's rated matches in the league. An outcome is
+ * { setsWon1, setsWon2, pointsWon1, pointsWon2 } from player 1's perspective.
+ * `config` is the league's rating config (see utils/ratingConfig.js).
+ *
+ * rateMatch rates a single match from the players' current states (immediate mode).
+ * ratePeriod rates a batch of matches together against the states before the batch
+ * (deferred consolidation), so the order inside the batch does not matter.
+ */
+
+const database = require('../models/database');
+const { calculateNewElos } = require('./eloCalculator');
+const { DEFAULT_RATING_CONFIG, getKFactor, parseRatingConfig } = require('./ratingConfig');
+const glicko2 = require('./glicko2');
+const trueSkill = require('./trueSkill');
+
+const DEFAULT_RATING_ENGINE = 'elo';
+const DEFAULT_RATING = DEFAULT_RATING_CONFIG.starting_elo;
+
+// Deviation above which a player is shown as provisional on the leaderboard
+const GLICKO2_PROVISIONAL_DEVIATION = 110;
+const TRUESKILL_PROVISIONAL_SIGMA = 160;
+
+const didPlayer1Win = (outcome) => outcome.setsWon1 > outcome.setsWon2;
+
+const ensurePeriodState = (states, rosterId) => {
+    const state = states.get(rosterId);
+    if (!state) {
+        throw new Error(`Missing rating state for roster entry ${rosterId}`);
+    }
+    return state;
+};
+
+// Carry the rated-match count forward onto a state produced by a rating update
+const afterMatches = (state, previous, count = 1) => ({
+    ...state,
+    matchesPlayed: (previous.matchesPlayed || 0) + count
+});
+
+const eloEngine = {
+    key: 'elo',
+    name: 'ELO',
+    hasUncertainty: false,
+
+    initialState(rating = DEFAULT_RATING) {
+        return { rating, deviation: null, volatility: null, matchesPlayed: 0 };
+    },
+
+    rateMatch(state1, state2, outcome, config = DEFAULT_RATING_CONFIG) {
+        const kFactor1 = getKFactor(config, state1.matchesPlayed || 0);
+        const kFactor2 = getKFactor(config, state2.matchesPlayed || 0);
+        const result = calculateNewElos(
+            state1.rating,
+            state2.rating,
+            outcome.pointsWon1 || 0,
+            outcome.pointsWon2 || 0,
+            didPlayer1Win(outcome),
+            outcome.setsWon1,
+            outcome.setsWon2,
+            { config, kFactor1, kFactor2 }
+        );
+        return {
+            newRating1: result.newRating1,
+            newRating2: result.newRating2,
+            state1: afterMatches(this.initialState(result.newRating1), state1),
+            state2: afterMatches(this.initialState(result.newRating2), state2),
+            expectedScore1: result.expectedScore1,
+            details: {
+                expected_score_player1: result.expectedScore1,
+                points_factor: result.pointsFactor,
+                format_multiplier: result.formatMultiplier,
+                k_factor_player1: kFactor1,
+                k_factor_player2: kFactor2
+            }
+        };
+    },
+
+    ratePeriod(states, games, config = DEFAULT_RATING_CONFIG) {
+        const deltas = new Map();
+        const counts = new Map();
+        const rated = games.map((game) => {
+            const base1 = ensurePeriodState(states, game.player1);
+            const base2 = ensurePeriodState(states, game.player2);
+            const result = this.rateMatch(base1, base2, game.outcome, config);
+            const delta1 = result.newRating1 - base1.rating;
+            const delta2 = result.newRating2 - base2.rating;
+            deltas.set(game.player1, (deltas.get(game.player1) || 0) + delta1);
+            deltas.set(game.player2, (deltas.get(game.player2) || 0) + delta2);
+            counts.set(game.player1, (counts.get(game.player1) || 0) + 1);
+            counts.set(game.player2, (counts.get(game.player2) || 0) + 1);
+            return {
+                id: game.id,
+                before1: base1.rating,
+                before2: base2.rating,
+                after1: base1.rating + delta1,
+                after2: base2.rating + delta2
+            };
+        });
+
+        const next = new Map();
+        deltas.forEach((delta, rosterId) => {
+            const base = states.get(rosterId);
+            next.set(rosterId, afterMatches(this.initialState(base.rating + delta), base, counts.get(rosterId)));
+        });
+        return { games: rated, states: next };
+    },
+
+    isProvisional(state, config = DEFAULT_RATING_CONFIG) {
+        return (state.matchesPlayed || 0) < config.provisional_matches;
+    }
+};
+
+const glicko2Engine = {
+    key: 'glicko2',
+    name: 'Glicko-2',
+    hasUncertainty: true,
+
+    initialState(rating = DEFAULT_RATING) {
+        return {
+            rating,
+            deviation: glicko2.DEFAULT_DEVIATION,
+            volatility: glicko2.DEFAULT_VOLATILITY,
+            matchesPlayed: 0
+        };
+    },
+
+    rateMatch(state1, state2, outcome) {
+        const score1 = didPlayer1Win(outcome) ? 1 : 0;
+        const p1 = glicko2.ratePlayer(state1, [{ opponent: state2, score: score1 }]);
+        const p2 = glicko2.ratePlayer(state2, [{ opponent: state1, score: 1 - score1 }]);
+        const newRating1 = Math.round(state1.rating + p1.contributions[0]);
+        const newRating2 = Math.round(state2.rating + p2.contributions[0]);
+        const expectedScore1 = glicko2.calculateExpectedScore(state1, state2);
+        return {
+            newRating1,
+            newRating2,
+            state1: afterMatches({ rating: newRating1, deviation: p1.deviation, volatility: p1.volatility }, state1),
+            state2: afterMatches({ rating: newRating2, deviation: p2.deviation, volatility: p2.volatility }, state2),
+            expectedScore1,
+            details: {
+                expected_score_player1: expectedScore1,
+                deviation_player1: p1.deviation,
+                deviation_player2: p2.deviation
+            }
+        };
+    },
+
+    ratePeriod(states, games) {
+        const gamesByPlayer = new Map();
+        const addGame = (rosterId, index, opponentId, score) => {
+            if (!gamesByPlayer.has(rosterId)) gamesByPlayer.set(rosterId, []);
+            gamesByPlayer.get(rosterId).push({ index, opponent: ensurePeriodState(states, opponentId), score });
+        };
+        games.forEach((game, index) => {
+            const score1 = didPlayer1Win(game.outcome) ? 1 : 0;
+            addGame(game.player1, index, game.player2, score1);
+            addGame(game.player2, index, game.player1, 1 - score1);
+        });
+
+        // Per-game rating changes, rounded individually so match rows add up to the final rating
+        const changes = new Map();
+        const next = new Map();
+        gamesByPlayer.forEach((playerGames, rosterId) => {
+            const base = ensurePeriodState(states, rosterId);
+            const result = glicko2.ratePlayer(base, playerGames);
+            let total = 0;
+            playerGames.forEach((playerGame, i) => {
+                const change = Math.round(result.contributions[i]);
+                changes.set(`${playerGame.index}:${rosterId}`, change);
+                total += change;
+            });
+            next.set(rosterId, afterMatches(
+                { rating: base.rating + total, deviation: result.deviation, volatility: result.volatility },
+                base,
+                playerGames.length
+            ));
+        });
+
+        const rated = games.map((game, index) => {
+            const base1 = states.get(game.player1).rating;
+            const base2 = states.get(game.player2).rating;
+            return {
+                id: game.id,
+                before1: base1,
+                before2: base2,
+                after1: base1 + changes.get(`${index}:${game.player1}`),
+                after2: base2 + changes.get(`${index}:${game.player2}`)
+            };
+        });
+        return { games: rated, states: next };
+    },
+
+    isProvisional(state) {
+        return state.deviation != null && state.deviation > GLICKO2_PROVISIONAL_DEVIATION;
+    }
+};
+
+const trueSkillEngine = {
+    key: 'trueskill',
+    name: 'TrueSkill',
+    hasUncertainty: true,
+
+    initialState(rating = DEFAULT_RATING) {
+        return { rating, deviation: trueSkill.DEFAULT_SIGMA, volatility: null, matchesPlayed: 0 };
+    },
+
+    // Orient the winner/loser update back to player 1/player 2
+    rateOutcome(state1, state2, outcome) {
+        const p1Won = didPlayer1Win(outcome);
+        const result = p1Won ? trueSkill.rateWin(state1, state2) : trueSkill.rateWin(state2, state1);
+        return p1Won
+            ? {
+                delta1: result.winnerDelta,
+                delta2: result.loserDelta,
+                factor1: result.winnerVarianceFactor,
+                factor2: result.loserVarianceFactor,
+                sigma1: result.winnerSigma,
+                sigma2: result.loserSigma
+            }
+            : {
+                delta1: result.loserDelta,
+                delta2: result.winnerDelta,
+                factor1: result.loserVarianceFactor,
+                factor2: result.winnerVarianceFactor,
+                sigma1: result.loserSigma,
+                sigma2: result.winnerSigma
+            };
+    },
+
+    rateMatch(state1, state2, outcome) {
+        const result = this.rateOutcome(state1, state2, outcome);
+        const newRating1 = Math.round(state1.rating + result.delta1);
+        const newRating2 = Math.round(state2.rating + result.delta2);
+        const expectedScore1 = trueSkill.calculateExpectedScore(state1, state2);
+        return {
+            newRating1,
+            newRating2,
+            state1: afterMatches({ rating: newRating1, deviation: result.sigma1, volatility: null }, state1),
+            state2: afterMatches({ rating: newRating2, deviation: result.sigma2, volatility: null }, state2),
+            expectedScore1,
+            details: {
+                expected_score_player1: expectedScore1,
+                deviation_player1: result.sigma1,
+                deviation_player2: result.sigma2
+            }
+        };
+    },
+
+    ratePeriod(states, games) {
+        const deltas = new Map();
+        const varianceFactors = new Map();
+        const counts = new Map();
+        const accumulate = (rosterId, delta, factor) => {
+            deltas.set(rosterId, (deltas.get(rosterId) || 0) + delta);
+            varianceFactors.set(rosterId, (varianceFactors.get(rosterId) || 1) * factor);
+            counts.set(rosterId, (counts.get(rosterId) || 0) + 1);
+        };
+
+        const rated = games.map((game) => {
+            const base1 = ensurePeriodState(states, game.player1);
+            const base2 = ensurePeriodState(states, game.player2);
+            const result = this.rateOutcome(base1, base2, game.outcome);
+            const delta1 = Math.round(result.delta1);
+            const delta2 = Math.round(result.delta2);
+            accumulate(game.player1, delta1, result.factor1);
+            accumulate(game.player2, delta2, result.factor2);
+            return {
+                id: game.id,
+                before1: base1.rating,
+                before2: base2.rating,
+                after1: base1.rating + delta1,
+                after2: base2.rating + delta2
+            };
+        });
+
+        const next = new Map();
+        deltas.forEach((delta, rosterId) => {
+            const base = states.get(rosterId);
+            const variance = (base.deviation * base.deviation + trueSkill.TAU * trueSkill.TAU) * varianceFactors.get(rosterId);
+            next.set(rosterId, afterMatches(
+                { rating: base.rating + delta, deviation: Math.sqrt(variance), volatility: null },
+                base,
+                counts.get(rosterId)
+            ));
+        });
+        return { games: rated, states: next };
+    },
+
+    isProvisional(state) {
+        return state.deviation != null && state.deviation > TRUESKILL_PROVISIONAL_SIGMA;
+    }
+};
+
+const RATING_ENGINES = {
+    [eloEngine.key]: eloEngine,
+    [glicko2Engine.key]: glicko2Engine,
+    [trueSkillEngine.key]: trueSkillEngine
+};
+
+const RATING_ENGINE_KEYS = Object.keys(RATING_ENGINES);
+
+/**
+ * Look up a rating engine by key, falling back to ELO for legacy leagues
+ * @param {string|null} key - leagues.rating_engine
+ * @returns {Object} Rating engine
+ */
+function getRatingEngine(key) {
+    return RATING_ENGINES[key] || RATING_ENGINES[DEFAULT_RATING_ENGINE];
+}
+
+/**
+ * Build an engine state from a league_roster row
+ * Missing uncertainty columns (new members, engine switched) start from the engine defaults.
+ * @param {Object} engine - Rating engine
+ * @param {Object} row - Row with current_elo, rating_deviation, rating_volatility and optionally rated_matches
+ * @returns {Object} Rating state
+ */
+function getRatingState(engine, row) {
+    const initial = engine.initialState(row.current_elo);
+    return {
+        rating: row.current_elo,
+        deviation: row.rating_deviation != null ? Number(row.rating_deviation) : initial.deviation,
+        volatility: row.rating_volatility != null ? Number(row.rating_volatility) : initial.volatility,
+        matchesPlayed: Number(row.rated_matches || 0)
+    };
+}
+
+/**
+ * Load a league's rating engine and rating config
+ * @param {number} leagueId - League ID
+ * @param {Object} [tx] - Transaction (defaults to the shared connection)
+ * @returns {Promise<{engine: Object, config: Object}>}
+ */
+async function getLeagueRatingSettings(leagueId, tx = database) {
+    const league = await tx.get('SELECT rating_engine, rating_config FROM leagues WHERE id = ?', [leagueId]);
+    return {
+        engine: getRatingEngine(league?.rating_engine),
+        config: parseRatingConfig(league?.rating_config)
+    };
+}
+
+/**
+ * Convert a match row into a rating outcome
+ * @param {Object} match - Row with player1/2_sets_won and player1/2_points_total
+ * @returns {Object} Outcome from player 1's perspective
+ */
+function getMatchOutcome(match) {
+    return {
+        setsWon1: match.player1_sets_won,
+        setsWon2: match.player2_sets_won,
+        pointsWon1: match.player1_points_total || 0,
+        pointsWon2: match.player2_points_total || 0
+    };
+}
+
+module.exports = {
+    DEFAULT_RATING_ENGINE,
+    RATING_ENGINES,
+    RATING_ENGINE_KEYS,
+    getRatingEngine,
+    getRatingState,
+    getMatchOutcome,
+    getLeagueRatingSettings
+};
@@ -0,0 +1,243 @@
+const database = require('../models/database');
+const { getLeagueRatingSettings, getMatchOutcome } = require('./ratingEngines');
+const { markLeagueSnapshotDirty } = require('./leagueSnapshots');
+const { replayDoublesRatings } = require('./doubles');
+const { createSeasonResetReplay, resetRatingState } = require('./seasons');
+const { DEFERRED_ELO_MODES } = require('./consolidation');
+
+/**
+ * Rating batches of a weekly/monthly league in the order they were applied
+ *
+ * Consolidation rates each run's matches together (see utils/consolidation.js), so
+ * a batch is one consolidation run; rated matches without a run (consolidated before
+ * runs were logged, or imported) are batched by the time their rating was applied.
+ * @returns {Array<Array<Object>>} Batches of matches, each in accepted order
+ */
+function groupConsolidationBatches(matches) {
+    const batches = new Map();
+    for (const match of matches) {
+        const key = match.consolidation_run_id != null
+            ? `run:${match.consolidation_run_id}`
+            : `applied:${match.elo_applied_at}`;
+        if (!batches.has(key)) batches.set(key, []);
+        batches.get(key).push(match);
+    }
+
+    const byAcceptance = (a, b) => String(a.accepted_at ?? '').localeCompare(String(b.accepted_at ?? '')) || a.id - b.id;
+    const appliedAt = (batch) => batch.map((m) => String(m.elo_applied_at ?? '')).sort()[0];
+    return Array.from(batches.values())
+        .map((batch) => batch.sort(byAcceptance))
+        .sort((a, b) => appliedAt(a).localeCompare(appliedAt(b))
+            || (a[0].consolidation_run_id ?? 0) - (b[0].consolidation_run_id ?? 0)
+            || a[0].id - b[0].id);
+}
+
+/**
+ * Replay a league's rated matches from scratch with its current engine and config
+ *
+ * Every roster entry restarts from the league's starting ELO and matches that have had
+ * ratings applied are rated again the way they were rated: one by one in played_at
+ * order in immediate leagues, in their consolidation batches (engine.ratePeriod) in
+ * weekly/monthly leagues. Season rating resets are applied when the replay reaches
+ * each season's first match.
+ * @param {Object} tx - Transaction
+ * @param {number} leagueId - League ID
+ * @returns {Promise<Object>} { roster: Map<rosterId, {row, state}>, matches: [{ match, before1, before2, after1, after2 }] }
+ */
+async function replayLeagueRatings(tx, leagueId) {
+    const { engine, config } = await getLeagueRatingSettings(leagueId, tx);
+    const league = await tx.get('SELECT elo_update_mode FROM leagues WHERE id = ?', [leagueId]);
+    const deferred = DEFERRED_ELO_MODES.includes(league?.elo_update_mode);
+
+    const rosterRows = await tx.all(
+        'SELECT id, user_id, display_name, current_elo FROM league_roster WHERE league_id = ?',
+        [leagueId]
+    );
+    const roster = new Map(rosterRows.map((row) => [
+        row.id,
+        { row, state: engine.initialState(config.starting_elo) }
+    ]));
+
+    const matches = await tx.all(
+        `SELECT id, player1_roster_id, player2_roster_id,
+                player1_sets_won, player2_sets_won,
+                player1_points_total, player2_points_total, played_at, season_id,
+                player1_elo_before, player2_elo_before, player1_elo_after, player2_elo_after,
+                consolidation_run_id, CAST(accepted_at AS TEXT) as accepted_at,
+                CAST(elo_applied_at AS TEXT) as elo_applied_at
+         FROM matches
+         WHERE league_id = ? AND is_accepted = ? AND elo_applied = ? AND is_doubles = ?
+         ORDER BY played_at ASC, id ASC`,
+        [leagueId, true, true, false]
+    );
+
+    const seasons = await createSeasonResetReplay(tx, leagueId, (season) => {
+        roster.forEach((entry) => {
+            entry.state = resetRatingState(engine, entry.state, season, config);
+        });
+    });
+
+    const getEntry = (match, rosterId) => {
+        const entry = roster.get(rosterId);
+        if (!entry) {
+            throw new Error(`Missing roster entries for match ${match.id}`);
+        }
+        return entry;
+    };
+
+    const replayed = [];
+    const batches = deferred ? groupConsolidationBatches(matches) : matches.map((match) => [match]);
+    for (const batch of batches) {
+        for (const match of batch) {
+            await seasons.beforeMatch(match);
+        }
+
+        if (!deferred) {
+            const [match] = batch;
+            const entry1 = getEntry(match, match.player1_roster_id);
+            const entry2 = getEntry(match, match.player2_roster_id);
+            const result = engine.rateMatch(entry1.state, entry2.state, getMatchOutcome(match), config);
+            replayed.push({
+                match,
+                before1: entry1.state.rating,
+                before2: entry2.state.rating,
+                after1: result.newRating1,
+                after2: result.newRating2
+            });
+            entry1.state = result.state1;
+            entry2.state = result.state2;
+            continue;
+        }
+
+        // The whole batch is rated against the states from before it, as consolidation does
+        const baseStates = new Map();
+        batch.forEach((match) => {
+            [match.player1_roster_id, match.player2_roster_id].forEach((rosterId) => {
+                baseStates.set(rosterId, getEntry(match, rosterId).state);
+            });
+        });
+        const period = engine.ratePeriod(
+            baseStates,
+            batch.map((match) => ({
+                id: match.id,
+                player1: match.player1_roster_id,
+                player2: match.player2_roster_id,
+                outcome: getMatchOutcome(match)
+            })),
+            config
+        );
+        batch.forEach((match, index) => {
+            const rated = period.games[index];
+            replayed.push({
+                match,
+                before1: rated.before1,
+                before2: rated.before2,
+                after1: rated.after1,
+                after2: rated.after2
+            });
+        });
+        period.states.forEach((state, rosterId) => {
+            roster.get(rosterId).state = state;
+        });
+    }
+    await seasons.finish();
+
+    return { roster, matches: replayed };
+}
+
+/**
+ * Summarise a replay against the ratings currently stored
+ * @returns {Object} { matches, changed_matches, roster: [{ roster_id, user_id, display_name, current_elo, new_elo, change }] }
+ */
+function summarizeReplay(replay) {
+    const changedMatches = replay.matches.filter(({ match, before1, before2, after1, after2 }) => (
+        match.player1_elo_before !== before1
+        || match.player2_elo_before !== before2
+        || match.player1_elo_after !== after1
+        || match.player2_elo_after !== after2
+    )).length;
+
+    const roster = Array.from(replay.roster.values())
+        .map(({ row, state }) => ({
+            roster_id: row.id,
+            user_id: row.user_id,
+            display_name: row.display_name,
+            current_elo: row.current_elo,
+            new_elo: state.rating,
+            change: state.rating - row.current_elo
+        }))
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || b.new_elo - a.new_elo);
+
+    return { matches: replay.matches.length, changed_matches: changedMatches, roster };
+}
+
+/**
+ * Write a full replay of a league's ratings inside an open transaction
+ *
+ * Rewrites each match's before/after ratings, regenerates elo_history and resets
+ * every roster entry's rating state to the replayed result; doubles ratings are
+ * replayed as well. The caller marks the league snapshot dirty once committed.
+ * @param {Object} tx - Transaction
+ * @param {number} leagueId - League ID
+ * @returns {Promise<Object>} Replay summary (see summarizeReplay)
+ */
+async function applyLeagueRecalculation(tx, leagueId) {
+    const replay = await replayLeagueRatings(tx, leagueId);
+
+    await tx.run('DELETE FROM elo_history WHERE league_id = ? AND match_id IS NOT NULL', [leagueId]);
+
+    for (const rated of replay.matches) {
+        const { match } = rated;
+        await tx.run(
+            'UPDATE matches SET player1_elo_before = ?, player2_elo_before = ?, player1_elo_after = ?, player2_elo_after = ? WHERE id = ?',
+            [rated.before1, rated.before2, rated.after1, rated.after2, match.id]
+        );
+        const sides = [
+            [match.player1_roster_id, rated.before1, rated.after1],
+            [match.player2_roster_id, rated.before2, rated.after2]
+        ];
+        for (const [rosterId, before, after] of sides) {
+            await tx.run(
+                'INSERT INTO elo_history (user_id, league_id, roster_id, match_id, elo_before, elo_after, elo_change, recorded_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [replay.roster.get(rosterId).row.user_id || null, leagueId, rosterId, match.id, before, after, after - before, match.played_at]
+            );
+        }
+    }
+
+    for (const [rosterId, { state }] of replay.roster) {
+        await tx.run(
+            'UPDATE league_roster SET current_elo = ?, rating_deviation = ?, rating_volatility = ? WHERE league_id = ? AND id = ?',
+            [state.rating, state.deviation, state.volatility, leagueId, rosterId]
+        );
+    }
+
+    await replayDoublesRatings(tx, leagueId);
+
+    return summarizeReplay(replay);
+}
+
+/**
+ * Recompute a league's full rating history from its accepted matches
+ *
+ * See applyLeagueRecalculation. With dryRun nothing is written and only the
+ * per-roster singles diff is returned.
+ * @param {number} leagueId - League ID
+ * @param {Object} [options] - { dryRun }
+ * @returns {Promise<Object>} Replay summary (see summarizeReplay)
+ */
+async function recalculateLeagueRatings(leagueId, { dryRun = false } = {}) {
+    if (dryRun) {
+        return summarizeReplay(await replayLeagueRatings(database, leagueId));
+    }
+
+    const result = await database.withTransaction((tx) => applyLeagueRecalculation(tx, leagueId));
+
+    await markLeagueSnapshotDirty(leagueId);
+    return result;
+}
+
+module.exports = {
+    replayLeagueRatings,
+    applyLeagueRecalculation,
+    recalculateLeagueRatings
+};
@@ -0,0 +1,142 @@
+/**
+ * Live updates pushed to signed-in clients over Server-Sent Events
+ *
+ * Each open GET /api/events stream is kept in memory together with its user.
+ * Events either go to one user (`notification`) or to everyone who can see a
+ * league (`match_updated`, `league_updated`): anyone for public leagues, else
+ * the league's members and site admins. Events carry ids only; clients refetch
+ * what changed through the regular API.
+ *
+ * Streams only reach clients connected to the same process, so serverless
+ * deployments (VERCEL, or REALTIME_MODE=poll) tell clients to poll instead.
+ */
+
+const database = require('../models/database');
+
+const REALTIME_MODES = ['sse', 'poll'];
+const DEFAULT_POLL_INTERVAL_SECONDS = 60;
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_SECONDS = 25;
+// A user's oldest stream is closed when they open more than this (one per tab)
+const MAX_STREAMS_PER_USER = 5;
+// Delay before the browser reconnects a dropped stream
+const RECONNECT_MS = 5000;
+
+const streams = new Set();
+let lastEventId = 0;
+
+/**
+ * { mode: 'sse' | 'poll', poll_interval_seconds } for clients
+ */
+function getRealtimeConfig(env = process.env) {
+    const requested = String(env.REALTIME_MODE || '').toLowerCase();
+    const mode = REALTIME_MODES.includes(requested) ? requested : (env.VERCEL ? 'poll' : 'sse');
+    const interval = parseInt(env.REALTIME_POLL_SECONDS, 10);
+    return { mode, poll_interval_seconds: interval > 0 ? interval : DEFAULT_POLL_INTERVAL_SECONDS };
+}
+
+/**
+ * One event in text/event-stream format
+ */
+function formatEvent(id, type, data) {
+    return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function closeStream(stream) {
+    if (!streams.delete(stream)) return;
+    clearInterval(stream.heartbeat);
+    clearTimeout(stream.expiry);
+    stream.res.end();
+}
+
+/**
+ * Turn a response into an event stream for `user`. The stream ends when the
+ * access token expires (`expiresAt`, ms), so revoked sessions do not keep
+ * receiving events; clients reconnect with a fresh token.
+ */
+function openStream(req, res, { user, expiresAt = null }) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        // no-transform keeps compression() from buffering the stream
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const own = [...streams].filter((stream) => stream.user.id === user.id);
+    if (own.length >= MAX_STREAMS_PER_USER) {
+        closeStream(own[0]);
+    }
+
+    const stream = { user: { id: user.id, is_admin: !!user.is_admin }, res };
+    stream.heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+    if (expiresAt) {
+        stream.expiry = setTimeout(() => closeStream(stream), Math.max(expiresAt - Date.now(), 0));
+    }
+    streams.add(stream);
+    req.on('close', () => closeStream(stream));
+
+    res.write(`retry: ${RECONNECT_MS}\n`);
+    res.write(formatEvent(++lastEventId, 'ready', { user_id: user.id }));
+    return stream;
+}
+
+function deliver(targets, type, data) {
+    if (targets.length === 0) return;
+    const payload = formatEvent(++lastEventId, type, data);
+    for (const stream of targets) {
+        stream.res.write(payload);
+    }
+}
+
+/**
+ * Push an event to every open stream of one user
+ */
+function publishToUser(userId, type, data = {}) {
+    deliver([...streams].filter((stream) => stream.user.id === userId), type, data);
+}
+
+/**
+ * Streams allowed to see a league, mirroring getVisibleLeague in utils/leagueAccess.js
+ */
+async function leagueAudience(leagueId) {
+    const league = await database.get('SELECT is_public FROM leagues WHERE id = ? AND is_active = ?', [leagueId, true]);
+    if (!league) return [];
+    if (league.is_public) return [...streams];
+    const members = await database.all('SELECT user_id FROM league_roster WHERE league_id = ? AND user_id IS NOT NULL', [leagueId]);
+    const memberIds = new Set(members.map((row) => row.user_id));
+    return [...streams].filter((stream) => stream.user.is_admin || memberIds.has(stream.user.id));
+}
+
+/**
+ * Push an event about a league to everyone who can see it. Does not wait and
+ * never throws: live updates are best effort.
+ */
+function publishToLeague(leagueId, type, data = {}) {
+    if (streams.size === 0 || !leagueId) return;
+    const id = Number(leagueId);
+    leagueAudience(id)
+        .then((targets) => deliver(targets, type, { league_id: id, ...data }))
+        .catch((error) => console.error('Live update error:', error));
+}
+
+/**
+ * Run `callback` once `db` has committed when it is a transaction, else right away
+ */
+function onCommit(db, callback) {
+    if (typeof db?.afterCommit === 'function') {
+        db.afterCommit(callback);
+    } else {
+        callback();
+    }
+}
+
+module.exports = {
+    getRealtimeConfig,
+    formatEvent,
+    openStream,
+    publishToUser,
+    publishToLeague,
+    onCommit
+};
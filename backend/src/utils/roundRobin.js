@@ -0,0 +1,75 @@
+/**
+ * Round-robin fixture generation (circle method).
+ *
+ * One player stays fixed while the others rotate one position per round, so
+ * every pairing occurs exactly once per leg. With an odd number of players a
+ * bye slot is added and whoever is paired with it sits the round out.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Generate round-robin pairings
+ * @param {number[]} rosterIds - Participating roster entry IDs
+ * @param {Object} [options]
+ * @param {boolean} [options.doubleRoundRobin=false] - Add a second leg with home/away swapped
+ * @returns {Array<{round: number, leg: number, player1_roster_id: number, player2_roster_id: number}>}
+ */
+function generateRoundRobin(rosterIds, { doubleRoundRobin = false } = {}) {
+    const slots = [...rosterIds];
+    if (slots.length < 2) return [];
+    if (slots.length % 2 === 1) slots.push(null);
+
+    const slotCount = slots.length;
+    const roundsPerLeg = slotCount - 1;
+    const fixtures = [];
+    let rotation = slots;
+
+    for (let r = 0; r < roundsPerLeg; r++) {
+        for (let i = 0; i < slotCount / 2; i++) {
+            let home = rotation[i];
+            let away = rotation[slotCount - 1 - i];
+            if (home == null || away == null) continue;
+            // Alternate the fixed player's side so nobody is always listed first.
+            if (i === 0 && r % 2 === 1) {
+                [home, away] = [away, home];
+            }
+            fixtures.push({ round: r + 1, leg: 1, player1_roster_id: home, player2_roster_id: away });
+        }
+        rotation = [rotation[0], rotation[slotCount - 1], ...rotation.slice(1, slotCount - 1)];
+    }
+
+    if (doubleRoundRobin) {
+        const firstLeg = [...fixtures];
+        firstLeg.forEach((fixture) => {
+            fixtures.push({
+                round: fixture.round + roundsPerLeg,
+                leg: 2,
+                player1_roster_id: fixture.player2_roster_id,
+                player2_roster_id: fixture.player1_roster_id
+            });
+        });
+    }
+
+    return fixtures;
+}
+
+/**
+ * Assign due dates to fixtures, one round per interval
+ * @param {Array<{round: number}>} fixtures - Generated fixtures
+ * @param {string} startDate - Due date of round 1 (YYYY-MM-DD)
+ * @param {number} intervalDays - Days between rounds
+ * @returns {Array<Object>} Fixtures with a due_date (YYYY-MM-DD)
+ */
+function scheduleFixtures(fixtures, startDate, intervalDays) {
+    const start = Date.parse(`${startDate}T00:00:00Z`);
+    return fixtures.map((fixture) => ({
+        ...fixture,
+        due_date: new Date(start + (fixture.round - 1) * intervalDays * DAY_MS).toISOString().slice(0, 10)
+    }));
+}
+
+module.exports = {
+    generateRoundRobin,
+    scheduleFixtures
+};
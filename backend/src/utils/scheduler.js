@@ -0,0 +1,90 @@
+/**
+ * Background jobs
+ *
+ * Each job can run three ways:
+ * - in-process: startScheduler() runs every job on its interval while the API server is up
+ *   (not on Vercel, where functions do not stay alive; disable with JOB_SCHEDULER=0)
+ * - CLI: `node scripts/run-job.js <name>` for system cron
+ * - HTTP: GET /api/cron/<name> with `Authorization: Bearer $CRON_SECRET` (Vercel cron)
+ * Jobs must be idempotent: the same job may be triggered from several places.
+ */
+
+const { runScheduledConsolidation } = require('./consolidation');
+const { runConfirmationTimeouts } = require('./matchAcceptance');
+const { runWeeklyDigests } = require('./leagueDigest');
+
+const minutes = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return (Number.isFinite(value) && value > 0 ? value : fallback) * 60 * 1000;
+};
+
+const JOBS = {
+    // Consolidates weekly/monthly leagues once their period has ended
+    consolidation: {
+        intervalMs: minutes('CONSOLIDATION_INTERVAL_MINUTES', 60),
+        run: (triggeredVia) => runScheduledConsolidation({ triggeredVia })
+    },
+    // Accepts results whose opponent did not confirm or dispute them in time
+    match_confirmations: {
+        intervalMs: minutes('CONFIRMATION_INTERVAL_MINUTES', 15),
+        run: () => runConfirmationTimeouts()
+    },
+    // Sends each league's summary of the last finished week to its members
+    weekly_digest: {
+        intervalMs: minutes('DIGEST_INTERVAL_MINUTES', 60),
+        run: (triggeredVia) => runWeeklyDigests({ triggeredVia })
+    }
+};
+
+const running = new Set();
+let timers = [];
+
+/**
+ * Run a job once; a job that is still running is not started again
+ * @param {string} name - Job name (key of JOBS)
+ * @param {string} triggeredVia - 'scheduler', 'cron' or 'cli'
+ * @returns {Promise<Object>} { job, skipped } or { job, result }
+ */
+async function runJob(name, triggeredVia) {
+    const job = JOBS[name];
+    if (!job) {
+        throw new Error(`Unknown job: ${name}`);
+    }
+    if (running.has(name)) {
+        return { job: name, skipped: true };
+    }
+    running.add(name);
+    try {
+        const result = await job.run(triggeredVia);
+        return { job: name, result };
+    } finally {
+        running.delete(name);
+    }
+}
+
+function startScheduler() {
+    if (process.env.JOB_SCHEDULER === '0' || timers.length > 0) return;
+
+    const tick = (name) => runJob(name, 'scheduler').catch((error) => {
+        console.error(`Job ${name} failed:`, error);
+    });
+    timers = Object.entries(JOBS).map(([name, job]) => {
+        tick(name);
+        const timer = setInterval(() => tick(name), job.intervalMs);
+        timer.unref();
+        return timer;
+    });
+    console.log(`⏱️  Job scheduler started (${Object.keys(JOBS).join(', ')})`);
+}
+
+function stopScheduler() {
+    timers.forEach((timer) => clearInterval(timer));
+    timers = [];
+}
+
+module.exports = {
+    JOBS,
+    runJob,
+    startScheduler,
+    stopScheduler
+};
@@ -0,0 +1,232 @@
+/**
+ * League seasons
+ *
+ * A league has at most one active season; every match recorded while it is active
+ * gets its season_id. Starting a season applies its rating reset to the roster:
+ * - carry_over: ratings are kept
+ * - soft: every rating moves toward the league's starting ELO by reset_factor
+ *   (0.5 halves the distance)
+ * - hard: every rating restarts from the starting ELO
+ * Doubles ratings are reset the same way. Closing a season freezes the leaderboard
+ * into season_standings.
+ */
+
+const database = require('../models/database');
+const { getLeagueRatingSettings } = require('./ratingEngines');
+const { createNotification } = require('./notifications');
+
+const SEASON_RATING_RESETS = ['carry_over', 'soft', 'hard'];
+const DEFAULT_SOFT_RESET_FACTOR = 0.5;
+
+/**
+ * Apply a season's rating reset to a single rating
+ * @param {number|null} rating - Rating before the season (null = unrated)
+ * @param {Object} season - { rating_reset, reset_factor }
+ * @param {number} startingElo - League starting ELO
+ * @returns {number|null} Rating at the start of the season
+ */
+function resetRating(rating, season, startingElo) {
+    if (rating == null || season.rating_reset === 'carry_over') {
+        return rating;
+    }
+    if (season.rating_reset === 'hard') {
+        return startingElo;
+    }
+    const factor = season.reset_factor ?? DEFAULT_SOFT_RESET_FACTOR;
+    return Math.round(startingElo + (rating - startingElo) * (1 - factor));
+}
+
+/**
+ * Apply a season's rating reset to an engine state
+ * A hard reset also restores the engine's initial uncertainty; the rated-match
+ * count is kept so provisional K-factors are not granted again.
+ * @returns {Object} Rating state at the start of the season
+ */
+function resetRatingState(engine, state, season, config) {
+    if (season.rating_reset === 'hard') {
+        return { ...engine.initialState(config.starting_elo), matchesPlayed: state.matchesPlayed };
+    }
+    return { ...state, rating: resetRating(state.rating, season, config.starting_elo) };
+}
+
+async function getActiveSeason(leagueId, tx = database) {
+    return tx.get(
+        `SELECT id, league_id, name, status, start_date, end_date, rating_reset, reset_factor
+         FROM seasons WHERE league_id = ? AND status = ?`,
+        [leagueId, 'active']
+    );
+}
+
+/**
+ * Reset the stored doubles ratings (players and fixed pairs) of a league for a new season
+ */
+async function resetDoublesRatings(tx, leagueId, season, config) {
+    if (season.rating_reset === 'carry_over') return;
+
+    const players = await tx.all(
+        'SELECT id, doubles_elo FROM league_roster WHERE league_id = ? AND doubles_elo IS NOT NULL',
+        [leagueId]
+    );
+    for (const player of players) {
+        await tx.run(
+            'UPDATE league_roster SET doubles_elo = ? WHERE id = ?',
+            [resetRating(player.doubles_elo, season, config.starting_elo), player.id]
+        );
+    }
+
+    const pairs = await tx.all(
+        'SELECT id, current_elo FROM league_doubles_pairs WHERE league_id = ? AND current_elo IS NOT NULL',
+        [leagueId]
+    );
+    for (const pair of pairs) {
+        await tx.run(
+            'UPDATE league_doubles_pairs SET current_elo = ? WHERE id = ?',
+            [resetRating(pair.current_elo, season, config.starting_elo), pair.id]
+        );
+    }
+}
+
+/**
+ * Apply a new season's rating reset to every roster entry of the league
+ * @param {Object} tx - Transaction
+ * @param {number} leagueId - League ID
+ * @param {Object} season - { rating_reset, reset_factor }
+ * @returns {Promise<number>} Number of roster entries whose rating changed
+ */
+async function applySeasonReset(tx, leagueId, season) {
+    if (season.rating_reset === 'carry_over') return 0;
+
+    const { engine, config } = await getLeagueRatingSettings(leagueId, tx);
+    const roster = await tx.all(
+        'SELECT id, current_elo, rating_deviation, rating_volatility FROM league_roster WHERE league_id = ?',
+        [leagueId]
+    );
+    let changed = 0;
+    for (const row of roster) {
+        const state = resetRatingState(engine, {
+            rating: row.current_elo,
+            deviation: row.rating_deviation,
+            volatility: row.rating_volatility,
+            matchesPlayed: 0
+        }, season, config);
+        if (state.rating !== row.current_elo) changed += 1;
+        await tx.run(
+            'UPDATE league_roster SET current_elo = ?, rating_deviation = ?, rating_volatility = ? WHERE id = ?',
+            [state.rating, state.deviation, state.volatility, row.id]
+        );
+    }
+
+    await resetDoublesRatings(tx, leagueId, season, config);
+    return changed;
+}
+
+/**
+ * Season resets to apply while replaying a league's matches in played order
+ *
+ * Before a match is rated, the resets of its season and of every earlier season not yet
+ * applied are run through applyReset; finish() applies the resets of seasons that have
+ * no rated match yet. Matches from before the first season (season_id NULL) trigger nothing.
+ * @param {Object} tx - Transaction
+ * @param {number} leagueId - League ID
+ * @param {Function} applyReset - (season) => void | Promise<void>
+ * @returns {Promise<{beforeMatch: Function, finish: Function}>}
+ */
+async function createSeasonResetReplay(tx, leagueId, applyReset) {
+    const seasons = await tx.all(
+        'SELECT id, rating_reset, reset_factor FROM seasons WHERE league_id = ? ORDER BY id ASC',
+        [leagueId]
+    );
+    const ordinals = new Map(seasons.map((season, index) => [season.id, index]));
+    let next = 0;
+
+    const advanceTo = async (index) => {
+        while (next <= index) {
+            await applyReset(seasons[next]);
+            next += 1;
+        }
+    };
+
+    return {
+        beforeMatch: async (match) => {
+            if (match.season_id == null || !ordinals.has(match.season_id)) return;
+            await advanceTo(ordinals.get(match.season_id));
+        },
+        finish: () => advanceTo(seasons.length - 1)
+    };
+}
+
+/**
+ * Current standings of a season: participating roster entries ranked by rating,
+ * with their accepted singles record in that season
+ * @returns {Promise<Array<Object>>} Rows with final_rank, roster_id, user_id, username, display_name, final_elo, matches_played, matches_won
+ */
+async function computeSeasonStandings(tx, leagueId, seasonId) {
+    const rows = await tx.all(
+        `SELECT lr.id as roster_id, lr.user_id, u.username,
+                COALESCE(lr.display_name, u.username) as display_name,
+                lr.current_elo as final_elo,
+                COUNT(m.id) as matches_played,
+                COUNT(CASE WHEN m.winner_roster_id = lr.id THEN 1 END) as matches_won
+         FROM league_roster lr
+         LEFT JOIN users u ON lr.user_id = u.id
+         LEFT JOIN matches m ON m.season_id = ? AND m.is_accepted = ? AND m.is_doubles = ?
+             AND (m.player1_roster_id = lr.id OR m.player2_roster_id = lr.id)
+         WHERE lr.league_id = ? AND lr.is_participating = ?
+         GROUP BY lr.id, lr.user_id, u.username, lr.display_name, lr.current_elo
+         ORDER BY lr.current_elo DESC, matches_won DESC, lr.id ASC`,
+        [seasonId, true, false, leagueId, true]
+    );
+    return rows.map((row, index) => ({
+        ...row,
+        final_rank: index + 1,
+        matches_played: Number(row.matches_played || 0),
+        matches_won: Number(row.matches_won || 0)
+    }));
+}
+
+/**
+ * Award the League Champion badge for a closed season
+ * @returns {Promise<number|null>} user_badges ID, or null when the champion is a placeholder
+ */
+async function awardSeasonChampionBadge(tx, league, season, championRosterId) {
+    const champion = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [championRosterId]);
+    if (!champion || !champion.user_id) return null;
+
+    const badge = await tx.get(
+        'SELECT id, name FROM badges WHERE badge_type = ? AND visibility = ? ORDER BY id ASC LIMIT 1',
+        ['league_winner', 'public']
+    );
+    if (!badge) return null;
+
+    const existing = await tx.get(
+        'SELECT id FROM user_badges WHERE user_id = ? AND badge_id = ? AND season_id = ?',
+        [champion.user_id, badge.id, season.id]
+    );
+    if (existing) return existing.id;
+
+    const award = await tx.run(
+        'INSERT INTO user_badges (user_id, badge_id, league_id, season, season_id) VALUES (?, ?, ?, ?, ?)',
+        [champion.user_id, badge.id, league.id, season.name, season.id]
+    );
+    await createNotification(tx, {
+        user_id: champion.user_id,
+        type: 'badge_earned',
+        title: 'Badge Earned!',
+        message: `Congratulations! You won the ${season.name} season of ${league.name} and earned the "${badge.name}" badge.`,
+        related_id: award.id
+    });
+    return award.id;
+}
+
+module.exports = {
+    SEASON_RATING_RESETS,
+    DEFAULT_SOFT_RESET_FACTOR,
+    resetRating,
+    resetRatingState,
+    getActiveSeason,
+    resetDoublesRatings,
+    applySeasonReset,
+    createSeasonResetReplay,
+    computeSeasonStandings,
+    awardSeasonChampionBadge
+};
@@ -0,0 +1,234 @@
+/**
+ * Login sessions with rotating refresh tokens
+ *
+ * Signing in creates a user_sessions row and hands out a short-lived access
+ * token (JWT carrying the session id as `sid`) plus an opaque refresh token.
+ * POST /api/auth/refresh swaps the refresh token for a new pair; the old one
+ * stops working. Presenting a replaced token again means it was copied, so
+ * the session is revoked - except right after a rotation, when another tab
+ * of the same browser may simply not have picked up the new token yet.
+ * Revoking a session locks out its access tokens at once, because
+ * authenticateToken only accepts tokens whose session is still open.
+ */
+
+const database = require('../models/database');
+const { generateToken, generateRefreshToken } = require('./jwt');
+const { hashToken } = require('./accountTokens');
+const { toTimestamp } = require('./timestamps');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const ROTATION_GRACE_SECONDS = 30;
+// Ended sessions are kept this long for reuse detection, then deleted
+const SESSION_RETENTION_DAYS = 30;
+
+class SessionError extends Error {
+    constructor(message, code, status = 401) {
+        super(message);
+        this.name = 'SessionError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const addSeconds = (date, seconds) => new Date(date.getTime() + seconds * 1000);
+
+/**
+ * Browser and operating system from a User-Agent header, for the sessions list
+ */
+function describeUserAgent(userAgent) {
+    const ua = String(userAgent || '');
+    let browser = null;
+    if (/Edg(e|A|iOS)?\//.test(ua)) browser = 'Edge';
+    else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+    else if (/SamsungBrowser\//.test(ua)) browser = 'Samsung Internet';
+    else if (/Firefox\/|FxiOS\//.test(ua)) browser = 'Firefox';
+    else if (/Chrome\/|CriOS\//.test(ua)) browser = 'Chrome';
+    else if (/Version\/[\d.]+.*Safari\//.test(ua)) browser = 'Safari';
+
+    let os = null;
+    if (/Windows NT/.test(ua)) os = 'Windows';
+    else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+    else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+    else if (/Android/.test(ua)) os = 'Android';
+    else if (/CrOS/.test(ua)) os = 'ChromeOS';
+    else if (/Linux/.test(ua)) os = 'Linux';
+
+    return { browser, os };
+}
+
+/**
+ * Device details stored with a session
+ */
+function sessionMetadata(req) {
+    return {
+        user_agent: (req.get('user-agent') || '').slice(0, 500) || null,
+        ip_address: (req.ip || '').slice(0, 64) || null,
+    };
+}
+
+/**
+ * Open a session for a user who just signed in.
+ * Returns { token, refresh_token, session_id }.
+ */
+async function createSession(user, { user_agent = null, ip_address = null } = {}, now = new Date()) {
+    const refreshToken = generateRefreshToken();
+    const cutoff = toTimestamp(addSeconds(now, -SESSION_RETENTION_DAYS * 86400));
+    await database.run(
+        'DELETE FROM user_sessions WHERE user_id = ? AND (expires_at < ? OR revoked_at < ?)',
+        [user.id, cutoff, cutoff]
+    );
+    const result = await database.run(
+        `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            user.id,
+            hashToken(refreshToken),
+            user_agent,
+            ip_address,
+            toTimestamp(now),
+            toTimestamp(now),
+            toTimestamp(addSeconds(now, REFRESH_TOKEN_TTL_DAYS * 86400)),
+        ]
+    );
+    return { token: generateToken(user, result.id), refresh_token: refreshToken, session_id: result.id };
+}
+
+async function revokeSessionById(sessionId, reason, now = new Date()) {
+    const result = await database.run(
+        'UPDATE user_sessions SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+        [toTimestamp(now), reason, sessionId]
+    );
+    return result.changes > 0;
+}
+
+/**
+ * Exchange a refresh token for a new access and refresh token.
+ * Throws SessionError when the token cannot be used.
+ */
+async function rotateSession(refreshToken, { user_agent = null, ip_address = null } = {}, now = new Date()) {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        throw new SessionError('Refresh token required', 'REFRESH_TOKEN_REQUIRED', 400);
+    }
+    const tokenHash = hashToken(refreshToken);
+    const nowTs = toTimestamp(now);
+
+    const session = await database.get(
+        `SELECT id, user_id, revoked_at,
+                CASE WHEN expires_at > ? THEN 1 ELSE 0 END AS is_current
+         FROM user_sessions WHERE refresh_token_hash = ?`,
+        [nowTs, tokenHash]
+    );
+
+    if (!session) {
+        const replaced = await database.get(
+            `SELECT id, CASE WHEN rotated_at > ? THEN 1 ELSE 0 END AS recently_rotated
+             FROM user_sessions WHERE previous_token_hash = ? AND revoked_at IS NULL`,
+            [toTimestamp(addSeconds(now, -ROTATION_GRACE_SECONDS)), tokenHash]
+        );
+        if (replaced && Number(replaced.recently_rotated)) {
+            throw new SessionError('Refresh token was already rotated', 'REFRESH_TOKEN_ROTATED');
+        }
+        if (replaced) {
+            await revokeSessionById(replaced.id, 'reuse', now);
+            throw new SessionError('Refresh token was used twice; the session has been ended', 'REFRESH_TOKEN_REUSED');
+        }
+        throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+    if (session.revoked_at || !Number(session.is_current)) {
+        throw new SessionError('Session has ended, please sign in again', 'SESSION_EXPIRED');
+    }
+
+    const user = await database.get('SELECT id, username, is_admin FROM users WHERE id = ?', [session.user_id]);
+    if (!user) {
+        throw new SessionError('User not found', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const nextToken = generateRefreshToken();
+    // Matching on the old hash makes a concurrent refresh with the same token lose cleanly
+    const result = await database.run(
+        `UPDATE user_sessions
+         SET refresh_token_hash = ?, previous_token_hash = ?, rotated_at = ?, last_used_at = ?, expires_at = ?,
+             user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address)
+         WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+        [
+            hashToken(nextToken),
+            tokenHash,
+            nowTs,
+            nowTs,
+            toTimestamp(addSeconds(now, REFRESH_TOKEN_TTL_DAYS * 86400)),
+            user_agent,
+            ip_address,
+            session.id,
+            tokenHash,
+        ]
+    );
+    if (result.changes !== 1) {
+        throw new SessionError('Refresh token was already rotated', 'REFRESH_TOKEN_ROTATED');
+    }
+    return { token: generateToken(user, session.id), refresh_token: nextToken, session_id: session.id };
+}
+
+/**
+ * Open sessions of a user, most recently used first
+ */
+async function listSessions(userId, now = new Date()) {
+    const rows = await database.all(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM user_sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+         ORDER BY last_used_at DESC, id DESC`,
+        [userId, toTimestamp(now)]
+    );
+    return rows.map((row) => ({ ...row, ...describeUserAgent(row.user_agent) }));
+}
+
+/**
+ * End one of the user's sessions; false when it is not theirs or already ended
+ */
+async function revokeSession(userId, sessionId, reason = 'revoked', now = new Date()) {
+    const result = await database.run(
+        'UPDATE user_sessions SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+        [toTimestamp(now), reason, sessionId, userId]
+    );
+    return result.changes > 0;
+}
+
+/**
+ * End the session a refresh token belongs to (sign-out); false when there is none
+ */
+async function revokeSessionByRefreshToken(refreshToken, now = new Date()) {
+    if (typeof refreshToken !== 'string' || !refreshToken) return false;
+    const result = await database.run(
+        'UPDATE user_sessions SET revoked_at = ?, revoked_reason = ? WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+        [toTimestamp(now), 'logout', hashToken(refreshToken)]
+    );
+    return result.changes > 0;
+}
+
+/**
+ * End all of a user's sessions, optionally keeping one (the caller's own).
+ * Returns the number of sessions ended.
+ */
+async function revokeUserSessions(userId, { exceptSessionId = null, reason = 'revoked' } = {}, now = new Date()) {
+    const params = [toTimestamp(now), reason, userId];
+    let sql = 'UPDATE user_sessions SET revoked_at = ?, revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL';
+    if (exceptSessionId) {
+        sql += ' AND id != ?';
+        params.push(exceptSessionId);
+    }
+    const result = await database.run(sql, params);
+    return result.changes;
+}
+
+module.exports = {
+    REFRESH_TOKEN_TTL_DAYS,
+    SessionError,
+    describeUserAgent,
+    sessionMetadata,
+    createSession,
+    rotateSession,
+    listSessions,
+    revokeSession,
+    revokeSessionByRefreshToken,
+    revokeUserSessions
+};
@@ -0,0 +1,135 @@
+/**
+ * Per-set analytics of a roster entry, built from match_sets.
+ * Matches are first oriented towards the roster entry's side (orientRosterMatch),
+ * then aggregated (analyzeMatches). Matches without recorded sets still count
+ * towards the match record and game types, but not towards the per-set figures.
+ */
+
+// Both players reached 10 points: the set had to be won by two clear points
+const DEUCE_POINTS = 10;
+
+const roundTo = (value, digits) => {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+};
+
+const rate = (won, played) => (played > 0 ? Math.round((won / played) * 100) : 0);
+
+const average = (values) => (
+    values.length > 0 ? roundTo(values.reduce((sum, v) => sum + v, 0) / values.length, 1) : null
+);
+
+/**
+ * Maximum number of sets for a game type ('best_of_5' -> 5)
+ */
+function getMaxSets(gameType) {
+    const match = /^best_of_(\d+)$/.exec(gameType || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Orient a match (singles or doubles) towards the side of a roster entry
+ * @param {Object} match - matches row
+ * @param {Array} sets - its match_sets rows, ordered by set_number
+ * @param {number} rosterId - roster entry the analytics are for
+ */
+function orientRosterMatch(match, sets, rosterId) {
+    const onSide1 = match.player1_roster_id === rosterId || match.player1_partner_roster_id === rosterId;
+    const mine = onSide1 ? 'player1' : 'player2';
+    const theirs = onSide1 ? 'player2' : 'player1';
+    return {
+        game_type: match.game_type,
+        won: match.winner_roster_id === match[`${mine}_roster_id`],
+        own_sets_won: match[`${mine}_sets_won`] || 0,
+        opponent_sets_won: match[`${theirs}_sets_won`] || 0,
+        sets: (sets || []).map(set => ({
+            own: set[`${mine}_score`],
+            opponent: set[`${theirs}_score`]
+        }))
+    };
+}
+
+/**
+ * Aggregate oriented matches into the playing profile figures
+ * @param {Array} matches - results of orientRosterMatch()
+ */
+function analyzeMatches(matches) {
+    const deuce = { played: 0, won: 0 };
+    const comebacks = { opportunities: 0, won: 0 };
+    const deciding = { played: 0, won: 0 };
+    let setsPlayed = 0;
+    let setsWon = 0;
+    const wonMargins = [];
+    const lostMargins = [];
+    const byGameType = new Map();
+
+    for (const match of matches) {
+        const typeStats = byGameType.get(match.game_type) || {
+            game_type: match.game_type, matches: 0, wins: 0, sets_won: 0, sets_lost: 0
+        };
+        typeStats.matches += 1;
+        if (match.won) typeStats.wins += 1;
+        typeStats.sets_won += match.own_sets_won;
+        typeStats.sets_lost += match.opponent_sets_won;
+        byGameType.set(match.game_type, typeStats);
+
+        // Deciding set: the match went the full distance of its format
+        const maxSets = getMaxSets(match.game_type);
+        if (maxSets > 1 && match.own_sets_won + match.opponent_sets_won === maxSets) {
+            deciding.played += 1;
+            if (match.won) deciding.won += 1;
+        }
+
+        if (match.sets.length === 0) continue;
+
+        if (match.sets[0].own < match.sets[0].opponent) {
+            comebacks.opportunities += 1;
+            if (match.won) comebacks.won += 1;
+        }
+
+        for (const set of match.sets) {
+            const margin = set.own - set.opponent;
+            if (margin === 0) continue;
+            setsPlayed += 1;
+            if (margin > 0) {
+                setsWon += 1;
+                wonMargins.push(margin);
+            } else {
+                lostMargins.push(-margin);
+            }
+            if (Math.min(set.own, set.opponent) >= DEUCE_POINTS) {
+                deuce.played += 1;
+                if (margin > 0) deuce.won += 1;
+            }
+        }
+    }
+
+    const wins = matches.filter(m => m.won).length;
+    return {
+        matches: matches.length,
+        wins,
+        win_rate: rate(wins, matches.length),
+        sets_played: setsPlayed,
+        sets_won: setsWon,
+        set_win_rate: rate(setsWon, setsPlayed),
+        deuce_sets: { ...deuce, win_rate: rate(deuce.won, deuce.played) },
+        // Matches won after losing the first set, out of all matches with a lost first set
+        comebacks: { ...comebacks, win_rate: rate(comebacks.won, comebacks.opportunities) },
+        deciding_sets: { ...deciding, win_rate: rate(deciding.won, deciding.played) },
+        average_margin: {
+            won: average(wonMargins),
+            lost: average(lostMargins),
+            overall: average([...wonMargins, ...lostMargins.map(m => -m)])
+        },
+        by_game_type: [...byGameType.values()]
+            .sort((a, b) => (getMaxSets(a.game_type) || 0) - (getMaxSets(b.game_type) || 0))
+            .map(stats => ({ ...stats, win_rate: rate(stats.wins, stats.matches) }))
+    };
+}
+
+module.exports = {
+    DEUCE_POINTS,
+    getMaxSets,
+    orientRosterMatch,
+    analyzeMatches
+};
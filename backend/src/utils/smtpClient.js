@@ -0,0 +1,187 @@
+/**
+ * Minimal SMTP client for the mailer's smtp transport
+ *
+ * Covers what a transactional mail relay needs: implicit TLS (port 465) or
+ * STARTTLS, AUTH PLAIN/LOGIN, one message per connection.
+ */
+
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+class SmtpError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'SmtpError';
+        this.code = code;
+    }
+}
+
+/**
+ * Normalize line endings to CRLF and escape lines starting with a dot (RFC 5321 4.5.2)
+ */
+function dotStuff(data) {
+    return String(data)
+        .replace(/\r?\n/g, '\r\n')
+        .split('\r\n')
+        .map((line) => (line.startsWith('.') ? `.${line}` : line))
+        .join('\r\n');
+}
+
+/**
+ * "Leagues <no-reply@example.com>" -> "no-reply@example.com"
+ */
+function envelopeAddress(address) {
+    const match = /<([^>]+)>/.exec(String(address));
+    return (match ? match[1] : String(address)).trim();
+}
+
+// Reads multi-line replies ("250-..." continued, "250 ..." final) off a socket
+class ReplyReader {
+    constructor() {
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiting = [];
+        this.error = null;
+    }
+
+    attach(socket) {
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => this.push(chunk));
+        socket.on('error', (error) => this.fail(error));
+        socket.on('close', () => this.fail(new SmtpError('Connection closed by the SMTP server')));
+    }
+
+    push(chunk) {
+        this.buffer += chunk;
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line.slice(4));
+            if (line[3] !== '-') {
+                const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines };
+                this.lines = [];
+                const waiter = this.waiting.shift();
+                if (waiter) waiter.resolve(reply);
+                else this.replies.push(reply);
+            }
+        }
+    }
+
+    fail(error) {
+        if (this.error) return;
+        this.error = error;
+        for (const waiter of this.waiting.splice(0)) waiter.reject(error);
+    }
+
+    next() {
+        if (this.replies.length) return Promise.resolve(this.replies.shift());
+        if (this.error) return Promise.reject(this.error);
+        return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+    }
+}
+
+function connect({ host, port, secure, timeoutMs, rejectUnauthorized }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+            : net.connect({ host, port });
+        socket.setTimeout(timeoutMs, () => socket.destroy(new SmtpError(`SMTP connection to ${host}:${port} timed out`)));
+        socket.once('error', reject);
+        socket.once(secure ? 'secureConnect' : 'connect', () => {
+            socket.removeListener('error', reject);
+            resolve(socket);
+        });
+    });
+}
+
+function upgradeToTls(socket, { host, timeoutMs, rejectUnauthorized }) {
+    return new Promise((resolve, reject) => {
+        socket.removeAllListeners('data');
+        socket.removeAllListeners('close');
+        socket.removeAllListeners('error');
+        const secured = tls.connect({ socket, servername: host, rejectUnauthorized });
+        secured.setTimeout(timeoutMs, () => secured.destroy(new SmtpError('SMTP connection timed out')));
+        secured.once('error', reject);
+        secured.once('secureConnect', () => {
+            secured.removeListener('error', reject);
+            resolve(secured);
+        });
+    });
+}
+
+/**
+ * Deliver one message.
+ *
+ * options: { host, port, secure, user, pass, name, timeoutMs, rejectUnauthorized }
+ * envelope: { from, to: [addresses] }; data is the complete MIME message.
+ */
+async function sendSmtp(options, { from, to }, data) {
+    const settings = {
+        port: options.secure ? 465 : 587,
+        name: os.hostname(),
+        timeoutMs: 15000,
+        rejectUnauthorized: true,
+        ...options,
+    };
+    let socket = await connect(settings);
+    let reader = new ReplyReader();
+    reader.attach(socket);
+
+    const expect = async (codes, step) => {
+        const reply = await reader.next();
+        if (!codes.includes(reply.code)) {
+            throw new SmtpError(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+        }
+        return reply;
+    };
+    const command = (line, codes, step = line.split(' ')[0]) => {
+        socket.write(`${line}\r\n`);
+        return expect(codes, step);
+    };
+
+    try {
+        await expect([220], 'greeting');
+        let capabilities = (await command(`EHLO ${settings.name}`, [250])).lines;
+
+        if (!settings.secure && capabilities.some((line) => /^STARTTLS\b/i.test(line))) {
+            await command('STARTTLS', [220]);
+            socket = await upgradeToTls(socket, settings);
+            reader = new ReplyReader();
+            reader.attach(socket);
+            capabilities = (await command(`EHLO ${settings.name}`, [250])).lines;
+        }
+
+        if (settings.user) {
+            const authLine = capabilities.find((line) => /^AUTH\b/i.test(line)) || '';
+            if (/\bPLAIN\b/i.test(authLine) || !/\bLOGIN\b/i.test(authLine)) {
+                const credentials = Buffer.from(`\0${settings.user}\0${settings.pass || ''}`).toString('base64');
+                await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+            } else {
+                await command('AUTH LOGIN', [334], 'AUTH');
+                await command(Buffer.from(settings.user).toString('base64'), [334], 'AUTH');
+                await command(Buffer.from(settings.pass || '').toString('base64'), [235], 'AUTH');
+            }
+        }
+
+        await command(`MAIL FROM:<${envelopeAddress(from)}>`, [250], 'MAIL FROM');
+        for (const recipient of to) {
+            await command(`RCPT TO:<${envelopeAddress(recipient)}>`, [250, 251], 'RCPT TO');
+        }
+        await command('DATA', [354]);
+        socket.write(`${dotStuff(data)}\r\n.\r\n`);
+        await expect([250], 'DATA');
+        try { await command('QUIT', [221]); } catch (_) {}
+    } finally {
+        socket.destroy();
+    }
+}
+
+module.exports = {
+    SmtpError,
+    dotStuff,
+    envelopeAddress,
+    sendSmtp
+};
@@ -0,0 +1,17 @@
+/**
+ * Timestamps as stored in the database
+ */
+
+/**
+ * 'YYYY-MM-DD HH:MM:SS' in UTC, the format CURRENT_TIMESTAMP is stored in, so
+ * computed times compare correctly with stored ones on SQLite and Postgres
+ * @param {Date} date
+ * @returns {string}
+ */
+function toTimestamp(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+module.exports = {
+    toTimestamp
+};
@@ -0,0 +1,157 @@
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s steps),
+ * as generated by authenticator apps, plus recovery codes for lost devices
+ */
+
+const crypto = require('crypto');
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Accept codes one step either side of now, for clock drift between phone and server
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// No 0/o, 1/l/i, so codes survive being written down
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * New shared secret, base32 encoded (160 bits, as RFC 4226 recommends)
+ */
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function timeStep(now = new Date()) {
+    return Math.floor(now.getTime() / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * HOTP value for a counter (RFC 4226 dynamic truncation)
+ */
+function hotp(key, counter, digits = TOTP_DIGITS) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = (digest.readUInt32BE(offset) & 0x7fffffff) % (10 ** digits);
+    return String(binary).padStart(digits, '0');
+}
+
+/**
+ * Code for a base32 secret at a time step
+ */
+function totpCode(secret, step = timeStep(), digits = TOTP_DIGITS) {
+    return hotp(base32Decode(secret), step, digits);
+}
+
+/**
+ * Time step the code matches within the drift window, or null. Steps at or
+ * before lastUsedStep are refused, so an observed code cannot be replayed.
+ */
+function verifyTotp(secret, code, { now = new Date(), lastUsedStep = null } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+    const key = base32Decode(secret);
+    const current = timeStep(now);
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset += 1) {
+        const step = current + offset;
+        if (lastUsedStep !== null && lastUsedStep !== undefined && step <= Number(lastUsedStep)) continue;
+        const expected = hotp(key, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI that authenticator apps read from the enrollment QR code
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+/**
+ * Single-use recovery codes like "k7m2p-x9qre"
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = [];
+    for (let i = 0; i < count; i += 1) {
+        let chars = '';
+        while (chars.length < 10) {
+            chars += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+        }
+        codes.push(`${chars.slice(0, 5)}-${chars.slice(5)}`);
+    }
+    return codes;
+}
+
+/**
+ * Hash stored for a recovery code; case, spaces and dashes do not matter
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+    TOTP_DIGITS,
+    TOTP_STEP_SECONDS,
+    RECOVERY_CODE_COUNT,
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    timeStep,
+    totpCode,
+    verifyTotp,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};
@@ -0,0 +1,322 @@
+/**
+ * Tournament bracket generation and advancement.
+ *
+ * Brackets are represented as flat lists of match nodes keyed by a stable
+ * `match_key` ("W1-1" = winners bracket, round 1, position 1; "L2-1" = losers
+ * bracket; "GF-1"/"GF-2" = grand final and its reset). Each node links forward
+ * to the match its winner (and, in double elimination, its loser) moves on to.
+ * All functions here are pure so they can be used both when generating a
+ * bracket and when replaying a recorded result against stored rows.
+ */
+
+const TOURNAMENT_FORMATS = ['single_elimination', 'double_elimination'];
+
+const MIN_PARTICIPANTS = 2;
+const MAX_PARTICIPANTS = 128;
+
+/**
+ * Sort roster entries into seeds (highest current ELO first)
+ * @param {Array<{id: number, current_elo: number}>} roster - Roster entries
+ * @returns {Array<{roster_id: number, seed: number, elo: number}>} Seeded participants
+ */
+function seedParticipants(roster) {
+    return [...roster]
+        .sort((a, b) => (b.current_elo - a.current_elo) || (a.id - b.id))
+        .map((entry, index) => ({
+            roster_id: entry.id,
+            seed: index + 1,
+            elo: entry.current_elo
+        }));
+}
+
+/**
+ * Smallest power of two that fits the given number of participants
+ * @param {number} count - Number of participants
+ * @returns {number} Bracket size
+ */
+function getBracketSize(count) {
+    let size = 1;
+    while (size < count) size *= 2;
+    return Math.max(size, 2);
+}
+
+/**
+ * Standard seeding order for a bracket of the given size, so that seed 1 and
+ * seed 2 can only meet in the final (e.g. size 8 -> [1, 8, 4, 5, 2, 7, 3, 6]).
+ * @param {number} size - Bracket size (power of two)
+ * @returns {number[]} Seed numbers in bracket slot order
+ */
+function getSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const total = order.length * 2 + 1;
+        order = order.flatMap((seed) => [seed, total - seed]);
+    }
+    return order;
+}
+
+function createNode(bracket, round, position) {
+    const prefix = bracket === 'winners' ? 'W' : bracket === 'losers' ? 'L' : 'GF';
+    return {
+        match_key: bracket === 'grand_final' ? `GF-${position}` : `${prefix}${round}-${position}`,
+        bracket,
+        round,
+        position,
+        player1_roster_id: null,
+        player2_roster_id: null,
+        entrants: 0,
+        winner_roster_id: null,
+        loser_roster_id: null,
+        status: 'pending',
+        next_match_key: null,
+        next_match_slot: null,
+        loser_next_match_key: null,
+        loser_next_match_slot: null
+    };
+}
+
+function link(from, to, slot, kind = 'winner') {
+    if (kind === 'winner') {
+        from.next_match_key = to.match_key;
+        from.next_match_slot = slot;
+    } else {
+        from.loser_next_match_key = to.match_key;
+        from.loser_next_match_slot = slot;
+    }
+}
+
+function buildWinnersBracket(size) {
+    const rounds = Math.log2(size);
+    const byRound = [];
+    for (let round = 1; round <= rounds; round++) {
+        const count = size / Math.pow(2, round);
+        const nodes = [];
+        for (let position = 1; position <= count; position++) {
+            nodes.push(createNode('winners', round, position));
+        }
+        byRound.push(nodes);
+    }
+    for (let r = 0; r < byRound.length - 1; r++) {
+        byRound[r].forEach((node, index) => {
+            link(node, byRound[r + 1][Math.floor(index / 2)], (index % 2) + 1);
+        });
+    }
+    return byRound;
+}
+
+function buildLosersBracket(winnersByRound) {
+    const k = winnersByRound.length;
+    const byRound = [];
+    for (let j = 1; j <= k - 1; j++) {
+        const count = winnersByRound[0].length / Math.pow(2, j);
+        const minor = [];
+        const major = [];
+        for (let position = 1; position <= count; position++) {
+            minor.push(createNode('losers', 2 * j - 1, position));
+            major.push(createNode('losers', 2 * j, position));
+        }
+
+        if (j === 1) {
+            // Losers of winners round 1 meet pairwise.
+            winnersByRound[0].forEach((node, index) => {
+                link(node, minor[Math.floor(index / 2)], (index % 2) + 1, 'loser');
+            });
+        } else {
+            byRound[byRound.length - 1].forEach((node, index) => {
+                link(node, minor[Math.floor(index / 2)], (index % 2) + 1);
+            });
+        }
+
+        // Survivors meet the drop-downs from the next winners round. The
+        // drop-downs are fed in reverse order to delay rematches.
+        const dropRound = winnersByRound[j];
+        minor.forEach((node, index) => {
+            link(node, major[index], 1);
+            link(dropRound[dropRound.length - 1 - index], major[index], 2, 'loser');
+        });
+
+        byRound.push(minor, major);
+    }
+    return byRound;
+}
+
+function collectFeeders(nodes) {
+    const feeders = new Map();
+    nodes.forEach((node) => feeders.set(node.match_key, []));
+    nodes.forEach((node) => {
+        if (node.next_match_key) feeders.get(node.next_match_key).push({ node, kind: 'winner' });
+        if (node.loser_next_match_key) feeders.get(node.loser_next_match_key).push({ node, kind: 'loser' });
+    });
+    return feeders;
+}
+
+function getSlotPlayers(node) {
+    return [node.player1_roster_id, node.player2_roster_id].filter((id) => id != null);
+}
+
+function placePlayer(nodesByKey, key, slot, rosterId) {
+    const target = nodesByKey.get(key);
+    if (slot === 1) target.player1_roster_id = rosterId;
+    else target.player2_roster_id = rosterId;
+    settleNode(nodesByKey, target);
+}
+
+/**
+ * Move a pending match forward once every expected entrant has arrived.
+ * Matches that can only ever receive one player are resolved as byes.
+ */
+function settleNode(nodesByKey, node) {
+    if (node.status !== 'pending' || node.match_key === 'GF-2') return;
+    const players = getSlotPlayers(node);
+    if (players.length < node.entrants) return;
+
+    if (node.entrants === 2) {
+        node.status = 'ready';
+        return;
+    }
+
+    node.status = 'bye';
+    if (node.entrants === 1) {
+        node.winner_roster_id = players[0];
+        if (node.next_match_key) {
+            placePlayer(nodesByKey, node.next_match_key, node.next_match_slot, players[0]);
+        }
+    }
+}
+
+/**
+ * Generate a bracket for seeded participants
+ * @param {string} format - 'single_elimination' or 'double_elimination'
+ * @param {Array<{roster_id: number, seed: number}>} seeds - Participants ordered by seed
+ * @returns {Array<Object>} Bracket match nodes in dependency order
+ */
+function generateBracket(format, seeds) {
+    if (!TOURNAMENT_FORMATS.includes(format)) {
+        throw new Error(`Unsupported tournament format: ${format}`);
+    }
+    if (seeds.length < MIN_PARTICIPANTS) {
+        throw new Error(`At least ${MIN_PARTICIPANTS} participants are required`);
+    }
+    if (seeds.length > MAX_PARTICIPANTS) {
+        throw new Error(`At most ${MAX_PARTICIPANTS} participants are supported`);
+    }
+
+    const size = getBracketSize(seeds.length);
+    const winnersByRound = buildWinnersBracket(size);
+    let nodes = winnersByRound.flat();
+
+    if (format === 'double_elimination') {
+        const losersByRound = buildLosersBracket(winnersByRound);
+        const grandFinal = createNode('grand_final', 1, 1);
+        const reset = createNode('grand_final', 2, 2);
+        const winnersFinal = winnersByRound[winnersByRound.length - 1][0];
+
+        link(winnersFinal, grandFinal, 1);
+        if (losersByRound.length > 0) {
+            const losersFinal = losersByRound[losersByRound.length - 1][0];
+            link(winnersFinal, losersFinal, 2, 'loser');
+            link(losersFinal, grandFinal, 2);
+        } else {
+            link(winnersFinal, grandFinal, 2, 'loser');
+        }
+
+        nodes = [...nodes, ...losersByRound.flat(), grandFinal, reset];
+    }
+
+    // Fill first-round slots; seeds beyond the participant count are byes.
+    const seedOrder = getSeedOrder(size);
+    const rosterBySeed = new Map(seeds.map((s) => [s.seed, s.roster_id]));
+    winnersByRound[0].forEach((node, index) => {
+        node.player1_roster_id = rosterBySeed.get(seedOrder[index * 2]) ?? null;
+        node.player2_roster_id = rosterBySeed.get(seedOrder[index * 2 + 1]) ?? null;
+    });
+
+    // Work out how many players can ever reach each match (nodes are in dependency order).
+    const feeders = collectFeeders(nodes);
+    nodes.forEach((node) => {
+        if (node.bracket === 'winners' && node.round === 1) {
+            node.entrants = getSlotPlayers(node).length;
+            return;
+        }
+        if (node.match_key === 'GF-2') {
+            node.entrants = 2;
+            return;
+        }
+        node.entrants = feeders.get(node.match_key).reduce((sum, { node: feeder, kind }) => {
+            if (kind === 'winner') return sum + (feeder.entrants >= 1 ? 1 : 0);
+            return sum + (feeder.entrants === 2 ? 1 : 0);
+        }, 0);
+    });
+
+    const nodesByKey = new Map(nodes.map((node) => [node.match_key, node]));
+    nodes.forEach((node) => settleNode(nodesByKey, node));
+    return nodes;
+}
+
+/**
+ * Apply a match result to a bracket
+ * @param {Array<Object>} nodes - Current bracket match nodes
+ * @param {string} matchKey - Key of the decided match
+ * @param {number} winnerRosterId - Roster ID of the winner
+ * @returns {{nodes: Array<Object>, changedKeys: string[], championRosterId: number|null}}
+ */
+function recordBracketResult(nodes, matchKey, winnerRosterId) {
+    const copies = nodes.map((node) => ({ ...node }));
+    const before = new Map(nodes.map((node) => [node.match_key, JSON.stringify(node)]));
+    const nodesByKey = new Map(copies.map((node) => [node.match_key, node]));
+    const node = nodesByKey.get(matchKey);
+
+    if (!node) {
+        throw new Error('Bracket match not found');
+    }
+    if (node.status !== 'ready') {
+        throw new Error('Bracket match is not ready to be played');
+    }
+    const players = getSlotPlayers(node);
+    if (!players.includes(winnerRosterId)) {
+        throw new Error('Winner is not a participant of this bracket match');
+    }
+
+    const loserRosterId = players.find((id) => id !== winnerRosterId);
+    node.winner_roster_id = winnerRosterId;
+    node.loser_roster_id = loserRosterId;
+    node.status = 'completed';
+
+    let championRosterId = null;
+    if (node.match_key === 'GF-1') {
+        const reset = nodesByKey.get('GF-2');
+        if (winnerRosterId === node.player1_roster_id) {
+            // Winners bracket champion is still unbeaten.
+            reset.status = 'skipped';
+            championRosterId = winnerRosterId;
+        } else {
+            reset.player1_roster_id = node.player1_roster_id;
+            reset.player2_roster_id = node.player2_roster_id;
+            reset.status = 'ready';
+        }
+    } else if (!node.next_match_key) {
+        championRosterId = winnerRosterId;
+    } else {
+        placePlayer(nodesByKey, node.next_match_key, node.next_match_slot, winnerRosterId);
+        if (node.loser_next_match_key) {
+            placePlayer(nodesByKey, node.loser_next_match_key, node.loser_next_match_slot, loserRosterId);
+        }
+    }
+
+    const changedKeys = copies
+        .filter((copy) => before.get(copy.match_key) !== JSON.stringify(copy))
+        .map((copy) => copy.match_key);
+
+    return { nodes: copies, changedKeys, championRosterId };
+}
+
+module.exports = {
+    TOURNAMENT_FORMATS,
+    MIN_PARTICIPANTS,
+    MAX_PARTICIPANTS,
+    seedParticipants,
+    getBracketSize,
+    getSeedOrder,
+    generateBracket,
+    recordBracketResult
+};
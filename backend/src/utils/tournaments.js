@@ -0,0 +1,199 @@
+const database = require('../models/database');
+const { recordBracketResult } = require('./tournamentBracket');
+const { createNotification } = require('./notifications');
+
+const BRACKET_NODE_COLUMNS = [
+    'match_key',
+    'bracket',
+    'round',
+    'position',
+    'player1_roster_id',
+    'player2_roster_id',
+    'entrants',
+    'winner_roster_id',
+    'loser_roster_id',
+    'status',
+    'next_match_key',
+    'next_match_slot',
+    'loser_next_match_key',
+    'loser_next_match_slot'
+];
+
+async function insertBracketNodes(tx, tournamentId, nodes) {
+    const columns = ['tournament_id', ...BRACKET_NODE_COLUMNS];
+    const placeholders = columns.map(() => '?').join(', ');
+    for (const node of nodes) {
+        await tx.run(
+            `INSERT INTO tournament_matches (${columns.join(', ')}) VALUES (${placeholders})`,
+            [tournamentId, ...BRACKET_NODE_COLUMNS.map((column) => node[column] ?? null)]
+        );
+    }
+}
+
+async function getBracketNodes(tournamentId, tx = database) {
+    return tx.all(
+        `SELECT id, match_id, updated_at, ${BRACKET_NODE_COLUMNS.join(', ')}
+         FROM tournament_matches
+         WHERE tournament_id = ?
+         ORDER BY id ASC`,
+        [tournamentId]
+    );
+}
+
+/**
+ * Find the bracket match a recorded league match is meant to decide.
+ * Returns an error string when the pairing does not fit the bracket.
+ */
+async function getPlayableTournamentMatch(leagueId, tournamentMatchId, rosterIds, tx = database) {
+    const row = await tx.get(
+        `SELECT tm.id, tm.tournament_id, tm.match_key, tm.status, tm.match_id,
+                tm.player1_roster_id, tm.player2_roster_id,
+                t.league_id, t.status as tournament_status
+         FROM tournament_matches tm
+         JOIN tournaments t ON tm.tournament_id = t.id
+         WHERE tm.id = ?`,
+        [tournamentMatchId]
+    );
+    if (!row || Number(row.league_id) !== Number(leagueId)) {
+        return { error: 'Tournament match not found in this league' };
+    }
+    if (row.tournament_status !== 'active' || row.status !== 'ready') {
+        return { error: 'Tournament match is not ready to be played' };
+    }
+    if (row.match_id) {
+        return { error: 'A result for this tournament match is already awaiting approval' };
+    }
+    const expected = [row.player1_roster_id, row.player2_roster_id].sort((a, b) => a - b);
+    const actual = [...rosterIds].sort((a, b) => a - b);
+    if (expected[0] !== actual[0] || expected[1] !== actual[1]) {
+        return { error: 'Players do not match the tournament pairing' };
+    }
+    return { tournamentMatch: row };
+}
+
+async function awardTournamentBadge(tx, tournament, championRosterId) {
+    if (!tournament.award_badge_id) return null;
+    const champion = await tx.get('SELECT user_id FROM league_roster WHERE id = ?', [championRosterId]);
+    if (!champion || !champion.user_id) return null;
+
+    const existing = await tx.get(
+        `SELECT id FROM user_badges
+         WHERE user_id = ? AND badge_id = ? AND league_id = ? AND season = ?`,
+        [champion.user_id, tournament.award_badge_id, tournament.league_id, tournament.name]
+    );
+    if (existing) return existing.id;
+
+    const badge = await tx.get('SELECT name FROM badges WHERE id = ?', [tournament.award_badge_id]);
+    const award = await tx.run(
+        'INSERT INTO user_badges (user_id, badge_id, league_id, season) VALUES (?, ?, ?, ?)',
+        [champion.user_id, tournament.award_badge_id, tournament.league_id, tournament.name]
+    );
+    await createNotification(tx, {
+        user_id: champion.user_id,
+        type: 'badge_earned',
+        title: 'Badge Earned!',
+        message: `Congratulations! You won "${tournament.name}" and earned the "${badge?.name || 'Tournament Winner'}" badge.`,
+        related_id: award.id
+    });
+    return award.id;
+}
+
+/**
+ * Link a submitted (not yet accepted) result to its bracket match. The bracket only
+ * advances once the result is accepted; rejecting or deleting the result frees the
+ * bracket match again (match_id is set back to NULL by its foreign key).
+ */
+async function linkTournamentMatch(tx, tournamentMatchId, matchId) {
+    await tx.run('UPDATE tournament_matches SET match_id = ? WHERE id = ?', [matchId, tournamentMatchId]);
+}
+
+/**
+ * Record the winner of a bracket match, advance players and close the
+ * tournament once a champion is known. Must run inside a transaction.
+ * @returns {Promise<{championRosterId: number|null, badgeAwarded: boolean}>}
+ */
+async function applyTournamentResult(tx, tournamentMatch, winnerRosterId, matchId = null) {
+    const tournament = await tx.get(
+        'SELECT id, league_id, name, award_badge_id FROM tournaments WHERE id = ?',
+        [tournamentMatch.tournament_id]
+    );
+    const nodes = await getBracketNodes(tournament.id, tx);
+    const { nodes: updated, changedKeys, championRosterId } = recordBracketResult(
+        nodes,
+        tournamentMatch.match_key,
+        winnerRosterId
+    );
+
+    const updatedByKey = new Map(updated.map((node) => [node.match_key, node]));
+    for (const key of changedKeys) {
+        const node = updatedByKey.get(key);
+        await tx.run(
+            `UPDATE tournament_matches
+             SET player1_roster_id = ?, player2_roster_id = ?, winner_roster_id = ?, loser_roster_id = ?,
+                 status = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE tournament_id = ? AND match_key = ?`,
+            [
+                node.player1_roster_id,
+                node.player2_roster_id,
+                node.winner_roster_id,
+                node.loser_roster_id,
+                node.status,
+                tournament.id,
+                key
+            ]
+        );
+    }
+    if (matchId) {
+        await tx.run('UPDATE tournament_matches SET match_id = ? WHERE id = ?', [matchId, tournamentMatch.id]);
+    }
+
+    let badgeAwarded = false;
+    if (championRosterId) {
+        await tx.run(
+            `UPDATE tournaments
+             SET status = 'completed', champion_roster_id = ?, completed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [championRosterId, tournament.id]
+        );
+        badgeAwarded = !!(await awardTournamentBadge(tx, tournament, championRosterId));
+    }
+
+    return { championRosterId, badgeAwarded };
+}
+
+/**
+ * Advance the bracket match an accepted result is linked to, if any, with the
+ * winner of the accepted score. Must run inside a transaction.
+ * @param {Object} match - Accepted match row with id, roster IDs and sets won
+ * @returns {Promise<Object|null>} { id, match_key, champion_roster_id, badge_awarded }, null without a bracket match
+ */
+async function advanceTournamentForMatch(tx, match) {
+    const tournamentMatch = await tx.get(
+        `SELECT tm.id, tm.tournament_id, tm.match_key
+         FROM tournament_matches tm
+         JOIN tournaments t ON tm.tournament_id = t.id
+         WHERE tm.match_id = ? AND tm.status = 'ready' AND t.status = 'active'`,
+        [match.id]
+    );
+    if (!tournamentMatch) return null;
+
+    const winnerRosterId = match.player1_sets_won > match.player2_sets_won
+        ? match.player1_roster_id
+        : match.player2_roster_id;
+    const advanced = await applyTournamentResult(tx, tournamentMatch, winnerRosterId, match.id);
+    return {
+        id: tournamentMatch.tournament_id,
+        match_key: tournamentMatch.match_key,
+        champion_roster_id: advanced.championRosterId,
+        badge_awarded: advanced.badgeAwarded
+    };
+}
+
+module.exports = {
+    insertBracketNodes,
+    getBracketNodes,
+    getPlayableTournamentMatch,
+    linkTournamentMatch,
+    applyTournamentResult,
+    advanceTournamentForMatch
+};
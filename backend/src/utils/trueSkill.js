@@ -0,0 +1,94 @@
+/**
+ * TrueSkill-style rating for two-player matches without draws
+ * (Herbrich, Minka & Graepel, 2006). Skill is modelled as a Gaussian (mu, sigma)
+ * on the ELO-like rating scale, so BETA = 200 gives roughly the same win
+ * probability per rating gap as ELO.
+ */
+
+const DEFAULT_SIGMA = 400;
+const BETA = DEFAULT_SIGMA / 2; // Performance variability within a single match
+const TAU = DEFAULT_SIGMA / 100; // Skill drift added before each match
+
+const SQRT2 = Math.SQRT2;
+
+// Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+function erf(x) {
+    const sign = x < 0 ? -1 : 1;
+    const ax = Math.abs(x);
+    const t = 1 / (1 + 0.3275911 * ax);
+    const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-ax * ax);
+    return sign * y;
+}
+
+function pdf(x) {
+    return Math.exp(-(x * x) / 2) / Math.sqrt(2 * Math.PI);
+}
+
+function cdf(x) {
+    return 0.5 * (1 + erf(x / SQRT2));
+}
+
+// Additive and multiplicative corrections for a win (truncated Gaussian)
+function vWin(t) {
+    const denom = cdf(t);
+    // Extreme upsets: the ratio tends to -t
+    if (denom < 1e-12) return -t;
+    return pdf(t) / denom;
+}
+
+function wWin(t) {
+    const v = vWin(t);
+    return v * (v + t);
+}
+
+function matchVariance(sigma1, sigma2) {
+    return 2 * BETA * BETA + sigma1 * sigma1 + sigma2 * sigma2;
+}
+
+/**
+ * Probability that player 1 beats player 2
+ * @param {Object} player - { rating, deviation } (mu, sigma)
+ * @param {Object} opponent - { rating, deviation }
+ * @returns {number} Win probability (0-1)
+ */
+function calculateExpectedScore(player, opponent) {
+    const c = Math.sqrt(matchVariance(player.deviation, opponent.deviation));
+    return cdf((player.rating - opponent.rating) / c);
+}
+
+/**
+ * Update two players after a decided match
+ * @param {Object} winner - { rating, deviation }
+ * @param {Object} loser - { rating, deviation }
+ * @returns {Object} { winnerDelta, loserDelta, winnerVarianceFactor, loserVarianceFactor, winnerSigma, loserSigma }
+ *   Deltas move mu; variance factors (0-1) shrink sigma^2 after the drift TAU is added.
+ */
+function rateWin(winner, loser) {
+    const winnerVar = winner.deviation * winner.deviation + TAU * TAU;
+    const loserVar = loser.deviation * loser.deviation + TAU * TAU;
+    const c2 = 2 * BETA * BETA + winnerVar + loserVar;
+    const c = Math.sqrt(c2);
+    const t = (winner.rating - loser.rating) / c;
+    const v = vWin(t);
+    const w = wWin(t);
+
+    const winnerVarianceFactor = Math.max(1 - (winnerVar / c2) * w, 0.0001);
+    const loserVarianceFactor = Math.max(1 - (loserVar / c2) * w, 0.0001);
+
+    return {
+        winnerDelta: (winnerVar / c) * v,
+        loserDelta: -(loserVar / c) * v,
+        winnerVarianceFactor,
+        loserVarianceFactor,
+        winnerSigma: Math.sqrt(winnerVar * winnerVarianceFactor),
+        loserSigma: Math.sqrt(loserVar * loserVarianceFactor)
+    };
+}
+
+module.exports = {
+    DEFAULT_SIGMA,
+    BETA,
+    TAU,
+    calculateExpectedScore,
+    rateWin
+};
@@ -0,0 +1,226 @@
+/**
+ * Two-factor authentication (TOTP) for accounts
+ *
+ * Enrollment stores a new secret as pending until the user proves their app
+ * generates matching codes; only then does it become active and recovery
+ * codes are issued. With 2FA on, a correct password yields a short-lived
+ * challenge token instead of a session, and POST /api/auth/login/2fa trades
+ * it plus a code for the session. When REQUIRE_ADMIN_2FA is set, site admins
+ * without 2FA get a setup challenge instead, so they enroll before signing in.
+ */
+
+const jwt = require('jsonwebtoken');
+const database = require('../models/database');
+const { JWT_SECRET } = require('./jwt');
+const {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} = require('./totp');
+const { renderQrSvg } = require('./qrCode');
+const { toTimestamp } = require('./timestamps');
+
+const TOTP_ISSUER = 'TT Leagues';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const CHALLENGE_TYPES = {
+    LOGIN: 'two_factor',
+    SETUP: 'two_factor_setup',
+};
+
+class TwoFactorError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'TwoFactorError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * Whether the user may only sign in with 2FA (site admins, when REQUIRE_ADMIN_2FA is on)
+ */
+function isTwoFactorRequired(user, env = process.env) {
+    const required = ['1', 'true'].includes(String(env.REQUIRE_ADMIN_2FA || '').toLowerCase());
+    return required && !!user?.is_admin;
+}
+
+/**
+ * Token proving the password step passed. It carries no session id, so the
+ * auth middleware never accepts it as an access token.
+ */
+function issueChallengeToken(user, type) {
+    return jwt.sign({ id: user.id, typ: type }, JWT_SECRET, { expiresIn: CHALLENGE_TTL_SECONDS });
+}
+
+/**
+ * User id from a challenge token of the given type; throws TwoFactorError otherwise
+ */
+function verifyChallengeToken(token, type) {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token || ''), JWT_SECRET);
+    } catch {
+        decoded = null;
+    }
+    if (!decoded || decoded.typ !== type || decoded.sid) {
+        throw new TwoFactorError('Sign-in has expired, please enter your password again', 'CHALLENGE_EXPIRED', 401);
+    }
+    return decoded.id;
+}
+
+/**
+ * { enabled, enabled_at, recovery_codes_remaining, required } for a user
+ */
+async function getTwoFactorStatus(userId) {
+    const user = await database.get('SELECT is_admin, totp_enabled_at FROM users WHERE id = ?', [userId]);
+    const remaining = await database.get(
+        'SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+    return {
+        enabled: !!user?.totp_enabled_at,
+        enabled_at: user?.totp_enabled_at || null,
+        recovery_codes_remaining: Number(remaining?.count || 0),
+        required: isTwoFactorRequired(user),
+    };
+}
+
+/**
+ * Start (or restart) enrollment with a fresh pending secret.
+ * Returns { secret, otpauth_uri, qr_svg } for the authenticator app.
+ */
+async function startEnrollment(user) {
+    const current = await database.get('SELECT totp_enabled_at FROM users WHERE id = ?', [user.id]);
+    if (current?.totp_enabled_at) {
+        throw new TwoFactorError('Two-factor authentication is already enabled', 'ALREADY_ENABLED', 409);
+    }
+    const secret = generateTotpSecret();
+    await database.run('UPDATE users SET totp_pending_secret = ? WHERE id = ?', [secret, user.id]);
+    const otpauthUri = buildOtpauthUri({ secret, accountName: user.username, issuer: TOTP_ISSUER });
+    return { secret, otpauth_uri: otpauthUri, qr_svg: renderQrSvg(otpauthUri) };
+}
+
+async function replaceRecoveryCodes(tx, userId, now) {
+    const codes = generateRecoveryCodes();
+    await tx.run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    for (const code of codes) {
+        await tx.run(
+            'INSERT INTO user_recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)',
+            [userId, hashRecoveryCode(code), toTimestamp(now)]
+        );
+    }
+    return codes;
+}
+
+/**
+ * Activate the pending secret once the user enters a code it generates.
+ * Returns the new recovery codes; they are shown once and stored hashed.
+ */
+async function confirmEnrollment(userId, code, now = new Date()) {
+    const user = await database.get(
+        'SELECT totp_pending_secret, totp_enabled_at FROM users WHERE id = ?',
+        [userId]
+    );
+    if (user?.totp_enabled_at) {
+        throw new TwoFactorError('Two-factor authentication is already enabled', 'ALREADY_ENABLED', 409);
+    }
+    if (!user?.totp_pending_secret) {
+        throw new TwoFactorError('Start two-factor setup first', 'SETUP_NOT_STARTED');
+    }
+    const step = verifyTotp(user.totp_pending_secret, code, { now });
+    if (step === null) {
+        throw new TwoFactorError('Invalid authentication code', 'INVALID_CODE');
+    }
+    return database.withTransaction(async (tx) => {
+        // Matching the pending secret keeps a setup restarted in another tab from being enabled by mistake
+        const result = await tx.run(
+            `UPDATE users
+             SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled_at = ?, totp_last_used_step = ?
+             WHERE id = ? AND totp_pending_secret = ? AND totp_enabled_at IS NULL`,
+            [toTimestamp(now), step, userId, user.totp_pending_secret]
+        );
+        if (result.changes !== 1) {
+            throw new TwoFactorError('Two-factor setup was restarted, please scan the new code', 'SETUP_NOT_STARTED');
+        }
+        return replaceRecoveryCodes(tx, userId, now);
+    });
+}
+
+/**
+ * Check a second factor: an authenticator code, or else a recovery code,
+ * which is used up. Returns 'totp' or 'recovery_code'; throws TwoFactorError
+ * when neither is valid.
+ */
+async function verifySecondFactor(userId, { code, recovery_code: recoveryCode } = {}, now = new Date()) {
+    const user = await database.get(
+        'SELECT totp_secret, totp_enabled_at, totp_last_used_step FROM users WHERE id = ?',
+        [userId]
+    );
+    if (!user?.totp_enabled_at || !user.totp_secret) {
+        throw new TwoFactorError('Two-factor authentication is not enabled', 'NOT_ENABLED');
+    }
+
+    if (code) {
+        const step = verifyTotp(user.totp_secret, code, { now, lastUsedStep: user.totp_last_used_step });
+        if (step !== null) {
+            // Guarding on the stored step stops two requests from both using one code
+            const result = await database.run(
+                `UPDATE users SET totp_last_used_step = ?
+                 WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)`,
+                [step, userId, step]
+            );
+            if (result.changes === 1) return 'totp';
+        }
+    } else if (recoveryCode) {
+        const row = await database.get(
+            'SELECT id FROM user_recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+            [userId, hashRecoveryCode(recoveryCode)]
+        );
+        if (row) {
+            const result = await database.run(
+                'UPDATE user_recovery_codes SET used_at = ? WHERE id = ? AND used_at IS NULL',
+                [toTimestamp(now), row.id]
+            );
+            if (result.changes === 1) return 'recovery_code';
+        }
+    }
+    throw new TwoFactorError('Invalid authentication code', 'INVALID_CODE');
+}
+
+/**
+ * Replace the user's recovery codes, e.g. after using some up; returns the new codes
+ */
+async function regenerateRecoveryCodes(userId, now = new Date()) {
+    return database.withTransaction((tx) => replaceRecoveryCodes(tx, userId, now));
+}
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ */
+async function disableTwoFactor(userId) {
+    await database.withTransaction(async (tx) => {
+        await tx.run(
+            `UPDATE users
+             SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+             WHERE id = ?`,
+            [userId]
+        );
+        await tx.run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    });
+}
+
+module.exports = {
+    CHALLENGE_TYPES,
+    TwoFactorError,
+    isTwoFactorRequired,
+    issueChallengeToken,
+    verifyChallengeToken,
+    getTwoFactorStatus,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor
+};
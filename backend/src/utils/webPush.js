@@ -0,0 +1,172 @@
+/**
+ * Web Push delivery (RFC 8030) with VAPID authentication (RFC 8292) and
+ * aes128gcm payload encryption (RFC 8291), using only node:crypto.
+ *
+ * Push is enabled when VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are set; create
+ * a key pair once with `node scripts/generate-vapid-keys.js`. VAPID_SUBJECT
+ * (a mailto: or https: URL) tells push services whom to contact.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_SUBJECT = 'mailto:admin@localhost';
+// Seconds a push service keeps a message for an offline device
+const DEFAULT_TTL_SECONDS = 24 * 3600;
+const RECORD_SIZE = 4096;
+const JWT_LIFETIME_SECONDS = 12 * 3600;
+const SEND_TIMEOUT_MS = 10000;
+
+class PushError extends Error {
+    constructor(message, statusCode = null) {
+        super(message);
+        this.name = 'PushError';
+        this.statusCode = statusCode;
+    }
+}
+
+const b64url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromB64url = (value) => Buffer.from(String(value || ''), 'base64url');
+
+/**
+ * { publicKey, privateKey, subject } from the environment, or null when push is off
+ */
+function getVapidConfig(env = process.env) {
+    if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY) return null;
+    return {
+        publicKey: env.VAPID_PUBLIC_KEY,
+        privateKey: env.VAPID_PRIVATE_KEY,
+        subject: env.VAPID_SUBJECT || DEFAULT_SUBJECT
+    };
+}
+
+/**
+ * A new VAPID key pair: uncompressed P-256 public key and raw private key, base64url
+ */
+function generateVapidKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    // getPrivateKey() drops leading zero bytes; keys are 32 bytes
+    const privateKey = Buffer.alloc(32);
+    const raw = ecdh.getPrivateKey();
+    raw.copy(privateKey, 32 - raw.length);
+    return { publicKey: b64url(ecdh.getPublicKey()), privateKey: b64url(privateKey) };
+}
+
+function vapidSigningKey({ publicKey, privateKey }) {
+    const point = fromB64url(publicKey);
+    if (point.length !== 65 || point[0] !== 0x04) {
+        throw new PushError('VAPID_PUBLIC_KEY must be an uncompressed P-256 public key');
+    }
+    return crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            d: privateKey,
+            x: b64url(point.subarray(1, 33)),
+            y: b64url(point.subarray(33, 65))
+        }
+    });
+}
+
+/**
+ * Authorization header value for a push service (the origin of `endpoint`)
+ */
+function buildVapidAuthorization(endpoint, vapid, now = new Date()) {
+    const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = b64url(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(now.getTime() / 1000) + JWT_LIFETIME_SECONDS,
+        sub: vapid.subject
+    }));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+        key: vapidSigningKey(vapid),
+        dsaEncoding: 'ieee-p1363'
+    });
+    return `vapid t=${header}.${claims}.${b64url(signature)}, k=${vapid.publicKey}`;
+}
+
+const hkdf = (ikm, salt, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+/**
+ * Encrypt a payload for one subscription ({ keys: { p256dh, auth } }) as an
+ * aes128gcm body. `salt` and `serverKeys` (an ECDH) are for tests only.
+ */
+function encryptPayload(payload, subscription, { salt = crypto.randomBytes(16), serverKeys = null } = {}) {
+    const clientPublicKey = fromB64url(subscription?.keys?.p256dh);
+    const authSecret = fromB64url(subscription?.keys?.auth);
+    if (clientPublicKey.length !== 65 || authSecret.length !== 16) {
+        throw new PushError('Invalid push subscription keys');
+    }
+    const ecdh = serverKeys || crypto.createECDH('prime256v1');
+    if (!serverKeys) ecdh.generateKeys();
+    const serverPublicKey = ecdh.getPublicKey();
+    const sharedSecret = ecdh.computeSecret(clientPublicKey);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+    const ikm = hkdf(sharedSecret, authSecret, keyInfo, 32);
+    const contentKey = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    // A single record: the payload followed by the last-record delimiter
+    const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([0x02])]);
+    if (plaintext.length + 16 > RECORD_SIZE) {
+        throw new PushError('Push payload too large');
+    }
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+/**
+ * Send `data` (JSON-serialized) to one subscription ({ endpoint, keys }).
+ * Throws PushError; statusCode 404 or 410 means the subscription is gone.
+ */
+async function sendPush(subscription, data, { vapid = getVapidConfig(), ttl = DEFAULT_TTL_SECONDS } = {}) {
+    if (!vapid) {
+        throw new PushError('Web push is not configured (VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY)');
+    }
+    const body = encryptPayload(JSON.stringify(data), subscription);
+    let response;
+    try {
+        response = await fetch(subscription.endpoint, {
+            method: 'POST',
+            headers: {
+                Authorization: buildVapidAuthorization(subscription.endpoint, vapid),
+                'Content-Encoding': 'aes128gcm',
+                'Content-Type': 'application/octet-stream',
+                TTL: String(ttl),
+                Urgency: 'normal'
+            },
+            body,
+            signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+        });
+    } catch (error) {
+        throw new PushError(`Push service unreachable: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new PushError(`Push service answered ${response.status}`, response.status);
+    }
+}
+
+/**
+ * Whether a failed send means the subscription expired or was withdrawn
+ */
+function isSubscriptionGone(error) {
+    return error instanceof PushError && [404, 410].includes(error.statusCode);
+}
+
+module.exports = {
+    PushError,
+    getVapidConfig,
+    generateVapidKeys,
+    buildVapidAuthorization,
+    encryptPayload,
+    sendPush,
+    isSubscriptionGone
+};
@@ -0,0 +1,160 @@
+// Ensure env is set before requiring the database/app singletons.
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = ''; // force SQLite in tests
+process.env.DATABASE_PATH = `/tmp/league-achievements-test-${Date.now()}.db`;
+
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../src/app');
+const database = require('../src/models/database');
+
+describe('Achievement awards on match acceptance', () => {
+  let admin;
+  let player;
+  let leagueId;
+  let playerRosterId;
+
+  const register = async (username) => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username,
+        password: 'password123',
+        first_name: username,
+        last_name: 'Player',
+        email: `${username}@example.com`,
+      });
+    expect(res.status).toBe(201);
+    return { token: res.body.token, id: res.body.user.id };
+  };
+
+  // A 3-0 win for the league admin, accepted by them
+  const playAndAccept = async () => {
+    const submitted = await request(app)
+      .post('/api/matches')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({
+        league_id: leagueId,
+        player2_roster_id: playerRosterId,
+        player1_sets_won: 3,
+        player2_sets_won: 0,
+        player1_points_total: 33,
+        player2_points_total: 12,
+        game_type: 'best_of_5',
+      });
+    expect(submitted.status).toBe(201);
+
+    const accepted = await request(app)
+      .post(`/api/matches/${submitted.body.match.id}/accept`)
+      .set('Authorization', `Bearer ${admin.token}`);
+    expect(accepted.status).toBe(200);
+  };
+
+  const awardsOf = (userId) => database.all(
+    `SELECT b.achievement_key, ub.season, ub.season_id
+     FROM user_badges ub JOIN badges b ON ub.badge_id = b.id
+     WHERE ub.user_id = ? ORDER BY b.achievement_key`,
+    [userId]
+  );
+
+  beforeAll(async () => {
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+    await database.initialize();
+
+    admin = await register('ach_admin');
+    player = await register('ach_player');
+
+    const league = await request(app)
+      .post('/api/leagues')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name: 'Achievement League', is_public: true });
+    expect(league.status).toBe(201);
+    leagueId = league.body.league.id;
+
+    const roster = await database.run(
+      'INSERT INTO league_roster (league_id, user_id, display_name) VALUES (?, ?, ?)',
+      [leagueId, player.id, 'Player']
+    );
+    playerRosterId = roster.id;
+  });
+
+  afterAll(async () => {
+    await database.close();
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+  });
+
+  test('matches outside seasons award badges once', async () => {
+    await playAndAccept();
+    expect(await awardsOf(admin.id)).toEqual([
+      { achievement_key: 'first_win', season: null, season_id: null },
+      { achievement_key: 'perfect_sweep', season: null, season_id: null },
+    ]);
+    expect(await awardsOf(player.id)).toEqual([]);
+
+    const notifications = await database.all(
+      'SELECT message FROM notifications WHERE user_id = ? AND type = ?',
+      [admin.id, 'badge_earned']
+    );
+    expect(notifications).toHaveLength(2);
+
+    await playAndAccept();
+    expect(await awardsOf(admin.id)).toHaveLength(2);
+  });
+
+  test('a season starts a new record', async () => {
+    const season = await database.run(
+      'INSERT INTO seasons (league_id, name, status, start_date, rating_reset) VALUES (?, ?, ?, ?, ?)',
+      [leagueId, 'Spring', 'active', '2026-01-01', 'carry_over']
+    );
+
+    await playAndAccept();
+    const awards = await awardsOf(admin.id);
+    expect(awards).toHaveLength(4);
+    expect(awards.filter((award) => award.season_id === season.id)).toEqual([
+      { achievement_key: 'first_win', season: 'Spring', season_id: season.id },
+      { achievement_key: 'perfect_sweep', season: 'Spring', season_id: season.id },
+    ]);
+  });
+
+  test('disabled rules award nothing', async () => {
+    const res = await request(app)
+      .put(`/api/leagues/${leagueId}/achievements/first_win`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ enabled: false });
+    expect(res.status).toBe(200);
+    expect(res.body.rule).toMatchObject({ key: 'first_win', enabled: false });
+
+    // The player's first win, outside seasons again
+    await database.run('UPDATE seasons SET status = ? WHERE league_id = ?', ['closed', leagueId]);
+    const submitted = await request(app)
+      .post('/api/matches')
+      .set('Authorization', `Bearer ${player.token}`)
+      .send({
+        league_id: leagueId,
+        player2_roster_id: (await database.get('SELECT id FROM league_roster WHERE user_id = ?', [admin.id])).id,
+        player1_sets_won: 3,
+        player2_sets_won: 1,
+        player1_points_total: 40,
+        player2_points_total: 30,
+        game_type: 'best_of_5',
+      });
+    expect(submitted.status).toBe(201);
+    const accepted = await request(app)
+      .post(`/api/matches/${submitted.body.match.id}/accept`)
+      .set('Authorization', `Bearer ${admin.token}`);
+    expect(accepted.status).toBe(200);
+    expect(await awardsOf(player.id)).toEqual([]);
+  });
+
+  test('only league admins change rules', async () => {
+    const res = await request(app)
+      .put(`/api/leagues/${leagueId}/achievements/first_win`)
+      .set('Authorization', `Bearer ${player.token}`)
+      .send({ enabled: true });
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,57 @@
+const { computePlayerMetrics, getEarnedRules, ACHIEVEMENT_RULE_KEYS } = require('../src/utils/achievements');
+
+// Player 1 against roster entries 2 and 3, oldest first
+const win = (id, sets = [3, 1], elo = [null, null]) => ({
+  id, player1_roster_id: 1, player2_roster_id: 2,
+  player1_sets_won: sets[0], player2_sets_won: sets[1],
+  player1_elo_before: elo[0], player2_elo_before: elo[1]
+});
+const loss = (id) => ({
+  id, player1_roster_id: 3, player2_roster_id: 1,
+  player1_sets_won: 3, player2_sets_won: 2,
+  player1_elo_before: 1200, player2_elo_before: 1200
+});
+
+describe('Achievement metrics', () => {
+  test('count matches, wins and the longest win streak', () => {
+    const matches = [win(1), win(2), loss(3), win(4), win(5), win(6)];
+    const metrics = computePlayerMetrics(1, matches, 1234);
+    expect(metrics).toMatchObject({ matches_played: 6, wins: 5, longest_win_streak: 3, rating: 1234 });
+    expect(computePlayerMetrics(2, matches, 1100)).toMatchObject({ matches_played: 5, wins: 0, longest_win_streak: 0 });
+  });
+
+  test('sweeps need three sets without dropping one', () => {
+    const metrics = computePlayerMetrics(1, [win(1, [3, 0]), win(2, [2, 0]), win(3, [3, 1]), win(4, [4, 0])], 1200);
+    expect(metrics.sweeps).toBe(2);
+  });
+
+  test('upsets only count rated wins', () => {
+    const matches = [
+      win(1, [3, 1], [1200, 1450]),
+      win(2, [3, 1], [1250, 1300]),
+      win(3),
+      loss(4)
+    ];
+    expect(computePlayerMetrics(1, matches, 1300).biggest_upset).toBe(250);
+    expect(computePlayerMetrics(2, matches, 1300).biggest_upset).toBe(0);
+  });
+});
+
+describe('Earned achievement rules', () => {
+  test('a first sweep over a much stronger player', () => {
+    const metrics = computePlayerMetrics(1, [win(1, [3, 0], [1200, 1400])], 1230);
+    expect(getEarnedRules(metrics)).toEqual(['first_win', 'giant_slayer', 'perfect_sweep']);
+  });
+
+  test('streaks, match count and rating milestones', () => {
+    const matches = [...Array.from({ length: 40 }, (_, index) => loss(index)), ...Array.from({ length: 10 }, (_, index) => win(40 + index))];
+    const metrics = computePlayerMetrics(1, matches, 1500);
+    expect(getEarnedRules(metrics)).toEqual(['first_win', 'win_streak_10', 'matches_50', 'rating_1500']);
+  });
+
+  test('only the given rules are checked', () => {
+    const metrics = computePlayerMetrics(1, [win(1, [3, 0])], 1200);
+    expect(getEarnedRules(metrics, ['perfect_sweep', 'matches_50'])).toEqual(['perfect_sweep']);
+    expect(ACHIEVEMENT_RULE_KEYS).toHaveLength(6);
+  });
+});
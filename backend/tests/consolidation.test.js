@@ -0,0 +1,47 @@
+const { getPeriodStart, buildConsolidationMessage } = require('../src/utils/consolidation');
+
+describe('Consolidation periods', () => {
+  test('weekly periods start on Monday 00:00 UTC', () => {
+    // Wednesday
+    expect(getPeriodStart('weekly', new Date('2024-05-15T13:45:00Z')).toISOString()).toBe('2024-05-13T00:00:00.000Z');
+    // Monday itself
+    expect(getPeriodStart('weekly', new Date('2024-05-13T00:00:00Z')).toISOString()).toBe('2024-05-13T00:00:00.000Z');
+    // Sunday belongs to the week that started six days earlier
+    expect(getPeriodStart('weekly', new Date('2024-05-19T23:59:59Z')).toISOString()).toBe('2024-05-13T00:00:00.000Z');
+  });
+
+  test('weekly periods can start in the previous month', () => {
+    expect(getPeriodStart('weekly', new Date('2024-03-02T08:00:00Z')).toISOString()).toBe('2024-02-26T00:00:00.000Z');
+  });
+
+  test('monthly periods start on the 1st 00:00 UTC', () => {
+    expect(getPeriodStart('monthly', new Date('2024-05-31T22:00:00Z')).toISOString()).toBe('2024-05-01T00:00:00.000Z');
+    expect(getPeriodStart('monthly', new Date('2024-01-01T00:00:00Z')).toISOString()).toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  test('immediate leagues have no period', () => {
+    expect(getPeriodStart('immediate', new Date('2024-05-15T13:45:00Z'))).toBeNull();
+  });
+});
+
+describe('Consolidation notifications', () => {
+  test('report the net singles change for the period', () => {
+    const message = buildConsolidationMessage('Office League', {
+      elo_before: 1200, elo_after: 1215, elo_change: 15,
+      doubles_elo_before: null, doubles_elo_after: null, matches_applied: 3
+    });
+    expect(message).toContain('"Office League"');
+    expect(message).toContain('over 3 matches');
+    expect(message).toContain('ELO +15 (1200 → 1215)');
+  });
+
+  test('include doubles changes', () => {
+    const message = buildConsolidationMessage('Office League', {
+      elo_before: null, elo_after: null, elo_change: 0,
+      doubles_elo_before: 1200, doubles_elo_after: 1188, matches_applied: 1
+    });
+    expect(message).toContain('over 1 match:');
+    expect(message).toContain('doubles ELO -12 (1200 → 1188)');
+    expect(message).not.toContain(' ELO 0');
+  });
+});
@@ -0,0 +1,123 @@
+// Ensure env is set before requiring the database/app singletons.
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = ''; // force SQLite in tests
+process.env.DATABASE_PATH = `/tmp/league-consolidation-test-${Date.now()}.db`;
+
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../src/app');
+const database = require('../src/models/database');
+const { consolidateLeague } = require('../src/utils/consolidation');
+
+describe('Consolidation runs', () => {
+  let adminToken;
+  let leagueId;
+  let opponentRosterId;
+
+  // An accepted 3-1 win for the league admin, left unrated by the weekly mode
+  const playAndAccept = async () => {
+    const submitted = await request(app)
+      .post('/api/matches')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        league_id: leagueId,
+        player2_roster_id: opponentRosterId,
+        player1_sets_won: 3,
+        player2_sets_won: 1,
+        player1_points_total: 44,
+        player2_points_total: 35,
+        game_type: 'best_of_5',
+      });
+    expect(submitted.status).toBe(201);
+    const accepted = await request(app)
+      .post(`/api/matches/${submitted.body.match.id}/accept`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(accepted.status).toBe(200);
+  };
+
+  const historyCount = async () => Number((await database.get(
+    'SELECT COUNT(*) as count FROM elo_history WHERE league_id = ? AND match_id IS NOT NULL',
+    [leagueId]
+  )).count);
+
+  beforeAll(async () => {
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+    await database.initialize();
+
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'consolidation_admin',
+        password: 'password123',
+        first_name: 'Consolidation',
+        last_name: 'Admin',
+        email: 'consolidation.admin@example.com',
+      });
+    expect(register.status).toBe(201);
+    adminToken = register.body.token;
+
+    const league = await request(app)
+      .post('/api/leagues')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Weekly League', is_public: true });
+    expect(league.status).toBe(201);
+    leagueId = league.body.league.id;
+    await database.run('UPDATE leagues SET elo_update_mode = ? WHERE id = ?', ['weekly', leagueId]);
+
+    const roster = await database.run(
+      'INSERT INTO league_roster (league_id, display_name) VALUES (?, ?)',
+      [leagueId, 'Opponent']
+    );
+    opponentRosterId = roster.id;
+  });
+
+  afterAll(async () => {
+    await database.close();
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+  });
+
+  test('pending matches are rated once', async () => {
+    await playAndAccept();
+    await playAndAccept();
+    expect(await historyCount()).toBe(0);
+
+    const res = await request(app)
+      .post(`/api/matches/leagues/${leagueId}/consolidate`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(200);
+    expect(res.body.applied).toBe(2);
+    expect(await historyCount()).toBe(4);
+
+    const again = await request(app)
+      .post(`/api/matches/leagues/${leagueId}/consolidate`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(again.status).toBe(400);
+    expect(await historyCount()).toBe(4);
+  });
+
+  test('concurrent runs apply the ratings once', async () => {
+    await playAndAccept();
+    const before = await database.get('SELECT current_elo FROM league_roster WHERE id = ?', [opponentRosterId]);
+
+    const results = await Promise.allSettled([
+      consolidateLeague(leagueId, { triggeredVia: 'cron' }),
+      consolidateLeague(leagueId, { triggeredVia: 'cli' }),
+    ]);
+    expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+    expect(await historyCount()).toBe(6);
+
+    const runs = await database.all('SELECT id FROM consolidation_runs WHERE league_id = ?', [leagueId]);
+    expect(runs).toHaveLength(2);
+    const after = await database.get('SELECT current_elo FROM league_roster WHERE id = ?', [opponentRosterId]);
+    const history = await database.get(
+      'SELECT elo_before, elo_after FROM elo_history WHERE roster_id = ? ORDER BY id DESC LIMIT 1',
+      [opponentRosterId]
+    );
+    expect(history.elo_before).toBe(before.current_elo);
+    expect(after.current_elo).toBe(history.elo_after);
+  });
+});
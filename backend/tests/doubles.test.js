@@ -0,0 +1,44 @@
+const { calculateNewElos } = require('../src/utils/eloCalculator');
+const { DEFAULT_RATING_CONFIG, validateRatingConfig } = require('../src/utils/ratingConfig');
+const { rateDoublesSides } = require('../src/utils/doubles');
+
+const win = { setsWon1: 3, setsWon2: 1, pointsWon1: 44, pointsWon2: 38 };
+const unit = (rating, matchesPlayed = 10) => ({ rating, matchesPlayed });
+
+describe('Doubles ratings', () => {
+  test('team ratings are the average of each side', () => {
+    const result = rateDoublesSides([unit(1400), unit(1200)], [unit(1300), unit(1300)], win, DEFAULT_RATING_CONFIG);
+    expect(result.team1.before).toBe(1300);
+    expect(result.team2.before).toBe(1300);
+    expect(result.expectedScore1).toBeCloseTo(0.5);
+  });
+
+  test('every player moves by the team-vs-team change', () => {
+    const result = rateDoublesSides([unit(1400), unit(1200)], [unit(1250), unit(1250)], win, DEFAULT_RATING_CONFIG);
+    const teamChange = calculateNewElos(1300, 1250, 44, 38, true, 3, 1).ratingChange;
+
+    expect(result.side1.map((r) => r.change)).toEqual([teamChange, teamChange]);
+    expect(result.side2.map((r) => r.change)).toEqual([-teamChange, -teamChange]);
+    expect(result.side1[0].after).toBe(1400 + teamChange);
+    expect(result.team1.after).toBe(1300 + teamChange);
+  });
+
+  test('provisional players use the provisional K-factor', () => {
+    const config = { ...DEFAULT_RATING_CONFIG, provisional_matches: 5, provisional_k_factor: 92 };
+    const result = rateDoublesSides([unit(1200, 0), unit(1200)], [unit(1200), unit(1200)], win, config);
+    expect(result.side1[0].change).toBeCloseTo(result.side1[1].change * 2, -1);
+  });
+
+  test('a fixed pair is rated as a single unit', () => {
+    const result = rateDoublesSides([unit(1300)], [unit(1250)], win, DEFAULT_RATING_CONFIG);
+    const singles = calculateNewElos(1300, 1250, 44, 38, true, 3, 1);
+    expect(result.side1[0].after).toBe(singles.newRating1);
+    expect(result.side2[0].after).toBe(singles.newRating2);
+  });
+
+  test('doubles rating mode is validated', () => {
+    expect(DEFAULT_RATING_CONFIG.doubles_rating_mode).toBe('individual');
+    expect(validateRatingConfig({ doubles_rating_mode: 'pair' }).config.doubles_rating_mode).toBe('pair');
+    expect(validateRatingConfig({ doubles_rating_mode: 'team' }).error).toMatch(/doubles_rating_mode/);
+  });
+});
@@ -0,0 +1,103 @@
+// Ensure env is set before requiring the database/app singletons.
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = ''; // force SQLite in tests
+process.env.DATABASE_PATH = `/tmp/league-fixtures-test-${Date.now()}.db`;
+
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../src/app');
+const database = require('../src/models/database');
+
+describe('Fixture routes', () => {
+  let adminToken;
+  let leagueId;
+
+  beforeAll(async () => {
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+    await database.initialize();
+
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'fixture_admin',
+        password: 'password123',
+        first_name: 'Fixture',
+        last_name: 'Admin',
+        email: 'fixture.admin@example.com',
+      });
+    expect(register.status).toBe(201);
+    adminToken = register.body.token;
+
+    // No season name: fixtures are stored with a null season
+    const league = await request(app)
+      .post('/api/leagues')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Fixture League', is_public: true });
+    expect(league.status).toBe(201);
+    leagueId = league.body.league.id;
+
+    for (const name of ['Bea', 'Cem']) {
+      await database.run('INSERT INTO league_roster (league_id, display_name) VALUES (?, ?)', [leagueId, name]);
+    }
+  });
+
+  afterAll(async () => {
+    await database.close();
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+  });
+
+  const generate = (body = {}) => request(app)
+    .post(`/api/leagues/${leagueId}/fixtures/generate`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ start_date: '2026-03-02', ...body });
+
+  test('generates and lists fixtures without a season', async () => {
+    const generated = await generate();
+    expect(generated.status).toBe(201);
+    expect(generated.body).toMatchObject({ fixtures_created: 3, rounds: 3, season: null });
+
+    const list = await request(app).get(`/api/leagues/${leagueId}/fixtures`);
+    expect(list.status).toBe(200);
+    expect(list.body).toMatchObject({ season: null, total: 3, played: 0 });
+    expect(list.body.fixtures).toHaveLength(3);
+
+    const crosstable = await request(app).get(`/api/leagues/${leagueId}/fixtures/crosstable`);
+    expect(crosstable.status).toBe(200);
+    expect(crosstable.body.players).toHaveLength(3);
+  });
+
+  test('open fixtures are only replaced on request', async () => {
+    expect((await generate()).status).toBe(409);
+    const replaced = await generate({ replace: true, double_round_robin: true });
+    expect(replaced.status).toBe(201);
+    expect(replaced.body.fixtures_created).toBe(6);
+  });
+
+  test('a season name keeps its own fixtures', async () => {
+    await database.run('UPDATE leagues SET season = ? WHERE id = ?', ['2026', leagueId]);
+    const seasonList = await request(app).get(`/api/leagues/${leagueId}/fixtures`);
+    expect(seasonList.body).toMatchObject({ season: '2026', total: 0 });
+    expect((await generate()).status).toBe(201);
+
+    const unnamed = await request(app).get(`/api/leagues/${leagueId}/fixtures?season=`);
+    expect(unnamed.body).toMatchObject({ season: null, total: 6 });
+  });
+
+  test('clearing removes the open fixtures of the current season', async () => {
+    const cleared = await request(app)
+      .delete(`/api/leagues/${leagueId}/fixtures`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(cleared.status).toBe(200);
+    expect(cleared.body.removed).toBe(3);
+
+    await database.run('UPDATE leagues SET season = NULL WHERE id = ?', [leagueId]);
+    const unnamed = await request(app)
+      .delete(`/api/leagues/${leagueId}/fixtures`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(unnamed.body.removed).toBe(6);
+  });
+});
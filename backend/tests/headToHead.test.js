@@ -0,0 +1,83 @@
+const { orientMatch, summarizeHeadToHead, getWinProbability } = require('../src/utils/headToHead');
+
+const match = (overrides = {}) => ({
+  id: 1,
+  league_id: 7,
+  league_name: 'Club',
+  played_at: '2024-05-01 18:00:00',
+  game_type: 'best_of_5',
+  player1_roster_id: 11,
+  player2_roster_id: 22,
+  winner_roster_id: 11,
+  player1_sets_won: 3,
+  player2_sets_won: 1,
+  player1_points_total: 44,
+  player2_points_total: 35,
+  player1_elo_before: 1200,
+  player1_elo_after: 1216,
+  player2_elo_before: 1250,
+  player2_elo_after: 1234,
+  ...overrides,
+});
+
+describe('Head-to-head', () => {
+  test('orients a match towards the player side', () => {
+    const oriented = orientMatch(match(), [], 2);
+    expect(oriented.result).toBe('L');
+    expect(oriented.player_sets_won).toBe(1);
+    expect(oriented.opponent_sets_won).toBe(3);
+    expect(oriented.player_points).toBe(35);
+    expect(oriented.player_elo_change).toBe(-16);
+    expect(oriented.opponent_elo_change).toBe(16);
+  });
+
+  test('prefers recorded sets over match totals', () => {
+    const sets = [
+      { set_number: 1, player1_score: 11, player2_score: 9 },
+      { set_number: 2, player1_score: 8, player2_score: 11 },
+      { set_number: 3, player1_score: 11, player2_score: 5 },
+    ];
+    const oriented = orientMatch(match({ player1_sets_won: 2, player2_sets_won: 1 }), sets, 1);
+    expect(oriented.sets[1]).toEqual({ set_number: 2, player_score: 8, opponent_score: 11 });
+    expect(oriented.player_sets_won).toBe(2);
+    expect(oriented.player_points).toBe(30);
+    expect(oriented.opponent_points).toBe(25);
+  });
+
+  test('leaves the rating change empty until ratings were applied', () => {
+    const oriented = orientMatch(match({ player1_elo_after: null, player2_elo_after: null }), [], 1);
+    expect(oriented.player_elo_change).toBeNull();
+    expect(summarizeHeadToHead([oriented]).average_elo_change).toBeNull();
+  });
+
+  test('summarizes record, differentials and streaks', () => {
+    const win = orientMatch(match(), [], 1);
+    const loss = orientMatch(match({ winner_roster_id: 22, player1_sets_won: 0, player2_sets_won: 3,
+      player1_points_total: 20, player2_points_total: 33, player1_elo_after: 1190, player2_elo_after: 1260 }), [], 1);
+
+    const summary = summarizeHeadToHead([win, win, loss, win]);
+    expect(summary).toMatchObject({
+      matches: 4,
+      wins: 3,
+      losses: 1,
+      win_rate: 75,
+      set_differential: 3 * 2 - 3,
+      point_differential: 3 * 9 - 13,
+      longest_win_streak: 2,
+      opponent_longest_win_streak: 1,
+      current_streak: { holder: 'player', length: 1 },
+      average_elo_change: 9.5,
+      average_elo_swing: 14.5,
+    });
+  });
+
+  test('an empty series has no streak', () => {
+    expect(summarizeHeadToHead([]).current_streak).toEqual({ holder: null, length: 0 });
+  });
+
+  test('win probability follows the rating difference', () => {
+    expect(getWinProbability(1200, 1200)).toBe(0.5);
+    expect(getWinProbability(1600, 1200)).toBe(0.909);
+    expect(getWinProbability(1200, null)).toBeNull();
+  });
+});
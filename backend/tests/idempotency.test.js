@@ -0,0 +1,39 @@
+const {
+  IdempotencyError,
+  parseIdempotencyKey,
+  requestHash,
+  isUniqueViolation
+} = require('../src/utils/idempotency');
+
+describe('Idempotency keys', () => {
+  test('accepts absent and well-formed keys and rejects others', () => {
+    expect(parseIdempotencyKey(undefined)).toBeNull();
+    expect(parseIdempotencyKey('')).toBeNull();
+    expect(parseIdempotencyKey(' 0b7f3c2e-8d41-4a8e-9a55-2f1c6e9d7b10 ')).toBe('0b7f3c2e-8d41-4a8e-9a55-2f1c6e9d7b10');
+
+    for (const bad of ['short', 'x'.repeat(101), 'has space in it', '<script>alert</script>']) {
+      expect(() => parseIdempotencyKey(bad)).toThrow(IdempotencyError);
+    }
+    try {
+      parseIdempotencyKey('short');
+    } catch (error) {
+      expect(error.status).toBe(400);
+      expect(error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    }
+  });
+
+  test('hashes request bodies regardless of key order', () => {
+    const body = { league_id: 1, player2_roster_id: 4, sets: [{ player1_score: 11, player2_score: 7 }] };
+    const reordered = { sets: [{ player2_score: 7, player1_score: 11 }], player2_roster_id: 4, league_id: 1 };
+    expect(requestHash(body)).toMatch(/^[0-9a-f]{64}$/);
+    expect(requestHash(reordered)).toBe(requestHash(body));
+    expect(requestHash({ ...body, player2_roster_id: 5 })).not.toBe(requestHash(body));
+  });
+
+  test('recognizes unique violations from Postgres and SQLite', () => {
+    expect(isUniqueViolation({ code: '23505' })).toBe(true);
+    expect(isUniqueViolation(new Error('SQLITE_CONSTRAINT: UNIQUE constraint failed: idempotency_keys.user_id'))).toBe(true);
+    expect(isUniqueViolation(new Error('SQLITE_BUSY: database is locked'))).toBe(false);
+    expect(isUniqueViolation(undefined)).toBe(false);
+  });
+});
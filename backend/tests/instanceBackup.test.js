@@ -0,0 +1,84 @@
+const {
+  BACKUP_FORMAT,
+  classifyColumnType,
+  canonicalizeValue,
+  checksumRows,
+  sortTablesByDependencies,
+  serializeBackup,
+  parseBackup,
+} = require('../src/utils/instanceBackup');
+
+const columns = [
+  { name: 'league_id', kind: 'integer' },
+  { name: 'payload', kind: 'json' },
+  { name: 'dirty', kind: 'boolean' },
+  { name: 'updated_at', kind: 'timestamp' },
+];
+
+const backup = {
+  format: BACKUP_FORMAT,
+  version: 1,
+  created_at: '2025-04-01T00:00:00.000Z',
+  source: 'sqlite',
+  tables: [{
+    name: 'league_snapshots',
+    columns,
+    primary_key: ['league_id'],
+    row_count: 2,
+    checksum: checksumRows(columns, ['league_id'], [[1, '{"a":1}', false, '2025-03-02 18:00:00'], [2, '[]', true, null]]),
+    rows: [[1, '{"a":1}', false, '2025-03-02 18:00:00'], [2, '[]', true, null]],
+  }],
+};
+
+describe('Instance backup', () => {
+  test('maps SQLite and Postgres column types to the same kinds', () => {
+    expect(['INTEGER', 'serial', 'BOOLEAN', 'DATETIME', 'timestamp without time zone', 'DATE', 'jsonb', 'REAL', 'double precision', 'VARCHAR(20)']
+      .map(classifyColumnType))
+      .toEqual(['integer', 'integer', 'boolean', 'timestamp', 'timestamp', 'date', 'json', 'real', 'real', 'text']);
+  });
+
+  test('canonicalizes values from either backend identically', () => {
+    expect(canonicalizeValue('boolean', 1)).toBe(true);
+    expect(canonicalizeValue('boolean', false)).toBe(false);
+    expect(canonicalizeValue('integer', '42')).toBe(42);
+    expect(canonicalizeValue('timestamp', '2025-03-02T18:00:00.120Z')).toBe('2025-03-02 18:00:00.12');
+    expect(canonicalizeValue('timestamp', '2025-03-02 18:00:00')).toBe('2025-03-02 18:00:00');
+    expect(canonicalizeValue('timestamp', '2025-03-02T20:00:00+02:00')).toBe('2025-03-02 18:00:00');
+    expect(canonicalizeValue('date', '2025-03-02')).toBe('2025-03-02');
+    expect(canonicalizeValue('text', 5)).toBe('5');
+  });
+
+  test('checksums ignore row order and JSON key order', () => {
+    const a = checksumRows(columns, ['league_id'], [[1, '{"a":1,"b":2}', false, null], [2, null, true, null]]);
+    const b = checksumRows(columns, ['league_id'], [[2, null, true, null], [1, '{"b": 2, "a": 1}', false, null]]);
+    expect(a).toBe(b);
+    expect(checksumRows(columns, ['league_id'], [[1, '{"a":1,"b":3}', false, null], [2, null, true, null]])).not.toBe(a);
+  });
+
+  test('orders tables after the tables they reference', () => {
+    const order = sortTablesByDependencies([
+      { name: 'matches', references: ['leagues', 'users'] },
+      { name: 'leagues', references: ['users'] },
+      { name: 'users', references: [] },
+      { name: 'tickets', references: ['tickets', 'users'] },
+    ]).map((table) => table.name);
+    expect(order.indexOf('users')).toBeLessThan(order.indexOf('leagues'));
+    expect(order.indexOf('leagues')).toBeLessThan(order.indexOf('matches'));
+    expect(() => sortTablesByDependencies([
+      { name: 'a', references: ['b'] },
+      { name: 'b', references: ['a'] },
+    ])).toThrow(/cycle/);
+  });
+
+  test('JSON and NDJSON backups parse back to the same tables', () => {
+    for (const format of ['json', 'ndjson']) {
+      const parsed = parseBackup(serializeBackup(backup, format));
+      expect(parsed.tables[0].rows).toEqual(backup.tables[0].rows);
+    }
+    const ndjson = serializeBackup(backup, 'ndjson');
+    expect(ndjson.trim().split('\n')).toHaveLength(3);
+    expect(() => parseBackup(ndjson.replace('18:00:00', '19:00:00'))).toThrow(/checksum mismatch/);
+    expect(() => parseBackup(ndjson.split('\n').slice(0, 2).join('\n'))).toThrow(/expected 2 rows/);
+    expect(() => parseBackup(JSON.stringify({ ...backup, version: 2 }))).toThrow(/not supported/);
+  });
+});
@@ -0,0 +1,94 @@
+const { getDigestWeek, buildDigest, isDigestEmpty, buildDigestLines } = require('../src/utils/leagueDigest');
+const { buildDigestEmail } = require('../src/utils/accountEmails');
+
+const week = {
+  start: new Date('2024-05-13T00:00:00Z'),
+  end: new Date('2024-05-20T00:00:00Z')
+};
+
+const roster = [
+  { id: 1, display_name: 'Anna', current_elo: 1270, is_participating: 1, joined_at: '2024-01-01 10:00:00' },
+  { id: 2, display_name: 'Ben', current_elo: 1250, is_participating: 1, joined_at: '2024-01-01 10:00:00' },
+  { id: 3, display_name: 'Carl', current_elo: 1250, is_participating: 1, joined_at: '2024-01-01 10:00:00' },
+  { id: 4, display_name: 'Dana', current_elo: 1200, is_participating: 1, joined_at: '2024-05-15 09:00:00' }
+];
+
+describe('Digest weeks', () => {
+  test('cover the last finished Monday-to-Monday week', () => {
+    const { start, end } = getDigestWeek(new Date('2024-05-21T08:00:00Z'));
+    expect(start.toISOString()).toBe('2024-05-13T00:00:00.000Z');
+    expect(end.toISOString()).toBe('2024-05-20T00:00:00.000Z');
+  });
+});
+
+describe('Weekly digest', () => {
+  // Carl (1300) lost to Anna (1180) and then to Ben; Anna also gained after the week
+  const matches = [
+    {
+      id: 10, is_doubles: 0, player1_roster_id: 1, player2_roster_id: 3, winner_roster_id: 1,
+      player1_elo_before: 1180, player2_elo_before: 1300
+    },
+    {
+      id: 11, is_doubles: 0, player1_roster_id: 3, player2_roster_id: 2, winner_roster_id: 2,
+      player1_elo_before: 1270, player2_elo_before: 1230
+    }
+  ];
+  const history = [
+    { roster_id: 1, elo_change: 30, recorded_at: '2024-05-14 18:00:00' },
+    { roster_id: 3, elo_change: -30, recorded_at: '2024-05-14 18:00:00' },
+    { roster_id: 3, elo_change: -20, recorded_at: '2024-05-16 18:00:00' },
+    { roster_id: 2, elo_change: 20, recorded_at: '2024-05-16 18:00:00' },
+    { roster_id: 1, elo_change: 60, recorded_at: '2024-05-21 18:00:00' }
+  ];
+
+  test('summarizes matches, movers and upsets of the week', () => {
+    const digest = buildDigest({ roster, matches, history }, week);
+    expect(digest.matches_played).toBe(2);
+    expect(digest.active_players).toBe(3);
+    expect(digest.top_movers).toEqual([
+      { roster_id: 3, display_name: 'Carl', elo_change: -50, elo_after: 1250 },
+      { roster_id: 1, display_name: 'Anna', elo_change: 30, elo_after: 1210 },
+      { roster_id: 2, display_name: 'Ben', elo_change: 20, elo_after: 1250 }
+    ]);
+    expect(digest.upsets).toHaveLength(1);
+    expect(digest.upsets[0]).toMatchObject({ match_id: 10, winner_name: 'Anna', loser_name: 'Carl', expected_score: 0.33 });
+    expect(digest.new_members).toEqual([{ roster_id: 4, display_name: 'Dana' }]);
+  });
+
+  test('reports leaderboard places that changed', () => {
+    const digest = buildDigest({ roster, matches, history }, week);
+    // Start: Carl 1300, Ben 1230, Anna 1180
+    // End: Ben 1250, Carl 1250 (ties by roster id), Anna 1210, Dana 1200
+    expect(digest.leaderboard_changes).toEqual([
+      { roster_id: 2, display_name: 'Ben', rank_before: 2, rank_after: 1 },
+      { roster_id: 3, display_name: 'Carl', rank_before: 1, rank_after: 2 },
+      { roster_id: 4, display_name: 'Dana', rank_before: null, rank_after: 4 }
+    ]);
+    expect(digest.leader).toEqual({ roster_id: 2, display_name: 'Ben', elo: 1250 });
+  });
+
+  test('quiet weeks are empty', () => {
+    const quiet = buildDigest({ roster: roster.slice(0, 3), matches: [], history: [] }, week);
+    expect(isDigestEmpty(quiet)).toBe(true);
+    expect(buildDigestLines(quiet)).toEqual(['No matches played.']);
+  });
+
+  test('lines and email describe the week', () => {
+    const digest = buildDigest({ roster, matches, history }, week);
+    const lines = buildDigestLines(digest);
+    expect(lines[0]).toBe('2 matches played by 3 players.');
+    expect(lines).toContain('Biggest movers: Carl -50, Anna +30, Ben +20.');
+    expect(lines.some((line) => line.startsWith('Upsets: Anna beat Carl'))).toBe(true);
+
+    const email = buildDigestEmail({
+      user: { username: 'anna', first_name: 'Anna' },
+      leagueId: 7,
+      leagueName: 'Office <League>',
+      lines,
+      appUrl: 'https://tt.example.com'
+    });
+    expect(email.subject).toBe('Your week in Office <League>');
+    expect(email.html).toContain('Office &lt;League&gt;');
+    expect(email.text).toContain('https://tt.example.com/app/leagues/7');
+  });
+});
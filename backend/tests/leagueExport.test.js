@@ -0,0 +1,83 @@
+const {
+  ARCHIVE_FORMAT,
+  toCsv,
+  assignRosterNames,
+  buildExportDatasets,
+  toCsvRows,
+  buildArchive,
+} = require('../src/utils/leagueExport');
+const { parseCsv, parseImportContent, buildImportPlan } = require('../src/utils/matchImport');
+
+const data = {
+  league: { id: 1, name: 'Club', rating_engine: 'elo', rating_config: null, elo_update_mode: 'immediate' },
+  roster: [
+    { id: 1, user_id: 10, display_name: 'alice', username: 'alice', current_elo: 1216, is_participating: 1 },
+    { id: 2, user_id: null, display_name: 'Sam', username: null, current_elo: 1190, is_participating: 1 },
+    { id: 3, user_id: 11, display_name: 'Sam', username: 'sam_b', current_elo: 1194, is_participating: 1 },
+  ],
+  seasons: [{ id: 5, name: 'Spring', status: 'active', start_date: '2025-03-01', end_date: null, rating_reset: 'carry_over' }],
+  standings: [],
+  matches: [
+    {
+      id: 7, played_at: '2025-03-02 18:00:00', player1_roster_id: 1, player2_roster_id: 2, is_doubles: 0,
+      winner_roster_id: 1, game_type: 'best_of_3', player1_sets_won: 2, player2_sets_won: 1, season_id: 5,
+      player1_elo_before: 1200, player1_elo_after: 1216, player2_elo_before: 1200, player2_elo_after: 1184,
+    },
+    {
+      id: 8, played_at: '2025-03-03 18:00:00', player1_roster_id: 3, player2_roster_id: 2, is_doubles: 0,
+      winner_roster_id: 3, game_type: 'best_of_1', player1_sets_won: 1, player2_sets_won: 0, season_id: 5,
+    },
+  ],
+  sets: [
+    { match_id: 7, set_number: 1, player1_score: 11, player2_score: 7 },
+    { match_id: 7, set_number: 2, player1_score: 9, player2_score: 11 },
+    { match_id: 7, set_number: 3, player1_score: 11, player2_score: 5 },
+  ],
+  eloHistory: [{ roster_id: 2, match_id: 7, elo_before: 1200, elo_after: 1184, elo_change: -16, recorded_at: '2025-03-02 18:00:00' }],
+  badges: [],
+};
+
+describe('League export', () => {
+  test('quotes CSV cells and neutralises formulas', () => {
+    expect(toCsv(['a', 'b'], [{ a: 'x, "y"', b: '=SUM(A1)' }, { a: -3, b: null }]))
+      .toBe('a,b\r\n"x, ""y""",\'=SUM(A1)\r\n-3,\r\n');
+  });
+
+  test('gives roster entries sharing a name distinct names', () => {
+    expect([...assignRosterNames(data.roster).values()]).toEqual(['alice', 'Sam #2', 'Sam #3']);
+  });
+
+  test('builds the leaderboard and rating history from the match data', () => {
+    const datasets = buildExportDatasets(data);
+    expect(datasets.leaderboard.map((row) => [row.rank, row.player, row.matches_won, row.matches_lost])).toEqual([
+      [1, 'alice', 1, 0],
+      [2, 'Sam #3', 1, 0],
+      [3, 'Sam #2', 0, 2],
+    ]);
+    expect(datasets.elo_history[0]).toMatchObject({ player: 'Sam #2', opponent: 'alice', elo_change: -16 });
+    expect(toCsvRows('matches', datasets.matches)[0].sets).toBe('11-7 9-11 11-5');
+  });
+
+  test('archive and CSV matches round-trip through the import', () => {
+    const archive = buildArchive(data, new Date('2025-04-01T00:00:00Z'));
+    expect(archive).toMatchObject({ format: ARCHIVE_FORMAT, version: 1, league: { rating_engine: 'elo' } });
+
+    const { rows, archive: parsed } = parseImportContent('json', JSON.stringify(archive));
+    expect(parsed.seasons[0].name).toBe('Spring');
+    const plan = buildImportPlan(rows, [], { now: new Date('2025-04-01T00:00:00Z') });
+    expect(plan.summary).toMatchObject({ valid: 2, invalid: 0, placeholders: 3 });
+    expect(plan.rows[0]).toMatchObject({
+      played_at: '2025-03-02 18:00:00', player1: 'alice', player2: 'Sam #2', season: 'Spring', game_type: 'best_of_3',
+    });
+
+    const csv = toCsv(
+      ['played_at', 'player1', 'player2', 'sets', 'player1_sets_won', 'player2_sets_won'],
+      toCsvRows('matches', buildExportDatasets(data).matches)
+    );
+    const csvPlan = buildImportPlan(parseCsv(csv), [], { now: new Date('2025-04-01T00:00:00Z') });
+    expect(csvPlan.rows.map((row) => [row.player1_sets_won, row.player2_sets_won, row.errors.length])).toEqual([
+      [2, 1, 0],
+      [1, 0, 0],
+    ]);
+  });
+});
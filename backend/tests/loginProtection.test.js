@@ -0,0 +1,62 @@
+const {
+  LOCKOUT_THRESHOLD,
+  loginDelaySeconds,
+  lockoutMinutes,
+  evaluateLoginRecord,
+  deviceFingerprint
+} = require('../src/utils/loginProtection');
+const { buildAccountLockedEmail, buildNewSignInEmail } = require('../src/utils/accountEmails');
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+
+describe('Login protection', () => {
+  test('delays grow after the free attempts and lockouts double up to a day', () => {
+    expect([0, 1, 2, 3, 4, 5, 6].map(loginDelaySeconds)).toEqual([0, 0, 0, 1, 2, 4, 8]);
+    expect(loginDelaySeconds(40)).toBe(60);
+    expect(LOCKOUT_THRESHOLD).toBe(5);
+    expect([1, 2, 3].map(lockoutMinutes)).toEqual([15, 30, 60]);
+    expect(lockoutMinutes(20)).toBe(24 * 60);
+  });
+
+  test('evaluates stored attempts against the current time', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    expect(evaluateLoginRecord(null, now)).toBeNull();
+    expect(evaluateLoginRecord({ attempt_count: 2, last_failed_at: '2026-03-01 12:00:00' }, now)).toBeNull();
+
+    // Third failure one second ago: one more second to wait
+    expect(evaluateLoginRecord({ attempt_count: 4, last_failed_at: '2026-03-01 11:59:59' }, now))
+      .toEqual({ code: 'LOGIN_THROTTLED', retry_after: 1 });
+    expect(evaluateLoginRecord({ attempt_count: 4, last_failed_at: '2026-03-01 11:59:50' }, now)).toBeNull();
+
+    // Postgres returns Date objects
+    expect(evaluateLoginRecord({ attempt_count: 0, locked_until: new Date('2026-03-01T12:10:00Z') }, now))
+      .toEqual({ code: 'ACCOUNT_LOCKED', retry_after: 600 });
+    expect(evaluateLoginRecord({ attempt_count: 0, locked_until: '2026-03-01 11:00:00' }, now)).toBeNull();
+
+    // Failures from more than a day ago no longer count
+    expect(evaluateLoginRecord({ attempt_count: 20, last_failed_at: '2026-02-27 12:00:00' }, now)).toBeNull();
+  });
+
+  test('identifies devices by client id, else by browser and OS', () => {
+    const byId = deviceFingerprint({ device_id: '0b7f3c2e-8d41-4a8e-9a55-2f1c6e9d7b10', user_agent: CHROME_WINDOWS });
+    expect(byId).toMatch(/^[0-9a-f]{64}$/);
+    expect(byId).not.toBe(deviceFingerprint({ device_id: '5c1d9e22-3b6a-4f0e-8c7d-9e8f1a2b3c4d', user_agent: CHROME_WINDOWS }));
+
+    // Malformed ids fall back to the User-Agent, which ignores version numbers
+    const byAgent = deviceFingerprint({ device_id: '<script>', user_agent: CHROME_WINDOWS });
+    expect(byAgent).toBe(deviceFingerprint({ user_agent: CHROME_WINDOWS.replace('126.0.0.0', '127.0.0.0') }));
+    expect(byAgent).not.toBe(byId);
+  });
+
+  test('builds lockout and new sign-in emails', () => {
+    const user = { username: 'ada', first_name: 'Ada' };
+    const locked = buildAccountLockedEmail({ user, minutes: 15, ip: '203.0.113.7', appUrl: 'https://leagues.example' });
+    expect(locked.text).toContain('15 minutes');
+    expect(locked.text).toContain('203.0.113.7');
+    expect(locked.html).toContain('href="https://leagues.example/app/profile"');
+
+    const signIn = buildNewSignInEmail({ user, device: 'Chrome, Windows', language: 'de', appUrl: 'https://leagues.example' });
+    expect(signIn.text).toContain('Hallo Ada');
+    expect(signIn.text).toContain('neuen Gerät angemeldet: Chrome, Windows.');
+  });
+});
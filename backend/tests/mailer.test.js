@@ -0,0 +1,72 @@
+const { resolveMailConfig, buildMimeMessage, MailError } = require('../src/utils/mailer');
+const { dotStuff, envelopeAddress } = require('../src/utils/smtpClient');
+const { getAppUrl, pickLanguage, buildPasswordResetEmail, buildVerificationEmail } = require('../src/utils/accountEmails');
+const { hashToken, tokenExpiry, TOKEN_PURPOSES } = require('../src/utils/accountTokens');
+
+const decodeParts = (message) => [...message.matchAll(/base64\r\n\r\n([A-Za-z0-9+/=\r\n]+)/g)]
+  .map((match) => Buffer.from(match[1].replace(/\r\n/g, ''), 'base64').toString('utf8'));
+
+describe('Mail transport and account emails', () => {
+  test('picks the transport from the environment', () => {
+    expect(resolveMailConfig({}).transport).toBe('console');
+    expect(resolveMailConfig({ NODE_ENV: 'production' }).transport).toBe('none');
+    expect(resolveMailConfig({ SMTP_HOST: 'smtp.example.com', SMTP_SECURE: 'true' })).toMatchObject({
+      transport: 'smtp',
+      smtp: { host: 'smtp.example.com', port: 465, secure: true },
+    });
+    expect(resolveMailConfig({ MAIL_TRANSPORT: 'file', MAIL_FILE_DIR: '/tmp/outbox' })).toMatchObject({ transport: 'file', fileDir: '/tmp/outbox' });
+    expect(() => resolveMailConfig({ MAIL_TRANSPORT: 'smtp' })).toThrow(MailError);
+    expect(() => resolveMailConfig({ MAIL_TRANSPORT: 'pigeon' })).toThrow(/Unknown MAIL_TRANSPORT/);
+  });
+
+  test('builds a multipart message with encoded non-ASCII headers', () => {
+    const message = buildMimeMessage({
+      from: 'TT Leagues <no-reply@leagues.example>',
+      to: 'ada@example.com',
+      subject: 'Setze dein Passwort zurück',
+      text: 'Hallo Jürgen',
+      html: '<p>Hallo Jürgen</p>',
+    }, { date: new Date('2025-03-01T12:00:00Z'), messageId: 'abc', boundary: 'b1' });
+
+    expect(message).toContain('From: TT Leagues <no-reply@leagues.example>\r\n');
+    expect(message).toContain(`Subject: =?UTF-8?B?${Buffer.from('Setze dein Passwort zurück').toString('base64')}?=\r\n`);
+    expect(message).toContain('Message-ID: <abc@leagues.example>');
+    expect(message).toContain('Content-Type: multipart/alternative; boundary="b1"');
+    expect(message.trimEnd().endsWith('--b1--')).toBe(true);
+    expect(decodeParts(message)).toEqual(['Hallo Jürgen', '<p>Hallo Jürgen</p>']);
+  });
+
+  test('escapes leading dots and extracts envelope addresses for SMTP', () => {
+    expect(dotStuff('one\n.two\r\n..three')).toBe('one\r\n..two\r\n...three');
+    expect(envelopeAddress('"TT Leagues" <no-reply@leagues.example>')).toBe('no-reply@leagues.example');
+    expect(envelopeAddress('plain@example.com')).toBe('plain@example.com');
+  });
+
+  test('links to the frontend in the requested language', () => {
+    expect(getAppUrl({ FRONTEND_URL: 'https://tt-*.vercel.app,https://leagues.example/' })).toBe('https://leagues.example');
+    expect(getAppUrl({ APP_URL: 'https://app.example', FRONTEND_URL: 'https://leagues.example' })).toBe('https://app.example');
+    expect(getAppUrl({})).toBe('http://localhost:5173');
+    expect(pickLanguage(undefined, 'de-DE,de;q=0.9')).toBe('de');
+    expect(pickLanguage('fr')).toBe('en');
+
+    const user = { username: 'ada', first_name: 'Ada <b>' };
+    const reset = buildPasswordResetEmail({ user, token: 'a+b', minutes: 60, language: 'de', appUrl: 'https://leagues.example' });
+    expect(reset.subject).toMatch(/zurück/);
+    expect(reset.text).toContain('https://leagues.example/reset-password?token=a%2Bb');
+    expect(reset.html).toContain('Hallo Ada &lt;b&gt;');
+
+    const verify = buildVerificationEmail({ user: { username: 'ada' }, token: 't', minutes: 2880, appUrl: 'https://leagues.example' });
+    expect(verify.text).toContain('Hi ada,');
+    expect(verify.text).toContain('/verify-email?token=t');
+    expect(verify.text).toContain('48 hours');
+  });
+
+  test('stores only a hash of the token and expires by purpose', () => {
+    expect(hashToken('secret')).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashToken('secret')).not.toBe(hashToken('Secret'));
+    const now = new Date('2025-03-01T12:00:00Z');
+    expect(tokenExpiry(TOKEN_PURPOSES.PASSWORD_RESET, now).toISOString()).toBe('2025-03-01T13:00:00.000Z');
+    expect(tokenExpiry(TOKEN_PURPOSES.EMAIL_VERIFICATION, now).toISOString()).toBe('2025-03-03T12:00:00.000Z');
+    expect(() => tokenExpiry('unlock', now)).toThrow(/Unknown account token purpose/);
+  });
+});
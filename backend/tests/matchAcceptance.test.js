@@ -0,0 +1,220 @@
+// Ensure env is set before requiring the database/app singletons.
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = ''; // force SQLite in tests
+process.env.DATABASE_PATH = `/tmp/league-confirmation-test-${Date.now()}.db`;
+
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../src/app');
+const database = require('../src/models/database');
+const {
+  getConfirmationDeadline,
+  runConfirmationTimeouts,
+  DEFAULT_CONFIRMATION_TIMEOUT_HOURS,
+} = require('../src/utils/matchAcceptance');
+
+describe('Confirmation deadlines', () => {
+  const submittedAt = new Date('2024-05-15T13:45:30.250Z');
+
+  test('are the league timeout after submission, in CURRENT_TIMESTAMP format', () => {
+    expect(getConfirmationDeadline(48, submittedAt)).toBe('2024-05-17 13:45:30');
+    expect(getConfirmationDeadline(1, submittedAt)).toBe('2024-05-15 14:45:30');
+  });
+
+  test('cross month boundaries in UTC', () => {
+    expect(getConfirmationDeadline(24, new Date('2024-02-29T23:30:00Z'))).toBe('2024-03-01 23:30:00');
+  });
+
+  test('fall back to the default timeout for missing or invalid values', () => {
+    const expected = getConfirmationDeadline(DEFAULT_CONFIRMATION_TIMEOUT_HOURS, submittedAt);
+    expect(getConfirmationDeadline(null, submittedAt)).toBe(expected);
+    expect(getConfirmationDeadline(0, submittedAt)).toBe(expected);
+    expect(getConfirmationDeadline(2.5, submittedAt)).toBe(expected);
+  });
+});
+
+describe('Opponent confirmation', () => {
+  let admin;
+  let alice;
+  let bobby;
+  let carol;
+  let leagueId;
+
+  const register = async (username) => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username,
+        password: 'password123',
+        first_name: username,
+        last_name: 'Player',
+        email: `${username}@example.com`,
+      });
+    expect(res.status).toBe(201);
+    return { token: res.body.token, id: res.body.user.id };
+  };
+
+  // Alice reports a 3-1 win over Bobby
+  const submit = async () => {
+    const res = await request(app)
+      .post('/api/matches')
+      .set('Authorization', `Bearer ${alice.token}`)
+      .send({
+        league_id: leagueId,
+        player2_roster_id: bobby.rosterId,
+        player1_sets_won: 3,
+        player2_sets_won: 1,
+        player1_points_total: 44,
+        player2_points_total: 35,
+        game_type: 'best_of_5',
+      });
+    expect(res.status).toBe(201);
+    return res.body.match.id;
+  };
+
+  const answer = (matchId, player, action, body = {}) => request(app)
+    .post(`/api/matches/${matchId}/${action}`)
+    .set('Authorization', `Bearer ${player.token}`)
+    .send(body);
+
+  const getMatch = (matchId) => database.get(
+    `SELECT is_accepted, accepted_by, confirmed_by, confirmation_status, confirmation_deadline,
+            player1_sets_won, player2_sets_won, winner_roster_id
+     FROM matches WHERE id = ?`,
+    [matchId]
+  );
+
+  const bobbyDispute = { player1_sets_won: 1, player2_sets_won: 3, player1_points_total: 35, player2_points_total: 44 };
+
+  beforeAll(async () => {
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+    await database.initialize();
+
+    admin = await register('confirm_admin');
+    alice = await register('confirm_alice');
+    bobby = await register('confirm_bobby');
+    carol = await register('confirm_carol');
+
+    const league = await request(app)
+      .post('/api/leagues')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name: 'Confirmation League', is_public: true });
+    expect(league.status).toBe(201);
+    leagueId = league.body.league.id;
+    await database.run(
+      'UPDATE leagues SET result_confirmation = ?, confirmation_timeout_hours = ? WHERE id = ?',
+      ['opponent', 24, leagueId]
+    );
+
+    for (const [player, name] of [[alice, 'Alice'], [bobby, 'Bobby'], [carol, 'Carol']]) {
+      const roster = await database.run(
+        'INSERT INTO league_roster (league_id, user_id, display_name) VALUES (?, ?, ?)',
+        [leagueId, player.id, name]
+      );
+      player.rosterId = roster.id;
+    }
+  });
+
+  afterAll(async () => {
+    await database.close();
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+  });
+
+  test('only the opponent confirms a result, which accepts it', async () => {
+    const matchId = await submit();
+    const submitted = await getMatch(matchId);
+    expect(submitted).toMatchObject({ confirmation_status: 'awaiting' });
+    expect(submitted.is_accepted).toBeFalsy();
+    expect(submitted.confirmation_deadline).toBeTruthy();
+    const requests = await database.all(
+      'SELECT id FROM notifications WHERE user_id = ? AND type = ? AND related_id = ?',
+      [bobby.id, 'match_confirmation', matchId]
+    );
+    expect(requests).toHaveLength(1);
+
+    for (const player of [alice, carol, admin]) {
+      expect((await answer(matchId, player, 'confirm')).status).toBe(403);
+    }
+
+    const confirmed = await answer(matchId, bobby, 'confirm');
+    expect(confirmed.status).toBe(200);
+    expect(await getMatch(matchId)).toMatchObject({
+      accepted_by: bobby.id,
+      confirmed_by: bobby.id,
+      confirmation_status: 'confirmed',
+    });
+    const history = await database.all('SELECT id FROM elo_history WHERE match_id = ?', [matchId]);
+    expect(history).toHaveLength(2);
+
+    expect((await answer(matchId, bobby, 'confirm')).status).toBe(409);
+  });
+
+  test('awaiting results cannot be edited', async () => {
+    const matchId = await submit();
+    const edit = (player) => request(app)
+      .put(`/api/matches/${matchId}`)
+      .set('Authorization', `Bearer ${player.token}`)
+      .send({ player1_sets_won: 3, player2_sets_won: 0, game_type: 'best_of_5' });
+
+    expect((await edit(alice)).status).toBe(409);
+    expect((await edit(bobby)).status).toBe(403);
+    expect(await getMatch(matchId)).toMatchObject({ player1_sets_won: 3, player2_sets_won: 1 });
+
+    // Settled here so later tests start without awaiting results
+    expect((await answer(matchId, bobby, 'confirm')).status).toBe(200);
+  });
+
+  test('disputes are settled by a league admin', async () => {
+    const matchId = await submit();
+
+    expect((await answer(matchId, carol, 'dispute', bobbyDispute)).status).toBe(403);
+    const sameScore = await answer(matchId, bobby, 'dispute', {
+      player1_sets_won: 3, player2_sets_won: 1, player1_points_total: 44, player2_points_total: 35,
+    });
+    expect(sameScore.status).toBe(400);
+
+    const disputed = await answer(matchId, bobby, 'dispute', { ...bobbyDispute, reason: 'I won the fourth set' });
+    expect(disputed.status).toBe(201);
+    expect(disputed.body.dispute).toMatchObject({ status: 'open', player1_sets_won: 1, player2_sets_won: 3 });
+    expect(await getMatch(matchId)).toMatchObject({ confirmation_status: 'disputed', confirmation_deadline: null });
+
+    expect((await answer(matchId, bobby, 'dispute', bobbyDispute)).status).toBe(409);
+    expect((await answer(matchId, bobby, 'confirm')).status).toBe(409);
+    expect((await answer(matchId, alice, 'resolve-dispute', { resolution: 'submitted' })).status).toBe(403);
+    expect((await answer(matchId, admin, 'resolve-dispute', { resolution: 'both' })).status).toBe(400);
+
+    const resolved = await answer(matchId, admin, 'resolve-dispute', { resolution: 'disputed' });
+    expect(resolved.status).toBe(200);
+    expect(await getMatch(matchId)).toMatchObject({
+      accepted_by: admin.id,
+      confirmation_status: 'resolved',
+      player1_sets_won: 1,
+      player2_sets_won: 3,
+      winner_roster_id: bobby.rosterId,
+    });
+    const dispute = await database.get('SELECT status, resolution, resolved_by FROM match_disputes WHERE match_id = ?', [matchId]);
+    expect(dispute).toEqual({ status: 'resolved', resolution: 'disputed', resolved_by: admin.id });
+
+    expect((await answer(matchId, admin, 'resolve-dispute', { resolution: 'submitted' })).status).toBe(409);
+  });
+
+  test('unanswered results are accepted once their deadline has passed', async () => {
+    const matchId = await submit();
+
+    expect(await runConfirmationTimeouts()).toEqual([]);
+
+    const later = new Date(Date.now() + 25 * 60 * 60 * 1000);
+    expect(await runConfirmationTimeouts({ now: later })).toEqual([
+      { match_id: matchId, league_id: leagueId, status: 'accepted' },
+    ]);
+    const accepted = await getMatch(matchId);
+    expect(accepted).toMatchObject({ accepted_by: null, confirmed_by: null, confirmation_status: 'auto_accepted' });
+    expect(accepted.is_accepted).toBeTruthy();
+
+    expect(await runConfirmationTimeouts({ now: later })).toEqual([]);
+  });
+});
@@ -0,0 +1,222 @@
+// Ensure env is set before requiring the database/app singletons.
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = ''; // force SQLite in tests
+process.env.DATABASE_PATH = `/tmp/league-import-test-${Date.now()}.db`;
+
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../src/app');
+const database = require('../src/models/database');
+const { consolidateLeague } = require('../src/utils/consolidation');
+const {
+  MatchImportError,
+  parseCsv,
+  parseJson,
+  parsePlayedAt,
+  parseImportRow,
+  buildImportPlan,
+  getPlaceholderNames,
+  findSeasonForDate,
+} = require('../src/utils/matchImport');
+
+const roster = [
+  { id: 1, user_id: 10, display_name: 'alice', username: 'alice' },
+  { id: 2, user_id: null, display_name: 'Bob Smith', username: null },
+  { id: 3, user_id: 11, display_name: 'Sam', username: 'sam_a' },
+  { id: 4, user_id: 12, display_name: 'Sam', username: 'sam_b' },
+];
+
+const now = new Date('2026-01-01T00:00:00Z');
+
+describe('Match import', () => {
+  test('parses CSV with quotes, aliases and a detected delimiter', () => {
+    const rows = parseCsv('Date;Player 1;Player 2;Score\n2025-03-01;"Smith; Bob";alice;"11-7 9-11 11-5"\n\n');
+    expect(rows).toEqual([
+      { line: 2, played_at: '2025-03-01', player1: 'Smith; Bob', player2: 'alice', sets: '11-7 9-11 11-5' },
+    ]);
+    expect(() => parseCsv('date,player1\n2025-03-01,alice')).toThrow(MatchImportError);
+  });
+
+  test('reads the export JSON wrapper and set arrays', () => {
+    const rows = parseJson(JSON.stringify({ matches: [{ played_at: '2025-03-01', player1: 'a', player2: 'b', sets: [[11, 7], [11, 9]] }] }));
+    expect(rows[0]).toMatchObject({ line: 1, sets: [[11, 7], [11, 9]] });
+    expect(() => parseJson('{"rows": []}')).toThrow(MatchImportError);
+  });
+
+  test('normalises dates to UTC and rejects impossible ones', () => {
+    expect(parsePlayedAt('2025-03-01')).toBe('2025-03-01 00:00:00');
+    expect(parsePlayedAt('2025-03-01T18:30:00+02:00')).toBe('2025-03-01 16:30:00');
+    expect(parsePlayedAt('1.3.2025 18:30')).toBe('2025-03-01 18:30:00');
+    expect(parsePlayedAt('31.02.2025')).toBeNull();
+    expect(parsePlayedAt('yesterday')).toBeNull();
+  });
+
+  test('derives sets won, points and game type from the set scores', () => {
+    const row = parseImportRow({ line: 2, played_at: '2025-03-01', player1: 'a', player2: 'b', sets: '11-7 9-11 11:5' }, now);
+    expect(row).toMatchObject({
+      errors: [],
+      game_type: 'best_of_3',
+      player1_sets_won: 2,
+      player2_sets_won: 1,
+      player1_points_total: 31,
+      player2_points_total: 23,
+    });
+
+    const invalid = parseImportRow(
+      { line: 3, played_at: '2030-01-01', player1: 'a', player2: 'b', game_type: 'best_of_5', sets: '11-7 7-7', player1_sets_won: '3', player2_sets_won: '0' },
+      now
+    );
+    expect(invalid.errors).toEqual([
+      'Date is in the future',
+      'Set 2: a set cannot end in a tie',
+    ]);
+  });
+
+  test('resolves names, applies mappings and orders valid rows by date', () => {
+    const rawRows = [
+      { line: 2, played_at: '2025-03-02', player1: 'ALICE', player2: 'bob  smith', sets: '11-7 11-9' },
+      { line: 3, played_at: '2025-03-01', player1: 'alice', player2: 'Carol', player1_sets_won: 2, player2_sets_won: 0 },
+      { line: 4, played_at: '2025-03-01', player1: 'sam', player2: 'alice', sets: '11-7' },
+      { line: 5, played_at: '2025-03-03', player1: 'alice', player2: 'ali', sets: '11-7' },
+    ];
+
+    const plan = buildImportPlan(rawRows, roster, { mapping: { ali: 1 }, now });
+    expect(plan.rows.map((row) => row.errors.length)).toEqual([0, 0, 1, 1]);
+    expect(plan.rows[2].errors[0]).toMatch(/more than one roster entry/);
+    expect(plan.rows[3].errors).toEqual(['The same player appears more than once in this match']);
+    expect(plan.rows[0].sort_order).toBe(2);
+    expect(plan.rows[1].sort_order).toBe(1);
+    expect(plan.names.find((entry) => entry.key === 'bob smith')).toMatchObject({ status: 'matched', roster_id: 2 });
+    expect(plan.summary).toMatchObject({ total: 4, valid: 2, invalid: 2, placeholders: 1, first_played_at: '2025-03-01 00:00:00' });
+    expect(getPlaceholderNames(plan)).toEqual(['Carol']);
+
+    const mapped = buildImportPlan(rawRows.slice(2, 3), roster, { mapping: { Sam: 4 }, now });
+    expect(mapped.summary.valid).toBe(1);
+  });
+
+  test('assigns the season whose dates contain the match', () => {
+    const seasons = [
+      { id: 1, start_date: '2024-09-01', end_date: '2025-02-28' },
+      { id: 2, start_date: '2025-03-01', end_date: null },
+    ];
+    expect(findSeasonForDate(seasons, '2025-02-28 20:00:00').id).toBe(1);
+    expect(findSeasonForDate(seasons, '2025-06-01 00:00:00').id).toBe(2);
+    expect(findSeasonForDate(seasons, '2024-01-01 00:00:00')).toBeNull();
+  });
+});
+
+describe('Importing into a weekly league', () => {
+  let adminToken;
+  let leagueId;
+  let a;
+  let b;
+  let c;
+
+  const playAndAccept = async (player1RosterId, player2RosterId, sets1, sets2) => {
+    const submitted = await request(app)
+      .post('/api/matches')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        league_id: leagueId,
+        player1_roster_id: player1RosterId,
+        player2_roster_id: player2RosterId,
+        player1_sets_won: sets1,
+        player2_sets_won: sets2,
+        player1_points_total: sets1 * 11,
+        player2_points_total: sets2 * 11,
+        game_type: 'best_of_5',
+      });
+    expect(submitted.status).toBe(201);
+    const accepted = await request(app)
+      .post(`/api/matches/${submitted.body.match.id}/accept`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(accepted.status).toBe(200);
+    return submitted.body.match.id;
+  };
+
+  const importCsv = (content) => request(app)
+    .post(`/api/leagues/${leagueId}/imports`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ format: 'csv', content });
+
+  const ratingsOf = (rosterIds) => database.all(
+    `SELECT id, current_elo FROM league_roster WHERE id IN (${rosterIds.map(() => '?').join(', ')}) ORDER BY id`,
+    rosterIds
+  );
+
+  const matchRatings = (matchIds) => database.all(
+    `SELECT id, player1_elo_before, player2_elo_before, player1_elo_after, player2_elo_after
+     FROM matches WHERE id IN (${matchIds.map(() => '?').join(', ')}) ORDER BY id`,
+    matchIds
+  );
+
+  beforeAll(async () => {
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+    await database.initialize();
+
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'import_admin',
+        password: 'password123',
+        first_name: 'Import',
+        last_name: 'Admin',
+        email: 'import.admin@example.com',
+      });
+    expect(register.status).toBe(201);
+    adminToken = register.body.token;
+
+    const league = await request(app)
+      .post('/api/leagues')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Weekly Import League', is_public: true });
+    expect(league.status).toBe(201);
+    leagueId = league.body.league.id;
+    await database.run('UPDATE leagues SET elo_update_mode = ? WHERE id = ?', ['weekly', leagueId]);
+
+    a = (await database.get('SELECT id FROM league_roster WHERE league_id = ?', [leagueId])).id;
+    b = (await database.run('INSERT INTO league_roster (league_id, display_name) VALUES (?, ?)', [leagueId, 'Bea'])).id;
+    c = (await database.run('INSERT INTO league_roster (league_id, display_name) VALUES (?, ?)', [leagueId, 'Cem'])).id;
+  });
+
+  afterAll(async () => {
+    await database.close();
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+  });
+
+  test('consolidated history keeps its ratings when unrelated matches are imported', async () => {
+    const batch = [await playAndAccept(a, b, 3, 1), await playAndAccept(a, c, 3, 0), await playAndAccept(b, c, 3, 2)];
+    await consolidateLeague(leagueId, { triggeredVia: 'cli' });
+    const roster = await ratingsOf([a, b, c]);
+    const consolidated = await matchRatings(batch);
+
+    const res = await importCsv('date,player1,player2,score\n2024-03-01,Dan,Eve,11-5 11-7 11-9\n');
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ imported: 1, placeholders_created: 2, rated_matches: 4 });
+
+    expect(await ratingsOf([a, b, c])).toEqual(roster);
+    expect(await matchRatings(batch)).toEqual(consolidated);
+  });
+
+  test('consolidated matches stay rated together after an earlier import', async () => {
+    const res = await importCsv('date,player1,player2,score\n2024-04-01,Bea,Dan,11-5 11-7 11-9\n');
+    expect(res.status).toBe(201);
+
+    // Bea's two matches of the consolidated batch both start from her rating before the batch
+    const batchRows = await database.all(
+      `SELECT player1_roster_id, player2_roster_id, player1_elo_before, player2_elo_before
+       FROM matches WHERE league_id = ? AND consolidation_run_id IS NOT NULL`,
+      [leagueId]
+    );
+    const beaBefore = batchRows
+      .filter((row) => row.player1_roster_id === b || row.player2_roster_id === b)
+      .map((row) => (row.player1_roster_id === b ? row.player1_elo_before : row.player2_elo_before));
+    expect(beaBefore).toHaveLength(2);
+    expect(beaBefore[0]).toBe(beaBefore[1]);
+    expect(beaBefore[0]).not.toBe(1200);
+  });
+});
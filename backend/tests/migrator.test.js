@@ -0,0 +1,60 @@
+const {
+  parseMigrationFileName,
+  loadMigrations,
+  planMigrations,
+  selectRollback,
+} = require('../src/models/migrator');
+
+const migration = (version, name, extra = {}) => ({
+  version,
+  name,
+  id: `${String(version).padStart(3, '0')}_${name}`,
+  checksum: `sum-${version}`,
+  reversible: true,
+  ...extra,
+});
+
+const migrations = [
+  migration(1, 'initial_schema', { reversible: false }),
+  migration(2, 'tickets'),
+  migration(3, 'snapshots'),
+];
+
+describe('Schema migrations', () => {
+  test('reads version and name from the file name', () => {
+    expect(parseMigrationFileName('004_support_tickets.js')).toEqual({ version: 4, name: 'support_tickets' });
+    expect(parseMigrationFileName('README.md')).toBeNull();
+    expect(parseMigrationFileName('4-tickets.js')).toBeNull();
+  });
+
+  test('the migrations directory has unique, ordered versions starting at the baseline', () => {
+    const loaded = loadMigrations();
+    expect(loaded[0].id).toBe('001_initial_schema');
+    expect(loaded.map((entry) => entry.version)).toEqual([...new Set(loaded.map((entry) => entry.version))].sort((a, b) => a - b));
+    expect(loaded.every((entry) => typeof entry.up === 'function' && /^[0-9a-f]{64}$/.test(entry.checksum))).toBe(true);
+  });
+
+  test('reports pending, changed and unknown migrations', () => {
+    const status = planMigrations(migrations, [
+      { version: 1, name: 'initial_schema', checksum: 'sum-1', applied_at: '2025-01-01 10:00:00' },
+      { version: 2, name: 'tickets', checksum: 'edited', applied_at: '2025-01-01 10:00:00' },
+      { version: 9, name: 'from_newer_release', checksum: 'x', applied_at: '2025-02-01 10:00:00' },
+    ]);
+    expect(status).toMatchObject({ current_version: 9, latest_version: 3, pending: 1 });
+    expect(status.migrations.map((entry) => [entry.id, entry.status, entry.modified])).toEqual([
+      ['001_initial_schema', 'applied', false],
+      ['002_tickets', 'applied', true],
+      ['003_snapshots', 'pending', false],
+    ]);
+    expect(status.unknown).toEqual([{ version: 9, name: 'from_newer_release', applied_at: '2025-02-01 10:00:00' }]);
+  });
+
+  test('rolls back newest first and refuses migrations without down()', () => {
+    const applied = [{ version: 1 }, { version: 2 }, { version: 3 }];
+    expect(selectRollback(migrations, applied).map((entry) => entry.version)).toEqual([3]);
+    expect(selectRollback(migrations, applied, { steps: 2 }).map((entry) => entry.version)).toEqual([3, 2]);
+    expect(selectRollback(migrations, applied, { to: 1 }).map((entry) => entry.version)).toEqual([3, 2]);
+    expect(() => selectRollback(migrations, applied, { to: 0 })).toThrow(/cannot be rolled back/);
+    expect(() => selectRollback(migrations, [...applied, { version: 7 }])).toThrow(/file is missing/);
+  });
+});
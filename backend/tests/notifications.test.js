@@ -0,0 +1,34 @@
+const { NOTIFICATION_TYPES, resolveChannels } = require('../src/utils/notifications');
+const { buildNotificationEmail } = require('../src/utils/accountEmails');
+
+describe('Notification preferences', () => {
+  test('apply stored choices over the defaults of a type', () => {
+    expect(resolveChannels('match_confirmation')).toEqual({ in_app: true, email: true, push: true });
+    expect(resolveChannels('match_confirmation', [
+      { type: 'match_confirmation', channel: 'email', enabled: false },
+      { type: 'match_confirmation', channel: 'push', enabled: 0 },
+      // Rows of other types and unknown channels are ignored
+      { type: 'badge_earned', channel: 'in_app', enabled: false },
+      { type: 'match_confirmation', channel: 'sms', enabled: true }
+    ])).toEqual({ in_app: true, email: false, push: false });
+  });
+
+  test('keep required channels on and only show unknown types in the app', () => {
+    expect(NOTIFICATION_TYPES.account_locked.required).toEqual(['in_app']);
+    expect(resolveChannels('account_locked', [{ type: 'account_locked', channel: 'in_app', enabled: false }]).in_app).toBe(true);
+    expect(resolveChannels('something_new')).toEqual({ in_app: true, email: false, push: false });
+  });
+
+  test('builds emails from the notification title and message', () => {
+    const email = buildNotificationEmail({
+      user: { username: 'ada', first_name: 'Ada' },
+      title: 'Confirm Match Result',
+      message: 'grace has submitted a match result in "Office <League>".',
+      appUrl: 'https://leagues.example'
+    });
+    expect(email.subject).toBe('Confirm Match Result');
+    expect(email.text).toContain('Hi Ada,');
+    expect(email.text).toContain('https://leagues.example/app/notifications');
+    expect(email.html).toContain('&quot;Office &lt;League&gt;&quot;');
+  });
+});
@@ -0,0 +1,53 @@
+const { calculateNewElos } = require('../src/utils/eloCalculator');
+const { DEFAULT_RATING_CONFIG, parseRatingConfig, validateRatingConfig } = require('../src/utils/ratingConfig');
+const { getRatingEngine } = require('../src/utils/ratingEngines');
+
+const win = { setsWon1: 3, setsWon2: 1, pointsWon1: 44, pointsWon2: 38 };
+
+describe('Rating config', () => {
+  test('stored config is merged onto the defaults', () => {
+    const config = parseRatingConfig(JSON.stringify({ k_factor: 32, format_multipliers: { best_of_1: 0.4 } }));
+    expect(config.k_factor).toBe(32);
+    expect(config.format_multipliers.best_of_1).toBe(0.4);
+    expect(config.format_multipliers.best_of_5).toBe(DEFAULT_RATING_CONFIG.format_multipliers.best_of_5);
+    expect(parseRatingConfig('not json')).toEqual(DEFAULT_RATING_CONFIG);
+    expect(parseRatingConfig(null)).toEqual(DEFAULT_RATING_CONFIG);
+  });
+
+  test('validation rejects out-of-range values and unknown formats', () => {
+    expect(validateRatingConfig({ k_factor: 0 }).error).toMatch(/k_factor/);
+    expect(validateRatingConfig({ provisional_matches: 2.5 }).error).toMatch(/integer/);
+    expect(validateRatingConfig({ points_factor_cap: 1 }).error).toMatch(/points_factor_cap/);
+    expect(validateRatingConfig({ format_multipliers: { best_of_9: 1 } }).error).toMatch(/format_multipliers/);
+
+    const { config } = validateRatingConfig({ starting_elo: 1500, format_multipliers: { best_of_3: 0.7 } });
+    expect(config.starting_elo).toBe(1500);
+    expect(config.format_multipliers.best_of_3).toBe(0.7);
+    expect(config.k_factor).toBe(DEFAULT_RATING_CONFIG.k_factor);
+  });
+
+  test('default config reproduces the fixed ELO calculation', () => {
+    const engine = getRatingEngine('elo');
+    const result = engine.rateMatch(engine.initialState(1300), engine.initialState(1200), win, DEFAULT_RATING_CONFIG);
+    const legacy = calculateNewElos(1300, 1200, 44, 38, true, 3, 1);
+    expect(result.newRating1).toBe(legacy.newRating1);
+    expect(result.newRating2).toBe(legacy.newRating2);
+  });
+
+  test('provisional players use the provisional K-factor', () => {
+    const engine = getRatingEngine('elo');
+    const config = { ...DEFAULT_RATING_CONFIG, provisional_matches: 5, provisional_k_factor: 92 };
+    const newcomer = engine.initialState(1200);
+    const regular = { ...engine.initialState(1200), matchesPlayed: 20 };
+
+    const result = engine.rateMatch(newcomer, regular, win, config);
+    const gain = result.newRating1 - 1200;
+    const loss = 1200 - result.newRating2;
+    expect(gain).toBeCloseTo(loss * 2, -1);
+    expect(result.details.k_factor_player1).toBe(92);
+    expect(result.details.k_factor_player2).toBe(DEFAULT_RATING_CONFIG.k_factor);
+    expect(result.state1.matchesPlayed).toBe(1);
+    expect(engine.isProvisional(newcomer, config)).toBe(true);
+    expect(engine.isProvisional(regular, config)).toBe(false);
+  });
+});
@@ -0,0 +1,63 @@
+const { ratePlayer } = require('../src/utils/glicko2');
+const { RATING_ENGINE_KEYS, getRatingEngine, getRatingState } = require('../src/utils/ratingEngines');
+
+const win = { setsWon1: 3, setsWon2: 1, pointsWon1: 44, pointsWon2: 38 };
+
+describe('Rating engines', () => {
+  test('glicko-2 matches the reference example from the paper', () => {
+    const result = ratePlayer({ rating: 1500, deviation: 200, volatility: 0.06 }, [
+      { opponent: { rating: 1400, deviation: 30 }, score: 1 },
+      { opponent: { rating: 1550, deviation: 100 }, score: 0 },
+      { opponent: { rating: 1700, deviation: 300 }, score: 0 },
+    ]);
+    const newRating = 1500 + result.contributions.reduce((sum, c) => sum + c, 0);
+    expect(newRating).toBeCloseTo(1464.06, 1);
+    expect(result.deviation).toBeCloseTo(151.52, 1);
+    expect(result.volatility).toBeCloseTo(0.06, 4);
+  });
+
+  test('unknown engine keys fall back to ELO', () => {
+    expect(getRatingEngine(null).key).toBe('elo');
+    expect(getRatingEngine('chess960').key).toBe('elo');
+  });
+
+  test.each(RATING_ENGINE_KEYS)('%s: winner gains, loser drops, uncertainty shrinks', (key) => {
+    const engine = getRatingEngine(key);
+    const result = engine.rateMatch(engine.initialState(1200), engine.initialState(1200), win);
+    expect(result.newRating1).toBeGreaterThan(1200);
+    expect(result.newRating2).toBeLessThan(1200);
+    expect(result.expectedScore1).toBeCloseTo(0.5, 3);
+    if (engine.hasUncertainty) {
+      expect(result.state1.deviation).toBeLessThan(engine.initialState().deviation);
+      expect(engine.isProvisional(engine.initialState())).toBe(true);
+    } else {
+      expect(result.state1.deviation).toBeNull();
+    }
+  });
+
+  test.each(RATING_ENGINE_KEYS)('%s: period match rows add up to the final ratings', (key) => {
+    const engine = getRatingEngine(key);
+    const states = new Map([
+      [1, getRatingState(engine, { current_elo: 1250 })],
+      [2, getRatingState(engine, { current_elo: 1200 })],
+      [3, getRatingState(engine, { current_elo: 1150 })],
+    ]);
+    const games = [
+      { id: 10, player1: 1, player2: 2, outcome: win },
+      { id: 11, player1: 3, player2: 1, outcome: win },
+      { id: 12, player1: 2, player2: 3, outcome: { ...win, setsWon1: 0, setsWon2: 3 } },
+    ];
+    const period = engine.ratePeriod(states, games);
+    expect(period.games.map((g) => g.id)).toEqual([10, 11, 12]);
+
+    const totals = new Map();
+    period.games.forEach((rated, i) => {
+      expect(rated.before1).toBe(states.get(games[i].player1).rating);
+      totals.set(games[i].player1, (totals.get(games[i].player1) || 0) + rated.after1 - rated.before1);
+      totals.set(games[i].player2, (totals.get(games[i].player2) || 0) + rated.after2 - rated.before2);
+    });
+    totals.forEach((delta, rosterId) => {
+      expect(period.states.get(rosterId).rating).toBe(states.get(rosterId).rating + delta);
+    });
+  });
+});
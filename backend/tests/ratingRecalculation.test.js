@@ -0,0 +1,212 @@
+// Ensure env is set before requiring the database/app singletons.
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = ''; // force SQLite in tests
+process.env.DATABASE_PATH = `/tmp/league-recalculation-test-${Date.now()}.db`;
+
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../src/app');
+const database = require('../src/models/database');
+const { RATING_ENGINE_KEYS } = require('../src/utils/ratingEngines');
+const { consolidateLeague } = require('../src/utils/consolidation');
+const { recalculateLeagueRatings } = require('../src/utils/ratingRecalculation');
+
+describe('League rating recalculation', () => {
+  let adminToken;
+  let adminId;
+
+  // A league with the admin and two placeholder players on its roster
+  const createLeague = async (name, { mode, engine }) => {
+    const res = await request(app)
+      .post('/api/leagues')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name, is_public: true });
+    expect(res.status).toBe(201);
+    const leagueId = res.body.league.id;
+    await database.run(
+      'UPDATE leagues SET elo_update_mode = ?, rating_engine = ? WHERE id = ?',
+      [mode, engine, leagueId]
+    );
+
+    const adminEntry = await database.get('SELECT id FROM league_roster WHERE league_id = ?', [leagueId]);
+    const rosterIds = [adminEntry.id];
+    for (const displayName of ['Bea', 'Cem']) {
+      const entry = await database.run(
+        'INSERT INTO league_roster (league_id, display_name) VALUES (?, ?)',
+        [leagueId, displayName]
+      );
+      rosterIds.push(entry.id);
+    }
+    return { leagueId, rosterIds };
+  };
+
+  const playAndAccept = async (leagueId, player1RosterId, player2RosterId, sets1, sets2) => {
+    const submitted = await request(app)
+      .post('/api/matches')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        league_id: leagueId,
+        player1_roster_id: player1RosterId,
+        player2_roster_id: player2RosterId,
+        player1_sets_won: sets1,
+        player2_sets_won: sets2,
+        player1_points_total: sets1 * 11,
+        player2_points_total: sets2 * 11,
+        game_type: 'best_of_5',
+      });
+    expect(submitted.status).toBe(201);
+    const accepted = await request(app)
+      .post(`/api/matches/${submitted.body.match.id}/accept`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(accepted.status).toBe(200);
+  };
+
+  const ratingsOf = async (leagueId) => ({
+    roster: await database.all(
+      'SELECT id, current_elo, rating_deviation, rating_volatility FROM league_roster WHERE league_id = ? ORDER BY id',
+      [leagueId]
+    ),
+    matches: await database.all(
+      `SELECT id, player1_elo_before, player2_elo_before, player1_elo_after, player2_elo_after
+       FROM matches WHERE league_id = ? ORDER BY id`,
+      [leagueId]
+    ),
+    history: await database.all(
+      'SELECT roster_id, match_id, elo_before, elo_after FROM elo_history WHERE league_id = ? ORDER BY match_id, roster_id',
+      [leagueId]
+    ),
+  });
+
+  beforeAll(async () => {
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+    await database.initialize();
+
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'recalc_admin',
+        password: 'password123',
+        first_name: 'Recalc',
+        last_name: 'Admin',
+        email: 'recalc.admin@example.com',
+      });
+    expect(register.status).toBe(201);
+    adminToken = register.body.token;
+    adminId = register.body.user.id;
+  });
+
+  afterAll(async () => {
+    await database.close();
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+  });
+
+  test.each(RATING_ENGINE_KEYS)('%s: a consolidated weekly league is replayed unchanged', async (engine) => {
+    const { leagueId, rosterIds: [a, b, c] } = await createLeague(`Weekly ${engine}`, { mode: 'weekly', engine });
+
+    await playAndAccept(leagueId, a, b, 3, 1);
+    await playAndAccept(leagueId, a, c, 3, 0);
+    await playAndAccept(leagueId, b, c, 3, 2);
+    await consolidateLeague(leagueId, { triggeredVia: 'cli' });
+    await playAndAccept(leagueId, b, a, 3, 1);
+    await playAndAccept(leagueId, c, b, 3, 0);
+    await consolidateLeague(leagueId, { triggeredVia: 'cli' });
+    const consolidated = await ratingsOf(leagueId);
+
+    const preview = await recalculateLeagueRatings(leagueId, { dryRun: true });
+    expect(preview.matches).toBe(5);
+    expect(preview.changed_matches).toBe(0);
+    expect(preview.roster.map((entry) => entry.change)).toEqual([0, 0, 0]);
+
+    await recalculateLeagueRatings(leagueId);
+    expect(await ratingsOf(leagueId)).toEqual(consolidated);
+  });
+
+  test('an immediate league is replayed unchanged', async () => {
+    const { leagueId, rosterIds: [a, b, c] } = await createLeague('Immediate', { mode: 'immediate', engine: 'glicko2' });
+    await playAndAccept(leagueId, a, b, 3, 1);
+    await playAndAccept(leagueId, c, a, 3, 2);
+    await playAndAccept(leagueId, b, c, 3, 0);
+    const rated = await ratingsOf(leagueId);
+
+    const preview = await recalculateLeagueRatings(leagueId, { dryRun: true });
+    expect(preview.changed_matches).toBe(0);
+
+    await recalculateLeagueRatings(leagueId);
+    expect(await ratingsOf(leagueId)).toEqual(rated);
+  });
+
+  describe('Updating the rating config with recompute', () => {
+    const updateConfig = (leagueId, body) => request(app)
+      .put(`/api/leagues/${leagueId}/rating-config`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+
+    const storedConfig = async (leagueId) => (await database.get(
+      'SELECT rating_config FROM leagues WHERE id = ?',
+      [leagueId]
+    )).rating_config;
+
+    test('saves the config together with the replayed history', async () => {
+      const { leagueId, rosterIds: [a, b] } = await createLeague('Recompute', { mode: 'immediate', engine: 'elo' });
+      await playAndAccept(leagueId, a, b, 3, 1);
+      const rated = await ratingsOf(leagueId);
+
+      const res = await updateConfig(leagueId, { k_factor: 64, recompute: true });
+      expect(res.status).toBe(200);
+      expect(res.body.recalculated.matches).toBe(1);
+      expect(JSON.parse(await storedConfig(leagueId)).k_factor).toBe(64);
+      const replayed = await ratingsOf(leagueId);
+      expect(replayed.roster[0].current_elo).toBeGreaterThan(rated.roster[0].current_elo);
+    });
+
+    test('a failing recompute leaves the config and ratings untouched', async () => {
+      const { leagueId, rosterIds: [a, b] } = await createLeague('Broken recompute', { mode: 'immediate', engine: 'elo' });
+      const other = await createLeague('Other', { mode: 'immediate', engine: 'elo' });
+      await playAndAccept(leagueId, a, b, 3, 1);
+      // A match pointing at another league's roster cannot be replayed
+      await database.run(
+        'UPDATE matches SET player2_roster_id = ? WHERE league_id = ?',
+        [other.rosterIds[1], leagueId]
+      );
+      const config = await storedConfig(leagueId);
+      const rated = await ratingsOf(leagueId);
+
+      const res = await updateConfig(leagueId, { k_factor: 64, recompute: true });
+      expect(res.status).toBe(500);
+      expect(await storedConfig(leagueId)).toBe(config);
+      expect(await ratingsOf(leagueId)).toEqual(rated);
+    });
+  });
+
+  test('reverting a match restores the full rating state from the season start', async () => {
+    const { leagueId, rosterIds: [a, b, c] } = await createLeague('Revert', { mode: 'immediate', engine: 'glicko2' });
+    await playAndAccept(leagueId, a, b, 3, 1);
+    await playAndAccept(leagueId, b, c, 3, 2);
+
+    const season = await request(app)
+      .post(`/api/leagues/${leagueId}/seasons`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Season 1' });
+    expect(season.status).toBe(201);
+    const { roster: seasonStart } = await ratingsOf(leagueId);
+
+    await playAndAccept(leagueId, a, c, 3, 0);
+    const last = await database.get('SELECT MAX(id) as id FROM matches WHERE league_id = ?', [leagueId]);
+
+    // Reverting is for system admins
+    await database.run('UPDATE users SET is_admin = ? WHERE id = ?', [true, adminId]);
+    const reverted = await request(app)
+      .delete(`/api/matches/${last.id}/revert`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    await database.run('UPDATE users SET is_admin = ? WHERE id = ?', [false, adminId]);
+    expect(reverted.status).toBe(200);
+
+    const { roster } = await ratingsOf(leagueId);
+    expect(roster).toEqual(seasonStart);
+  });
+});
+
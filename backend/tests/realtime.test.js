@@ -0,0 +1,60 @@
+const { EventEmitter } = require('events');
+const { getRealtimeConfig, formatEvent, openStream, publishToUser, onCommit } = require('../src/utils/realtime');
+
+// Just enough of an Express response to collect what a stream writes
+const fakeResponse = () => ({
+  chunks: [],
+  ended: false,
+  status() { return this; },
+  set(headers) { this.headers = headers; return this; },
+  flushHeaders() {},
+  write(chunk) { this.chunks.push(chunk); },
+  end() { this.ended = true; },
+});
+
+describe('Realtime', () => {
+  test('streams unless serverless or told to poll', () => {
+    expect(getRealtimeConfig({})).toEqual({ mode: 'sse', poll_interval_seconds: 60 });
+    expect(getRealtimeConfig({ VERCEL: '1' }).mode).toBe('poll');
+    expect(getRealtimeConfig({ VERCEL: '1', REALTIME_MODE: 'sse' }).mode).toBe('sse');
+    expect(getRealtimeConfig({ REALTIME_MODE: 'poll', REALTIME_POLL_SECONDS: '15' }))
+      .toEqual({ mode: 'poll', poll_interval_seconds: 15 });
+  });
+
+  test('formats server-sent events', () => {
+    expect(formatEvent(3, 'league_updated', { league_id: 7 }))
+      .toBe('id: 3\nevent: league_updated\ndata: {"league_id":7}\n\n');
+  });
+
+  test('delivers user events only to that user and stops after close', () => {
+    const reqA = new EventEmitter();
+    const resA = fakeResponse();
+    const reqB = new EventEmitter();
+    const resB = fakeResponse();
+    openStream(reqA, resA, { user: { id: 1 } });
+    openStream(reqB, resB, { user: { id: 2 } });
+    expect(resA.headers['Content-Type']).toBe('text/event-stream');
+    expect(resA.chunks.join('')).toContain('event: ready');
+
+    publishToUser(1, 'notification', { id: 5 });
+    expect(resA.chunks.join('')).toContain('event: notification\ndata: {"id":5}');
+    expect(resB.chunks.join('')).not.toContain('notification');
+
+    reqA.emit('close');
+    expect(resA.ended).toBe(true);
+    const written = resA.chunks.length;
+    publishToUser(1, 'notification', { id: 6 });
+    expect(resA.chunks).toHaveLength(written);
+    reqB.emit('close');
+  });
+
+  test('defers callbacks until a transaction commits', () => {
+    const calls = [];
+    const pending = [];
+    onCommit({ afterCommit: (callback) => pending.push(callback) }, () => calls.push('tx'));
+    onCommit({}, () => calls.push('direct'));
+    expect(calls).toEqual(['direct']);
+    pending.forEach((callback) => callback());
+    expect(calls).toEqual(['direct', 'tx']);
+  });
+});
@@ -0,0 +1,36 @@
+const { generateRoundRobin, scheduleFixtures } = require('../src/utils/roundRobin');
+
+const pairKey = (f) => [f.player1_roster_id, f.player2_roster_id].sort((a, b) => a - b).join('-');
+
+describe('Round-robin generator', () => {
+  test('every pairing meets once and nobody plays twice in a round', () => {
+    const fixtures = generateRoundRobin([1, 2, 3, 4, 5]);
+    expect(fixtures).toHaveLength(10);
+    expect(new Set(fixtures.map(pairKey)).size).toBe(10);
+
+    const byRound = new Map();
+    fixtures.forEach((f) => {
+      const seen = byRound.get(f.round) || new Set();
+      expect(seen.has(f.player1_roster_id) || seen.has(f.player2_roster_id)).toBe(false);
+      seen.add(f.player1_roster_id);
+      seen.add(f.player2_roster_id);
+      byRound.set(f.round, seen);
+    });
+    // Odd field: five rounds, one player sits out each round.
+    expect(byRound.size).toBe(5);
+  });
+
+  test('double round-robin swaps sides in the second leg', () => {
+    const fixtures = generateRoundRobin([1, 2, 3, 4], { doubleRoundRobin: true });
+    expect(fixtures).toHaveLength(12);
+    const first = fixtures.find((f) => f.leg === 1);
+    const second = fixtures.find((f) => f.leg === 2 && pairKey(f) === pairKey(first));
+    expect(second.player1_roster_id).toBe(first.player2_roster_id);
+    expect(second.round).toBe(first.round + 3);
+  });
+
+  test('due dates advance one interval per round', () => {
+    const scheduled = scheduleFixtures(generateRoundRobin([1, 2, 3]), '2026-01-26', 7);
+    expect(scheduled.map((f) => f.due_date)).toEqual(['2026-01-26', '2026-02-02', '2026-02-09']);
+  });
+});
@@ -0,0 +1,44 @@
+const { DEFAULT_RATING_CONFIG } = require('../src/utils/ratingConfig');
+const { getRatingEngine } = require('../src/utils/ratingEngines');
+const { resetRating, resetRatingState } = require('../src/utils/seasons');
+
+describe('Season rating resets', () => {
+  test('carry over keeps ratings', () => {
+    expect(resetRating(1460, { rating_reset: 'carry_over' }, 1200)).toBe(1460);
+  });
+
+  test('hard reset restarts from the starting ELO', () => {
+    expect(resetRating(1460, { rating_reset: 'hard' }, 1200)).toBe(1200);
+    expect(resetRating(980, { rating_reset: 'hard' }, 1000)).toBe(1000);
+  });
+
+  test('soft reset regresses toward the starting ELO', () => {
+    expect(resetRating(1460, { rating_reset: 'soft', reset_factor: 0.5 }, 1200)).toBe(1330);
+    expect(resetRating(1000, { rating_reset: 'soft', reset_factor: 0.25 }, 1200)).toBe(1050);
+    expect(resetRating(1460, { rating_reset: 'soft', reset_factor: null }, 1200)).toBe(1330);
+  });
+
+  test('unrated entries stay unrated', () => {
+    expect(resetRating(null, { rating_reset: 'hard' }, 1200)).toBeNull();
+  });
+
+  test('hard reset restores engine uncertainty but keeps the match count', () => {
+    const engine = getRatingEngine('glicko2');
+    const state = { rating: 1500, deviation: 60, volatility: 0.05, matchesPlayed: 30 };
+    const reset = resetRatingState(engine, state, { rating_reset: 'hard' }, DEFAULT_RATING_CONFIG);
+    const initial = engine.initialState(DEFAULT_RATING_CONFIG.starting_elo);
+
+    expect(reset.rating).toBe(DEFAULT_RATING_CONFIG.starting_elo);
+    expect(reset.deviation).toBe(initial.deviation);
+    expect(reset.matchesPlayed).toBe(30);
+  });
+
+  test('soft reset keeps engine uncertainty', () => {
+    const engine = getRatingEngine('glicko2');
+    const state = { rating: 1400, deviation: 60, volatility: 0.05, matchesPlayed: 30 };
+    const reset = resetRatingState(engine, state, { rating_reset: 'soft', reset_factor: 0.5 }, DEFAULT_RATING_CONFIG);
+
+    expect(reset.rating).toBe(1300);
+    expect(reset.deviation).toBe(60);
+  });
+});
@@ -0,0 +1,170 @@
+// Ensure env is set before requiring the database/app singletons.
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = ''; // force SQLite in tests
+process.env.DATABASE_PATH = `/tmp/league-sessions-test-${Date.now()}.db`;
+
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../src/app');
+const database = require('../src/models/database');
+const { describeUserAgent } = require('../src/utils/sessions');
+const { generateToken, generateRefreshToken, verifyToken } = require('../src/utils/jwt');
+const { toTimestamp } = require('../src/utils/timestamps');
+
+describe('Sessions', () => {
+  test('names browser and operating system from the user agent', () => {
+    expect(describeUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0'))
+      .toEqual({ browser: 'Edge', os: 'Windows' });
+    expect(describeUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'))
+      .toEqual({ browser: 'Safari', os: 'iOS' });
+    expect(describeUserAgent('Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36'))
+      .toEqual({ browser: 'Chrome', os: 'Android' });
+    expect(describeUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 14.5; rv:127.0) Gecko/20100101 Firefox/127.0'))
+      .toEqual({ browser: 'Firefox', os: 'macOS' });
+    expect(describeUserAgent(null)).toEqual({ browser: null, os: null });
+  });
+
+  test('access tokens carry the session id; refresh tokens are opaque', () => {
+    const decoded = verifyToken(generateToken({ id: 7, username: 'ada', is_admin: 0 }, 42));
+    expect(decoded).toMatchObject({ id: 7, username: 'ada', sid: 42 });
+
+    const refreshToken = generateRefreshToken();
+    expect(refreshToken).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(refreshToken).not.toBe(generateRefreshToken());
+  });
+});
+
+describe('Session routes', () => {
+  const credentials = { username: 'session_user', password: 'password123' };
+
+  const login = async () => {
+    const res = await request(app).post('/api/auth/login').send(credentials);
+    expect(res.status).toBe(200);
+    return { token: res.body.token, refreshToken: res.body.refresh_token };
+  };
+
+  const refresh = (refreshToken) => request(app)
+    .post('/api/auth/refresh')
+    .send({ refresh_token: refreshToken });
+
+  const listSessions = (token) => request(app)
+    .get('/api/auth/sessions')
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+    await database.initialize();
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        ...credentials,
+        first_name: 'Session',
+        last_name: 'User',
+        email: 'session.user@example.com',
+      });
+    expect(res.status).toBe(201);
+  });
+
+  afterAll(async () => {
+    await database.close();
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+  });
+
+  test('refreshing rotates the refresh token', async () => {
+    const session = await login();
+    const first = await refresh(session.refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.refresh_token).not.toBe(session.refreshToken);
+    expect(verifyToken(first.body.token).sid).toBe(verifyToken(session.token).sid);
+
+    const listed = await listSessions(first.body.token);
+    expect(listed.status).toBe(200);
+    expect(listed.body.sessions.find((entry) => entry.current)).toMatchObject({ id: verifyToken(session.token).sid });
+
+    const second = await refresh(first.body.refresh_token);
+    expect(second.status).toBe(200);
+  });
+
+  test('a replaced token is refused during the grace window without ending the session', async () => {
+    const session = await login();
+    const rotated = await refresh(session.refreshToken);
+    expect(rotated.status).toBe(200);
+
+    const again = await refresh(session.refreshToken);
+    expect(again.status).toBe(401);
+    expect(again.body.code).toBe('REFRESH_TOKEN_ROTATED');
+
+    expect((await listSessions(rotated.body.token)).status).toBe(200);
+    expect((await refresh(rotated.body.refresh_token)).status).toBe(200);
+  });
+
+  test('reusing a replaced token after the grace window ends the session', async () => {
+    const session = await login();
+    const rotated = await refresh(session.refreshToken);
+    expect(rotated.status).toBe(200);
+    await database.run(
+      'UPDATE user_sessions SET rotated_at = ? WHERE id = ?',
+      [toTimestamp(new Date(Date.now() - 60 * 1000)), verifyToken(session.token).sid]
+    );
+
+    const reused = await refresh(session.refreshToken);
+    expect(reused.status).toBe(401);
+    expect(reused.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+    // The whole session is gone, including the tokens handed out last
+    const latest = await refresh(rotated.body.refresh_token);
+    expect(latest.status).toBe(401);
+    expect(latest.body.code).toBe('SESSION_EXPIRED');
+    expect((await listSessions(rotated.body.token)).status).toBe(401);
+  });
+
+  test('logout ends the session of its refresh token', async () => {
+    const session = await login();
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .send({ refresh_token: session.refreshToken });
+    expect(res.status).toBe(200);
+
+    expect((await refresh(session.refreshToken)).body.code).toBe('SESSION_EXPIRED');
+    expect((await listSessions(session.token)).status).toBe(401);
+  });
+
+  test('other sessions can be signed out one by one or all at once', async () => {
+    const own = await login();
+    const laptop = await login();
+    const phone = await login();
+    const laptopId = verifyToken(laptop.token).sid;
+
+    const listed = await listSessions(own.token);
+    expect(listed.body.sessions.map((entry) => entry.id)).toEqual(expect.arrayContaining([laptopId]));
+
+    const signedOut = await request(app)
+      .delete(`/api/auth/sessions/${laptopId}`)
+      .set('Authorization', `Bearer ${own.token}`);
+    expect(signedOut.status).toBe(200);
+    expect(signedOut.body.current).toBe(false);
+    expect((await listSessions(laptop.token)).status).toBe(401);
+    expect((await refresh(laptop.refreshToken)).status).toBe(401);
+
+    const missing = await request(app)
+      .delete(`/api/auth/sessions/${laptopId}`)
+      .set('Authorization', `Bearer ${own.token}`);
+    expect(missing.status).toBe(404);
+
+    const others = await request(app)
+      .delete('/api/auth/sessions')
+      .set('Authorization', `Bearer ${own.token}`);
+    expect(others.status).toBe(200);
+    expect(others.body.revoked).toBeGreaterThanOrEqual(1);
+    expect((await listSessions(phone.token)).status).toBe(401);
+
+    const remaining = await listSessions(own.token);
+    expect(remaining.status).toBe(200);
+    expect(remaining.body.sessions).toEqual([expect.objectContaining({ id: verifyToken(own.token).sid, current: true })]);
+  });
+});
@@ -0,0 +1,67 @@
+const { getMaxSets, orientRosterMatch, analyzeMatches } = require('../src/utils/setAnalytics');
+
+const match = (overrides = {}) => ({
+  game_type: 'best_of_5',
+  player1_roster_id: 1,
+  player2_roster_id: 2,
+  player1_partner_roster_id: null,
+  player2_partner_roster_id: null,
+  winner_roster_id: 1,
+  player1_sets_won: 3,
+  player2_sets_won: 2,
+  ...overrides,
+});
+
+const sets = (...scores) => scores.map(([p1, p2], i) => ({ set_number: i + 1, player1_score: p1, player2_score: p2 }));
+
+describe('Set analytics', () => {
+  test('reads the number of sets from the game type', () => {
+    expect(getMaxSets('best_of_7')).toBe(7);
+    expect(getMaxSets('unknown')).toBeNull();
+  });
+
+  test('orients doubles partners to their side', () => {
+    const oriented = orientRosterMatch(
+      match({ is_doubles: true, player2_partner_roster_id: 4 }),
+      sets([11, 7], [9, 11]),
+      4
+    );
+    expect(oriented.won).toBe(false);
+    expect(oriented.own_sets_won).toBe(2);
+    expect(oriented.sets).toEqual([{ own: 7, opponent: 11 }, { own: 11, opponent: 9 }]);
+  });
+
+  test('counts comebacks, deciding sets and deuce sets', () => {
+    const comeback = orientRosterMatch(match(), sets([8, 11], [11, 9], [12, 10], [9, 11], [11, 6]), 1);
+    const straight = orientRosterMatch(
+      match({ game_type: 'best_of_3', winner_roster_id: 2, player1_sets_won: 0, player2_sets_won: 2 }),
+      sets([10, 12], [5, 11]),
+      1
+    );
+
+    const result = analyzeMatches([comeback, straight]);
+    expect(result).toMatchObject({
+      matches: 2,
+      wins: 1,
+      sets_played: 7,
+      sets_won: 3,
+      deuce_sets: { played: 2, won: 1, win_rate: 50 },
+      comebacks: { opportunities: 2, won: 1, win_rate: 50 },
+      deciding_sets: { played: 1, won: 1, win_rate: 100 },
+    });
+    expect(result.average_margin.won).toBeCloseTo((2 + 2 + 5) / 3, 1);
+    expect(result.average_margin.lost).toBe(3.3);
+    expect(result.by_game_type.map((row) => [row.game_type, row.win_rate])).toEqual([
+      ['best_of_3', 0],
+      ['best_of_5', 100],
+    ]);
+  });
+
+  test('matches without recorded sets only count towards the record', () => {
+    const result = analyzeMatches([orientRosterMatch(match({ player2_sets_won: 0 }), [], 1)]);
+    expect(result.wins).toBe(1);
+    expect(result.sets_played).toBe(0);
+    expect(result.comebacks.opportunities).toBe(0);
+    expect(result.average_margin).toEqual({ won: null, lost: null, overall: null });
+  });
+});
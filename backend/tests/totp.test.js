@@ -0,0 +1,80 @@
+const {
+  base32Encode,
+  base32Decode,
+  totpCode,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require('../src/utils/totp');
+const { reedSolomonRemainder, formatBits, encodeQr, renderQrSvg } = require('../src/utils/qrCode');
+const { isTwoFactorRequired, issueChallengeToken, verifyChallengeToken, CHALLENGE_TYPES } = require('../src/utils/twoFactor');
+
+// RFC 6238 appendix B test key
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('Two-factor authentication', () => {
+  test('round-trips base32 secrets', () => {
+    expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(SECRET.toLowerCase()).toString()).toBe('12345678901234567890');
+    expect(() => base32Decode('ABC1')).toThrow(/Invalid base32/);
+  });
+
+  test('matches the RFC 6238 SHA-1 test vectors', () => {
+    const vectors = [[59, '287082'], [1111111109, '081804'], [1111111111, '050471'], [1234567890, '005924'], [2000000000, '279037']];
+    for (const [seconds, code] of vectors) {
+      expect(totpCode(SECRET, Math.floor(seconds / 30))).toBe(code);
+    }
+  });
+
+  test('accepts codes within one step of drift and refuses replays', () => {
+    const now = new Date(1111111111 * 1000);
+    const step = Math.floor(1111111111 / 30);
+    expect(verifyTotp(SECRET, '050471', { now })).toBe(step);
+    expect(verifyTotp(SECRET, totpCode(SECRET, step - 1), { now })).toBe(step - 1);
+    expect(verifyTotp(SECRET, totpCode(SECRET, step + 2), { now })).toBeNull();
+    expect(verifyTotp(SECRET, '050 471', { now })).toBe(step);
+    expect(verifyTotp(SECRET, '050471', { now, lastUsedStep: step })).toBeNull();
+    expect(verifyTotp(SECRET, 'abcdef', { now })).toBeNull();
+  });
+
+  test('builds the provisioning URI and recovery codes', () => {
+    const uri = buildOtpauthUri({ secret: 'JBSWY3DP', accountName: 'ada lovelace', issuer: 'TT Leagues' });
+    expect(uri).toBe('otpauth://totp/TT%20Leagues:ada%20lovelace?secret=JBSWY3DP&issuer=TT%20Leagues&algorithm=SHA1&digits=6&period=30');
+
+    const codes = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach((code) => expect(code).toMatch(/^[a-z2-9]{5}-[a-z2-9]{5}$/));
+    expect(hashRecoveryCode('K7M2P-X9QRE')).toBe(hashRecoveryCode('k7m2p x9qre'));
+    expect(hashRecoveryCode('k7m2p-x9qre')).not.toBe(hashRecoveryCode('k7m2p-x9qrf'));
+  });
+
+  test('encodes QR codes with the standard error correction and format bits', () => {
+    // "HELLO WORLD" at version 1-M, from the ISO/IEC 18004 worked example
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    expect(reedSolomonRemainder(data, 10)).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+    expect(formatBits(0).toString(2)).toBe('101010000010010');
+    expect(formatBits(5).toString(2)).toBe('100000011001110');
+
+    const uri = buildOtpauthUri({ secret: 'A'.repeat(32), accountName: 'a'.repeat(50), issuer: 'TT Leagues' });
+    const qr = encodeQr(uri);
+    expect(qr.size).toBe(qr.version * 4 + 17);
+    // Finder pattern corners and the always-dark module
+    expect([qr.modules[0][0], qr.modules[1][1], qr.modules[2][2]]).toEqual([true, false, true]);
+    expect(qr.modules[qr.size - 8][8]).toBe(true);
+    expect(renderQrSvg('hi')).toMatch(/^<svg [^>]*viewBox="0 0 29 29"/);
+    expect(() => encodeQr('x'.repeat(300))).toThrow(/too long/);
+  });
+
+  test('requires 2FA for admins only when configured, with typed challenge tokens', () => {
+    expect(isTwoFactorRequired({ is_admin: true }, {})).toBe(false);
+    expect(isTwoFactorRequired({ is_admin: true }, { REQUIRE_ADMIN_2FA: 'true' })).toBe(true);
+    expect(isTwoFactorRequired({ is_admin: false }, { REQUIRE_ADMIN_2FA: '1' })).toBe(false);
+
+    const token = issueChallengeToken({ id: 7 }, CHALLENGE_TYPES.LOGIN);
+    expect(verifyChallengeToken(token, CHALLENGE_TYPES.LOGIN)).toBe(7);
+    expect(() => verifyChallengeToken(token, CHALLENGE_TYPES.SETUP)).toThrow(/expired/);
+    expect(() => verifyChallengeToken('nope', CHALLENGE_TYPES.LOGIN)).toThrow(/expired/);
+  });
+});
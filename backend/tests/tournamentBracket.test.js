@@ -0,0 +1,71 @@
+const {
+  seedParticipants,
+  getSeedOrder,
+  generateBracket,
+  recordBracketResult,
+} = require('../src/utils/tournamentBracket');
+
+const makeSeeds = (count) => seedParticipants(
+  Array.from({ length: count }, (_, i) => ({ id: i + 1, current_elo: 1500 - i * 10 }))
+);
+
+// Plays every ready match, letting the better seed (lower roster id) win.
+const playOut = (nodes) => {
+  let current = nodes;
+  for (let guard = 0; guard < 500; guard++) {
+    const ready = current.find((node) => node.status === 'ready');
+    if (!ready) return { nodes: current, championRosterId: null };
+    const winner = Math.min(ready.player1_roster_id, ready.player2_roster_id);
+    const result = recordBracketResult(current, ready.match_key, winner);
+    current = result.nodes;
+    if (result.championRosterId) return result;
+  }
+  throw new Error('bracket did not finish');
+};
+
+describe('Tournament bracket', () => {
+  test('seeds by current ELO and keeps top seeds apart', () => {
+    const seeds = seedParticipants([
+      { id: 1, current_elo: 1200 },
+      { id: 2, current_elo: 1400 },
+      { id: 3, current_elo: 1300 },
+    ]);
+    expect(seeds.map((s) => s.roster_id)).toEqual([2, 3, 1]);
+    expect(getSeedOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+
+  test('single elimination gives byes to top seeds', () => {
+    const nodes = generateBracket('single_elimination', makeSeeds(6));
+    const firstRound = nodes.filter((n) => n.bracket === 'winners' && n.round === 1);
+    expect(firstRound.filter((n) => n.status === 'bye').map((n) => n.winner_roster_id)).toEqual([1, 2]);
+    const result = playOut(nodes);
+    expect(result.championRosterId).toBe(1);
+    expect(result.nodes.filter((n) => n.status === 'completed')).toHaveLength(5);
+  });
+
+  test('double elimination routes losers and needs a reset when the losers champion wins', () => {
+    let nodes = generateBracket('double_elimination', makeSeeds(4));
+    // Seed 2 loses the winners final, then comes back through the losers bracket.
+    const order = [['W1-1', 1], ['W1-2', 2], ['W2-1', 1], ['L1-1', 4], ['L2-1', 2], ['GF-1', 2]];
+    for (const [key, winner] of order) {
+      const result = recordBracketResult(nodes, key, winner);
+      nodes = result.nodes;
+      expect(result.championRosterId).toBeNull();
+    }
+    const reset = nodes.find((n) => n.match_key === 'GF-2');
+    expect(reset.status).toBe('ready');
+    const final = recordBracketResult(nodes, 'GF-2', 2);
+    expect(final.championRosterId).toBe(2);
+  });
+
+  test('double elimination with byes plays 2n - 2 matches', () => {
+    const result = playOut(generateBracket('double_elimination', makeSeeds(5)));
+    expect(result.championRosterId).toBe(1);
+    expect(result.nodes.filter((n) => n.status === 'completed')).toHaveLength(8);
+  });
+
+  test('rejects results for matches that are not ready', () => {
+    const nodes = generateBracket('single_elimination', makeSeeds(4));
+    expect(() => recordBracketResult(nodes, 'W2-1', 1)).toThrow('not ready');
+  });
+});
@@ -0,0 +1,187 @@
+// Ensure env is set before requiring the database/app singletons.
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = ''; // force SQLite in tests
+process.env.DATABASE_PATH = `/tmp/league-tournament-results-test-${Date.now()}.db`;
+
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../src/app');
+const database = require('../src/models/database');
+
+describe('Tournament results', () => {
+  let admin;
+  let alice;
+  let bobby;
+  let leagueId;
+  let badgeId;
+
+  const register = async (username) => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username,
+        password: 'password123',
+        first_name: username,
+        last_name: 'Player',
+        email: `${username}@example.com`,
+      });
+    expect(res.status).toBe(201);
+    return { token: res.body.token, id: res.body.user.id };
+  };
+
+  // A two-player tournament: its only bracket match is the final
+  const createTournament = async (name) => {
+    const res = await request(app)
+      .post(`/api/leagues/${leagueId}/tournaments`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name, roster_ids: [alice.rosterId, bobby.rosterId], award_badge_id: badgeId });
+    expect(res.status).toBe(201);
+    const final = await database.get(
+      'SELECT id FROM tournament_matches WHERE tournament_id = ? AND status = ?',
+      [res.body.tournament.id, 'ready']
+    );
+    return { id: res.body.tournament.id, finalId: final.id };
+  };
+
+  const submitFinal = (tournament, aliceSets, bobbySets) => request(app)
+    .post('/api/matches')
+    .set('Authorization', `Bearer ${alice.token}`)
+    .send({
+      league_id: leagueId,
+      player2_roster_id: bobby.rosterId,
+      player1_sets_won: aliceSets,
+      player2_sets_won: bobbySets,
+      player1_points_total: 40,
+      player2_points_total: 30,
+      game_type: 'best_of_5',
+      tournament_match_id: tournament.finalId,
+    });
+
+  const getState = async (tournament) => ({
+    tournament: await database.get('SELECT status, champion_roster_id FROM tournaments WHERE id = ?', [tournament.id]),
+    final: await database.get('SELECT status, winner_roster_id, match_id FROM tournament_matches WHERE id = ?', [tournament.finalId]),
+  });
+
+  const championBadges = () => database.all(
+    'SELECT user_id, season FROM user_badges WHERE badge_id = ? ORDER BY id',
+    [badgeId]
+  );
+
+  beforeAll(async () => {
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+    await database.initialize();
+
+    admin = await register('cup_admin');
+    alice = await register('cup_alice');
+    bobby = await register('cup_bobby');
+
+    const league = await request(app)
+      .post('/api/leagues')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name: 'Cup League', is_public: true });
+    expect(league.status).toBe(201);
+    leagueId = league.body.league.id;
+
+    for (const [player, name] of [[alice, 'Alice'], [bobby, 'Bobby']]) {
+      const roster = await database.run(
+        'INSERT INTO league_roster (league_id, user_id, display_name) VALUES (?, ?, ?)',
+        [leagueId, player.id, name]
+      );
+      player.rosterId = roster.id;
+    }
+
+    const badge = await database.run(
+      'INSERT INTO badges (name, badge_type) VALUES (?, ?)',
+      ['Cup Winner', 'tournament_winner']
+    );
+    badgeId = badge.id;
+  });
+
+  afterAll(async () => {
+    await database.close();
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+  });
+
+  test('a submitted final only advances once accepted', async () => {
+    const tournament = await createTournament('Spring Cup');
+    const submitted = await submitFinal(tournament, 3, 0);
+    expect(submitted.status).toBe(201);
+    expect(submitted.body.tournament).toEqual({ id: tournament.id, match_key: expect.any(String) });
+
+    expect(await getState(tournament)).toEqual({
+      tournament: { status: 'active', champion_roster_id: null },
+      final: { status: 'ready', winner_roster_id: null, match_id: submitted.body.match.id },
+    });
+    expect(await championBadges()).toEqual([]);
+
+    const duplicate = await submitFinal(tournament, 3, 1);
+    expect(duplicate.status).toBe(400);
+
+    const accepted = await request(app)
+      .post(`/api/matches/${submitted.body.match.id}/accept`)
+      .set('Authorization', `Bearer ${admin.token}`);
+    expect(accepted.status).toBe(200);
+    expect(await getState(tournament)).toEqual({
+      tournament: { status: 'completed', champion_roster_id: alice.rosterId },
+      final: { status: 'completed', winner_roster_id: alice.rosterId, match_id: submitted.body.match.id },
+    });
+    expect(await championBadges()).toEqual([{ user_id: alice.id, season: 'Spring Cup' }]);
+
+    // Reverting is for system admins
+    await database.run('UPDATE users SET is_admin = ? WHERE id = ?', [true, admin.id]);
+    const reverted = await request(app)
+      .delete(`/api/matches/${submitted.body.match.id}/revert`)
+      .set('Authorization', `Bearer ${admin.token}`);
+    await database.run('UPDATE users SET is_admin = ? WHERE id = ?', [false, admin.id]);
+    expect(reverted.status).toBe(400);
+    expect((await getState(tournament)).tournament.status).toBe('completed');
+  });
+
+  test('rejecting a submitted final frees the bracket match', async () => {
+    const tournament = await createTournament('Summer Cup');
+    const submitted = await submitFinal(tournament, 3, 0);
+    expect(submitted.status).toBe(201);
+
+    const rejected = await request(app)
+      .post(`/api/matches/${submitted.body.match.id}/reject`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'Wrong players' });
+    expect(rejected.status).toBe(200);
+    expect(await getState(tournament)).toEqual({
+      tournament: { status: 'active', champion_roster_id: null },
+      final: { status: 'ready', winner_roster_id: null, match_id: null },
+    });
+    expect(await championBadges()).toHaveLength(1);
+
+    expect((await submitFinal(tournament, 3, 2)).status).toBe(201);
+  });
+
+  test('a dispute settled with the other winner advances that winner', async () => {
+    await database.run('UPDATE leagues SET result_confirmation = ? WHERE id = ?', ['opponent', leagueId]);
+    const tournament = await createTournament('Autumn Cup');
+    const submitted = await submitFinal(tournament, 3, 0);
+    expect(submitted.status).toBe(201);
+
+    const disputed = await request(app)
+      .post(`/api/matches/${submitted.body.match.id}/dispute`)
+      .set('Authorization', `Bearer ${bobby.token}`)
+      .send({ player1_sets_won: 1, player2_sets_won: 3, player1_points_total: 30, player2_points_total: 40 });
+    expect(disputed.status).toBe(201);
+    expect((await getState(tournament)).final.status).toBe('ready');
+
+    const resolved = await request(app)
+      .post(`/api/matches/${submitted.body.match.id}/resolve-dispute`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ resolution: 'disputed' });
+    expect(resolved.status).toBe(200);
+    expect(await getState(tournament)).toEqual({
+      tournament: { status: 'completed', champion_roster_id: bobby.rosterId },
+      final: { status: 'completed', winner_roster_id: bobby.rosterId, match_id: submitted.body.match.id },
+    });
+    expect((await championBadges()).map((award) => award.user_id)).toEqual([alice.id, bobby.id]);
+  });
+});
@@ -0,0 +1,89 @@
+// Ensure env is set before requiring the database/app singletons.
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = ''; // force SQLite in tests
+process.env.DATABASE_PATH = `/tmp/league-2fa-test-${Date.now()}.db`;
+
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../src/app');
+const database = require('../src/models/database');
+const { totpCode } = require('../src/utils/totp');
+
+describe('Two-factor login', () => {
+  let recoveryCodes;
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ username: 'twofactor_user', password: 'password123' });
+
+  beforeAll(async () => {
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+    await database.initialize();
+
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'twofactor_user',
+        password: 'password123',
+        first_name: 'Two',
+        last_name: 'Factor',
+        email: 'two.factor@example.com',
+      });
+    expect(register.status).toBe(201);
+    const token = register.body.token;
+
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+    expect(setup.status).toBe(200);
+    const enable = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: totpCode(setup.body.secret, Math.floor(Date.now() / 30000)) });
+    expect(enable.status).toBe(200);
+    recoveryCodes = enable.body.recovery_codes;
+  });
+
+  afterAll(async () => {
+    await database.close();
+    try {
+      fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    } catch (_) {}
+  });
+
+  test('the password step asks for a second factor', async () => {
+    const res = await login();
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ two_factor_required: true });
+    expect(res.body.token).toBeUndefined();
+  });
+
+  test('wrong codes are refused and recovery codes sign in', async () => {
+    const { body } = await login();
+    const wrong = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challenge_token: body.challenge_token, code: '000000' });
+    expect(wrong.status).toBe(400);
+    expect(wrong.body.code).toBe('INVALID_CODE');
+
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challenge_token: body.challenge_token, recovery_code: recoveryCodes[0] });
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeTruthy();
+    expect(res.body.recovery_codes_remaining).toBe(recoveryCodes.length - 1);
+  });
+
+  test('a challenge for a deleted account has expired', async () => {
+    const { body } = await login();
+    await database.run('DELETE FROM users WHERE username = ?', ['twofactor_user']);
+
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challenge_token: body.challenge_token, recovery_code: recoveryCodes[1] });
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('CHALLENGE_EXPIRED');
+  });
+});
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { generateVapidKeys, buildVapidAuthorization, encryptPayload } = require('../src/utils/webPush');
+
+const hkdf = (ikm, salt, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+// The browser side of RFC 8291, to check what the server sends
+function decrypt(body, clientKeys, authSecret) {
+  const salt = body.subarray(0, 16);
+  const keyLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + keyLength);
+  const ciphertext = body.subarray(21 + keyLength);
+  const sharedSecret = clientKeys.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientKeys.getPublicKey(), serverPublicKey]);
+  const ikm = hkdf(sharedSecret, authSecret, keyInfo, 32);
+  const decipher = crypto.createDecipheriv(
+    'aes-128-gcm',
+    hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+    hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12)
+  );
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+  return plaintext.subarray(0, plaintext.lastIndexOf(0x02)).toString();
+}
+
+describe('Web push', () => {
+  test('encrypts payloads the subscribed browser can decrypt', () => {
+    const clientKeys = crypto.createECDH('prime256v1');
+    clientKeys.generateKeys();
+    const authSecret = crypto.randomBytes(16);
+    const subscription = {
+      keys: { p256dh: clientKeys.getPublicKey().toString('base64url'), auth: authSecret.toString('base64url') }
+    };
+    const payload = JSON.stringify({ title: 'Confirm Match Result', body: 'Ada submitted a result' });
+
+    const body = encryptPayload(payload, subscription);
+    expect(body.readUInt32BE(16)).toBe(4096);
+    expect(decrypt(body, clientKeys, authSecret)).toBe(payload);
+
+    expect(() => encryptPayload(payload, { keys: { p256dh: 'short', auth: 'short' } })).toThrow('Invalid push subscription keys');
+  });
+
+  test('signs VAPID tokens for the push service origin', () => {
+    const keys = generateVapidKeys();
+    expect(Buffer.from(keys.privateKey, 'base64url')).toHaveLength(32);
+    const vapid = { ...keys, subject: 'mailto:admin@leagues.example' };
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    const header = buildVapidAuthorization('https://fcm.googleapis.com/fcm/send/abc', vapid, now);
+    const [, token, publicKey] = header.match(/^vapid t=([^,]+), k=(.+)$/);
+    expect(publicKey).toBe(keys.publicKey);
+
+    const [encodedHeader, encodedClaims, signature] = token.split('.');
+    expect(JSON.parse(Buffer.from(encodedClaims, 'base64url'))).toEqual({
+      aud: 'https://fcm.googleapis.com',
+      exp: Math.floor(now.getTime() / 1000) + 12 * 3600,
+      sub: 'mailto:admin@leagues.example'
+    });
+    const point = Buffer.from(keys.publicKey, 'base64url');
+    const verifyKey = crypto.createPublicKey({
+      format: 'jwk',
+      key: { kty: 'EC', crv: 'P-256', x: point.subarray(1, 33).toString('base64url'), y: point.subarray(33).toString('base64url') }
+    });
+    expect(crypto.verify(
+      'sha256',
+      Buffer.from(`${encodedHeader}.${encodedClaims}`),
+      { key: verifyKey, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signature, 'base64url')
+    )).toBe(true);
+  });
+});
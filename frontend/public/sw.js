@@ -0,0 +1,154 @@
+/**
+ * Service worker: keeps the app usable without a connection.
+ *
+ * - Pages: network first, falling back to the cached app shell (index.html).
+ * - Build assets (/assets/*, hashed names): cache first.
+ * - Locales and images: served from cache, refreshed in the background.
+ * - The signed-in user's leagues and rosters: network first, cached copy
+ *   when offline, so matches can still be recorded (see src/lib/offlineQueue.js).
+ *   The app asks for this cache to be dropped on sign-out.
+ *
+ * It also shows web push notifications (see src/lib/push.js) and opens the
+ * app where a clicked notification points.
+ *
+ * Bump CACHE_VERSION when the caching rules change.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `assets-${CACHE_VERSION}`;
+const API_CACHE = `api-${CACHE_VERSION}`;
+const SHELL_URLS = ['/index.html', '/manifest.webmanifest', '/img/logo.png'];
+// Hashed assets pile up over deploys; keep the newest ones only
+const MAX_ASSET_ENTRIES = 150;
+
+// API reads needed to record a match offline
+const OFFLINE_API_PATHS = [
+  /\/api\/auth\/me$/,
+  /\/api\/leagues$/,
+  /\/api\/leagues\/\d+(\/snapshot|\/members)?$/,
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, ASSET_CACHE, API_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names.filter((name) => !current.includes(name)).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'clear-user-data') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+const trimCache = async (name, maxEntries) => {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map((key) => cache.delete(key)));
+};
+
+const networkFirst = async (request, cacheName, cacheKey = request) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(ASSET_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    trimCache(ASSET_CACHE, MAX_ASSET_ENTRIES);
+  }
+  return response;
+};
+
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    // Every app route is served by index.html
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/assets/')) {
+      event.respondWith(cacheFirst(request));
+    } else if (url.pathname.startsWith('/locales/') || url.pathname.startsWith('/img/')) {
+      event.respondWith(staleWhileRevalidate(request));
+    }
+    if (!url.pathname.startsWith('/api/')) return;
+  }
+
+  if (OFFLINE_API_PATHS.some((pattern) => pattern.test(url.pathname))) {
+    event.respondWith(networkFirst(request, API_CACHE));
+  }
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data?.text() };
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'leagues.lol', {
+      body: data.body || '',
+      icon: '/img/logo.png',
+      badge: '/img/logo.png',
+      data: { url: data.url || '/app/notifications' },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/app/notifications', self.location.origin).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url.startsWith(self.location.origin));
+      if (open) {
+        return open.navigate(url).then((client) => (client || open).focus());
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -12,6 +12,9 @@ import LoadingSpinner from './components/ui/LoadingSpinner';
 // Lazy load all page components (with stale-chunk auto-reload)
 const LoginPage = lazyWithReload(() => import('./pages/LoginPage'));
 const RegisterPage = lazyWithReload(() => import('./pages/RegisterPage'));
+const ForgotPasswordPage = lazyWithReload(() => import('./pages/ForgotPasswordPage'));
+const ResetPasswordPage = lazyWithReload(() => import('./pages/ResetPasswordPage'));
+const VerifyEmailPage = lazyWithReload(() => import('./pages/VerifyEmailPage'));
 const LandingPage = lazyWithReload(() => import('./pages/LandingPage'));
 const PublicLeaguePage = lazyWithReload(() => import('./pages/PublicLeaguePage'));
 const PublicLeaguesPage = lazyWithReload(() => import('./pages/PublicLeaguesPage'));
@@ -27,6 +30,7 @@ const NotificationsPage = lazyWithReload(() => import('./pages/NotificationsPage
 const RecordMatchPage = lazyWithReload(() => import('./pages/RecordMatchPage'));
 const MatchDetailPage = lazyWithReload(() => import('./pages/MatchDetailPage'));
 const QuickMatchPage = lazyWithReload(() => import('./pages/QuickMatchPage'));
+const HeadToHeadPage = lazyWithReload(() => import('./pages/HeadToHeadPage'));
 const TtcBadenWettingenWikiPage = lazyWithReload(() => import('./pages/TtcBadenWettingenWikiPage'));
 
 import './App.css';
@@ -108,6 +112,22 @@ function AppRoutes() {
             <RegisterPage />
           </PublicRoute>
         } />
+        <Route path="/forgot-password" element={
+          <PublicRoute>
+            <ForgotPasswordPage />
+          </PublicRoute>
+        } />
+        <Route path="/reset-password" element={
+          <PublicRoute>
+            <ResetPasswordPage />
+          </PublicRoute>
+        } />
+        {/* Verification links work whether or not the user is signed in */}
+        <Route path="/verify-email" element={
+          <SuspenseRoute>
+            <VerifyEmailPage />
+          </SuspenseRoute>
+        } />
 
         {/* Public league view - accessible to everyone */}
         <Route path="/league/:id" element={
@@ -155,6 +175,7 @@ function AppRoutes() {
           <Route path="notifications" element={<NotificationsPage />} />
           <Route path="profile" element={<ProfilePage />} />
           <Route path="profile/:username" element={<ProfilePage />} />
+          <Route path="head-to-head/:playerId/:opponentId" element={<HeadToHeadPage />} />
           <Route path="admin" element={
             <ProtectedRoute>
               <AdminPage />
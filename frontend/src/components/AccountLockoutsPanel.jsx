@@ -0,0 +1,116 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { formatDistanceToNow } from 'date-fns';
+import { LockKeyhole, RefreshCw } from 'lucide-react';
+import { adminAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+
+/**
+ * Usernames whose sign-in is locked after repeated failed attempts, for site
+ * admins to unlock early (e.g. after confirming it was the user themselves)
+ */
+const AccountLockoutsPanel = () => {
+  const { t } = useTranslation();
+  const [lockouts, setLockouts] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [unlockingId, setUnlockingId] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await adminAPI.getLockouts();
+      setLockouts(res.data.lockouts);
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('lockouts.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const unlock = async (lockout) => {
+    try {
+      setUnlockingId(lockout.id);
+      await adminAPI.unlockAccount(lockout.id);
+      setLockouts((current) => current.filter((entry) => entry.id !== lockout.id));
+      toast.success(t('lockouts.unlocked', { username: lockout.username }));
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('lockouts.unlockError'));
+    } finally {
+      setUnlockingId(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center">
+            <LockKeyhole className="h-5 w-5 mr-2" />
+            {t('lockouts.title')}
+          </span>
+          <Button variant="ghost" size="sm" onClick={load} disabled={loading} aria-label={t('lockouts.refresh')}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+        <CardDescription>{t('lockouts.description')}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {loading && !lockouts && <LoadingSpinner />}
+        {lockouts && lockouts.length === 0 && (
+          <p className="text-sm text-gray-400">{t('lockouts.none')}</p>
+        )}
+        {lockouts && lockouts.length > 0 && (
+          <div className="max-h-80 overflow-y-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t('lockouts.username')}</TableHead>
+                  <TableHead>{t('lockouts.lastAttemptFrom')}</TableHead>
+                  <TableHead>{t('lockouts.lockedUntil')}</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {lockouts.map((lockout) => (
+                  <TableRow key={lockout.id}>
+                    <TableCell>
+                      <div className="font-medium">{lockout.username}</div>
+                      <div className="text-xs text-gray-400">
+                        {lockout.user_id
+                          ? `${lockout.first_name} ${lockout.last_name}`
+                          : t('lockouts.unknownUser')}
+                      </div>
+                    </TableCell>
+                    <TableCell className="text-xs text-gray-400">
+                      {lockout.last_ip_address || '—'}
+                    </TableCell>
+                    <TableCell className="text-xs text-gray-400">
+                      {formatDistanceToNow(new Date(lockout.locked_until), { addSuffix: true })}
+                      {lockout.lock_count > 1 && ` · ${t('lockouts.repeated', { count: lockout.lock_count })}`}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <Button size="sm" variant="outline" onClick={() => unlock(lockout)} disabled={unlockingId === lockout.id}>
+                        {unlockingId === lockout.id && <LoadingSpinner className="mr-2 h-4 w-4" />}
+                        {t('lockouts.unlock')}
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AccountLockoutsPanel;
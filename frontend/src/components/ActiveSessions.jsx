@@ -0,0 +1,128 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { formatDistanceToNow } from 'date-fns';
+import { MonitorSmartphone } from 'lucide-react';
+import { authAPI } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+
+/**
+ * Devices the current user is signed in on, with sign-out per device or for all others
+ */
+const ActiveSessions = () => {
+  const { t } = useTranslation();
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await authAPI.getSessions();
+      setSessions(res.data.sessions || []);
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('sessions.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const revoke = async (session) => {
+    if (session.current) {
+      await logout();
+      return;
+    }
+    try {
+      setBusyId(session.id);
+      await authAPI.revokeSession(session.id);
+      setSessions((prev) => prev.filter((entry) => entry.id !== session.id));
+      toast.success(t('sessions.revoked'));
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('sessions.revokeError'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const revokeOthers = async () => {
+    try {
+      setBusyId('others');
+      const res = await authAPI.revokeOtherSessions();
+      setSessions((prev) => prev.filter((entry) => entry.current));
+      toast.success(t('sessions.revokedOthers', { count: res.data.revoked }));
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('sessions.revokeError'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const deviceName = (session) => {
+    if (session.browser && session.os) return t('sessions.device', { browser: session.browser, os: session.os });
+    return session.browser || session.os || t('sessions.unknownDevice');
+  };
+
+  const others = sessions.filter((session) => !session.current);
+
+  return (
+    <Card>
+      <CardHeader className="py-3">
+        <CardTitle className="flex items-center">
+          <MonitorSmartphone className="h-5 w-5 mr-2" />
+          {t('sessions.title')}
+        </CardTitle>
+        <CardDescription>
+          {loading ? t('sessions.description') : t('sessions.summary', { count: sessions.length })}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="pt-0 space-y-3">
+        {loading && <LoadingSpinner />}
+        {!loading && (
+          <ul className="divide-y divide-border">
+            {sessions.map((session) => (
+              <li key={session.id} className="flex flex-col gap-2 py-2 sm:flex-row sm:items-center sm:justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">{deviceName(session)}</span>
+                    {session.current && <Badge variant="secondary">{t('sessions.thisDevice')}</Badge>}
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    {t('sessions.lastActive', {
+                      time: formatDistanceToNow(new Date(session.last_used_at), { addSuffix: true }),
+                    })}
+                    {session.ip_address ? ` · ${session.ip_address}` : ''}
+                  </p>
+                </div>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => revoke(session)}
+                  disabled={busyId !== null}
+                >
+                  {busyId === session.id && <LoadingSpinner size="sm" className="mr-2" />}
+                  {session.current ? t('sessions.signOutHere') : t('sessions.signOut')}
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {!loading && others.length > 0 && (
+          <Button variant="destructive" size="sm" onClick={revokeOthers} disabled={busyId !== null}>
+            {busyId === 'others' && <LoadingSpinner size="sm" className="mr-2" />}
+            {t('sessions.signOutOthers')}
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ActiveSessions;
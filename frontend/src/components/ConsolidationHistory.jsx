@@ -0,0 +1,218 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { leaguesAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from '@/components/ui/alert-dialog';
+
+const formatTimestamp = (value) => (value ? format(new Date(value), 'PP p') : '…');
+
+const formatChange = (change) => (change > 0 ? `+${change}` : String(change));
+
+const changeClass = (change) => (change > 0 ? 'text-green-400' : change < 0 ? 'text-red-400' : 'text-gray-400');
+
+const ratingCell = (before, after) => (
+  after == null ? <span className="text-gray-500">–</span> : (
+    <span className="whitespace-nowrap">
+      {before} → {after} <span className={changeClass(after - before)}>({formatChange(after - before)})</span>
+    </span>
+  )
+);
+
+/**
+ * Consolidation history of a weekly/monthly league (league admins)
+ * refreshKey: bump to reload after a consolidation was run elsewhere on the page
+ */
+const ConsolidationHistory = ({ leagueId, refreshKey = 0, onRolledBack }) => {
+  const { t } = useTranslation();
+  const [data, setData] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [expandedId, setExpandedId] = useState(null);
+  const [entries, setEntries] = useState({});
+  const [rollingBack, setRollingBack] = useState(false);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      setStatus((prev) => (prev === 'loaded' ? prev : 'loading'));
+      const res = await leaguesAPI.getConsolidations(leagueId);
+      setData(res.data);
+      setStatus('loaded');
+    } catch (err) {
+      console.error('Failed to load consolidation history', err);
+      setStatus('error');
+    }
+  }, [leagueId]);
+
+  useEffect(() => {
+    if (!leagueId) return;
+    fetchHistory();
+  }, [leagueId, refreshKey, fetchHistory]);
+
+  const toggleRun = async (runId) => {
+    if (expandedId === runId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(runId);
+    if (entries[runId]) return;
+    try {
+      const res = await leaguesAPI.getConsolidation(leagueId, runId);
+      setEntries((prev) => ({ ...prev, [runId]: res.data?.entries || [] }));
+    } catch (err) {
+      console.error('Failed to load consolidation', err);
+      toast.error(t('consolidation.loadError'));
+      setExpandedId(null);
+    }
+  };
+
+  const handleRollback = async (runId) => {
+    try {
+      setRollingBack(true);
+      const res = await leaguesAPI.rollbackConsolidation(leagueId, runId);
+      toast.success(t('consolidation.rolledBack', { count: res.data?.matches_reverted ?? 0 }));
+      setEntries({});
+      setExpandedId(null);
+      await fetchHistory();
+      onRolledBack?.();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('consolidation.rollbackError'));
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  if (status === 'idle' || status === 'loading') {
+    return (
+      <div className="flex items-center justify-center py-4">
+        <LoadingSpinner size="sm" />
+      </div>
+    );
+  }
+  if (status === 'error') {
+    return <p className="text-sm text-red-400">{t('consolidation.loadError')}</p>;
+  }
+
+  const runs = data?.runs || [];
+  // Only the most recent run that was not rolled back can be rolled back
+  const latestRunId = runs.find((run) => !run.rolled_back_at)?.id;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <h4 className="text-sm font-medium text-gray-300">{t('consolidation.history')}</h4>
+        <span className="text-xs text-gray-400">
+          {t('consolidation.pending', { count: data?.pending?.count ?? 0 })}
+        </span>
+      </div>
+
+      {runs.length === 0 ? (
+        <p className="text-sm text-gray-400">{t('consolidation.none')}</p>
+      ) : (
+        <div className="max-h-96 space-y-1 overflow-y-auto">
+          {runs.map((run) => (
+            <div key={run.id} className="rounded border border-gray-800 bg-gray-900/40 px-3 py-2 text-sm">
+              <button
+                type="button"
+                className="flex w-full items-center justify-between gap-2 text-left"
+                onClick={() => toggleRun(run.id)}
+              >
+                <span className="flex min-w-0 items-center gap-2">
+                  {expandedId === run.id ? <ChevronDown className="h-4 w-4 shrink-0" /> : <ChevronRight className="h-4 w-4 shrink-0" />}
+                  <span className="truncate text-gray-200">{formatTimestamp(run.created_at)}</span>
+                </span>
+                <span className="flex shrink-0 items-center gap-2">
+                  {run.rolled_back_at ? <Badge variant="destructive">{t('consolidation.rolledBackBadge')}</Badge> : null}
+                  <Badge variant="outline">{t(`consolidation.triggers.${run.triggered_via}`)}</Badge>
+                </span>
+              </button>
+              <p className="mt-1 pl-6 text-xs text-gray-400">
+                {t('consolidation.summary', { matches: run.matches_applied, players: run.players })}
+                {run.triggered_by_username ? ` · ${run.triggered_by_username}` : ''}
+                {run.rolled_back_at ? ` · ${t('consolidation.rolledBackBy', {
+                  date: formatTimestamp(run.rolled_back_at),
+                  user: run.rolled_back_by_username || '…',
+                })}` : ''}
+              </p>
+
+              {expandedId === run.id ? (
+                <div className="mt-2 space-y-2 pl-6">
+                  {!entries[run.id] ? (
+                    <div className="flex items-center justify-center py-2">
+                      <LoadingSpinner size="sm" />
+                    </div>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <Table>
+                        <TableHeader>
+                          <TableRow>
+                            <TableHead>{t('leagues.player')}</TableHead>
+                            <TableHead>{t('leagues.elo')}</TableHead>
+                            <TableHead>{t('consolidation.doublesElo')}</TableHead>
+                            <TableHead className="text-right">{t('consolidation.matches')}</TableHead>
+                          </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                          {entries[run.id].map((entry) => (
+                            <TableRow key={entry.roster_id ?? entry.display_name}>
+                              <TableCell className="whitespace-nowrap font-medium text-gray-100">{entry.display_name}</TableCell>
+                              <TableCell>{ratingCell(entry.elo_before, entry.elo_after)}</TableCell>
+                              <TableCell>{ratingCell(entry.doubles_elo_before, entry.doubles_elo_after)}</TableCell>
+                              <TableCell className="text-right">{entry.matches_applied}</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </div>
+                  )}
+
+                  {run.can_rollback ? (
+                    <AlertDialog>
+                      <AlertDialogTrigger asChild>
+                        <Button size="sm" variant="outline" className="w-full" disabled={rollingBack}>
+                          {rollingBack ? t('status.updating') : t('consolidation.rollback')}
+                        </Button>
+                      </AlertDialogTrigger>
+                      <AlertDialogContent>
+                        <AlertDialogHeader>
+                          <AlertDialogTitle>{t('consolidation.rollbackTitle')}</AlertDialogTitle>
+                          <AlertDialogDescription>
+                            {t('consolidation.rollbackDesc', { count: run.matches_applied })}
+                          </AlertDialogDescription>
+                        </AlertDialogHeader>
+                        <AlertDialogFooter>
+                          <AlertDialogCancel>{t('dialog.cancel')}</AlertDialogCancel>
+                          <AlertDialogAction onClick={() => handleRollback(run.id)}>
+                            {t('consolidation.rollback')}
+                          </AlertDialogAction>
+                        </AlertDialogFooter>
+                      </AlertDialogContent>
+                    </AlertDialog>
+                  ) : run.id === latestRunId && data?.rollback_blocker ? (
+                    <p className="text-xs text-gray-500">{data.rollback_blocker}</p>
+                  ) : null}
+                </div>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConsolidationHistory;
@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import { matchesAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+
+const formatTimestamp = (value) => {
+  try {
+    return format(new Date(value), 'PP p');
+  } catch {
+    return String(value || '-');
+  }
+};
+
+const sideName = (name, partner) => (partner ? `${name} / ${partner}` : name);
+
+const ScoreVersion = ({ label, version, highlight }) => (
+  <div className={`rounded border px-3 py-2 ${highlight ? 'border-amber-500/60 bg-amber-500/5' : 'border-gray-800 bg-gray-900/40'}`}>
+    <p className="text-xs text-gray-400">{label}</p>
+    <p className="text-lg font-semibold text-gray-100">
+      {version.player1_sets_won}–{version.player2_sets_won}
+    </p>
+    <p className="text-xs text-gray-400">
+      {version.player1_points_total ?? '–'} : {version.player2_points_total ?? '–'}
+      {version.sets?.length > 0
+        ? ` · ${version.sets.map((set) => `${set.player1_score}-${set.player2_score}`).join(', ')}`
+        : ''}
+    </p>
+  </div>
+);
+
+/**
+ * Disputed match results awaiting a league admin, with both versions of the score
+ */
+const DisputeQueue = () => {
+  const { t } = useTranslation();
+  const [disputes, setDisputes] = useState([]);
+  const [status, setStatus] = useState('idle');
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchDisputes = useCallback(async () => {
+    try {
+      setStatus((prev) => (prev === 'loaded' ? prev : 'loading'));
+      const res = await matchesAPI.getDisputes();
+      setDisputes(res.data?.disputes || []);
+      setStatus('loaded');
+    } catch (err) {
+      console.error('Failed to load disputes', err);
+      setStatus('error');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDisputes();
+  }, [fetchDisputes]);
+
+  const handleResolve = async (dispute, resolution) => {
+    try {
+      setBusyId(dispute.match_id);
+      const res = await matchesAPI.resolveDispute(dispute.match_id, resolution);
+      toast.success(res.data?.message || t('disputes.resolved'));
+      await fetchDisputes();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('disputes.resolveError'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReject = async (dispute) => {
+    const input = window.prompt(t('disputes.rejectPrompt'));
+    if (input === null) return;
+    try {
+      setBusyId(dispute.match_id);
+      await matchesAPI.reject(dispute.match_id, input.trim() || undefined);
+      toast.success(t('disputes.rejected'));
+      await fetchDisputes();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('disputes.resolveError'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('disputes.title')}</CardTitle>
+        <CardDescription>{t('disputes.description')}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {status === 'idle' || status === 'loading' ? (
+          <div className="py-8"><LoadingSpinner /></div>
+        ) : status === 'error' ? (
+          <p className="text-sm text-red-400">{t('disputes.loadError')}</p>
+        ) : disputes.length === 0 ? (
+          <p className="text-sm text-muted-foreground">{t('disputes.none')}</p>
+        ) : (
+          <div className="space-y-3">
+            {disputes.map((dispute) => (
+              <div key={dispute.id} className="space-y-3 rounded-md border p-3">
+                <div className="flex flex-wrap items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-100">
+                      {sideName(dispute.player1_display_name, dispute.player1_partner_display_name)}
+                      {' vs '}
+                      {sideName(dispute.player2_display_name, dispute.player2_partner_display_name)}
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      {dispute.league_name} · {formatTimestamp(dispute.played_at)}
+                    </p>
+                  </div>
+                  <Link to={`/app/matches/${dispute.match_id}`} className="text-xs text-primary underline">
+                    {t('matchConfirmation.viewMatch')}
+                  </Link>
+                </div>
+
+                <div className="grid gap-2 sm:grid-cols-2">
+                  <ScoreVersion label={t('disputes.submitted')} version={dispute.submitted} />
+                  <ScoreVersion
+                    label={t('disputes.disputedBy', { user: dispute.disputed_by_username || '…' })}
+                    version={dispute.disputed}
+                    highlight
+                  />
+                </div>
+
+                {dispute.reason ? (
+                  <p className="text-sm text-gray-300">
+                    <span className="text-gray-400">{t('matchConfirmation.reason')}:</span> {dispute.reason}
+                  </p>
+                ) : null}
+
+                <div className="flex flex-wrap gap-2">
+                  <Button size="sm" variant="secondary" disabled={busyId === dispute.match_id} onClick={() => handleResolve(dispute, 'submitted')}>
+                    {t('disputes.keepSubmitted')}
+                  </Button>
+                  <Button size="sm" variant="secondary" disabled={busyId === dispute.match_id} onClick={() => handleResolve(dispute, 'disputed')}>
+                    {t('disputes.applyDisputed')}
+                  </Button>
+                  <Button size="sm" variant="outline" disabled={busyId === dispute.match_id} onClick={() => handleReject(dispute)}>
+                    {t('actions.reject')}
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DisputeQueue;
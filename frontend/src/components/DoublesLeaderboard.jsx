@@ -0,0 +1,102 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { Users } from 'lucide-react';
+import { leaguesAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+
+const PlayerName = ({ name, username }) => (
+  username
+    ? <Link to={`/app/profile/${username}`} className="hover:underline">{name}</Link>
+    : <span>{name}</span>
+);
+
+// Separate ranking for doubles; hidden until the league has an accepted doubles match
+const DoublesLeaderboard = ({ leagueId }) => {
+  const { t } = useTranslation();
+  const [rows, setRows] = useState([]);
+  const [mode, setMode] = useState('individual');
+  const [status, setStatus] = useState('idle');
+
+  const fetchLeaderboard = useCallback(async () => {
+    try {
+      setStatus('loading');
+      const res = await leaguesAPI.getDoublesLeaderboard(leagueId);
+      setRows(res.data?.leaderboard || []);
+      setMode(res.data?.mode || 'individual');
+      setStatus('loaded');
+    } catch (err) {
+      console.error('Failed to load doubles leaderboard', err);
+      setStatus('error');
+    }
+  }, [leagueId]);
+
+  useEffect(() => {
+    if (!leagueId) return;
+    fetchLeaderboard();
+  }, [leagueId, fetchLeaderboard]);
+
+  if (status === 'idle' || (status === 'loaded' && rows.length === 0)) {
+    return null;
+  }
+
+  return (
+    <Card className="vg-card">
+      <CardHeader>
+        <CardTitle className="flex items-center cyberpunk-subtitle">
+          <Users className="h-5 w-5 mr-2" />
+          {t('doubles.leaderboardTitle')}
+        </CardTitle>
+        <CardDescription>
+          {mode === 'pair' ? t('doubles.pairModeHint') : t('doubles.individualModeHint')}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {status === 'loading' ? (
+          <div className="flex justify-center py-6"><LoadingSpinner /></div>
+        ) : status === 'error' ? (
+          <p className="text-sm text-red-400">{t('doubles.loadError')}</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-12">#</TableHead>
+                <TableHead>{mode === 'pair' ? t('doubles.pair') : t('doubles.player')}</TableHead>
+                <TableHead className="text-right">{t('doubles.rating')}</TableHead>
+                <TableHead className="text-right">{t('doubles.record')}</TableHead>
+                <TableHead className="text-right">{t('doubles.winRate')}</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {rows.map((row) => (
+                <TableRow key={row.pair_id ?? row.roster_id}>
+                  <TableCell>{row.rank}</TableCell>
+                  <TableCell>
+                    {mode === 'pair' ? (
+                      <>
+                        <PlayerName name={row.player1_display_name} username={row.player1_username} />
+                        {' / '}
+                        <PlayerName name={row.player2_display_name} username={row.player2_username} />
+                      </>
+                    ) : (
+                      <PlayerName name={row.display_name} username={row.username} />
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right font-medium">{row.doubles_elo}</TableCell>
+                  <TableCell className="text-right">
+                    {row.matches_won}–{row.matches_played - row.matches_won}
+                  </TableCell>
+                  <TableCell className="text-right">{row.win_rate}%</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DoublesLeaderboard;
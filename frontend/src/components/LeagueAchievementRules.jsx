@@ -0,0 +1,100 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { leaguesAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
+
+const STANDARD_BADGE = 'standard';
+
+/**
+ * Automatic achievement rules of a league (league admins): switch rules on or off and
+ * award one of your private badges instead of a rule's standard badge
+ * @param {Array} badges - Badges the admin can use, as listed by the badges API
+ */
+const LeagueAchievementRules = ({ leagueId, badges = [] }) => {
+  const { t } = useTranslation();
+  const [rules, setRules] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [savingKey, setSavingKey] = useState(null);
+
+  const privateBadges = badges.filter((badge) => badge.visibility === 'private');
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const res = await leaguesAPI.getAchievementRules(leagueId);
+      setRules(res.data?.rules || []);
+      setStatus('loaded');
+    } catch (err) {
+      console.error('Failed to load achievement rules', err);
+      setStatus('error');
+    }
+  }, [leagueId]);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const update = async (ruleKey, changes) => {
+    try {
+      setSavingKey(ruleKey);
+      const res = await leaguesAPI.updateAchievementRule(leagueId, ruleKey, changes);
+      setRules((prev) => prev.map((rule) => (rule.key === ruleKey ? res.data.rule : rule)));
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('achievements.saveError'));
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <h4 className="text-sm font-medium text-gray-300">{t('achievements.title')}</h4>
+      <p className="text-xs text-gray-500">{t('achievements.hint')}</p>
+      {status === 'loading' && <LoadingSpinner size="sm" />}
+      {status === 'error' && <p className="text-xs text-gray-400">{t('achievements.loadError')}</p>}
+      {rules && (
+        <ul className="divide-y divide-border">
+          {rules.map((rule) => (
+            <li key={rule.key} className="py-2 space-y-2">
+              <div className="flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="text-sm text-gray-200">{t(`achievements.rules.${rule.key}`)}</div>
+                  <div className="text-xs text-gray-500 truncate">
+                    {rule.badge ? t('achievements.awards', { badge: rule.badge.name }) : t('achievements.noBadge')}
+                  </div>
+                </div>
+                <Switch
+                  checked={rule.enabled}
+                  disabled={savingKey !== null}
+                  aria-label={t(`achievements.rules.${rule.key}`)}
+                  onCheckedChange={(enabled) => update(rule.key, { enabled })}
+                />
+              </div>
+              {privateBadges.length > 0 && (
+                <Select
+                  value={rule.custom_badge ? String(rule.badge.id) : STANDARD_BADGE}
+                  disabled={savingKey !== null}
+                  onValueChange={(value) => update(rule.key, { badge_id: value === STANDARD_BADGE ? null : Number(value) })}
+                >
+                  <SelectTrigger className="h-8 text-xs">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={STANDARD_BADGE}>{t('achievements.standardBadge')}</SelectItem>
+                    {privateBadges.map((badge) => (
+                      <SelectItem key={badge.id} value={String(badge.id)}>{badge.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LeagueAchievementRules;
@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { Download } from 'lucide-react';
+import { leaguesAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+
+// Export choices: value -> request params and file name suffix
+const EXPORT_OPTIONS = {
+  json: { params: { format: 'json' }, suffix: '.json' },
+  archive: { params: { format: 'archive' }, suffix: '-archive.json' },
+  matches: { params: { format: 'csv', dataset: 'matches' }, suffix: '-matches.csv' },
+  leaderboard: { params: { format: 'csv', dataset: 'leaderboard' }, suffix: '-leaderboard.csv' },
+  elo_history: { params: { format: 'csv', dataset: 'elo_history' }, suffix: '-elo_history.csv' },
+  badges: { params: { format: 'csv', dataset: 'badges' }, suffix: '-badges.csv' },
+};
+
+const fileNameFromHeader = (header) => {
+  const match = /filename="?([^";]+)"?/i.exec(header || '');
+  return match ? match[1] : null;
+};
+
+const slugify = (name) => (
+  String(name || 'league').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'league'
+);
+
+// Error responses arrive as a Blob because of responseType: 'blob'
+const readErrorMessage = async (err) => {
+  const data = err.response?.data;
+  if (!(data instanceof Blob)) return null;
+  try {
+    return JSON.parse(await data.text()).error || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Download league data for reports and backups (league admins): CSV per dataset,
+ * one JSON document, or the archive that the match import restores
+ */
+const LeagueExport = ({ leagueId, leagueName }) => {
+  const { t } = useTranslation();
+  const [choice, setChoice] = useState('json');
+  const [downloading, setDownloading] = useState(false);
+
+  const download = async () => {
+    const option = EXPORT_OPTIONS[choice];
+    try {
+      setDownloading(true);
+      const res = await leaguesAPI.exportLeague(leagueId, option.params);
+      const fileName = fileNameFromHeader(res.headers?.['content-disposition'])
+        || `${slugify(leagueName)}-${new Date().toISOString().slice(0, 10)}${option.suffix}`;
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error((await readErrorMessage(err)) || t('leagueExport.error'));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <h4 className="text-sm font-medium text-gray-300">{t('leagueExport.title')}</h4>
+      <p className="text-xs text-gray-500">{t(`leagueExport.hints.${choice}`)}</p>
+      <div className="flex gap-2">
+        <Select value={choice} onValueChange={setChoice}>
+          <SelectTrigger className="flex-1">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.keys(EXPORT_OPTIONS).map((key) => (
+              <SelectItem key={key} value={key}>{t(`leagueExport.options.${key}`)}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button variant="outline" onClick={download} disabled={downloading}>
+          {downloading ? <LoadingSpinner className="mr-2 h-4 w-4" /> : <Download className="mr-2 h-4 w-4" />}
+          {t('leagueExport.download')}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default LeagueExport;
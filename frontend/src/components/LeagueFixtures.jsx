@@ -0,0 +1,306 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import { CalendarClock } from 'lucide-react';
+import { leaguesAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import RecordMatchForm from '@/components/RecordMatchForm';
+
+const UPCOMING_LIMIT = 8;
+
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+// due_date is a plain calendar date (YYYY-MM-DD); parse it as local midnight.
+const parseDueDate = (value) => (value ? new Date(`${String(value).slice(0, 10)}T00:00:00`) : null);
+
+const LeagueFixtures = ({ leagueId, leagueName, canManage, userRosterId, onMatchRecorded }) => {
+  const { t } = useTranslation();
+  const [upcoming, setUpcoming] = useState([]);
+  const [totals, setTotals] = useState({ total: 0, played: 0 });
+  const [crosstable, setCrosstable] = useState({ players: [], cells: [] });
+  const [status, setStatus] = useState('idle');
+  const [recordingFixture, setRecordingFixture] = useState(null);
+  const [doubleRoundRobin, setDoubleRoundRobin] = useState(false);
+  const [startDate, setStartDate] = useState(todayIso);
+  const [intervalDays, setIntervalDays] = useState(7);
+  const [replaceOpen, setReplaceOpen] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [clearing, setClearing] = useState(false);
+
+  const fetchFixtures = useCallback(async () => {
+    try {
+      setStatus((prev) => (prev === 'loaded' ? prev : 'loading'));
+      const [fixturesRes, crosstableRes] = await Promise.all([
+        leaguesAPI.getFixtures(leagueId, { status: 'upcoming', limit: UPCOMING_LIMIT }),
+        leaguesAPI.getFixtureCrosstable(leagueId),
+      ]);
+      setUpcoming(fixturesRes.data?.fixtures || []);
+      setTotals({ total: fixturesRes.data?.total || 0, played: fixturesRes.data?.played || 0 });
+      setCrosstable({
+        players: crosstableRes.data?.players || [],
+        cells: crosstableRes.data?.cells || [],
+      });
+      setStatus('loaded');
+    } catch (err) {
+      console.error('Failed to load fixtures', err);
+      setStatus('error');
+    }
+  }, [leagueId]);
+
+  useEffect(() => {
+    if (!leagueId) return;
+    fetchFixtures();
+  }, [leagueId, fetchFixtures]);
+
+  const cellsByPair = useMemo(() => {
+    const map = new Map();
+    crosstable.cells.forEach((cell) => map.set(`${cell.roster_id}:${cell.opponent_roster_id}`, cell.results));
+    return map;
+  }, [crosstable]);
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+    try {
+      setGenerating(true);
+      const res = await leaguesAPI.generateFixtures(leagueId, {
+        double_round_robin: doubleRoundRobin,
+        start_date: startDate,
+        interval_days: Number(intervalDays),
+        replace: replaceOpen,
+      });
+      toast.success(res.data?.message || t('fixtures.generated'));
+      await fetchFixtures();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('fixtures.generateError'));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      setClearing(true);
+      await leaguesAPI.clearFixtures(leagueId);
+      toast.success(t('fixtures.cleared'));
+      await fetchFixtures();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('fixtures.clearError'));
+    } finally {
+      setClearing(false);
+    }
+  };
+
+  const canRecord = (fixture) => (
+    canManage || (userRosterId && (fixture.player1_roster_id === userRosterId || fixture.player2_roster_id === userRosterId))
+  );
+
+  if (status === 'loaded' && totals.total === 0 && !canManage) {
+    return null;
+  }
+
+  const today = parseDueDate(todayIso());
+
+  return (
+    <Card className="vg-card min-w-0 overflow-hidden">
+      <CardHeader className="py-4">
+        <div className="flex items-center justify-between gap-2">
+          <CardTitle className="cyberpunk-subtitle text-lg">{t('fixtures.title')}</CardTitle>
+          {totals.total > 0 ? (
+            <span className="text-xs text-gray-400">
+              {t('fixtures.progress', { played: totals.played, total: totals.total })}
+            </span>
+          ) : null}
+        </div>
+        <CardDescription className="text-gray-400">{t('fixtures.subtitle')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {status === 'loading' || status === 'idle' ? (
+          <div className="flex items-center justify-center py-4">
+            <LoadingSpinner size="sm" />
+          </div>
+        ) : status === 'error' ? (
+          <p className="text-sm text-red-400">{t('fixtures.loadError')}</p>
+        ) : totals.total === 0 ? (
+          <p className="text-sm text-gray-400">{t('fixtures.none')}</p>
+        ) : (
+          <>
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium text-gray-300">{t('fixtures.upcoming')}</h4>
+              {upcoming.length === 0 ? (
+                <p className="text-sm text-gray-400">{t('fixtures.allPlayed')}</p>
+              ) : (
+                <div className="space-y-2">
+                  {upcoming.map((fixture) => {
+                    const due = parseDueDate(fixture.due_date);
+                    const overdue = due && due < today;
+                    return (
+                      <div
+                        key={fixture.id}
+                        className="flex flex-wrap items-center justify-between gap-2 rounded border border-gray-800 bg-gray-900/40 px-3 py-2"
+                      >
+                        <div className="min-w-0">
+                          <div className="truncate text-sm text-gray-100">
+                            {fixture.player1_display_name} <span className="text-gray-500">{t('fixtures.vs')}</span> {fixture.player2_display_name}
+                          </div>
+                          <div className="flex items-center gap-2 text-xs text-gray-400">
+                            <CalendarClock className="h-3 w-3" />
+                            {due ? format(due, 'MMM d, yyyy') : '—'}
+                            <span>· {t('fixtures.round', { round: fixture.round })}</span>
+                            {overdue ? <Badge variant="destructive" className="px-1.5 py-0 text-[10px]">{t('fixtures.overdue')}</Badge> : null}
+                          </div>
+                        </div>
+                        {canRecord(fixture) ? (
+                          <Button variant="outline" size="sm" onClick={() => setRecordingFixture(fixture)}>
+                            {t('fixtures.record')}
+                          </Button>
+                        ) : null}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium text-gray-300">{t('fixtures.crosstable')}</h4>
+              <div className="overflow-x-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-8">#</TableHead>
+                      <TableHead>{t('leagues.player')}</TableHead>
+                      {crosstable.players.map((player, index) => (
+                        <TableHead key={player.roster_id} className="text-center" title={player.display_name}>
+                          {index + 1}
+                        </TableHead>
+                      ))}
+                      <TableHead className="text-center">{t('leagues.wl')}</TableHead>
+                      <TableHead className="text-center">{t('fixtures.sets')}</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {crosstable.players.map((player, rowIndex) => (
+                      <TableRow key={player.roster_id}>
+                        <TableCell className="text-gray-500">{rowIndex + 1}</TableCell>
+                        <TableCell className="whitespace-nowrap font-medium text-gray-100">{player.display_name}</TableCell>
+                        {crosstable.players.map((opponent) => {
+                          if (opponent.roster_id === player.roster_id) {
+                            return <TableCell key={opponent.roster_id} className="bg-gray-800/40 text-center text-gray-600">—</TableCell>;
+                          }
+                          const results = cellsByPair.get(`${player.roster_id}:${opponent.roster_id}`) || [];
+                          return (
+                            <TableCell key={opponent.roster_id} className="whitespace-nowrap text-center text-xs">
+                              {results.length === 0 ? (
+                                <span className="text-gray-600">·</span>
+                              ) : results.map((result) => (
+                                <span
+                                  key={result.match_id}
+                                  className={`mx-0.5 ${result.won ? 'text-green-400' : 'text-red-400'}`}
+                                >
+                                  {result.sets_won}:{result.sets_lost}
+                                </span>
+                              ))}
+                            </TableCell>
+                          );
+                        })}
+                        <TableCell className="whitespace-nowrap text-center">{player.wins}-{player.losses}</TableCell>
+                        <TableCell className="whitespace-nowrap text-center text-gray-400">{player.sets_won}:{player.sets_lost}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            </div>
+          </>
+        )}
+
+        {canManage ? (
+          <form className="space-y-3 border-t border-gray-800 pt-4" onSubmit={handleGenerate}>
+            <h4 className="text-sm font-medium text-gray-300">{t('fixtures.generate')}</h4>
+            <div className="grid gap-2 sm:grid-cols-2">
+              <div className="space-y-1">
+                <Label htmlFor="fixtures-start">{t('fixtures.startDate')}</Label>
+                <Input id="fixtures-start" type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="fixtures-interval">{t('fixtures.intervalDays')}</Label>
+                <Input
+                  id="fixtures-interval"
+                  type="number"
+                  min={1}
+                  max={60}
+                  value={intervalDays}
+                  onChange={(e) => setIntervalDays(e.target.value)}
+                />
+              </div>
+            </div>
+            <div className="flex items-center justify-between rounded-md border border-gray-700 bg-gray-900/40 px-3 py-2">
+              <span className="text-sm text-gray-200">{t('fixtures.doubleRoundRobin')}</span>
+              <Switch checked={doubleRoundRobin} onCheckedChange={setDoubleRoundRobin} />
+            </div>
+            <div className="flex items-center justify-between rounded-md border border-gray-700 bg-gray-900/40 px-3 py-2">
+              <span className="text-sm text-gray-200">{t('fixtures.replaceOpen')}</span>
+              <Switch checked={replaceOpen} onCheckedChange={setReplaceOpen} />
+            </div>
+            <div className="flex gap-2">
+              <Button type="submit" size="sm" className="flex-1" disabled={generating}>
+                {generating ? t('fixtures.generating') : t('fixtures.generate')}
+              </Button>
+              {totals.total > totals.played ? (
+                <Button type="button" variant="outline" size="sm" onClick={handleClear} disabled={clearing}>
+                  {t('fixtures.clearOpen')}
+                </Button>
+              ) : null}
+            </div>
+          </form>
+        ) : null}
+      </CardContent>
+
+      <Dialog open={!!recordingFixture} onOpenChange={(open) => { if (!open) setRecordingFixture(null); }}>
+        <DialogContent className="max-h-[90vh] overflow-y-auto bg-gray-900 border-2 border-gray-700">
+          <DialogHeader>
+            <DialogTitle>{t('fixtures.recordTitle')}</DialogTitle>
+            <DialogDescription>
+              {recordingFixture ? t('fixtures.round', { round: recordingFixture.round }) : null}
+            </DialogDescription>
+          </DialogHeader>
+          {recordingFixture ? (
+            <RecordMatchForm
+              initialLeagueId={Number(leagueId)}
+              hideLeagueSelector={true}
+              leagueName={leagueName}
+              allowAdminMatchForOthers={canManage}
+              fixedPairing={{
+                player1_roster_id: recordingFixture.player1_roster_id,
+                player2_roster_id: recordingFixture.player2_roster_id,
+                fixture_id: recordingFixture.id,
+              }}
+              onSuccess={() => {
+                setRecordingFixture(null);
+                fetchFixtures();
+                if (onMatchRecorded) onMatchRecorded();
+              }}
+            />
+          ) : null}
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default LeagueFixtures;
@@ -0,0 +1,215 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { leaguesAPI } from '@/services/api';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+
+const GAME_TYPES = ['best_of_1', 'best_of_3', 'best_of_5', 'best_of_7'];
+const DOUBLES_RATING_MODES = ['individual', 'pair'];
+
+// Numeric settings shown as inputs; `eloOnly` fields have no effect on Glicko-2 / TrueSkill
+const FIELDS = [
+  { key: 'starting_elo', step: 1 },
+  { key: 'k_factor', step: 1, eloOnly: true },
+  { key: 'provisional_k_factor', step: 1, eloOnly: true },
+  { key: 'provisional_matches', step: 1, eloOnly: true },
+  { key: 'points_factor_cap', step: 0.05, eloOnly: true },
+];
+
+const toForm = (config) => ({
+  ...Object.fromEntries(FIELDS.map(({ key }) => [key, String(config[key])])),
+  doubles_rating_mode: config.doubles_rating_mode || 'individual',
+  format_multipliers: Object.fromEntries(
+    GAME_TYPES.map((gameType) => [gameType, String(config.format_multipliers?.[gameType] ?? '')])
+  ),
+});
+
+const LeagueRatingConfig = ({ leagueId, ratingEngine, onUpdated }) => {
+  const { t } = useTranslation();
+  const [form, setForm] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [saving, setSaving] = useState(false);
+  const [historyMatches, setHistoryMatches] = useState(0);
+  const [recomputeOpen, setRecomputeOpen] = useState(false);
+  const [recomputing, setRecomputing] = useState(false);
+
+  const isElo = (ratingEngine || 'elo') === 'elo';
+
+  const fetchConfig = useCallback(async () => {
+    try {
+      setStatus('loading');
+      const res = await leaguesAPI.getRatingConfig(leagueId);
+      setForm(toForm(res.data.config));
+      setStatus('loaded');
+    } catch (err) {
+      console.error('Failed to load rating config', err);
+      setStatus('error');
+    }
+  }, [leagueId]);
+
+  useEffect(() => {
+    if (!leagueId) return;
+    fetchConfig();
+  }, [leagueId, fetchConfig]);
+
+  const setField = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+  const setMultiplier = (gameType, value) => setForm((prev) => ({
+    ...prev,
+    format_multipliers: { ...prev.format_multipliers, [gameType]: value },
+  }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const payload = {
+        ...Object.fromEntries(FIELDS.map(({ key }) => [key, Number(form[key])])),
+        doubles_rating_mode: form.doubles_rating_mode,
+        format_multipliers: Object.fromEntries(
+          GAME_TYPES.map((gameType) => [gameType, Number(form.format_multipliers[gameType])])
+        ),
+      };
+      const res = await leaguesAPI.updateRatingConfig(leagueId, payload);
+      setForm(toForm(res.data.config));
+      toast.success(t('ratingConfig.saved'));
+      const applied = res.data?.history_matches || 0;
+      setHistoryMatches(applied);
+      if (applied > 0) {
+        setRecomputeOpen(true);
+      }
+      onUpdated?.();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('ratingConfig.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRecompute = async () => {
+    try {
+      setRecomputing(true);
+      const res = await leaguesAPI.updateRatingConfig(leagueId, { recompute: true });
+      toast.success(res.data?.message || t('ratingConfig.recomputed'));
+      onUpdated?.();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('ratingConfig.recomputeError'));
+    } finally {
+      setRecomputing(false);
+      setRecomputeOpen(false);
+    }
+  };
+
+  if (status === 'error') {
+    return <p className="text-xs text-red-400">{t('ratingConfig.loadError')}</p>;
+  }
+  if (!form) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-2">
+      <h4 className="text-sm font-medium text-gray-300">{t('ratingConfig.title')}</h4>
+      <p className="text-xs text-gray-400">
+        {isElo ? t('ratingConfig.hint') : t('ratingConfig.eloOnlyHint')}
+      </p>
+      <form onSubmit={handleSave} className="space-y-3">
+        <div className="grid grid-cols-2 gap-2">
+          {FIELDS.map(({ key, step, eloOnly }) => (
+            <div key={key} className="space-y-1">
+              <Label htmlFor={`rating-config-${key}`} className="text-xs text-gray-400">
+                {t(`ratingConfig.fields.${key}`)}
+              </Label>
+              <Input
+                id={`rating-config-${key}`}
+                type="number"
+                step={step}
+                value={form[key]}
+                disabled={eloOnly && !isElo}
+                onChange={(e) => setField(key, e.target.value)}
+              />
+            </div>
+          ))}
+        </div>
+        <div className="space-y-1">
+          <span className="text-xs text-gray-400">{t('ratingConfig.formatMultipliers')}</span>
+          <div className="grid grid-cols-4 gap-2">
+            {GAME_TYPES.map((gameType) => (
+              <div key={gameType} className="space-y-1">
+                <Label htmlFor={`rating-config-${gameType}`} className="text-[11px] text-gray-500">
+                  {t(`ratingConfig.formats.${gameType}`)}
+                </Label>
+                <Input
+                  id={`rating-config-${gameType}`}
+                  type="number"
+                  step={0.01}
+                  value={form.format_multipliers[gameType]}
+                  disabled={!isElo}
+                  onChange={(e) => setMultiplier(gameType, e.target.value)}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="rating-config-doubles_rating_mode" className="text-xs text-gray-400">
+            {t('ratingConfig.fields.doubles_rating_mode')}
+          </Label>
+          <Select
+            value={form.doubles_rating_mode}
+            onValueChange={(value) => setField('doubles_rating_mode', value)}
+          >
+            <SelectTrigger id="rating-config-doubles_rating_mode">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {DOUBLES_RATING_MODES.map((mode) => (
+                <SelectItem key={mode} value={mode}>{t(`ratingConfig.doublesModes.${mode}`)}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <Button type="submit" variant="outline" className="w-full" disabled={saving}>
+          {saving ? t('status.updating') : t('ratingConfig.save')}
+        </Button>
+      </form>
+
+      <AlertDialog open={recomputeOpen} onOpenChange={setRecomputeOpen}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>{t('ratingConfig.recomputeTitle')}</AlertDialogTitle>
+            <AlertDialogDescription>
+              {t('ratingConfig.recomputeDesc', { count: historyMatches })}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={recomputing}>{t('ratingConfig.keepHistory')}</AlertDialogCancel>
+            <AlertDialogAction
+              disabled={recomputing}
+              onClick={(e) => {
+                e.preventDefault();
+                handleRecompute();
+              }}
+            >
+              {recomputing ? t('status.updating') : t('ratingConfig.recompute')}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default LeagueRatingConfig;
@@ -0,0 +1,151 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { RefreshCw } from 'lucide-react';
+import { adminAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from '@/components/ui/alert-dialog';
+
+const formatChange = (change) => (change > 0 ? `+${change}` : String(change));
+
+const changeClass = (change) => {
+  if (change > 0) return 'text-green-400';
+  if (change < 0) return 'text-red-400';
+  return 'text-gray-500';
+};
+
+const LeagueRatingRecalculation = ({ leagues }) => {
+  const { t } = useTranslation();
+  const [leagueId, setLeagueId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [running, setRunning] = useState(null); // 'preview' | 'apply' | null
+
+  const selectLeague = (value) => {
+    setLeagueId(value);
+    setPreview(null);
+  };
+
+  const run = async (dryRun) => {
+    if (!leagueId) return;
+    try {
+      setRunning(dryRun ? 'preview' : 'apply');
+      const res = await adminAPI.recalculateLeagueRatings(Number(leagueId), dryRun);
+      if (dryRun) {
+        setPreview(res.data);
+      } else {
+        setPreview(null);
+        toast.success(res.data?.message || t('ratingRecalculation.applied'));
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('ratingRecalculation.error'));
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  const changedRoster = preview ? preview.roster.filter((entry) => entry.change !== 0) : [];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <RefreshCw className="h-5 w-5 mr-2" />
+          {t('ratingRecalculation.title')}
+        </CardTitle>
+        <CardDescription>{t('ratingRecalculation.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-col gap-3 sm:flex-row sm:items-center">
+          <Select value={leagueId} onValueChange={selectLeague}>
+            <SelectTrigger className="sm:w-72">
+              <SelectValue placeholder={t('ratingRecalculation.selectLeague')} />
+            </SelectTrigger>
+            <SelectContent>
+              {leagues.map((league) => (
+                <SelectItem key={league.id} value={String(league.id)}>{league.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" onClick={() => run(true)} disabled={!leagueId || running !== null}>
+            {running === 'preview' && <LoadingSpinner className="mr-2 h-4 w-4" />}
+            {t('ratingRecalculation.preview')}
+          </Button>
+          <AlertDialog>
+            <AlertDialogTrigger asChild>
+              <Button disabled={!preview || running !== null}>
+                {running === 'apply' && <LoadingSpinner className="mr-2 h-4 w-4" />}
+                {t('ratingRecalculation.apply')}
+              </Button>
+            </AlertDialogTrigger>
+            <AlertDialogContent>
+              <AlertDialogHeader>
+                <AlertDialogTitle>{t('ratingRecalculation.confirmTitle')}</AlertDialogTitle>
+                <AlertDialogDescription>{t('ratingRecalculation.confirmDesc')}</AlertDialogDescription>
+              </AlertDialogHeader>
+              <AlertDialogFooter>
+                <AlertDialogCancel>{t('dialog.cancel')}</AlertDialogCancel>
+                <AlertDialogAction onClick={() => run(false)}>{t('ratingRecalculation.apply')}</AlertDialogAction>
+              </AlertDialogFooter>
+            </AlertDialogContent>
+          </AlertDialog>
+        </div>
+
+        {preview && (
+          <div className="space-y-2">
+            <p className="text-sm text-gray-400">
+              {t('ratingRecalculation.summary', {
+                matches: preview.matches,
+                changedMatches: preview.changed_matches,
+                players: changedRoster.length,
+              })}
+            </p>
+            {changedRoster.length === 0 ? (
+              <p className="text-sm text-gray-500">{t('ratingRecalculation.noChanges')}</p>
+            ) : (
+              <div className="max-h-80 overflow-y-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>{t('ratingRecalculation.player')}</TableHead>
+                      <TableHead className="text-right">{t('ratingRecalculation.current')}</TableHead>
+                      <TableHead className="text-right">{t('ratingRecalculation.recalculated')}</TableHead>
+                      <TableHead className="text-right">{t('ratingRecalculation.change')}</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {changedRoster.map((entry) => (
+                      <TableRow key={entry.roster_id}>
+                        <TableCell>{entry.display_name}</TableCell>
+                        <TableCell className="text-right">{entry.current_elo}</TableCell>
+                        <TableCell className="text-right">{entry.new_elo}</TableCell>
+                        <TableCell className={`text-right font-medium ${changeClass(entry.change)}`}>
+                          {formatChange(entry.change)}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LeagueRatingRecalculation;
@@ -0,0 +1,352 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+import { Trophy } from 'lucide-react';
+import { leaguesAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from '@/components/ui/alert-dialog';
+
+const RATING_RESETS = ['carry_over', 'soft', 'hard'];
+
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+// start_date/end_date are plain calendar dates (YYYY-MM-DD); parse them as local midnight.
+const formatDate = (value) => (value ? format(new Date(`${String(value).slice(0, 10)}T00:00:00`), 'MMM d, yyyy') : '…');
+
+const sideName = (name, partner) => (partner ? `${name} / ${partner}` : name);
+
+const LeagueSeasons = ({ leagueId, canManage, onSeasonChanged }) => {
+  const { t } = useTranslation();
+  const [seasons, setSeasons] = useState([]);
+  const [status, setStatus] = useState('idle');
+  const [selectedId, setSelectedId] = useState('');
+  const [detail, setDetail] = useState(null);
+  const [detailStatus, setDetailStatus] = useState('idle');
+  const [name, setName] = useState('');
+  const [startDate, setStartDate] = useState(todayIso);
+  const [endDate, setEndDate] = useState('');
+  const [ratingReset, setRatingReset] = useState('carry_over');
+  const [resetFactor, setResetFactor] = useState('0.5');
+  const [awardChampion, setAwardChampion] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const activeSeason = seasons.find((season) => season.status === 'active') || null;
+
+  const fetchSeasons = useCallback(async () => {
+    try {
+      setStatus((prev) => (prev === 'loaded' ? prev : 'loading'));
+      const res = await leaguesAPI.getSeasons(leagueId);
+      const list = res.data?.seasons || [];
+      setSeasons(list);
+      setSelectedId((prev) => (
+        prev && list.some((season) => String(season.id) === prev) ? prev : (list[0] ? String(list[0].id) : '')
+      ));
+      setStatus('loaded');
+    } catch (err) {
+      console.error('Failed to load seasons', err);
+      setStatus('error');
+    }
+  }, [leagueId]);
+
+  const fetchDetail = useCallback(async (seasonId) => {
+    try {
+      setDetailStatus('loading');
+      const res = await leaguesAPI.getSeason(leagueId, seasonId);
+      setDetail(res.data);
+      setDetailStatus('loaded');
+    } catch (err) {
+      console.error('Failed to load season', err);
+      setDetailStatus('error');
+    }
+  }, [leagueId]);
+
+  useEffect(() => {
+    if (!leagueId) return;
+    fetchSeasons();
+  }, [leagueId, fetchSeasons]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setDetail(null);
+      return;
+    }
+    fetchDetail(selectedId);
+  }, [selectedId, fetchDetail]);
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await leaguesAPI.startSeason(leagueId, {
+        name: name.trim(),
+        start_date: startDate,
+        end_date: endDate || undefined,
+        rating_reset: ratingReset,
+        reset_factor: ratingReset === 'soft' ? Number(resetFactor) : undefined,
+      });
+      toast.success(t('seasons.started'));
+      setName('');
+      setEndDate('');
+      setSelectedId('');
+      await fetchSeasons();
+      onSeasonChanged?.();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('seasons.startError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = async () => {
+    if (!activeSeason) return;
+    try {
+      setSaving(true);
+      const res = await leaguesAPI.closeSeason(leagueId, activeSeason.id, { award_champion: awardChampion });
+      toast.success(res.data?.badge_awarded ? t('seasons.closedWithBadge') : t('seasons.closed'));
+      await fetchSeasons();
+      await fetchDetail(String(activeSeason.id));
+      onSeasonChanged?.();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('seasons.closeError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (status === 'loaded' && seasons.length === 0 && !canManage) {
+    return null;
+  }
+
+  const season = detail?.season;
+
+  return (
+    <Card className="vg-card min-w-0 overflow-hidden">
+      <CardHeader className="py-4">
+        <div className="flex items-center justify-between gap-2">
+          <CardTitle className="cyberpunk-subtitle text-lg">{t('seasons.title')}</CardTitle>
+          {activeSeason ? (
+            <Badge variant="outline">{t('seasons.current', { name: activeSeason.name })}</Badge>
+          ) : null}
+        </div>
+        <CardDescription className="text-gray-400">{t('seasons.subtitle')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {status === 'loading' || status === 'idle' ? (
+          <div className="flex items-center justify-center py-4">
+            <LoadingSpinner size="sm" />
+          </div>
+        ) : status === 'error' ? (
+          <p className="text-sm text-red-400">{t('seasons.loadError')}</p>
+        ) : seasons.length === 0 ? (
+          <p className="text-sm text-gray-400">{t('seasons.none')}</p>
+        ) : (
+          <div className="space-y-4">
+            <Select value={selectedId} onValueChange={setSelectedId}>
+              <SelectTrigger className="sm:w-72">
+                <SelectValue placeholder={t('seasons.select')} />
+              </SelectTrigger>
+              <SelectContent>
+                {seasons.map((item) => (
+                  <SelectItem key={item.id} value={String(item.id)}>
+                    {item.status === 'active' ? `${item.name} (${t('seasons.active')})` : item.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            {detailStatus === 'loading' ? (
+              <div className="flex items-center justify-center py-4">
+                <LoadingSpinner size="sm" />
+              </div>
+            ) : detailStatus === 'error' ? (
+              <p className="text-sm text-red-400">{t('seasons.loadError')}</p>
+            ) : season ? (
+              <>
+                <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-400">
+                  <span>{formatDate(season.start_date)} – {formatDate(season.end_date)}</span>
+                  <span>{t(`seasons.resets.${season.rating_reset}`)}</span>
+                  {season.champion_display_name ? (
+                    <span className="flex items-center gap-1 text-yellow-400">
+                      <Trophy className="h-3.5 w-3.5" />
+                      {t('seasons.champion', { name: season.champion_display_name })}
+                    </span>
+                  ) : null}
+                </div>
+
+                <div className="space-y-2">
+                  <h4 className="text-sm font-medium text-gray-300">
+                    {season.status === 'closed' ? t('seasons.finalStandings') : t('seasons.liveStandings')}
+                  </h4>
+                  <div className="overflow-x-auto">
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead className="w-10">#</TableHead>
+                          <TableHead>{t('leagues.player')}</TableHead>
+                          <TableHead className="text-right">{t('leagues.elo')}</TableHead>
+                          <TableHead className="text-right">{t('leagues.wl')}</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {detail.standings.map((row) => (
+                          <TableRow key={row.roster_id ?? `${row.final_rank}-${row.display_name}`}>
+                            <TableCell className="text-gray-500">{row.final_rank}</TableCell>
+                            <TableCell className="whitespace-nowrap font-medium text-gray-100">
+                              {row.username ? (
+                                <Link to={`/app/profile/${row.username}`} className="hover:underline">{row.display_name}</Link>
+                              ) : row.display_name}
+                            </TableCell>
+                            <TableCell className="text-right">{row.final_elo}</TableCell>
+                            <TableCell className="whitespace-nowrap text-right">
+                              {row.matches_won}-{row.matches_played - row.matches_won}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </div>
+                </div>
+
+                <div className="space-y-2">
+                  <h4 className="text-sm font-medium text-gray-300">
+                    {t('seasons.matches', { count: detail.matches.length })}
+                  </h4>
+                  {detail.matches.length === 0 ? (
+                    <p className="text-sm text-gray-400">{t('seasons.noMatches')}</p>
+                  ) : (
+                    <div className="max-h-72 space-y-1 overflow-y-auto">
+                      {detail.matches.map((match) => (
+                        <Link
+                          key={match.id}
+                          to={`/app/matches/${match.id}`}
+                          className="flex items-center justify-between gap-2 rounded border border-gray-800 bg-gray-900/40 px-3 py-1.5 text-sm hover:bg-gray-800/50"
+                        >
+                          <span className="truncate text-gray-200">
+                            {sideName(match.player1_display_name, match.player1_partner_display_name)}
+                            <span className="mx-1 text-gray-500">{t('common.vs')}</span>
+                            {sideName(match.player2_display_name, match.player2_partner_display_name)}
+                          </span>
+                          <span className="whitespace-nowrap font-semibold text-gray-300">
+                            {match.player1_sets_won}:{match.player2_sets_won}
+                          </span>
+                        </Link>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </>
+            ) : null}
+          </div>
+        )}
+
+        {canManage && status === 'loaded' ? (
+          activeSeason ? (
+            <div className="space-y-3 border-t border-gray-800 pt-4">
+              <h4 className="text-sm font-medium text-gray-300">{t('seasons.closeTitle', { name: activeSeason.name })}</h4>
+              <div className="flex items-center justify-between rounded-md border border-gray-700 bg-gray-900/40 px-3 py-2">
+                <span className="text-sm text-gray-200">{t('seasons.awardChampion')}</span>
+                <Switch checked={awardChampion} onCheckedChange={setAwardChampion} />
+              </div>
+              <AlertDialog>
+                <AlertDialogTrigger asChild>
+                  <Button size="sm" variant="outline" className="w-full" disabled={saving}>
+                    {t('seasons.close')}
+                  </Button>
+                </AlertDialogTrigger>
+                <AlertDialogContent>
+                  <AlertDialogHeader>
+                    <AlertDialogTitle>{t('seasons.closeTitle', { name: activeSeason.name })}</AlertDialogTitle>
+                    <AlertDialogDescription>{t('seasons.closeDesc')}</AlertDialogDescription>
+                  </AlertDialogHeader>
+                  <AlertDialogFooter>
+                    <AlertDialogCancel>{t('dialog.cancel')}</AlertDialogCancel>
+                    <AlertDialogAction onClick={handleClose}>{t('seasons.close')}</AlertDialogAction>
+                  </AlertDialogFooter>
+                </AlertDialogContent>
+              </AlertDialog>
+            </div>
+          ) : (
+            <form className="space-y-3 border-t border-gray-800 pt-4" onSubmit={handleStart}>
+              <h4 className="text-sm font-medium text-gray-300">{t('seasons.start')}</h4>
+              <div className="space-y-1">
+                <Label htmlFor="season-name">{t('seasons.name')}</Label>
+                <Input
+                  id="season-name"
+                  value={name}
+                  maxLength={100}
+                  placeholder={t('seasons.namePlaceholder')}
+                  onChange={(e) => setName(e.target.value)}
+                />
+              </div>
+              <div className="grid gap-2 sm:grid-cols-2">
+                <div className="space-y-1">
+                  <Label htmlFor="season-start">{t('seasons.startDate')}</Label>
+                  <Input id="season-start" type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="season-end">{t('seasons.endDate')}</Label>
+                  <Input id="season-end" type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+                </div>
+              </div>
+              <div className="grid gap-2 sm:grid-cols-2">
+                <div className="space-y-1">
+                  <Label htmlFor="season-reset">{t('seasons.ratingReset')}</Label>
+                  <Select value={ratingReset} onValueChange={setRatingReset}>
+                    <SelectTrigger id="season-reset">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {RATING_RESETS.map((reset) => (
+                        <SelectItem key={reset} value={reset}>{t(`seasons.resets.${reset}`)}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                {ratingReset === 'soft' ? (
+                  <div className="space-y-1">
+                    <Label htmlFor="season-reset-factor">{t('seasons.resetFactor')}</Label>
+                    <Input
+                      id="season-reset-factor"
+                      type="number"
+                      min={0.05}
+                      max={1}
+                      step={0.05}
+                      value={resetFactor}
+                      onChange={(e) => setResetFactor(e.target.value)}
+                    />
+                  </div>
+                ) : null}
+              </div>
+              <p className="text-xs text-gray-400">{t(`seasons.resetHints.${ratingReset}`)}</p>
+              <Button type="submit" size="sm" className="w-full" disabled={saving || !name.trim()}>
+                {saving ? t('status.updating') : t('seasons.start')}
+              </Button>
+            </form>
+          )
+        ) : null}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LeagueSeasons;
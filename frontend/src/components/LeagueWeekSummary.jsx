@@ -0,0 +1,133 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { CalendarDays, TrendingDown, TrendingUp, Zap, UserPlus, ArrowUp, ArrowDown } from 'lucide-react';
+import { leaguesAPI } from '@/services/api';
+import { useRealtime } from '@/hooks/use-realtime';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change}`;
+
+/**
+ * "This week" in a league: the running week of the weekly digest members get by notification
+ */
+const LeagueWeekSummary = ({ leagueId }) => {
+  const { t } = useTranslation();
+  const [digest, setDigest] = useState(null);
+  const [status, setStatus] = useState('loading');
+
+  const fetchDigest = useCallback(async () => {
+    try {
+      const res = await leaguesAPI.getDigest(leagueId);
+      setDigest(res.data?.digest || null);
+      setStatus('loaded');
+    } catch (err) {
+      console.error('Failed to load week summary', err);
+      setStatus('error');
+    }
+  }, [leagueId]);
+
+  useEffect(() => {
+    fetchDigest();
+  }, [fetchDigest]);
+
+  useRealtime(['match_updated', 'league_updated'], fetchDigest, { leagueId });
+
+  const quiet = digest && digest.matches_played === 0 && digest.new_members.length === 0;
+
+  return (
+    <Card className="vg-card">
+      <CardHeader className="py-3">
+        <CardTitle className="cyberpunk-subtitle text-sm flex items-center gap-2">
+          <CalendarDays className="h-4 w-4 text-blue-400" />
+          {t('weekSummary.title')}
+        </CardTitle>
+        {digest && (
+          <CardDescription className="text-xs text-gray-400">
+            {digest.matches_played > 0
+              ? t('weekSummary.matches', { count: digest.matches_played, players: digest.active_players })
+              : t('weekSummary.noMatches')}
+          </CardDescription>
+        )}
+      </CardHeader>
+      <CardContent className="pt-0 text-sm text-gray-300 space-y-3">
+        {status === 'loading' && <LoadingSpinner size="sm" />}
+        {status === 'error' && <p className="text-xs text-gray-400">{t('weekSummary.loadError')}</p>}
+        {quiet && <p className="text-xs text-gray-400">{t('weekSummary.quiet')}</p>}
+
+        {digest?.top_movers.length > 0 && (
+          <div>
+            <div className="text-xs text-gray-400 mb-1">{t('weekSummary.movers')}</div>
+            <ul className="space-y-1">
+              {digest.top_movers.map((mover) => (
+                <li key={mover.roster_id} className="flex items-center justify-between gap-2">
+                  <span className="truncate">{mover.display_name}</span>
+                  <span className={`flex items-center gap-1 font-semibold ${mover.elo_change > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    {mover.elo_change > 0 ? <TrendingUp className="h-3.5 w-3.5" /> : <TrendingDown className="h-3.5 w-3.5" />}
+                    {formatChange(mover.elo_change)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {digest?.upsets.length > 0 && (
+          <div>
+            <div className="text-xs text-gray-400 mb-1">{t('weekSummary.upsets')}</div>
+            <ul className="space-y-1">
+              {digest.upsets.map((upset) => (
+                <li key={upset.match_id} className="flex items-start gap-2">
+                  <Zap className="h-3.5 w-3.5 mt-0.5 shrink-0 text-yellow-400" />
+                  <span>
+                    {t('weekSummary.upset', {
+                      winner: upset.winner_name,
+                      loser: upset.loser_name,
+                      chance: Math.round(upset.expected_score * 100),
+                    })}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {digest?.leaderboard_changes.length > 0 && (
+          <div>
+            <div className="text-xs text-gray-400 mb-1">{t('weekSummary.leaderboard')}</div>
+            <ul className="space-y-1">
+              {digest.leaderboard_changes.map((change) => (
+                <li key={change.roster_id} className="flex items-center justify-between gap-2">
+                  <span className="truncate">{change.display_name}</span>
+                  <span className="flex items-center gap-1 text-xs text-gray-400">
+                    {change.rank_before == null ? (
+                      t('weekSummary.newAt', { rank: change.rank_after })
+                    ) : (
+                      <>
+                        {change.rank_after < change.rank_before
+                          ? <ArrowUp className="h-3 w-3 text-green-400" />
+                          : <ArrowDown className="h-3 w-3 text-red-400" />}
+                        #{change.rank_before} → #{change.rank_after}
+                      </>
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {digest?.new_members.length > 0 && (
+          <div className="flex items-start gap-2 text-xs text-gray-400">
+            <UserPlus className="h-3.5 w-3.5 mt-0.5 shrink-0 text-blue-400" />
+            <span>
+              {t('weekSummary.newMembers', { names: digest.new_members.map((member) => member.display_name).join(', ') })}
+            </span>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LeagueWeekSummary;
@@ -0,0 +1,156 @@
+import { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { matchesAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+
+const SCORE_FIELDS = ['player1_sets_won', 'player2_sets_won', 'player1_points_total', 'player2_points_total'];
+
+/**
+ * Dispute a submitted match result with the opponent's version of the score
+ * matchId: match to dispute (the dialog is open while set)
+ */
+const MatchDisputeDialog = ({ matchId, onOpenChange, onDisputed }) => {
+  const { t } = useTranslation();
+  const [match, setMatch] = useState(null);
+  const [score, setScore] = useState({});
+  const [reason, setReason] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!matchId) return;
+    let cancelled = false;
+    const load = async () => {
+      try {
+        setStatus('loading');
+        const res = await matchesAPI.getById(matchId);
+        if (cancelled) return;
+        const loaded = res.data?.match;
+        setMatch(loaded);
+        // Start from the submitted score so only the differences need changing
+        setScore(Object.fromEntries(SCORE_FIELDS.map((field) => [field, String(loaded?.[field] ?? 0)])));
+        setReason('');
+        setStatus('loaded');
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Failed to load match', err);
+        setStatus('error');
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [matchId]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    try {
+      setSubmitting(true);
+      await matchesAPI.dispute(matchId, {
+        ...Object.fromEntries(SCORE_FIELDS.map((field) => [field, Number(score[field])])),
+        reason: reason.trim() || undefined,
+      });
+      toast.success(t('matchConfirmation.disputed'));
+      onDisputed?.();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('matchConfirmation.disputeError'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const names = match
+    ? [match.player1_display_name, match.player2_display_name]
+    : ['', ''];
+
+  return (
+    <Dialog open={!!matchId} onOpenChange={onOpenChange}>
+      <DialogContent className="max-h-[90vh] overflow-y-auto bg-gray-900 border-2 border-gray-700">
+        <DialogHeader>
+          <DialogTitle>{t('matchConfirmation.disputeTitle')}</DialogTitle>
+          <DialogDescription>
+            {match
+              ? t('matchConfirmation.disputeDesc', {
+                league: match.league_name,
+                score: `${match.player1_sets_won}–${match.player2_sets_won}`,
+              })
+              : null}
+          </DialogDescription>
+        </DialogHeader>
+
+        {status === 'idle' || status === 'loading' ? (
+          <div className="flex items-center justify-center py-6">
+            <LoadingSpinner size="sm" />
+          </div>
+        ) : status === 'error' ? (
+          <p className="text-sm text-red-400">{t('matchConfirmation.loadError')}</p>
+        ) : (
+          <form className="space-y-4" onSubmit={handleSubmit}>
+            <div className="grid grid-cols-2 gap-3">
+              {[1, 2].map((side) => (
+                <div key={side} className="space-y-2">
+                  <p className="truncate text-sm font-medium text-gray-200">{names[side - 1]}</p>
+                  <div className="space-y-1">
+                    <Label htmlFor={`dispute-sets-${side}`}>{t('matchConfirmation.setsWon')}</Label>
+                    <Input
+                      id={`dispute-sets-${side}`}
+                      type="number"
+                      min={0}
+                      max={4}
+                      value={score[`player${side}_sets_won`] ?? ''}
+                      onChange={(e) => setScore((prev) => ({ ...prev, [`player${side}_sets_won`]: e.target.value }))}
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor={`dispute-points-${side}`}>{t('matchConfirmation.points')}</Label>
+                    <Input
+                      id={`dispute-points-${side}`}
+                      type="number"
+                      min={0}
+                      value={score[`player${side}_points_total`] ?? ''}
+                      onChange={(e) => setScore((prev) => ({ ...prev, [`player${side}_points_total`]: e.target.value }))}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="dispute-reason">{t('matchConfirmation.reason')}</Label>
+              <Textarea
+                id="dispute-reason"
+                maxLength={500}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder={t('matchConfirmation.reasonPlaceholder')}
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+                {t('dialog.cancel')}
+              </Button>
+              <Button type="submit" disabled={submitting}>
+                {submitting ? t('status.updating') : t('matchConfirmation.dispute')}
+              </Button>
+            </DialogFooter>
+          </form>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default MatchDisputeDialog;
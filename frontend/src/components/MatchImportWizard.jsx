@@ -0,0 +1,357 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { Upload } from 'lucide-react';
+import { leaguesAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
+import { Textarea } from '@/components/ui/textarea';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from '@/components/ui/alert-dialog';
+
+const CREATE_PLACEHOLDER = 'new';
+// Rows shown in the preview table; the summary still counts all of them
+const PREVIEW_ROW_LIMIT = 200;
+
+const NAME_STATUS_VARIANTS = {
+  matched: 'secondary',
+  create: 'outline',
+  ambiguous: 'destructive',
+  invalid_mapping: 'destructive',
+};
+
+const formatScore = (row) => {
+  if (row.sets.length > 0) {
+    return row.sets.map((set) => `${set.player1_score}-${set.player2_score}`).join(' ');
+  }
+  if (row.player1_sets_won == null) return '–';
+  return `${row.player1_sets_won}-${row.player2_sets_won}`;
+};
+
+const formatSide = (player, partner) => (partner ? `${player} / ${partner}` : player);
+
+/**
+ * Import historical matches into a league: upload or paste CSV/JSON, review rows and
+ * player name mapping, then import (league admins)
+ */
+const MatchImportWizard = ({ leagues, onImported }) => {
+  const { t } = useTranslation();
+  const [leagueId, setLeagueId] = useState('');
+  const [format, setFormat] = useState('csv');
+  const [content, setContent] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [previewStale, setPreviewStale] = useState(false);
+  const [onlyErrors, setOnlyErrors] = useState(false);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [running, setRunning] = useState(null); // 'preview' | 'import' | null
+
+  const resetPreview = () => {
+    setPreview(null);
+    setPreviewStale(false);
+    setMapping({});
+    setSkipInvalid(false);
+  };
+
+  const selectLeague = (value) => {
+    setLeagueId(value);
+    resetPreview();
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setContent(text);
+      setFileName(file.name);
+      if (/\.json$/i.test(file.name)) setFormat('json');
+      else if (/\.(csv|tsv|txt)$/i.test(file.name)) setFormat('csv');
+      resetPreview();
+    } catch (err) {
+      console.error('Failed to read import file', err);
+      toast.error(t('matchImport.readError'));
+    }
+  };
+
+  const runPreview = async (nextMapping = mapping) => {
+    if (!leagueId || !content.trim()) return;
+    try {
+      setRunning('preview');
+      const res = await leaguesAPI.previewImport(Number(leagueId), { format, content, mapping: nextMapping });
+      setPreview(res.data);
+      setPreviewStale(false);
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('matchImport.previewError'));
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  const runImport = async () => {
+    try {
+      setRunning('import');
+      const res = await leaguesAPI.importMatches(Number(leagueId), {
+        format,
+        content,
+        mapping,
+        skip_invalid: skipInvalid,
+      });
+      toast.success(t('matchImport.imported', {
+        count: res.data.imported,
+        placeholders: res.data.placeholders_created,
+      }));
+      onImported?.(leagueId);
+      setContent('');
+      setFileName('');
+      resetPreview();
+    } catch (err) {
+      // Rejected imports return a fresh plan, e.g. when the roster changed since the preview
+      if (err.response?.data?.rows) {
+        setPreview((current) => ({ ...current, ...err.response.data }));
+      }
+      toast.error(err.response?.data?.error || t('matchImport.importError'));
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  const changeMapping = (name, value) => {
+    setMapping((current) => ({ ...current, [name]: value === CREATE_PLACEHOLDER ? value : Number(value) }));
+    setPreviewStale(true);
+  };
+
+  const mappingValue = (entry) => {
+    if (mapping[entry.name] !== undefined) return String(mapping[entry.name]);
+    if (entry.status === 'matched') return String(entry.roster_id);
+    if (entry.status === 'create') return CREATE_PLACEHOLDER;
+    return undefined;
+  };
+
+  const summary = preview?.summary;
+  const rows = (preview?.rows || []).filter((row) => !onlyErrors || row.errors.length > 0);
+  const canImport = summary && !previewStale && summary.valid > 0 && (summary.invalid === 0 || skipInvalid);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Upload className="h-5 w-5 mr-2" />
+          {t('matchImport.title')}
+        </CardTitle>
+        <CardDescription>{t('matchImport.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {leagues.length === 0 && (
+          <div className="rounded-md border border-yellow-700/40 bg-yellow-900/10 p-3 text-sm text-yellow-200">
+            {t('matchImport.noLeagues')}
+          </div>
+        )}
+
+        <div className="grid gap-3 sm:grid-cols-2">
+          <div>
+            <div className="text-sm font-medium mb-1">{t('matchImport.league')}</div>
+            <Select value={leagueId || undefined} onValueChange={selectLeague} disabled={leagues.length === 0}>
+              <SelectTrigger className="w-full">
+                <SelectValue placeholder={t('matchImport.selectLeague')} />
+              </SelectTrigger>
+              <SelectContent>
+                {leagues.map((league) => (
+                  <SelectItem key={league.id} value={String(league.id)}>{league.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <div className="text-sm font-medium mb-1">{t('matchImport.format')}</div>
+            <Select value={format} onValueChange={(value) => { setFormat(value); resetPreview(); }}>
+              <SelectTrigger className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="csv">CSV</SelectItem>
+                <SelectItem value="json">JSON</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <Input type="file" accept=".csv,.tsv,.txt,.json" onChange={handleFile} disabled={!leagueId} />
+          {fileName && <p className="text-xs text-gray-400">{t('matchImport.fileLoaded', { name: fileName })}</p>}
+          <Textarea
+            value={content}
+            onChange={(e) => { setContent(e.target.value); setFileName(''); resetPreview(); }}
+            placeholder={t('matchImport.pastePlaceholder')}
+            className="min-h-28 font-mono text-xs"
+            disabled={!leagueId}
+          />
+          <p className="text-xs text-gray-500">{t('matchImport.formatHint')}</p>
+        </div>
+
+        <Button variant="outline" onClick={() => runPreview()} disabled={!leagueId || !content.trim() || running !== null}>
+          {running === 'preview' && <LoadingSpinner className="mr-2 h-4 w-4" />}
+          {preview ? t('matchImport.updatePreview') : t('matchImport.preview')}
+        </Button>
+
+        {summary && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-400">
+              {t('matchImport.summary', {
+                total: summary.total,
+                valid: summary.valid,
+                invalid: summary.invalid,
+                placeholders: summary.placeholders,
+              })}
+            </p>
+
+            {preview.names.length > 0 && (
+              <div className="space-y-2">
+                <h4 className="text-sm font-medium text-gray-300">{t('matchImport.players')}</h4>
+                <div className="max-h-72 overflow-y-auto rounded-md border">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>{t('matchImport.nameInFile')}</TableHead>
+                        <TableHead>{t('matchImport.status')}</TableHead>
+                        <TableHead>{t('matchImport.rosterEntry')}</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {preview.names.map((entry) => (
+                        <TableRow key={entry.key}>
+                          <TableCell>
+                            {entry.name}
+                            <span className="ml-1 text-xs text-gray-500">({entry.rows})</span>
+                          </TableCell>
+                          <TableCell>
+                            <Badge variant={NAME_STATUS_VARIANTS[entry.status]}>
+                              {t(`matchImport.nameStatus.${entry.status}`)}
+                            </Badge>
+                          </TableCell>
+                          <TableCell>
+                            <Select value={mappingValue(entry)} onValueChange={(value) => changeMapping(entry.name, value)}>
+                              <SelectTrigger className="h-8 w-full sm:w-56">
+                                <SelectValue placeholder={t('matchImport.choosePlayer')} />
+                              </SelectTrigger>
+                              <SelectContent>
+                                <SelectItem value={CREATE_PLACEHOLDER}>{t('matchImport.createPlaceholder')}</SelectItem>
+                                {preview.roster.map((member) => (
+                                  <SelectItem key={member.roster_id} value={String(member.roster_id)}>
+                                    {member.display_name}
+                                    {member.username && member.username !== member.display_name ? ` (@${member.username})` : ''}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+                {previewStale && <p className="text-xs text-yellow-300">{t('matchImport.mappingChanged')}</p>}
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <h4 className="text-sm font-medium text-gray-300">{t('matchImport.rows')}</h4>
+                <label className="flex items-center gap-2 text-xs text-gray-400">
+                  <Switch checked={onlyErrors} onCheckedChange={setOnlyErrors} />
+                  {t('matchImport.onlyErrors')}
+                </label>
+              </div>
+              <div className="max-h-80 overflow-y-auto rounded-md border">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-14">{t('matchImport.line')}</TableHead>
+                      <TableHead>{t('matchImport.date')}</TableHead>
+                      <TableHead>{t('matchImport.match')}</TableHead>
+                      <TableHead>{t('matchImport.score')}</TableHead>
+                      <TableHead>{t('matchImport.result')}</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {rows.slice(0, PREVIEW_ROW_LIMIT).map((row) => (
+                      <TableRow key={row.line}>
+                        <TableCell className="tabular-nums text-gray-400">{row.line}</TableCell>
+                        <TableCell className="whitespace-nowrap">{row.played_at ? row.played_at.slice(0, 16) : '–'}</TableCell>
+                        <TableCell>
+                          {formatSide(row.player1, row.player1_partner)}
+                          <span className="mx-1 text-gray-500">{t('matchImport.vs')}</span>
+                          {formatSide(row.player2, row.player2_partner)}
+                        </TableCell>
+                        <TableCell className="whitespace-nowrap tabular-nums">{formatScore(row)}</TableCell>
+                        <TableCell>
+                          {row.errors.length === 0 ? (
+                            <span className="text-green-400">{t('matchImport.ok')}</span>
+                          ) : (
+                            <ul className="text-xs text-red-400">
+                              {row.errors.map((error) => <li key={error}>{error}</li>)}
+                            </ul>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+              {rows.length > PREVIEW_ROW_LIMIT && (
+                <p className="text-xs text-gray-500">{t('matchImport.moreRows', { count: rows.length - PREVIEW_ROW_LIMIT })}</p>
+              )}
+            </div>
+
+            <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+              {summary.invalid > 0 ? (
+                <label className="flex items-center gap-2 text-sm text-gray-300">
+                  <Switch checked={skipInvalid} onCheckedChange={setSkipInvalid} />
+                  {t('matchImport.skipInvalid', { count: summary.invalid })}
+                </label>
+              ) : <span />}
+              <AlertDialog>
+                <AlertDialogTrigger asChild>
+                  <Button disabled={!canImport || running !== null}>
+                    {running === 'import' && <LoadingSpinner className="mr-2 h-4 w-4" />}
+                    {t('matchImport.import', { count: summary.valid })}
+                  </Button>
+                </AlertDialogTrigger>
+                <AlertDialogContent>
+                  <AlertDialogHeader>
+                    <AlertDialogTitle>{t('matchImport.confirmTitle')}</AlertDialogTitle>
+                    <AlertDialogDescription>
+                      {t('matchImport.confirmDesc', { count: summary.valid, placeholders: summary.placeholders })}
+                    </AlertDialogDescription>
+                  </AlertDialogHeader>
+                  <AlertDialogFooter>
+                    <AlertDialogCancel>{t('dialog.cancel')}</AlertDialogCancel>
+                    <AlertDialogAction onClick={runImport}>{t('matchImport.import', { count: summary.valid })}</AlertDialogAction>
+                  </AlertDialogFooter>
+                </AlertDialogContent>
+              </AlertDialog>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MatchImportWizard;
@@ -0,0 +1,121 @@
+import { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { Database } from 'lucide-react';
+import { adminAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+
+/**
+ * Schema migration status for site admins, with a button to apply pending
+ * migrations when the server does not migrate on startup (DB_INIT_SKIP=1)
+ */
+const MigrationStatusPanel = () => {
+  const { t } = useTranslation();
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await adminAPI.getMigrations();
+        setStatus(res.data);
+      } catch (err) {
+        toast.error(err.response?.data?.error || t('migrations.loadError'));
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [t]);
+
+  const apply = async () => {
+    try {
+      setApplying(true);
+      const res = await adminAPI.applyMigrations();
+      setStatus(res.data.status);
+      toast.success(res.data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('migrations.applyError'));
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const modified = status ? status.migrations.filter((entry) => entry.modified) : [];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Database className="h-5 w-5 mr-2" />
+          {t('migrations.title')}
+        </CardTitle>
+        <CardDescription>{t('migrations.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading && <LoadingSpinner />}
+        {status && (
+          <>
+            <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+              <div className="text-sm text-gray-400">
+                {t('migrations.summary', { current: status.current_version, latest: status.latest_version })}
+                {' · '}
+                {status.pending > 0
+                  ? <span className="text-amber-400">{t('migrations.pendingCount', { count: status.pending })}</span>
+                  : t('migrations.upToDate')}
+              </div>
+              <Button onClick={apply} disabled={applying || status.pending === 0}>
+                {applying && <LoadingSpinner className="mr-2 h-4 w-4" />}
+                {t('migrations.apply')}
+              </Button>
+            </div>
+
+            {modified.length > 0 && (
+              <p className="text-sm text-amber-400">
+                {t('migrations.modifiedWarning', { names: modified.map((entry) => entry.id).join(', ') })}
+              </p>
+            )}
+            {status.unknown.length > 0 && (
+              <p className="text-sm text-amber-400">
+                {t('migrations.unknownWarning', { names: status.unknown.map((entry) => `${entry.version} ${entry.name}`).join(', ') })}
+              </p>
+            )}
+
+            <div className="max-h-80 overflow-y-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>{t('migrations.migration')}</TableHead>
+                    <TableHead>{t('migrations.status')}</TableHead>
+                    <TableHead>{t('migrations.appliedAt')}</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {[...status.migrations].reverse().map((entry) => (
+                    <TableRow key={entry.version}>
+                      <TableCell className="font-mono text-xs">{entry.id}</TableCell>
+                      <TableCell>
+                        <Badge variant={entry.status === 'applied' ? 'secondary' : 'outline'}>
+                          {t(`migrations.statuses.${entry.status}`)}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-xs text-gray-400">{entry.applied_at || '—'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+            <p className="text-xs text-gray-500">{t('migrations.cliHint')}</p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MigrationStatusPanel;
@@ -1,6 +1,7 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useAuth } from '@/contexts/AuthContext';
-import { leaguesAPI, matchesAPI } from '@/services/api';
+import { leaguesAPI } from '@/services/api';
+import { submitMatch } from '@/lib/offlineQueue';
 import { toast } from 'sonner';
 import { useTranslation } from 'react-i18next';
 import { ArrowRight, ArrowLeft, Check, Trophy, User } from 'lucide-react';
@@ -145,8 +146,8 @@ export default function MobileQuickMatch({
       if (adminMode && selectedPlayer1) {
         payload.player1_roster_id = selectedPlayer1;
       }
-      await matchesAPI.create(payload);
-      toast.success(t('recordMatch.matchRecordedSuccess'));
+      const { queued } = await submitMatch(payload);
+      toast.success(queued ? t('offline.queued') : t('recordMatch.matchRecordedSuccess'));
       if (onSuccess) onSuccess();
     } catch (err) {
       const msg = err.response?.data?.error || t('recordMatch.failedToRecordMatch');
@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { BellRing } from 'lucide-react';
+import { notificationsAPI } from '@/services/api';
+import { disablePush, enablePush, getPushSubscription, isPushSupported } from '@/lib/push';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Switch } from '@/components/ui/switch';
+
+const GROUPS = ['matches', 'leagues', 'achievements', 'account'];
+
+/**
+ * Which notifications the current user gets in the app, by email and as push
+ * notifications, plus push on/off for this browser
+ */
+const NotificationSettings = () => {
+  const { t } = useTranslation();
+  const [settings, setSettings] = useState(null);
+  const [savingKey, setSavingKey] = useState(null);
+  const [devicePush, setDevicePush] = useState(false);
+  const [pushBusy, setPushBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await notificationsAPI.getPreferences();
+      setSettings(res.data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('notificationSettings.loadError'));
+    }
+  }, [t]);
+
+  useEffect(() => {
+    load();
+    getPushSubscription()
+      .then((subscription) => setDevicePush(!!subscription))
+      .catch(() => setDevicePush(false));
+  }, [load]);
+
+  const toggle = async (type, channel, enabled) => {
+    const key = `${type}:${channel}`;
+    try {
+      setSavingKey(key);
+      const res = await notificationsAPI.updatePreferences([{ type, channel, enabled }]);
+      setSettings(res.data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('notificationSettings.saveError'));
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const toggleDevicePush = async () => {
+    try {
+      setPushBusy(true);
+      if (devicePush) {
+        await disablePush();
+        setDevicePush(false);
+        toast.success(t('notificationSettings.pushDisabled'));
+      } else {
+        await enablePush(settings.push.public_key);
+        setDevicePush(true);
+        toast.success(t('notificationSettings.pushEnabled'));
+      }
+    } catch (err) {
+      if (err.message === 'denied') {
+        toast.error(t('notificationSettings.pushDenied'));
+      } else {
+        toast.error(err.response?.data?.error || t('notificationSettings.pushError'));
+      }
+    } finally {
+      setPushBusy(false);
+    }
+  };
+
+  const pushAvailable = !!settings?.push?.public_key;
+  const channels = (settings?.channels || []).filter((channel) => channel !== 'push' || pushAvailable);
+
+  return (
+    <Card>
+      <CardHeader className="py-3">
+        <CardTitle className="flex items-center">
+          <BellRing className="h-5 w-5 mr-2" />
+          {t('notificationSettings.title')}
+        </CardTitle>
+        <CardDescription>{t('notificationSettings.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="pt-0 space-y-4">
+        {!settings && <LoadingSpinner />}
+        {settings && pushAvailable && (
+          <div className="flex flex-col gap-2 rounded-md border p-3 sm:flex-row sm:items-center sm:justify-between">
+            <div>
+              <p className="text-sm font-medium">{t('notificationSettings.devicePush')}</p>
+              <p className="text-xs text-muted-foreground">
+                {isPushSupported() ? t('notificationSettings.devicePushHint') : t('notificationSettings.pushUnsupported')}
+              </p>
+            </div>
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={toggleDevicePush}
+              disabled={pushBusy || !isPushSupported()}
+            >
+              {pushBusy && <LoadingSpinner size="sm" className="mr-2" />}
+              {devicePush ? t('notificationSettings.disablePush') : t('notificationSettings.enablePush')}
+            </Button>
+          </div>
+        )}
+        {settings && GROUPS.map((group) => {
+          const types = settings.types.filter((entry) => entry.group === group);
+          if (types.length === 0) return null;
+          return (
+            <div key={group} className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-muted-foreground">
+                    <th className="py-1 font-medium">{t(`notificationSettings.groups.${group}`)}</th>
+                    {channels.map((channel) => (
+                      <th key={channel} className="w-16 py-1 text-center font-medium">
+                        {t(`notificationSettings.channels.${channel}`)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-border">
+                  {types.map((entry) => (
+                    <tr key={entry.type}>
+                      <td className="py-2 pr-2">{t(`notificationSettings.types.${entry.type}`)}</td>
+                      {channels.map((channel) => {
+                        const required = entry.required.includes(channel);
+                        return (
+                          <td key={channel} className="py-2 text-center">
+                            <Switch
+                              checked={entry.channels[channel]}
+                              disabled={required || savingKey !== null}
+                              title={required ? t('notificationSettings.required') : undefined}
+                              aria-label={`${t(`notificationSettings.types.${entry.type}`)}: ${t(`notificationSettings.channels.${channel}`)}`}
+                              onCheckedChange={(enabled) => toggle(entry.type, channel, enabled)}
+                            />
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          );
+        })}
+        {settings && <p className="text-xs text-muted-foreground">{t('notificationSettings.emailHint')}</p>}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NotificationSettings;
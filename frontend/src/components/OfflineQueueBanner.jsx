@@ -0,0 +1,68 @@
+import { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { CloudOff, RefreshCw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useOfflineQueue } from '@/hooks/use-offline-queue';
+import { flushQueue } from '@/lib/offlineQueue';
+
+/**
+ * Shows when the device is offline or recorded matches are waiting to be
+ * sent, and sends them once the connection is back
+ */
+export default function OfflineQueueBanner() {
+  const { t } = useTranslation();
+  const { online, pending } = useOfflineQueue();
+  const [sending, setSending] = useState(false);
+
+  const send = async () => {
+    const flush = flushQueue();
+    if (!flush) return;
+    setSending(true);
+    try {
+      const { sent, rejected } = await flush;
+      if (sent > 0) {
+        toast.success(t('offline.sent', { count: sent }));
+      }
+      rejected.forEach((entry) => {
+        toast.error(t('offline.rejected', { error: entry.error || t('recordMatch.failedToRecordMatch') }));
+      });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  useEffect(() => {
+    send();
+    const sendWhenVisible = () => {
+      if (document.visibilityState === 'visible') send();
+    };
+    window.addEventListener('online', send);
+    document.addEventListener('visibilitychange', sendWhenVisible);
+    return () => {
+      window.removeEventListener('online', send);
+      document.removeEventListener('visibilitychange', sendWhenVisible);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  if (online && pending === 0) return null;
+
+  return (
+    <div className="border-b" style={{ background: 'var(--bg-2)', borderColor: 'var(--line-soft)' }}>
+      <div className="tt-container flex items-center gap-3 py-2 text-sm text-[var(--fg-2)]">
+        <CloudOff className="h-4 w-4 shrink-0 text-[var(--accent)]" />
+        <span className="flex-1">
+          {!online && <span className="font-medium text-[var(--fg)]">{t('offline.offline')} </span>}
+          {pending > 0 ? t('offline.pending', { count: pending }) : t('offline.offlineHint')}
+        </span>
+        {online && pending > 0 && (
+          <Button size="sm" variant="outline" onClick={send} disabled={sending}>
+            <RefreshCw className={`h-3.5 w-3.5 mr-1.5 ${sending ? 'animate-spin' : ''}`} />
+            {t('offline.sendNow')}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
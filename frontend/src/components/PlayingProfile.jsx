@@ -0,0 +1,177 @@
+import { useEffect, useMemo, useState, Suspense } from 'react';
+import { useTranslation } from 'react-i18next';
+import { usersAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { getGameTypeById } from '@/constants/gameTypes';
+import lazyWithReload from '@/lib/lazyWithReload';
+
+// Lazy load the chart (with stale-chunk auto-reload)
+const RateBarChart = lazyWithReload(() => import('./RechartsComponents').then((mod) => ({ default: mod.RateBarChart })));
+
+const ALL_LEAGUES = 'all';
+
+const formatMargin = (value) => (value == null ? '–' : value.toFixed(1));
+
+const StatTile = ({ label, value, hint }) => (
+  <div className="rounded-md border border-gray-800 bg-gray-900/40 px-3 py-2">
+    <p className="text-xs text-gray-400">{label}</p>
+    <p className="text-xl font-semibold tabular-nums text-gray-100">{value}</p>
+    {hint ? <p className="text-xs text-gray-500">{hint}</p> : null}
+  </div>
+);
+
+const ChartFallback = () => (
+  <div className="flex items-center justify-center h-48">
+    <LoadingSpinner size="sm" />
+  </div>
+);
+
+/**
+ * Per-set analytics of a user: deuce sets, comebacks, deciding sets, set margins and game types
+ */
+const PlayingProfile = ({ userId }) => {
+  const { t } = useTranslation();
+  const [data, setData] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [leagueId, setLeagueId] = useState(ALL_LEAGUES);
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    const load = async () => {
+      try {
+        setStatus('loading');
+        const res = await usersAPI.getSetAnalytics(userId, {}, { ttlMs: 30000 });
+        if (cancelled) return;
+        setData(res.data);
+        setStatus('loaded');
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Failed to load set analytics', err);
+        setStatus('error');
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const analytics = useMemo(() => {
+    if (!data) return null;
+    if (leagueId === ALL_LEAGUES) return data.overall;
+    return data.by_league.find((entry) => String(entry.league_id) === leagueId) || data.overall;
+  }, [data, leagueId]);
+
+  const situationConfig = useMemo(() => ({
+    win_rate: { label: t('playingProfile.winRate'), color: 'var(--color-chart-2)' },
+  }), [t]);
+
+  const gameTypeConfig = useMemo(() => ({
+    win_rate: { label: t('playingProfile.matchWinRate'), color: 'var(--color-chart-2)' },
+    set_rate: { label: t('playingProfile.setWinRate'), color: 'var(--color-chart-4)' },
+  }), [t]);
+
+  if (status === 'idle' || status === 'loading') {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (status === 'error') {
+    return <p className="text-sm text-red-400">{t('playingProfile.loadError')}</p>;
+  }
+
+  const leagues = data?.by_league || [];
+
+  if (!analytics || analytics.matches === 0) {
+    return <p className="text-center py-8 text-gray-400">{t('playingProfile.noMatches')}</p>;
+  }
+
+  const situationData = [
+    { label: t('playingProfile.situations.matches'), win_rate: analytics.win_rate },
+    { label: t('playingProfile.situations.sets'), win_rate: analytics.set_win_rate },
+    { label: t('playingProfile.situations.deuce'), win_rate: analytics.deuce_sets.win_rate },
+    { label: t('playingProfile.situations.comeback'), win_rate: analytics.comebacks.win_rate },
+    { label: t('playingProfile.situations.deciding'), win_rate: analytics.deciding_sets.win_rate },
+  ];
+
+  const gameTypeData = analytics.by_game_type.map((row) => {
+    const setsPlayed = row.sets_won + row.sets_lost;
+    return {
+      label: getGameTypeById(row.game_type).shortLabel,
+      win_rate: row.win_rate,
+      set_rate: setsPlayed > 0 ? Math.round((row.sets_won / setsPlayed) * 100) : 0,
+    };
+  });
+
+  return (
+    <div className="space-y-4">
+      {leagues.length > 1 && (
+        <Select value={leagueId} onValueChange={setLeagueId}>
+          <SelectTrigger className="w-full sm:w-64 h-8">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_LEAGUES}>{t('playingProfile.allLeagues')}</SelectItem>
+            {leagues.map((league) => (
+              <SelectItem key={league.roster_id} value={String(league.league_id)}>
+                {league.league_name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      )}
+
+      <div className="grid grid-cols-2 gap-2 md:grid-cols-4">
+        <StatTile
+          label={t('playingProfile.deuceSets')}
+          value={`${analytics.deuce_sets.win_rate}%`}
+          hint={t('playingProfile.wonOf', { won: analytics.deuce_sets.won, total: analytics.deuce_sets.played })}
+        />
+        <StatTile
+          label={t('playingProfile.comebacks')}
+          value={analytics.comebacks.won}
+          hint={t('playingProfile.comebacksHint', { total: analytics.comebacks.opportunities })}
+        />
+        <StatTile
+          label={t('playingProfile.decidingSets')}
+          value={`${analytics.deciding_sets.won}–${analytics.deciding_sets.played - analytics.deciding_sets.won}`}
+          hint={`${analytics.deciding_sets.win_rate}%`}
+        />
+        <StatTile
+          label={t('playingProfile.averageMargin')}
+          value={formatMargin(analytics.average_margin.overall)}
+          hint={t('playingProfile.marginHint', {
+            won: formatMargin(analytics.average_margin.won),
+            lost: formatMargin(analytics.average_margin.lost),
+          })}
+        />
+      </div>
+
+      {analytics.sets_played === 0 && (
+        <p className="text-xs text-gray-500">{t('playingProfile.noSets')}</p>
+      )}
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <div>
+          <h4 className="mb-2 text-sm font-medium text-gray-300">{t('playingProfile.bySituation')}</h4>
+          <Suspense fallback={<ChartFallback />}>
+            <RateBarChart chartData={situationData} chartConfig={situationConfig} />
+          </Suspense>
+        </div>
+        <div>
+          <h4 className="mb-2 text-sm font-medium text-gray-300">{t('playingProfile.byGameType')}</h4>
+          <Suspense fallback={<ChartFallback />}>
+            <RateBarChart chartData={gameTypeData} chartConfig={gameTypeConfig} />
+          </Suspense>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PlayingProfile;
@@ -1,4 +1,4 @@
-import { LineChart, Line, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid } from 'recharts';
 import { format } from 'date-fns';
 import { ChartContainer, ChartLegend, ChartLegendContent, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart';
 
@@ -55,4 +55,34 @@ const RechartsComponents = ({
   );
 };
 
+// Grouped bars per category; one series per chartConfig key (values in percent by default)
+export const RateBarChart = ({
+  chartData,
+  chartConfig,
+  categoryKey = 'label',
+  yDomain = [0, 100],
+  unit = '%',
+}) => {
+  return (
+    <ChartContainer className="h-48 w-full" config={chartConfig}>
+      <BarChart data={chartData} margin={{ top: 10, right: 16, left: 0, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" vertical={false} />
+        <XAxis dataKey={categoryKey} tickLine={false} axisLine={false} interval={0} />
+        <YAxis
+          tickLine={false}
+          axisLine={false}
+          width={40}
+          tickFormatter={(value) => `${value}${unit}`}
+          domain={yDomain === null ? undefined : yDomain}
+        />
+        <ChartTooltip cursor={false} content={<ChartTooltipContent />} />
+        <ChartLegend content={<ChartLegendContent />} />
+        {Object.keys(chartConfig).map((key) => (
+          <Bar key={key} dataKey={key} fill={`var(--color-${key})`} radius={3} />
+        ))}
+      </BarChart>
+    </ChartContainer>
+  );
+};
+
 export default RechartsComponents;
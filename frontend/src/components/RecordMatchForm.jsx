@@ -4,6 +4,7 @@ import { z } from 'zod';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { useAuth } from '@/contexts/AuthContext';
 import { leaguesAPI, matchesAPI } from '@/services/api';
+import { submitMatch } from '@/lib/offlineQueue';
 import { toast } from 'sonner';
 
 import { Button } from '@/components/ui/button';
@@ -34,6 +35,8 @@ const schema = z.object({
   league_id: z.coerce.number().int().positive({ message: 'Select a league' }),
   player1_roster_id: z.coerce.number().int().positive().optional(),
   player2_roster_id: z.coerce.number().int().positive({ message: 'Select an opponent' }),
+  player1_partner_roster_id: z.coerce.number().int().positive().optional(),
+  player2_partner_roster_id: z.coerce.number().int().positive().optional(),
   game_type: z.enum(['best_of_1', 'best_of_3', 'best_of_5', 'best_of_7']),
   player1_sets_won: z.coerce.number().int().min(0).max(4),
   player2_sets_won: z.coerce.number().int().min(0).max(4),
@@ -51,6 +54,7 @@ export default function RecordMatchForm({
   onSuccess,
   leagueName,
   allowAdminMatchForOthers = false,
+  fixedPairing = null,
 }) {
   const { t } = useTranslation();
   const { user } = useAuth();
@@ -61,6 +65,7 @@ export default function RecordMatchForm({
   const [loadingMembers, setLoadingMembers] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const [adminMode, setAdminMode] = useState(false);
+  const [doubles, setDoubles] = useState(false);
 
   const [eloPreview, setEloPreview] = useState(null);
   const [gameTypeValue, setGameTypeValue] = useState('best_of_3');
@@ -88,6 +93,8 @@ export default function RecordMatchForm({
       league_id: initialLeagueId || undefined,
       player1_roster_id: undefined,
       player2_roster_id: undefined,
+      player1_partner_roster_id: undefined,
+      player2_partner_roster_id: undefined,
       game_type: 'best_of_3',
       player1_sets_won: 2,
       player2_sets_won: 1,
@@ -138,6 +145,36 @@ export default function RecordMatchForm({
     }
   }, [adminMode, form, selfRoster?.roster_id]);
 
+  useEffect(() => {
+    if (!doubles) {
+      form.setValue('player1_partner_roster_id', undefined);
+      form.setValue('player2_partner_roster_id', undefined);
+    }
+  }, [doubles, form]);
+
+  // Partners must differ from everyone else on court (including yourself when recording as player 1)
+  const selectedRosterIds = form.watch(['player1_roster_id', 'player2_roster_id', 'player1_partner_roster_id', 'player2_partner_roster_id']);
+  const partnerOptions = (fieldIndex) => members.filter((member) => {
+    if (!adminMode && member.user_id === me?.id) return false;
+    return !selectedRosterIds.some((rosterId, index) => index !== fieldIndex && rosterId === member.roster_id);
+  });
+
+  // Bracket matches and fixtures come with fixed players: participants record as
+  // themselves, league admins record on behalf of both players.
+  useEffect(() => {
+    if (!fixedPairing || members.length === 0) return;
+    const { player1_roster_id: p1, player2_roster_id: p2 } = fixedPairing;
+    const selfRosterId = selfRoster?.roster_id;
+    if (selfRosterId && (selfRosterId === p1 || selfRosterId === p2)) {
+      setAdminMode(false);
+      form.setValue('player2_roster_id', selfRosterId === p1 ? p2 : p1, { shouldValidate: true });
+    } else if (allowAdminMatchForOthers) {
+      setAdminMode(true);
+      form.setValue('player1_roster_id', p1, { shouldValidate: true });
+      form.setValue('player2_roster_id', p2, { shouldValidate: true });
+    }
+  }, [fixedPairing, members.length, selfRoster?.roster_id, allowAdminMatchForOthers, form]);
+
   // Local state: per-set points for each played set (auto totals)
   const [setScores, setSetScores] = useState([{ p1: 0, p2: 0 }, { p1: 0, p2: 0 }, { p1: 0, p2: 0 }]);
 
@@ -284,11 +321,17 @@ export default function RecordMatchForm({
           player2_sets_won,
           player1_points_total,
           player2_points_total,
+          player1_partner_roster_id,
+          player2_partner_roster_id,
         } = values;
         if (!league_id || !player2_roster_id || player1_sets_won == null || player2_sets_won == null) {
           setEloPreview(null);
           return;
         }
+        if (doubles && (!player1_partner_roster_id || !player2_partner_roster_id)) {
+          setEloPreview(null);
+          return;
+        }
         if (adminMode && !player1_roster_id) {
           setEloPreview(null);
           return;
@@ -305,6 +348,11 @@ export default function RecordMatchForm({
           if (adminMode) {
             payload.player1_roster_id = player1_roster_id;
           }
+          if (doubles) {
+            payload.is_doubles = true;
+            payload.player1_partner_roster_id = player1_partner_roster_id;
+            payload.player2_partner_roster_id = player2_partner_roster_id;
+          }
           const { data } = await matchesAPI.previewElo(payload);
           setEloPreview(data);
         } catch {
@@ -313,7 +361,7 @@ export default function RecordMatchForm({
       }, 300);
     });
     return () => subscription.unsubscribe();
-  }, [adminMode, form]);
+  }, [adminMode, doubles, form]);
 
   const onSubmit = async (values) => {
     try {
@@ -331,6 +379,11 @@ export default function RecordMatchForm({
           return;
         }
       }
+      if (doubles && (!values.player1_partner_roster_id || !values.player2_partner_roster_id)) {
+        form.setError('player2_partner_roster_id', { type: 'manual', message: t('recordMatch.selectPartners') });
+        setSubmitting(false);
+        return;
+      }
       const payload = {
         league_id: values.league_id,
         player2_roster_id: values.player2_roster_id,
@@ -344,14 +397,25 @@ export default function RecordMatchForm({
       if (adminMode) {
         payload.player1_roster_id = values.player1_roster_id;
       }
+      if (doubles) {
+        payload.is_doubles = true;
+        payload.player1_partner_roster_id = values.player1_partner_roster_id;
+        payload.player2_partner_roster_id = values.player2_partner_roster_id;
+      }
+      if (fixedPairing?.tournament_match_id) {
+        payload.tournament_match_id = fixedPairing.tournament_match_id;
+      }
+      if (fixedPairing?.fixture_id) {
+        payload.fixture_id = fixedPairing.fixture_id;
+      }
       const nonEmptySets = setScores
         .filter((s) => Number(s.p1) > 0 || Number(s.p2) > 0)
         .map((s) => ({ player1_score: Number(s.p1) || 0, player2_score: Number(s.p2) || 0 }));
       if (nonEmptySets.length > 0) {
         payload.sets = nonEmptySets;
       }
-      await matchesAPI.create(payload);
-      toast.success(t('recordMatch.matchRecordedSuccess'));
+      const { queued } = await submitMatch(payload);
+      toast.success(queued ? t('offline.queued') : t('recordMatch.matchRecordedSuccess'));
       if (onSuccess) {
         onSuccess();
       }
@@ -363,6 +427,44 @@ export default function RecordMatchForm({
     }
   };
 
+  const renderPartnerField = (name, fieldIndex, label) => (
+    <FormField
+      name={name}
+      control={form.control}
+      render={({ field }) => {
+        const options = partnerOptions(fieldIndex);
+        return (
+          <FormItem>
+            <FormLabel>{label}</FormLabel>
+            <FormControl>
+              <Select
+                value={field.value?.toString()}
+                onValueChange={(v) => field.onChange(Number(v))}
+                disabled={!form.getValues('league_id') || loadingMembers}
+              >
+                <SelectTrigger className="w-full">
+                  <SelectValue placeholder={t('recordMatch.selectPartner')} />
+                </SelectTrigger>
+                <SelectContent>
+                  {options.length === 0 ? (
+                    <SelectItem disabled value="0">{t('recordMatch.noMembers')}</SelectItem>
+                  ) : (
+                    options.map((m) => (
+                      <SelectItem key={m.roster_id} value={String(m.roster_id)}>
+                        {m.display_name}
+                      </SelectItem>
+                    ))
+                  )}
+                </SelectContent>
+              </Select>
+            </FormControl>
+            <FormMessage />
+          </FormItem>
+        );
+      }}
+    />
+  );
+
   return (
     <Form {...form}>
       <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-4">
@@ -406,7 +508,7 @@ export default function RecordMatchForm({
           </div>
         )}
 
-        {allowAdminMatchForOthers && (
+        {allowAdminMatchForOthers && !fixedPairing && (
           <div className="flex items-center justify-between rounded-md border border-gray-700 bg-gray-900/40 px-3 py-2">
             <div>
               <div className="text-sm text-gray-200">Record match for others</div>
@@ -416,6 +518,16 @@ export default function RecordMatchForm({
           </div>
         )}
 
+        {!fixedPairing && (
+          <div className="flex items-center justify-between rounded-md border border-gray-700 bg-gray-900/40 px-3 py-2">
+            <div>
+              <div className="text-sm text-gray-200">{t('recordMatch.doublesLabel')}</div>
+              <div className="text-xs text-gray-500">{t('recordMatch.doublesHint')}</div>
+            </div>
+            <Switch checked={doubles} onCheckedChange={setDoubles} />
+          </div>
+        )}
+
         {adminMode && (
           <FormField
             name="player1_roster_id"
@@ -464,6 +576,12 @@ export default function RecordMatchForm({
           />
         )}
 
+        {doubles && renderPartnerField(
+          'player1_partner_roster_id',
+          2,
+          adminMode ? t('recordMatch.player1PartnerLabel') : t('recordMatch.partnerLabel')
+        )}
+
         {/* Opponent selector */}
         <FormField
           name="player2_roster_id"
@@ -514,6 +632,12 @@ export default function RecordMatchForm({
           }}
         />
 
+        {doubles && renderPartnerField(
+          'player2_partner_roster_id',
+          3,
+          adminMode ? t('recordMatch.player2PartnerLabel') : t('recordMatch.opponentPartnerLabel')
+        )}
+
         {/* Game type */}
         <FormField
           name="game_type"
@@ -678,7 +802,11 @@ export default function RecordMatchForm({
           ) : (
             <div className="grid gap-2 md:grid-cols-2">
               <div>
-                <div className="text-muted-foreground">{t('recordMatch.you')}{me?.username ? ` (${me.username})` : ''}</div>
+                <div className="text-muted-foreground">
+                  {eloPreview.is_doubles
+                    ? t('recordMatch.yourTeam')
+                    : <>{t('recordMatch.you')}{me?.username ? ` (${me.username})` : ''}</>}
+                </div>
                 <div>
                   {eloPreview.current_elos?.player1} → {eloPreview.new_elos?.player1}{' '}
                   <span className={(() => {
@@ -688,9 +816,16 @@ export default function RecordMatchForm({
                     ({eloPreview.changes?.player1 >= 0 ? '+' : ''}{eloPreview.changes?.player1})
                   </span>
                 </div>
+                {eloPreview.uncertainty?.player1 ? (
+                  <div className="text-xs text-muted-foreground">
+                    ±{Math.round(eloPreview.uncertainty.player1.before)} → ±{Math.round(eloPreview.uncertainty.player1.after)}
+                  </div>
+                ) : null}
               </div>
               <div>
-                <div className="text-muted-foreground">{t('recordMatch.opponent')}</div>
+                <div className="text-muted-foreground">
+                  {eloPreview.is_doubles ? t('recordMatch.opponentTeam') : t('recordMatch.opponent')}
+                </div>
                 <div>
                   {eloPreview.current_elos?.player2} → {eloPreview.new_elos?.player2}{' '}
                   <span className={(() => {
@@ -700,6 +835,11 @@ export default function RecordMatchForm({
                     ({eloPreview.changes?.player2 >= 0 ? '+' : ''}{eloPreview.changes?.player2})
                   </span>
                 </div>
+                {eloPreview.uncertainty?.player2 ? (
+                  <div className="text-xs text-muted-foreground">
+                    ±{Math.round(eloPreview.uncertainty.player2.before)} → ±{Math.round(eloPreview.uncertainty.player2.after)}
+                  </div>
+                ) : null}
               </div>
             </div>
           )}
@@ -0,0 +1,58 @@
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { Copy, Download } from 'lucide-react';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+
+/**
+ * Freshly issued two-factor recovery codes; the server only shows them once
+ */
+const RecoveryCodesList = ({ codes }) => {
+  const { t } = useTranslation();
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success(t('twoFactor.recovery.copied'));
+    } catch {
+      toast.error(t('twoFactor.recovery.copyError'));
+    }
+  };
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'tt-leagues-recovery-codes.txt';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-medium">{t('twoFactor.recovery.title')}</h4>
+      <Alert>
+        <AlertDescription>{t('twoFactor.recovery.hint')}</AlertDescription>
+      </Alert>
+      <ul className="grid grid-cols-2 gap-x-6 gap-y-1 rounded-md border border-border p-3 font-mono text-sm">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <Button type="button" size="sm" variant="outline" onClick={copy}>
+          <Copy className="h-4 w-4 mr-2" />
+          {t('twoFactor.recovery.copy')}
+        </Button>
+        <Button type="button" size="sm" variant="outline" onClick={download}>
+          <Download className="h-4 w-4 mr-2" />
+          {t('twoFactor.recovery.download')}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodesList;
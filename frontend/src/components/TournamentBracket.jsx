@@ -0,0 +1,398 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { Trophy, Trash2 } from 'lucide-react';
+import { leaguesAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from '@/components/ui/alert-dialog';
+import RecordMatchForm from '@/components/RecordMatchForm';
+
+const BRACKET_ORDER = ['winners', 'losers', 'grand_final'];
+const NO_BADGE = 'none';
+
+// Groups bracket matches into { bracket: [[round 1 matches], [round 2 matches], ...] }
+const groupBracket = (matches) => {
+  const grouped = {};
+  matches.forEach((match) => {
+    if (match.status === 'skipped') return;
+    const rounds = grouped[match.bracket] || (grouped[match.bracket] = new Map());
+    if (!rounds.has(match.round)) rounds.set(match.round, []);
+    rounds.get(match.round).push(match);
+  });
+  return BRACKET_ORDER
+    .filter((bracket) => grouped[bracket])
+    .map((bracket) => ({
+      bracket,
+      rounds: Array.from(grouped[bracket].entries())
+        .sort(([a], [b]) => a - b)
+        .map(([round, items]) => ({ round, items: items.sort((a, b) => a.position - b.position) })),
+    }));
+};
+
+const TournamentBracket = ({ leagueId, leagueName, canManage, userRosterId, badges = [], onMatchRecorded }) => {
+  const { t } = useTranslation();
+  const [tournaments, setTournaments] = useState([]);
+  const [status, setStatus] = useState('idle');
+  const [selectedId, setSelectedId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [detailStatus, setDetailStatus] = useState('idle');
+  const [recordingMatch, setRecordingMatch] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [newFormat, setNewFormat] = useState('single_elimination');
+  const [newBadgeId, setNewBadgeId] = useState(NO_BADGE);
+  const [creating, setCreating] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+
+  const tournamentBadges = useMemo(
+    () => badges.filter((badge) => badge.badge_type === 'tournament_winner'),
+    [badges]
+  );
+
+  const fetchTournaments = useCallback(async () => {
+    try {
+      setStatus('loading');
+      const res = await leaguesAPI.getTournaments(leagueId);
+      const items = res.data?.tournaments || [];
+      setTournaments(items);
+      setSelectedId((prev) => (items.some((item) => item.id === prev) ? prev : items[0]?.id ?? null));
+      setStatus('loaded');
+    } catch (err) {
+      console.error('Failed to load tournaments', err);
+      setStatus('error');
+    }
+  }, [leagueId]);
+
+  const fetchDetail = useCallback(async (tournamentId) => {
+    try {
+      setDetailStatus('loading');
+      const res = await leaguesAPI.getTournament(leagueId, tournamentId);
+      setDetail(res.data);
+      setDetailStatus('loaded');
+    } catch (err) {
+      console.error('Failed to load tournament', err);
+      setDetail(null);
+      setDetailStatus('error');
+    }
+  }, [leagueId]);
+
+  useEffect(() => {
+    if (!leagueId) return;
+    fetchTournaments();
+  }, [leagueId, fetchTournaments]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setDetail(null);
+      setDetailStatus('idle');
+      return;
+    }
+    fetchDetail(selectedId);
+  }, [selectedId, fetchDetail]);
+
+  const participantsById = useMemo(() => {
+    const map = new Map();
+    (detail?.participants || []).forEach((participant) => map.set(participant.roster_id, participant));
+    return map;
+  }, [detail]);
+
+  const bracketGroups = useMemo(() => groupBracket(detail?.matches || []), [detail]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) {
+      toast.error(t('tournaments.nameRequired'));
+      return;
+    }
+    try {
+      setCreating(true);
+      const payload = { name, format: newFormat };
+      if (newBadgeId !== NO_BADGE) payload.award_badge_id = Number(newBadgeId);
+      const res = await leaguesAPI.createTournament(leagueId, payload);
+      toast.success(t('tournaments.created'));
+      setNewName('');
+      await fetchTournaments();
+      if (res.data?.tournament?.id) setSelectedId(res.data.tournament.id);
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('tournaments.createError'));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedId) return;
+    try {
+      setDeleting(true);
+      await leaguesAPI.deleteTournament(leagueId, selectedId);
+      toast.success(t('tournaments.deleted'));
+      setSelectedId(null);
+      await fetchTournaments();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('tournaments.deleteError'));
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const getRoundLabel = (bracket, round, roundCount) => {
+    if (bracket === 'grand_final') return round === 1 ? t('tournaments.grandFinal') : t('tournaments.reset');
+    if (bracket === 'winners' && round === roundCount && detail?.tournament?.format === 'single_elimination') {
+      return t('tournaments.final');
+    }
+    return t('tournaments.round', { round });
+  };
+
+  const getBracketLabel = (bracket) => {
+    if (bracket === 'winners') return t('tournaments.winnersBracket');
+    if (bracket === 'losers') return t('tournaments.losersBracket');
+    return t('tournaments.grandFinal');
+  };
+
+  const canRecord = (match) => (
+    match.status === 'ready'
+    && !match.match_id
+    && detail?.tournament?.status === 'active'
+    && (canManage || (userRosterId && (match.player1_roster_id === userRosterId || match.player2_roster_id === userRosterId)))
+  );
+
+  const renderSlot = (match, rosterId) => {
+    const participant = rosterId ? participantsById.get(rosterId) : null;
+    const isWinner = rosterId && match.winner_roster_id === rosterId;
+    let label = t('tournaments.tbd');
+    if (participant) {
+      label = participant.display_name;
+    } else if (match.status === 'bye') {
+      label = t('tournaments.bye');
+    }
+    return (
+      <div
+        className={`flex items-center justify-between gap-2 px-2 py-1 text-xs ${isWinner ? 'font-semibold text-gray-100' : 'text-gray-400'}`}
+      >
+        <span className="truncate">
+          {participant ? <span className="mr-1 text-gray-500">{participant.seed}</span> : null}
+          {label}
+        </span>
+        {isWinner ? <Trophy className="h-3 w-3 shrink-0 text-yellow-400" /> : null}
+      </div>
+    );
+  };
+
+  if (status === 'loaded' && tournaments.length === 0 && !canManage) {
+    return null;
+  }
+
+  return (
+    <Card className="vg-card min-w-0 overflow-hidden">
+      <CardHeader className="py-4">
+        <CardTitle className="cyberpunk-subtitle text-lg">{t('tournaments.title')}</CardTitle>
+        <CardDescription className="text-gray-400">{t('tournaments.subtitle')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {status === 'loading' || status === 'idle' ? (
+          <div className="flex items-center justify-center py-4">
+            <LoadingSpinner size="sm" />
+          </div>
+        ) : status === 'error' ? (
+          <p className="text-sm text-red-400">{t('tournaments.loadError')}</p>
+        ) : tournaments.length === 0 ? (
+          <p className="text-sm text-gray-400">{t('tournaments.none')}</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-2">
+              <Select value={selectedId ? String(selectedId) : undefined} onValueChange={(v) => setSelectedId(Number(v))}>
+                <SelectTrigger className="w-full sm:w-72">
+                  <SelectValue placeholder={t('tournaments.select')} />
+                </SelectTrigger>
+                <SelectContent>
+                  {tournaments.map((tournament) => (
+                    <SelectItem key={tournament.id} value={String(tournament.id)}>
+                      {tournament.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {detail?.tournament ? (
+                <>
+                  <Badge variant="outline">
+                    {detail.tournament.format === 'double_elimination'
+                      ? t('tournaments.doubleElimination')
+                      : t('tournaments.singleElimination')}
+                  </Badge>
+                  <Badge variant={detail.tournament.status === 'completed' ? 'default' : 'secondary'}>
+                    {detail.tournament.status === 'completed' ? t('tournaments.completed') : t('tournaments.active')}
+                  </Badge>
+                </>
+              ) : null}
+              {canManage && selectedId ? (
+                <AlertDialog>
+                  <AlertDialogTrigger asChild>
+                    <Button variant="ghost" size="sm" className="ml-auto text-red-400" disabled={deleting}>
+                      <Trash2 className="h-4 w-4" />
+                      <span className="sr-only">{t('tournaments.delete')}</span>
+                    </Button>
+                  </AlertDialogTrigger>
+                  <AlertDialogContent>
+                    <AlertDialogHeader>
+                      <AlertDialogTitle>{t('tournaments.deleteConfirmTitle')}</AlertDialogTitle>
+                      <AlertDialogDescription>{t('tournaments.deleteConfirmDesc')}</AlertDialogDescription>
+                    </AlertDialogHeader>
+                    <AlertDialogFooter>
+                      <AlertDialogCancel>{t('dialog.cancel')}</AlertDialogCancel>
+                      <AlertDialogAction onClick={handleDelete}>{t('tournaments.delete')}</AlertDialogAction>
+                    </AlertDialogFooter>
+                  </AlertDialogContent>
+                </AlertDialog>
+              ) : null}
+            </div>
+
+            {detail?.tournament?.champion_display_name ? (
+              <div className="flex items-center gap-2 text-sm text-yellow-300">
+                <Trophy className="h-4 w-4" />
+                {t('tournaments.champion', { name: detail.tournament.champion_display_name })}
+              </div>
+            ) : null}
+
+            {detailStatus === 'loading' ? (
+              <div className="flex items-center justify-center py-4">
+                <LoadingSpinner size="sm" />
+              </div>
+            ) : detailStatus === 'error' ? (
+              <p className="text-sm text-red-400">{t('tournaments.loadError')}</p>
+            ) : (
+              bracketGroups.map(({ bracket, rounds }) => (
+                <div key={bracket} className="space-y-2">
+                  {detail?.tournament?.format === 'double_elimination' ? (
+                    <h4 className="text-sm font-medium text-gray-300">{getBracketLabel(bracket)}</h4>
+                  ) : null}
+                  <div className="flex gap-4 overflow-x-auto pb-2">
+                    {rounds.map(({ round, items }) => (
+                      <div key={round} className="flex min-w-[11rem] flex-col justify-around gap-3">
+                        <div className="text-[11px] uppercase tracking-wide text-gray-500">
+                          {getRoundLabel(bracket, round, rounds.length)}
+                        </div>
+                        {items.map((match) => (
+                          <div
+                            key={match.match_key}
+                            className={`rounded border bg-gray-900/40 ${match.status === 'ready' ? 'border-blue-700/60' : 'border-gray-800'}`}
+                          >
+                            {renderSlot(match, match.player1_roster_id)}
+                            <div className="border-t border-gray-800" />
+                            {renderSlot(match, match.player2_roster_id)}
+                            {canRecord(match) ? (
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                className="h-7 w-full rounded-none border-t border-gray-800 text-xs"
+                                onClick={() => setRecordingMatch(match)}
+                              >
+                                {t('tournaments.recordResult')}
+                              </Button>
+                            ) : null}
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))
+            )}
+          </>
+        )}
+
+        {canManage ? (
+          <form className="space-y-2 border-t border-gray-800 pt-4" onSubmit={handleCreate}>
+            <h4 className="text-sm font-medium text-gray-300">{t('tournaments.create')}</h4>
+            <Input
+              placeholder={t('tournaments.namePlaceholder')}
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              maxLength={100}
+              disabled={creating}
+            />
+            <div className="grid gap-2 sm:grid-cols-2">
+              <Select value={newFormat} onValueChange={setNewFormat}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="single_elimination">{t('tournaments.singleElimination')}</SelectItem>
+                  <SelectItem value="double_elimination">{t('tournaments.doubleElimination')}</SelectItem>
+                </SelectContent>
+              </Select>
+              <Select value={newBadgeId} onValueChange={setNewBadgeId}>
+                <SelectTrigger className="w-full">
+                  <SelectValue placeholder={t('tournaments.awardBadge')} />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NO_BADGE}>{t('tournaments.noBadge')}</SelectItem>
+                  {tournamentBadges.map((badge) => (
+                    <SelectItem key={badge.id} value={String(badge.id)}>
+                      {badge.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <p className="text-xs text-gray-500">{t('tournaments.participantsHint')}</p>
+            <Button type="submit" size="sm" className="w-full" disabled={creating}>
+              {creating ? t('status.creating') : t('tournaments.create')}
+            </Button>
+          </form>
+        ) : null}
+      </CardContent>
+
+      <Dialog open={!!recordingMatch} onOpenChange={(open) => { if (!open) setRecordingMatch(null); }}>
+        <DialogContent className="max-h-[90vh] overflow-y-auto bg-gray-900 border-2 border-gray-700">
+          <DialogHeader>
+            <DialogTitle>{t('tournaments.recordResultTitle')}</DialogTitle>
+            <DialogDescription>{detail?.tournament?.name}</DialogDescription>
+          </DialogHeader>
+          {recordingMatch ? (
+            <RecordMatchForm
+              initialLeagueId={Number(leagueId)}
+              hideLeagueSelector={true}
+              leagueName={leagueName}
+              allowAdminMatchForOthers={canManage}
+              fixedPairing={{
+                player1_roster_id: recordingMatch.player1_roster_id,
+                player2_roster_id: recordingMatch.player2_roster_id,
+                tournament_match_id: recordingMatch.id,
+              }}
+              onSuccess={() => {
+                setRecordingMatch(null);
+                if (selectedId) fetchDetail(selectedId);
+                fetchTournaments();
+                if (onMatchRecorded) onMatchRecorded();
+              }}
+            />
+          ) : null}
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default TournamentBracket;
@@ -0,0 +1,35 @@
+import { REGEXP_ONLY_DIGITS } from 'input-otp';
+import { InputOTP, InputOTPGroup, InputOTPSeparator, InputOTPSlot } from '@/components/ui/input-otp';
+
+/**
+ * Six-digit authenticator code entry; calls onComplete once all digits are in
+ */
+const TwoFactorCodeInput = ({ id, value, onChange, onComplete, disabled = false, autoFocus = false }) => (
+  <InputOTP
+    id={id}
+    maxLength={6}
+    pattern={REGEXP_ONLY_DIGITS}
+    inputMode="numeric"
+    autoComplete="one-time-code"
+    value={value}
+    onChange={onChange}
+    onComplete={onComplete}
+    disabled={disabled}
+    autoFocus={autoFocus}
+    containerClassName="justify-center"
+  >
+    <InputOTPGroup>
+      <InputOTPSlot index={0} />
+      <InputOTPSlot index={1} />
+      <InputOTPSlot index={2} />
+    </InputOTPGroup>
+    <InputOTPSeparator />
+    <InputOTPGroup>
+      <InputOTPSlot index={3} />
+      <InputOTPSlot index={4} />
+      <InputOTPSlot index={5} />
+    </InputOTPGroup>
+  </InputOTP>
+);
+
+export default TwoFactorCodeInput;
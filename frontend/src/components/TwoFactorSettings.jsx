@@ -0,0 +1,240 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import { ShieldCheck } from 'lucide-react';
+import { authAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import TwoFactorCodeInput from '@/components/TwoFactorCodeInput';
+import TwoFactorSetup from '@/components/TwoFactorSetup';
+import RecoveryCodesList from '@/components/RecoveryCodesList';
+
+// Recovery codes left before the card suggests making new ones
+const LOW_RECOVERY_CODES = 3;
+
+/**
+ * Two-factor authentication settings of the current user: turn it on or off
+ * and replace recovery codes
+ */
+const TwoFactorSettings = () => {
+  const { t } = useTranslation();
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // null, 'setup', 'disable' or 'regenerate'
+  const [mode, setMode] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [newCodes, setNewCodes] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await authAPI.getTwoFactorStatus();
+      setStatus(res.data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('twoFactor.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const openMode = (next) => {
+    setMode(next);
+    setPassword('');
+    setCode('');
+    setRecoveryCode('');
+    setUseRecovery(false);
+    setNewCodes(null);
+  };
+
+  const handleEnabled = () => {
+    toast.success(t('twoFactor.enabledToast'));
+    openMode(null);
+    load();
+  };
+
+  const disable = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      await authAPI.disableTwoFactor({
+        password,
+        ...(useRecovery ? { recovery_code: recoveryCode } : { code }),
+      });
+      toast.success(t('twoFactor.disabledToast'));
+      openMode(null);
+      load();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('twoFactor.disableError'));
+      setCode('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const regenerate = async (e) => {
+    e?.preventDefault();
+    try {
+      setBusy(true);
+      const res = await authAPI.regenerateRecoveryCodes(code);
+      setNewCodes(res.data.recovery_codes);
+      load();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('twoFactor.regenerateError'));
+      setCode('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const codeReady = useRecovery ? recoveryCode.trim().length > 0 : code.length === 6;
+
+  return (
+    <Card>
+      <CardHeader className="py-3">
+        <CardTitle className="flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5" />
+          {t('twoFactor.title')}
+          {status && (
+            <Badge variant={status.enabled ? 'default' : 'secondary'}>
+              {status.enabled ? t('twoFactor.on') : t('twoFactor.off')}
+            </Badge>
+          )}
+        </CardTitle>
+        <CardDescription>{t('twoFactor.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="pt-0 space-y-3">
+        {loading && <LoadingSpinner />}
+
+        {status && !status.enabled && (
+          <>
+            {status.required && (
+              <Alert variant="destructive">
+                <AlertDescription>{t('twoFactor.setupRequired')}</AlertDescription>
+              </Alert>
+            )}
+            {mode === 'setup' ? (
+              <TwoFactorSetup onEnabled={handleEnabled} onCancel={() => openMode(null)} />
+            ) : (
+              <Button size="sm" onClick={() => openMode('setup')}>
+                {t('twoFactor.enable')}
+              </Button>
+            )}
+          </>
+        )}
+
+        {status?.enabled && (
+          <>
+            <p className="text-sm text-muted-foreground">
+              {t('twoFactor.enabledSince', { date: new Date(status.enabled_at).toLocaleDateString() })}
+              {' · '}
+              {t('twoFactor.recoveryRemaining', { count: status.recovery_codes_remaining })}
+            </p>
+            {status.recovery_codes_remaining <= LOW_RECOVERY_CODES && !newCodes && (
+              <Alert>
+                <AlertDescription>{t('twoFactor.recoveryLow')}</AlertDescription>
+              </Alert>
+            )}
+
+            {mode === null && (
+              <div className="flex flex-wrap gap-2">
+                <Button size="sm" variant="outline" onClick={() => openMode('regenerate')}>
+                  {t('twoFactor.newCodes')}
+                </Button>
+                {status.required ? (
+                  <p className="text-xs text-muted-foreground self-center">{t('twoFactor.requiredNotice')}</p>
+                ) : (
+                  <Button size="sm" variant="destructive" onClick={() => openMode('disable')}>
+                    {t('twoFactor.disable')}
+                  </Button>
+                )}
+              </div>
+            )}
+
+            {mode === 'regenerate' && (newCodes ? (
+              <div className="space-y-3">
+                <RecoveryCodesList codes={newCodes} />
+                <Button size="sm" onClick={() => openMode(null)}>
+                  {t('twoFactor.recovery.saved')}
+                </Button>
+              </div>
+            ) : (
+              <form onSubmit={regenerate} className="space-y-3">
+                <p className="text-sm">{t('twoFactor.regenerateHint')}</p>
+                <TwoFactorCodeInput value={code} onChange={setCode} disabled={busy} autoFocus />
+                <div className="flex gap-2">
+                  <Button type="submit" size="sm" disabled={busy || code.length !== 6}>
+                    {busy && <LoadingSpinner size="sm" className="mr-2" />}
+                    {t('twoFactor.confirmRegenerate')}
+                  </Button>
+                  <Button type="button" size="sm" variant="outline" onClick={() => openMode(null)} disabled={busy}>
+                    {t('twoFactor.cancel')}
+                  </Button>
+                </div>
+              </form>
+            ))}
+
+            {mode === 'disable' && (
+              <form onSubmit={disable} className="space-y-3">
+                <p className="text-sm">{t('twoFactor.disableHint')}</p>
+                <div className="space-y-1.5">
+                  <Label htmlFor="two-factor-password">{t('twoFactor.password')}</Label>
+                  <Input
+                    id="two-factor-password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="current-password"
+                    required
+                  />
+                </div>
+                {useRecovery ? (
+                  <div className="space-y-1.5">
+                    <Label htmlFor="two-factor-recovery">{t('twoFactor.recoveryCode')}</Label>
+                    <Input
+                      id="two-factor-recovery"
+                      value={recoveryCode}
+                      onChange={(e) => setRecoveryCode(e.target.value)}
+                      autoComplete="off"
+                      className="font-mono"
+                    />
+                  </div>
+                ) : (
+                  <div className="space-y-1.5">
+                    <Label>{t('twoFactor.code')}</Label>
+                    <TwoFactorCodeInput value={code} onChange={setCode} disabled={busy} />
+                  </div>
+                )}
+                <Button type="button" variant="link" size="sm" className="px-0" onClick={() => setUseRecovery(!useRecovery)}>
+                  {useRecovery ? t('twoFactor.useAuthenticator') : t('twoFactor.useRecoveryCode')}
+                </Button>
+                <div className="flex gap-2">
+                  <Button type="submit" size="sm" variant="destructive" disabled={busy || !password || !codeReady}>
+                    {busy && <LoadingSpinner size="sm" className="mr-2" />}
+                    {t('twoFactor.confirmDisable')}
+                  </Button>
+                  <Button type="button" size="sm" variant="outline" onClick={() => openMode(null)} disabled={busy}>
+                    {t('twoFactor.cancel')}
+                  </Button>
+                </div>
+              </form>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
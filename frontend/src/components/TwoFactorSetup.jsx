@@ -0,0 +1,113 @@
+import { useEffect, useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { authAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import TwoFactorCodeInput from '@/components/TwoFactorCodeInput';
+import RecoveryCodesList from '@/components/RecoveryCodesList';
+
+/**
+ * Two-factor enrollment: QR code and key for the authenticator app, a code to
+ * confirm it works, then the recovery codes. Pass `challengeToken` when an admin
+ * is enrolling as part of signing in; `onEnabled` then receives the new session.
+ */
+const TwoFactorSetup = ({ challengeToken = null, onEnabled, onCancel }) => {
+  const { t } = useTranslation();
+  const [setup, setSetup] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  // Each setup request replaces the pending secret, so only ever send one
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+    authAPI.setupTwoFactor(challengeToken)
+      .then((res) => setSetup(res.data))
+      .catch((err) => setLoadError(err.response?.data?.error || t('twoFactor.setup.loadError')));
+  }, [challengeToken, t]);
+
+  const confirm = async (value = code) => {
+    if (value.length !== 6 || submitting) return;
+    try {
+      setSubmitting(true);
+      setError(null);
+      const res = await authAPI.enableTwoFactor({
+        code: value,
+        ...(challengeToken ? { challenge_token: challengeToken } : {}),
+      });
+      setResult(res.data);
+    } catch (err) {
+      setError(err.response?.data?.error || t('twoFactor.setup.enableError'));
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <RecoveryCodesList codes={result.recovery_codes} />
+        <Button type="button" className="w-full" onClick={() => onEnabled?.(result)}>
+          {t('twoFactor.recovery.saved')}
+        </Button>
+      </div>
+    );
+  }
+
+  if (loadError) {
+    return (
+      <Alert variant="destructive">
+        <AlertDescription>{loadError}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  if (!setup) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm">{t('twoFactor.setup.scan')}</p>
+      <img
+        src={`data:image/svg+xml;utf8,${encodeURIComponent(setup.qr_svg)}`}
+        alt={t('twoFactor.setup.qrAlt')}
+        width={192}
+        height={192}
+        className="mx-auto rounded-md bg-white"
+      />
+      <div className="space-y-1">
+        <p className="text-xs text-muted-foreground">{t('twoFactor.setup.manual')}</p>
+        <code className="block break-all rounded-md border border-border px-3 py-2 text-center font-mono text-sm">
+          {setup.secret.match(/.{1,4}/g).join(' ')}
+        </code>
+      </div>
+      <p className="text-sm">{t('twoFactor.setup.enterCode')}</p>
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      <TwoFactorCodeInput value={code} onChange={setCode} onComplete={confirm} disabled={submitting} />
+      <div className="flex gap-2">
+        <Button type="button" className="flex-1" onClick={() => confirm()} disabled={submitting || code.length !== 6}>
+          {submitting && <LoadingSpinner size="sm" className="mr-2" />}
+          {submitting ? t('twoFactor.setup.confirming') : t('twoFactor.setup.confirm')}
+        </Button>
+        {onCancel && (
+          <Button type="button" variant="outline" onClick={onCancel} disabled={submitting}>
+            {t('twoFactor.cancel')}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
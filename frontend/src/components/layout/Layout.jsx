@@ -32,6 +32,8 @@ import HamburgerButton from './HamburgerButton';
 import { useTranslation } from 'react-i18next';
 import SiteFooter from '@/components/layout/SiteFooter';
 import Brand from '@/components/layout/Brand';
+import OfflineQueueBanner from '@/components/OfflineQueueBanner';
+import { useRealtime } from '@/hooks/use-realtime';
 
 const Layout = () => {
   const { user, logout, isAuthenticated, isAdmin } = useAuth();
@@ -105,10 +107,13 @@ const Layout = () => {
       return;
     }
     fetchNotifications();
-    const intervalId = setInterval(fetchNotifications, 60000);
-    return () => clearInterval(intervalId);
   }, [isAuthenticated]);
 
+  // New notifications arrive over the live channel (or its polling fallback)
+  useRealtime(['notification'], () => {
+    if (isAuthenticated) fetchNotifications();
+  });
+
   // Reserve room for the mobile bottom tab bar when authenticated
   useEffect(() => {
     if (isAuthenticated) {
@@ -432,6 +437,8 @@ const Layout = () => {
         </div>
       </header>
 
+      {isAuthenticated && <OfflineQueueBanner />}
+
       <main className="flex-1">
         <Outlet />
       </main>
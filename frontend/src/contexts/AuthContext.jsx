@@ -1,5 +1,7 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { authAPI } from '../services/api';
+import { startRealtime, stopRealtime } from '../lib/realtime';
+import { clearOfflineData } from '../lib/serviceWorker';
 
 const AuthContext = createContext();
 
@@ -15,6 +17,8 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Set after a correct password when the account needs a second step: { mode: 'verify' | 'setup', token }
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   // Initialize auth state from localStorage
   useEffect(() => {
@@ -31,7 +35,10 @@ export const AuthProvider = ({ children }) => {
           localStorage.setItem('user', JSON.stringify(response.data.user));
         } catch (error) {
           console.error('Token validation failed:', error);
-          logout();
+          // Offline: keep the saved session rather than signing out
+          if (error.response) {
+            logout();
+          }
         }
       }
       setLoading(false);
@@ -40,18 +47,38 @@ export const AuthProvider = ({ children }) => {
     initAuth();
   }, []);
 
+  // Live updates while signed in
+  const signedIn = !!user;
+  useEffect(() => {
+    if (!signedIn) return undefined;
+    startRealtime();
+    return stopRealtime;
+  }, [signedIn]);
+
+  // Store the session from a login response
+  const startSession = (data) => {
+    const { user: userData, token, refresh_token: refreshToken } = data;
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(userData));
+    setTwoFactorChallenge(null);
+    setUser(userData);
+    return userData;
+  };
+
   const login = async (credentials) => {
     try {
       setError(null);
       setLoading(true);
       
       const response = await authAPI.login(credentials);
-      const { user: userData, token } = response.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(userData));
-      setUser(userData);
+      if (response.data.two_factor_required || response.data.two_factor_setup_required) {
+        const mode = response.data.two_factor_required ? 'verify' : 'setup';
+        setTwoFactorChallenge({ mode, token: response.data.challenge_token });
+        return { success: true, twoFactor: mode };
+      }
       
+      const userData = startSession(response.data);
       return { success: true, user: userData };
     } catch (error) {
       const errorMessage = error.response?.data?.error || 'Login failed';
@@ -62,19 +89,45 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step; deliberately leaves `loading` alone so the login page stays mounted
+  const verifyTwoFactor = async ({ code, recoveryCode }) => {
+    try {
+      setError(null);
+      const response = await authAPI.loginTwoFactor({
+        challenge_token: twoFactorChallenge?.token,
+        ...(recoveryCode ? { recovery_code: recoveryCode } : { code }),
+      });
+      const userData = startSession(response.data);
+      return { success: true, user: userData, recoveryCodesRemaining: response.data.recovery_codes_remaining };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Login failed';
+      if (error.response?.data?.code === 'CHALLENGE_EXPIRED') {
+        setTwoFactorChallenge(null);
+        setError(errorMessage);
+      }
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+    setError(null);
+  };
+
   const register = async (userData) => {
     try {
       setError(null);
       setLoading(true);
       
       const response = await authAPI.register(userData);
-      const { user: newUser, token } = response.data;
+      const { user: newUser, token, refresh_token: refreshToken, email_verification_sent: emailVerificationSent } = response.data;
       
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       localStorage.setItem('user', JSON.stringify(newUser));
       setUser(newUser);
       
-      return { success: true, user: newUser };
+      return { success: true, user: newUser, emailVerificationSent: !!emailVerificationSent };
     } catch (error) {
       const errorMessage = error.response?.data?.error || 'Registration failed';
       setError(errorMessage);
@@ -86,12 +139,14 @@ export const AuthProvider = ({ children }) => {
 
   const logout = async () => {
     try {
-      await authAPI.logout();
+      await authAPI.logout(localStorage.getItem('refreshToken'));
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
+      clearOfflineData();
       setUser(null);
       setError(null);
     }
@@ -137,6 +192,10 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    twoFactorChallenge,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    startSession,
     updateProfile,
     refreshUser,
     isAuthenticated: !!user,
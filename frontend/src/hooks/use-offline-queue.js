@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { getQueuedMatches, subscribeOfflineQueue } from '@/lib/offlineQueue';
+
+/**
+ * Whether the browser is online and how many recorded matches are waiting to
+ * be sent (see lib/offlineQueue.js)
+ */
+export function useOfflineQueue() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [pending, setPending] = useState(() => getQueuedMatches().length);
+
+  useEffect(() => {
+    const updateOnline = () => setOnline(navigator.onLine);
+    const updatePending = () => setPending(getQueuedMatches().length);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    // Other tabs queue and send too
+    window.addEventListener('storage', updatePending);
+    const unsubscribe = subscribeOfflineQueue(updatePending);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+      window.removeEventListener('storage', updatePending);
+      unsubscribe();
+    };
+  }, []);
+
+  return { online, pending };
+}
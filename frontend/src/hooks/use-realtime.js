@@ -0,0 +1,36 @@
+import { useEffect, useRef } from 'react';
+import { subscribeRealtime } from '@/lib/realtime';
+
+// Coalesces bursts, e.g. match_updated and league_updated for the same acceptance
+const DEBOUNCE_MS = 300;
+
+/**
+ * Call `handler` for live updates of the given types (see lib/realtime.js),
+ * optionally only those about one league. 'resync' always gets through, as it
+ * means events may have been missed.
+ */
+export function useRealtime(types, handler, { leagueId = null } = {}) {
+  const handlerRef = useRef(handler);
+  const typeKey = types.join(',');
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    const wanted = typeKey.split(',');
+    let timer = null;
+    const unsubscribe = subscribeRealtime((event) => {
+      if (event.type !== 'resync') {
+        if (!wanted.includes(event.type)) return;
+        if (leagueId != null && String(event.data?.league_id) !== String(leagueId)) return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(() => handlerRef.current(event), DEBOUNCE_MS);
+    });
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [typeKey, leagueId]);
+}
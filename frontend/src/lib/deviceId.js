@@ -0,0 +1,18 @@
+const STORAGE_KEY = 'deviceId';
+
+/**
+ * Random id of this browser, kept in local storage and sent when signing in so
+ * the server can tell a new device from one the user signed in from before
+ */
+export function getDeviceId() {
+  try {
+    let id = localStorage.getItem(STORAGE_KEY);
+    if (!id) {
+      id = crypto.randomUUID();
+      localStorage.setItem(STORAGE_KEY, id);
+    }
+    return id;
+  } catch {
+    return undefined;
+  }
+}
@@ -0,0 +1,125 @@
+import { matchesAPI } from '@/services/api';
+
+/**
+ * Match submissions that could not reach the server, kept in local storage
+ * until the connection is back.
+ *
+ * Every submission gets an idempotency key up front and keeps it while
+ * queued, so a result whose response was lost (the server saved it, the
+ * phone never heard back) is not recorded twice when it is sent again.
+ * Entries belong to the user who recorded them and are only sent for them.
+ */
+
+const STORAGE_KEY = 'offlineMatches';
+
+const listeners = new Set();
+// Submissions in flight by payload
+const submitting = new Map();
+let flushing = null;
+
+const readQueue = () => {
+  try {
+    const queue = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(queue) ? queue : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeQueue = (queue) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+  listeners.forEach((listener) => listener());
+};
+
+const currentUserId = () => {
+  try {
+    return JSON.parse(localStorage.getItem('user'))?.id ?? null;
+  } catch {
+    return null;
+  }
+};
+
+// No response at all: offline, timed out or the server is unreachable
+const isConnectionError = (err) => !err.response;
+
+// Worth another try later rather than giving up on the result
+const isRetryable = (err) => isConnectionError(err) || [401, 408, 429].includes(err.response.status) || err.response.status >= 500;
+
+const enqueue = (key, payload) => {
+  writeQueue([...readQueue(), { key, payload, user_id: currentUserId(), queued_at: new Date().toISOString() }]);
+};
+
+const removeEntry = (key) => {
+  writeQueue(readQueue().filter((entry) => entry.key !== key));
+};
+
+/**
+ * Queued submissions of the signed-in user, oldest first
+ */
+export const getQueuedMatches = () => {
+  const userId = currentUserId();
+  return readQueue().filter((entry) => entry.user_id === userId);
+};
+
+export const subscribeOfflineQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const send = async (payload) => {
+  const key = crypto.randomUUID();
+  if (!navigator.onLine) {
+    enqueue(key, payload);
+    return { queued: true };
+  }
+  try {
+    const response = await matchesAPI.create(payload, { idempotencyKey: key });
+    return { queued: false, response };
+  } catch (err) {
+    if (!isConnectionError(err)) throw err;
+    enqueue(key, payload);
+    return { queued: true };
+  }
+};
+
+/**
+ * Record a match, or queue it when there is no connection.
+ * Resolves to { queued: false, response } or { queued: true }; errors from the
+ * server (validation, permissions) are thrown as before. Submitting the same
+ * result again while it is being sent (a double tap) shares the first request.
+ */
+export function submitMatch(payload) {
+  const id = JSON.stringify(payload);
+  if (!submitting.has(id)) {
+    submitting.set(id, send(payload).finally(() => submitting.delete(id)));
+  }
+  return submitting.get(id);
+}
+
+const sendQueue = async () => {
+  const result = { sent: 0, rejected: [] };
+  for (const entry of getQueuedMatches()) {
+    try {
+      await matchesAPI.create(entry.payload, { idempotencyKey: entry.key });
+      result.sent += 1;
+    } catch (err) {
+      if (isRetryable(err)) break;
+      result.rejected.push({ ...entry, error: err.response.data?.error || null });
+    }
+    removeEntry(entry.key);
+  }
+  return result;
+};
+
+/**
+ * Send queued submissions in order, stopping at the first one that still
+ * cannot get through. Resolves to { sent, rejected } (rejected: entries the
+ * server refused, with its error), or null when a send is already running.
+ */
+export function flushQueue() {
+  if (flushing || !navigator.onLine || getQueuedMatches().length === 0) return null;
+  flushing = sendQueue().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
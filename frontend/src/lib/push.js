@@ -0,0 +1,45 @@
+import { notificationsAPI } from '@/services/api';
+
+/**
+ * Web push for this browser. Subscriptions go through the service worker
+ * (public/sw.js, production builds only), which shows incoming notifications.
+ */
+
+export const isPushSupported = () => 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+const getRegistration = async () => (isPushSupported() ? navigator.serviceWorker.getRegistration() : null);
+
+/**
+ * This browser's current subscription, or null
+ */
+export async function getPushSubscription() {
+  const registration = await getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+/**
+ * Ask for permission, subscribe with the server's VAPID key and register the
+ * subscription. Throws Error('unsupported' | 'denied') when that is not possible.
+ */
+export async function enablePush(publicKey) {
+  const registration = await getRegistration();
+  if (!registration) throw new Error('unsupported');
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('denied');
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: publicKey,
+  });
+  await notificationsAPI.subscribePush(subscription.toJSON());
+  return subscription;
+}
+
+export async function disablePush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  try {
+    await notificationsAPI.unsubscribePush(subscription.endpoint);
+  } finally {
+    await subscription.unsubscribe();
+  }
+}
@@ -0,0 +1,180 @@
+import api, { clearApiCache, eventsAPI, invalidateApiCache, refreshAccessToken } from '@/services/api';
+
+/**
+ * Live updates from the backend while signed in. One event stream
+ * (GET /api/events) is read with fetch, so the access token goes in the
+ * Authorization header rather than the URL, and its events are handed to
+ * subscribers (see hooks/use-realtime.js).
+ *
+ * Where the server cannot stream (serverless deployments) or the stream keeps
+ * failing, subscribers get a 'resync' event every poll interval instead and
+ * refetch. A 'resync' also follows every reconnect, to catch up on missed events.
+ */
+
+const DEFAULT_POLL_SECONDS = 60;
+const RECONNECT_DELAY_MS = 5000;
+// Failed connection attempts in a row before giving up on the stream and polling
+const MAX_STREAM_FAILURES = 3;
+
+const listeners = new Set();
+let session = null;
+
+export const subscribeRealtime = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Cached GET responses the event makes stale
+const invalidateFor = (event) => {
+  if (event.type === 'resync') {
+    clearApiCache();
+  } else if (event.type === 'notification') {
+    invalidateApiCache('/notifications');
+  } else if (event.data?.league_id) {
+    invalidateApiCache(`/leagues/${event.data.league_id}`);
+    invalidateApiCache('/matches');
+  }
+};
+
+const emit = (event) => {
+  invalidateFor(event);
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error('Realtime listener failed', err);
+    }
+  }
+};
+
+/**
+ * One text/event-stream block as { type, data }, or null for comments and
+ * blocks without (JSON) data
+ */
+export const parseEventBlock = (block) => {
+  let type = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') type = value;
+    if (field === 'data') data.push(value);
+  }
+  if (data.length === 0) return null;
+  try {
+    return { type, data: JSON.parse(data.join('\n')) };
+  } catch {
+    return null;
+  }
+};
+
+const wait = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+const openStream = async (signal, retried = false) => {
+  const response = await fetch(`${api.defaults.baseURL}/events`, {
+    headers: {
+      Accept: 'text/event-stream',
+      Authorization: `Bearer ${localStorage.getItem('token') || ''}`,
+    },
+    signal,
+  });
+  // The stream also ends when the access token expires; renew it once and reconnect
+  if (response.status === 401 && !retried) {
+    await refreshAccessToken();
+    return openStream(signal, true);
+  }
+  return response;
+};
+
+const readStream = async (response) => {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const event = parseEventBlock(buffer.slice(0, end));
+      buffer = buffer.slice(end + 2);
+      if (event && event.type !== 'ready') emit(event);
+    }
+  }
+};
+
+const startPolling = (state, seconds) => {
+  if (state.stopped) return;
+  state.pollTimer = setInterval(() => emit({ type: 'resync', data: {} }), seconds * 1000);
+};
+
+const runStream = async (state, pollSeconds) => {
+  const { signal } = state.controller;
+  let failures = 0;
+  let connected = false;
+  while (!state.stopped) {
+    try {
+      const response = await openStream(signal);
+      if (response.status === 404) {
+        // The server switched to polling (REALTIME_DISABLED)
+        startPolling(state, pollSeconds);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Event stream failed with ${response.status}`);
+      }
+      failures = 0;
+      if (connected) emit({ type: 'resync', data: {} });
+      connected = true;
+      await readStream(response);
+    } catch (err) {
+      if (state.stopped) return;
+      failures += 1;
+      if (failures >= MAX_STREAM_FAILURES) {
+        console.warn('Live updates unavailable, polling instead', err);
+        startPolling(state, pollSeconds);
+        return;
+      }
+    }
+    await wait(RECONNECT_DELAY_MS, signal);
+  }
+};
+
+/**
+ * Start receiving live updates (once signed in); repeated calls do nothing
+ */
+export const startRealtime = () => {
+  if (session) return;
+  const state = { stopped: false, controller: new AbortController(), pollTimer: null };
+  session = state;
+  const canStream = typeof window.TextDecoderStream === 'function';
+  eventsAPI.getConfig()
+    .then(({ data }) => {
+      if (state.stopped) return;
+      const pollSeconds = data.poll_interval_seconds || DEFAULT_POLL_SECONDS;
+      if (data.mode === 'sse' && canStream) {
+        runStream(state, pollSeconds);
+      } else {
+        startPolling(state, pollSeconds);
+      }
+    })
+    .catch(() => startPolling(state, DEFAULT_POLL_SECONDS));
+};
+
+/**
+ * Close the stream or stop polling (on sign-out)
+ */
+export const stopRealtime = () => {
+  if (!session) return;
+  session.stopped = true;
+  session.controller.abort();
+  clearInterval(session.pollTimer);
+  session = null;
+};
@@ -0,0 +1,19 @@
+/**
+ * Register the service worker (public/sw.js) in production builds; in
+ * development it would serve stale modules to Vite's dev server.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => {
+      console.error('Service worker registration failed', err);
+    });
+  });
+}
+
+/**
+ * Drop the signed-in user's cached API responses (on sign-out)
+ */
+export function clearOfflineData() {
+  navigator.serviceWorker?.controller?.postMessage({ type: 'clear-user-data' });
+}
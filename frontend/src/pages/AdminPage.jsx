@@ -9,12 +9,17 @@ import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
 import { Switch } from '@/components/ui/switch';
 import { Form, FormField, FormItem, FormLabel, FormControl, FormMessage, FormDescription } from '@/components/ui/form';
-import { leaguesAPI, matchesAPI, badgesAPI, ticketsAPI, adminAPI } from '@/services/api';
+import { leaguesAPI, matchesAPI, badgesAPI, ticketsAPI } from '@/services/api';
 import { toast } from 'sonner';
 import { Shield, PlusCircle, Award, Edit, Trash2, Gift } from 'lucide-react';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
 import InlineImageCropper from '@/components/InlineImageCropper';
 import UserSearchSelect from '@/components/UserSearchSelect';
+import MigrationStatusPanel from '@/components/MigrationStatusPanel';
+import AccountLockoutsPanel from '@/components/AccountLockoutsPanel';
+import LeagueRatingRecalculation from '@/components/LeagueRatingRecalculation';
+import MatchImportWizard from '@/components/MatchImportWizard';
+import DisputeQueue from '@/components/DisputeQueue';
 import { format } from 'date-fns';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import {
@@ -54,6 +59,7 @@ const schema = z.object({
   description: z.string().max(1000, 'Max 1000 characters').optional().or(z.literal('')),
   is_public: z.boolean().default(true),
   season: z.string().max(100, 'Max 100 characters').optional().or(z.literal('')),
+  rating_engine: z.enum(['elo', 'glicko2', 'trueskill']).default('elo'),
 });
 
 const badgeSchema = z.object({
@@ -117,65 +123,8 @@ const AdminPage = () => {
   const [ticketTotal, setTicketTotal] = useState(0);
   const [ticketStatusFilter, setTicketStatusFilter] = useState('open');
   const [updatingTicketId, setUpdatingTicketId] = useState(null);
-  const [migrationRunning, setMigrationRunning] = useState(false);
-  const [snapshotMigrationRunning, setSnapshotMigrationRunning] = useState(false);
-  const [joinRequestMigrationRunning, setJoinRequestMigrationRunning] = useState(false);
   const [acceptingAllLeagueId, setAcceptingAllLeagueId] = useState(null);
 
-  const runRosterParticipationMigration = async () => {
-    try {
-      setMigrationRunning(true);
-      const res = await adminAPI.runRosterParticipationMigration();
-      const message = res.data?.message;
-      if (typeof message === 'string' && message.length > 0) {
-        toast.success(message);
-      }
-    } catch (error) {
-      const msg = error.response?.data?.error;
-      if (typeof msg === 'string' && msg.length > 0) {
-        toast.error(msg);
-      }
-    } finally {
-      setMigrationRunning(false);
-    }
-  };
-
-  const runLeagueSnapshotsMigration = async () => {
-    try {
-      setSnapshotMigrationRunning(true);
-      const res = await adminAPI.runLeagueSnapshotsMigration();
-      const message = res.data?.message;
-      if (typeof message === 'string' && message.length > 0) {
-        toast.success(message);
-      }
-    } catch (error) {
-      const msg = error.response?.data?.error;
-      if (typeof msg === 'string' && msg.length > 0) {
-        toast.error(msg);
-      }
-    } finally {
-      setSnapshotMigrationRunning(false);
-    }
-  };
-
-  const runJoinRequestsMigration = async () => {
-    try {
-      setJoinRequestMigrationRunning(true);
-      const res = await adminAPI.runJoinRequestsMigration();
-      const message = res.data?.message;
-      if (typeof message === 'string' && message.length > 0) {
-        toast.success(message);
-      }
-    } catch (error) {
-      const msg = error.response?.data?.error;
-      if (typeof msg === 'string' && msg.length > 0) {
-        toast.error(msg);
-      }
-    } finally {
-      setJoinRequestMigrationRunning(false);
-    }
-  };
-
   const [awardLeagueMembers, setAwardLeagueMembers] = useState([]);
   const [loadingAwardLeagueMembers, setLoadingAwardLeagueMembers] = useState(false);
 
@@ -209,6 +158,7 @@ const AdminPage = () => {
       description: '',
       is_public: true,
       season: '',
+      rating_engine: 'elo',
     },
   });
 
@@ -618,6 +568,7 @@ const AdminPage = () => {
         description: values.description?.trim() || undefined,
         is_public: !!values.is_public,
         season: values.season?.trim() || undefined,
+        rating_engine: values.rating_engine,
       };
       const { data } = await leaguesAPI.create(payload);
       toast.success(t('admin.created'));
@@ -643,48 +594,11 @@ const AdminPage = () => {
         <p className="text-muted-foreground">{t('admin.panelSubtitle')}</p>
       </div>
 
-      <Card>
-        <CardHeader>
-          <CardTitle className="flex items-center">
-            <Shield className="h-5 w-5 mr-2" />
-            Maintenance
-          </CardTitle>
-          <CardDescription>
-            Apply database maintenance tasks when schema changes are skipped at runtime.
-          </CardDescription>
-        </CardHeader>
-        <CardContent>
-          <div className="space-y-3">
-            <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
-              <div className="text-sm text-gray-400">
-                Adds the `is_participating` roster column for leaderboard opt-out.
-              </div>
-              <Button onClick={runRosterParticipationMigration} disabled={migrationRunning}>
-                {migrationRunning && <LoadingSpinner className="mr-2 h-4 w-4" />}
-                {migrationRunning ? 'Running...' : 'Run roster migration'}
-              </Button>
-            </div>
-            <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
-              <div className="text-sm text-gray-400">
-                Creates the league snapshot cache table for fast league loads.
-              </div>
-              <Button onClick={runLeagueSnapshotsMigration} disabled={snapshotMigrationRunning}>
-                {snapshotMigrationRunning && <LoadingSpinner className="mr-2 h-4 w-4" />}
-                {snapshotMigrationRunning ? 'Running...' : 'Run snapshot migration'}
-              </Button>
-            </div>
-            <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
-              <div className="text-sm text-gray-400">
-                Creates the join request table used for league access workflows.
-              </div>
-              <Button onClick={runJoinRequestsMigration} disabled={joinRequestMigrationRunning}>
-                {joinRequestMigrationRunning && <LoadingSpinner className="mr-2 h-4 w-4" />}
-                {joinRequestMigrationRunning ? 'Running...' : 'Run join request migration'}
-              </Button>
-            </div>
-          </div>
-        </CardContent>
-      </Card>
+      <MigrationStatusPanel />
+
+      <AccountLockoutsPanel />
+
+      <LeagueRatingRecalculation leagues={leagues} />
 
       <Card>
         <CardHeader>
@@ -760,6 +674,30 @@ const AdminPage = () => {
                 />
               </div>
 
+              <FormField
+                name="rating_engine"
+                control={form.control}
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>{t('ratingEngine.label')}</FormLabel>
+                    <UiSelect value={field.value} onValueChange={field.onChange}>
+                      <FormControl>
+                        <UiSelectTrigger className="w-full">
+                          <UiSelectValue />
+                        </UiSelectTrigger>
+                      </FormControl>
+                      <UiSelectContent>
+                        <UiSelectItem value="elo">{t('ratingEngine.elo')}</UiSelectItem>
+                        <UiSelectItem value="glicko2">{t('ratingEngine.glicko2')}</UiSelectItem>
+                        <UiSelectItem value="trueskill">{t('ratingEngine.trueskill')}</UiSelectItem>
+                      </UiSelectContent>
+                    </UiSelect>
+                    <FormDescription>{t('ratingEngine.hint')}</FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
               <div className="flex gap-2">
                 <Button type="submit" disabled={submitting}>
                   {submitting ? t('status.creating') : t('admin.createLeague')}
@@ -927,6 +865,13 @@ const AdminPage = () => {
         </CardContent>
       </Card>
 
+      <MatchImportWizard
+        leagues={adminLeagues}
+        onImported={(leagueId) => {
+          if (leagueId === rosterLeagueId) fetchRosterMembers(rosterLeagueId);
+        }}
+      />
+
       <Card>
         <CardHeader>
           <CardTitle>{t('admin.pendingApprovals')}</CardTitle>
@@ -1028,6 +973,8 @@ const AdminPage = () => {
         </CardContent>
       </Card>
 
+      <DisputeQueue />
+
       {/* Badge Management */}
       <Card>
         <CardHeader>
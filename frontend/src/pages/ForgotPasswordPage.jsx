@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { MailCheck } from 'lucide-react';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import PublicHeader from '@/components/layout/PublicHeader';
+import SiteFooter from '@/components/layout/SiteFooter';
+import { authAPI } from '@/services/api';
+import { useTranslation } from 'react-i18next';
+
+const ForgotPasswordPage = () => {
+  const { t, i18n } = useTranslation();
+  const [identifier, setIdentifier] = useState('');
+  const [website, setWebsite] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (website) return;
+    try {
+      setError(null);
+      setSubmitting(true);
+      await authAPI.forgotPassword({ identifier: identifier.trim(), language: i18n.language });
+      setSent(true);
+    } catch (err) {
+      setError(err.response?.data?.error || t('auth.forgot.error'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      <PublicHeader />
+
+      <div className="flex-1 px-6 py-14 md:py-20 flex items-center justify-center">
+        <div className="w-full max-w-[380px]">
+          <h2 className="text-[26px] font-bold tracking-tight mb-1.5">{t('auth.forgot.title')}</h2>
+
+          {sent ? (
+            <>
+              <Alert className="mt-5">
+                <MailCheck className="h-4 w-4" />
+                <AlertDescription>{t('auth.forgot.sent')}</AlertDescription>
+              </Alert>
+              <p className="text-[13px] text-[var(--fg-3)] mt-5">{t('auth.forgot.sentHint')}</p>
+            </>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <p className="text-[14px] text-[var(--fg-3)] mb-7">{t('auth.forgot.sub')}</p>
+
+              {error && (
+                <Alert variant="destructive" className="mb-4">
+                  <AlertDescription>{error}</AlertDescription>
+                </Alert>
+              )}
+
+              <div className="space-y-1.5">
+                <Label htmlFor="identifier" className="tt-field-label">
+                  {t('auth.forgot.identifier')}
+                </Label>
+                <Input
+                  id="identifier"
+                  name="identifier"
+                  type="text"
+                  value={identifier}
+                  onChange={(e) => setIdentifier(e.target.value)}
+                  required
+                  className="tt-field-input"
+                  autoComplete="username"
+                />
+              </div>
+
+              {/* Honeypot */}
+              <div style={{ position: 'absolute', left: '-9999px', opacity: 0, pointerEvents: 'none' }}>
+                <Label htmlFor="website">Website (leave blank)</Label>
+                <Input
+                  id="website"
+                  name="website"
+                  type="text"
+                  value={website}
+                  onChange={(e) => setWebsite(e.target.value)}
+                  tabIndex={-1}
+                  autoComplete="off"
+                />
+              </div>
+
+              <Button
+                type="submit"
+                disabled={submitting || !identifier.trim()}
+                className="w-full bg-[var(--accent)] text-[var(--accent-ink)] hover:bg-[var(--accent-2)] rounded-full font-bold py-6 text-[15px] tt-btn-primary mt-7"
+              >
+                {submitting ? (
+                  <>
+                    <LoadingSpinner size="sm" className="mr-2" />
+                    {t('auth.forgot.sending')}
+                  </>
+                ) : (
+                  t('auth.forgot.submit')
+                )}
+              </Button>
+            </form>
+          )}
+
+          <div className="text-center mt-5 text-[13px]">
+            <Link to="/login" className="text-[var(--accent)] hover:underline">
+              {t('auth.forgot.backToLogin')}
+            </Link>
+          </div>
+        </div>
+      </div>
+      <SiteFooter />
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
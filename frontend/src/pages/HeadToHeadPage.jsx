@@ -0,0 +1,307 @@
+import { useEffect, useState } from 'react';
+import { useParams, useSearchParams, Link, useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { format } from 'date-fns';
+import { ArrowLeftRight } from 'lucide-react';
+import { usersAPI } from '@/services/api';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Avatar, AvatarImage, AvatarFallback } from '@/components/ui/avatar';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+
+const ALL_LEAGUES = 'all';
+
+const formatSigned = (value) => (value == null ? '–' : value > 0 ? `+${value}` : String(value));
+
+const signedClass = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-gray-300');
+
+const formatDate = (value) => {
+  try {
+    return format(new Date(value), 'PP');
+  } catch {
+    return String(value || '-');
+  }
+};
+
+const displayName = (user) => (
+  user ? [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username : ''
+);
+
+const PlayerHeader = ({ user, align = 'left' }) => (
+  <div className={`flex min-w-0 items-center gap-3 ${align === 'right' ? 'flex-row-reverse text-right' : ''}`}>
+    <Avatar className="h-12 w-12 shrink-0">
+      <AvatarImage src={user.avatar_url || undefined} alt="" />
+      <AvatarFallback className="bg-gray-700 text-gray-200">{user.username?.[0]?.toUpperCase()}</AvatarFallback>
+    </Avatar>
+    <div className="min-w-0">
+      <Link to={`/app/profile/${user.username}`} className="block truncate font-semibold text-blue-400 hover:text-blue-300">
+        {displayName(user)}
+      </Link>
+      <p className="truncate text-xs text-muted-foreground">@{user.username}</p>
+    </div>
+  </div>
+);
+
+const StatTile = ({ label, value, hint, valueClass = 'text-gray-100' }) => (
+  <div className="rounded-md border border-gray-800 bg-gray-900/40 px-3 py-2">
+    <p className="text-xs text-gray-400">{label}</p>
+    <p className={`text-xl font-semibold tabular-nums ${valueClass}`}>{value}</p>
+    {hint ? <p className="text-xs text-gray-500">{hint}</p> : null}
+  </div>
+);
+
+const ProbabilityBar = ({ probability }) => {
+  const player = Math.round(probability * 100);
+  return (
+    <div className="space-y-1">
+      <div className="flex h-2 overflow-hidden rounded-full bg-red-500/40">
+        <div className="bg-green-500" style={{ width: `${player}%` }} />
+      </div>
+      <div className="flex justify-between text-xs tabular-nums text-gray-400">
+        <span>{player}%</span>
+        <span>{100 - player}%</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Head-to-head comparison of two players, across leagues or within one league
+ * /app/head-to-head/:playerId/:opponentId?league_id=
+ */
+const HeadToHeadPage = () => {
+  const { playerId, opponentId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { t } = useTranslation();
+  const leagueId = searchParams.get('league_id') || ALL_LEAGUES;
+
+  const [data, setData] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  // Leagues seen so far, so the filter keeps its options while one league is selected
+  const [leagueOptions, setLeagueOptions] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        setStatus('loading');
+        const params = leagueId === ALL_LEAGUES ? {} : { league_id: leagueId };
+        const res = await usersAPI.getHeadToHead(playerId, opponentId, params);
+        if (cancelled) return;
+        setData(res.data);
+        setLeagueOptions((prev) => {
+          const known = new Map(prev.map((league) => [league.league_id, league]));
+          (res.data?.leagues || []).forEach((league) => known.set(league.league_id, league));
+          return [...known.values()].sort((a, b) => a.league_name.localeCompare(b.league_name));
+        });
+        setStatus('loaded');
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Failed to load head-to-head', err);
+        setError(err.response?.data?.error || t('headToHead.loadError'));
+        setStatus('error');
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [playerId, opponentId, leagueId, t]);
+
+  const handleLeagueChange = (value) => {
+    setSearchParams(value === ALL_LEAGUES ? {} : { league_id: value });
+  };
+
+  const handleSwap = () => {
+    navigate({
+      pathname: `/app/head-to-head/${opponentId}/${playerId}`,
+      search: searchParams.toString(),
+    });
+  };
+
+  if (status === 'idle' || (status === 'loading' && !data)) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (status === 'error') {
+    return (
+      <div className="px-4 py-6 mx-auto w-full max-w-4xl">
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('headToHead.title')}</CardTitle>
+            <CardDescription className="text-red-500">{error}</CardDescription>
+          </CardHeader>
+        </Card>
+      </div>
+    );
+  }
+
+  const { player, opponent, summary, leagues = [], matches = [] } = data;
+  const streak = summary.current_streak;
+  const rated = leagues.filter((league) => league.win_probability != null);
+
+  return (
+    <div className="px-4 py-6 mx-auto w-full max-w-4xl space-y-4">
+      <div className="flex flex-col gap-3 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold">{t('headToHead.title')}</h1>
+          <p className="text-sm text-muted-foreground">{t('headToHead.subtitle')}</p>
+        </div>
+        <Select value={String(leagueId)} onValueChange={handleLeagueChange}>
+          <SelectTrigger className="w-full sm:w-64">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_LEAGUES}>{t('headToHead.allLeagues')}</SelectItem>
+            {leagueOptions.map((league) => (
+              <SelectItem key={league.league_id} value={String(league.league_id)}>
+                {league.league_name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <Card>
+        <CardContent className="pt-6 space-y-6">
+          <div className="grid grid-cols-[1fr_auto_1fr] items-center gap-3">
+            <PlayerHeader user={player} />
+            <div className="flex flex-col items-center gap-1">
+              <span className="text-3xl font-bold tabular-nums">
+                <span className={summary.wins >= summary.losses ? 'text-green-400' : 'text-gray-300'}>{summary.wins}</span>
+                <span className="text-gray-500"> : </span>
+                <span className={summary.losses >= summary.wins ? 'text-red-400' : 'text-gray-300'}>{summary.losses}</span>
+              </span>
+              <Button variant="ghost" size="sm" onClick={handleSwap} title={t('headToHead.swap')}>
+                <ArrowLeftRight className="h-4 w-4" />
+              </Button>
+            </div>
+            <PlayerHeader user={opponent} align="right" />
+          </div>
+
+          {summary.matches === 0 ? (
+            <p className="text-center text-sm text-muted-foreground">{t('headToHead.noMatches')}</p>
+          ) : (
+            <div className="grid grid-cols-2 gap-2 md:grid-cols-4">
+              <StatTile
+                label={t('headToHead.record')}
+                value={`${summary.win_rate}%`}
+                hint={t('headToHead.matchesCount', { count: summary.matches })}
+              />
+              <StatTile
+                label={t('headToHead.sets')}
+                value={formatSigned(summary.set_differential)}
+                valueClass={signedClass(summary.set_differential)}
+                hint={`${summary.sets_won} : ${summary.sets_lost}`}
+              />
+              <StatTile
+                label={t('headToHead.points')}
+                value={formatSigned(summary.point_differential)}
+                valueClass={signedClass(summary.point_differential)}
+                hint={`${summary.points_won} : ${summary.points_lost}`}
+              />
+              <StatTile
+                label={t('headToHead.eloSwing')}
+                value={summary.average_elo_swing ?? '–'}
+                hint={summary.average_elo_change != null
+                  ? t('headToHead.averageChange', { change: formatSigned(summary.average_elo_change) })
+                  : null}
+              />
+              <StatTile
+                label={t('headToHead.longestStreak', { name: player.username })}
+                value={summary.longest_win_streak}
+              />
+              <StatTile
+                label={t('headToHead.longestStreak', { name: opponent.username })}
+                value={summary.opponent_longest_win_streak}
+              />
+              <StatTile
+                label={t('headToHead.currentStreak')}
+                value={streak.length}
+                hint={streak.holder
+                  ? t('headToHead.streakHolder', { name: streak.holder === 'player' ? player.username : opponent.username })
+                  : null}
+              />
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('headToHead.winProbability')}</CardTitle>
+          <CardDescription>{t('headToHead.winProbabilityDesc')}</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {rated.length === 0 ? (
+            <p className="text-sm text-muted-foreground">{t('headToHead.noSharedLeague')}</p>
+          ) : (
+            rated.map((league) => (
+              <div key={league.league_id} className="space-y-1">
+                <div className="flex items-center justify-between gap-2 text-sm">
+                  <Link to={`/app/leagues/${league.league_id}`} className="truncate text-blue-400 hover:text-blue-300">
+                    {league.league_name}
+                  </Link>
+                  <span className="shrink-0 text-xs tabular-nums text-gray-400">
+                    {league.player_elo} vs {league.opponent_elo}
+                    {league.matches > 0 ? ` · ${league.wins}:${league.losses}` : ''}
+                  </span>
+                </div>
+                <ProbabilityBar probability={league.win_probability} />
+              </div>
+            ))
+          )}
+        </CardContent>
+      </Card>
+
+      {matches.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('headToHead.matches')}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {matches.map((match) => (
+              <Link
+                key={match.id}
+                to={`/app/matches/${match.id}`}
+                className="flex items-center justify-between gap-3 rounded-md border border-gray-800 px-3 py-2 hover:bg-gray-800/50"
+              >
+                <div className="flex min-w-0 items-center gap-3">
+                  <Badge variant={match.result === 'W' ? 'default' : 'destructive'} className="w-7 justify-center">
+                    {match.result === 'W' ? t('headToHead.win') : t('headToHead.loss')}
+                  </Badge>
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium tabular-nums text-gray-100">
+                      {match.player_sets_won}–{match.opponent_sets_won}
+                      {match.sets.length > 0 && (
+                        <span className="ml-2 text-xs font-normal text-gray-400">
+                          {match.sets.map((set) => `${set.player_score}-${set.opponent_score}`).join(', ')}
+                        </span>
+                      )}
+                    </p>
+                    <p className="truncate text-xs text-muted-foreground">
+                      {formatDate(match.played_at)} · {match.league_name}
+                    </p>
+                  </div>
+                </div>
+                <span className={`shrink-0 text-sm tabular-nums ${signedClass(match.player_elo_change)}`}>
+                  {formatSigned(match.player_elo_change)}
+                </span>
+              </Link>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default HeadToHeadPage;
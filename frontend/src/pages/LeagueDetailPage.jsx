@@ -7,6 +7,7 @@ import { Badge } from '@/components/ui/badge';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { toast } from 'sonner';
 import { Users, ListChecks, Calendar, Lock, Globe, Trophy, Swords, ChevronDown, ChevronUp } from 'lucide-react';
@@ -20,6 +21,15 @@ import { Switch } from '@/components/ui/switch';
 import { Form, FormField, FormItem, FormLabel, FormControl, FormMessage, FormDescription } from '@/components/ui/form';
 import EloSparkline from '@/components/EloSparkline';
 import LeagueEloTimeline from '@/components/LeagueEloTimeline';
+import TournamentBracket from '@/components/TournamentBracket';
+import LeagueFixtures from '@/components/LeagueFixtures';
+import DoublesLeaderboard from '@/components/DoublesLeaderboard';
+import LeagueSeasons from '@/components/LeagueSeasons';
+import LeagueRatingConfig from '@/components/LeagueRatingConfig';
+import ConsolidationHistory from '@/components/ConsolidationHistory';
+import LeagueExport from '@/components/LeagueExport';
+import LeagueAchievementRules from '@/components/LeagueAchievementRules';
+import LeagueWeekSummary from '@/components/LeagueWeekSummary';
 import MedalIcon from '@/components/MedalIcon';
 import { BadgeList } from '@/components/BadgeDisplay';
 import RecordMatchForm from '@/components/RecordMatchForm';
@@ -28,6 +38,7 @@ import UserSearchSelect from '@/components/UserSearchSelect';
 import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '@/components/ui/collapsible';
 import { Sheet, SheetContent } from '@/components/ui/sheet';
 import { useTranslation } from 'react-i18next';
+import { useRealtime } from '@/hooks/use-realtime';
 import {
   Pagination,
   PaginationContent,
@@ -50,6 +61,36 @@ import {
 
 // Note: Schema depends on translations, so build it inside the component where `t` is available
 
+// Rating uncertainty ("±RD") and a provisional marker for engines that track it (Glicko-2, TrueSkill)
+const RatingUncertainty = ({ player }) => {
+  const { t } = useTranslation();
+  if (player.rating_deviation == null) return null;
+  return (
+    <span className="ml-1 text-[11px] font-normal text-gray-500" title={t('ratingEngine.uncertaintyHint')}>
+      ±{player.rating_deviation}
+      {player.provisional ? (
+        <span className="ml-0.5 text-yellow-400" title={t('ratingEngine.provisionalHint')}>?</span>
+      ) : null}
+    </span>
+  );
+};
+
+// Link from a leaderboard row to the signed-in user's head-to-head with that player
+const HeadToHeadLink = ({ player, currentUserId, leagueId }) => {
+  const { t } = useTranslation();
+  if (!currentUserId || !player.user_id || player.user_id === currentUserId) return null;
+  return (
+    <Link
+      to={`/app/head-to-head/${currentUserId}/${player.user_id}?league_id=${leagueId}`}
+      className="shrink-0 text-gray-500 hover:text-blue-300"
+      title={t('headToHead.compare')}
+      aria-label={t('headToHead.compare')}
+    >
+      <Swords className="h-3.5 w-3.5" />
+    </Link>
+  );
+};
+
 const LeagueDetailPage = () => {
   const { t } = useTranslation();
   const { id } = useParams();
@@ -95,10 +136,14 @@ const LeagueDetailPage = () => {
   const [joinRequestsError, setJoinRequestsError] = useState(null);
   const [joinRequestActionLoading, setJoinRequestActionLoading] = useState({});
   const [eloMode, setEloMode] = useState('immediate');
+  const [resultConfirmation, setResultConfirmation] = useState('admin');
+  const [confirmationTimeout, setConfirmationTimeout] = useState('48');
+  const [ratingEngine, setRatingEngine] = useState('elo');
   const [showRecordMatch, setShowRecordMatch] = useState(false);
   const [showQuickMatch, setShowQuickMatch] = useState(false);
 
   const [consolidating, setConsolidating] = useState(false);
+  const [consolidationRefreshKey, setConsolidationRefreshKey] = useState(0);
 
   // Award badge (league admins + site admins)
   const [badges, setBadges] = useState([]);
@@ -215,6 +260,9 @@ const LeagueDetailPage = () => {
         season: league.season || '',
       });
       setEloMode(league.elo_update_mode || 'immediate');
+      setRatingEngine(league.rating_engine || 'elo');
+      setResultConfirmation(league.result_confirmation || 'admin');
+      setConfirmationTimeout(String(league.confirmation_timeout_hours ?? 48));
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [league]);
@@ -294,6 +342,9 @@ const LeagueDetailPage = () => {
       // Update eloMode state to match the refreshed league data
       const newEloMode = leagueData.league.elo_update_mode || 'immediate';
       setEloMode(newEloMode);
+      setRatingEngine(leagueData.league.rating_engine || 'elo');
+      setResultConfirmation(leagueData.league.result_confirmation || 'admin');
+      setConfirmationTimeout(String(leagueData.league.confirmation_timeout_hours ?? 48));
       const canManage = isAuthenticated && (isAdmin || leagueData.user_membership?.is_admin);
       const snapshotLeaderboard = Array.isArray(leagueData.leaderboard) ? leagueData.leaderboard : [];
       setLeaderboard(snapshotLeaderboard);
@@ -433,9 +484,10 @@ const LeagueDetailPage = () => {
     }
   };
 
-  const fetchMatches = async () => {
+  const fetchMatches = async ({ silent = false } = {}) => {
     try {
-      setMatchesStatus('loading');
+      // Live refreshes keep the current list on screen
+      if (!silent) setMatchesStatus('loading');
       setMatchesError(null);
       const res = await leaguesAPI.getMatches(id, { page: 1, limit: 10 }, { ttlMs: 10000 });
       const matchData = res.data?.matches;
@@ -505,6 +557,12 @@ const LeagueDetailPage = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [canManageLeague, id, joinRequestsStatus]);
 
+  // Matches recorded or confirmed elsewhere update standings and the match list live
+  useRealtime(['match_updated', 'league_updated'], () => {
+    refreshLeagueData();
+    fetchMatches({ silent: true });
+  }, { leagueId: id });
+
   const fetchBadges = async () => {
     try {
       setLoadingBadges(true);
@@ -1064,6 +1122,9 @@ const LeagueDetailPage = () => {
                       ) : (
                         <span className="text-blue-400 font-medium">{m.player1_display_name}</span>
                       )}
+                      {m.is_doubles && m.player1_partner_display_name && (
+                        <span className="text-blue-400 font-medium">/ {m.player1_partner_display_name}</span>
+                      )}
                       <span className="text-gray-300 font-bold">{m.player1_sets_won}</span>
                       <span className="text-gray-500">:</span>
                       <span className="text-gray-300 font-bold">{m.player2_sets_won}</span>
@@ -1074,6 +1135,9 @@ const LeagueDetailPage = () => {
                       ) : (
                         <span className="text-blue-400 font-medium">{m.player2_display_name}</span>
                       )}
+                      {m.is_doubles && m.player2_partner_display_name && (
+                        <span className="text-blue-400 font-medium">/ {m.player2_partner_display_name}</span>
+                      )}
                     </div>
                     
                     {/* ELO Points Line */}
@@ -1188,9 +1252,11 @@ const LeagueDetailPage = () => {
                                     {p.display_name}
                                   </span>
                                 )}
+                                <HeadToHeadLink player={p} currentUserId={user?.id} leagueId={id} />
                               </div>
                               <div className="shrink-0 text-sm text-gray-200 font-semibold tabular-nums whitespace-nowrap">
                                 {t('leagues.elo')}: {p.current_elo}
+                                <RatingUncertainty player={p} />
                               </div>
                             </div>
 
@@ -1274,6 +1340,7 @@ const LeagueDetailPage = () => {
                                     {p.display_name || 'No user assigned'}
                                   </span>
                                 )}
+                                <HeadToHeadLink player={p} currentUserId={user?.id} leagueId={id} />
                                 {p.badges && p.badges.length > 0 && (
                                   <BadgeList
                                     badges={p.badges}
@@ -1285,7 +1352,10 @@ const LeagueDetailPage = () => {
                                 )}
                               </div>
                             </td>
-                            <td className="px-3 py-2 text-gray-200 font-medium tabular-nums whitespace-nowrap align-middle">{p.current_elo}</td>
+                            <td className="px-3 py-2 text-gray-200 font-medium tabular-nums whitespace-nowrap align-middle">
+                              {p.current_elo}
+                              <RatingUncertainty player={p} />
+                            </td>
                             <td className="px-3 py-2 align-middle">
                               {p.user_id ? (
                                 <EloSparkline userId={p.user_id} leagueId={id} width={56} height={14} points={15} />
@@ -1352,6 +1422,9 @@ const LeagueDetailPage = () => {
               )}
             </CardContent>
           </Card>
+          <div className="mt-6">
+            <DoublesLeaderboard leagueId={id} />
+          </div>
           <div className="mt-6">
             <LeagueEloTimeline
               leagueId={id}
@@ -1439,6 +1512,9 @@ const LeagueDetailPage = () => {
             </CardContent>
           </Card>
 
+          {/* Week so far (same data as the weekly digest) */}
+          <LeagueWeekSummary leagueId={id} />
+
           {/* Record Match */}
           {isAuthenticated && userMembership ? (
             <>
@@ -1515,6 +1591,44 @@ const LeagueDetailPage = () => {
         </div>
       </div>
 
+      {/* Round-robin fixtures */}
+      <div className="mt-6 min-w-0">
+        <LeagueFixtures
+          leagueId={id}
+          leagueName={league.name}
+          canManage={canManageLeague}
+          userRosterId={userMembership?.roster_id}
+          onMatchRecorded={() => {
+            fetchMatches();
+            fetchLeaderboard(leaderboardPagination.page);
+          }}
+        />
+      </div>
+
+      {/* Seasons (archive of past standings) */}
+      <div className="mt-6 min-w-0">
+        <LeagueSeasons
+          leagueId={id}
+          canManage={canManageLeague}
+          onSeasonChanged={refreshLeagueData}
+        />
+      </div>
+
+      {/* Tournament brackets */}
+      <div className="mt-6 min-w-0">
+        <TournamentBracket
+          leagueId={id}
+          leagueName={league.name}
+          canManage={canManageLeague}
+          userRosterId={userMembership?.roster_id}
+          badges={badges}
+          onMatchRecorded={() => {
+            fetchMatches();
+            fetchLeaderboard(leaderboardPagination.page);
+          }}
+        />
+      </div>
+
       {/* Members List and Admin Panel - Side by Side (kept last in DOM) */}
       {canManageLeague ? (
         <div className="grid gap-6 lg:grid-cols-2 mt-6 min-w-0">
@@ -1860,6 +1974,99 @@ const LeagueDetailPage = () => {
                 </Button>
               </div>
 
+              {/* Result confirmation */}
+              <div className="space-y-2">
+                <h4 className="text-sm font-medium text-gray-300">{t('matchConfirmation.setting')}</h4>
+                <Select value={resultConfirmation} onValueChange={setResultConfirmation}>
+                  <SelectTrigger className="w-full">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="admin">{t('matchConfirmation.modes.admin')}</SelectItem>
+                    <SelectItem value="opponent">{t('matchConfirmation.modes.opponent')}</SelectItem>
+                  </SelectContent>
+                </Select>
+                {resultConfirmation === 'opponent' ? (
+                  <div className="space-y-1">
+                    <Label htmlFor="confirmation-timeout">{t('matchConfirmation.timeout')}</Label>
+                    <Input
+                      id="confirmation-timeout"
+                      type="number"
+                      min={1}
+                      max={336}
+                      value={confirmationTimeout}
+                      onChange={(e) => setConfirmationTimeout(e.target.value)}
+                    />
+                  </div>
+                ) : null}
+                <p className="text-xs text-gray-400">{t(`matchConfirmation.hints.${resultConfirmation}`)}</p>
+                <Button
+                  variant="outline"
+                  disabled={updateLoading}
+                  onClick={async () => {
+                    try {
+                      setUpdateLoading(true);
+                      await leaguesAPI.update(id, {
+                        result_confirmation: resultConfirmation,
+                        ...(resultConfirmation === 'opponent' ? { confirmation_timeout_hours: Number(confirmationTimeout) } : {}),
+                      });
+                      toast.success(t('matchConfirmation.settingUpdated'));
+                      await refreshLeagueData();
+                    } catch (e) {
+                      toast.error(e?.response?.data?.error || t('matchConfirmation.settingError'));
+                    } finally {
+                      setUpdateLoading(false);
+                    }
+                  }}
+                  className="w-full"
+                >
+                  {updateLoading ? t('status.updating') : t('matchConfirmation.updateSetting')}
+                </Button>
+              </div>
+
+              {/* Rating engine */}
+              <div className="space-y-2">
+                <h4 className="text-sm font-medium text-gray-300">{t('ratingEngine.label')}</h4>
+                <Select value={ratingEngine} onValueChange={setRatingEngine}>
+                  <SelectTrigger className="w-full">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="elo">{t('ratingEngine.elo')}</SelectItem>
+                    <SelectItem value="glicko2">{t('ratingEngine.glicko2')}</SelectItem>
+                    <SelectItem value="trueskill">{t('ratingEngine.trueskill')}</SelectItem>
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-gray-400">{t('ratingEngine.lockedHint')}</p>
+                <Button
+                  variant="outline"
+                  disabled={updateLoading || ratingEngine === (league.rating_engine || 'elo')}
+                  onClick={async () => {
+                    try {
+                      setUpdateLoading(true);
+                      await leaguesAPI.update(id, { rating_engine: ratingEngine });
+                      toast.success(t('ratingEngine.updated'));
+                      await refreshLeagueData();
+                    } catch (e) {
+                      toast.error(e?.response?.data?.error || t('ratingEngine.updateError'));
+                      setRatingEngine(league.rating_engine || 'elo');
+                    } finally {
+                      setUpdateLoading(false);
+                    }
+                  }}
+                  className="w-full"
+                >
+                  {updateLoading ? t('status.updating') : t('ratingEngine.update')}
+                </Button>
+              </div>
+
+              {/* Rating config */}
+              <LeagueRatingConfig
+                leagueId={id}
+                ratingEngine={league.rating_engine}
+                onUpdated={refreshLeagueData}
+              />
+
               {/* ELO Consolidation */}
               <div className="space-y-2">
                 <h4 className="text-sm font-medium text-gray-300">ELO Management</h4>
@@ -1871,6 +2078,7 @@ const LeagueDetailPage = () => {
                       setConsolidating(true);
                       const res = await matchesAPI.consolidateLeague(id);
                       toast.success(res.data?.message || t('leagues.consolidationComplete'));
+                      setConsolidationRefreshKey((key) => key + 1);
                       await refreshLeagueData();
                     } catch (e) {
                       toast.error(e?.response?.data?.error || t('leagues.consolidationError'));
@@ -1882,8 +2090,21 @@ const LeagueDetailPage = () => {
                 >
                   {consolidating ? t('leagues.consolidating') : 'Consolidate ELO'}
                 </Button>
+                {league.elo_update_mode && league.elo_update_mode !== 'immediate' ? (
+                  <ConsolidationHistory
+                    leagueId={id}
+                    refreshKey={consolidationRefreshKey}
+                    onRolledBack={refreshLeagueData}
+                  />
+                ) : null}
               </div>
 
+              {/* Automatic achievements */}
+              <LeagueAchievementRules leagueId={id} badges={badges} />
+
+              {/* Export */}
+              <LeagueExport leagueId={id} leagueName={league.name} />
+
             </CardContent>
           </Card>
         </div>
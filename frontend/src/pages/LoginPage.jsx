@@ -11,6 +11,9 @@ import PublicHeader from '@/components/layout/PublicHeader';
 import SiteFooter from '@/components/layout/SiteFooter';
 import { BrandMark } from '@/components/layout/Brand';
 import { useTranslation } from 'react-i18next';
+import { toast } from 'sonner';
+import TwoFactorCodeInput from '@/components/TwoFactorCodeInput';
+import TwoFactorSetup from '@/components/TwoFactorSetup';
 
 const LoginPage = () => {
   const { t } = useTranslation();
@@ -20,7 +23,12 @@ const LoginPage = () => {
     website: '',
   });
   const [showPassword, setShowPassword] = useState(false);
-  const { login, loading, error } = useAuth();
+  const { login, loading, error, twoFactorChallenge, verifyTwoFactor, cancelTwoFactor, startSession } = useAuth();
+  const [code, setCode] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const [twoFactorError, setTwoFactorError] = useState(null);
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -34,6 +42,32 @@ const LoginPage = () => {
     await login(data);
   };
 
+  const handleVerify = async (e, value = code) => {
+    e?.preventDefault();
+    if (verifying) return;
+    setVerifying(true);
+    setTwoFactorError(null);
+    const result = await verifyTwoFactor(useRecovery ? { recoveryCode } : { code: value });
+    if (!result.success) {
+      setTwoFactorError(result.error);
+      setCode('');
+      setVerifying(false);
+      return;
+    }
+    // On success the session starts and the route redirects away from this page
+    if (result.recoveryCodesRemaining !== undefined) {
+      toast.warning(t('auth.login.twoFactor.recoveryUsed', { count: result.recoveryCodesRemaining }));
+    }
+  };
+
+  const handleBack = () => {
+    setCode('');
+    setRecoveryCode('');
+    setUseRecovery(false);
+    setTwoFactorError(null);
+    cancelTwoFactor();
+  };
+
   return (
     <div className="min-h-screen flex flex-col">
       <PublicHeader />
@@ -75,102 +109,190 @@ const LoginPage = () => {
 
         {/* Form right */}
         <div className="px-6 md:px-16 py-14 md:py-20 flex items-center justify-center">
-          <form onSubmit={handleSubmit} className="w-full max-w-[380px]">
-            <h2 className="text-[26px] font-bold tracking-tight mb-1.5">{t('auth.login.formTitle')}</h2>
-            <p className="text-[14px] text-[var(--fg-3)] mb-7">
-              {t('auth.login.formSub')}{' '}
-              <Link to="/register" className="text-[var(--accent)] hover:underline">
-                {t('auth.login.createAccount')}
-              </Link>
-              .
-            </p>
-
-            {error && (
-              <Alert variant="destructive" className="mb-4">
-                <AlertDescription>{error}</AlertDescription>
-              </Alert>
-            )}
-
-            <div className="space-y-3.5">
-              <div className="space-y-1.5">
-                <Label htmlFor="username" className="tt-field-label">
-                  {t('auth.login.username')}
-                </Label>
-                <Input
-                  id="username"
-                  name="username"
-                  type="text"
-                  value={formData.username}
-                  onChange={handleChange}
-                  required
-                  className="tt-field-input"
-                  autoComplete="username"
+          {twoFactorChallenge?.mode === 'setup' && (
+            <div className="w-full max-w-[380px]">
+              <h2 className="text-[26px] font-bold tracking-tight mb-1.5">{t('auth.login.twoFactor.setupTitle')}</h2>
+              <p className="text-[14px] text-[var(--fg-3)] mb-7">{t('auth.login.twoFactor.setupSub')}</p>
+              <TwoFactorSetup challengeToken={twoFactorChallenge.token} onEnabled={startSession} onCancel={handleBack} />
+            </div>
+          )}
+
+          {twoFactorChallenge?.mode === 'verify' && (
+            <form onSubmit={handleVerify} className="w-full max-w-[380px]">
+              <h2 className="text-[26px] font-bold tracking-tight mb-1.5">{t('auth.login.twoFactor.title')}</h2>
+              <p className="text-[14px] text-[var(--fg-3)] mb-7">
+                {useRecovery ? t('auth.login.twoFactor.recoverySub') : t('auth.login.twoFactor.sub')}
+              </p>
+
+              {twoFactorError && (
+                <Alert variant="destructive" className="mb-4">
+                  <AlertDescription>{twoFactorError}</AlertDescription>
+                </Alert>
+              )}
+
+              {useRecovery ? (
+                <div className="space-y-1.5">
+                  <Label htmlFor="recovery_code" className="tt-field-label">
+                    {t('twoFactor.recoveryCode')}
+                  </Label>
+                  <Input
+                    id="recovery_code"
+                    value={recoveryCode}
+                    onChange={(e) => setRecoveryCode(e.target.value)}
+                    required
+                    autoFocus
+                    autoComplete="off"
+                    className="tt-field-input font-mono"
+                    placeholder="xxxxx-xxxxx"
+                  />
+                </div>
+              ) : (
+                <TwoFactorCodeInput
+                  value={code}
+                  onChange={setCode}
+                  onComplete={(value) => handleVerify(null, value)}
+                  disabled={verifying}
+                  autoFocus
                 />
+              )}
+
+              <Button
+                type="submit"
+                disabled={verifying || (useRecovery ? !recoveryCode.trim() : code.length !== 6)}
+                className="w-full bg-[var(--accent)] text-[var(--accent-ink)] hover:bg-[var(--accent-2)] rounded-full font-bold py-6 text-[15px] tt-btn-primary mt-7"
+              >
+                {verifying ? (
+                  <>
+                    <LoadingSpinner size="sm" className="mr-2" />
+                    {t('auth.login.twoFactor.verifying')}
+                  </>
+                ) : (
+                  t('auth.login.twoFactor.verify')
+                )}
+              </Button>
+
+              <div className="flex justify-between mt-5 text-[13px]">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecovery(!useRecovery);
+                    setTwoFactorError(null);
+                  }}
+                  className="text-[var(--fg-3)] hover:text-[var(--accent)] hover:underline"
+                >
+                  {useRecovery ? t('twoFactor.useAuthenticator') : t('twoFactor.useRecoveryCode')}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleBack}
+                  className="text-[var(--fg-3)] hover:text-[var(--accent)] hover:underline"
+                >
+                  {t('auth.login.twoFactor.back')}
+                </button>
               </div>
+            </form>
+          )}
+
+          {!twoFactorChallenge && (
+            <form onSubmit={handleSubmit} className="w-full max-w-[380px]">
+              <h2 className="text-[26px] font-bold tracking-tight mb-1.5">{t('auth.login.formTitle')}</h2>
+              <p className="text-[14px] text-[var(--fg-3)] mb-7">
+                {t('auth.login.formSub')}{' '}
+                <Link to="/register" className="text-[var(--accent)] hover:underline">
+                  {t('auth.login.createAccount')}
+                </Link>
+                .
+              </p>
 
-              <div className="space-y-1.5">
-                <Label htmlFor="password" className="tt-field-label">
-                  {t('auth.login.password')}
-                </Label>
-                <div className="relative">
+              {error && (
+                <Alert variant="destructive" className="mb-4">
+                  <AlertDescription>{error}</AlertDescription>
+                </Alert>
+              )}
+
+              <div className="space-y-3.5">
+                <div className="space-y-1.5">
+                  <Label htmlFor="username" className="tt-field-label">
+                    {t('auth.login.username')}
+                  </Label>
                   <Input
-                    id="password"
-                    name="password"
-                    type={showPassword ? 'text' : 'password'}
-                    value={formData.password}
+                    id="username"
+                    name="username"
+                    type="text"
+                    value={formData.username}
                     onChange={handleChange}
                     required
-                    className="tt-field-input pr-10"
-                    placeholder="••••••••"
-                    autoComplete="current-password"
+                    className="tt-field-input"
+                    autoComplete="username"
                   />
-                  <Button
-                    type="button"
-                    variant="ghost"
-                    size="sm"
-                    className="absolute right-1 top-1/2 -translate-y-1/2 h-8 w-8 p-0"
-                    onClick={() => setShowPassword(!showPassword)}
-                    tabIndex={-1}
-                  >
-                    {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
-                  </Button>
+                </div>
+
+                <div className="space-y-1.5">
+                  <Label htmlFor="password" className="tt-field-label">
+                    {t('auth.login.password')}
+                  </Label>
+                  <div className="relative">
+                    <Input
+                      id="password"
+                      name="password"
+                      type={showPassword ? 'text' : 'password'}
+                      value={formData.password}
+                      onChange={handleChange}
+                      required
+                      className="tt-field-input pr-10"
+                      placeholder="••••••••"
+                      autoComplete="current-password"
+                    />
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      className="absolute right-1 top-1/2 -translate-y-1/2 h-8 w-8 p-0"
+                      onClick={() => setShowPassword(!showPassword)}
+                      tabIndex={-1}
+                    >
+                      {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                    </Button>
+                  </div>
                 </div>
               </div>
-            </div>
 
-            {/* Honeypot */}
-            <div style={{ position: 'absolute', left: '-9999px', opacity: 0, pointerEvents: 'none' }}>
-              <Label htmlFor="website">Website (leave blank)</Label>
-              <Input
-                id="website"
-                name="website"
-                type="text"
-                value={formData.website || ''}
-                onChange={handleChange}
-                tabIndex={-1}
-                autoComplete="off"
-              />
-            </div>
+              {/* Honeypot */}
+              <div style={{ position: 'absolute', left: '-9999px', opacity: 0, pointerEvents: 'none' }}>
+                <Label htmlFor="website">Website (leave blank)</Label>
+                <Input
+                  id="website"
+                  name="website"
+                  type="text"
+                  value={formData.website || ''}
+                  onChange={handleChange}
+                  tabIndex={-1}
+                  autoComplete="off"
+                />
+              </div>
 
-            <Button
-              type="submit"
-              disabled={loading}
-              className="w-full bg-[var(--accent)] text-[var(--accent-ink)] hover:bg-[var(--accent-2)] rounded-full font-bold py-6 text-[15px] tt-btn-primary mt-7"
-            >
-              {loading ? (
-                <>
-                  <LoadingSpinner size="sm" className="mr-2" />
-                  {t('auth.login.signingIn')}
-                </>
-              ) : (
-                t('auth.login.submit')
-              )}
-            </Button>
+              <Button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-[var(--accent)] text-[var(--accent-ink)] hover:bg-[var(--accent-2)] rounded-full font-bold py-6 text-[15px] tt-btn-primary mt-7"
+              >
+                {loading ? (
+                  <>
+                    <LoadingSpinner size="sm" className="mr-2" />
+                    {t('auth.login.signingIn')}
+                  </>
+                ) : (
+                  t('auth.login.submit')
+                )}
+              </Button>
 
-            <div className="text-center mt-5 text-[13px] text-[var(--fg-3)]">
-              {t('auth.login.forgotPassword')}
-            </div>
-          </form>
+              <div className="text-center mt-5 text-[13px]">
+                <Link to="/forgot-password" className="text-[var(--fg-3)] hover:text-[var(--accent)] hover:underline">
+                  {t('auth.login.forgotPassword')}
+                </Link>
+              </div>
+            </form>
+          )}
         </div>
       </div>
       <SiteFooter />
@@ -59,6 +59,8 @@ export default function MatchDetailPage() {
   const [error, setError] = useState(null);
   const [match, setMatch] = useState(null);
   const [sets, setSets] = useState([]); // [{ set_number, player1_score, player2_score }]
+  const [doublesRatings, setDoublesRatings] = useState([]); // [{ roster_id, pair_id, elo_before, elo_after, elo_change }]
+  const [dispute, setDispute] = useState(null); // opponent's version of a disputed result
   const [isLeagueAdmin, setIsLeagueAdmin] = useState(false);
   const [accepting, setAccepting] = useState(false);
   const [rejecting, setRejecting] = useState(false);
@@ -132,6 +134,8 @@ export default function MatchDetailPage() {
   const canEdit = useMemo(() => {
     if (!match || match.is_accepted) return false;
     if (!me?.id) return false;
+    // Under opponent confirmation the opponent answers the submitted result: it is not edited meanwhile
+    if (match.confirmation_status === 'disputed' || match.confirmation_status === 'awaiting') return false;
     return me.id === match.player1_user_id || me.id === match.player2_user_id;
   }, [match, me?.id]);
 
@@ -144,6 +148,8 @@ export default function MatchDetailPage() {
       const s = res.data?.sets || [];
       setMatch(m);
       setSets(s);
+      setDoublesRatings(res.data?.doubles_ratings || []);
+      setDispute(res.data?.dispute || null);
       // Check if current user is league admin (for accept/reject)
       try {
         const league = await leaguesAPI.getById(m.league_id);
@@ -188,7 +194,8 @@ export default function MatchDetailPage() {
         try {
           const meId = me?.id;
           if (!meId) return setEloPreview(null);
-          const otherRosterId = meId === match.player1_user_id ? match.player2_roster_id : match.player1_roster_id;
+          const meIsPlayer1 = meId === match.player1_user_id;
+          const otherRosterId = meIsPlayer1 ? match.player2_roster_id : match.player1_roster_id;
           const payload = {
             league_id: match.league_id,
             player2_roster_id: otherRosterId,
@@ -197,6 +204,11 @@ export default function MatchDetailPage() {
             player1_points_total: Number.isFinite(+values.player1_points_total) ? +values.player1_points_total : 0,
             player2_points_total: Number.isFinite(+values.player2_points_total) ? +values.player2_points_total : 0,
           };
+          if (match.is_doubles) {
+            payload.is_doubles = true;
+            payload.player1_partner_roster_id = meIsPlayer1 ? match.player1_partner_roster_id : match.player2_partner_roster_id;
+            payload.player2_partner_roster_id = meIsPlayer1 ? match.player2_partner_roster_id : match.player1_partner_roster_id;
+          }
           if (
             payload.league_id && payload.player2_roster_id &&
             payload.player1_sets_won != null && payload.player2_sets_won != null
@@ -253,6 +265,17 @@ export default function MatchDetailPage() {
 
   const p1Name = match.player1_display_name || match.player1_username || 'Player 1';
   const p2Name = match.player2_display_name || match.player2_username || 'Player 2';
+  // Doubles sides are named after both players; the stored ratings are team ratings
+  const side1Name = match.is_doubles ? `${p1Name} / ${match.player1_partner_display_name}` : p1Name;
+  const side2Name = match.is_doubles ? `${p2Name} / ${match.player2_partner_display_name}` : p2Name;
+  const rosterNames = {
+    [match.player1_roster_id]: p1Name,
+    [match.player2_roster_id]: p2Name,
+    ...(match.is_doubles ? {
+      [match.player1_partner_roster_id]: match.player1_partner_display_name,
+      [match.player2_partner_roster_id]: match.player2_partner_display_name,
+    } : {}),
+  };
 
   const deltaP1 = match.player1_elo_after != null && match.player1_elo_before != null ? match.player1_elo_after - match.player1_elo_before : null;
   const deltaP2 = match.player2_elo_after != null && match.player2_elo_before != null ? match.player2_elo_after - match.player2_elo_before : null;
@@ -271,13 +294,18 @@ export default function MatchDetailPage() {
               <Link to={`/app/profile/${match.player1_username}`} className="underline hover:no-underline">{p1Name}</Link>
             ) : (
               <span className="text-blue-400">{p1Name}</span>
-            )}{' '}
+            )}
+            {match.is_doubles && ` / ${match.player1_partner_display_name}`}{' '}
             {t('common.vs')}{' '}
             {match.player2_username ? (
               <Link to={`/app/profile/${match.player2_username}`} className="underline hover:no-underline">{p2Name}</Link>
             ) : (
               <span className="text-blue-400">{p2Name}</span>
             )}
+            {match.is_doubles && ` / ${match.player2_partner_display_name}`}
+            {match.is_doubles && (
+              <span className="ml-2 inline-flex items-center rounded border px-2 py-0.5 text-xs align-middle">{t('matchDetail.doubles')}</span>
+            )}
           </CardTitle>
           <CardDescription>
             {match.played_at ? `${t('matchDetail.played')}: ${format(new Date(match.played_at), 'PP p')}` : `${t('matchDetail.created')}: ${format(new Date(match.created_at), 'PP p')}`}
@@ -285,6 +313,24 @@ export default function MatchDetailPage() {
         </CardHeader>
         <CardContent className="text-sm space-y-2">
           <div>{t('matchDetail.statusLabel')}: {match.is_accepted ? t('status.accepted') : t('status.pending')}</div>
+          {match.confirmation_status && (
+            <div>
+              {t('matchConfirmation.statusLabel')}:{' '}
+              <span className="inline-flex items-center rounded border px-2 py-0.5 text-xs">{t(`matchConfirmation.statuses.${match.confirmation_status}`)}</span>
+              {match.confirmation_status === 'awaiting' && match.confirmation_deadline
+                ? ` · ${t('matchConfirmation.deadline', { date: format(new Date(match.confirmation_deadline), 'PP p') })}`
+                : ''}
+            </div>
+          )}
+          {dispute && (
+            <div className="text-muted-foreground">
+              {t('matchConfirmation.disputedScore', {
+                user: dispute.disputed_by_username || '…',
+                score: `${dispute.player1_sets_won} - ${dispute.player2_sets_won}`,
+              })}
+              {dispute.reason ? ` — ${dispute.reason}` : ''}
+            </div>
+          )}
           {match.is_accepted && (
             <div>
               ELO: {match.elo_applied ? (
@@ -302,7 +348,7 @@ export default function MatchDetailPage() {
           {match.is_accepted && (
             <div className="grid gap-1 md:grid-cols-2">
               <div>
-                <div className="text-muted-foreground">{p1Name} ELO</div>
+                <div className="text-muted-foreground">{match.is_doubles ? t('matchDetail.teamElo', { team: side1Name }) : `${p1Name} ELO`}</div>
                 <div>
                   {match.player1_elo_before} → {match.player1_elo_after} {deltaP1 != null && (
                     <span className={deltaP1 > 0 ? 'text-green-600' : deltaP1 < 0 ? 'text-red-600' : 'text-muted-foreground'}>
@@ -312,7 +358,7 @@ export default function MatchDetailPage() {
                 </div>
               </div>
               <div>
-                <div className="text-muted-foreground">{p2Name} ELO</div>
+                <div className="text-muted-foreground">{match.is_doubles ? t('matchDetail.teamElo', { team: side2Name }) : `${p2Name} ELO`}</div>
                 <div>
                   {match.player2_elo_before} → {match.player2_elo_after} {deltaP2 != null && (
                     <span className={deltaP2 > 0 ? 'text-green-600' : deltaP2 < 0 ? 'text-red-600' : 'text-muted-foreground'}>
@@ -323,6 +369,20 @@ export default function MatchDetailPage() {
               </div>
             </div>
           )}
+          {match.is_doubles && doublesRatings.length > 0 && (
+            <div className="space-y-1">
+              <div className="text-muted-foreground">{t('matchDetail.doublesRatings')}</div>
+              {doublesRatings.map((row, idx) => (
+                <div key={`${row.roster_id ?? 'pair'}-${row.pair_id ?? idx}`}>
+                  {row.roster_id ? rosterNames[row.roster_id] : (idx === 0 ? side1Name : side2Name)}:{' '}
+                  {row.elo_before} → {row.elo_after}{' '}
+                  <span className={row.elo_change > 0 ? 'text-green-600' : row.elo_change < 0 ? 'text-red-600' : 'text-muted-foreground'}>
+                    ({row.elo_change >= 0 ? '+' : ''}{row.elo_change})
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
         </CardContent>
       </Card>
 
@@ -367,7 +427,7 @@ export default function MatchDetailPage() {
                   control={form.control}
                   render={({ field }) => (
                     <FormItem>
-                      <FormLabel>{p1Name} sets won</FormLabel>
+                      <FormLabel>{side1Name} sets won</FormLabel>
                       <FormControl>
                         <Input type="number" min={0} max={gameTypeMetadata.setsToWin} {...field} onChange={(e) => field.onChange(Number(e.target.value))} disabled={!canEdit} />
                       </FormControl>
@@ -380,7 +440,7 @@ export default function MatchDetailPage() {
                   control={form.control}
                   render={({ field }) => (
                     <FormItem>
-                      <FormLabel>{p2Name} sets won</FormLabel>
+                      <FormLabel>{side2Name} sets won</FormLabel>
                       <FormControl>
                         <Input type="number" min={0} max={gameTypeMetadata.setsToWin} {...field} onChange={(e) => field.onChange(Number(e.target.value))} disabled={!canEdit} />
                       </FormControl>
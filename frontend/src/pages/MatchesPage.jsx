@@ -171,6 +171,7 @@ export default function MatchesPage() {
                           ) : (
                             <span className="text-blue-400">{m.player1_display_name}</span>
                           )}
+                          {m.is_doubles && m.player1_partner_display_name && ` / ${m.player1_partner_display_name}`}
                           {' '}
                           {t('common.vs')}
                           {' '}
@@ -181,6 +182,7 @@ export default function MatchesPage() {
                           ) : (
                             <span className="text-blue-400">{m.player2_display_name}</span>
                           )}
+                          {m.is_doubles && m.player2_partner_display_name && ` / ${m.player2_partner_display_name}`}
                         </td>
                         <td className="px-3 py-2"><Link to={`/app/matches/${m.id}`}>{m.player1_sets_won}-{m.player2_sets_won}</Link></td>
                         <td className="px-3 py-2">{m.is_accepted ? t('status.accepted') : t('status.pending')}</td>
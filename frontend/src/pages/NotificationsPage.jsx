@@ -2,11 +2,13 @@ import React, { useEffect, useRef, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
-import { notificationsAPI, leaguesAPI } from '@/services/api';
+import { notificationsAPI, leaguesAPI, matchesAPI } from '@/services/api';
 import { formatDistanceToNow } from 'date-fns';
 import { toast } from 'sonner';
-import { Bell, UserPlus } from 'lucide-react';
+import { Bell, CalendarDays, Scale, ShieldAlert, UserPlus } from 'lucide-react';
+import MatchDisputeDialog from '@/components/MatchDisputeDialog';
 import { useTranslation } from 'react-i18next';
+import { useRealtime } from '@/hooks/use-realtime';
 import {
   Pagination,
   PaginationContent,
@@ -39,13 +41,16 @@ export default function NotificationsPage() {
   const [acceptLoading, setAcceptLoading] = useState({});
   const [deleteLoading, setDeleteLoading] = useState({});
   const [markingAll, setMarkingAll] = useState(false);
+  const [confirmLoading, setConfirmLoading] = useState({});
+  const [disputeMatchId, setDisputeMatchId] = useState(null);
   const swipeRef = useRef({ id: null, startX: 0, startY: 0 });
 
   const fetchData = async (opts = {}) => {
     const nextPage = opts.page ?? page;
     const nextFilter = opts.filter ?? filter;
     try {
-      setLoading(true);
+      // Live refreshes keep the list on screen instead of showing the spinner
+      if (!opts.silent) setLoading(true);
       const res = await notificationsAPI.getAll({
         page: nextPage,
         limit: PAGE_SIZE,
@@ -57,7 +62,7 @@ export default function NotificationsPage() {
       setUnreadCount(res.data.unread_count || 0);
     } catch (e) {
       console.error('Failed to load notifications', e);
-      toast.error(t('notifications.loadError'));
+      if (!opts.silent) toast.error(t('notifications.loadError'));
     } finally {
       setLoading(false);
     }
@@ -68,6 +73,8 @@ export default function NotificationsPage() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [page, filter]);
 
+  useRealtime(['notification'], () => fetchData({ silent: true }));
+
   const handleMarkRead = async (id) => {
     try {
       await notificationsAPI.markAsRead(id);
@@ -120,6 +127,25 @@ export default function NotificationsPage() {
     }
   };
 
+  // Answering a result marks its confirmation request read on the server
+  const handleConfirmMatch = async (n) => {
+    try {
+      setConfirmLoading((s) => ({ ...s, [n.id]: true }));
+      const res = await matchesAPI.confirm(n.related_id);
+      toast.success(res.data?.message || t('matchConfirmation.confirmed'));
+      await fetchData();
+    } catch (err) {
+      toast.error(err.response?.data?.error || t('matchConfirmation.confirmError'));
+    } finally {
+      setConfirmLoading((s) => ({ ...s, [n.id]: false }));
+    }
+  };
+
+  const handleDisputed = async () => {
+    setDisputeMatchId(null);
+    await fetchData();
+  };
+
   const handleDelete = async (id) => {
     try {
       setDeleteLoading((s) => ({ ...s, [id]: true }));
@@ -201,6 +227,12 @@ export default function NotificationsPage() {
                 <div className="mt-0.5 text-muted-foreground">
                   {n.type === 'league_invite' ? (
                     <UserPlus className="h-5 w-5" />
+                  ) : n.type === 'match_confirmation' || n.type === 'match_disputed' ? (
+                    <Scale className="h-5 w-5" />
+                  ) : n.type === 'account_locked' || n.type === 'new_device_login' ? (
+                    <ShieldAlert className="h-5 w-5" />
+                  ) : n.type === 'weekly_digest' ? (
+                    <CalendarDays className="h-5 w-5" />
                   ) : (
                     <Bell className="h-5 w-5" />
                   )}
@@ -263,6 +295,34 @@ export default function NotificationsPage() {
                       )}
                     </div>
                   )}
+
+                  {n.type === 'weekly_digest' && n.related_id && (
+                    <div className="mt-3">
+                      <Link to={`/app/leagues/${n.related_id}`} className="text-xs text-primary underline">
+                        {t('matchDetail.viewLeague')}
+                      </Link>
+                    </div>
+                  )}
+
+                  {n.type === 'match_confirmation' && n.related_id && (
+                    <div className="mt-3 flex flex-wrap items-center gap-2">
+                      {!n.is_read ? (
+                        <>
+                          <Button size="sm" onClick={() => handleConfirmMatch(n)} disabled={!!confirmLoading[n.id]}>
+                            {confirmLoading[n.id] ? t('status.updating') : t('matchConfirmation.confirm')}
+                          </Button>
+                          <Button size="sm" variant="outline" onClick={() => setDisputeMatchId(n.related_id)}>
+                            {t('matchConfirmation.dispute')}
+                          </Button>
+                        </>
+                      ) : (
+                        <div className="text-xs text-muted-foreground">{t('matchConfirmation.answered')}</div>
+                      )}
+                      <Link to={`/app/matches/${n.related_id}`} className="text-xs text-primary underline">
+                        {t('matchConfirmation.viewMatch')}
+                      </Link>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -270,6 +330,12 @@ export default function NotificationsPage() {
         </div>
       )}
 
+      <MatchDisputeDialog
+        matchId={disputeMatchId}
+        onOpenChange={(open) => { if (!open) setDisputeMatchId(null); }}
+        onDisputed={handleDisputed}
+      />
+
       <div className="mt-6">
         <Pagination>
           <PaginationContent>
@@ -6,19 +6,23 @@ import { Button } from '@/components/ui/button';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Badge } from '@/components/ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
-import { User, Trophy, TrendingUp, Calendar, Users, Swords, ExternalLink, Award } from 'lucide-react';
+import { User, Trophy, TrendingUp, Calendar, Users, Swords, ExternalLink, Award, Activity } from 'lucide-react';
 import { Avatar, AvatarImage, AvatarFallback } from '@/components/ui/avatar';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
-import { usersAPI, leaguesAPI } from '@/services/api';
+import { usersAPI, leaguesAPI, authAPI } from '@/services/api';
 import { toast } from 'sonner';
 import { format } from 'date-fns';
 import { BadgeGrid } from '@/components/BadgeDisplay';
+import PlayingProfile from '@/components/PlayingProfile';
+import ActiveSessions from '@/components/ActiveSessions';
+import NotificationSettings from '@/components/NotificationSettings';
+import TwoFactorSettings from '@/components/TwoFactorSettings';
 import { useTranslation } from 'react-i18next';
 import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
 
 const ProfilePage = () => {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   const { username } = useParams(); // Get username from URL if provided
   const { user: currentUser, isAuthenticated, refreshUser } = useAuth();
   
@@ -34,6 +38,7 @@ const ProfilePage = () => {
   const [eloError, setEloError] = useState(null);
   const [timeWindow, setTimeWindow] = useState('all'); // 30, 90, all
   const [savingProfile, setSavingProfile] = useState(false);
+  const [resendingVerification, setResendingVerification] = useState(false);
   const [avatarUrl, setAvatarUrl] = useState('');
   const [profileFields, setProfileFields] = useState({
     forehand_rubber: '',
@@ -314,6 +319,18 @@ const ProfilePage = () => {
     );
   };
 
+  const handleResendVerification = async () => {
+    try {
+      setResendingVerification(true);
+      await authAPI.resendVerification(i18n.language);
+      toast.success(t('auth.verify.resent', { email: currentUser.email }));
+    } catch (e) {
+      toast.error(e?.response?.data?.error || t('auth.verify.resendError'));
+    } finally {
+      setResendingVerification(false);
+    }
+  };
+
   const handleProfileSave = async () => {
     try {
       setSavingProfile(true);
@@ -360,13 +377,24 @@ const ProfilePage = () => {
           </p>
         </div>
         {!isOwnProfile && isAuthenticated && (
-          <Link
-            to="/profile"
-            className="inline-flex items-center gap-2 text-sm text-muted-foreground hover:text-foreground self-start sm:self-auto"
-          >
-            <ExternalLink className="h-4 w-4" />
-            {t('profile.myProfile')}
-          </Link>
+          <div className="flex items-center gap-4 self-start sm:self-auto">
+            {stats?.user?.id && (
+              <Link
+                to={`/app/head-to-head/${currentUser.id}/${stats.user.id}`}
+                className="inline-flex items-center gap-2 text-sm text-muted-foreground hover:text-foreground"
+              >
+                <Swords className="h-4 w-4" />
+                {t('headToHead.compare')}
+              </Link>
+            )}
+            <Link
+              to="/profile"
+              className="inline-flex items-center gap-2 text-sm text-muted-foreground hover:text-foreground"
+            >
+              <ExternalLink className="h-4 w-4" />
+              {t('profile.myProfile')}
+            </Link>
+          </div>
         )}
       </div>
 
@@ -422,7 +450,19 @@ const ProfilePage = () => {
             {isOwnProfile && currentUser.email && (
               <div>
                 <label className="text-sm font-medium text-muted-foreground">Email</label>
-                <p className="text-lg">{currentUser.email}</p>
+                <div className="flex flex-wrap items-center gap-2">
+                  <p className="text-lg">{currentUser.email}</p>
+                  {currentUser.email_verified ? (
+                    <Badge variant="secondary">{t('auth.verify.verified')}</Badge>
+                  ) : (
+                    <>
+                      <Badge variant="outline">{t('auth.verify.unverified')}</Badge>
+                      <Button size="sm" variant="link" className="h-auto p-0" onClick={handleResendVerification} disabled={resendingVerification}>
+                        {t('auth.verify.resend')}
+                      </Button>
+                    </>
+                  )}
+                </div>
               </div>
             )}
             <div>
@@ -464,103 +504,129 @@ const ProfilePage = () => {
         </Card>
       </div>
 
-      {/* ELO History Chart - Only for own profile */}
-      {isOwnProfile && (
-        <Card>
-          <CardHeader className="py-3">
-            <CardTitle className="flex items-center">
-              <TrendingUp className="h-5 w-5 mr-2" />
-              {t('profile.eloHistory')}
-            </CardTitle>
-            <CardDescription>
-              {t('profile.eloHistoryDesc')}
-            </CardDescription>
-          </CardHeader>
-          <CardContent className="pt-0">
-            <div className="space-y-3">
-              <div className="flex items-center gap-3 flex-wrap">
-                <div className="flex items-center gap-2">
-                  <label className="text-sm font-medium">{t('recordMatch.leagueLabel')}:</label>
-                  {userLeagues.length === 0 ? (
-                    <div className="text-sm text-muted-foreground">{t('profile.noLeaguesYet')}</div>
-                  ) : (
-                    <Select value={selectedLeague} onValueChange={setSelectedLeague}>
-                      <SelectTrigger className="w-48 h-8">
-                        <SelectValue placeholder={t('recordMatch.selectLeague')} />
-                      </SelectTrigger>
-                      <SelectContent>
-                        {userLeagues.map(league => (
-                          <SelectItem key={league.id} value={league.id}>
-                            {league.name}
-                          </SelectItem>
-                        ))}
-                      </SelectContent>
-                    </Select>
-                  )}
-                </div>
+      <Tabs defaultValue="overview" className="space-y-4">
+        <TabsList>
+          <TabsTrigger value="overview">{t('playingProfile.overviewTab')}</TabsTrigger>
+          <TabsTrigger value="playing">{t('playingProfile.title')}</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="overview" className="space-y-4">
+          {/* ELO History Chart - Only for own profile */}
+          {isOwnProfile && (
+            <Card>
+              <CardHeader className="py-3">
+                <CardTitle className="flex items-center">
+                  <TrendingUp className="h-5 w-5 mr-2" />
+                  {t('profile.eloHistory')}
+                </CardTitle>
+                <CardDescription>
+                  {t('profile.eloHistoryDesc')}
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="pt-0">
+                <div className="space-y-3">
+                  <div className="flex items-center gap-3 flex-wrap">
+                    <div className="flex items-center gap-2">
+                      <label className="text-sm font-medium">{t('recordMatch.leagueLabel')}:</label>
+                      {userLeagues.length === 0 ? (
+                        <div className="text-sm text-muted-foreground">{t('profile.noLeaguesYet')}</div>
+                      ) : (
+                        <Select value={selectedLeague} onValueChange={setSelectedLeague}>
+                          <SelectTrigger className="w-48 h-8">
+                            <SelectValue placeholder={t('recordMatch.selectLeague')} />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {userLeagues.map(league => (
+                              <SelectItem key={league.id} value={league.id}>
+                                {league.name}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      )}
+                    </div>
                 
-                <div className="flex items-center gap-2">
-                  <label className="text-sm font-medium">{t('profile.timeWindow')}:</label>
-                  <Select value={timeWindow} onValueChange={setTimeWindow}>
-                    <SelectTrigger className="w-24 h-8">
-                      <SelectValue />
-                    </SelectTrigger>
-                    <SelectContent>
-                      <SelectItem value="30">30 {t('profile.days')}</SelectItem>
-                      <SelectItem value="90">90 {t('profile.days')}</SelectItem>
-                      <SelectItem value="all">{t('profile.allTime')}</SelectItem>
-                    </SelectContent>
-                  </Select>
+                    <div className="flex items-center gap-2">
+                      <label className="text-sm font-medium">{t('profile.timeWindow')}:</label>
+                      <Select value={timeWindow} onValueChange={setTimeWindow}>
+                        <SelectTrigger className="w-24 h-8">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="30">30 {t('profile.days')}</SelectItem>
+                          <SelectItem value="90">90 {t('profile.days')}</SelectItem>
+                          <SelectItem value="all">{t('profile.allTime')}</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  </div>
+
+                  {renderEloChart()}
                 </div>
-              </div>
+              </CardContent>
+            </Card>
+          )}
 
-              {renderEloChart()}
-            </div>
-          </CardContent>
-        </Card>
-      )}
+                 {/* League-specific Stats */}
+           {stats?.by_league && stats.by_league.length > 0 && (
+             <Card>
+               <CardHeader className="py-3">
+                 <CardTitle className="flex items-center">
+                   <Users className="h-5 w-5 mr-2" />
+                   {t('profile.leaguePerformance')}
+                 </CardTitle>
+               </CardHeader>
+               <CardContent>
+                 <div className="grid gap-3 md:grid-cols-2 lg:grid-cols-3">
+                   {stats.by_league.map(league => (
+                     <Card key={league.id || league.league_id} className="p-3">
+                       <div className="space-y-1.5">
+                         <div className="flex items-center justify-between gap-2">
+                           <h3 className="font-semibold">{league.name || league.league_name}</h3>
+                           {(league.is_league_admin || league.is_admin) && (
+                             <Badge variant="default" className="bg-yellow-500/20 text-yellow-400 border-yellow-500/30">
+                               Admin
+                             </Badge>
+                           )}
+                         </div>
+                         <div className="flex items-center justify-between">
+                           <span className="text-sm text-muted-foreground">ELO</span>
+                           <Badge variant="secondary">{league.current_elo}</Badge>
+                         </div>
+                         <div className="flex items-center justify-between">
+                           <span className="text-sm text-muted-foreground">{t('nav.matches')}</span>
+                           <span>{league.matches_played}</span>
+                         </div>
+                         <div className="flex items-center justify-between">
+                           <span className="text-sm text-muted-foreground">{t('profile.winRateLabel')}</span>
+                           <span>{league.win_rate}%</span>
+                         </div>
+                       </div>
+                     </Card>
+                   ))}
+                 </div>
+               </CardContent>
+             </Card>
+           )}
+        </TabsContent>
 
-             {/* League-specific Stats */}
-       {stats?.by_league && stats.by_league.length > 0 && (
-         <Card>
-           <CardHeader className="py-3">
-             <CardTitle className="flex items-center">
-               <Users className="h-5 w-5 mr-2" />
-               {t('profile.leaguePerformance')}
-             </CardTitle>
-           </CardHeader>
-           <CardContent>
-             <div className="grid gap-3 md:grid-cols-2 lg:grid-cols-3">
-               {stats.by_league.map(league => (
-                 <Card key={league.id || league.league_id} className="p-3">
-                   <div className="space-y-1.5">
-                     <div className="flex items-center justify-between gap-2">
-                       <h3 className="font-semibold">{league.name || league.league_name}</h3>
-                       {(league.is_league_admin || league.is_admin) && (
-                         <Badge variant="default" className="bg-yellow-500/20 text-yellow-400 border-yellow-500/30">
-                           Admin
-                         </Badge>
-                       )}
-                     </div>
-                     <div className="flex items-center justify-between">
-                       <span className="text-sm text-muted-foreground">ELO</span>
-                       <Badge variant="secondary">{league.current_elo}</Badge>
-                     </div>
-                     <div className="flex items-center justify-between">
-                       <span className="text-sm text-muted-foreground">{t('nav.matches')}</span>
-                       <span>{league.matches_played}</span>
-                     </div>
-                     <div className="flex items-center justify-between">
-                       <span className="text-sm text-muted-foreground">{t('profile.winRateLabel')}</span>
-                       <span>{league.win_rate}%</span>
-                     </div>
-                   </div>
-                 </Card>
-               ))}
-             </div>
-           </CardContent>
-         </Card>
-       )}
+        <TabsContent value="playing">
+          <Card>
+            <CardHeader className="py-3">
+              <CardTitle className="flex items-center">
+                <Activity className="h-5 w-5 mr-2" />
+                {t('playingProfile.title')}
+              </CardTitle>
+              <CardDescription>
+                {t('playingProfile.description')}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="pt-0">
+              <PlayingProfile userId={isOwnProfile ? currentUser?.id : stats?.user?.id} />
+            </CardContent>
+          </Card>
+        </TabsContent>
+      </Tabs>
 
        {/* Badges Section */}
        <Card>
@@ -644,6 +710,10 @@ const ProfilePage = () => {
           )}
         </CardContent>
       </Card>
+
+      {isOwnProfile && <NotificationSettings />}
+      {isOwnProfile && <TwoFactorSettings />}
+      {isOwnProfile && <ActiveSessions />}
     </div>
   );
 };
@@ -1,7 +1,8 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '@/contexts/AuthContext';
-import { leaguesAPI, matchesAPI } from '@/services/api';
+import { leaguesAPI } from '@/services/api';
+import { submitMatch } from '@/lib/offlineQueue';
 import { toast } from 'sonner';
 import { useTranslation } from 'react-i18next';
 import { Zap, Check, Trophy, Pencil } from 'lucide-react';
@@ -32,6 +33,9 @@ export default function QuickMatchPage() {
   const [selectedOpponent, setSelectedOpponent] = useState(null);
   const [selectedPlayer1, setSelectedPlayer1] = useState(null);
   const [adminMode, setAdminMode] = useState(false);
+  const [doubles, setDoubles] = useState(false);
+  const [selectedPartner1, setSelectedPartner1] = useState(null);
+  const [selectedPartner2, setSelectedPartner2] = useState(null);
   const [selectedGameType, setSelectedGameType] = useState('best_of_3');
   const [setScores, setSetScores] = useState([]);
 
@@ -70,11 +74,24 @@ export default function QuickMatchPage() {
   const canRecordForOthers = isAdmin || isLeagueAdmin;
 
   const opponentOptions = useMemo(() => {
+    const available = members.filter(
+      (m) => m.roster_id !== selectedPartner1 && m.roster_id !== selectedPartner2,
+    );
     if (adminMode) {
-      return members.filter((m) => m.roster_id !== selectedPlayer1);
+      return available.filter((m) => m.roster_id !== selectedPlayer1);
     }
-    return members.filter((m) => m.user_id !== me?.id);
-  }, [adminMode, members, me?.id, selectedPlayer1]);
+    return available.filter((m) => m.user_id !== me?.id);
+  }, [adminMode, members, me?.id, selectedPlayer1, selectedPartner1, selectedPartner2]);
+
+  // Partners exclude everyone already on court (and yourself unless recording for others)
+  const partnerOptions = (ownSelection) => {
+    const taken = [selectedPlayer1, selectedOpponent, selectedPartner1, selectedPartner2]
+      .filter((rosterId) => rosterId !== null && rosterId !== ownSelection);
+    return members.filter((m) => {
+      if (!adminMode && m.user_id === me?.id) return false;
+      return !taken.includes(m.roster_id);
+    });
+  };
 
   const matchDecided =
     player1SetsWon >= gameType.setsToWin || player2SetsWon >= gameType.setsToWin;
@@ -82,11 +99,20 @@ export default function QuickMatchPage() {
   const player1Member = adminMode
     ? members.find((m) => m.roster_id === selectedPlayer1)
     : myMembership;
-  const youLabel = adminMode
-    ? (player1Member?.display_name || t('quickMatch.player1'))
-    : (me?.username || t('recordMatch.you'));
-  const opponentName =
-    members.find((m) => m.roster_id === selectedOpponent)?.display_name || t('recordMatch.opponent');
+  const memberName = (rosterId) => members.find((m) => m.roster_id === rosterId)?.display_name;
+  const withPartner = (name, partnerId) => (
+    doubles && partnerId !== null ? `${name} / ${memberName(partnerId)}` : name
+  );
+  const youLabel = withPartner(
+    adminMode
+      ? (player1Member?.display_name || t('quickMatch.player1'))
+      : (me?.username || t('recordMatch.you')),
+    selectedPartner1,
+  );
+  const opponentName = withPartner(
+    memberName(selectedOpponent) || t('recordMatch.opponent'),
+    selectedPartner2,
+  );
 
   const activeIndex =
     editingSet !== null
@@ -95,7 +121,9 @@ export default function QuickMatchPage() {
         ? -1
         : Math.min(setScores.length, gameType.maxSets - 1);
 
-  const playersReady = selectedOpponent !== null && (!adminMode || selectedPlayer1 !== null);
+  const playersReady = selectedOpponent !== null
+    && (!adminMode || selectedPlayer1 !== null)
+    && (!doubles || (selectedPartner1 !== null && selectedPartner2 !== null));
 
   const showActiveEntry =
     selectedLeague !== null &&
@@ -126,11 +154,15 @@ export default function QuickMatchPage() {
       setMembers([]);
       setSelectedOpponent(null);
       setSelectedPlayer1(null);
+      setSelectedPartner1(null);
+      setSelectedPartner2(null);
       setAdminMode(false);
       return;
     }
     setSelectedOpponent(null);
     setSelectedPlayer1(null);
+    setSelectedPartner1(null);
+    setSelectedPartner2(null);
     setAdminMode(false);
     const loadMembers = async () => {
       try {
@@ -161,6 +193,13 @@ export default function QuickMatchPage() {
     }
   }, [adminMode, members, me?.id]);
 
+  useEffect(() => {
+    if (!doubles) {
+      setSelectedPartner1(null);
+      setSelectedPartner2(null);
+    }
+  }, [doubles]);
+
   useEffect(() => {
     if (setScores.length > gameType.maxSets) {
       setSetScores((prev) => prev.slice(0, gameType.maxSets));
@@ -236,8 +275,13 @@ export default function QuickMatchPage() {
       if (adminMode && selectedPlayer1) {
         payload.player1_roster_id = selectedPlayer1;
       }
-      await matchesAPI.create(payload);
-      toast.success(t('recordMatch.matchRecordedSuccess'));
+      if (doubles) {
+        payload.is_doubles = true;
+        payload.player1_partner_roster_id = selectedPartner1;
+        payload.player2_partner_roster_id = selectedPartner2;
+      }
+      const { queued } = await submitMatch(payload);
+      toast.success(queued ? t('offline.queued') : t('recordMatch.matchRecordedSuccess'));
       navigate('/app/matches');
     } catch (err) {
       const msg = err.response?.data?.error || t('recordMatch.failedToRecordMatch');
@@ -260,6 +304,32 @@ export default function QuickMatchPage() {
     <div aria-hidden="true" className="h-px w-full" style={{ background: 'var(--line-soft)' }} />
   );
 
+  const renderPartnerSelect = (label, value, onChange) => (
+    <>
+      <div className="space-y-2">
+        <div className={eyebrow}>{label}</div>
+        <Select
+          value={value?.toString() || ''}
+          onValueChange={(v) => onChange(Number(v))}
+          disabled={!selectedLeague || loadingMembers}
+        >
+          <SelectTrigger className="w-full h-12 text-[15px]">
+            <SelectValue placeholder={t('recordMatch.selectPartner')} />
+          </SelectTrigger>
+          <SelectContent>
+            {partnerOptions(value).map((m) => (
+              <SelectItem key={m.roster_id} value={String(m.roster_id)} className="text-base py-2.5">
+                {m.display_name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {divider}
+    </>
+  );
+
   return (
     <div className="px-4 py-6 mx-auto w-full max-w-[560px]">
       {/* HEADER */}
@@ -325,6 +395,28 @@ export default function QuickMatchPage() {
 
         {divider}
 
+        {/* DOUBLES */}
+        {selectedLeague && (
+          <>
+            <div
+              className="flex items-center justify-between rounded-md px-3 py-2.5"
+              style={{ border: '1.5px solid var(--line-soft)', background: 'var(--bg-3, transparent)' }}
+            >
+              <div className="pr-3">
+                <div className="text-[14px] font-medium" style={{ color: 'var(--fg)' }}>
+                  {t('recordMatch.doublesLabel')}
+                </div>
+                <div className="text-[12px]" style={{ color: 'var(--fg-3)' }}>
+                  {t('recordMatch.doublesHint')}
+                </div>
+              </div>
+              <Switch checked={doubles} onCheckedChange={setDoubles} />
+            </div>
+
+            {divider}
+          </>
+        )}
+
         {/* ADMIN: Record for another person */}
         {selectedLeague && canRecordForOthers && (
           <>
@@ -385,6 +477,13 @@ export default function QuickMatchPage() {
           </>
         )}
 
+        {/* PARTNER (doubles) */}
+        {doubles && renderPartnerSelect(
+          adminMode ? t('recordMatch.player1PartnerLabel') : t('recordMatch.partnerLabel'),
+          selectedPartner1,
+          setSelectedPartner1,
+        )}
+
         {/* OPPONENT */}
         <div className="space-y-2">
           <div className={eyebrow}>
@@ -419,6 +518,13 @@ export default function QuickMatchPage() {
 
         {divider}
 
+        {/* OPPONENT PARTNER (doubles) */}
+        {doubles && renderPartnerSelect(
+          adminMode ? t('recordMatch.player2PartnerLabel') : t('recordMatch.opponentPartnerLabel'),
+          selectedPartner2,
+          setSelectedPartner2,
+        )}
+
         {/* FORMAT */}
         <div className="space-y-2">
           <div className={eyebrow}>{t('matchDetail.gameType')}</div>
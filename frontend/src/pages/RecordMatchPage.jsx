@@ -5,6 +5,7 @@ import { z } from 'zod';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { useAuth } from '@/contexts/AuthContext';
 import { leaguesAPI, matchesAPI } from '@/services/api';
+import { submitMatch } from '@/lib/offlineQueue';
 import { toast } from 'sonner';
 
 import { Button } from '@/components/ui/button';
@@ -242,8 +243,8 @@ export default function RecordMatchPage() {
         .filter((s) => Number(s.p1) > 0 || Number(s.p2) > 0)
         .map((s) => ({ player1_score: Number(s.p1) || 0, player2_score: Number(s.p2) || 0 }));
       if (nonEmptySets.length > 0) payload.sets = nonEmptySets;
-      await matchesAPI.create(payload);
-      toast.success(t('recordMatch.matchRecordedSuccess'));
+      const { queued } = await submitMatch(payload);
+      toast.success(queued ? t('offline.queued') : t('recordMatch.matchRecordedSuccess'));
       navigate('/app/matches');
     } catch (err) {
       const msg = err.response?.data?.error || t('recordMatch.failedToRecordMatch');
@@ -6,6 +6,7 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Eye, EyeOff } from 'lucide-react';
+import { toast } from 'sonner';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import PublicHeader from '@/components/layout/PublicHeader';
 import SiteFooter from '@/components/layout/SiteFooter';
@@ -13,7 +14,7 @@ import { BrandMark } from '@/components/layout/Brand';
 import { useTranslation } from 'react-i18next';
 
 const RegisterPage = () => {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   const [formData, setFormData] = useState({
     username: '',
     password: '',
@@ -55,7 +56,11 @@ const RegisterPage = () => {
     delete data.confirmPassword;
     delete data.website;
     if (!data.email) delete data.email;
-    await register(data);
+    data.language = i18n.language;
+    const result = await register(data);
+    if (result.emailVerificationSent) {
+      toast.success(t('auth.register.verificationSent', { email: result.user.email }));
+    }
   };
 
   return (
@@ -189,8 +194,10 @@ const RegisterPage = () => {
                   placeholder="you@club.com"
                   autoComplete="email"
                 />
-                {validationErrors.email && (
+                {validationErrors.email ? (
                   <p className="text-xs text-[var(--bad)]">{validationErrors.email}</p>
+                ) : (
+                  <p className="text-xs text-[var(--fg-3)]">{t('auth.register.emailHint')}</p>
                 )}
               </div>
 
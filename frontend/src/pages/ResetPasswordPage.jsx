@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Eye, EyeOff } from 'lucide-react';
+import { toast } from 'sonner';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import PublicHeader from '@/components/layout/PublicHeader';
+import SiteFooter from '@/components/layout/SiteFooter';
+import { authAPI } from '@/services/api';
+import { useTranslation } from 'react-i18next';
+
+const ResetPasswordPage = () => {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [invalidLink, setInvalidLink] = useState(!token);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password.length < 6) {
+      setError(t('auth.validation.passwordMin'));
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError(t('auth.validation.passwordMismatch'));
+      return;
+    }
+    try {
+      setError(null);
+      setSubmitting(true);
+      await authAPI.resetPassword({ token, password });
+      toast.success(t('auth.reset.success'));
+      navigate('/login', { replace: true });
+    } catch (err) {
+      if (err.response?.data?.code === 'INVALID_TOKEN') {
+        setInvalidLink(true);
+      } else {
+        setError(err.response?.data?.error || t('auth.reset.error'));
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      <PublicHeader />
+
+      <div className="flex-1 px-6 py-14 md:py-20 flex items-center justify-center">
+        <div className="w-full max-w-[380px]">
+          <h2 className="text-[26px] font-bold tracking-tight mb-1.5">{t('auth.reset.title')}</h2>
+
+          {invalidLink ? (
+            <>
+              <Alert variant="destructive" className="mt-5">
+                <AlertDescription>{t('auth.reset.invalidLink')}</AlertDescription>
+              </Alert>
+              <div className="text-center mt-5 text-[13px]">
+                <Link to="/forgot-password" className="text-[var(--accent)] hover:underline">
+                  {t('auth.reset.requestNew')}
+                </Link>
+              </div>
+            </>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <p className="text-[14px] text-[var(--fg-3)] mb-7">{t('auth.reset.sub')}</p>
+
+              {error && (
+                <Alert variant="destructive" className="mb-4">
+                  <AlertDescription>{error}</AlertDescription>
+                </Alert>
+              )}
+
+              <div className="space-y-3.5">
+                <div className="space-y-1.5">
+                  <Label htmlFor="password" className="tt-field-label">
+                    {t('auth.reset.password')}
+                  </Label>
+                  <div className="relative">
+                    <Input
+                      id="password"
+                      name="password"
+                      type={showPassword ? 'text' : 'password'}
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      required
+                      className="tt-field-input pr-10"
+                      placeholder={t('auth.register.passwordPlaceholder')}
+                      autoComplete="new-password"
+                    />
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      className="absolute right-1 top-1/2 -translate-y-1/2 h-8 w-8 p-0"
+                      onClick={() => setShowPassword(!showPassword)}
+                      tabIndex={-1}
+                    >
+                      {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                    </Button>
+                  </div>
+                </div>
+
+                <div className="space-y-1.5">
+                  <Label htmlFor="confirmPassword" className="tt-field-label">
+                    {t('auth.register.confirmPassword')}
+                  </Label>
+                  <Input
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    type={showPassword ? 'text' : 'password'}
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    required
+                    className="tt-field-input"
+                    autoComplete="new-password"
+                  />
+                </div>
+              </div>
+
+              <Button
+                type="submit"
+                disabled={submitting}
+                className="w-full bg-[var(--accent)] text-[var(--accent-ink)] hover:bg-[var(--accent-2)] rounded-full font-bold py-6 text-[15px] tt-btn-primary mt-7"
+              >
+                {submitting ? (
+                  <>
+                    <LoadingSpinner size="sm" className="mr-2" />
+                    {t('auth.reset.saving')}
+                  </>
+                ) : (
+                  t('auth.reset.submit')
+                )}
+              </Button>
+            </form>
+          )}
+        </div>
+      </div>
+      <SiteFooter />
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
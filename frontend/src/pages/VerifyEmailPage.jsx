@@ -0,0 +1,78 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { CheckCircle2 } from 'lucide-react';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import PublicHeader from '@/components/layout/PublicHeader';
+import SiteFooter from '@/components/layout/SiteFooter';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '@/services/api';
+import { useTranslation } from 'react-i18next';
+
+const VerifyEmailPage = () => {
+  const { t } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(null);
+  // Tokens are single-use, so the request must not repeat when the effect runs twice
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+    const verify = async () => {
+      try {
+        await authAPI.verifyEmail(token);
+        setStatus('verified');
+        if (isAuthenticated) refreshUser();
+      } catch (err) {
+        setError(err.response?.data?.error || null);
+        setStatus('error');
+      }
+    };
+    verify();
+  }, [token, isAuthenticated, refreshUser]);
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      <PublicHeader />
+
+      <div className="flex-1 px-6 py-14 md:py-20 flex items-center justify-center">
+        <div className="w-full max-w-[380px]">
+          <h2 className="text-[26px] font-bold tracking-tight mb-5">{t('auth.verify.title')}</h2>
+
+          {status === 'verifying' && (
+            <div className="flex items-center gap-3 text-[14px] text-[var(--fg-3)]">
+              <LoadingSpinner size="sm" />
+              {t('auth.verify.verifying')}
+            </div>
+          )}
+          {status === 'verified' && (
+            <Alert>
+              <CheckCircle2 className="h-4 w-4" />
+              <AlertDescription>{t('auth.verify.success')}</AlertDescription>
+            </Alert>
+          )}
+          {status === 'error' && (
+            <Alert variant="destructive">
+              <AlertDescription>{error || t('auth.verify.invalidLink')}</AlertDescription>
+            </Alert>
+          )}
+
+          {status !== 'verifying' && (
+            <div className="text-center mt-5 text-[13px]">
+              <Link to={isAuthenticated ? '/app/profile' : '/login'} className="text-[var(--accent)] hover:underline">
+                {isAuthenticated ? t('auth.verify.toProfile') : t('auth.verify.toLogin')}
+              </Link>
+            </div>
+          )}
+        </div>
+      </div>
+      <SiteFooter />
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
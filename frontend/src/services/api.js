@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { getDeviceId } from '@/lib/deviceId';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -61,6 +62,17 @@ export const clearApiCache = () => {
   inflightRequests.clear();
 };
 
+// Drop cached responses for a path and everything below it, e.g. '/leagues/5'
+export const invalidateApiCache = (path) => {
+  const baseUrl = typeof api.defaults.baseURL === 'string' ? api.defaults.baseURL : '';
+  const prefixes = [`get:${baseUrl}${path}?`, `get:${baseUrl}${path}/`];
+  for (const key of responseCache.keys()) {
+    if (prefixes.some((prefix) => key.startsWith(prefix))) {
+      responseCache.delete(key);
+    }
+  }
+};
+
 export const cachedGet = (url, config = {}, options = {}) => {
   const { ttlMs } = resolveCacheOptions(options);
   const cacheKey = buildCacheKey('get', url, config);
@@ -112,30 +124,95 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle auth errors
+let refreshPromise = null;
+
+// Swap the stored refresh token for a new token pair. Concurrent callers share one request,
+// since the server accepts each refresh token only once.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+      try {
+        // Plain axios, so a failed refresh does not pass through the interceptor below
+        const response = await axios.post(`${api.defaults.baseURL}/auth/refresh`, { refresh_token: refreshToken }, {
+          timeout: api.defaults.timeout,
+        });
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refresh_token);
+        return response.data.token;
+      } catch (error) {
+        // Another tab rotated the token first and stored the new pair
+        const stored = localStorage.getItem('refreshToken');
+        if (error.response?.data?.code === 'REFRESH_TOKEN_ROTATED' && stored && stored !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  // Only redirect if we're on an /app/* route (logged-in area)
+  if (window.location.pathname.startsWith('/app')) {
+    window.location.href = '/login';
+  }
+};
+
+// Response interceptor: renew an expired access token once, then retry the request
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      // Only redirect if we're on an /app/* route (logged-in area)
-      if (window.location.pathname.startsWith('/app')) {
-        window.location.href = '/login';
+  async (error) => {
+    const original = error.config;
+    if (error.response?.status !== 401 || !original?.headers?.Authorization) {
+      return Promise.reject(error);
+    }
+    if (!original._retried && localStorage.getItem('refreshToken')) {
+      original._retried = true;
+      try {
+        await refreshAccessToken();
+        return api(original);
+      } catch (refreshError) {
+        // Offline or server trouble: keep the session and let the caller handle the error
+        if (!refreshError.response) {
+          return Promise.reject(error);
+        }
       }
     }
+    clearSession();
     return Promise.reject(error);
   }
 );
 
 // Auth API
 export const authAPI = {
-  register: (userData) => api.post('/auth/register', userData),
-  login: (credentials) => api.post('/auth/login', credentials),
-  logout: () => api.post('/auth/logout'),
+  register: (userData) => api.post('/auth/register', { ...userData, device_id: getDeviceId() }),
+  login: (credentials) => api.post('/auth/login', { ...credentials, device_id: getDeviceId() }),
+  logout: (refreshToken) => api.post('/auth/logout', { refresh_token: refreshToken }),
   getMe: (options) => cachedGet('/auth/me', {}, options),
   updateProfile: (userData) => api.put('/auth/profile', userData),
+  forgotPassword: (data) => api.post('/auth/forgot-password', data),
+  resetPassword: (data) => api.post('/auth/reset-password', data),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: (language) => api.post('/auth/verify-email/resend', { language }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  loginTwoFactor: (data) => api.post('/auth/login/2fa', { ...data, device_id: getDeviceId() }),
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  setupTwoFactor: (challengeToken) => api.post('/auth/2fa/setup', challengeToken ? { challenge_token: challengeToken } : {}),
+  enableTwoFactor: (data) => api.post('/auth/2fa/enable', { ...data, device_id: getDeviceId() }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
 };
 
 // Users API
@@ -144,11 +221,14 @@ export const usersAPI = {
   getById: (id, options) => cachedGet(`/users/${id}`, {}, options),
   update: (id, userData) => api.put(`/users/${id}`, userData),
   delete: (id) => api.delete(`/users/${id}`),
+  resetTwoFactor: (id) => api.delete(`/users/${id}/2fa`),
   getStats: (id, options) => cachedGet(`/users/${id}/stats`, {}, options),
   getTimelineStats: (id, options) => cachedGet(`/users/${id}/timeline-stats`, {}, options),
   getBadges: (id, options) => cachedGet(`/users/${id}/badges`, {}, options),
   getEloHistory: (id, params, options) => cachedGet(`/users/${id}/elo-history`, { params }, options),
   getPublicProfile: (username, options) => cachedGet(`/users/profile/${username}`, {}, options),
+  getHeadToHead: (id, opponentId, params, options) => cachedGet(`/users/${id}/head-to-head/${opponentId}`, { params }, options),
+  getSetAnalytics: (id, params, options) => cachedGet(`/users/${id}/set-analytics`, { params }, options),
   checkBadgesTables: () => api.post('/users/check-badges-tables'),
 };
 
@@ -172,6 +252,7 @@ export const leaguesAPI = {
   getMatches: (id, params, options) => cachedGet(`/leagues/${id}/matches`, { params }, options),
   getEloTimeline: (id, params, options) => cachedGet(`/leagues/${id}/elo-timeline`, { params }, options),
   getEloRange: (id, options) => cachedGet(`/leagues/${id}/elo-range`, {}, options),
+  getDigest: (id, options) => cachedGet(`/leagues/${id}/digest`, {}, options),
   // Admin tools
   listInvites: (id, params, options) => cachedGet(`/leagues/${id}/invites`, { params }, options),
   revokeInvite: (id, inviteId) => api.delete(`/leagues/${id}/invites/${inviteId}`),
@@ -182,22 +263,60 @@ export const leaguesAPI = {
   createRosterMember: (id, display_name) => api.post(`/leagues/${id}/roster`, { display_name }),
   assignRosterMember: (id, rosterId, user_id) => api.post(`/leagues/${id}/roster/${rosterId}/assign`, { user_id }),
   getRosterEloHistory: (id, rosterId, params, options) => cachedGet(`/leagues/${id}/roster/${rosterId}/elo-history`, { params }, options),
+  // Tournaments (knockout brackets)
+  getTournaments: (id, options) => cachedGet(`/leagues/${id}/tournaments`, {}, options),
+  getTournament: (id, tournamentId, options) => cachedGet(`/leagues/${id}/tournaments/${tournamentId}`, {}, options),
+  createTournament: (id, tournamentData) => api.post(`/leagues/${id}/tournaments`, tournamentData),
+  deleteTournament: (id, tournamentId) => api.delete(`/leagues/${id}/tournaments/${tournamentId}`),
+  // Round-robin fixtures
+  getFixtures: (id, params, options) => cachedGet(`/leagues/${id}/fixtures`, { params }, options),
+  getFixtureCrosstable: (id, params, options) => cachedGet(`/leagues/${id}/fixtures/crosstable`, { params }, options),
+  generateFixtures: (id, options) => api.post(`/leagues/${id}/fixtures/generate`, options),
+  clearFixtures: (id) => api.delete(`/leagues/${id}/fixtures`),
+  // Rating config (K-factors, format multipliers, starting ELO)
+  getRatingConfig: (id, options) => cachedGet(`/leagues/${id}/rating-config`, {}, options),
+  updateRatingConfig: (id, config) => api.put(`/leagues/${id}/rating-config`, config),
+  // Doubles
+  getDoublesLeaderboard: (id, options) => cachedGet(`/leagues/${id}/doubles/leaderboard`, {}, options),
+  // Seasons
+  getSeasons: (id, options) => cachedGet(`/leagues/${id}/seasons`, {}, options),
+  getSeason: (id, seasonId, options) => cachedGet(`/leagues/${id}/seasons/${seasonId}`, {}, options),
+  startSeason: (id, seasonData) => api.post(`/leagues/${id}/seasons`, seasonData),
+  closeSeason: (id, seasonId, options) => api.post(`/leagues/${id}/seasons/${seasonId}/close`, options),
+  // Consolidation history (weekly/monthly leagues)
+  getConsolidations: (id, options) => cachedGet(`/leagues/${id}/consolidations`, {}, options),
+  getConsolidation: (id, runId, options) => cachedGet(`/leagues/${id}/consolidations/${runId}`, {}, options),
+  rollbackConsolidation: (id, runId) => api.post(`/leagues/${id}/consolidations/${runId}/rollback`),
+  // Historical match import
+  previewImport: (id, data) => api.post(`/leagues/${id}/imports/preview`, data),
+  importMatches: (id, data) => api.post(`/leagues/${id}/imports`, data),
+  // Automatic achievement rules (league admins change them)
+  getAchievementRules: (id, options) => cachedGet(`/leagues/${id}/achievements`, {}, options),
+  updateAchievementRule: (id, ruleKey, changes) => api.put(`/leagues/${id}/achievements/${ruleKey}`, changes),
+  // Export (params: { format: 'json' | 'csv' | 'archive', dataset? }); resolves to a Blob
+  exportLeague: (id, params) => api.get(`/leagues/${id}/export`, { params, responseType: 'blob' }),
 };
 
 // Matches API
 export const matchesAPI = {
   getAll: (params, options) => cachedGet('/matches', { params }, options),
-  create: (matchData) => api.post('/matches', matchData),
+  // The key makes retries of the same submission safe (see lib/offlineQueue.js)
+  create: (matchData, { idempotencyKey } = {}) => api.post('/matches', matchData, {
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+  }),
   getById: (id, options) => cachedGet(`/matches/${id}`, {}, options),
   update: (id, matchData) => api.put(`/matches/${id}`, matchData),
   delete: (id) => api.delete(`/matches/${id}`),
   accept: (id) => api.post(`/matches/${id}/accept`),
   reject: (id, reason) => api.post(`/matches/${id}/reject`, { reason }),
   getPending: (params, options) => cachedGet('/matches/pending', { params }, options),
+  confirm: (id) => api.post(`/matches/${id}/confirm`),
+  dispute: (id, disputeData) => api.post(`/matches/${id}/dispute`, disputeData),
+  getDisputes: (options) => cachedGet('/matches/disputes', {}, options),
+  resolveDispute: (id, resolution) => api.post(`/matches/${id}/resolve-dispute`, { resolution }),
   previewElo: (matchData) => api.post('/matches/preview-elo', matchData),
   acceptAllByLeague: (leagueId) => api.post(`/matches/leagues/${leagueId}/accept-all`),
   consolidateLeague: (leagueId) => api.post(`/matches/leagues/${leagueId}/consolidate`),
-  debugConsolidation: (leagueId, options) => cachedGet(`/matches/debug/consolidation/${leagueId}`, {}, options),
 };
 
 // Notifications API
@@ -207,6 +326,10 @@ export const notificationsAPI = {
   delete: (id) => api.delete(`/notifications/${id}`),
   markAllAsRead: () => api.post('/notifications/mark-all-read'),
   getStats: (options) => cachedGet('/notifications/stats', {}, options),
+  getPreferences: () => api.get('/notifications/preferences'),
+  updatePreferences: (preferences) => api.put('/notifications/preferences', { preferences }),
+  subscribePush: (subscription) => api.post('/notifications/push-subscriptions', subscription),
+  unsubscribePush: (endpoint) => api.delete('/notifications/push-subscriptions', { data: { endpoint } }),
 };
 
 // Badges API
@@ -232,11 +355,18 @@ export const statsAPI = {
   getPublic: (options) => cachedGet('/stats/public', {}, options),
 };
 
+// Live updates (see lib/realtime.js; the stream itself is read with fetch)
+export const eventsAPI = {
+  getConfig: () => api.get('/events/config'),
+};
+
 // Admin API
 export const adminAPI = {
-  runRosterParticipationMigration: () => api.post('/admin/migrations/roster-participation'),
-  runLeagueSnapshotsMigration: () => api.post('/admin/migrations/league-snapshots'),
-  runJoinRequestsMigration: () => api.post('/admin/migrations/join-requests'),
+  getMigrations: () => api.get('/admin/migrations'),
+  applyMigrations: () => api.post('/admin/migrations/apply'),
+  getLockouts: () => api.get('/admin/lockouts'),
+  unlockAccount: (id) => api.delete(`/admin/lockouts/${id}`),
+  recalculateLeagueRatings: (leagueId, dryRun) => api.post(`/admin/leagues/${leagueId}/recalculate-ratings`, { dry_run: dryRun }),
 };
 
 export default api;